@@ -0,0 +1,157 @@
+// Shared authentication for private API routes
+// Every private route resolves its caller the same way:
+//   Authorization: Bearer <Firebase ID token>        signed-in owner (browser)
+//   Authorization: Bearer svc.<payload>.<signature>  internal caller acting for one user
+//                                                    (e.g. whatsapp-webhook → /api/chat)
+// Service tokens are HMAC-SHA256 signed with SERVICE_TOKEN_SECRET, name the user they
+// act for and expire after a few minutes. Routes opt in to them explicitly.
+//
+// Failures always answer with the same shape:
+//   401 { success: false, error, code: 'auth_required' | 'invalid_token' }
+//   403 { success: false, error, code: 'forbidden' }
+//
+// Local testing: start the emulators (`firebase emulators:start --only auth,firestore`)
+// and set FIREBASE_AUTH_EMULATOR_HOST — firebase-admin then accepts the emulator's
+// unsigned ID tokens, so this same code path runs without production credentials.
+
+const crypto = require('crypto');
+const { admin } = require('./_firebase-admin');
+
+const SERVICE_TOKEN_PREFIX = 'svc.';
+const SERVICE_TOKEN_TTL_SECONDS = 300;
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// ===================== SERVICE TOKENS =====================
+
+/**
+ * Mint a short-lived token that lets an internal caller act for one user
+ * @param {string} userId - User the caller acts for
+ * @param {Object} [options]
+ * @param {string} [options.issuer='internal'] - Calling service, logged on use
+ * @param {number} [options.ttlSeconds=300]
+ * @returns {string}
+ */
+function createServiceToken(userId, { issuer = 'internal', ttlSeconds = SERVICE_TOKEN_TTL_SECONDS } = {}) {
+  const secret = process.env.SERVICE_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('SERVICE_TOKEN_SECRET not configured');
+  }
+  const now = Math.floor(Date.now() / 1000);
+  const payload = Buffer.from(JSON.stringify({ sub: userId, iss: issuer, iat: now, exp: now + ttlSeconds })).toString('base64url');
+  return `${SERVICE_TOKEN_PREFIX}${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Check a service token's signature and expiry
+ * @param {string} token - 'svc.<payload>.<signature>'
+ * @returns {Object|null} - { sub, iss, iat, exp } or null when invalid
+ */
+function verifyServiceToken(token) {
+  const secret = process.env.SERVICE_TOKEN_SECRET;
+  if (!secret || !token.startsWith(SERVICE_TOKEN_PREFIX)) return null;
+
+  const [payload, signature] = token.slice(SERVICE_TOKEN_PREFIX.length).split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+    if (!claims.sub || !claims.exp || claims.exp < Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+// ===================== REQUEST AUTH =====================
+
+/**
+ * Send an auth failure in the shared shape
+ * @param {Object} res - Response
+ * @param {number} status - 401 or 403
+ * @param {string} error - Message
+ * @param {string} [code] - Defaults to 'forbidden' for 403, 'invalid_token' for 401
+ */
+function sendAuthError(res, status, error, code = status === 403 ? 'forbidden' : 'invalid_token') {
+  return res.status(status).json({ success: false, error, code });
+}
+
+/**
+ * Resolve the caller of a request without responding
+ * @param {Object} req - Request
+ * @param {Object} [options]
+ * @param {boolean} [options.allowService=false] - Accept service tokens
+ * @param {boolean} [options.allowBodyToken=false] - Fall back to req.body.idToken (older clients)
+ * @returns {Promise<Object>} - { success: true, userId, email, name, via: 'firebase'|'service', issuer }
+ *   or { success: false, status, code, error }
+ */
+async function authenticate(req, { allowService = false, allowBodyToken = false } = {}) {
+  const authHeader = req.headers?.authorization || '';
+  let token = authHeader.startsWith('Bearer ') ? authHeader.slice('Bearer '.length).trim() : null;
+  if (!token && allowBodyToken) token = req.body?.idToken || null;
+
+  if (!token) {
+    return { success: false, status: 401, code: 'auth_required', error: 'Authentication required' };
+  }
+
+  if (token.startsWith(SERVICE_TOKEN_PREFIX)) {
+    const claims = allowService ? verifyServiceToken(token) : null;
+    if (!claims) {
+      return { success: false, status: 401, code: 'invalid_token', error: 'Invalid or expired token' };
+    }
+    return { success: true, userId: claims.sub, email: null, name: null, via: 'service', issuer: claims.iss };
+  }
+
+  try {
+    const decodedToken = await admin.auth().verifyIdToken(token);
+    return {
+      success: true,
+      userId: decodedToken.uid,
+      email: decodedToken.email || null,
+      name: decodedToken.name || null,
+      via: 'firebase',
+      issuer: null
+    };
+  } catch (error) {
+    console.log(`[Auth] ID token rejected: ${error.code || error.message}`);
+    return { success: false, status: 401, code: 'invalid_token', error: 'Invalid or expired token' };
+  }
+}
+
+/**
+ * Authenticate a request, answering 401/403 itself on failure
+ * Usage: const auth = await requireAuth(req, res); if (!auth) return;
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object} [options] - authenticate() options, plus:
+ * @param {string} [options.userId] - User the request claims to act for; 403 if the caller is someone else
+ * @returns {Promise<Object|null>} - { userId, email, name, via, issuer }, or null once an error was sent
+ */
+async function requireAuth(req, res, { userId = null, ...options } = {}) {
+  const result = await authenticate(req, options);
+  if (!result.success) {
+    sendAuthError(res, result.status, result.error, result.code);
+    return null;
+  }
+  if (userId && userId !== result.userId) {
+    console.log(`[Auth] ${result.via} caller ${result.userId} tried to act for ${userId}`);
+    sendAuthError(res, 403, 'Access denied');
+    return null;
+  }
+  const { success, ...auth } = result;
+  return auth;
+}
+
+module.exports = {
+  authenticate,
+  requireAuth,
+  sendAuthError,
+  createServiceToken,
+  verifyServiceToken
+};
@@ -0,0 +1,22 @@
+// Side effects that finish after the response has been sent
+// Vercel can freeze a function as soon as it has responded, so anything still pending is
+// registered with waitUntil, which keeps the invocation alive until it settles. Outside
+// Vercel (local dev, scripts) the work simply runs.
+
+const { waitUntil } = require('@vercel/functions');
+
+/**
+ * Run work off the response path without losing it to the serverless freeze
+ * @param {Function|Promise} work - Async function to start, or a promise already running
+ * @param {string} label - Names the work in the error log
+ * @returns {Promise<void>} - Settles when the work does; never rejects (failures are logged)
+ */
+function runInBackground(work, label) {
+  const promise = Promise.resolve()
+    .then(() => (typeof work === 'function' ? work() : work))
+    .catch(error => console.error(`[Background] ${label} failed (non-fatal): ${error.message}`));
+  waitUntil(promise);
+  return promise;
+}
+
+module.exports = { runInBackground };
@@ -0,0 +1,241 @@
+// Entailment / contradiction judging for the Mindclone belief system
+// Decides whether a statement entails, contradicts or is neutral toward a belief, with a short
+// rationale that is stored on the belief. Pluggable like the embedding registry in _embeddings.js:
+// an LLM judge (structured JSON output) when a provider is configured, plus a deterministic local
+// scorer that needs no network, used when no provider is configured or the LLM judge fails.
+//
+// Every judge scores pairs: { premise, hypothesis } → { relation, score, rationale }
+//   relation: 'entail' (premise supports / restates the hypothesis)
+//             'contradict' (both cannot be held at once)
+//             'neutral' (unrelated, or related without taking a side)
+//   score:    0-1 confidence in that relation
+
+const { generateJSON, isLLMAvailable } = require('./_llm');
+const { tokenize, scoreBM25 } = require('./_embeddings');
+
+const RELATIONS = ['entail', 'contradict', 'neutral'];
+const MAX_PAIRS_PER_CALL = 20;
+const MAX_RATIONALE_CHARS = 300;
+
+// ===================== LOCAL SCORER =====================
+// Content-word overlap decides whether two statements are about the same thing;
+// a polarity flip (negation or an antonym swap) on the shared topic is a contradiction.
+
+const NEGATION_PATTERN = /\b(not|never|no|none|nobody|nothing|neither|nor|cannot|wrong|false|no longer|stopped|quit|used to)\b|n't\b/g;
+
+const ANTONYMS = [
+  ['like', 'dislike'], ['love', 'hate'], ['good', 'bad'], ['better', 'worse'], ['best', 'worst'],
+  ['agree', 'disagree'], ['support', 'oppose'], ['increase', 'decrease'], ['more', 'less'],
+  ['help', 'hurt'], ['improve', 'harm'], ['true', 'false'], ['right', 'wrong'], ['easy', 'hard'],
+  ['happy', 'unhappy'], ['trust', 'distrust'], ['always', 'never'], ['possible', 'impossible'],
+  ['effective', 'ineffective'], ['important', 'unimportant'], ['positive', 'negative']
+];
+const ANTONYM_OF = new Map(ANTONYMS.flatMap(([a, b]) => [[a, b], [b, a]]));
+
+const MIN_TOPIC_OVERLAP = 0.5;
+const MIN_ENTAIL_COVERAGE = 0.75;
+
+function countNegations(text) {
+  return (text.toLowerCase().match(NEGATION_PATTERN) || []).length;
+}
+
+// Topic words only: contractions like "doesn't" would otherwise leave "doesn" behind
+function contentTokens(text) {
+  return new Set(tokenize(text.replace(/n['’]t\b/gi, '')));
+}
+
+/**
+ * Deterministic entailment scorer (no network)
+ * @param {string} premise
+ * @param {string} hypothesis
+ * @returns {{ relation: string, score: number, rationale: string }}
+ */
+function scoreLocal(premise, hypothesis) {
+  const premiseTokens = contentTokens(premise);
+  const hypothesisTokens = contentTokens(hypothesis);
+  if (premiseTokens.size === 0 || hypothesisTokens.size === 0) {
+    return { relation: 'neutral', score: 1, rationale: 'Nothing to compare' };
+  }
+
+  const shared = [...hypothesisTokens].filter(t => premiseTokens.has(t));
+  const antonymSwaps = [...premiseTokens].filter(t => ANTONYM_OF.has(t) && hypothesisTokens.has(ANTONYM_OF.get(t)) && !premiseTokens.has(ANTONYM_OF.get(t)));
+  // Antonym pairs count as shared topic words
+  const topicOverlap = (shared.length + antonymSwaps.length) / Math.min(premiseTokens.size, hypothesisTokens.size);
+  const coverage = shared.length / hypothesisTokens.size;
+
+  if (topicOverlap < MIN_TOPIC_OVERLAP) {
+    return { relation: 'neutral', score: round(1 - topicOverlap), rationale: 'The statements are about different things' };
+  }
+
+  const polarityFlip = (countNegations(premise) % 2) !== (countNegations(hypothesis) % 2);
+  const flipped = polarityFlip !== (antonymSwaps.length % 2 === 1);
+
+  if (flipped) {
+    const why = antonymSwaps.length > 0
+      ? `"${antonymSwaps[0]}" vs "${ANTONYM_OF.get(antonymSwaps[0])}"`
+      : 'one statement negates the other';
+    return {
+      relation: 'contradict',
+      score: round(Math.min(topicOverlap, 1)),
+      rationale: `Same topic (${shared.slice(0, 4).join(', ') || 'shared terms'}) with opposite polarity: ${why}`
+    };
+  }
+
+  if (coverage >= MIN_ENTAIL_COVERAGE) {
+    return {
+      relation: 'entail',
+      score: round(coverage),
+      rationale: `Restates the same claim (${shared.slice(0, 4).join(', ')})`
+    };
+  }
+
+  return { relation: 'neutral', score: round(1 - coverage), rationale: 'Related topic without taking a side' };
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// ===================== LLM JUDGE =====================
+
+const JUDGE_SYSTEM_PROMPT = `You judge natural-language inference between pairs of statements.
+
+For each pair decide how the PREMISE relates to the HYPOTHESIS:
+- "entail": someone who holds the premise would hold the hypothesis (includes paraphrases)
+- "contradict": both cannot reasonably be held at the same time
+- "neutral": unrelated, or related without supporting or opposing it
+
+Changes over time count: "I quit coffee" contradicts "I drink coffee every morning".
+Give a confidence score 0-1 and a one-sentence rationale.
+
+Respond in JSON ONLY:
+{ "results": [ { "index": number, "relation": "entail|contradict|neutral", "score": number, "rationale": "string" } ] }`;
+
+async function judgeWithLLM(pairs) {
+  const prompt = pairs.map((pair, i) =>
+    `[${i}]\nPREMISE: ${pair.premise}\nHYPOTHESIS: ${pair.hypothesis}`
+  ).join('\n\n');
+
+  const parsed = await generateJSON(JUDGE_SYSTEM_PROMPT, prompt, {
+    maxTokens: 120 * pairs.length + 100,
+    temperature: 0,
+    label: 'belief-judge'
+  });
+
+  const results = Array.isArray(parsed?.results) ? parsed.results : [];
+  return pairs.map((pair, i) => {
+    const result = results.find(r => Number(r?.index) === i);
+    if (!result || !RELATIONS.includes(result.relation)) {
+      // A pair the model skipped falls back to the local scorer
+      return scoreLocal(pair.premise, pair.hypothesis);
+    }
+    const score = Number(result.score);
+    return {
+      relation: result.relation,
+      score: Number.isFinite(score) ? Math.max(0, Math.min(score, 1)) : 0.5,
+      rationale: String(result.rationale || '').substring(0, MAX_RATIONALE_CHARS)
+    };
+  });
+}
+
+// ===================== JUDGE REGISTRY =====================
+
+const judges = {};
+
+/**
+ * Register (or replace) a belief judge
+ * @param {string} name - Judge name (BELIEF_JUDGE env picks one)
+ * @param {Object} judge
+ * @param {Function} judge.isAvailable - () => boolean
+ * @param {Function} judge.judge - (pairs: { premise, hypothesis }[]) => Promise<{ relation, score, rationale }[]>
+ */
+function registerBeliefJudge(name, judge) {
+  judges[name] = judge;
+}
+
+registerBeliefJudge('llm', {
+  isAvailable: () => isLLMAvailable(),
+  judge: judgeWithLLM
+});
+
+registerBeliefJudge('local', {
+  isAvailable: () => true,
+  judge: async (pairs) => pairs.map(pair => scoreLocal(pair.premise, pair.hypothesis))
+});
+
+/**
+ * The judge to use: the requested one if available, else BELIEF_JUDGE, else the LLM judge
+ * when a provider is configured, else the local scorer
+ * @param {string} [preferred] - Judge name
+ * @returns {string} - Judge name
+ */
+function getBeliefJudge(preferred) {
+  return [preferred, process.env.BELIEF_JUDGE, 'llm', 'local'].find(n => n && judges[n]?.isAvailable());
+}
+
+/**
+ * Judge statement pairs, in batches, falling back to the local scorer if the judge fails
+ * @param {Array<{premise: string, hypothesis: string}>} pairs
+ * @param {Object} [options]
+ * @param {string} [options.judge] - Judge name (default: getBeliefJudge())
+ * @returns {Promise<Array<{relation: string, score: number, rationale: string, judge: string}>>}
+ */
+async function judgePairs(pairs, { judge } = {}) {
+  if (!pairs || pairs.length === 0) return [];
+  const name = getBeliefJudge(judge);
+  const results = [];
+
+  for (let i = 0; i < pairs.length; i += MAX_PAIRS_PER_CALL) {
+    const batch = pairs.slice(i, i + MAX_PAIRS_PER_CALL);
+    try {
+      const judged = await judges[name].judge(batch);
+      results.push(...judged.map(r => ({ ...r, judge: name })));
+    } catch (error) {
+      console.error(`[BeliefJudge] ${name} judge failed, using local scorer:`, error.message);
+      results.push(...batch.map(pair => ({ ...scoreLocal(pair.premise, pair.hypothesis), judge: 'local' })));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Judge a statement against the beliefs most likely to be about the same thing.
+ * Beliefs with no keyword overlap are skipped so the judge only sees plausible candidates.
+ * @param {string} statement - New belief or evidence (the premise)
+ * @param {Array} beliefs - Beliefs to compare against (the hypotheses)
+ * @param {Object} [options]
+ * @param {string} [options.judge] - Judge name
+ * @param {number} [options.limit=8] - Max candidates to judge
+ * @param {boolean} [options.reverse=false] - Judge each belief (premise) against the statement
+ *   (hypothesis) instead, e.g. to look up the belief a short description refers to
+ * @returns {Promise<Array<{belief: Object, relation: string, score: number, rationale: string, judge: string}>>}
+ *   Non-neutral judgments first, strongest first
+ */
+async function judgeStatement(statement, beliefs, { judge, limit = 8, reverse = false } = {}) {
+  if (!statement || !beliefs || beliefs.length === 0) return [];
+
+  const scores = scoreBM25(tokenize(statement), beliefs.map(b => b.content));
+  const candidates = beliefs
+    .map((belief, i) => ({ belief, relevance: scores[i] }))
+    .filter(c => c.relevance > 0)
+    .sort((a, b) => b.relevance - a.relevance)
+    .slice(0, limit);
+
+  const judged = await judgePairs(candidates.map(c => (reverse
+    ? { premise: c.belief.content, hypothesis: statement }
+    : { premise: statement, hypothesis: c.belief.content })), { judge });
+
+  return candidates
+    .map((c, i) => ({ belief: c.belief, ...judged[i] }))
+    .sort((a, b) => (a.relation === 'neutral') - (b.relation === 'neutral') || b.score - a.score);
+}
+
+module.exports = {
+  RELATIONS,
+  scoreLocal,
+  registerBeliefJudge,
+  getBeliefJudge,
+  judgePairs,
+  judgeStatement
+};
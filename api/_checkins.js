@@ -0,0 +1,547 @@
+// Proactive check-ins - the Mindclone messages its owner first
+// Picks something worth following up on (a stale or blocked goal, a saved reminder, an
+// unaddressed knowledge gap, a dip in mood), writes a short check-in and delivers it in-app
+// (injectMessage) and over WhatsApp when the owner allows it — never during quiet hours.
+// Each check-in is later marked answered (the owner wrote back within RESPONSE_WINDOW_HOURS)
+// or ignored, and those outcomes steer future ones: kinds that get ignored are suppressed,
+// repeated silence spaces check-ins further apart, and they're sent at the hour that gets replies.
+//
+// Storage:
+//   users/{userId}/checkins/{id}           { kind, refKey, topic, message, status, scheduledFor, sentAt, channels, ... }
+//     status — 'scheduled' | 'sent' | 'answered' | 'ignored' | 'cancelled'
+//   users/{userId}/settings/checkins       { enabled, kinds, maxPerWeek, stats, lastSentAt }
+
+const { admin } = require('./_firebase-admin');
+const { loadMentalModel, markKnowledgeGapSuggested } = require('./_mental-model');
+const { listMemories } = require('./_memories');
+const { generateJSON, isLLMAvailable } = require('./_llm');
+const { getWhatsAppConfig, isQuietHours, queueWhatsApp } = require('./_whatsapp');
+const { getUserTimezone } = require('./_user-locale');
+const { injectMessage } = require('./news/message-formatter');
+
+const CHECKIN_KINDS = ['goal', 'reminder', 'knowledge_gap', 'emotion'];
+const CHECKIN_STATUSES = ['scheduled', 'sent', 'answered', 'ignored', 'cancelled'];
+
+const RESPONSE_WINDOW_HOURS = 24;
+const BASE_GAP_HOURS = 24;          // Minimum time between check-ins...
+const MAX_BACKOFF_STEPS = 3;        // ...doubled per ignored check-in in a row, up to 8x
+const DEFAULT_MAX_PER_WEEK = 3;
+const TOPIC_COOLDOWN_DAYS = 7;      // Don't ask about the same thing twice in a week
+const GOAL_STALE_DAYS = 5;
+const REMINDER_FOLLOWUP_DAYS = 1;
+const REMINDER_MAX_AGE_DAYS = 21;
+const MIN_KIND_SAMPLES = 5;         // A kind needs this many sends before it can be suppressed
+const MIN_KIND_ANSWER_RATE = 0.15;
+const MIN_HOUR_SAMPLES = 3;
+const MAX_CANDIDATES_FOR_LLM = 5;
+const RECENT_SCAN = 50;
+const MAX_PAGE_SIZE = 100;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function getCheckinsRef(db, userId) {
+  return db.collection('users').doc(userId).collection('checkins');
+}
+
+function getSettingsRef(db, userId) {
+  return db.collection('users').doc(userId).collection('settings').doc('checkins');
+}
+
+function serializeCheckin(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    kind: data.kind,
+    topic: data.topic,
+    message: data.message,
+    status: data.status,
+    channels: data.channels || [],
+    scheduledFor: data.scheduledFor || null,
+    sentAt: data.sentAt || null,
+    answeredAt: data.answeredAt || null,
+    createdAt: data.createdAt || null
+  };
+}
+
+// ===================== SETTINGS & STATS =====================
+
+/**
+ * Check-in settings and learned stats, with defaults filled in
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @returns {Promise<Object>} - { enabled, kinds, maxPerWeek, stats, lastSentAt }
+ */
+async function getCheckinSettings(db, userId) {
+  const doc = await getSettingsRef(db, userId).get();
+  const data = doc.exists ? doc.data() : {};
+  return {
+    enabled: data.enabled !== false,
+    kinds: Object.fromEntries(CHECKIN_KINDS.map(k => [k, data.kinds?.[k] !== false])),
+    maxPerWeek: Number.isInteger(data.maxPerWeek) ? data.maxPerWeek : DEFAULT_MAX_PER_WEEK,
+    stats: {
+      byKind: data.stats?.byKind || {},
+      byHour: data.stats?.byHour || {},
+      consecutiveIgnored: data.stats?.consecutiveIgnored || 0
+    },
+    lastSentAt: data.lastSentAt || null
+  };
+}
+
+/**
+ * Turn check-ins on/off, per kind, or change the weekly cap
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @param {Object} changes - { enabled?, kinds?: { [kind]: boolean }, maxPerWeek? }
+ * @returns {Promise<Object>} - { success, settings } or { success: false, error }
+ */
+async function updateCheckinSettings(db, userId, { enabled, kinds, maxPerWeek } = {}) {
+  const current = await getCheckinSettings(db, userId);
+  const updates = {};
+
+  if (enabled !== undefined) updates.enabled = !!enabled;
+  if (kinds !== undefined) {
+    if (!kinds || typeof kinds !== 'object' || Object.keys(kinds).some(k => !CHECKIN_KINDS.includes(k))) {
+      return { success: false, error: `kinds must be an object of ${CHECKIN_KINDS.join(', ')}: boolean` };
+    }
+    updates.kinds = { ...current.kinds, ...Object.fromEntries(Object.entries(kinds).map(([k, v]) => [k, !!v])) };
+  }
+  if (maxPerWeek !== undefined) {
+    const max = Number(maxPerWeek);
+    if (!Number.isInteger(max) || max < 0 || max > 14) {
+      return { success: false, error: 'maxPerWeek must be a whole number from 0 to 14' };
+    }
+    updates.maxPerWeek = max;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return { success: false, error: 'Nothing to update' };
+  }
+
+  await getSettingsRef(db, userId).set(updates, { merge: true });
+
+  // Turning check-ins off cancels anything already scheduled
+  if (updates.enabled === false || updates.kinds) {
+    const settings = { ...current, ...updates };
+    const snapshot = await getCheckinsRef(db, userId).where('status', '==', 'scheduled').get();
+    for (const doc of snapshot.docs) {
+      if (!settings.enabled || !settings.kinds[doc.data().kind]) {
+        await doc.ref.update({ status: 'cancelled', cancelledAt: new Date().toISOString() });
+      }
+    }
+  }
+
+  return { success: true, settings: await getCheckinSettings(db, userId) };
+}
+
+// Smoothed answer rate: an unseen kind or hour starts at 0.5
+function answerRate(stat) {
+  return ((stat?.answered || 0) + 1) / ((stat?.sent || 0) + 2);
+}
+
+function isKindSuppressed(stats, kind) {
+  const stat = stats.byKind[kind];
+  return (stat?.sent || 0) >= MIN_KIND_SAMPLES && answerRate(stat) < MIN_KIND_ANSWER_RATE;
+}
+
+function minGapHours(stats) {
+  return BASE_GAP_HOURS * Math.pow(2, Math.min(stats.consecutiveIgnored, MAX_BACKOFF_STEPS));
+}
+
+// The UTC hour check-ins get answered at most, if there's enough data to say
+function bestHour(stats) {
+  const hours = Object.entries(stats.byHour).filter(([, stat]) => (stat.sent || 0) >= MIN_HOUR_SAMPLES);
+  if (hours.length === 0) return null;
+  hours.sort((a, b) => answerRate(b[1]) - answerRate(a[1]));
+  return parseInt(hours[0][0], 10);
+}
+
+function nextOccurrenceOfHour(hour, now) {
+  const at = new Date(now);
+  at.setUTCMinutes(0, 0, 0);
+  at.setUTCHours(hour);
+  if (at.getTime() <= now) at.setUTCDate(at.getUTCDate() + 1);
+  return at.getTime();
+}
+
+// ===================== OUTCOMES =====================
+
+async function recordOutcome(db, userId, checkin, outcome) {
+  const settings = await getCheckinSettings(db, userId);
+  const { byKind, byHour } = settings.stats;
+  const hour = String(new Date(checkin.sentAt).getUTCHours());
+  const bump = (stat) => ({
+    sent: (stat?.sent || 0) + 1,
+    answered: (stat?.answered || 0) + (outcome === 'answered' ? 1 : 0),
+    ignored: (stat?.ignored || 0) + (outcome === 'ignored' ? 1 : 0)
+  });
+
+  await getSettingsRef(db, userId).set({
+    stats: {
+      byKind: { ...byKind, [checkin.kind]: bump(byKind[checkin.kind]) },
+      byHour: { ...byHour, [hour]: bump(byHour[hour]) },
+      consecutiveIgnored: outcome === 'ignored' ? settings.stats.consecutiveIgnored + 1 : 0
+    }
+  }, { merge: true });
+}
+
+/**
+ * Mark sent check-ins answered (the owner wrote back within the response window) or ignored
+ * (the window passed in silence), and fold the outcome into the stats
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @returns {Promise<Object>} - { answered, ignored }
+ */
+async function resolveOutcomes(db, userId) {
+  const counts = { answered: 0, ignored: 0 };
+  const snapshot = await getCheckinsRef(db, userId).where('status', '==', 'sent').get();
+  const now = Date.now();
+
+  for (const doc of snapshot.docs) {
+    const checkin = doc.data();
+    const sentAt = Date.parse(checkin.sentAt);
+    const windowEnd = sentAt + RESPONSE_WINDOW_HOURS * HOUR_MS;
+
+    const repliesSnap = await db.collection('users').doc(userId).collection('messages')
+      .where('timestamp', '>', admin.firestore.Timestamp.fromDate(new Date(sentAt)))
+      .orderBy('timestamp', 'asc')
+      .limit(10)
+      .get();
+    const reply = repliesSnap.docs.find(d => {
+      const data = d.data();
+      const at = data.timestamp?.toDate?.()?.getTime();
+      return data.role === 'user' && at && at <= windowEnd;
+    });
+
+    if (reply) {
+      await doc.ref.update({
+        status: 'answered',
+        answeredAt: reply.data().timestamp.toDate().toISOString(),
+        replyMessageId: reply.id
+      });
+      await recordOutcome(db, userId, checkin, 'answered');
+      counts.answered++;
+    } else if (now > windowEnd) {
+      await doc.ref.update({ status: 'ignored', resolvedAt: new Date(now).toISOString() });
+      await recordOutcome(db, userId, checkin, 'ignored');
+      counts.ignored++;
+    }
+  }
+
+  return counts;
+}
+
+// ===================== CANDIDATES =====================
+
+function daysSince(iso, now) {
+  const at = Date.parse(iso || '');
+  return Number.isFinite(at) ? (now - at) / DAY_MS : Infinity;
+}
+
+/**
+ * Things worth checking in about, scored (higher first). Topics asked about recently are left out.
+ * @param {Object} sources - { model, reminders, recentCheckins, settings }
+ * @param {number} now - ms
+ * @returns {Array<{kind, refKey, topic, context, score}>}
+ */
+function gatherCandidates({ model, reminders, recentCheckins, settings }, now) {
+  const candidates = [];
+  const recentlyAsked = new Set(recentCheckins
+    .filter(c => c.status !== 'cancelled' && daysSince(c.createdAt, now) < TOPIC_COOLDOWN_DAYS)
+    .map(c => c.refKey));
+  const add = (candidate) => {
+    if (!settings.kinds[candidate.kind] || isKindSuppressed(settings.stats, candidate.kind)) return;
+    if (recentlyAsked.has(candidate.refKey)) return;
+    candidates.push({ ...candidate, score: candidate.score * answerRate(settings.stats.byKind[candidate.kind]) * 2 });
+  };
+
+  for (const goal of (model.goals || [])) {
+    const status = goal.status || 'active';
+    const idle = daysSince(goal.updatedAt || goal.inferredAt, now);
+    if (status === 'blocked' && idle >= 2) {
+      add({
+        kind: 'goal',
+        refKey: `goal:${goal.id}`,
+        topic: goal.content,
+        context: `Goal "${goal.content}" has been blocked for ${Math.round(idle)} days${goal.blockers?.length ? ` (blockers: ${goal.blockers.join(', ')})` : ''}`,
+        score: goal.priority === 'high' ? 0.9 : 0.7
+      });
+    } else if (status === 'active' && idle >= GOAL_STALE_DAYS) {
+      add({
+        kind: 'goal',
+        refKey: `goal:${goal.id}`,
+        topic: goal.content,
+        context: `Goal "${goal.content}" (${goal.priority || 'medium'} priority) hasn't come up in ${Math.round(idle)} days`,
+        score: goal.priority === 'high' ? 0.8 : goal.priority === 'low' ? 0.4 : 0.6
+      });
+    }
+  }
+
+  for (const reminder of reminders) {
+    const age = daysSince(reminder.createdAt, now);
+    if (age < REMINDER_FOLLOWUP_DAYS || age > REMINDER_MAX_AGE_DAYS) continue;
+    add({
+      kind: 'reminder',
+      refKey: `reminder:${reminder.id}`,
+      topic: reminder.content,
+      context: `Saved as a reminder ${Math.round(age)} days ago: "${reminder.content}"`,
+      score: 0.85
+    });
+  }
+
+  for (const gap of (model.knowledgeGaps || [])) {
+    if (gap.suggestedAt || gap.relevance !== 'high') continue;
+    add({
+      kind: 'knowledge_gap',
+      refKey: `gap:${gap.topic}`,
+      topic: gap.topic,
+      context: `They wanted to learn about "${gap.topic}" and it hasn't been followed up`,
+      score: 0.5
+    });
+  }
+
+  const emotional = model.emotionalState || {};
+  if (emotional.recentTrend === 'declining' || (typeof emotional.valence === 'number' && emotional.valence <= -0.4)) {
+    add({
+      kind: 'emotion',
+      refKey: `emotion:${(model.updatedAt || '').substring(0, 10)}`,
+      topic: emotional.current || 'how they are feeling',
+      context: `Their mood has been ${emotional.recentTrend === 'declining' ? 'declining' : 'low'} (last noted: ${emotional.current || 'unknown'})`,
+      score: 0.75
+    });
+  }
+
+  return candidates.sort((a, b) => b.score - a.score);
+}
+
+function templateMessage(candidate) {
+  switch (candidate.kind) {
+    case 'goal':
+      return `Hey! Been thinking about "${candidate.topic}" — how's it going?`;
+    case 'reminder':
+      return `Quick check-in: you mentioned "${candidate.topic}". How did that go?`;
+    case 'knowledge_gap':
+      return `You were curious about ${candidate.topic} a while back — want to dig into it together?`;
+    default:
+      return 'Hey, just checking in — how are you doing today?';
+  }
+}
+
+const CHECKIN_SYSTEM_PROMPT = `You are a Mindclone — a personal AI companion that knows its human well — deciding whether to message them first.
+
+You get a numbered list of things you could check in about. Pick the ONE most worth asking about right now, or none if nothing would feel welcome (e.g. a reminder clearly hasn't happened yet).
+Write the check-in the way a thoughtful friend would text: one or two short sentences, specific, warm, ending in a question. No greetings like "Dear", no emojis overload, never mention being an AI or "your mental model".
+
+Respond in JSON ONLY:
+{ "index": number | null, "message": "string" }`;
+
+async function composeCheckin(candidates, ownerName) {
+  const shortlist = candidates.slice(0, MAX_CANDIDATES_FOR_LLM);
+  if (!isLLMAvailable()) {
+    return { candidate: shortlist[0], message: templateMessage(shortlist[0]) };
+  }
+
+  try {
+    const parsed = await generateJSON(
+      CHECKIN_SYSTEM_PROMPT,
+      `Today is ${new Date().toISOString().substring(0, 10)}. Your human: ${ownerName}.\n\n${shortlist.map((c, i) => `[${i}] (${c.kind}) ${c.context}`).join('\n')}`,
+      { maxTokens: 300, temperature: 0.6, label: 'checkin' }
+    );
+    if (parsed?.index === null) return null;
+    const candidate = shortlist[Number(parsed?.index)];
+    if (!candidate) return { candidate: shortlist[0], message: templateMessage(shortlist[0]) };
+    const message = String(parsed.message || '').trim();
+    return { candidate, message: message ? message.substring(0, 600) : templateMessage(candidate) };
+  } catch (error) {
+    console.error('[Checkins] Compose failed, using template:', error.message);
+    return { candidate: shortlist[0], message: templateMessage(shortlist[0]) };
+  }
+}
+
+// ===================== PLANNING & DELIVERY =====================
+
+/**
+ * Schedule the next check-in if one is due: respects the weekly cap, the (learned) minimum gap,
+ * and topics asked about recently. Scheduled for the hour check-ins get answered most.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @param {Object} [options] - { ownerName }
+ * @returns {Promise<Object>} - { scheduled: true, checkinId, scheduledFor } or { scheduled: false, reason }
+ */
+async function planCheckin(db, userId, { ownerName = 'your human' } = {}) {
+  const settings = await getCheckinSettings(db, userId);
+  if (!settings.enabled) return { scheduled: false, reason: 'disabled' };
+
+  const now = Date.now();
+  const recentSnap = await getCheckinsRef(db, userId).orderBy('createdAt', 'desc').limit(RECENT_SCAN).get();
+  const recentCheckins = recentSnap.docs.map(d => d.data());
+
+  if (recentCheckins.some(c => c.status === 'scheduled')) return { scheduled: false, reason: 'already_scheduled' };
+  if (daysSince(settings.lastSentAt, now) * 24 < minGapHours(settings.stats)) return { scheduled: false, reason: 'too_soon' };
+  const sentThisWeek = recentCheckins.filter(c => c.sentAt && daysSince(c.sentAt, now) < 7).length;
+  if (sentThisWeek >= settings.maxPerWeek) return { scheduled: false, reason: 'weekly_cap' };
+
+  const [model, reminderPage] = await Promise.all([
+    loadMentalModel(db, userId),
+    listMemories(db, userId, { category: 'reminder', limit: 20 })
+  ]);
+  const candidates = gatherCandidates({
+    model: model || {},
+    reminders: reminderPage.memories || [],
+    recentCheckins,
+    settings
+  }, now);
+  if (candidates.length === 0) return { scheduled: false, reason: 'nothing_to_ask' };
+
+  const composed = await composeCheckin(candidates, ownerName);
+  if (!composed) return { scheduled: false, reason: 'nothing_worth_asking' };
+
+  const hour = bestHour(settings.stats);
+  const scheduledFor = hour === null || hour === new Date(now).getUTCHours() ? now : nextOccurrenceOfHour(hour, now);
+  const { candidate, message } = composed;
+
+  const ref = await getCheckinsRef(db, userId).add({
+    kind: candidate.kind,
+    refKey: candidate.refKey,
+    topic: candidate.topic,
+    context: candidate.context,
+    message,
+    status: 'scheduled',
+    scheduledFor: new Date(scheduledFor).toISOString(),
+    createdAt: new Date(now).toISOString()
+  });
+
+  console.log(`[Checkins] Scheduled ${candidate.kind} check-in for ${userId} at ${new Date(scheduledFor).toISOString()}: "${message.substring(0, 60)}..."`);
+  return { scheduled: true, checkinId: ref.id, scheduledFor: new Date(scheduledFor).toISOString() };
+}
+
+/**
+ * Send scheduled check-ins that are due: in-app always, WhatsApp when enabled for check-ins.
+ * Nothing goes out during the owner's quiet hours — they wait for the next run.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @returns {Promise<Object>} - { sent, deferred }
+ */
+async function deliverDueCheckins(db, userId) {
+  const counts = { sent: 0, deferred: 0 };
+  const now = Date.now();
+  const snapshot = await getCheckinsRef(db, userId).where('status', '==', 'scheduled').get();
+  const due = snapshot.docs.filter(d => Date.parse(d.data().scheduledFor) <= now);
+  if (due.length === 0) return counts;
+
+  const config = await getWhatsAppConfig(userId);
+  if (isQuietHours(config, await getUserTimezone(db, userId))) {
+    console.log(`[Checkins] Quiet hours for ${userId}, deferring ${due.length} check-in(s)`);
+    counts.deferred = due.length;
+    return counts;
+  }
+
+  const useWhatsApp = !!(config.enabled && config.phoneNumber && config.triggers?.checkins !== false);
+
+  for (const doc of due) {
+    const checkin = doc.data();
+    const channels = ['in_app'];
+    const messageId = await injectMessage(userId, checkin.message, [], {
+      messageType: 'proactive_checkin',
+      metadata: { checkinId: doc.id, kind: checkin.kind, topic: checkin.topic, generatedAt: new Date() },
+      notify: false
+    });
+    if (useWhatsApp && await queueWhatsApp(userId, checkin.message, 'checkins')) {
+      channels.push('whatsapp');
+    }
+
+    const sentAt = new Date().toISOString();
+    await doc.ref.update({ status: 'sent', sentAt, channels, messageId });
+    await getSettingsRef(db, userId).set({ lastSentAt: sentAt }, { merge: true });
+    if (checkin.kind === 'knowledge_gap') {
+      await markKnowledgeGapSuggested(db, userId, checkin.topic);
+    }
+    counts.sent++;
+    console.log(`[Checkins] Sent ${checkin.kind} check-in ${doc.id} to ${userId} via ${channels.join(' + ')}`);
+  }
+
+  return counts;
+}
+
+/**
+ * One pass for a user: resolve outcomes, plan the next check-in, deliver what's due
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @param {Object} [options] - { ownerName }
+ * @returns {Promise<Object>}
+ */
+async function runCheckins(db, userId, options = {}) {
+  const outcomes = await resolveOutcomes(db, userId);
+  const plan = await planCheckin(db, userId, options);
+  const delivery = await deliverDueCheckins(db, userId);
+  return { outcomes, plan, delivery };
+}
+
+// ===================== OWNER VIEW =====================
+
+/**
+ * Page through check-ins, newest first (status filter applied while scanning)
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @param {Object} [options] - { status, limit=20, cursor }
+ * @returns {Promise<Object>} - { checkins, nextCursor }
+ */
+async function listCheckins(db, userId, { status = null, limit = 20, cursor = null } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_PAGE_SIZE);
+  const checkinsRef = getCheckinsRef(db, userId);
+
+  let startAfter = null;
+  if (cursor) {
+    startAfter = await checkinsRef.doc(cursor).get();
+    if (!startAfter.exists) throw new Error('Invalid cursor');
+  }
+
+  const checkins = [];
+  let lastScanned = null;
+  let exhausted = false;
+
+  while (checkins.length < pageSize && !exhausted) {
+    let query = checkinsRef.orderBy('createdAt', 'desc').limit(pageSize * 2);
+    if (lastScanned || startAfter) query = query.startAfter(lastScanned || startAfter);
+    const snapshot = await query.get();
+
+    for (const doc of snapshot.docs) {
+      lastScanned = doc;
+      if (!status || doc.data().status === status) checkins.push(serializeCheckin(doc));
+      if (checkins.length >= pageSize) break;
+    }
+    exhausted = snapshot.docs.length < pageSize * 2;
+  }
+
+  return { checkins, nextCursor: checkins.length >= pageSize ? lastScanned.id : null };
+}
+
+/**
+ * Cancel a scheduled check-in before it goes out
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @param {string} checkinId
+ * @returns {Promise<Object>} - { success } or { success: false, error }
+ */
+async function cancelCheckin(db, userId, checkinId) {
+  const ref = getCheckinsRef(db, userId).doc(checkinId);
+  const doc = await ref.get();
+  if (!doc.exists) return { success: false, error: 'Check-in not found' };
+  if (doc.data().status !== 'scheduled') return { success: false, error: `Check-in is already ${doc.data().status}` };
+  await ref.update({ status: 'cancelled', cancelledAt: new Date().toISOString() });
+  return { success: true };
+}
+
+module.exports = {
+  CHECKIN_KINDS,
+  CHECKIN_STATUSES,
+  getCheckinSettings,
+  updateCheckinSettings,
+  gatherCandidates,
+  resolveOutcomes,
+  planCheckin,
+  deliverDueCheckins,
+  runCheckins,
+  listCheckins,
+  cancelCheckin
+};
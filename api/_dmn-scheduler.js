@@ -0,0 +1,498 @@
+// DMN job scheduler - a durable task queue for the Default Mode Network heartbeat
+// Every eligible user has one job per DMN task. The heartbeat claims whichever jobs are due
+// (across all users), runs them under a lease, and reschedules them by the user's cadence —
+// so a large user base is covered by repeated runs instead of the first few users each time.
+//
+// Storage:
+//   dmnJobs/{userId}_{task}                 one job:
+//     status      — 'scheduled' | 'running' | 'dead' | 'disabled'
+//     nextRunAt   — ISO date the job is due (the lease expiry while running; null when dead/disabled)
+//     runId       — identifies the current run; kept across retries so handlers can skip finished steps
+//     attempts    — attempts at the current run (reset on success)
+//     cursor      — task-specific resume point (e.g. last consolidated message)
+//     progress    — { runId, done: [...] } steps already finished in this run
+//   users/{userId}/settings/dmn-schedule    { cadenceHours: { [task]: hours }, paused, runAtHour }
+//     runAtHour — local hour (owner's timezone) that whole-day cadences (24h, 48h, ...) run at
+//
+// A failed run is retried with backoff (RETRY_DELAYS); after MAX_ATTEMPTS it is dead-lettered
+// (status 'dead') until the owner retries it. A lease that expires counts as a failed attempt.
+
+const { getUserTimezone, zonedParts, zonedTimeToUtc, addLocalDays } = require('./_user-locale');
+
+// Default cadence and run order (lower priority runs first when several are due)
+const DMN_TASKS = {
+  consolidation: { cadenceHours: 2, priority: 1, stateField: 'lastConsolidation' },
+  reconciliation: { cadenceHours: 6, priority: 2, stateField: 'lastBeliefReview' },
+  umwelt_revision: { cadenceHours: 8, priority: 3, stateField: 'lastUmweltRevision' },
+  reflection: { cadenceHours: 4, priority: 4, stateField: 'lastReflection' }
+};
+const TASK_NAMES = Object.keys(DMN_TASKS);
+
+const MIN_CADENCE_HOURS = 1;
+const MAX_CADENCE_HOURS = 24 * 7;
+const DEFAULT_RUN_AT_HOUR = 3; // Daily introspection happens while the owner sleeps
+const LEASE_MS = 3 * 60 * 1000; // Longer than a heartbeat invocation can run
+const RETRY_DELAYS = [5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000]; // 5min, 30min, 2h
+const MAX_ATTEMPTS = RETRY_DELAYS.length + 1;
+const MAX_RECENT_ERRORS = 5;
+const CLAIM_SCAN_FACTOR = 3;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function getJobsRef(db) {
+  return db.collection('dmnJobs');
+}
+
+function getJobRef(db, userId, task) {
+  return getJobsRef(db).doc(`${userId}_${task}`);
+}
+
+function getScheduleRef(db, userId) {
+  return db.collection('users').doc(userId).collection('settings').doc('dmn-schedule');
+}
+
+function newRunId() {
+  return `run_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+}
+
+function toISO(ms) {
+  return new Date(ms).toISOString();
+}
+
+// Firestore rejects undefined fields anywhere in a document
+function clean(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+// ===================== SCHEDULE SETTINGS =====================
+
+/**
+ * A user's DMN cadence, with defaults filled in
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @returns {Promise<Object>} - { cadenceHours: { [task]: hours }, paused, runAtHour, timezone }
+ */
+async function getSchedule(db, userId) {
+  const [doc, timezone] = await Promise.all([getScheduleRef(db, userId).get(), getUserTimezone(db, userId)]);
+  const data = doc.exists ? doc.data() : {};
+  const cadenceHours = {};
+  for (const task of TASK_NAMES) {
+    const hours = Number(data.cadenceHours?.[task]);
+    cadenceHours[task] = Number.isFinite(hours) && hours > 0 ? hours : DMN_TASKS[task].cadenceHours;
+  }
+  const runAtHour = Number.isInteger(data.runAtHour) ? data.runAtHour : DEFAULT_RUN_AT_HOUR;
+  return { cadenceHours, paused: data.paused === true, runAtHour, timezone };
+}
+
+/**
+ * When a task next runs after `fromMs`. Sub-daily cadences are plain intervals; whole-day
+ * cadences snap to runAtHour in the owner's timezone, so "daily" means the same local time each day.
+ * @param {number} fromMs
+ * @param {string} task
+ * @param {Object} schedule - from getSchedule
+ * @returns {number} - ms
+ */
+function nextRunTime(fromMs, task, schedule) {
+  const hours = schedule.cadenceHours[task];
+  const due = fromMs + hours * HOUR_MS;
+  if (hours < 24 || hours % 24 !== 0) return due;
+
+  let at = zonedTimeToUtc({ ...zonedParts(due, schedule.timezone), hour: schedule.runAtHour, minute: 0 }, schedule.timezone);
+  if (at - due > 12 * HOUR_MS) at = addLocalDays(at, -1, schedule.timezone);
+  else if (due - at > 12 * HOUR_MS) at = addLocalDays(at, 1, schedule.timezone);
+  return at;
+}
+
+/**
+ * Change a user's cadence or pause their DMN. Scheduled jobs are moved to match right away.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @param {Object} changes - { cadenceHours?: { [task]: hours }, paused?, runAtHour? }
+ * @returns {Promise<Object>} - { success, schedule } or { success: false, error }
+ */
+async function updateSchedule(db, userId, { cadenceHours, paused, runAtHour } = {}) {
+  const current = await getSchedule(db, userId);
+  const updates = {};
+
+  if (cadenceHours !== undefined) {
+    if (!cadenceHours || typeof cadenceHours !== 'object') {
+      return { success: false, error: 'cadenceHours must be an object of task: hours' };
+    }
+    for (const [task, value] of Object.entries(cadenceHours)) {
+      if (!DMN_TASKS[task]) {
+        return { success: false, error: `Unknown task: ${task} (tasks: ${TASK_NAMES.join(', ')})` };
+      }
+      const hours = Number(value);
+      if (!Number.isFinite(hours) || hours < MIN_CADENCE_HOURS || hours > MAX_CADENCE_HOURS) {
+        return { success: false, error: `Cadence for ${task} must be between ${MIN_CADENCE_HOURS} and ${MAX_CADENCE_HOURS} hours` };
+      }
+    }
+    updates.cadenceHours = { ...current.cadenceHours, ...Object.fromEntries(Object.entries(cadenceHours).map(([t, h]) => [t, Number(h)])) };
+  }
+
+  if (paused !== undefined) updates.paused = !!paused;
+
+  if (runAtHour !== undefined) {
+    const hour = Number(runAtHour);
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+      return { success: false, error: 'runAtHour must be a whole hour from 0 to 23' };
+    }
+    updates.runAtHour = hour;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return { success: false, error: 'Nothing to update' };
+  }
+
+  await getScheduleRef(db, userId).set(updates, { merge: true });
+  const schedule = await getSchedule(db, userId);
+
+  // Move existing jobs to match: pause/unpause them, or reschedule from their last success
+  for (const task of TASK_NAMES) {
+    const ref = getJobRef(db, userId, task);
+    const doc = await ref.get();
+    if (!doc.exists) continue;
+    const job = doc.data();
+    if (schedule.paused && job.status === 'scheduled') {
+      await ref.update({ status: 'disabled', nextRunAt: null, disabledReason: 'paused' });
+    } else if (!schedule.paused && job.status === 'disabled' && job.disabledReason === 'paused') {
+      await ref.update({ status: 'scheduled', nextRunAt: toISO(Date.now()), disabledReason: null });
+    } else if (job.status === 'scheduled' && job.lastSuccessAt && (updates.cadenceHours || updates.runAtHour !== undefined)) {
+      await ref.update({ nextRunAt: toISO(nextRunTime(Date.parse(job.lastSuccessAt), task, schedule)) });
+    }
+  }
+
+  console.log(`[DMN Scheduler] Updated schedule for ${userId}: ${Object.keys(updates).join(', ')}`);
+  return { success: true, schedule };
+}
+
+// ===================== JOB LIFECYCLE =====================
+
+/**
+ * Make sure a user's jobs match their eligibility: create missing jobs for an active user
+ * (due according to the legacy dmn-state timestamps), disable jobs for an inactive one
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @param {Object} options
+ * @param {boolean} options.active - Eligible for DMN processing
+ * @param {Object} [options.lastRuns] - dmn-state document, to carry over when each task last ran
+ * @returns {Promise<Object>} - { created, enabled, disabled }
+ */
+async function syncUserJobs(db, userId, { active, lastRuns = {} }) {
+  const counts = { created: 0, enabled: 0, disabled: 0 };
+  const schedule = active ? await getSchedule(db, userId) : null;
+  const now = Date.now();
+
+  for (const task of TASK_NAMES) {
+    const ref = getJobRef(db, userId, task);
+    const doc = await ref.get();
+    const job = doc.exists ? doc.data() : null;
+
+    if (!active || schedule.paused) {
+      if (job && ['scheduled', 'running'].includes(job.status) && !(job.status === 'running' && Date.parse(job.leaseUntil) > now)) {
+        await ref.update({ status: 'disabled', nextRunAt: null, disabledReason: active ? 'paused' : 'ineligible' });
+        counts.disabled++;
+      }
+      continue;
+    }
+
+    if (!job) {
+      const lastRun = lastRuns[DMN_TASKS[task].stateField];
+      const lastRunMs = lastRun ? Date.parse(lastRun) : NaN;
+      const due = Number.isFinite(lastRunMs) ? nextRunTime(lastRunMs, task, schedule) : now;
+      await ref.set({
+        userId,
+        task,
+        status: 'scheduled',
+        nextRunAt: toISO(Math.max(due, now)),
+        runId: newRunId(),
+        attempts: 0,
+        failures: 0,
+        cursor: null,
+        progress: null,
+        lastRunAt: null,
+        lastSuccessAt: lastRun || null,
+        lastError: null,
+        recentErrors: [],
+        createdAt: toISO(now)
+      });
+      counts.created++;
+    } else if (job.status === 'disabled') {
+      await ref.update({ status: 'scheduled', nextRunAt: toISO(now), disabledReason: null });
+      counts.enabled++;
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Claim due jobs under a lease. Jobs whose lease expired are picked up again
+ * (or dead-lettered if that was their last attempt).
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} options
+ * @param {string} options.workerId - Identifies this heartbeat invocation
+ * @param {number} [options.limit=5]
+ * @returns {Promise<Array<Object>>} - Claimed jobs ({ id, ...data }), in task priority order
+ */
+async function claimDueJobs(db, { workerId, limit = 5 }) {
+  const now = Date.now();
+  const snapshot = await getJobsRef(db)
+    .where('nextRunAt', '<=', toISO(now))
+    .orderBy('nextRunAt')
+    .limit(limit * CLAIM_SCAN_FACTOR)
+    .get();
+
+  const claimed = [];
+  for (const candidate of snapshot.docs) {
+    if (claimed.length >= limit) break;
+
+    const job = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(candidate.ref);
+      const data = doc.exists ? doc.data() : null;
+      if (!data || !data.nextRunAt || Date.parse(data.nextRunAt) > now) return null;
+      if (!['scheduled', 'running'].includes(data.status)) return null;
+
+      if (data.status === 'running' && (data.attempts || 0) >= MAX_ATTEMPTS) {
+        // Its last attempt never finished
+        transaction.update(candidate.ref, deadLetterUpdate(data, 'Lease expired on the final attempt', now));
+        console.log(`[DMN Scheduler] Dead-lettered ${candidate.id} (lease expired)`);
+        return null;
+      }
+
+      const leaseUntil = toISO(now + LEASE_MS);
+      const update = {
+        status: 'running',
+        leaseOwner: workerId,
+        leaseUntil,
+        nextRunAt: leaseUntil,
+        attempts: (data.attempts || 0) + 1,
+        lastRunAt: toISO(now)
+      };
+      transaction.update(candidate.ref, update);
+      return { id: candidate.id, ...data, ...update };
+    });
+
+    if (job) claimed.push(job);
+  }
+
+  return claimed.sort((a, b) => DMN_TASKS[a.task].priority - DMN_TASKS[b.task].priority);
+}
+
+function deadLetterUpdate(job, error, now) {
+  return {
+    status: 'dead',
+    nextRunAt: null,
+    leaseOwner: null,
+    leaseUntil: null,
+    lastError: error,
+    lastFailureAt: toISO(now),
+    deadAt: toISO(now),
+    failures: (job.failures || 0) + 1,
+    recentErrors: [{ at: toISO(now), error }, ...(job.recentErrors || [])].slice(0, MAX_RECENT_ERRORS)
+  };
+}
+
+// Apply an update only if this worker still holds the lease
+async function updateIfLeased(db, job, workerId, buildUpdate) {
+  const ref = getJobsRef(db).doc(job.id);
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const data = doc.exists ? doc.data() : null;
+    if (!data || data.status !== 'running' || data.leaseOwner !== workerId) {
+      console.log(`[DMN Scheduler] Lost the lease on ${job.id}, not recording the outcome`);
+      return false;
+    }
+    transaction.update(ref, buildUpdate(data));
+    return true;
+  });
+}
+
+/**
+ * Record a successful run and schedule the next one
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} job - A claimed job
+ * @param {Object} outcome
+ * @param {string} outcome.workerId
+ * @param {Object} [outcome.result] - Summary kept for the status endpoint
+ * @param {*} [outcome.cursor] - New resume point (undefined keeps the old one)
+ * @param {boolean} [outcome.more=false] - Work is left over: run again as soon as possible
+ * @param {number} [outcome.durationMs]
+ * @returns {Promise<boolean>} - false if the lease was lost
+ */
+async function completeJob(db, job, { workerId, result = null, cursor, more = false, durationMs = null }) {
+  const schedule = await getSchedule(db, job.userId);
+  const now = Date.now();
+
+  return updateIfLeased(db, job, workerId, () => ({
+    status: 'scheduled',
+    nextRunAt: toISO(more ? now : nextRunTime(now, job.task, schedule)),
+    runId: newRunId(),
+    attempts: 0,
+    leaseOwner: null,
+    leaseUntil: null,
+    progress: null,
+    lastSuccessAt: toISO(now),
+    lastResult: clean(result),
+    lastDurationMs: durationMs,
+    ...(cursor !== undefined ? { cursor: clean(cursor) } : {})
+  }));
+}
+
+/**
+ * Record a failed run: retry with backoff, or dead-letter after MAX_ATTEMPTS
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} job - A claimed job
+ * @param {Object} outcome - { workerId, error }
+ * @returns {Promise<boolean>} - false if the lease was lost
+ */
+async function failJob(db, job, { workerId, error }) {
+  const now = Date.now();
+  const message = String(error || 'Unknown error').substring(0, 500);
+
+  return updateIfLeased(db, job, workerId, (data) => {
+    if ((data.attempts || 0) >= MAX_ATTEMPTS) {
+      console.log(`[DMN Scheduler] Dead-lettered ${job.id} after ${data.attempts} attempts: ${message}`);
+      return deadLetterUpdate(data, message, now);
+    }
+    return {
+      status: 'scheduled',
+      nextRunAt: toISO(now + RETRY_DELAYS[(data.attempts || 1) - 1]),
+      leaseOwner: null,
+      leaseUntil: null,
+      lastError: message,
+      lastFailureAt: toISO(now),
+      failures: (data.failures || 0) + 1,
+      recentErrors: [{ at: toISO(now), error: message }, ...(data.recentErrors || [])].slice(0, MAX_RECENT_ERRORS)
+    };
+  });
+}
+
+/**
+ * Hand a claimed job back without counting an attempt (e.g. the time budget ran out first)
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} job - A claimed job
+ * @param {string} workerId
+ * @returns {Promise<boolean>}
+ */
+async function releaseJob(db, job, workerId) {
+  return updateIfLeased(db, job, workerId, (data) => ({
+    status: 'scheduled',
+    nextRunAt: toISO(Date.now()),
+    attempts: Math.max((data.attempts || 1) - 1, 0),
+    leaseOwner: null,
+    leaseUntil: null
+  }));
+}
+
+/**
+ * Run a job now: revives a dead-lettered job, or brings a scheduled one forward
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @param {string} task
+ * @returns {Promise<Object>} - { success } or { success: false, error }
+ */
+async function retryJob(db, userId, task) {
+  if (!DMN_TASKS[task]) {
+    return { success: false, error: `Unknown task: ${task} (tasks: ${TASK_NAMES.join(', ')})` };
+  }
+  const ref = getJobRef(db, userId, task);
+  const doc = await ref.get();
+  if (!doc.exists) return { success: false, error: 'Job not found' };
+
+  const job = doc.data();
+  if (job.status === 'running') return { success: false, error: 'Job is running' };
+  if (job.status === 'disabled') return { success: false, error: `Job is disabled (${job.disabledReason || 'inactive'})` };
+
+  await ref.update({
+    status: 'scheduled',
+    nextRunAt: toISO(Date.now()),
+    attempts: 0,
+    deadAt: null,
+    ...(job.status === 'dead' ? { runId: newRunId(), progress: null } : {})
+  });
+  console.log(`[DMN Scheduler] ${job.status === 'dead' ? 'Revived' : 'Brought forward'} ${ref.id}`);
+  return { success: true };
+}
+
+// ===================== RESUMABLE RUNS =====================
+
+/**
+ * Per-run helpers for task handlers. once(key, fn) runs fn unless a previous attempt at the
+ * same run already finished that step, so a retried run doesn't repeat its writes.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} job - A claimed job
+ * @returns {Object} - { runId, cursor, once }
+ */
+function createRunContext(db, job) {
+  const ref = getJobsRef(db).doc(job.id);
+  const done = job.progress?.runId === job.runId ? [...(job.progress.done || [])] : [];
+
+  return {
+    runId: job.runId,
+    cursor: job.cursor ?? null,
+    async once(key, fn) {
+      if (done.includes(key)) {
+        console.log(`[DMN Scheduler] ${job.id}: "${key}" already done in this run, skipping`);
+        return null;
+      }
+      const result = await fn();
+      done.push(key);
+      await ref.update({ progress: { runId: job.runId, done } });
+      return result;
+    }
+  };
+}
+
+// ===================== STATUS =====================
+
+/**
+ * Per-task status for a user: last run, next run, failures
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @returns {Promise<Object>} - { schedule, tasks: [...] }
+ */
+async function getJobStatus(db, userId) {
+  const schedule = await getSchedule(db, userId);
+  const tasks = [];
+
+  for (const task of TASK_NAMES) {
+    const doc = await getJobRef(db, userId, task).get();
+    const job = doc.exists ? doc.data() : null;
+    tasks.push({
+      task,
+      cadenceHours: schedule.cadenceHours[task],
+      status: job ? job.status : 'not_scheduled',
+      lastRunAt: job?.lastRunAt || null,
+      lastSuccessAt: job?.lastSuccessAt || null,
+      nextRunAt: job?.status === 'running' ? null : (job?.nextRunAt || null),
+      attempts: job?.attempts || 0,
+      failures: job?.failures || 0,
+      lastError: job?.lastError || null,
+      lastFailureAt: job?.lastFailureAt || null,
+      recentErrors: job?.recentErrors || [],
+      lastResult: job?.lastResult || null,
+      lastDurationMs: job?.lastDurationMs ?? null,
+      ...(job?.status === 'dead' && { deadAt: job.deadAt }),
+      ...(job?.status === 'disabled' && { disabledReason: job.disabledReason || null })
+    });
+  }
+
+  return { schedule, tasks };
+}
+
+module.exports = {
+  DMN_TASKS,
+  TASK_NAMES,
+  MAX_ATTEMPTS,
+  getSchedule,
+  updateSchedule,
+  syncUserJobs,
+  claimDueJobs,
+  completeJob,
+  failJob,
+  releaseJob,
+  retryJob,
+  createRunContext,
+  getJobStatus
+};
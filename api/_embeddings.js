@@ -0,0 +1,310 @@
+// Text embedding providers for semantic search (memory recall, knowledge base)
+// Pluggable like the LLM registry in _llm.js: Gemini and OpenAI-compatible APIs when
+// keys are set, plus a local feature-hashing embedder that needs no network.
+//
+// Vectors from different models are not comparable, so every embedding is returned
+// with the model that produced it and callers store both.
+
+const LOCAL_DIMENSIONS = 512;
+const LOCAL_EMBEDDING_MODEL = `local:hash-${LOCAL_DIMENSIONS}`;
+const MAX_EMBED_CHARS = 8000;
+
+// Small English stopword list for the tokenizer (BM25 and the local embedder)
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'did', 'do', 'does', 'for', 'from',
+  'had', 'has', 'have', 'he', 'her', 'his', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me',
+  'my', 'of', 'on', 'or', 'our', 'she', 'so', 'that', 'the', 'their', 'them', 'then', 'there',
+  'they', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'will',
+  'with', 'you', 'your', 'about', 'just', 'can', 'not', 'no', 'yes', 'been', 'am'
+]);
+
+// ===================== TOKENIZER =====================
+
+/**
+ * Lowercase word tokens with stopwords removed and a light plural/possessive stem
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  if (!text || typeof text !== 'string') return [];
+  return text.toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length > 1 && !STOPWORDS.has(token))
+    .map(token => (token.length > 4 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * BM25 corpus built up one text at a time, for sets too large to hold at once. Document
+ * frequencies and the average length come from every text added, so score only once all are in.
+ * @param {string[]} queryTokens - tokenize(query)
+ * @returns {Object} - { add(text) → { termFreq, length }, score({ termFreq, length }) → number }
+ */
+function createBM25Corpus(queryTokens) {
+  const uniqueQuery = [...new Set(queryTokens)];
+  const docFreq = {};
+  let docCount = 0;
+  let totalLength = 0;
+
+  return {
+    // Counts the text and returns what scoring needs: its length and query-term frequencies
+    add(text) {
+      const tokens = tokenize(text);
+      docCount++;
+      totalLength += tokens.length;
+      const termFreq = {};
+      for (const token of tokens) {
+        if (uniqueQuery.includes(token)) termFreq[token] = (termFreq[token] || 0) + 1;
+      }
+      for (const term of Object.keys(termFreq)) docFreq[term] = (docFreq[term] || 0) + 1;
+      return { termFreq, length: tokens.length };
+    },
+
+    score({ termFreq, length }) {
+      if (length === 0) return 0;
+      const avgLength = totalLength / (docCount || 1) || 1;
+      let score = 0;
+      for (const [term, tf] of Object.entries(termFreq)) {
+        const idf = Math.log(1 + (docCount - docFreq[term] + 0.5) / (docFreq[term] + 0.5));
+        score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * length / avgLength));
+      }
+      return score;
+    }
+  };
+}
+
+/**
+ * BM25 keyword scores for a set of texts (document frequencies come from the set itself)
+ * @param {string[]} queryTokens - tokenize(query)
+ * @param {string[]} texts - Candidate texts
+ * @returns {number[]} - One score per text (0 = no query term present)
+ */
+function scoreBM25(queryTokens, texts) {
+  const corpus = createBM25Corpus(queryTokens);
+  const docs = texts.map(text => corpus.add(text));
+  return docs.map(doc => corpus.score(doc));
+}
+
+// ===================== LOCAL HASHING EMBEDDER =====================
+
+// FNV-1a 32-bit hash
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Feature-hashing embedding: word unigrams plus character trigrams, log-scaled and
+ * L2-normalised. Catches spelling variants and shared stems, not true paraphrases —
+ * configure a real provider for that.
+ * @param {string} text
+ * @returns {number[]}
+ */
+function embedLocal(text) {
+  const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+  const counts = {};
+
+  for (const token of tokenize(text)) {
+    counts[`w:${token}`] = (counts[`w:${token}`] || 0) + 1;
+    const padded = `#${token}#`;
+    for (let i = 0; i < padded.length - 2; i++) {
+      const gram = `g:${padded.substr(i, 3)}`;
+      counts[gram] = (counts[gram] || 0) + 0.5;
+    }
+  }
+
+  for (const [feature, count] of Object.entries(counts)) {
+    const hash = hashString(feature);
+    const sign = (hash & 0x80000000) ? -1 : 1;
+    vector[hash % LOCAL_DIMENSIONS] += sign * (1 + Math.log(count));
+  }
+
+  return normalize(vector);
+}
+
+// ===================== VECTOR MATH =====================
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? vector.map(v => v / norm) : vector;
+}
+
+/**
+ * Cosine similarity of two vectors (0 when lengths differ or either is empty)
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// ===================== REMOTE PROVIDERS =====================
+
+async function embedGemini(texts, taskType) {
+  const model = 'text-embedding-004';
+  const response = await fetch(
+    `https://generativelanguage.googleapis.com/v1beta/models/${model}:batchEmbedContents?key=${process.env.GEMINI_API_KEY}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        requests: texts.map(text => ({
+          model: `models/${model}`,
+          content: { parts: [{ text }] },
+          taskType: taskType === 'query' ? 'RETRIEVAL_QUERY' : 'RETRIEVAL_DOCUMENT'
+        }))
+      })
+    }
+  );
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(`Gemini embeddings ${response.status}: ${data.error?.message || 'unknown error'}`);
+  }
+  return data.embeddings.map(e => e.values);
+}
+
+async function embedOpenAI(texts) {
+  const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+  const response = await fetch(`${baseUrl}/embeddings`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${process.env.OPENAI_API_KEY}` },
+    body: JSON.stringify({ model: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small', input: texts })
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(`OpenAI embeddings ${response.status}: ${data.error?.message || 'unknown error'}`);
+  }
+  return data.data.sort((a, b) => a.index - b.index).map(d => d.embedding);
+}
+
+// ===================== PROVIDER REGISTRY =====================
+
+const providers = {};
+
+/**
+ * Register (or replace) an embedding provider
+ * @param {string} name - Provider name (EMBEDDING_PROVIDER env picks one)
+ * @param {Object} provider
+ * @param {string} provider.model - Model id stored next to each vector
+ * @param {number} provider.batchSize - Max texts per call
+ * @param {number} provider.minSimilarity - Cosine score that counts as "related" for this model
+ * @param {number} provider.duplicateSimilarity - Cosine score above which two texts say the same thing
+ * @param {Function} provider.isAvailable - () => boolean
+ * @param {Function} provider.embed - (texts, taskType: 'query'|'document') => Promise<number[][]>
+ */
+function registerEmbeddingProvider(name, provider) {
+  providers[name] = provider;
+}
+
+registerEmbeddingProvider('gemini', {
+  model: 'gemini:text-embedding-004',
+  batchSize: 100,
+  minSimilarity: 0.6,
+  duplicateSimilarity: 0.9,
+  isAvailable: () => !!process.env.GEMINI_API_KEY,
+  embed: embedGemini
+});
+
+registerEmbeddingProvider('openai', {
+  model: `openai:${process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small'}`,
+  batchSize: 100,
+  minSimilarity: 0.4,
+  duplicateSimilarity: 0.85,
+  isAvailable: () => !!process.env.OPENAI_API_KEY,
+  embed: embedOpenAI
+});
+
+registerEmbeddingProvider('local', {
+  model: LOCAL_EMBEDDING_MODEL,
+  batchSize: 1000,
+  minSimilarity: 0.3,
+  duplicateSimilarity: 0.75,
+  isAvailable: () => true,
+  embed: async (texts) => texts.map(embedLocal)
+});
+
+/**
+ * The provider new embeddings are made with: EMBEDDING_PROVIDER if set and available,
+ * else Gemini when its key is present, else the local embedder
+ * @returns {Object} - { name, ...provider }
+ */
+function getEmbeddingProvider() {
+  const preferred = process.env.EMBEDDING_PROVIDER;
+  const name = [preferred, 'gemini', 'local'].find(n => n && providers[n]?.isAvailable());
+  return { name, ...providers[name] };
+}
+
+/**
+ * Minimum "related" cosine score for vectors from the given model
+ * @param {string} model - Stored model id
+ * @returns {number}
+ */
+function getMinSimilarity(model) {
+  const provider = Object.values(providers).find(p => p.model === model);
+  return provider?.minSimilarity ?? providers.local.minSimilarity;
+}
+
+/**
+ * Near-duplicate cosine score for vectors from the given model
+ * @param {string} model - Stored model id
+ * @returns {number}
+ */
+function getDuplicateSimilarity(model) {
+  const provider = Object.values(providers).find(p => p.model === model);
+  return provider?.duplicateSimilarity ?? providers.local.duplicateSimilarity;
+}
+
+/**
+ * Embed texts with the active provider, falling back to the local embedder on API errors
+ * @param {string[]} texts
+ * @param {Object} [options]
+ * @param {string} [options.taskType='document'] - 'query' for search queries, 'document' for indexed text
+ * @returns {Promise<{ model: string, vectors: number[][] }>}
+ */
+async function embedTexts(texts, { taskType = 'document' } = {}) {
+  const inputs = texts.map(t => (t || '').substring(0, MAX_EMBED_CHARS));
+  const provider = getEmbeddingProvider();
+
+  if (provider.name !== 'local') {
+    try {
+      const vectors = [];
+      for (let i = 0; i < inputs.length; i += provider.batchSize) {
+        vectors.push(...await provider.embed(inputs.slice(i, i + provider.batchSize), taskType));
+      }
+      return { model: provider.model, vectors };
+    } catch (error) {
+      console.error(`[Embeddings] ${provider.name} failed, using local embedder: ${error.message}`);
+    }
+  }
+
+  return { model: LOCAL_EMBEDDING_MODEL, vectors: inputs.map(embedLocal) };
+}
+
+module.exports = {
+  embedTexts,
+  embedLocal,
+  cosineSimilarity,
+  tokenize,
+  createBM25Corpus,
+  scoreBM25,
+  registerEmbeddingProvider,
+  getEmbeddingProvider,
+  getMinSimilarity,
+  getDuplicateSimilarity,
+  LOCAL_EMBEDDING_MODEL
+};
@@ -8,6 +8,16 @@ function initializeFirebaseAdmin() {
   }
 
   try {
+    // Local test mode: Firebase emulators (auth tokens are unsigned there, so never in production)
+    if (process.env.FIREBASE_AUTH_EMULATOR_HOST || process.env.FIRESTORE_EMULATOR_HOST) {
+      if (process.env.VERCEL_ENV === 'production') {
+        throw new Error('Firebase emulator variables are set in production');
+      }
+      const projectId = process.env.GCLOUD_PROJECT || 'demo-mindclone';
+      console.log(`[Firebase Init] Using emulators for project ${projectId}`);
+      return admin.initializeApp({ projectId });
+    }
+
     // Check if service account key is provided
     const serviceAccountKey = process.env.FIREBASE_SERVICE_ACCOUNT_KEY;
 
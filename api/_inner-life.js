@@ -0,0 +1,333 @@
+// Inner life of a Mindclone - the DMN's private journal and its Umwelt (subjective world model)
+// reflect() writes journal entries here and Umwelt revisions are saved through saveUmwelt(),
+// which keeps a diff of every revision so the owner can see how the clone's identity drifted.
+// The owner can pin insights that ring true, or veto ones that don't; vetoed insights are fed
+// back into reflection (and filtered out of its output) so they aren't regenerated.
+//
+// Storage:
+//   users/{userId}/dmnJournal/{id}          { entry, insight, mood, createdAt, pinned, vetoed, vetoReason, ... }
+//   users/{userId}/umweltRevisions/{id}     { createdAt, source, note, changeId, fields, diff: { before, after } }
+//   users/{userId}/settings/umwelt          the current Umwelt
+//   users/{userId}/settings/inner-life      { pinnedInsights: [...], vetoedInsights: [...] } for prompts
+
+const { embedLocal, cosineSimilarity } = require('./_embeddings');
+
+const UMWELT_FIELDS = ['selfConcept', 'values', 'drives', 'worldview', 'relationships', 'preferences', 'currentConcerns'];
+const MAX_PAGE_SIZE = 100;
+const MAX_FEEDBACK_INSIGHTS = 50;
+const MAX_REASON_CHARS = 300;
+const VETO_SIMILARITY = 0.8; // Local-embedding cosine at which an insight counts as a vetoed one
+
+function getUserRef(db, userId) {
+  return db.collection('users').doc(userId);
+}
+
+function getJournalRef(db, userId) {
+  return getUserRef(db, userId).collection('dmnJournal');
+}
+
+function getRevisionsRef(db, userId) {
+  return getUserRef(db, userId).collection('umweltRevisions');
+}
+
+function getFeedbackRef(db, userId) {
+  return getUserRef(db, userId).collection('settings').doc('inner-life');
+}
+
+function serializeEntry(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    entry: data.entry || '',
+    insight: data.insight || null,
+    mood: data.mood || null,
+    createdAt: data.createdAt || null,
+    pinned: !!data.pinned,
+    vetoed: !!data.vetoed,
+    ...(data.vetoed && { vetoReason: data.vetoReason || null, vetoedAt: data.vetoedAt || null }),
+    ...(data.pinned && { pinnedAt: data.pinnedAt || null })
+  };
+}
+
+// Cursor pagination over a collection ordered by createdAt desc, filtering while scanning
+async function pageByCreatedAt(collectionRef, { limit, cursor, filter, serialize }) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_PAGE_SIZE);
+
+  let startAfter = null;
+  if (cursor) {
+    startAfter = await collectionRef.doc(cursor).get();
+    if (!startAfter.exists) throw new Error('Invalid cursor');
+  }
+
+  const items = [];
+  let lastScanned = null;
+  let exhausted = false;
+
+  while (items.length < pageSize && !exhausted) {
+    let query = collectionRef.orderBy('createdAt', 'desc').limit(pageSize * 2);
+    if (lastScanned || startAfter) query = query.startAfter(lastScanned || startAfter);
+    const snapshot = await query.get();
+
+    for (const doc of snapshot.docs) {
+      lastScanned = doc;
+      if (!filter || filter(doc.data())) items.push(serialize(doc));
+      if (items.length >= pageSize) break;
+    }
+    exhausted = snapshot.docs.length < pageSize * 2;
+  }
+
+  return { items, nextCursor: items.length >= pageSize ? lastScanned.id : null };
+}
+
+// ===================== JOURNAL =====================
+
+// Journals used to live as a 20-entry array on settings/dmn-state; copy it over once
+async function migrateLegacyJournal(db, userId) {
+  const stateRef = getUserRef(db, userId).collection('settings').doc('dmn-state');
+  const stateDoc = await stateRef.get();
+  const state = stateDoc.exists ? stateDoc.data() : null;
+  if (!state || state.journalMigrated || !Array.isArray(state.journal) || state.journal.length === 0) return 0;
+
+  const batch = db.batch();
+  state.journal.forEach((entry, i) => {
+    batch.set(getJournalRef(db, userId).doc(`legacy_${i}`), {
+      entry: entry.entry || '',
+      insight: entry.insight || null,
+      mood: entry.mood || null,
+      createdAt: entry.date || new Date(0).toISOString(),
+      pinned: false,
+      vetoed: false
+    });
+  });
+  batch.set(stateRef, { journalMigrated: true }, { merge: true });
+  await batch.commit();
+
+  console.log(`[InnerLife] Migrated ${state.journal.length} legacy journal entries for ${userId}`);
+  return state.journal.length;
+}
+
+/**
+ * Add a DMN journal entry
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @param {Object} entry - { entry, insight?, mood? }
+ * @returns {Promise<string>} - Entry ID
+ */
+async function addJournalEntry(db, userId, { entry, insight = null, mood = null }) {
+  await migrateLegacyJournal(db, userId);
+  const ref = await getJournalRef(db, userId).add({
+    entry: entry || '',
+    insight: insight || null,
+    mood: mood || null,
+    createdAt: new Date().toISOString(),
+    pinned: false,
+    vetoed: false
+  });
+  return ref.id;
+}
+
+/**
+ * Most recent journal entries for prompts, vetoed insights stripped
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @param {number} [limit=5]
+ * @returns {Promise<Array<Object>>} - Newest first
+ */
+async function getRecentJournal(db, userId, limit = 5) {
+  await migrateLegacyJournal(db, userId);
+  const snapshot = await getJournalRef(db, userId).orderBy('createdAt', 'desc').limit(limit).get();
+  return snapshot.docs.map(serializeEntry).map(e => (e.vetoed ? { ...e, insight: null } : e));
+}
+
+/**
+ * Page through the journal, newest first
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @param {Object} [options] - { limit=20, cursor, filter: 'pinned' | 'vetoed' | 'insights' }
+ * @returns {Promise<Object>} - { entries, nextCursor }
+ */
+async function listJournal(db, userId, { limit = 20, cursor = null, filter = null } = {}) {
+  await migrateLegacyJournal(db, userId);
+  const filters = {
+    pinned: (d) => !!d.pinned,
+    vetoed: (d) => !!d.vetoed,
+    insights: (d) => !!d.insight
+  };
+  const { items, nextCursor } = await pageByCreatedAt(getJournalRef(db, userId), {
+    limit,
+    cursor,
+    filter: filters[filter] || null,
+    serialize: serializeEntry
+  });
+  return { entries: items, nextCursor };
+}
+
+/**
+ * Pin or veto a journal insight (or undo either). Pinning and vetoing are exclusive.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @param {string} entryId
+ * @param {string} action - 'pin' | 'unpin' | 'veto' | 'unveto'
+ * @param {Object} [options] - { reason } for vetoes
+ * @returns {Promise<Object>} - { success, entry } or { success: false, error }
+ */
+async function setInsightFeedback(db, userId, entryId, action, { reason = null } = {}) {
+  if (!['pin', 'unpin', 'veto', 'unveto'].includes(action)) {
+    return { success: false, error: `Unknown action: ${action}` };
+  }
+
+  const ref = getJournalRef(db, userId).doc(entryId);
+  const doc = await ref.get();
+  if (!doc.exists) return { success: false, error: 'Journal entry not found' };
+
+  const data = doc.data();
+  const text = data.insight || data.entry;
+  if ((action === 'pin' || action === 'veto') && !text) {
+    return { success: false, error: 'Entry has nothing to pin or veto' };
+  }
+
+  const now = new Date().toISOString();
+  const updates = {
+    pin: { pinned: true, pinnedAt: now, vetoed: false, vetoReason: null, vetoedAt: null },
+    unpin: { pinned: false, pinnedAt: null },
+    veto: { vetoed: true, vetoedAt: now, vetoReason: reason ? String(reason).substring(0, MAX_REASON_CHARS) : null, pinned: false, pinnedAt: null },
+    unveto: { vetoed: false, vetoedAt: null, vetoReason: null }
+  }[action];
+  await ref.update(updates);
+
+  // Keep the denormalized lists that reflection prompts read in step
+  const feedbackRef = getFeedbackRef(db, userId);
+  const feedbackDoc = await feedbackRef.get();
+  const feedback = feedbackDoc.exists ? feedbackDoc.data() : {};
+  const without = (list) => (list || []).filter(i => i.entryId !== entryId);
+  const pinnedInsights = without(feedback.pinnedInsights);
+  const vetoedInsights = without(feedback.vetoedInsights);
+  if (action === 'pin') pinnedInsights.unshift({ entryId, text, at: now });
+  if (action === 'veto') vetoedInsights.unshift({ entryId, text, reason: updates.vetoReason, at: now });
+  await feedbackRef.set({
+    pinnedInsights: pinnedInsights.slice(0, MAX_FEEDBACK_INSIGHTS),
+    vetoedInsights: vetoedInsights.slice(0, MAX_FEEDBACK_INSIGHTS)
+  }, { merge: true });
+
+  console.log(`[InnerLife] ${action} journal entry ${entryId} for ${userId}`);
+  return { success: true, entry: serializeEntry(await ref.get()) };
+}
+
+/**
+ * Pinned and vetoed insights, for feeding back into reflection
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @returns {Promise<Object>} - { pinned: [{ text }], vetoed: [{ text, reason }] }
+ */
+async function getInsightFeedback(db, userId) {
+  const doc = await getFeedbackRef(db, userId).get();
+  const data = doc.exists ? doc.data() : {};
+  return {
+    pinned: data.pinnedInsights || [],
+    vetoed: data.vetoedInsights || []
+  };
+}
+
+/**
+ * The vetoed insight a piece of text restates, if any
+ * @param {string} text
+ * @param {Array<{text: string}>} vetoed - From getInsightFeedback()
+ * @returns {Object|null} - The matching vetoed insight
+ */
+function matchVetoedInsight(text, vetoed) {
+  if (!text || !vetoed || vetoed.length === 0) return null;
+  const vector = embedLocal(text);
+  return vetoed.find(v => cosineSimilarity(vector, embedLocal(v.text)) >= VETO_SIMILARITY) || null;
+}
+
+// ===================== UMWELT =====================
+
+/**
+ * The current Umwelt (null before the first revision)
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @returns {Promise<Object|null>}
+ */
+async function getUmwelt(db, userId) {
+  const doc = await getUserRef(db, userId).collection('settings').doc('umwelt').get();
+  return doc.exists ? doc.data() : null;
+}
+
+/**
+ * Field-level diff of two Umwelts (only the fields that changed)
+ * @param {Object|null} before
+ * @param {Object} after
+ * @returns {Object} - { before: {...}, after: {...} }
+ */
+function diffUmwelt(before, after) {
+  const diff = { before: {}, after: {} };
+  for (const field of UMWELT_FIELDS) {
+    const a = before?.[field] ?? null;
+    const b = after?.[field] ?? null;
+    if (JSON.stringify(a) !== JSON.stringify(b)) {
+      diff.before[field] = a;
+      diff.after[field] = b;
+    }
+  }
+  return diff;
+}
+
+/**
+ * Replace the Umwelt and record the revision's diff
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @param {Object} umwelt - The new Umwelt
+ * @param {Object} [options] - { source, note, changeId } recorded with the revision
+ * @returns {Promise<Object>} - { success, revisionId, fields }
+ */
+async function saveUmwelt(db, userId, umwelt, { source = null, note = null, changeId = null } = {}) {
+  const before = await getUmwelt(db, userId);
+  const now = new Date().toISOString();
+
+  await getUserRef(db, userId).collection('settings').doc('umwelt').set({ ...umwelt, updatedAt: now });
+
+  const diff = diffUmwelt(before, umwelt);
+  const fields = Object.keys(diff.after);
+  const revisionRef = await getRevisionsRef(db, userId).add({
+    createdAt: now,
+    source,
+    note: note || umwelt.revisionHistory?.[umwelt.revisionHistory.length - 1]?.note || null,
+    changeId,
+    initial: !before,
+    fields,
+    diff: JSON.parse(JSON.stringify(diff))
+  });
+
+  return { success: true, revisionId: revisionRef.id, fields };
+}
+
+/**
+ * Page through Umwelt revisions (with diffs), newest first
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @param {Object} [options] - { limit=20, cursor, field } — field: only revisions that changed it
+ * @returns {Promise<Object>} - { revisions, nextCursor }
+ */
+async function listUmweltRevisions(db, userId, { limit = 20, cursor = null, field = null } = {}) {
+  const { items, nextCursor } = await pageByCreatedAt(getRevisionsRef(db, userId), {
+    limit,
+    cursor,
+    filter: field ? (d) => (d.fields || []).includes(field) : null,
+    serialize: (doc) => ({ id: doc.id, ...doc.data() })
+  });
+  return { revisions: items, nextCursor };
+}
+
+module.exports = {
+  UMWELT_FIELDS,
+  addJournalEntry,
+  getRecentJournal,
+  listJournal,
+  setInsightFeedback,
+  getInsightFeedback,
+  matchVetoedInsight,
+  getUmwelt,
+  diffUmwelt,
+  saveUmwelt,
+  listUmweltRevisions
+};
@@ -0,0 +1,732 @@
+// Introductions - double-opt-in handoff after both sides of a match approve
+// A mutual approval no longer just swaps contact details. Instead:
+//   drafting          — an intro message is drafted for both owners. Either can edit it (an edit
+//                       needs both to approve again). Each owner approves the current version and
+//                       picks which of their channels (email, WhatsApp, LinkedIn, X) to reveal.
+//   introduced        — both approved: the intro goes out to both (in-app + WhatsApp) and only the
+//                       chosen channels become visible. Either side can propose meeting times.
+//   scheduled         — the other side accepted one of the proposed times
+//   awaiting_feedback — the meeting time (or FOLLOW_UP_DAYS after the intro, if nothing was
+//                       scheduled) has passed; both were asked whether it happened and how it went
+//   completed         — both answered. declined — either withdrew before the intro went out.
+//   frozen            — a report is under review; blocked / removed — ended by a block or an
+//                       upheld report (see _matching-safety.js). No contact is shown in any of these.
+// Meeting feedback is logged on matchOutcomes and trains scorer v2 (recordIntroFeedback).
+//
+// Storage: introductions/{matchId} (top-level, so the cron can find due follow-ups across users
+// with a single-field range query on nextActionAt, like reminders)
+//   { matchId, matchType, userA_id, userB_id, status, draft: { text, version, editedBy, generated },
+//     sides: { userA: { approvedVersion, channels[], slots[], feedback }, userB: { ... } },
+//     scheduledAt, scheduledBy, introducedAt, happened, nextActionAt, nextAction, createdAt, updatedAt }
+//   nextAction — 'nudge' (drafting, nobody has acted) | 'feedback' (ask how it went)
+//
+// Matches approved before INTRODUCTIONS_ROLLOUT_AT never got an intro and keep the old
+// show-everything contact view. Any later approved match without an intro doc had its draft fail:
+// the match is marked introduction.status = 'failed' and the cron drafts it again
+// (findMatchesMissingIntroduction). Contacts stay hidden until then.
+
+const { admin } = require('./_firebase-admin');
+const { generateText } = require('./_llm');
+const { sideOf } = require('./_m2m-steering');
+const { parseWhen } = require('./_reminders');
+const { getUserLocale, formatInZone } = require('./_user-locale');
+
+const SIDES = ['userA', 'userB'];
+const CHANNELS = ['email', 'whatsapp', 'linkedIn', 'twitter'];
+const CLOSED_STATUSES = ['blocked', 'removed']; // set by _matching-safety.js endMatch
+const CHANNEL_LABELS = { email: 'Email', whatsapp: 'WhatsApp', linkedIn: 'LinkedIn', twitter: 'X' };
+const MAX_DRAFT_CHARS = 2000;
+const MAX_SLOTS = 5;
+const MAX_NOTE_CHARS = 1000;
+const NUDGE_AFTER_HOURS = 48;      // one reminder if an intro sits unapproved
+const FEEDBACK_AFTER_HOURS = 2;    // after the scheduled meeting time
+const FOLLOW_UP_DAYS = 7;          // intro went out but no time was ever agreed
+const INTRODUCTIONS_ROLLOUT_AT = Date.parse('2026-10-19T00:00:00.000Z');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function getIntroductionsRef(db) {
+  return db.collection('introductions');
+}
+
+function otherSide(side) {
+  return side === 'userA' ? 'userB' : 'userA';
+}
+
+function emptySide() {
+  return { approvedVersion: null, channels: [], slots: [], feedback: null };
+}
+
+function toMillis(timestamp) {
+  if (!timestamp) return 0;
+  if (typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+  if (timestamp instanceof Date) return timestamp.getTime();
+  if (typeof timestamp === 'string') return Date.parse(timestamp) || 0;
+  return 0;
+}
+
+/**
+ * Whether a match was approved before intros existed, so it may keep the old contact view.
+ * An approval time that can't be read counts as after the rollout.
+ * @param {Object} match - matches doc
+ * @returns {boolean}
+ */
+function isPreIntroductionMatch(match) {
+  const approvedAt = toMillis(match.approvedAt) || Math.max(
+    toMillis(match.human_approval?.userA_approvedAt),
+    toMillis(match.human_approval?.userB_approvedAt)
+  );
+  return approvedAt > 0 && approvedAt < INTRODUCTIONS_ROLLOUT_AT;
+}
+
+// ===================== CONTACT CHANNELS =====================
+
+/**
+ * Everything a user could reveal in an intro (from the user doc, link settings and matching profile)
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @returns {Promise<Object>} - { displayName, preferredContact, channels: { email?, whatsapp?, linkedIn?, twitter? } }
+ */
+async function getContactChannels(db, userId) {
+  const [userDoc, linkSettingsDoc, profileDoc] = await Promise.all([
+    db.collection('users').doc(userId).get(),
+    db.collection('users').doc(userId).collection('linkSettings').doc('config').get(),
+    db.collection('matchingProfiles').doc(userId).get()
+  ]);
+  const userData = userDoc.exists ? userDoc.data() : {};
+  const settings = linkSettingsDoc.exists ? linkSettingsDoc.data() : {};
+  const profile = profileDoc.exists ? profileDoc.data() : {};
+
+  const all = {
+    email: settings.contactEmail || userData.email || null,
+    whatsapp: settings.contactWhatsApp || settings.whatsappNumber || null,
+    linkedIn: settings.linkedIn || null,
+    twitter: settings.twitter || null
+  };
+  return {
+    displayName: settings.displayName || profile.displayName || userData.displayName || 'Your match',
+    preferredContact: settings.preferredContact || 'email',
+    channels: Object.fromEntries(Object.entries(all).filter(([, value]) => value))
+  };
+}
+
+// ===================== DRAFTING =====================
+
+function fallbackDraft(match, nameA, nameB) {
+  const insight = match.conversationMetadata?.keyInsights?.[0];
+  return `Hi ${nameA} and ${nameB},
+
+I'd like to introduce you two. Your mindclones talked about ${match.matchType || 'networking'} and both thought you should meet${insight ? ` — ${insight.charAt(0).toLowerCase()}${insight.slice(1)}` : '.'}
+
+${nameA}, ${nameB}: I'll leave it to you to find a time for a quick call. Enjoy the conversation!`;
+}
+
+/**
+ * Draft the intro message both owners will review (plain text, works as email or WhatsApp)
+ * @param {Object} match - matches doc
+ * @param {Object} people - { userA: { displayName, bio }, userB: { displayName, bio } }
+ * @returns {Promise<Object>} - { text, generated }
+ */
+async function draftIntroductionText(match, people) {
+  const nameA = people.userA.displayName;
+  const nameB = people.userB.displayName;
+  const insights = match.conversationMetadata?.keyInsights || [];
+
+  const prompt = `Write a short double-opt-in introduction message between two people whose mindclones (AI representatives) matched them for ${match.matchType || 'networking'}.
+
+${nameA}: ${people.userA.bio || '(no bio)'}
+${nameB}: ${people.userB.bio || '(no bio)'}
+${insights.length > 0 ? `\nWhat came out of their mindclones' conversation:\n${insights.map(i => `- ${i}`).join('\n')}\n` : ''}
+Address both by first name, say in one or two sentences why they should talk, and suggest a short call as the next step.
+Under 120 words, plain text (no markdown, no subject line), warm but not gushing.
+Do not include any email addresses, phone numbers or links — contact details are added separately.`;
+
+  try {
+    const text = (await generateText(null, prompt, { maxTokens: 400, label: 'intro-draft' })).trim();
+    if (text) return { text: text.substring(0, MAX_DRAFT_CHARS), generated: true };
+  } catch (error) {
+    console.error('[Introductions] Draft generation failed:', error.message);
+  }
+  return { text: fallbackDraft(match, nameA, nameB), generated: false };
+}
+
+/**
+ * Start the intro flow for a mutually approved match. Idempotent — calling it again for the same
+ * match returns the existing introduction.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} match - matches doc (with id)
+ * @returns {Promise<Object>} - { success, introduction, created } or { success: false, error }
+ */
+async function startIntroduction(db, match) {
+  try {
+    const ref = getIntroductionsRef(db).doc(match.id);
+    const existing = await ref.get();
+    if (existing.exists) {
+      return { success: true, introduction: { id: existing.id, ...existing.data() }, created: false };
+    }
+
+    const [contactA, contactB, profileA, profileB] = await Promise.all([
+      getContactChannels(db, match.userA_id),
+      getContactChannels(db, match.userB_id),
+      db.collection('matchingProfiles').doc(match.userA_id).get(),
+      db.collection('matchingProfiles').doc(match.userB_id).get()
+    ]);
+    const draft = await draftIntroductionText(match, {
+      userA: { displayName: contactA.displayName, bio: profileA.exists ? profileA.data().bio : null },
+      userB: { displayName: contactB.displayName, bio: profileB.exists ? profileB.data().bio : null }
+    });
+
+    const nowIso = new Date().toISOString();
+    const introduction = {
+      matchId: match.id,
+      matchType: match.matchType || null,
+      userA_id: match.userA_id,
+      userB_id: match.userB_id,
+      status: 'drafting',
+      draft: { text: draft.text, version: 1, editedBy: null, generated: draft.generated },
+      sides: { userA: emptySide(), userB: emptySide() },
+      scheduledAt: null,
+      scheduledBy: null,
+      introducedAt: null,
+      happened: null,
+      nextAction: 'nudge',
+      nextActionAt: new Date(Date.now() + NUDGE_AFTER_HOURS * HOUR_MS).toISOString(),
+      createdAt: nowIso,
+      updatedAt: nowIso
+    };
+
+    // Two approval paths can race here; only the first one writes
+    const created = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (doc.exists) return false;
+      tx.set(ref, introduction);
+      return true;
+    });
+    if (!created) {
+      const doc = await ref.get();
+      return { success: true, introduction: { id: doc.id, ...doc.data() }, created: false };
+    }
+
+    await db.collection('matches').doc(match.id).update({ 'introduction.status': 'drafting' });
+    console.log(`[Introductions] Started intro for match ${match.id}`);
+    return { success: true, introduction: { id: match.id, ...introduction }, created: true };
+  } catch (error) {
+    console.error('[Introductions] Error starting introduction:', error);
+    // Leave a marker so the cron drafts it again; contacts stay hidden until an intro exists
+    await db.collection('matches').doc(match.id).update({
+      'introduction.status': 'failed',
+      'introduction.error': error.message,
+      'introduction.failedAt': new Date().toISOString()
+    }).catch(markError => console.error('[Introductions] Could not mark failed intro:', markError.message));
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Approved matches whose intro failed to draft, for the cron to retry
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} [options] - { limit=20 }
+ * @returns {Promise<Array<Object>>} - matches docs (with id)
+ */
+async function findMatchesMissingIntroduction(db, { limit = 20 } = {}) {
+  const snapshot = await db.collection('matches')
+    .where('introduction.status', '==', 'failed')
+    .limit(limit)
+    .get();
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} matchId
+ * @returns {Promise<Object|null>}
+ */
+async function getIntroduction(db, matchId) {
+  const doc = await getIntroductionsRef(db).doc(matchId).get();
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+// ===================== OWNER ACTIONS =====================
+
+// Read-modify-write one introduction for one participant; `apply` returns { updates } or { error }
+async function updateIntroduction(db, matchId, userId, apply) {
+  const ref = getIntroductionsRef(db).doc(matchId);
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    if (!doc.exists) return { success: false, error: 'Introduction not found' };
+    const introduction = { id: doc.id, ...doc.data() };
+    const side = sideOf(introduction, userId);
+    if (!side) return { success: false, error: 'Access denied' };
+    // Reports freeze the intro; blocks and upheld reports end it (see _matching-safety.js)
+    if (introduction.status === 'frozen') {
+      return { success: false, error: 'This introduction is on hold while a report is reviewed' };
+    }
+    if (CLOSED_STATUSES.includes(introduction.status)) {
+      return { success: false, error: 'This introduction has been closed' };
+    }
+
+    const result = apply(introduction, side);
+    if (result.error) return { success: false, error: result.error };
+    const updates = { ...result.updates, updatedAt: new Date().toISOString() };
+    tx.update(ref, updates);
+    return { success: true, side, before: introduction, updates, ...(result.extra || {}) };
+  });
+}
+
+/**
+ * Replace the intro text. Both owners have to approve the new version.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} matchId
+ * @param {string} userId
+ * @param {string} text
+ * @returns {Promise<Object>} - { success, version } or { success: false, error }
+ */
+async function editIntroductionDraft(db, matchId, userId, text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { success: false, error: 'text is required' };
+  }
+  if (text.length > MAX_DRAFT_CHARS) {
+    return { success: false, error: `Intro must be ${MAX_DRAFT_CHARS} characters or fewer` };
+  }
+  const result = await updateIntroduction(db, matchId, userId, (introduction, side) => {
+    if (introduction.status !== 'drafting') return { error: 'The intro has already gone out' };
+    const version = (introduction.draft?.version || 0) + 1;
+    return {
+      updates: { draft: { text: text.trim(), version, editedBy: side, generated: false } },
+      extra: { version }
+    };
+  });
+  if (result.success) {
+    await notifyOtherSide(db, result.before, result.side, 'intro_edited',
+      `✏️ ${await displayNameOf(db, result.before, result.side)} edited your intro draft — take a look and approve it if it reads well.`);
+  }
+  return result.success ? { success: true, version: result.version } : result;
+}
+
+/**
+ * Approve the current draft and choose which channels to reveal. When both sides have approved
+ * the same version, the intro goes out.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} matchId
+ * @param {string} userId
+ * @param {Object} options - { channels: string[], version? } — version guards against approving text you haven't seen
+ * @returns {Promise<Object>} - { success, introduced } or { success: false, error }
+ */
+async function approveIntroduction(db, matchId, userId, { channels, version } = {}) {
+  if (!Array.isArray(channels) || channels.length === 0) {
+    return { success: false, error: 'Choose at least one channel to share' };
+  }
+  const invalid = channels.filter(channel => !CHANNELS.includes(channel));
+  if (invalid.length > 0) {
+    return { success: false, error: `Unknown channel(s): ${invalid.join(', ')}. Use: ${CHANNELS.join(', ')}` };
+  }
+
+  const { channels: available } = await getContactChannels(db, userId);
+  const missing = channels.filter(channel => !available[channel]);
+  if (missing.length > 0) {
+    return { success: false, error: `You haven't set up: ${missing.map(c => CHANNEL_LABELS[c]).join(', ')}` };
+  }
+
+  const result = await updateIntroduction(db, matchId, userId, (introduction, side) => {
+    if (introduction.status !== 'drafting') return { error: 'The intro has already gone out' };
+    const current = introduction.draft.version;
+    if (version !== undefined && version !== current) {
+      return { error: 'The intro was edited since you opened it — review the new version' };
+    }
+    const updates = {
+      [`sides.${side}.approvedVersion`]: current,
+      [`sides.${side}.channels`]: [...new Set(channels)]
+    };
+    const introduced = introduction.sides[otherSide(side)].approvedVersion === current;
+    if (introduced) {
+      const nowIso = new Date().toISOString();
+      updates.status = 'introduced';
+      updates.introducedAt = nowIso;
+      updates.nextAction = 'feedback';
+      updates.nextActionAt = new Date(Date.now() + FOLLOW_UP_DAYS * DAY_MS).toISOString();
+    }
+    return { updates, extra: { introduced } };
+  });
+  if (!result.success) return result;
+
+  if (result.introduced) {
+    await db.collection('matches').doc(matchId).update({ 'introduction.status': 'introduced' });
+    await deliverIntroduction(db, matchId);
+  } else {
+    await notifyOtherSide(db, result.before, result.side, 'intro_approved',
+      `👋 ${await displayNameOf(db, result.before, result.side)} approved your intro. Approve it too and choose what to share to make the introduction.`);
+  }
+  return { success: true, introduced: result.introduced };
+}
+
+/**
+ * Withdraw before the intro goes out. Nothing is revealed to either side.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} matchId
+ * @param {string} userId
+ * @returns {Promise<Object>} - { success } or { success: false, error }
+ */
+async function declineIntroduction(db, matchId, userId) {
+  const result = await updateIntroduction(db, matchId, userId, (introduction, side) => {
+    if (introduction.status !== 'drafting') return { error: 'The intro has already gone out' };
+    return { updates: { status: 'declined', declinedBy: side, nextAction: null, nextActionAt: null } };
+  });
+  if (result.success) {
+    await db.collection('matches').doc(matchId).update({ 'introduction.status': 'declined' });
+    console.log(`[Introductions] ${matchId} declined by ${result.side}`);
+  }
+  return result.success ? { success: true } : result;
+}
+
+/**
+ * Offer meeting times. Slots are natural language or ISO ("tomorrow 3pm", "Tuesday at 10"),
+ * read in the proposer's timezone; they replace any times this side proposed before.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} matchId
+ * @param {string} userId
+ * @param {string[]} slots
+ * @returns {Promise<Object>} - { success, slots } or { success: false, error }
+ */
+async function proposeMeetingSlots(db, matchId, userId, slots) {
+  if (!Array.isArray(slots) || slots.length === 0) {
+    return { success: false, error: 'slots must be a non-empty array' };
+  }
+  if (slots.length > MAX_SLOTS) {
+    return { success: false, error: `Propose at most ${MAX_SLOTS} times` };
+  }
+
+  const { timezone } = await getUserLocale(db, userId);
+  const parsed = [];
+  for (const slot of slots) {
+    const when = parseWhen(String(slot), { timezone });
+    if (when.error) return { success: false, error: `"${slot}": ${when.error}` };
+    parsed.push(new Date(when.at).toISOString());
+  }
+  const unique = [...new Set(parsed)].sort();
+
+  const result = await updateIntroduction(db, matchId, userId, (introduction, side) => {
+    if (!['introduced', 'scheduled'].includes(introduction.status)) {
+      return { error: 'Times can be proposed once the intro has gone out' };
+    }
+    return { updates: { [`sides.${side}.slots`]: unique } };
+  });
+  if (!result.success) return result;
+
+  await notifyOtherSide(db, result.before, result.side, 'intro_slots',
+    `📅 ${await displayNameOf(db, result.before, result.side)} proposed ${unique.length === 1 ? 'a time' : `${unique.length} times`} to meet. Pick one that works for you.`);
+  return { success: true, slots: unique };
+}
+
+/**
+ * Accept one of the times the other side proposed
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} matchId
+ * @param {string} userId
+ * @param {string} slot - ISO time, exactly as proposed
+ * @returns {Promise<Object>} - { success, scheduledAt } or { success: false, error }
+ */
+async function acceptMeetingSlot(db, matchId, userId, slot) {
+  const result = await updateIntroduction(db, matchId, userId, (introduction, side) => {
+    if (!['introduced', 'scheduled'].includes(introduction.status)) {
+      return { error: 'There is nothing to schedule yet' };
+    }
+    const offered = introduction.sides[otherSide(side)].slots || [];
+    if (!offered.includes(slot)) return { error: 'Pick one of the times they proposed' };
+    if (Date.parse(slot) <= Date.now()) return { error: 'That time has already passed' };
+    return {
+      updates: {
+        status: 'scheduled',
+        scheduledAt: slot,
+        scheduledBy: side,
+        nextAction: 'feedback',
+        nextActionAt: new Date(Date.parse(slot) + FEEDBACK_AFTER_HOURS * HOUR_MS).toISOString()
+      }
+    };
+  });
+  if (!result.success) return result;
+
+  await db.collection('matches').doc(matchId).update({ 'introduction.status': 'scheduled', 'introduction.scheduledAt': slot });
+  for (const side of SIDES) {
+    const ownerId = result.before[`${side}_id`];
+    const prefs = await getUserLocale(db, ownerId);
+    const other = await displayNameOf(db, result.before, otherSide(side));
+    await notify(db, ownerId, 'intro_scheduled', matchId,
+      `📅 You're meeting ${other} on ${formatInZone(slot, prefs, 'short')}.`);
+  }
+  return { success: true, scheduledAt: slot };
+}
+
+/**
+ * Record whether the intro happened and how it went. Feeds scorer v2 (recordIntroFeedback).
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} matchId
+ * @param {string} userId
+ * @param {Object} feedback - { happened: boolean, rating?: 1-5, wouldMeetAgain?: boolean, note? }
+ * @returns {Promise<Object>} - { success, completed } or { success: false, error }
+ */
+async function submitIntroFeedback(db, matchId, userId, feedback = {}) {
+  if (typeof feedback.happened !== 'boolean') {
+    return { success: false, error: 'happened (true/false) is required' };
+  }
+  const rating = feedback.rating === undefined || feedback.rating === null ? null : Number(feedback.rating);
+  if (feedback.happened && (!Number.isInteger(rating) || rating < 1 || rating > 5)) {
+    return { success: false, error: 'rating must be a whole number from 1 to 5' };
+  }
+  const entry = {
+    happened: feedback.happened,
+    rating: feedback.happened ? rating : null,
+    wouldMeetAgain: typeof feedback.wouldMeetAgain === 'boolean' ? feedback.wouldMeetAgain : null,
+    note: typeof feedback.note === 'string' ? feedback.note.trim().substring(0, MAX_NOTE_CHARS) : null,
+    at: new Date().toISOString()
+  };
+
+  const result = await updateIntroduction(db, matchId, userId, (introduction, side) => {
+    if (!['introduced', 'scheduled', 'awaiting_feedback', 'completed'].includes(introduction.status)) {
+      return { error: 'The intro hasn\'t gone out yet' };
+    }
+    const otherFeedback = introduction.sides[otherSide(side)].feedback;
+    const completed = !!otherFeedback;
+    const updates = {
+      [`sides.${side}.feedback`]: entry,
+      // Either side saying it happened is enough
+      happened: entry.happened || otherFeedback?.happened === true
+    };
+    if (completed) {
+      updates.status = 'completed';
+      updates.nextAction = null;
+      updates.nextActionAt = null;
+    }
+    return { updates, extra: { completed, happened: updates.happened } };
+  });
+  if (!result.success) return result;
+
+  await db.collection('matches').doc(matchId).update({
+    'introduction.happened': result.happened,
+    ...(result.completed ? { 'introduction.status': 'completed' } : {})
+  });
+
+  try {
+    const matchDoc = await db.collection('matches').doc(matchId).get();
+    if (matchDoc.exists) {
+      const { recordIntroFeedback } = require('./_matching-scorer');
+      await recordIntroFeedback(db, { id: matchId, ...matchDoc.data() }, userId, entry);
+    }
+  } catch (error) {
+    console.error('[Introductions] Failed to record feedback outcome:', error.message);
+  }
+  return { success: true, completed: result.completed };
+}
+
+// ===================== DELIVERY =====================
+
+async function displayNameOf(db, introduction, side) {
+  const { displayName } = await getContactChannels(db, introduction[`${side}_id`]);
+  return displayName;
+}
+
+function matchLink(matchId) {
+  return `${process.env.APP_URL || 'https://mindclone.studio'}/matching?match=${encodeURIComponent(matchId)}`;
+}
+
+// In-app notification plus WhatsApp (unless the owner turned the 'matching' trigger off)
+async function notify(db, userId, type, matchId, message) {
+  const { createMatchNotification } = require('./_matching-helpers');
+  const { queueWhatsApp } = require('./_whatsapp');
+  await createMatchNotification(userId, type, { matchId, message });
+  await queueWhatsApp(userId, `${message}\n\n${matchLink(matchId)}`, 'matching');
+}
+
+async function notifyOtherSide(db, introduction, side, type, message) {
+  try {
+    await notify(db, introduction[`${otherSide(side)}_id`], type, introduction.matchId, message);
+  } catch (error) {
+    console.error(`[Introductions] Failed to notify about ${type}:`, error.message);
+  }
+}
+
+function formatChannels(name, channels) {
+  const lines = Object.entries(channels).map(([channel, value]) => `${CHANNEL_LABELS[channel]}: ${value}`);
+  return `${name}\n${lines.join('\n')}`;
+}
+
+/**
+ * Reveal what each side chose to share, to the other side only
+ * @param {Object} introduction
+ * @param {string} side - Viewer
+ * @param {Object} contacts - { userA, userB } from getContactChannels
+ * @returns {Object|null} - { displayName, channels } or null before the intro has gone out
+ */
+function revealedContact(introduction, side, contacts) {
+  if (['drafting', 'declined', 'frozen', ...CLOSED_STATUSES].includes(introduction.status)) return null;
+  const other = otherSide(side);
+  const chosen = introduction.sides[other].channels || [];
+  return {
+    displayName: contacts[other].displayName,
+    channels: Object.fromEntries(chosen.filter(c => contacts[other].channels[c]).map(c => [c, contacts[other].channels[c]]))
+  };
+}
+
+// Send the approved intro to both sides, each with the other's chosen channels
+async function deliverIntroduction(db, matchId) {
+  const introduction = await getIntroduction(db, matchId);
+  if (!introduction) return;
+  const contacts = {
+    userA: await getContactChannels(db, introduction.userA_id),
+    userB: await getContactChannels(db, introduction.userB_id)
+  };
+
+  for (const side of SIDES) {
+    const contact = revealedContact(introduction, side, contacts);
+    const message = `🤝 Your introduction to ${contact.displayName} is out!\n\n${introduction.draft.text}\n\n${formatChannels(contact.displayName, contact.channels)}\n\nPropose a few times to meet, or reach out directly.`;
+    try {
+      const { createMatchNotification } = require('./_matching-helpers');
+      const { queueWhatsApp } = require('./_whatsapp');
+      await createMatchNotification(introduction[`${side}_id`], 'intro_sent', {
+        matchId,
+        displayName: contact.displayName,
+        introText: introduction.draft.text,
+        contactInfo: contact.channels,
+        message: `🤝 Your introduction to ${contact.displayName} is out! You can now reach them directly.`
+      });
+      await queueWhatsApp(introduction[`${side}_id`], `${message}\n\n${matchLink(matchId)}`, 'matching');
+    } catch (error) {
+      console.error(`[Introductions] Failed to deliver intro to ${side}:`, error.message);
+    }
+  }
+  console.log(`[Introductions] Intro delivered for match ${matchId}`);
+}
+
+// ===================== VIEW =====================
+
+/**
+ * One owner's view of an introduction: their own choices, the other side's approval state,
+ * times in the viewer's timezone, and the other side's contact details once revealed
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} introduction
+ * @param {string} userId - Viewer
+ * @returns {Promise<Object|null>}
+ */
+async function serializeIntroductionFor(db, introduction, userId) {
+  const side = sideOf(introduction, userId);
+  if (!side) return null;
+  const other = otherSide(side);
+  const [contactA, contactB, prefs] = await Promise.all([
+    getContactChannels(db, introduction.userA_id),
+    getContactChannels(db, introduction.userB_id),
+    getUserLocale(db, userId)
+  ]);
+  const contacts = { userA: contactA, userB: contactB };
+  const mine = introduction.sides[side];
+  const theirs = introduction.sides[other];
+  const slot = at => ({ at, label: formatInZone(at, prefs, 'short') });
+
+  return {
+    matchId: introduction.matchId,
+    status: introduction.status,
+    draft: introduction.draft,
+    myApproval: mine.approvedVersion === introduction.draft.version,
+    otherApproved: theirs.approvedVersion === introduction.draft.version,
+    myChannels: mine.channels,
+    availableChannels: Object.keys(contacts[side].channels),
+    preferredContact: contacts[side].preferredContact,
+    mySlots: (mine.slots || []).map(slot),
+    theirSlots: (theirs.slots || []).filter(at => Date.parse(at) > Date.now()).map(slot),
+    scheduled: introduction.scheduledAt ? slot(introduction.scheduledAt) : null,
+    introducedAt: introduction.introducedAt,
+    contact: revealedContact(introduction, side, contacts),
+    myFeedback: mine.feedback,
+    otherGaveFeedback: !!theirs.feedback,
+    happened: introduction.happened,
+    timezone: prefs.timezone
+  };
+}
+
+// ===================== FOLLOW-UPS (cron) =====================
+
+/**
+ * Introductions with a follow-up due now, oldest first
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} [options] - { limit=50 }
+ * @returns {Promise<Array<FirebaseFirestore.QueryDocumentSnapshot>>}
+ */
+async function findDueIntroductions(db, { limit = 50 } = {}) {
+  const snapshot = await getIntroductionsRef(db)
+    .where('nextActionAt', '<=', new Date().toISOString())
+    .orderBy('nextActionAt', 'asc')
+    .limit(limit)
+    .get();
+  return snapshot.docs;
+}
+
+/**
+ * Take a due follow-up atomically so overlapping cron runs send it once. Nudges and feedback
+ * prompts are each sent once; nothing is rescheduled afterwards.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} matchId
+ * @returns {Promise<Object|null>} - the introduction with the claimed `action`, or null
+ */
+async function claimDueIntroduction(db, matchId) {
+  const ref = getIntroductionsRef(db).doc(matchId);
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    if (!doc.exists) return null;
+    const data = doc.data();
+    if (!data.nextActionAt || Date.parse(data.nextActionAt) > Date.now() || !data.nextAction) return null;
+
+    const updates = { nextAction: null, nextActionAt: null, updatedAt: new Date().toISOString() };
+    if (data.nextAction === 'feedback') updates.status = 'awaiting_feedback';
+    tx.update(ref, updates);
+    return { id: doc.id, ...data, action: data.nextAction };
+  });
+}
+
+/**
+ * Send the follow-up a claimed introduction is due for
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} introduction - From claimDueIntroduction
+ * @returns {Promise<number>} - messages sent
+ */
+async function sendIntroductionFollowUp(db, introduction) {
+  let sent = 0;
+  for (const side of SIDES) {
+    const mine = introduction.sides[side];
+    const other = await displayNameOf(db, introduction, otherSide(side));
+    let message = null;
+
+    if (introduction.action === 'nudge' && mine.approvedVersion !== introduction.draft.version) {
+      message = `👋 Your intro to ${other} is waiting for you. Approve it (and choose what to share) or decline it.`;
+    } else if (introduction.action === 'feedback' && !mine.feedback) {
+      message = introduction.scheduledAt
+        ? `How did your meeting with ${other} go? Rate it 1-5 — it helps your mindclone find better matches.`
+        : `Did you and ${other} end up talking? Let your mindclone know how it went — it helps it find better matches.`;
+    }
+
+    if (message) {
+      await notify(db, introduction[`${side}_id`], introduction.action === 'nudge' ? 'intro_nudge' : 'intro_feedback', introduction.matchId, message);
+      sent++;
+    }
+  }
+  return sent;
+}
+
+module.exports = {
+  CHANNELS,
+  getContactChannels,
+  draftIntroductionText,
+  isPreIntroductionMatch,
+  startIntroduction,
+  findMatchesMissingIntroduction,
+  getIntroduction,
+  editIntroductionDraft,
+  approveIntroduction,
+  declineIntroduction,
+  proposeMeetingSlots,
+  acceptMeetingSlot,
+  submitIntroFeedback,
+  revealedContact,
+  serializeIntroductionFor,
+  findDueIntroductions,
+  claimDueIntroduction,
+  sendIntroductionFollowUp
+};
@@ -0,0 +1,384 @@
+// Knowledge base chunk index — retrieval instead of truncation
+// Uploaded documents are split into ~1,200-char chunks at upload time, each anchored to
+// the page (PDFs), sheet (spreadsheets) or heading (text/markdown) it came from. At chat
+// time only the chunks relevant to the question are injected, ranked by the same hybrid
+// of cosine similarity and BM25 used for memory recall, and labelled with file name +
+// page so the model can cite them. A 60-page deck is searchable end to end instead of
+// being cut off after the first 5,000 characters.
+//
+// Storage:
+//   users/{userId}/kbChunks/{docKey}__{chunkIndex}
+//   users/{userId}/linkKnowledgeBase/documents.chunksUpdatedAt  (cache version)
+// Chunks carry no visibility of their own — callers pass the visibility-filtered
+// documents map from linkKnowledgeBase, and only chunks of those docKeys are searched.
+
+const { admin } = require('./_firebase-admin');
+const {
+  embedTexts,
+  embedLocal,
+  cosineSimilarity,
+  tokenize,
+  scoreBM25,
+  getMinSimilarity,
+  LOCAL_EMBEDDING_MODEL
+} = require('./_embeddings');
+
+const CHUNK_CHARS = 1200;
+const CHUNK_OVERLAP = 150; // Tail of the previous chunk repeated at the start of the next
+const MAX_CHUNKS_PER_DOC = 400;
+const MAX_SECTION_TITLE = 80;
+const VECTOR_WEIGHT = 0.6; // Hybrid score = 0.6 × cosine + 0.4 × normalised BM25
+const WRITE_BATCH_SIZE = 400; // Firestore batches cap at 500 writes
+const CACHE_MAX_USERS = 20;
+
+// Split on paragraphs first, then lines, then sentences
+const SPLIT_PATTERNS = [/\n\s*\n/, /\n/, /(?<=[.!?])\s+/];
+
+function getChunksCollection(db, userId) {
+  return db.collection('users').doc(userId).collection('kbChunks');
+}
+
+function getDocumentsRef(db, userId) {
+  return db.collection('users').doc(userId).collection('linkKnowledgeBase').doc('documents');
+}
+
+// ===================== EXTRACTION =====================
+
+/**
+ * Parse a PDF keeping the text of each page separate
+ * @param {Buffer} buffer - PDF file contents
+ * @returns {Promise<{ text: string, pages: string[], pageCount: number, info: Object }>}
+ */
+async function extractPdfPages(buffer) {
+  const pdfParse = require('pdf-parse');
+  const pages = [];
+
+  // Same text assembly as pdf-parse's default renderer, but recorded per page
+  const pagerender = async (pageData) => {
+    const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+      text += (lastY === undefined || lastY === item.transform[5]) ? item.str : `\n${item.str}`;
+      lastY = item.transform[5];
+    }
+    pages[pageData.pageIndex] = text;
+    return text;
+  };
+
+  const pdfData = await pdfParse(buffer, { pagerender });
+  return {
+    text: pdfData.text,
+    pages: Array.from({ length: pdfData.numpages }, (_, i) => pages[i] || ''),
+    pageCount: pdfData.numpages,
+    info: pdfData.info || {}
+  };
+}
+
+// ===================== CHUNKING =====================
+
+// Short first line of a page or block, used as its section label
+function guessSectionTitle(text) {
+  const firstLine = (text || '').split('\n').map(l => l.trim()).find(Boolean) || '';
+  return firstLine.length > 0 && firstLine.length <= MAX_SECTION_TITLE ? firstLine : null;
+}
+
+// Split markdown / plain text into units at headings (# Heading or a short ALL-CAPS line)
+function splitByHeadings(text) {
+  const units = [];
+  let current = { section: null, lines: [] };
+
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    const markdownHeading = trimmed.match(/^#{1,6}\s+(.+)$/);
+    const capsHeading = trimmed.length >= 3 && trimmed.length <= MAX_SECTION_TITLE &&
+      /\p{Lu}/u.test(trimmed) && trimmed === trimmed.toUpperCase() && !/[.!?:,]$/.test(trimmed);
+
+    if (markdownHeading || capsHeading) {
+      if (current.lines.some(l => l.trim())) units.push(current);
+      current = { section: markdownHeading ? markdownHeading[1].trim() : trimmed, lines: [] };
+    }
+    current.lines.push(line);
+  }
+  if (current.lines.some(l => l.trim())) units.push(current);
+
+  return units.map(u => ({ page: null, section: u.section, text: u.lines.join('\n') }));
+}
+
+// Break text into pieces no longer than CHUNK_CHARS, preferring natural boundaries
+function splitIntoPieces(text, level = 0) {
+  if (text.length <= CHUNK_CHARS) return [text];
+  if (level >= SPLIT_PATTERNS.length) {
+    const pieces = [];
+    for (let i = 0; i < text.length; i += CHUNK_CHARS) pieces.push(text.substring(i, i + CHUNK_CHARS));
+    return pieces;
+  }
+  return text.split(SPLIT_PATTERNS[level])
+    .filter(p => p.trim())
+    .flatMap(p => splitIntoPieces(p, level + 1));
+}
+
+// Last ~CHUNK_OVERLAP chars of a chunk, starting on a word boundary
+function overlapTail(text) {
+  if (text.length <= CHUNK_OVERLAP) return text;
+  const tail = text.substring(text.length - CHUNK_OVERLAP);
+  const space = tail.indexOf(' ');
+  return space >= 0 ? tail.substring(space + 1) : tail;
+}
+
+// Pack one unit's pieces into overlapping chunks
+function chunkUnit(text) {
+  const chunks = [];
+  let current = '';
+
+  for (const piece of splitIntoPieces(text.trim())) {
+    const trimmed = piece.trim();
+    if (!trimmed) continue;
+    if (current && current.length + trimmed.length + 1 > CHUNK_CHARS) {
+      chunks.push(current);
+      const tail = overlapTail(current);
+      current = tail.length + trimmed.length + 1 <= CHUNK_CHARS ? `${tail}\n${trimmed}` : trimmed;
+    } else {
+      current = current ? `${current}\n${trimmed}` : trimmed;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Split a document into anchored chunks
+ * Pass `pages` for PDFs, `sheets` for spreadsheets, otherwise `text` (split at headings).
+ * @param {Object} source
+ * @param {string[]} [source.pages] - Text per page, in order
+ * @param {Object} [source.sheets] - { sheetName: text }
+ * @param {string} [source.text] - Whole-document text
+ * @returns {Object[]} - { chunkIndex, page, section, text }
+ */
+function chunkDocument({ pages = null, sheets = null, text = null } = {}) {
+  let units;
+  if (Array.isArray(pages) && pages.length > 0) {
+    units = pages.map((pageText, i) => ({ page: i + 1, section: guessSectionTitle(pageText), text: pageText || '' }));
+  } else if (sheets && Object.keys(sheets).length > 0) {
+    units = Object.entries(sheets).map(([name, sheetText]) => ({ page: null, section: name, text: sheetText || '' }));
+  } else if (typeof text === 'string' && text.trim()) {
+    units = splitByHeadings(text);
+  } else {
+    return [];
+  }
+
+  const chunks = [];
+  for (const unit of units) {
+    for (const chunkText of chunkUnit(unit.text)) {
+      if (chunks.length >= MAX_CHUNKS_PER_DOC) return chunks;
+      chunks.push({ chunkIndex: chunks.length, page: unit.page, section: unit.section, text: chunkText });
+    }
+  }
+  return chunks;
+}
+
+// ===================== INDEXING =====================
+
+// Bump the version the chunk cache is keyed on
+async function touchChunksVersion(db, userId) {
+  const version = Date.now();
+  await getDocumentsRef(db, userId).set({ chunksUpdatedAt: version }, { merge: true });
+  return version;
+}
+
+/**
+ * Chunk, embed and store a document, replacing any chunks it already had
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Owner user ID
+ * @param {Object} doc
+ * @param {string} doc.docKey - Key in linkKnowledgeBase/documents
+ * @param {string} [doc.docId] - knowledgeBase panel doc ID
+ * @param {string} doc.fileName - Shown in citations
+ * @param {string[]} [doc.pages] - Text per page (PDF)
+ * @param {Object} [doc.sheets] - { sheetName: text } (spreadsheets)
+ * @param {string} [doc.text] - Whole-document text
+ * @returns {Promise<number>} - Number of chunks written
+ */
+async function indexDocumentChunks(db, userId, { docKey, docId = null, fileName, pages = null, sheets = null, text = null }) {
+  const chunks = chunkDocument({ pages, sheets, text });
+  const collection = getChunksCollection(db, userId);
+
+  await deleteChunks(db, collection.where('docKey', '==', docKey));
+
+  if (chunks.length > 0) {
+    // Embed with the section label so headings help match chunks that don't repeat them
+    const { model, vectors } = await embedTexts(
+      chunks.map(c => (c.section ? `${c.section}\n${c.text}` : c.text)),
+      { taskType: 'document' }
+    );
+
+    for (let i = 0; i < chunks.length; i += WRITE_BATCH_SIZE) {
+      const batch = db.batch();
+      chunks.slice(i, i + WRITE_BATCH_SIZE).forEach((chunk, offset) => {
+        batch.set(collection.doc(`${docKey}__${chunk.chunkIndex}`), {
+          docKey,
+          docId,
+          fileName: fileName || docKey,
+          page: chunk.page,
+          section: chunk.section,
+          chunkIndex: chunk.chunkIndex,
+          text: chunk.text,
+          embedding: vectors[i + offset],
+          embeddingModel: model,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+      await batch.commit();
+    }
+    console.log(`[KBChunks] Indexed ${chunks.length} chunks for ${docKey} (${model})`);
+  }
+
+  await touchChunksVersion(db, userId);
+  return chunks.length;
+}
+
+async function deleteChunks(db, query) {
+  const snapshot = await query.select().get();
+  for (let i = 0; i < snapshot.docs.length; i += WRITE_BATCH_SIZE) {
+    const batch = db.batch();
+    snapshot.docs.slice(i, i + WRITE_BATCH_SIZE).forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+  }
+  return snapshot.docs.length;
+}
+
+/**
+ * Remove all chunks of a document
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Owner user ID
+ * @param {string} docKey - Key in linkKnowledgeBase/documents
+ * @returns {Promise<number>} - Number of chunks deleted
+ */
+async function removeDocumentChunks(db, userId, docKey) {
+  const removed = await deleteChunks(db, getChunksCollection(db, userId).where('docKey', '==', docKey));
+  if (removed > 0) await touchChunksVersion(db, userId);
+  return removed;
+}
+
+// ===================== RETRIEVAL =====================
+
+// userId -> { version, chunks }; warm instances skip re-reading every chunk per message
+const chunkCache = new Map();
+
+async function loadChunks(db, userId, version) {
+  const cached = chunkCache.get(userId);
+  if (cached && version && cached.version === version) return cached.chunks;
+
+  const snapshot = await getChunksCollection(db, userId).get();
+  const chunks = snapshot.docs.map(doc => doc.data());
+
+  chunkCache.delete(userId);
+  if (chunkCache.size >= CACHE_MAX_USERS) chunkCache.delete(chunkCache.keys().next().value);
+  chunkCache.set(userId, { version, chunks });
+  return chunks;
+}
+
+// Chunk documents uploaded before the chunk index existed, from their stored text
+async function backfillDocuments(db, userId, documents) {
+  let indexed = 0;
+  for (const [docKey, doc] of Object.entries(documents)) {
+    const hasText = typeof doc?.text === 'string' && doc.text.trim();
+    const hasSheets = doc?.sheetSummaries && Object.keys(doc.sheetSummaries).length > 0;
+    if (!hasText && !hasSheets) continue;
+
+    console.log(`[KBChunks] Backfilling chunks for ${docKey}`);
+    indexed += await indexDocumentChunks(db, userId, {
+      docKey,
+      fileName: doc.fileName || docKey.replace(/_/g, ' '),
+      sheets: hasText ? null : doc.sheetSummaries,
+      text: hasText ? doc.text : null
+    });
+  }
+  return indexed;
+}
+
+/**
+ * Top-k knowledge base chunks for a query, within a character budget
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Owner user ID
+ * @param {string} query - The visitor's or owner's question
+ * @param {Object} options
+ * @param {Object} options.documents - Visibility-filtered linkKnowledgeBase documents map
+ * @param {number} [options.version] - linkKnowledgeBase chunksUpdatedAt (cache key)
+ * @param {number} [options.budget=15000] - Max total chunk characters
+ * @param {number} [options.topK=12] - Max chunks
+ * @returns {Promise<Object[]>} - Ranked { docKey, fileName, page, section, chunkIndex, text, score }
+ */
+async function retrieveKnowledgeChunks(db, userId, query, { documents, version = null, budget = 15000, topK = 12 }) {
+  const docKeys = new Set(Object.keys(documents || {}));
+  if (docKeys.size === 0 || !query || !query.trim()) return [];
+
+  let chunks = await loadChunks(db, userId, version);
+  const chunkedKeys = new Set(chunks.map(c => c.docKey));
+  const missing = Object.fromEntries(Object.entries(documents).filter(([key]) => !chunkedKeys.has(key)));
+  if (Object.keys(missing).length > 0 && await backfillDocuments(db, userId, missing) > 0) {
+    chunks = await loadChunks(db, userId, null);
+  }
+
+  const candidates = chunks.filter(c => docKeys.has(c.docKey));
+  if (candidates.length === 0) return [];
+
+  const { model: queryModel, vectors: [queryVector] } = await embedTexts([query], { taskType: 'query' });
+  const queryLocalVector = queryModel === LOCAL_EMBEDDING_MODEL ? queryVector : embedLocal(query);
+  const keywordScores = scoreBM25(tokenize(query), candidates.map(c => (c.section ? `${c.section}\n${c.text}` : c.text)));
+  const maxKeywordScore = Math.max(...keywordScores, 0);
+
+  const ranked = candidates.map((chunk, i) => {
+    // Chunks embedded by another model are compared with the local embedder instead
+    const sameModel = chunk.embeddingModel === queryModel;
+    const similarity = sameModel
+      ? cosineSimilarity(chunk.embedding, queryVector)
+      : cosineSimilarity(embedLocal(chunk.text), queryLocalVector);
+    const keywordScore = maxKeywordScore > 0 ? keywordScores[i] / maxKeywordScore : 0;
+    return {
+      chunk,
+      score: VECTOR_WEIGHT * Math.max(similarity, 0) + (1 - VECTOR_WEIGHT) * keywordScore,
+      relevant: keywordScore > 0 || similarity >= getMinSimilarity(sameModel ? queryModel : LOCAL_EMBEDDING_MODEL)
+    };
+  })
+    .filter(r => r.relevant)
+    .sort((a, b) => b.score - a.score);
+
+  const selected = [];
+  let charsUsed = 0;
+  for (const { chunk, score } of ranked) {
+    if (selected.length >= topK) break;
+    if (charsUsed + chunk.text.length > budget) continue;
+    selected.push({
+      docKey: chunk.docKey,
+      fileName: chunk.fileName,
+      page: chunk.page ?? null,
+      section: chunk.section ?? null,
+      chunkIndex: chunk.chunkIndex,
+      text: chunk.text,
+      score
+    });
+    charsUsed += chunk.text.length;
+  }
+  return selected;
+}
+
+/**
+ * Citation label for a chunk, e.g. "Pitch Deck.pdf, p. 12" or "Model.xlsx, Revenue"
+ * @param {Object} chunk - { fileName, page, section }
+ * @returns {string}
+ */
+function formatChunkCitation(chunk) {
+  if (chunk.page) return `${chunk.fileName}, p. ${chunk.page}`;
+  if (chunk.section) return `${chunk.fileName}, ${chunk.section}`;
+  return chunk.fileName;
+}
+
+module.exports = {
+  extractPdfPages,
+  chunkDocument,
+  indexDocumentChunks,
+  removeDocumentChunks,
+  retrieveKnowledgeChunks,
+  formatChunkCitation
+};
@@ -0,0 +1,301 @@
+// Visitor language for public link chats
+// The link answers in the language the visitor writes in while grounding on the owner's
+// (English) knowledge base. Detection is local and cheap — script ranges for non-Latin
+// languages, function-word counts for Latin ones — so it runs on every message.
+// Owner settings live in users/{userId}/linkSettings/config:
+//   supportedLanguages — language codes the link may answer in ([] = any)
+//   greetings          — { [code]: text } shown instead of customGreeting to visitors in that language
+// The visitor's language is stored on their record (_visitor-crm.js) for analytics.
+
+const LANGUAGES = {
+  en: { name: 'English', native: 'English' },
+  es: { name: 'Spanish', native: 'Español' },
+  fr: { name: 'French', native: 'Français' },
+  de: { name: 'German', native: 'Deutsch' },
+  pt: { name: 'Portuguese', native: 'Português' },
+  it: { name: 'Italian', native: 'Italiano' },
+  nl: { name: 'Dutch', native: 'Nederlands' },
+  id: { name: 'Indonesian', native: 'Bahasa Indonesia' },
+  tr: { name: 'Turkish', native: 'Türkçe' },
+  ru: { name: 'Russian', native: 'Русский' },
+  ar: { name: 'Arabic', native: 'العربية' },
+  hi: { name: 'Hindi', native: 'हिन्दी' },
+  mr: { name: 'Marathi', native: 'मराठी' },
+  bn: { name: 'Bengali', native: 'বাংলা' },
+  gu: { name: 'Gujarati', native: 'ગુજરાતી' },
+  ta: { name: 'Tamil', native: 'தமிழ்' },
+  te: { name: 'Telugu', native: 'తెలుగు' },
+  zh: { name: 'Chinese', native: '中文' },
+  ja: { name: 'Japanese', native: '日本語' },
+  ko: { name: 'Korean', native: '한국어' }
+};
+const LANGUAGE_CODES = Object.keys(LANGUAGES);
+const DEFAULT_LANGUAGE = 'en';
+const MAX_GREETING_LENGTH = 300;
+
+// Non-Latin scripts identify the language on their own (checked in order: any kana means Japanese, not Chinese)
+const SCRIPTS = [
+  ['ja', /[぀-ヿ]/g],
+  ['ko', /[가-힯]/g],
+  ['zh', /[一-鿿]/g],
+  ['ru', /[Ѐ-ӿ]/g],
+  ['ar', /[؀-ۿ]/g],
+  ['hi', /[ऀ-ॿ]/g],
+  ['bn', /[ঀ-৿]/g],
+  ['gu', /[઀-૿]/g],
+  ['ta', /[஀-௿]/g],
+  ['te', /[ఀ-౿]/g]
+];
+// Devanagari is shared; these words only show up in Marathi
+const MARATHI_MARKERS = /(आहे|आहेत|मला|तुम्ही|नाही|काय|होते)/;
+
+// Function words per Latin-script language. 'hi' here is Hinglish (Hindi typed in Latin letters).
+const STOPWORDS = {
+  en: 'the and is are you what how do does of to in for with your my can it this that have about who',
+  es: 'el la los las de que y es en por para con qué como cómo tu su una un pero está hola gracias eres tienes',
+  fr: 'le la les de des et est que qui vous je tu pour avec une un pas bonjour merci quoi comment êtes avez',
+  de: 'der die das und ist nicht ich du sie wie was mit für ein eine zu auf hallo danke bist sind dein deine ihr ihre',
+  pt: 'o os as de que e é em para com não você um uma como obrigado olá está são tem',
+  it: 'il lo gli di che e è per con non sono come cosa ciao grazie una un hai sei',
+  nl: 'de het een en is van ik je niet wat hoe met voor dat hallo bedankt bent heeft',
+  id: 'yang dan di ini itu apa saya anda tidak dengan untuk ada bagaimana halo terima kasih',
+  tr: 've bir bu ne nasıl için ile değil ben sen var mi merhaba teşekkürler',
+  hi: 'kya hai hain kaise aap tum mera meri nahi nahin kaun kab kyun aur bhi haan acha accha batao'
+};
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([code, words]) => [code, new Set(words.split(' '))]));
+const ACCENT_HINTS = [
+  ['es', /[ñ¿¡]/],
+  ['pt', /[ãõ]/],
+  ['de', /[ßäöü]/],
+  ['tr', /[ışğ]/],
+  ['fr', /[èêàç]/]
+];
+
+// Greetings that need no knowledge base lookup, in every language we detect
+const GREETINGS = {
+  en: ['hi', 'hello', 'hey', 'hiya', 'yo', 'good morning', 'good afternoon', 'good evening'],
+  es: ['hola', 'buenos dias', 'buenos días', 'buenas', 'buenas tardes', 'buenas noches', 'que tal', 'qué tal'],
+  fr: ['bonjour', 'salut', 'bonsoir', 'coucou'],
+  de: ['hallo', 'guten tag', 'guten morgen', 'guten abend', 'servus', 'moin'],
+  pt: ['ola', 'olá', 'oi', 'bom dia', 'boa tarde', 'boa noite'],
+  it: ['ciao', 'buongiorno', 'buonasera', 'salve'],
+  nl: ['hoi', 'goedemorgen', 'goedemiddag', 'goedenavond'],
+  id: ['halo', 'hai', 'selamat pagi', 'selamat siang', 'selamat sore', 'selamat malam'],
+  tr: ['merhaba', 'selam', 'günaydın', 'iyi akşamlar'],
+  ru: ['привет', 'здравствуйте', 'добрый день', 'доброе утро', 'добрый вечер'],
+  ar: ['مرحبا', 'أهلا', 'اهلا', 'السلام عليكم'],
+  hi: ['namaste', 'namaskar', 'नमस्ते', 'नमस्कार'],
+  bn: ['নমস্কার', 'হ্যালো'],
+  gu: ['નમસ્તે', 'કેમ છો'],
+  ta: ['வணக்கம்'],
+  te: ['నమస్కారం', 'నమస్తే'],
+  zh: ['你好', '您好', '早上好', '晚上好'],
+  ja: ['こんにちは', 'おはよう', 'おはようございます', 'こんばんは'],
+  ko: ['안녕하세요', '안녕']
+};
+const GREETING_FILLERS = new Set(['there', 'everyone', 'all', 'friend', 'amigo', 'amiga', 'tout', 'le', 'monde', 'zusammen', 'ji']);
+const GREETING_LOOKUP = new Map(
+  Object.entries(GREETINGS).flatMap(([code, phrases]) => phrases.map(phrase => [phrase, code]))
+);
+
+function isSupportedCode(code) {
+  return typeof code === 'string' && Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+}
+
+/**
+ * Primary language code for a BCP 47 tag ("pt-BR" → "pt"), if we know it
+ * @param {string} locale
+ * @returns {string|null}
+ */
+function languageFromLocale(locale) {
+  if (typeof locale !== 'string') return null;
+  const code = locale.trim().toLowerCase().split(/[-_]/)[0];
+  return isSupportedCode(code) ? code : null;
+}
+
+// ===================== DETECTION =====================
+
+/**
+ * The greeting's language when a message is nothing but a greeting ("Hola!", "hi there", "こんにちは")
+ * @param {string} text
+ * @returns {string|null} - Language code
+ */
+function matchGreeting(text) {
+  if (typeof text !== 'string' || text.length > 60) return null;
+  const words = text.toLowerCase().replace(/[^\p{L}\p{M}\s]/gu, ' ').split(/\s+/).filter(Boolean);
+  while (words.length > 1 && GREETING_FILLERS.has(words[words.length - 1])) words.pop();
+  return GREETING_LOOKUP.get(words.join(' ')) || null;
+}
+
+/**
+ * Guess the language of a message
+ * @param {string} text
+ * @returns {Object|null} - { language, confident } or null when there's nothing to go on
+ */
+function detectLanguage(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  // Non-Latin script: whichever script dominates the letters
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  for (const [code, pattern] of SCRIPTS) {
+    const count = (text.match(pattern) || []).length;
+    if (count > 0 && (count >= letters * 0.3 || code === 'ja')) {
+      const language = code === 'hi' && MARATHI_MARKERS.test(text) ? 'mr' : code;
+      return { language, confident: count >= 2 };
+    }
+  }
+
+  // Latin script: function-word counts, nudged by language-specific letters
+  const words = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+  if (words.length === 0) return null;
+  const scores = {};
+  for (const word of words) {
+    for (const [code, set] of Object.entries(STOPWORD_SETS)) {
+      if (set.has(word)) scores[code] = (scores[code] || 0) + 1;
+    }
+  }
+  for (const [code, pattern] of ACCENT_HINTS) {
+    if (pattern.test(text)) scores[code] = (scores[code] || 0) + 1;
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (ranked.length === 0) return null;
+  const [[language, best], second] = ranked;
+  const margin = best - (second ? second[1] : 0);
+  return { language, confident: best >= 2 && margin >= 1 && words.length >= 3 };
+}
+
+/**
+ * Work out which language to answer a visitor in
+ * Tries, in order: the latest message, a bare greeting, the last few messages together,
+ * the browser locale, then English. If the owner restricted the link's languages and the
+ * visitor's isn't one of them, replies go out in the first supported language.
+ * @param {Object} params
+ * @param {string[]} params.userTexts - Visitor messages, oldest first
+ * @param {string} [params.browserLocale] - navigator.language from the link page
+ * @param {string[]} [params.supportedLanguages] - Owner setting ([] = any)
+ * @returns {Object} - { language, replyLanguage, source }
+ */
+function resolveVisitorLanguage({ userTexts = [], browserLocale = null, supportedLanguages = [] }) {
+  const latest = userTexts[userTexts.length - 1] || '';
+  let language = null;
+  let source = null;
+
+  const fromLatest = detectLanguage(latest);
+  const greeting = matchGreeting(latest);
+  const fromConversation = detectLanguage(userTexts.slice(-3).join('\n'));
+  const fromBrowser = languageFromLocale(browserLocale);
+
+  if (fromLatest?.confident) {
+    [language, source] = [fromLatest.language, 'message'];
+  } else if (greeting) {
+    [language, source] = [greeting, 'greeting'];
+  } else if (fromConversation?.confident) {
+    [language, source] = [fromConversation.language, 'conversation'];
+  } else if (fromBrowser) {
+    [language, source] = [fromBrowser, 'browser'];
+  } else if (fromLatest) {
+    [language, source] = [fromLatest.language, 'message'];
+  } else {
+    [language, source] = [DEFAULT_LANGUAGE, 'default'];
+  }
+
+  const allowed = (supportedLanguages || []).filter(isSupportedCode);
+  const replyLanguage = allowed.length === 0 || allowed.includes(language) ? language : allowed[0];
+  return { language, replyLanguage, source };
+}
+
+// ===================== OWNER SETTINGS =====================
+
+/**
+ * Validate the owner's language settings from a link-settings save
+ * @param {Object} input - { supportedLanguages?, greetings? }
+ * @returns {Object} - { success, settings } or { success: false, error }
+ */
+function validateLanguageSettings({ supportedLanguages, greetings } = {}) {
+  const settings = {};
+
+  if (supportedLanguages !== undefined) {
+    if (!Array.isArray(supportedLanguages)) {
+      return { success: false, error: 'supportedLanguages must be an array of language codes' };
+    }
+    const unknown = supportedLanguages.filter(code => !isSupportedCode(code));
+    if (unknown.length > 0) {
+      return { success: false, error: `Unknown language: ${unknown.join(', ')}. Supported: ${LANGUAGE_CODES.join(', ')}` };
+    }
+    settings.supportedLanguages = [...new Set(supportedLanguages)];
+  }
+
+  if (greetings !== undefined) {
+    if (!greetings || typeof greetings !== 'object' || Array.isArray(greetings)) {
+      return { success: false, error: 'greetings must be an object of { languageCode: text }' };
+    }
+    const clean = {};
+    for (const [code, text] of Object.entries(greetings)) {
+      if (!isSupportedCode(code)) {
+        return { success: false, error: `Unknown language: ${code}` };
+      }
+      if (typeof text !== 'string' || text.length > MAX_GREETING_LENGTH) {
+        return { success: false, error: `Greeting for ${code} must be text of ${MAX_GREETING_LENGTH} characters or less` };
+      }
+      if (text.trim()) clean[code] = text.trim();
+    }
+    settings.greetings = clean;
+  }
+
+  return { success: true, settings };
+}
+
+/**
+ * The greeting to show a visitor: the owner's greeting in their language, else the default one
+ * @param {Object} linkSettings - linkSettings/config data
+ * @param {string} [locale] - Visitor's browser locale
+ * @returns {Object} - { greeting, language } — language is null when the default greeting was used
+ */
+function pickGreeting(linkSettings = {}, locale = null) {
+  const language = languageFromLocale(locale);
+  if (language && linkSettings.greetings?.[language]) {
+    return { greeting: linkSettings.greetings[language], language };
+  }
+  return { greeting: linkSettings.customGreeting || null, language: null };
+}
+
+// ===================== PROMPT =====================
+
+/**
+ * System prompt section telling the public link which language to answer in
+ * @param {Object} resolved - From resolveVisitorLanguage
+ * @param {Object} [options]
+ * @param {string} [options.ownerName]
+ * @param {string[]} [options.supportedLanguages]
+ * @returns {string} - Empty for an English conversation on an English link
+ */
+function formatLanguageForPrompt({ language, replyLanguage }, { ownerName = 'the owner', supportedLanguages = [] } = {}) {
+  if (language === 'en' && replyLanguage === 'en') return '';
+  const visitorName = LANGUAGES[language]?.name || language;
+  const replyName = LANGUAGES[replyLanguage]?.name || replyLanguage;
+
+  let section = '\n\n## LANGUAGE\n';
+  if (language === replyLanguage) {
+    section += `The visitor is writing in ${visitorName}. Reply in ${replyName} — natural, everyday ${replyName}, not a word-for-word translation.`;
+  } else {
+    const offered = supportedLanguages.map(code => LANGUAGES[code]?.name || code).join(', ');
+    section += `The visitor is writing in ${visitorName}, which ${ownerName} hasn't enabled for this link. Reply in ${replyName}, keep it simple, and mention once, briefly, that you can chat in ${offered}.`;
+  }
+  section += `
+Your knowledge base, documents and memories are in English. Translate the facts faithfully; keep names, company and product names, numbers and quotes exactly as they are. If the visitor switches language, switch with them, and match their script (Hinglish typed in Latin letters gets Hinglish back). The style rules apply in every language: everyday words, never a stiff or ceremonial register.`;
+  return section;
+}
+
+module.exports = {
+  LANGUAGES,
+  LANGUAGE_CODES,
+  DEFAULT_LANGUAGE,
+  languageFromLocale,
+  matchGreeting,
+  detectLanguage,
+  resolveVisitorLanguage,
+  validateLanguageSettings,
+  pickGreeting,
+  formatLanguageForPrompt
+};
@@ -0,0 +1,1281 @@
+// LLM provider abstraction shared by chat, crons and news
+// Every model call goes through this module: a provider registry (Gemini, Claude,
+// OpenAI-compatible, local stub), retries with backoff, JSON-mode parsing,
+// per-call token/cost accounting and the Gemini → Claude → minimal-prompt fallback chain.
+//
+// Requests and responses use the OpenAI chat-completions shape:
+//   request:  { messages, tools, tool_choice, max_tokens, temperature, response_format }
+//   response: { choices: [{ message: { content, tool_calls }, finish_reason }], usage }
+
+// Default model per provider — one place to bump versions
+const DEFAULT_MODELS = {
+  gemini: 'gemini-2.0-flash',
+  claude: 'claude-sonnet-4-5-20250929',
+  openai: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  local: 'local-stub'
+};
+
+// USD per 1M tokens [input, output] — used for cost accounting only
+const MODEL_PRICING = {
+  'gemini-2.0-flash': [0.10, 0.40],
+  'claude-sonnet-4-5-20250929': [3.00, 15.00],
+  'claude-haiku-4-5-20251001': [1.00, 5.00],
+  'gpt-4o-mini': [0.15, 0.60],
+  'local-stub': [0, 0]
+};
+
+// Default provider order: LLM_PROVIDERS env (comma-separated) or Gemini primary, Claude fallback
+const DEFAULT_PROVIDER_ORDER = (process.env.LLM_PROVIDERS || 'gemini,claude')
+  .split(',').map(p => p.trim()).filter(Boolean);
+
+const MAX_BACKOFF_MS = 8000;
+
+// ===================== FORMAT CONVERTERS FOR CLAUDE API =====================
+// Convert Gemini-style tools to Claude-style tools
+function convertToolsToClaude(geminiTools) {
+  const claudeTools = [];
+  for (const toolGroup of geminiTools) {
+    for (const func of toolGroup.function_declarations || []) {
+      claudeTools.push({
+        name: func.name,
+        description: func.description,
+        input_schema: func.parameters
+      });
+    }
+  }
+  return claudeTools;
+}
+
+// Convert Gemini-style messages to Claude-style messages (system separate)
+function convertMessagesToClaude(geminiContents, systemPrompt = null) {
+  const messages = [];
+
+  for (const msg of geminiContents) {
+    const role = msg.role === 'model' ? 'assistant' : (msg.role === 'user' ? 'user' : msg.role);
+
+    // Skip system messages (handled separately)
+    if (role === 'system') continue;
+
+    if (msg.parts) {
+      const textParts = msg.parts.filter(p => p.text).map(p => p.text).join('');
+      const functionCall = msg.parts.find(p => p.functionCall);
+      const functionResponse = msg.parts.find(p => p.functionResponse);
+
+      if (functionCall) {
+        // Assistant message with tool use
+        const content = [];
+        if (textParts) {
+          content.push({ type: 'text', text: textParts });
+        }
+        content.push({
+          type: 'tool_use',
+          id: `toolu_${Date.now()}`,
+          name: functionCall.functionCall.name,
+          input: functionCall.functionCall.args || {}
+        });
+        messages.push({ role: 'assistant', content });
+      } else if (functionResponse) {
+        // Tool result message
+        messages.push({
+          role: 'user',
+          content: [{
+            type: 'tool_result',
+            tool_use_id: `toolu_${Date.now() - 1}`,
+            content: JSON.stringify(functionResponse.functionResponse.response)
+          }]
+        });
+      } else if (textParts) {
+        // Regular message
+        messages.push({ role, content: textParts });
+      }
+    } else if (msg.content) {
+      messages.push({ role, content: msg.content });
+    }
+  }
+
+  return { system: systemPrompt, messages };
+}
+
+// ===================== IMAGE URL EXTRACTION & FETCHING =====================
+// Detects image URLs in message text and fetches them as base64 for Claude vision
+async function fetchImagesFromText(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  // Match "Image URL: https://..." patterns (from file uploads)
+  const imageUrlMatch = text.match(/Image URL:\s*(https?:\/\/[^\s\n]+)/i);
+  if (!imageUrlMatch) return null;
+
+  const imageUrl = imageUrlMatch[1];
+  console.log(`[Image] Found image URL in message: ${imageUrl}`);
+
+  try {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 15000);
+
+    const response = await fetch(imageUrl, {
+      signal: controller.signal,
+      headers: { 'Accept': 'image/*' }
+    });
+    clearTimeout(timeout);
+
+    if (!response.ok) {
+      console.log(`[Image] Failed to fetch: HTTP ${response.status}`);
+      return null;
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.startsWith('image/')) {
+      console.log(`[Image] Not an image: ${contentType}`);
+      return null;
+    }
+
+    const arrayBuffer = await response.arrayBuffer();
+    const base64 = Buffer.from(arrayBuffer).toString('base64');
+    const mimeType = contentType.split(';')[0].trim() || 'image/jpeg';
+
+    console.log(`[Image] Fetched successfully: ${mimeType}, ${Math.round(base64.length / 1024)}KB`);
+
+    return {
+      type: 'image',
+      source: {
+        type: 'base64',
+        media_type: mimeType,
+        data: base64
+      }
+    };
+  } catch (err) {
+    console.log(`[Image] Fetch error: ${err.message}`);
+    return null;
+  }
+}
+
+// ===================== CLAUDE API ADAPTER =====================
+/**
+ * Build an Anthropic Messages API request from an OpenAI-format request body.
+ * Shared by the blocking and streaming adapters.
+ * @param {Object} openaiRequestBody
+ * @returns {Promise<Object>} Claude request body
+ */
+async function buildClaudeRequest(openaiRequestBody) {
+  const model = openaiRequestBody.model || DEFAULT_MODELS.claude;
+
+  // Extract system message
+  const systemMsg = openaiRequestBody.messages.find(m => m.role === 'system');
+  const nonSystemMsgs = openaiRequestBody.messages.filter(m => m.role !== 'system');
+
+  // Convert OpenAI messages to Claude format
+  const claudeMessages = [];
+  for (const msg of nonSystemMsgs) {
+    if (msg.role === 'tool') {
+      // Tool result — Claude uses role: 'user' with tool_result content
+      claudeMessages.push({
+        role: 'user',
+        content: [{ type: 'tool_result', tool_use_id: msg.tool_call_id, content: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content) }]
+      });
+    } else if (msg.role === 'assistant' && msg.tool_calls && msg.tool_calls.length > 0) {
+      // Assistant with tool calls
+      const content = [];
+      if (msg.content) content.push({ type: 'text', text: msg.content });
+      for (const tc of msg.tool_calls) {
+        let input = {};
+        try {
+          input = JSON.parse(tc.function.arguments || '{}');
+        } catch (parseError) {
+          console.error(`[Claude API] Malformed arguments for tool call ${tc.function.name}, sending empty input: ${parseError.message}`);
+        }
+        content.push({
+          type: 'tool_use',
+          id: tc.id,
+          name: tc.function.name,
+          input
+        });
+      }
+      claudeMessages.push({ role: 'assistant', content });
+    } else if (msg.role === 'assistant') {
+      claudeMessages.push({ role: 'assistant', content: msg.content || '' });
+    } else {
+      // User message — check for embedded image URLs and fetch them for vision
+      const msgText = typeof msg.content === 'string' ? msg.content : (msg.content || '');
+      claudeMessages.push({ role: 'user', content: msgText, _needsImageCheck: true });
+    }
+  }
+
+  // Fetch images from user messages that contain image URLs
+  for (const msg of claudeMessages) {
+    if (msg._needsImageCheck && typeof msg.content === 'string') {
+      const imageBlock = await fetchImagesFromText(msg.content);
+      if (imageBlock) {
+        // Convert to multipart content: image + text
+        const cleanText = msg.content
+          .replace(/\[Image:[^\]]*\]\s*/g, '')
+          .replace(/Image URL:\s*https?:\/\/[^\s\n]+/gi, '')
+          .trim();
+        msg.content = [
+          imageBlock,
+          { type: 'text', text: cleanText || 'What do you see in this image?' }
+        ];
+        console.log(`[Image] Embedded image directly in Claude message`);
+      }
+      delete msg._needsImageCheck;
+    } else {
+      delete msg._needsImageCheck;
+    }
+  }
+
+  // Merge consecutive same-role messages (Claude doesn't allow them)
+  const mergedMessages = [];
+  for (const msg of claudeMessages) {
+    const prev = mergedMessages[mergedMessages.length - 1];
+    if (prev && prev.role === msg.role) {
+      // Merge: convert both to array content format if needed
+      const prevContent = Array.isArray(prev.content) ? prev.content : [{ type: 'text', text: prev.content || '' }];
+      const currContent = Array.isArray(msg.content) ? msg.content : [{ type: 'text', text: msg.content || '' }];
+      prev.content = [...prevContent, ...currContent];
+    } else {
+      mergedMessages.push(msg);
+    }
+  }
+
+  // Ensure first message is from user (Claude requirement)
+  if (mergedMessages.length === 0 || mergedMessages[0].role !== 'user') {
+    mergedMessages.unshift({ role: 'user', content: 'Hello' });
+  }
+
+  // Convert OpenAI tools to Claude tools
+  const claudeTools = convertToolsToClaude([
+    { function_declarations: (openaiRequestBody.tools || []).map(t => t.function) }
+  ]);
+
+  const claudeRequest = {
+    model,
+    max_tokens: openaiRequestBody.max_tokens || 4096,
+    temperature: openaiRequestBody.temperature,
+    system: systemMsg?.content || undefined,
+    messages: mergedMessages,
+    tools: claudeTools.length > 0 ? claudeTools : undefined,
+    tool_choice: claudeTools.length > 0 && openaiRequestBody.tool_choice === 'none' ? { type: 'none' } : undefined
+  };
+
+  return claudeRequest;
+}
+
+// Calls Anthropic Claude API using OpenAI-format request/response for minimal code changes
+async function callClaudeAPI(openaiRequestBody, claudeApiKey) {
+  const claudeRequest = await buildClaudeRequest(openaiRequestBody);
+
+  console.log(`[Claude API] Calling ${claudeRequest.model} with ${claudeRequest.messages.length} messages, ${(claudeRequest.tools || []).length} tools`);
+
+  const response = await fetch('https://api.anthropic.com/v1/messages', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': claudeApiKey,
+      'anthropic-version': '2023-06-01'
+    },
+    body: JSON.stringify(claudeRequest)
+  });
+
+  const responseText = await response.text();
+  let data;
+  try {
+    data = JSON.parse(responseText);
+  } catch (e) {
+    console.error(`[Claude API] Failed to parse response: ${responseText.substring(0, 500)}`);
+    return { ok: false, status: response.status, data: { error: { message: `Invalid JSON response: ${responseText.substring(0, 200)}` } } };
+  }
+
+  if (!response.ok) {
+    const errorMsg = data.error?.message || JSON.stringify(data.error) || JSON.stringify(data);
+    console.error(`[Claude API] Error ${response.status}: ${errorMsg}`);
+    return { ok: false, status: response.status, data: { error: { message: errorMsg } } };
+  }
+
+  // Convert Claude response to OpenAI format
+  // Claude may return several tool_use blocks in one turn (parallel tool calls) — keep them all
+  const textParts = (data.content || []).filter(c => c.type === 'text').map(c => c.text).join('');
+  const toolUses = (data.content || []).filter(c => c.type === 'tool_use');
+
+  const openaiResponse = {
+    choices: [{
+      message: {
+        content: textParts || null,
+        tool_calls: toolUses.length > 0 ? toolUses.map(toolUse => ({
+          id: toolUse.id,
+          type: 'function',
+          function: {
+            name: toolUse.name,
+            arguments: JSON.stringify(toolUse.input || {})
+          }
+        })) : null
+      },
+      finish_reason: data.stop_reason === 'tool_use' ? 'tool_calls' : 'stop'
+    }],
+    usage: {
+      prompt_tokens: data.usage?.input_tokens || 0,
+      completion_tokens: data.usage?.output_tokens || 0
+    }
+  };
+
+  return { ok: true, status: 200, data: openaiResponse };
+}
+
+// ===================== GEMINI API ADAPTER =====================
+/**
+ * Build a Gemini generateContent request from an OpenAI-format request body.
+ * Shared by the blocking and streaming adapters.
+ * @param {Object} openaiRequestBody
+ * @returns {{ model: string, requestBody: Object }}
+ */
+function buildGeminiRequest(openaiRequestBody) {
+  const model = openaiRequestBody.model || DEFAULT_MODELS.gemini;
+
+  // Extract system message
+  const systemMsg = openaiRequestBody.messages.find(m => m.role === 'system');
+  const nonSystemMsgs = openaiRequestBody.messages.filter(m => m.role !== 'system');
+
+  // Convert OpenAI messages to Gemini format
+  // Tool calls become functionCall parts, tool results become functionResponse parts
+  const toolNamesById = {};
+  const geminiContents = [];
+  for (const msg of nonSystemMsgs) {
+    if (msg.role === 'tool') {
+      // Tool result → functionResponse (Gemini matches responses to calls by name, in order)
+      let response;
+      try {
+        response = typeof msg.content === 'string' ? JSON.parse(msg.content) : msg.content;
+      } catch (e) {
+        response = { result: msg.content };
+      }
+      if (!response || typeof response !== 'object' || Array.isArray(response)) {
+        response = { result: response };
+      }
+      geminiContents.push({
+        role: 'user',
+        parts: [{ functionResponse: { name: msg.name || toolNamesById[msg.tool_call_id] || 'unknown', response } }]
+      });
+      continue;
+    } else if (msg.role === 'assistant' && msg.tool_calls && msg.tool_calls.length > 0) {
+      // Assistant with tool calls → optional text part followed by one functionCall part per call
+      const parts = [];
+      if (msg.content && msg.content.trim()) {
+        parts.push({ text: msg.content });
+      }
+      for (const tc of msg.tool_calls) {
+        toolNamesById[tc.id] = tc.function.name;
+        let args = {};
+        try { args = JSON.parse(tc.function.arguments || '{}'); } catch (e) { /* malformed args — send empty */ }
+        parts.push({ functionCall: { name: tc.function.name, args } });
+      }
+      geminiContents.push({ role: 'model', parts });
+      continue;
+    } else if (msg.role === 'assistant') {
+      geminiContents.push({ role: 'model', parts: [{ text: msg.content || '' }] });
+    } else {
+      // User message — handle both string and array content (images)
+      if (typeof msg.content === 'string') {
+        geminiContents.push({ role: 'user', parts: [{ text: msg.content || '' }] });
+      } else if (Array.isArray(msg.content)) {
+        // Content array (may include images)
+        const parts = [];
+        for (const block of msg.content) {
+          if (block.type === 'text') {
+            parts.push({ text: block.text || '' });
+          } else if (block.type === 'image' && block.source?.type === 'base64') {
+            parts.push({
+              inlineData: {
+                mimeType: block.source.media_type || 'image/jpeg',
+                data: block.source.data
+              }
+            });
+          }
+        }
+        if (parts.length === 0) parts.push({ text: '' });
+        geminiContents.push({ role: 'user', parts });
+      } else {
+        geminiContents.push({ role: 'user', parts: [{ text: String(msg.content || '') }] });
+      }
+    }
+  }
+
+  // Merge consecutive same-role messages (Gemini doesn't allow them)
+  const mergedContents = [];
+  for (const content of geminiContents) {
+    const prev = mergedContents[mergedContents.length - 1];
+    if (prev && prev.role === content.role) {
+      prev.parts = [...prev.parts, ...content.parts];
+    } else {
+      mergedContents.push(content);
+    }
+  }
+
+  // Ensure first message is from user (Gemini requirement)
+  if (mergedContents.length === 0 || mergedContents[0].role !== 'user') {
+    mergedContents.unshift({ role: 'user', parts: [{ text: 'Hello' }] });
+  }
+
+  // Convert OpenAI tools to Gemini tool format
+  // Gemini is VERY strict about JSON Schema — strip all non-standard fields recursively
+  const cleanParamsForGemini = (params) => {
+    if (!params || typeof params !== 'object') return { type: 'object', properties: {} };
+
+    // Deep clean a schema object recursively
+    const deepClean = (schema) => {
+      if (!schema || typeof schema !== 'object') return schema;
+      if (Array.isArray(schema)) return schema.map(deepClean);
+
+      const cleaned = {};
+      // Only keep Gemini-compatible fields
+      const allowedFields = ['type', 'properties', 'required', 'items', 'enum', 'description', 'format', 'nullable'];
+      for (const [key, value] of Object.entries(schema)) {
+        if (allowedFields.includes(key)) {
+          cleaned[key] = value;
+        }
+      }
+      // Recursively clean properties
+      if (cleaned.properties && typeof cleaned.properties === 'object') {
+        const cleanedProps = {};
+        for (const [key, prop] of Object.entries(cleaned.properties)) {
+          cleanedProps[key] = deepClean(prop);
+        }
+        cleaned.properties = cleanedProps;
+      }
+      // Recursively clean items (for arrays)
+      if (cleaned.items && typeof cleaned.items === 'object') {
+        cleaned.items = deepClean(cleaned.items);
+      }
+      // Remove empty required arrays
+      if (Array.isArray(cleaned.required) && cleaned.required.length === 0) {
+        delete cleaned.required;
+      }
+      // Remove empty enums
+      if (Array.isArray(cleaned.enum) && cleaned.enum.length === 0) {
+        delete cleaned.enum;
+      }
+      // Ensure type is set
+      if (!cleaned.type && cleaned.properties) cleaned.type = 'object';
+      return cleaned;
+    };
+
+    const cleaned = deepClean(params);
+    if (!cleaned.type) cleaned.type = 'object';
+    if (!cleaned.properties) cleaned.properties = {};
+    return cleaned;
+  };
+
+  // Native function calling — schemas are cleaned above so Gemini's validator accepts them.
+  // Parameterless tools omit `parameters` entirely (Gemini rejects empty OBJECT properties).
+  const functionDeclarations = (openaiRequestBody.tools || []).map(t => {
+    const declaration = { name: t.function.name, description: t.function.description };
+    const params = cleanParamsForGemini(t.function.parameters);
+    if (Object.keys(params.properties).length > 0) {
+      declaration.parameters = params;
+    }
+    return declaration;
+  });
+
+  const systemText = systemMsg?.content || '';
+
+  const requestBody = {
+    contents: mergedContents,
+    generationConfig: {
+      maxOutputTokens: openaiRequestBody.max_tokens || 4096,
+      temperature: openaiRequestBody.temperature ?? 0.7
+    }
+  };
+
+  // JSON mode — Gemini constrains output to valid JSON
+  if (openaiRequestBody.response_format?.type === 'json_object') {
+    requestBody.generationConfig.responseMimeType = 'application/json';
+  }
+
+  // Google Search grounding (news curator) — cannot be combined with function declarations
+  if (openaiRequestBody.web_search) {
+    requestBody.tools = [{ googleSearch: {} }];
+  } else if (functionDeclarations.length > 0) {
+    requestBody.tools = [{ functionDeclarations }];
+    requestBody.toolConfig = { functionCallingConfig: { mode: openaiRequestBody.tool_choice === 'none' ? 'NONE' : 'AUTO' } };
+  }
+
+  // Add system instruction
+  if (systemText) {
+    requestBody.systemInstruction = { parts: [{ text: systemText }] };
+  }
+
+  return { model, requestBody };
+}
+
+// Calls Google Gemini API using OpenAI-format request/response for drop-in replacement
+async function callGeminiFlashAPI(openaiRequestBody, geminiApiKey) {
+  const { model, requestBody } = buildGeminiRequest(openaiRequestBody);
+  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${geminiApiKey}`;
+
+  console.log(`[Gemini API] Calling ${model} with ${requestBody.contents.length} messages, ${requestBody.tools?.[0]?.functionDeclarations?.length || 0} tools`);
+
+  try {
+    const response = await fetch(apiUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(requestBody)
+    });
+
+    const responseText = await response.text();
+    let data;
+    try {
+      data = JSON.parse(responseText);
+    } catch (e) {
+      console.error(`[Gemini API] Failed to parse response: ${responseText.substring(0, 500)}`);
+      return { ok: false, status: response.status, data: { error: { message: `Invalid JSON response: ${responseText.substring(0, 200)}` } } };
+    }
+
+    if (!response.ok) {
+      const errorMsg = data.error?.message || JSON.stringify(data.error) || JSON.stringify(data);
+      console.error(`[Gemini API] Error ${response.status}: ${errorMsg}`);
+      return { ok: false, status: response.status, data: { error: { message: errorMsg } } };
+    }
+
+    // Extract response from Gemini format
+    const candidate = data.candidates?.[0];
+    if (!candidate) {
+      console.error('[Gemini API] No candidates in response');
+      return { ok: false, status: 500, data: { error: { message: 'No response from Gemini' } } };
+    }
+
+    const parts = candidate.content?.parts || [];
+    const textParts = parts.filter(p => p.text).map(p => p.text).join('');
+    const functionCallParts = parts.filter(p => p.functionCall);
+
+    // Convert to OpenAI format (same interface as callClaudeAPI)
+    const openaiResponse = {
+      choices: [{
+        message: {
+          content: textParts || null,
+          tool_calls: functionCallParts.length > 0 ? functionCallParts.map(part => ({
+            id: `call_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            type: 'function',
+            function: {
+              name: part.functionCall.name,
+              arguments: JSON.stringify(part.functionCall.args || {})
+            }
+          })) : null
+        },
+        finish_reason: functionCallParts.length > 0 ? 'tool_calls' : 'stop'
+      }],
+      usage: {
+        prompt_tokens: data.usageMetadata?.promptTokenCount || 0,
+        completion_tokens: data.usageMetadata?.candidatesTokenCount || 0
+      }
+    };
+
+    return { ok: true, status: 200, data: openaiResponse };
+
+  } catch (fetchError) {
+    console.error(`[Gemini API] Fetch error: ${fetchError.message}`);
+    return { ok: false, status: 500, data: { error: { message: fetchError.message } } };
+  }
+}
+
+// ===================== FORMAT CONVERTERS FOR OPENAI-COMPATIBLE APIS =====================
+// Convert Gemini-style tools to OpenAI-style tools
+function convertToolsToOpenAI(geminiTools) {
+  const openaiTools = [];
+  for (const toolGroup of geminiTools) {
+    for (const func of toolGroup.function_declarations || []) {
+      openaiTools.push({
+        type: "function",
+        function: {
+          name: func.name,
+          description: func.description,
+          parameters: func.parameters
+        }
+      });
+    }
+  }
+  return openaiTools;
+}
+
+// Convert Gemini-style messages to OpenAI-style messages
+function convertMessagesToOpenAI(geminiContents, systemPrompt = null) {
+  const messages = [];
+
+  // Add system message if provided
+  if (systemPrompt) {
+    messages.push({ role: "system", content: systemPrompt });
+  }
+
+  for (const msg of geminiContents) {
+    const role = msg.role === 'model' ? 'assistant' : msg.role;
+
+    // Handle tool calls in assistant messages
+    if (msg.parts) {
+      const textParts = msg.parts.filter(p => p.text).map(p => p.text).join('\n');
+      const functionCall = msg.parts.find(p => p.functionCall);
+      const functionResponse = msg.parts.find(p => p.functionResponse);
+
+      if (functionCall) {
+        // This is an assistant message with a tool call
+        messages.push({
+          role: 'assistant',
+          content: textParts || null,
+          tool_calls: [{
+            id: `call_${Date.now()}`,
+            type: 'function',
+            function: {
+              name: functionCall.functionCall.name,
+              arguments: JSON.stringify(functionCall.functionCall.args || {})
+            }
+          }]
+        });
+      } else if (functionResponse) {
+        // This is a tool response
+        messages.push({
+          role: 'tool',
+          tool_call_id: `call_${Date.now() - 1}`,
+          content: JSON.stringify(functionResponse.functionResponse.response)
+        });
+      } else {
+        // Regular message
+        messages.push({
+          role: role,
+          content: textParts || ''
+        });
+      }
+    } else if (msg.content) {
+      // Already in simple format
+      messages.push({
+        role: role,
+        content: msg.content
+      });
+    }
+  }
+
+  return messages;
+}
+
+
+// ===================== OPENAI-COMPATIBLE ADAPTER =====================
+// Works with OpenAI, xAI, Together, vLLM — anything exposing /chat/completions
+async function callOpenAICompatibleAPI(openaiRequestBody, apiKey) {
+  const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+  const model = openaiRequestBody.model || DEFAULT_MODELS.openai;
+
+  // Claude-style image blocks (from fetchImagesFromText) → OpenAI image_url parts
+  const messages = openaiRequestBody.messages.map(msg => {
+    if (!Array.isArray(msg.content)) return msg;
+    return {
+      ...msg,
+      content: msg.content.map(block => {
+        if (block.type === 'image' && block.source?.type === 'base64') {
+          return { type: 'image_url', image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` } };
+        }
+        return block;
+      })
+    };
+  });
+
+  const requestBody = {
+    model,
+    messages,
+    max_tokens: openaiRequestBody.max_tokens || 4096,
+    temperature: openaiRequestBody.temperature ?? 0.7
+  };
+  if (openaiRequestBody.tools?.length > 0) {
+    requestBody.tools = openaiRequestBody.tools;
+    if (openaiRequestBody.tool_choice) requestBody.tool_choice = openaiRequestBody.tool_choice;
+  }
+  if (openaiRequestBody.response_format) {
+    requestBody.response_format = openaiRequestBody.response_format;
+  }
+
+  console.log(`[OpenAI API] Calling ${model} with ${messages.length} messages, ${requestBody.tools?.length || 0} tools`);
+
+  const response = await fetch(`${baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
+    body: JSON.stringify(requestBody)
+  });
+
+  const responseText = await response.text();
+  let data;
+  try {
+    data = JSON.parse(responseText);
+  } catch (e) {
+    return { ok: false, status: response.status, data: { error: { message: `Invalid JSON response: ${responseText.substring(0, 200)}` } } };
+  }
+
+  if (!response.ok) {
+    const errorMsg = data.error?.message || JSON.stringify(data.error) || JSON.stringify(data);
+    console.error(`[OpenAI API] Error ${response.status}: ${errorMsg}`);
+    return { ok: false, status: response.status, data: { error: { message: errorMsg } } };
+  }
+
+  return { ok: true, status: 200, data };
+}
+
+// ===================== LOCAL STUB ADAPTER =====================
+// Deterministic, offline provider for tests and local development.
+// Never picked by default — enable with LLM_PROVIDERS=local or providers: ['local'].
+let localResponder = null;
+
+function defaultLocalResponse(openaiRequestBody) {
+  const lastUser = [...openaiRequestBody.messages].reverse().find(m => m.role === 'user');
+  const lastText = typeof lastUser?.content === 'string'
+    ? lastUser.content
+    : (lastUser?.content || []).filter(b => b.type === 'text').map(b => b.text).join(' ');
+
+  if (openaiRequestBody.response_format?.type === 'json_object') {
+    return '{}';
+  }
+  return `Local stub response to: ${lastText.substring(0, 100)}`;
+}
+
+async function callLocalStub(openaiRequestBody) {
+  const reply = localResponder ? await localResponder(openaiRequestBody) : defaultLocalResponse(openaiRequestBody);
+
+  // A responder may return plain text or a full OpenAI-format message (to simulate tool calls)
+  const message = typeof reply === 'string' ? { content: reply, tool_calls: null } : { content: null, tool_calls: null, ...reply };
+  const promptChars = openaiRequestBody.messages.reduce((sum, m) => sum + (typeof m.content === 'string' ? m.content.length : 0), 0);
+
+  return {
+    ok: true,
+    status: 200,
+    data: {
+      choices: [{ message, finish_reason: message.tool_calls?.length ? 'tool_calls' : 'stop' }],
+      usage: {
+        prompt_tokens: Math.ceil(promptChars / 4),
+        completion_tokens: Math.ceil((message.content || '').length / 4)
+      }
+    }
+  };
+}
+
+/**
+ * Replace the local stub's responder (tests only)
+ * @param {Function|null} fn - (openaiRequestBody) => string | message object; null restores the default
+ */
+function setLocalResponder(fn) {
+  localResponder = fn;
+}
+
+// ===================== STREAMING ADAPTERS =====================
+// Same OpenAI-format result as the blocking adapters; text is also pushed to onDelta as it arrives.
+
+/**
+ * Read a server-sent event stream from a fetch Response
+ * @param {Response} response - fetch response with a readable body
+ * @param {Function} onEvent - (eventName, dataString) => void
+ */
+async function readSSE(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let eventName = 'message';
+  let dataLines = [];
+
+  const dispatch = () => {
+    if (dataLines.length > 0) onEvent(eventName, dataLines.join('\n'));
+    eventName = 'message';
+    dataLines = [];
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      buffer = buffer.slice(newlineIndex + 1);
+      if (line === '') dispatch();
+      else if (line.startsWith('event:')) eventName = line.slice(6).trim();
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).replace(/^ /, ''));
+    }
+  }
+  if (buffer.startsWith('data:')) dataLines.push(buffer.slice(5).replace(/^ /, ''));
+  dispatch();
+}
+
+async function readErrorResponse(response, tag) {
+  const responseText = await response.text();
+  let errorMsg;
+  try {
+    const data = JSON.parse(responseText);
+    errorMsg = data.error?.message || JSON.stringify(data.error) || JSON.stringify(data);
+  } catch (e) {
+    errorMsg = `Invalid JSON response: ${responseText.substring(0, 200)}`;
+  }
+  console.error(`[${tag}] Error ${response.status}: ${errorMsg}`);
+  return { ok: false, status: response.status, data: { error: { message: errorMsg } } };
+}
+
+async function streamGeminiFlashAPI(openaiRequestBody, geminiApiKey, onDelta) {
+  const { model, requestBody } = buildGeminiRequest(openaiRequestBody);
+  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${geminiApiKey}`;
+
+  console.log(`[Gemini API] Streaming ${model} with ${requestBody.contents.length} messages`);
+
+  const response = await fetch(apiUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(requestBody)
+  });
+  if (!response.ok) return readErrorResponse(response, 'Gemini API');
+
+  let text = '';
+  let usageMetadata = null;
+  const functionCalls = [];
+
+  await readSSE(response, (event, raw) => {
+    let chunk;
+    try {
+      chunk = JSON.parse(raw);
+    } catch (e) {
+      return;
+    }
+    if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+    for (const part of chunk.candidates?.[0]?.content?.parts || []) {
+      if (part.functionCall) {
+        functionCalls.push(part.functionCall);
+      } else if (part.text) {
+        text += part.text;
+        onDelta(part.text);
+      }
+    }
+  });
+
+  return {
+    ok: true,
+    status: 200,
+    data: {
+      choices: [{
+        message: {
+          content: text || null,
+          tool_calls: functionCalls.length > 0 ? functionCalls.map(call => ({
+            id: `call_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.args || {}) }
+          })) : null
+        },
+        finish_reason: functionCalls.length > 0 ? 'tool_calls' : 'stop'
+      }],
+      usage: {
+        prompt_tokens: usageMetadata?.promptTokenCount || 0,
+        completion_tokens: usageMetadata?.candidatesTokenCount || 0
+      }
+    }
+  };
+}
+
+async function streamClaudeAPI(openaiRequestBody, claudeApiKey, onDelta) {
+  const claudeRequest = await buildClaudeRequest(openaiRequestBody);
+
+  console.log(`[Claude API] Streaming ${claudeRequest.model} with ${claudeRequest.messages.length} messages`);
+
+  const response = await fetch('https://api.anthropic.com/v1/messages', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': claudeApiKey,
+      'anthropic-version': '2023-06-01'
+    },
+    body: JSON.stringify({ ...claudeRequest, stream: true })
+  });
+  if (!response.ok) return readErrorResponse(response, 'Claude API');
+
+  // Content blocks by index — text blocks accumulate text, tool_use blocks accumulate JSON input
+  const blocks = [];
+  let stopReason = null;
+  let streamError = null;
+  const usage = { prompt_tokens: 0, completion_tokens: 0 };
+
+  await readSSE(response, (event, raw) => {
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (e) {
+      return;
+    }
+    switch (data.type) {
+      case 'message_start':
+        usage.prompt_tokens = data.message?.usage?.input_tokens || 0;
+        break;
+      case 'content_block_start':
+        blocks[data.index] = data.content_block.type === 'tool_use'
+          ? { type: 'tool_use', id: data.content_block.id, name: data.content_block.name, json: '' }
+          : { type: 'text', text: '' };
+        break;
+      case 'content_block_delta':
+        if (!blocks[data.index]) break;
+        if (data.delta.type === 'text_delta') {
+          blocks[data.index].text += data.delta.text;
+          onDelta(data.delta.text);
+        } else if (data.delta.type === 'input_json_delta') {
+          blocks[data.index].json += data.delta.partial_json;
+        }
+        break;
+      case 'message_delta':
+        stopReason = data.delta?.stop_reason || stopReason;
+        usage.completion_tokens = data.usage?.output_tokens || usage.completion_tokens;
+        break;
+      case 'error':
+        streamError = data.error?.message || 'Stream error';
+        break;
+    }
+  });
+
+  if (streamError) {
+    console.error(`[Claude API] Stream error: ${streamError}`);
+    return { ok: false, status: 500, data: { error: { message: streamError } } };
+  }
+
+  const text = blocks.filter(b => b?.type === 'text').map(b => b.text).join('');
+  const toolUses = blocks.filter(b => b?.type === 'tool_use');
+
+  return {
+    ok: true,
+    status: 200,
+    data: {
+      choices: [{
+        message: {
+          content: text || null,
+          tool_calls: toolUses.length > 0 ? toolUses.map(toolUse => ({
+            id: toolUse.id,
+            type: 'function',
+            function: { name: toolUse.name, arguments: toolUse.json || '{}' }
+          })) : null
+        },
+        finish_reason: stopReason === 'tool_use' ? 'tool_calls' : 'stop'
+      }],
+      usage
+    }
+  };
+}
+
+// ===================== PROVIDER REGISTRY =====================
+
+const providers = {};
+
+/**
+ * Register (or replace) an LLM provider
+ * @param {string} name - Provider name used in provider order lists
+ * @param {Object} provider
+ * @param {string} provider.defaultModel - Model used when the caller doesn't pick one
+ * @param {Function} provider.isAvailable - () => boolean (usually "is the API key set")
+ * @param {Function} provider.call - (openaiRequestBody) => Promise<{ ok, status, data }>
+ * @param {Function} [provider.stream] - (openaiRequestBody, onDelta) => Promise<{ ok, status, data }>,
+ *   same result as call() but text is passed to onDelta as it is generated
+ */
+function registerProvider(name, provider) {
+  providers[name] = provider;
+}
+
+registerProvider('gemini', {
+  defaultModel: DEFAULT_MODELS.gemini,
+  isAvailable: () => !!process.env.GEMINI_API_KEY,
+  call: (body) => callGeminiFlashAPI(body, process.env.GEMINI_API_KEY),
+  stream: (body, onDelta) => streamGeminiFlashAPI(body, process.env.GEMINI_API_KEY, onDelta)
+});
+
+registerProvider('claude', {
+  defaultModel: DEFAULT_MODELS.claude,
+  isAvailable: () => !!process.env.ANTHROPIC_API_KEY,
+  call: (body) => callClaudeAPI(body, process.env.ANTHROPIC_API_KEY),
+  stream: (body, onDelta) => streamClaudeAPI(body, process.env.ANTHROPIC_API_KEY, onDelta)
+});
+
+registerProvider('openai', {
+  defaultModel: DEFAULT_MODELS.openai,
+  isAvailable: () => !!process.env.OPENAI_API_KEY,
+  call: (body) => callOpenAICompatibleAPI(body, process.env.OPENAI_API_KEY)
+});
+
+registerProvider('local', {
+  defaultModel: DEFAULT_MODELS.local,
+  isAvailable: () => true,
+  call: (body) => callLocalStub(body)
+});
+
+/**
+ * Whether any provider in the given order can be called
+ * @param {string[]} [order] - Provider names (defaults to LLM_PROVIDERS)
+ * @returns {boolean}
+ */
+function isLLMAvailable(order = DEFAULT_PROVIDER_ORDER) {
+  return order.some(name => providers[name]?.isAvailable());
+}
+
+// ===================== USAGE & COST ACCOUNTING =====================
+
+// Running totals for this process (a serverless invocation, a cron run)
+const usageTotals = { calls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0, byLabel: {} };
+
+function estimateCost(model, usage) {
+  const [inputPrice, outputPrice] = MODEL_PRICING[model] || [0, 0];
+  return ((usage.prompt_tokens || 0) * inputPrice + (usage.completion_tokens || 0) * outputPrice) / 1e6;
+}
+
+function recordUsage(label, provider, model, usage) {
+  const promptTokens = usage?.prompt_tokens || 0;
+  const completionTokens = usage?.completion_tokens || 0;
+  const costUsd = estimateCost(model, { prompt_tokens: promptTokens, completion_tokens: completionTokens });
+
+  usageTotals.calls++;
+  usageTotals.promptTokens += promptTokens;
+  usageTotals.completionTokens += completionTokens;
+  usageTotals.costUsd += costUsd;
+
+  const bucket = usageTotals.byLabel[label] || (usageTotals.byLabel[label] = { calls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 });
+  bucket.calls++;
+  bucket.promptTokens += promptTokens;
+  bucket.completionTokens += completionTokens;
+  bucket.costUsd += costUsd;
+
+  console.log(`[LLM] ${label} via ${provider}/${model}: ${promptTokens} in, ${completionTokens} out, $${costUsd.toFixed(5)}`);
+  return { promptTokens, completionTokens, costUsd };
+}
+
+/**
+ * Snapshot of token/cost totals accumulated by this process
+ * @returns {Object} - { calls, promptTokens, completionTokens, costUsd, byLabel }
+ */
+function getUsageTotals() {
+  return JSON.parse(JSON.stringify(usageTotals));
+}
+
+// ===================== COMPLETION WITH FALLBACK =====================
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+function backoffDelay(attempt) {
+  const base = Math.min(MAX_BACKOFF_MS, 1000 * Math.pow(2, attempt - 1));
+  return base / 2 + Math.random() * base / 2;
+}
+
+function isUsableMessage(message, minLength) {
+  if (message?.tool_calls?.length > 0) return true;
+  return !!message?.content && message.content.trim().length >= minLength;
+}
+
+/**
+ * Run a completion through the provider fallback chain
+ * Each provider is retried with exponential backoff on 429/5xx/network errors;
+ * an empty answer or a non-retryable error moves on to the next provider. When every
+ * provider fails, the first available one is tried once more with the system prompt
+ * cut to 5,000 chars and no tools (the "minimal" fallback).
+ * @param {Object} request - OpenAI-format request (messages, tools, tool_choice, max_tokens, temperature, response_format)
+ * @param {Object} [options]
+ * @param {string[]} [options.providers] - Provider order (default: LLM_PROVIDERS or gemini,claude)
+ * @param {Object} [options.models] - Model override per provider, e.g. { claude: 'claude-haiku-4-5-20251001' }
+ * @param {number} [options.retries=1] - Extra attempts per provider on retryable errors
+ * @param {number} [options.minLength=1] - Minimum trimmed text length for an answer to count
+ * @param {boolean} [options.minimalFallback=true] - Try the minimal prompt when all providers fail
+ * @param {string} [options.label='llm'] - Caller name for logs and usage accounting
+ * @param {Function} [options.onDelta] - Stream text chunks to this callback. Providers without
+ *   streaming deliver their whole answer as one chunk. Once a chunk has been sent there is no
+ *   fallback to another provider (the caller has already shown partial output).
+ * @returns {Promise<Object>} - { ok, data, provider, model, usage, error }
+ */
+async function complete(request, options = {}) {
+  const {
+    providers: order = DEFAULT_PROVIDER_ORDER,
+    models = {},
+    retries = 1,
+    minLength = 1,
+    minimalFallback = true,
+    label = 'llm',
+    onDelta = null
+  } = options;
+
+  const available = order.filter(name => providers[name]?.isAvailable());
+  let lastError = available.length === 0 ? `No LLM provider available (tried: ${order.join(', ')})` : '';
+  let emitted = false;
+  const failed = () => ({ ok: false, data: null, provider: null, model: null, usage: null, error: lastError });
+
+  const attemptProvider = async (name, body) => {
+    const provider = providers[name];
+    const model = models[name] || provider.defaultModel;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) await new Promise(r => setTimeout(r, backoffDelay(attempt)));
+      try {
+        const streaming = onDelta && provider.stream;
+        const result = streaming
+          ? await provider.stream({ ...body, model }, (text) => { emitted = true; onDelta(text); })
+          : await provider.call({ ...body, model });
+        if (!result.ok) {
+          lastError = `${name} ${result.status}: ${result.data?.error?.message || 'unknown error'}`;
+          console.error(`[LLM] ${label}: ${name} attempt ${attempt + 1} failed — ${lastError}`);
+          if (isRetryableStatus(result.status) && !emitted) continue;
+          return null;
+        }
+
+        const message = result.data?.choices?.[0]?.message;
+        if (!isUsableMessage(message, minLength)) {
+          lastError = `${name} returned an empty response`;
+          console.log(`[LLM] ${label}: ${lastError}, trying next provider...`);
+          return null;
+        }
+
+        if (onDelta && !streaming && message.content) {
+          emitted = true;
+          onDelta(message.content);
+        }
+
+        const usage = recordUsage(label, name, model, result.data.usage);
+        return { ok: true, data: result.data, provider: name, model, usage, error: null };
+      } catch (err) {
+        // Network failures and timeouts are always worth another try
+        lastError = `${name}: ${err.message}`;
+        console.error(`[LLM] ${label}: ${name} attempt ${attempt + 1} threw — ${err.message}`);
+      }
+      if (emitted) return null;
+    }
+    return null;
+  };
+
+  for (const name of available) {
+    const result = await attemptProvider(name, request);
+    if (result) return result;
+    if (emitted) return failed();
+  }
+
+  if (minimalFallback && available.length > 0) {
+    console.log(`[LLM] ${label}: all providers failed — trying ${available[0]} with minimal system prompt`);
+    const minimalRequest = {
+      ...request,
+      tools: undefined,
+      tool_choice: undefined,
+      messages: request.messages.map(m => (m.role === 'system'
+        ? { ...m, content: (m.content || '').substring(0, 5000) || 'You are a helpful AI assistant.' }
+        : m))
+    };
+    const result = await attemptProvider(available[0], minimalRequest);
+    if (result) return { ...result, provider: `${result.provider}-minimal` };
+  }
+
+  return failed();
+}
+
+// ===================== CONVENIENCE HELPERS =====================
+
+/**
+ * Parse JSON out of a model response — tolerates ```json fences and surrounding prose
+ * @param {string} text - Raw model output
+ * @returns {*} - Parsed value, or null if nothing parseable was found
+ */
+function parseJSON(text) {
+  if (!text || typeof text !== 'string') return null;
+  const cleaned = text.replace(/```json\s*/gi, '').replace(/```/g, '').trim();
+
+  try {
+    return JSON.parse(cleaned);
+  } catch (e) {
+    // Fall back to the outermost object or array in the text
+  }
+
+  const objectMatch = cleaned.match(/\{[\s\S]*\}/);
+  const arrayMatch = cleaned.match(/\[[\s\S]*\]/);
+  const candidates = [objectMatch, arrayMatch]
+    .filter(Boolean)
+    .sort((a, b) => a.index - b.index);
+
+  for (const match of candidates) {
+    try {
+      return JSON.parse(match[0]);
+    } catch (e) {
+      // try the next candidate
+    }
+  }
+  return null;
+}
+
+function buildMessages(systemPrompt, userPrompt) {
+  const messages = [];
+  if (systemPrompt) messages.push({ role: 'system', content: systemPrompt });
+  messages.push({ role: 'user', content: userPrompt });
+  return messages;
+}
+
+/**
+ * Single-turn text generation through the fallback chain
+ * @param {string|null} systemPrompt - System instruction (optional)
+ * @param {string} userPrompt - The prompt
+ * @param {Object} [options] - complete() options plus maxTokens, temperature, webSearch
+ * @returns {Promise<string>} - Response text
+ * @throws {Error} - When every provider failed
+ */
+async function generateText(systemPrompt, userPrompt, options = {}) {
+  const { maxTokens = 1024, temperature = 0.7, webSearch = false, ...completeOptions } = options;
+  const result = await complete({
+    messages: buildMessages(systemPrompt, userPrompt),
+    max_tokens: maxTokens,
+    temperature,
+    web_search: webSearch || undefined
+  }, completeOptions);
+
+  if (!result.ok) {
+    throw new Error(`LLM call failed (${completeOptions.label || 'llm'}): ${result.error}`);
+  }
+  return result.data.choices[0].message.content || '';
+}
+
+/**
+ * Single-turn generation in JSON mode; returns the parsed value
+ * @param {string|null} systemPrompt - System instruction (should describe the JSON shape)
+ * @param {string} userPrompt - The prompt
+ * @param {Object} [options] - Same as generateText
+ * @returns {Promise<*>} - Parsed JSON
+ * @throws {Error} - When every provider failed or the output was not valid JSON
+ */
+async function generateJSON(systemPrompt, userPrompt, options = {}) {
+  const { maxTokens = 1024, temperature = 0.3, webSearch = false, ...completeOptions } = options;
+  const result = await complete({
+    messages: buildMessages(systemPrompt, userPrompt),
+    max_tokens: maxTokens,
+    temperature,
+    // Grounded search can't be combined with Gemini's JSON mime type
+    response_format: webSearch ? undefined : { type: 'json_object' },
+    web_search: webSearch || undefined
+  }, completeOptions);
+
+  if (!result.ok) {
+    throw new Error(`LLM call failed (${completeOptions.label || 'llm'}): ${result.error}`);
+  }
+
+  const text = result.data.choices[0].message.content || '';
+  const parsed = parseJSON(text);
+  if (parsed === null) {
+    throw new Error(`Invalid JSON response from ${result.provider}: ${text.substring(0, 200)}`);
+  }
+  return parsed;
+}
+
+module.exports = {
+  // Completion
+  complete,
+  generateText,
+  generateJSON,
+  parseJSON,
+
+  // Providers
+  registerProvider,
+  isLLMAvailable,
+  setLocalResponder,
+  DEFAULT_MODELS,
+
+  // Accounting
+  getUsageTotals,
+
+  // Format converters (chat tool loop)
+  convertToolsToClaude,
+  convertToolsToOpenAI,
+  convertMessagesToClaude,
+  convertMessagesToOpenAI,
+
+  // Raw adapters
+  callClaudeAPI,
+  callGeminiFlashAPI,
+  callOpenAICompatibleAPI
+};
@@ -0,0 +1,408 @@
+// Owner steering for mindclone-to-mindclone conversations
+// What each owner can tell their clone before and during an M2M conversation:
+//   steering   — must-ask questions and deal-breakers, per search (users/{uid}/activeSearches/{searchId}.steering)
+//                or per match type (matchingProfiles/{uid}.steering[matchType]) for heartbeat matches
+//   disclosure — what the clone may reveal about its owner (matchingProfiles/{uid}.disclosure)
+//   controls   — pause/resume and mid-conversation steering notes, on the conversation doc
+//                (matchingConversations/{id}.pausedBy.{side}, .steeringNotes[]). .held mirrors
+//                "paused by anyone, or frozen by a report" so the heartbeat can leave held
+//                conversations out of its query.
+// At the end each side gets a scorecard (.scorecards.{side} on the conversation and the match).
+// Sides are 'userA' (who started the conversation) and 'userB', as in the conversation doc.
+
+const { admin } = require('./_firebase-admin');
+const { CONVERSATION_CONFIG } = require('./_matching-helpers');
+const { generateJSON } = require('./_llm');
+
+const SIDES = ['userA', 'userB'];
+const MAX_MUST_ASK = 5;
+const MAX_DEAL_BREAKERS = 5;
+const MAX_NEVER_REVEAL = 10;
+const MAX_ITEM_CHARS = 200;
+const MAX_NOTE_CHARS = 500;
+const NOTES_IN_PROMPT = 3;
+const WRAP_UP_ROUNDS = 3;       // last rounds are the compatibility check
+const DISCOVERY_ROUNDS = 3;
+const MAX_STEERED_ROUNDS = 16;  // must-asks can stretch a conversation this far, never further
+
+const DEFAULT_DISCLOSURE = {
+  neverReveal: [],
+  knowledgeBase: true,   // may draw on the link knowledge base
+  traits: true           // may draw on shareable training facts and beliefs
+};
+
+const RECOMMENDATIONS = ['connect', 'maybe', 'pass'];
+
+// ===================== VALIDATION =====================
+
+function cleanList(value, max, label) {
+  if (value === undefined) return { list: undefined };
+  if (!Array.isArray(value)) return { error: `${label} must be an array of strings` };
+  const list = value
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => item.trim().substring(0, MAX_ITEM_CHARS));
+  if (list.length > max) return { error: `At most ${max} ${label} allowed` };
+  return { list };
+}
+
+/**
+ * Check must-ask questions and deal-breakers from a request
+ * @param {Object} input - { mustAsk?, dealBreakers? }
+ * @returns {Object} - { success, steering } (only the fields that were given) or { success: false, error }
+ */
+function validateSteering(input = {}) {
+  const mustAsk = cleanList(input.mustAsk, MAX_MUST_ASK, 'mustAsk questions');
+  if (mustAsk.error) return { success: false, error: mustAsk.error };
+  const dealBreakers = cleanList(input.dealBreakers, MAX_DEAL_BREAKERS, 'dealBreakers');
+  if (dealBreakers.error) return { success: false, error: dealBreakers.error };
+
+  const steering = {};
+  if (mustAsk.list !== undefined) steering.mustAsk = mustAsk.list;
+  if (dealBreakers.list !== undefined) steering.dealBreakers = dealBreakers.list;
+  return { success: true, steering };
+}
+
+/**
+ * Check disclosure boundaries from a request, filling unset fields from the current ones
+ * @param {Object} input - { neverReveal?, knowledgeBase?, traits? }
+ * @param {Object} [current] - Stored disclosure
+ * @returns {Object} - { success, disclosure } or { success: false, error }
+ */
+function validateDisclosure(input = {}, current = {}) {
+  const neverReveal = cleanList(input.neverReveal, MAX_NEVER_REVEAL, 'neverReveal topics');
+  if (neverReveal.error) return { success: false, error: neverReveal.error };
+  for (const flag of ['knowledgeBase', 'traits']) {
+    if (input[flag] !== undefined && typeof input[flag] !== 'boolean') {
+      return { success: false, error: `disclosure.${flag} must be true or false` };
+    }
+  }
+
+  const base = { ...DEFAULT_DISCLOSURE, ...current };
+  return {
+    success: true,
+    disclosure: {
+      neverReveal: neverReveal.list ?? base.neverReveal,
+      knowledgeBase: input.knowledgeBase ?? base.knowledgeBase,
+      traits: input.traits ?? base.traits
+    }
+  };
+}
+
+// ===================== RESOLUTION =====================
+
+/**
+ * Which side of a conversation a user is on
+ * @param {Object} conversation - matchingConversations doc
+ * @param {string} userId
+ * @returns {string|null} - 'userA' | 'userB' | null when not a participant
+ */
+function sideOf(conversation, userId) {
+  if (conversation?.userA_id === userId) return 'userA';
+  if (conversation?.userB_id === userId) return 'userB';
+  return null;
+}
+
+/**
+ * Everything one side's clone should follow in a conversation
+ * The search's steering applies to the side that ran the search; otherwise the owner's defaults for the match type.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} conversation - matchingConversations doc (with id)
+ * @param {string} side - 'userA' | 'userB'
+ * @param {Object} [profile] - The side's matchingProfiles doc, if already loaded
+ * @returns {Promise<Object>} - { mustAsk, dealBreakers, disclosure, notes, source }
+ */
+async function getConversationSteering(db, conversation, side, profile = null) {
+  const userId = conversation[`${side}_id`];
+  if (!profile) {
+    const profileDoc = await db.collection('matchingProfiles').doc(userId).get();
+    profile = profileDoc.exists ? profileDoc.data() : {};
+  }
+
+  let steering = null;
+  let source = 'none';
+  if (conversation.searchId && side === 'userA') {
+    const searchDoc = await db.collection('users').doc(userId)
+      .collection('activeSearches').doc(conversation.searchId).get();
+    if (searchDoc.exists && searchDoc.data().steering) {
+      steering = searchDoc.data().steering;
+      source = 'search';
+    }
+  }
+  if (!steering && profile.steering?.[conversation.matchType]) {
+    steering = profile.steering[conversation.matchType];
+    source = 'profile';
+  }
+
+  const notes = (conversation.steeringNotes || [])
+    .filter(note => note.side === side)
+    .slice(-NOTES_IN_PROMPT);
+
+  return {
+    mustAsk: steering?.mustAsk || [],
+    dealBreakers: steering?.dealBreakers || [],
+    disclosure: { ...DEFAULT_DISCLOSURE, ...(profile.disclosure || {}) },
+    notes,
+    source
+  };
+}
+
+/**
+ * Rounds this conversation needs: the configured number, plus two per must-ask question a side
+ * can't fit into its turns before the wrap-up. Never shrinks once set.
+ * @param {Object} conversation - matchingConversations doc
+ * @param {Object} steeringBySide - { userA, userB } from getConversationSteering
+ * @returns {number}
+ */
+function plannedRounds(conversation, steeringBySide) {
+  const base = Math.max(conversation.maxRounds || 0, CONVERSATION_CONFIG.maxRounds);
+  const openRounds = base - WRAP_UP_ROUNDS;
+  const turnsBeforeWrapUp = {
+    userA: Math.ceil(openRounds / 2),   // userA speaks on odd rounds
+    userB: Math.floor(openRounds / 2)
+  };
+  const overflow = Math.max(0, ...SIDES.map(side =>
+    (steeringBySide[side]?.mustAsk?.length || 0) - turnsBeforeWrapUp[side]));
+  return Math.min(MAX_STEERED_ROUNDS, Math.max(base, base + overflow * 2));
+}
+
+/**
+ * Conversation phase for a round
+ * @param {number} round - 1-based
+ * @param {number} maxRounds
+ * @returns {string} - 'discovery' | 'deep_dive' | 'compatibility_check'
+ */
+function phaseForRound(round, maxRounds = CONVERSATION_CONFIG.maxRounds) {
+  if (round > maxRounds - WRAP_UP_ROUNDS) return 'compatibility_check';
+  if (round <= DISCOVERY_ROUNDS) return 'discovery';
+  return 'deep_dive';
+}
+
+/**
+ * The must-ask question a side should ask this turn, if any are left (none during the wrap-up)
+ * @param {Object} conversation - matchingConversations doc
+ * @param {string} side
+ * @param {Object} steering - From getConversationSteering
+ * @param {string} phase
+ * @returns {string|null}
+ */
+function nextMustAsk(conversation, side, steering, phase) {
+  if (phase === 'compatibility_check') return null;
+  const asked = conversation.state?.mustAskAsked?.[side] || 0;
+  return steering.mustAsk[asked] || null;
+}
+
+/**
+ * Whether either owner has paused the conversation
+ * @param {Object} conversation - matchingConversations doc
+ * @returns {boolean}
+ */
+function isConversationPaused(conversation) {
+  return SIDES.some(side => conversation?.pausedBy?.[side] === true);
+}
+
+// ===================== PROMPTS =====================
+
+/**
+ * The owner's instructions as a prompt section for their clone
+ * @param {Object} steering - From getConversationSteering
+ * @param {string|null} mustAskNow - Question to ask this turn
+ * @returns {string} - Empty when there is nothing to add
+ */
+function formatSteeringForPrompt(steering, mustAskNow = null) {
+  const lines = [];
+
+  if (mustAskNow) {
+    lines.push(`Your human asked you to find this out — ask it this turn, in your own words: "${mustAskNow}"`);
+  }
+  if (steering.dealBreakers.length > 0) {
+    lines.push(`Your human's deal-breakers: ${steering.dealBreakers.join('; ')}. If the other side clearly matches one, say so politely and start wrapping up.`);
+  }
+  if (steering.notes.length > 0) {
+    lines.push('Your human told you during this conversation (most recent last — follow these):');
+    steering.notes.forEach(note => lines.push(`- ${note.text}`));
+  }
+  if (steering.disclosure.neverReveal.length > 0) {
+    lines.push(`NEVER reveal or hint at: ${steering.disclosure.neverReveal.join('; ')}. If asked, say it's something your human would rather discuss in person.`);
+  }
+
+  return lines.length > 0 ? `\nYOUR HUMAN'S INSTRUCTIONS:\n${lines.join('\n')}\n` : '';
+}
+
+// ===================== SCORECARD =====================
+
+function fallbackScorecard(steering) {
+  return {
+    overall: null,
+    recommendation: 'maybe',
+    summary: 'Scorecard unavailable — read the conversation to decide.',
+    mustAsk: steering.mustAsk.map(question => ({ question, answered: false, answer: null })),
+    dealBreakers: steering.dealBreakers.map(dealBreaker => ({ dealBreaker, triggered: false, evidence: null })),
+    strengths: [],
+    concerns: [],
+    generated: false
+  };
+}
+
+/**
+ * Structured end-of-conversation scorecard for one side's owner
+ * @param {Object} conversation - matchingConversations doc, with the final messages
+ * @param {string} side
+ * @param {Object} steering - From getConversationSteering
+ * @param {Object} names - { me, other } display names
+ * @returns {Promise<Object>} - { overall, recommendation, summary, mustAsk[], dealBreakers[], strengths[], concerns[], generated }
+ */
+async function buildScorecard(conversation, side, steering, names) {
+  const transcript = (conversation.messages || []).map(m => `${m.senderName}: ${m.content}`).join('\n');
+  if (!transcript) return fallbackScorecard(steering);
+
+  const prompt = `You are reviewing a ${conversation.matchType || 'networking'} matching conversation that ${names.me}'s mindclone had with ${names.other}'s mindclone, on ${names.me}'s behalf.
+
+CONVERSATION:
+${transcript}
+
+QUESTIONS ${names.me.toUpperCase()} WANTED ANSWERED:
+${steering.mustAsk.length > 0 ? steering.mustAsk.map(q => `- ${q}`).join('\n') : '(none)'}
+
+${names.me.toUpperCase()}'S DEAL-BREAKERS:
+${steering.dealBreakers.length > 0 ? steering.dealBreakers.map(d => `- ${d}`).join('\n') : '(none)'}
+
+Score ${names.other} as a ${conversation.matchType || 'networking'} connection for ${names.me}, using only what was said.
+Respond with JSON:
+{
+  "overall": 0-100,
+  "recommendation": "connect" | "maybe" | "pass",
+  "summary": "two sentences for ${names.me}",
+  "mustAsk": [{ "question": "...", "answered": true/false, "answer": "what ${names.other}'s side said, or null" }],
+  "dealBreakers": [{ "dealBreaker": "...", "triggered": true/false, "evidence": "quote or null" }],
+  "strengths": ["..."],
+  "concerns": ["..."]
+}
+Only mark a deal-breaker triggered when the conversation clearly shows it.`;
+
+  try {
+    const result = await generateJSON(null, prompt, { maxTokens: 800, label: 'm2m-scorecard' });
+    const byQuestion = new Map((result.mustAsk || []).map(item => [item.question, item]));
+    const byDealBreaker = new Map((result.dealBreakers || []).map(item => [item.dealBreaker, item]));
+    const overall = Number(result.overall);
+
+    return {
+      overall: Number.isFinite(overall) ? Math.max(0, Math.min(100, Math.round(overall))) : null,
+      recommendation: RECOMMENDATIONS.includes(result.recommendation) ? result.recommendation : 'maybe',
+      summary: typeof result.summary === 'string' ? result.summary : '',
+      // Keep the owner's own wording and order, whatever the model echoed back
+      mustAsk: steering.mustAsk.map((question, i) => {
+        const item = byQuestion.get(question) || result.mustAsk?.[i] || {};
+        return { question, answered: item.answered === true, answer: item.answer || null };
+      }),
+      dealBreakers: steering.dealBreakers.map((dealBreaker, i) => {
+        const item = byDealBreaker.get(dealBreaker) || result.dealBreakers?.[i] || {};
+        return { dealBreaker, triggered: item.triggered === true, evidence: item.evidence || null };
+      }),
+      strengths: (result.strengths || []).filter(s => typeof s === 'string').slice(0, 5),
+      concerns: (result.concerns || []).filter(s => typeof s === 'string').slice(0, 5),
+      generated: true
+    };
+  } catch (error) {
+    console.error(`[M2M Steering] Scorecard failed for ${conversation.id} (${side}):`, error.message);
+    return fallbackScorecard(steering);
+  }
+}
+
+// ===================== OWNER CONTROLS =====================
+
+/**
+ * Pause or resume a conversation for one side. It stays paused while either owner has it paused.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} conversationId
+ * @param {string} side
+ * @param {boolean} paused
+ * @returns {Promise<Object>} - { success, paused }
+ */
+async function setConversationPaused(db, conversationId, side, paused) {
+  const ref = db.collection('matchingConversations').doc(conversationId);
+  await db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    const pausedBy = { ...(doc.data()?.pausedBy || {}), [side]: paused };
+    tx.update(ref, {
+      [`pausedBy.${side}`]: paused,
+      held: isConversationPaused({ pausedBy }) || doc.data()?.frozen === true,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+  console.log(`[M2M Steering] ${conversationId} ${paused ? 'paused' : 'resumed'} by ${side}`);
+  return { success: true, paused };
+}
+
+/**
+ * Add a steering note for one side's clone; it is used from that side's next turn on
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} conversation - matchingConversations doc (with id)
+ * @param {string} side
+ * @param {string} text
+ * @returns {Promise<Object>} - { success, note } or { success: false, error }
+ */
+async function addSteeringNote(db, conversation, side, text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { success: false, error: 'note is required' };
+  }
+  if (conversation.completedAt) {
+    return { success: false, error: 'Conversation has already finished' };
+  }
+
+  const note = {
+    id: `note_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+    side,
+    text: text.trim().substring(0, MAX_NOTE_CHARS),
+    round: conversation.currentRound || 0,
+    createdAt: new Date().toISOString()
+  };
+  await db.collection('matchingConversations').doc(conversation.id).update({
+    steeringNotes: admin.firestore.FieldValue.arrayUnion(note),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return { success: true, note };
+}
+
+/**
+ * One owner's view of the steering state, without the other side's notes, deal-breakers or scorecard
+ * @param {Object} conversation - matchingConversations doc
+ * @param {string} side
+ * @param {Object} [steering] - From getConversationSteering
+ * @returns {Object}
+ */
+function controlsFor(conversation, side, steering = null) {
+  const other = side === 'userA' ? 'userB' : 'userA';
+  return {
+    paused: isConversationPaused(conversation),
+    pausedByMe: conversation.pausedBy?.[side] === true,
+    pausedByOther: conversation.pausedBy?.[other] === true,
+    notes: (conversation.steeringNotes || []).filter(note => note.side === side),
+    mustAskAsked: conversation.state?.mustAskAsked?.[side] || 0,
+    steering: steering ? {
+      mustAsk: steering.mustAsk,
+      dealBreakers: steering.dealBreakers,
+      disclosure: steering.disclosure,
+      source: steering.source
+    } : null,
+    scorecard: conversation.scorecards?.[side] || null
+  };
+}
+
+module.exports = {
+  SIDES,
+  MAX_STEERED_ROUNDS,
+  DEFAULT_DISCLOSURE,
+  validateSteering,
+  validateDisclosure,
+  sideOf,
+  getConversationSteering,
+  plannedRounds,
+  phaseForRound,
+  nextMustAsk,
+  isConversationPaused,
+  formatSteeringForPrompt,
+  buildScorecard,
+  setConversationPaused,
+  addSteeringNote,
+  controlsFor
+};
@@ -2,6 +2,7 @@
 // Scoring algorithms, utilities, and shared functions
 
 const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { isBlockedPair, canBeMatched } = require('./_matching-safety');
 
 // Initialize Firebase Admin SDK
 initializeFirebaseAdmin();
@@ -285,7 +286,8 @@ async function getActiveProfilesForGoal(goal, excludeUserIds = []) {
 
     const profiles = [];
     snapshot.forEach(doc => {
-      if (!excludeUserIds.includes(doc.id)) {
+      // Profiles on a trust & safety hold are never put forward (_matching-safety.js)
+      if (!excludeUserIds.includes(doc.id) && !doc.data().safetyHold) {
         profiles.push({ id: doc.id, ...doc.data() });
       }
     });
@@ -304,6 +306,11 @@ async function getActiveProfilesForGoal(goal, excludeUserIds = []) {
  */
 async function createMatch(userAId, userBId, matchType, compatibilityScore) {
   try {
+    // Never match a blocked pair or anyone on a safety hold
+    if (!(await canBeMatched(db, userAId, userBId)) || !(await canBeMatched(db, userBId, userAId))) {
+      return { success: false, error: 'These users cannot be matched' };
+    }
+
     const matchRef = db.collection('matches').doc();
     const conversationRef = db.collection('matchingConversations').doc();
     const now = admin.firestore.FieldValue.serverTimestamp();
@@ -321,6 +328,7 @@ async function createMatch(userAId, userBId, matchType, compatibilityScore) {
         topicsExplored: [],
         questionsAsked: []
       },
+      held: false, // true while paused or frozen — the heartbeat only picks up conversations that aren't
       createdAt: now,
       completedAt: null
     });
@@ -337,6 +345,10 @@ async function createMatch(userAId, userBId, matchType, compatibilityScore) {
       conversationId: conversationRef.id,
       compatibilityScore: compatibilityScore.total,
       compatibilityBreakdown: compatibilityScore.breakdown,
+      // Which scorer decided, its per-factor explanation, and both scorers' results (_matching-scorer.js)
+      scorer: compatibilityScore.scorer || 'v1',
+      compatibilityExplanation: compatibilityScore.explanation || null,
+      scoring: compatibilityScore.scoring || null,
       conversationMetadata: {
         totalMessages: 0,
         topicsDiscussed: [],
@@ -475,6 +487,7 @@ async function handleMatchApproval(matchId, userId, approved, comment = '') {
       // Both have responded - determine final status
       if (approved && otherApproved) {
         updateData.status = 'approved';
+        updateData.approvedAt = now;
       } else {
         updateData.status = 'rejected';
       }
@@ -487,6 +500,14 @@ async function handleMatchApproval(matchId, userId, approved, comment = '') {
 
     await db.collection('matches').doc(matchId).update(updateData);
 
+    // Log the decision and let scorer v2 learn from it (non-fatal)
+    try {
+      const { recordMatchOutcome } = require('./_matching-scorer');
+      await recordMatchOutcome(db, match, userId, approved);
+    } catch (outcomeError) {
+      console.error('[Matching] Failed to record match outcome:', outcomeError.message);
+    }
+
     return {
       success: true,
       newStatus: updateData.status,
@@ -553,14 +574,16 @@ async function addMessageToConversation(conversationId, sender, senderName, cont
 
 /**
  * Complete a conversation
+ * @param {Object} [scorecards] - { userA, userB } per-owner scorecards (_m2m-steering.js)
  */
-async function completeConversation(conversationId, keyInsights = []) {
+async function completeConversation(conversationId, keyInsights = [], scorecards = null) {
   try {
     const now = admin.firestore.FieldValue.serverTimestamp();
 
     await db.collection('matchingConversations').doc(conversationId).update({
       completedAt: now,
-      'state.phase': 'completed'
+      'state.phase': 'completed',
+      ...(scorecards ? { scorecards } : {})
     });
 
     // Update match status
@@ -568,7 +591,8 @@ async function completeConversation(conversationId, keyInsights = []) {
     if (conversation?.matchId) {
       await db.collection('matches').doc(conversation.matchId).update({
         status: 'pending_approval',
-        'conversationMetadata.keyInsights': keyInsights
+        'conversationMetadata.keyInsights': keyInsights,
+        ...(scorecards ? { scorecards } : {})
       });
     }
 
@@ -655,6 +679,9 @@ async function hasReachedDailyLimit(userId) {
  */
 async function hasExistingMatch(userAId, userBId) {
   try {
+    // A block either way counts as an existing match — the pair is never matched again
+    if (await isBlockedPair(db, userAId, userBId)) return true;
+
     // Check both directions
     const snapshot1 = await db.collection('matches')
       .where('userA_id', '==', userAId)
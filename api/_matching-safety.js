@@ -0,0 +1,614 @@
+// Matching trust & safety - blocks, reports, M2M message screening and abuse signals
+//   blocks     — matchingBlocks/{blockerId}_{blockedId} { blockerId, blockedId, reason, matchId, createdAt }
+//                Honored both ways: neither side is matched with, searched for or introduced to the
+//                other again, and blocking ends any open match between them (status 'blocked').
+//   reports    — matchingReports/{id} { reporterId (null from screening), reportedUserId, matchId,
+//                conversationId, matchType, reason, details, source: 'user' | 'screening', evidence,
+//                status: 'open' | 'upheld' | 'dismissed', createdAt, resolvedAt, resolvedBy, resolution }
+//                A report freezes the match (status 'frozen'; the conversation and intro are on hold)
+//                until an admin resolves it (api/admin/matching-reports.js). The admin queue query
+//                (status ==, createdAt desc) needs the composite index in firestore.indexes.json.
+//   screening  — contact details (emails, phone numbers, links, handles) are redacted from every
+//                M2M message before it's stored, and messages matching THREAT_PATTERNS are never
+//                stored at all. Before the mindclones decide, the whole conversation is screened by
+//                the LLM. Anything flagged files a 'screening' report and freezes the match.
+//   signals    — matchingSafety/{userId} { reportsReceived, reporterIds[], screeningFlags, blockedByCount,
+//                hold, holdReason, heldAt }. AUTO_HOLD_REPORTERS distinct reporters put the user on
+//                hold (matchingProfiles/{uid}.safetyHold — skipped by every candidate search) until
+//                an admin clears it.
+// Contact details only ever change hands through the double-opt-in intro (_introductions.js).
+
+const { admin } = require('./_firebase-admin');
+const { generateJSON } = require('./_llm');
+
+const REPORT_REASONS = ['harassment', 'sexual_content', 'contact_pressure', 'spam', 'fake_profile', 'safety_concern', 'other'];
+const MAX_DETAILS_CHARS = 2000;
+const MAX_EVIDENCE_MESSAGES = 6;
+const AUTO_HOLD_REPORTERS = 3;
+const OPEN_MATCH_STATUSES = ['active', 'completed', 'pending_approval', 'approved', 'frozen'];
+const REDACTION = '[contact details removed]';
+
+// Contact details a mindclone must not pass on mid-conversation
+const CONTACT_PATTERNS = [
+  /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,                              // email
+  /\b(?:https?:\/\/|www\.)\S+/gi,                                          // links
+  /\b(?:wa\.me|t\.me|instagram\.com|linkedin\.com|twitter\.com|x\.com|snapchat\.com)\/\S+/gi,
+  /\+?\d[\d\s().-]{7,}\d/g,                                                // phone-like runs of digits and separators
+  /(?:^|\s)@[A-Za-z0-9_.]{3,}/g                                            // social handles
+];
+
+// First-pass lexicon for messages that should never be delivered; the LLM screen is the real check
+const THREAT_PATTERNS = [
+  /\b(?:i(?:'ll| will)|gonna|going to)\s+(?:kill|hurt|find|rape|stalk)\s+(?:you|her|him|them)\b/i,
+  /\b(?:send|show) (?:me )?(?:nudes?|naked|explicit)\b/i,
+  /\bi know where (?:you|she|he|they) (?:live|work)s?\b/i,
+  /\b(?:kill|hang) your ?self\b/i
+];
+
+function getBlocksRef(db) {
+  return db.collection('matchingBlocks');
+}
+
+function getReportsRef(db) {
+  return db.collection('matchingReports');
+}
+
+// ===================== BLOCKS =====================
+
+/**
+ * Everyone a user must never be matched with: people they blocked and people who blocked them
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @returns {Promise<Set<string>>}
+ */
+async function getBlockedUserIds(db, userId) {
+  const [mine, theirs] = await Promise.all([
+    getBlocksRef(db).where('blockerId', '==', userId).get(),
+    getBlocksRef(db).where('blockedId', '==', userId).get()
+  ]);
+  return new Set([
+    ...mine.docs.map(doc => doc.data().blockedId),
+    ...theirs.docs.map(doc => doc.data().blockerId)
+  ]);
+}
+
+/**
+ * Whether either user has blocked the other
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userAId
+ * @param {string} userBId
+ * @returns {Promise<boolean>}
+ */
+async function isBlockedPair(db, userAId, userBId) {
+  const [ab, ba] = await Promise.all([
+    getBlocksRef(db).doc(`${userAId}_${userBId}`).get(),
+    getBlocksRef(db).doc(`${userBId}_${userAId}`).get()
+  ]);
+  return ab.exists || ba.exists;
+}
+
+/**
+ * Whether a user can be put forward as a match at all (not blocked by the searcher, not on hold)
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Searcher
+ * @param {string} candidateId
+ * @param {Object} [candidateProfile] - matchingProfiles doc, if already loaded
+ * @returns {Promise<boolean>}
+ */
+async function canBeMatched(db, userId, candidateId, candidateProfile = null) {
+  const profile = candidateProfile || (await db.collection('matchingProfiles').doc(candidateId).get()).data();
+  if (profile?.safetyHold) return false;
+  return !(await isBlockedPair(db, userId, candidateId));
+}
+
+// Every match between two users, in both directions
+async function matchesBetween(db, userAId, userBId) {
+  const [ab, ba] = await Promise.all([
+    db.collection('matches').where('userA_id', '==', userAId).where('userB_id', '==', userBId).get(),
+    db.collection('matches').where('userA_id', '==', userBId).where('userB_id', '==', userAId).get()
+  ]);
+  return [...ab.docs, ...ba.docs].map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+// Stop a match for good: conversation completed, intro withdrawn, nothing more revealed
+async function endMatch(db, match, status) {
+  await db.collection('matches').doc(match.id).update({
+    status,
+    endedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  if (match.conversationId) {
+    const convRef = db.collection('matchingConversations').doc(match.conversationId);
+    const convDoc = await convRef.get();
+    if (convDoc.exists && !convDoc.data().completedAt) {
+      await convRef.update({ completedAt: admin.firestore.FieldValue.serverTimestamp(), 'state.phase': status, frozen: false });
+    }
+  }
+  const introRef = db.collection('introductions').doc(match.id);
+  const introDoc = await introRef.get();
+  if (introDoc.exists && introDoc.data().status !== 'completed') {
+    await introRef.update({ status, nextAction: null, nextActionAt: null, updatedAt: new Date().toISOString() });
+  }
+}
+
+/**
+ * Block another user. Ends any open match between the two.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} blockerId
+ * @param {string} blockedId
+ * @param {Object} [options] - { reason, matchId }
+ * @returns {Promise<Object>} - { success, endedMatches } or { success: false, error }
+ */
+async function blockUser(db, blockerId, blockedId, { reason = null, matchId = null } = {}) {
+  if (!blockedId || blockedId === blockerId) {
+    return { success: false, error: 'Choose someone else to block' };
+  }
+  try {
+    const ref = getBlocksRef(db).doc(`${blockerId}_${blockedId}`);
+    const existing = await ref.get();
+    if (!existing.exists) {
+      await ref.set({
+        blockerId,
+        blockedId,
+        reason: typeof reason === 'string' ? reason.substring(0, MAX_DETAILS_CHARS) : null,
+        matchId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      await recordAbuseSignal(db, blockedId, { type: 'blocked' });
+    }
+
+    let endedMatches = 0;
+    for (const match of await matchesBetween(db, blockerId, blockedId)) {
+      if (OPEN_MATCH_STATUSES.includes(match.status)) {
+        await endMatch(db, match, 'blocked');
+        endedMatches++;
+      }
+    }
+
+    console.log(`[Safety] ${blockerId} blocked ${blockedId} (${endedMatches} match(es) ended)`);
+    return { success: true, endedMatches };
+  } catch (error) {
+    console.error('[Safety] Error blocking user:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Lift a block. Ended matches stay ended; the two can simply be matched again later.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} blockerId
+ * @param {string} blockedId
+ * @returns {Promise<Object>} - { success }
+ */
+async function unblockUser(db, blockerId, blockedId) {
+  try {
+    await getBlocksRef(db).doc(`${blockerId}_${blockedId}`).delete();
+    console.log(`[Safety] ${blockerId} unblocked ${blockedId}`);
+    return { success: true };
+  } catch (error) {
+    console.error('[Safety] Error unblocking user:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * People a user has blocked (not who blocked them — that is never shown)
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @returns {Promise<Array>} - [{ userId, displayName, reason, blockedAt }]
+ */
+async function listBlocks(db, userId) {
+  const snapshot = await getBlocksRef(db).where('blockerId', '==', userId).get();
+  return Promise.all(snapshot.docs.map(async (doc) => {
+    const block = doc.data();
+    const profileDoc = await db.collection('matchingProfiles').doc(block.blockedId).get();
+    return {
+      userId: block.blockedId,
+      displayName: profileDoc.exists ? profileDoc.data().displayName || 'Someone' : 'Someone',
+      reason: block.reason || null,
+      blockedAt: block.createdAt?.toDate?.()?.toISOString() || null
+    };
+  }));
+}
+
+// ===================== FREEZING =====================
+
+/**
+ * Put a match on hold while a report is reviewed: no more turns, no approvals, intro paused
+ * and contact details hidden. Idempotent — a second report on a frozen match is just added to it.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} match - matches doc (with id)
+ * @param {string} reportId
+ */
+async function freezeMatch(db, match, reportId) {
+  const matchRef = db.collection('matches').doc(match.id);
+  await db.runTransaction(async (tx) => {
+    const doc = await tx.get(matchRef);
+    if (!doc.exists) return;
+    const current = doc.data();
+    if (current.status === 'frozen') {
+      tx.update(matchRef, { 'frozen.reportIds': admin.firestore.FieldValue.arrayUnion(reportId) });
+      return;
+    }
+    tx.update(matchRef, {
+      status: 'frozen',
+      frozen: { previousStatus: current.status, reportIds: [reportId], at: new Date().toISOString() }
+    });
+  });
+
+  if (match.conversationId) {
+    await db.collection('matchingConversations').doc(match.conversationId).update({ frozen: true, held: true });
+  }
+  const introRef = db.collection('introductions').doc(match.id);
+  const introDoc = await introRef.get();
+  if (introDoc.exists && introDoc.data().status !== 'frozen') {
+    const intro = introDoc.data();
+    await introRef.update({
+      status: 'frozen',
+      frozen: { previousStatus: intro.status, nextAction: intro.nextAction || null, nextActionAt: intro.nextActionAt || null },
+      nextAction: null,
+      nextActionAt: null,
+      updatedAt: new Date().toISOString()
+    });
+  }
+  console.log(`[Safety] Match ${match.id} frozen (report ${reportId})`);
+}
+
+// Undo freezeMatch once every report on the match has been dismissed
+async function unfreezeMatch(db, matchId) {
+  const matchRef = db.collection('matches').doc(matchId);
+  const matchDoc = await matchRef.get();
+  if (!matchDoc.exists || matchDoc.data().status !== 'frozen') return;
+  const match = matchDoc.data();
+
+  await matchRef.update({ status: match.frozen?.previousStatus || 'pending_approval', frozen: null });
+  if (match.conversationId) {
+    // Back into the heartbeat unless an owner still has it paused; a conversation that was
+    // frozen at its last round is completed and auto-approved there
+    const convRef = db.collection('matchingConversations').doc(match.conversationId);
+    const convDoc = await convRef.get();
+    if (convDoc.exists) {
+      const paused = Object.values(convDoc.data().pausedBy || {}).some(value => value === true);
+      await convRef.update({ frozen: false, held: paused });
+    }
+  }
+  const introRef = db.collection('introductions').doc(matchId);
+  const introDoc = await introRef.get();
+  if (introDoc.exists && introDoc.data().status === 'frozen') {
+    const { frozen } = introDoc.data();
+    await introRef.update({
+      status: frozen?.previousStatus || 'drafting',
+      nextAction: frozen?.nextAction || null,
+      nextActionAt: frozen?.nextActionAt || null,
+      frozen: null,
+      updatedAt: new Date().toISOString()
+    });
+  }
+  console.log(`[Safety] Match ${matchId} unfrozen`);
+}
+
+// ===================== REPORTS =====================
+
+async function loadConversationForMatch(db, match) {
+  if (!match.conversationId) return null;
+  const doc = await db.collection('matchingConversations').doc(match.conversationId).get();
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+function evidenceFrom(conversation, side = null) {
+  const label = side ? `${side}_mindclone` : null;
+  return (conversation?.messages || [])
+    .filter(m => !label || m.sender === label)
+    .slice(-MAX_EVIDENCE_MESSAGES)
+    .map(m => ({ sender: m.sender, senderName: m.senderName, round: m.round, content: m.content }));
+}
+
+async function createReport(db, report) {
+  const ref = getReportsRef(db).doc();
+  await ref.set({
+    ...report,
+    status: 'open',
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    resolvedAt: null,
+    resolvedBy: null,
+    resolution: null
+  });
+  return ref.id;
+}
+
+/**
+ * Report the other side of a match. Freezes the match for admin review and, optionally, blocks them.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} reporterId
+ * @param {Object} input - { matchId, reason, details?, block? }
+ * @returns {Promise<Object>} - { success, reportId, blocked } or { success: false, error, status? }
+ */
+async function reportMatch(db, reporterId, { matchId, reason, details = null, block = false } = {}) {
+  if (!matchId) return { success: false, error: 'matchId is required', status: 400 };
+  if (!REPORT_REASONS.includes(reason)) {
+    return { success: false, error: `reason must be one of: ${REPORT_REASONS.join(', ')}`, status: 400 };
+  }
+
+  try {
+    const matchDoc = await db.collection('matches').doc(matchId).get();
+    if (!matchDoc.exists) return { success: false, error: 'Match not found', status: 404 };
+    const match = { id: matchDoc.id, ...matchDoc.data() };
+    if (match.userA_id !== reporterId && match.userB_id !== reporterId) {
+      return { success: false, error: 'Access denied', status: 403 };
+    }
+
+    const reportedSide = match.userA_id === reporterId ? 'userB' : 'userA';
+    const reportedUserId = match[`${reportedSide}_id`];
+    const conversation = await loadConversationForMatch(db, match);
+
+    const reportId = await createReport(db, {
+      reporterId,
+      reportedUserId,
+      matchId,
+      conversationId: match.conversationId || null,
+      matchType: match.matchType || null,
+      reason,
+      details: typeof details === 'string' ? details.trim().substring(0, MAX_DETAILS_CHARS) : null,
+      source: 'user',
+      evidence: { messages: evidenceFrom(conversation, reportedSide) }
+    });
+
+    await freezeMatch(db, match, reportId);
+    await recordAbuseSignal(db, reportedUserId, { type: 'report', reporterId });
+
+    let blocked = false;
+    if (block) {
+      blocked = (await blockUser(db, reporterId, reportedUserId, { reason, matchId })).success;
+    }
+
+    console.log(`[Safety] Report ${reportId}: ${reporterId} reported ${reportedUserId} (${reason})`);
+    return { success: true, reportId, blocked };
+  } catch (error) {
+    console.error('[Safety] Error reporting match:', error);
+    return { success: false, error: error.message, status: 500 };
+  }
+}
+
+/**
+ * Report raised by automatic screening rather than a person
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} match - matches doc (with id)
+ * @param {Object} conversation - matchingConversations doc
+ * @param {Object} finding - { side, reason, categories[], summary, messages[] }
+ * @returns {Promise<string>} - reportId
+ */
+async function fileScreeningReport(db, match, conversation, finding) {
+  const reportedUserId = finding.side ? match[`${finding.side}_id`] : null;
+  const reportId = await createReport(db, {
+    reporterId: null,
+    reportedUserId,
+    matchId: match.id,
+    conversationId: conversation?.id || match.conversationId || null,
+    matchType: match.matchType || null,
+    reason: finding.reason,
+    details: finding.summary || null,
+    source: 'screening',
+    evidence: {
+      categories: finding.categories || [],
+      messages: finding.messages || evidenceFrom(conversation, finding.side)
+    }
+  });
+  await freezeMatch(db, match, reportId);
+  if (reportedUserId) await recordAbuseSignal(db, reportedUserId, { type: 'screening' });
+  console.log(`[Safety] Screening report ${reportId} on match ${match.id} (${finding.reason})`);
+  return reportId;
+}
+
+// ===================== SCREENING =====================
+
+/**
+ * Redact contact details from one M2M message and check it against THREAT_PATTERNS
+ * @param {string} text
+ * @returns {Object} - { text (redacted), flags: ('contact_info' | 'threat')[] }
+ */
+function screenMessage(text) {
+  const flags = [];
+  let redacted = String(text || '');
+  for (const pattern of CONTACT_PATTERNS) {
+    redacted = redacted.replace(pattern, (found) => {
+      // Phone-like runs need at least 9 digits (years, year ranges and amounts don't)
+      if (/^\+?\d[\d\s().-]+\d$/.test(found.trim()) && found.replace(/\D/g, '').length < 9) return found;
+      return `${/^\s/.test(found) ? ' ' : ''}${REDACTION}`;
+    });
+  }
+  if (redacted !== text) flags.push('contact_info');
+  if (THREAT_PATTERNS.some(pattern => pattern.test(redacted))) flags.push('threat');
+  return { text: redacted, flags };
+}
+
+/**
+ * LLM review of a finished M2M conversation before either side approves it
+ * Fails open (flagged: false, screened: false) — message-level screening has already run.
+ * @param {Object} conversation - matchingConversations doc with messages
+ * @returns {Promise<Object>} - { flagged, side, reason, categories[], summary, screened }
+ */
+async function screenConversation(conversation) {
+  const transcript = (conversation.messages || []).map(m => `[${m.sender}] ${m.senderName}: ${m.content}`).join('\n');
+  if (!transcript) return { flagged: false, screened: false };
+
+  const prompt = `You are the trust & safety reviewer for a ${conversation.matchType || 'networking'} matching service. Two AI representatives ("mindclones") talked on behalf of their humans. Before either human sees it, check the conversation for:
+- harassment, insults, threats or intimidation
+- sexual content or sexual pressure${conversation.matchType === 'dating' ? ' beyond light, mutual flirting' : ''}
+- attempts to exchange or extract contact details, or to move the conversation off the platform
+- scams, spam or obvious misrepresentation
+
+CONVERSATION:
+${transcript}
+
+Respond with JSON:
+{
+  "flagged": true/false,
+  "side": "userA" | "userB" | null,
+  "reason": ${JSON.stringify(REPORT_REASONS.join(' | '))},
+  "categories": ["..."],
+  "summary": "one sentence for the reviewer"
+}
+Only flag clear problems — ordinary disagreement, enthusiasm or polite declining is fine. "side" is whose mindclone caused the problem.`;
+
+  try {
+    const result = await generateJSON(null, prompt, { maxTokens: 300, label: 'm2m-screening' });
+    const flagged = result.flagged === true;
+    return {
+      flagged,
+      side: ['userA', 'userB'].includes(result.side) ? result.side : null,
+      reason: REPORT_REASONS.includes(result.reason) ? result.reason : 'other',
+      categories: Array.isArray(result.categories) ? result.categories.filter(c => typeof c === 'string').slice(0, 5) : [],
+      summary: typeof result.summary === 'string' ? result.summary : '',
+      screened: true
+    };
+  } catch (error) {
+    console.error('[Safety] Conversation screening failed:', error.message);
+    return { flagged: false, screened: false };
+  }
+}
+
+// ===================== ABUSE SIGNALS =====================
+
+/**
+ * Count a signal against a user; AUTO_HOLD_REPORTERS distinct reporters put them on hold
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @param {Object} signal - { type: 'report' | 'screening' | 'blocked', reporterId? }
+ */
+async function recordAbuseSignal(db, userId, { type, reporterId = null }) {
+  const ref = db.collection('matchingSafety').doc(userId);
+  const hold = await db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    const data = doc.exists ? doc.data() : {};
+    const reporterIds = new Set(data.reporterIds || []);
+    if (reporterId) reporterIds.add(reporterId);
+
+    const updates = {
+      userId,
+      reportsReceived: (data.reportsReceived || 0) + (type === 'report' ? 1 : 0),
+      reporterIds: [...reporterIds],
+      screeningFlags: (data.screeningFlags || 0) + (type === 'screening' ? 1 : 0),
+      blockedByCount: (data.blockedByCount || 0) + (type === 'blocked' ? 1 : 0),
+      lastSignalAt: new Date().toISOString()
+    };
+    const shouldHold = !data.hold && !data.holdCleared && reporterIds.size >= AUTO_HOLD_REPORTERS;
+    if (shouldHold) {
+      updates.hold = true;
+      updates.holdReason = `${reporterIds.size} people reported this user`;
+      updates.heldAt = new Date().toISOString();
+    }
+    tx.set(ref, updates, { merge: true });
+    return shouldHold;
+  });
+
+  if (hold) {
+    await db.collection('matchingProfiles').doc(userId).set({ safetyHold: true }, { merge: true });
+    console.log(`[Safety] ${userId} put on hold after ${AUTO_HOLD_REPORTERS}+ reporters`);
+  }
+}
+
+/**
+ * Put a user on hold (skipped by all matching) or clear it. Clearing also stops further
+ * automatic holds from the reports counted so far.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @param {boolean} hold
+ * @param {string} [reason]
+ */
+async function setSafetyHold(db, userId, hold, reason = null) {
+  const nowIso = new Date().toISOString();
+  await db.collection('matchingSafety').doc(userId).set(hold
+    ? { userId, hold: true, holdReason: reason, heldAt: nowIso }
+    : { userId, hold: false, holdReason: null, holdCleared: true, clearedAt: nowIso }, { merge: true });
+  await db.collection('matchingProfiles').doc(userId).set({ safetyHold: hold }, { merge: true });
+  console.log(`[Safety] ${userId} hold ${hold ? 'set' : 'cleared'}`);
+}
+
+// ===================== ADMIN =====================
+
+/**
+ * Reports for the admin queue, newest first, with the reported user's signals attached
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} [options] - { status='open', limit=50 }
+ * @returns {Promise<Array>}
+ */
+async function listReports(db, { status = 'open', limit = 50 } = {}) {
+  const snapshot = await getReportsRef(db)
+    .where('status', '==', status)
+    .orderBy('createdAt', 'desc')
+    .limit(limit)
+    .get();
+  const reports = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  const signals = new Map();
+  for (const userId of new Set(reports.map(r => r.reportedUserId).filter(Boolean))) {
+    const doc = await db.collection('matchingSafety').doc(userId).get();
+    signals.set(userId, doc.exists ? doc.data() : null);
+  }
+  return reports.map(report => ({
+    ...report,
+    createdAt: report.createdAt?.toDate?.()?.toISOString() || report.createdAt || null,
+    reportedUserSignals: signals.get(report.reportedUserId) || null
+  }));
+}
+
+/**
+ * Resolve a report
+ *   dismiss — nothing wrong; the match resumes once no other open report holds it
+ *   uphold  — the match is ended ('removed'); optionally put the reported user on hold
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} reportId
+ * @param {Object} decision - { action: 'dismiss' | 'uphold', holdUser?, note?, resolvedBy }
+ * @returns {Promise<Object>} - { success } or { success: false, error, status? }
+ */
+async function resolveReport(db, reportId, { action, holdUser = false, note = null, resolvedBy = 'admin' } = {}) {
+  if (!['dismiss', 'uphold'].includes(action)) {
+    return { success: false, error: 'action must be "dismiss" or "uphold"', status: 400 };
+  }
+  const ref = getReportsRef(db).doc(reportId);
+  const doc = await ref.get();
+  if (!doc.exists) return { success: false, error: 'Report not found', status: 404 };
+  const report = doc.data();
+  if (report.status !== 'open') return { success: false, error: `Report already ${report.status}`, status: 400 };
+
+  await ref.update({
+    status: action === 'dismiss' ? 'dismissed' : 'upheld',
+    resolvedAt: admin.firestore.FieldValue.serverTimestamp(),
+    resolvedBy,
+    resolution: { action, holdUser: !!holdUser, note: typeof note === 'string' ? note.substring(0, MAX_DETAILS_CHARS) : null }
+  });
+
+  const matchDoc = report.matchId ? await db.collection('matches').doc(report.matchId).get() : null;
+  if (matchDoc?.exists) {
+    const match = { id: matchDoc.id, ...matchDoc.data() };
+    if (action === 'uphold') {
+      await endMatch(db, match, 'removed');
+    } else {
+      const stillOpen = await getReportsRef(db).where('matchId', '==', match.id).where('status', '==', 'open').get();
+      if (stillOpen.empty) await unfreezeMatch(db, match.id);
+    }
+  }
+  if (action === 'uphold' && holdUser && report.reportedUserId) {
+    await setSafetyHold(db, report.reportedUserId, true, `Report ${reportId} upheld`);
+  }
+
+  console.log(`[Safety] Report ${reportId} ${action === 'dismiss' ? 'dismissed' : 'upheld'} by ${resolvedBy}`);
+  return { success: true };
+}
+
+module.exports = {
+  REPORT_REASONS,
+  getBlockedUserIds,
+  isBlockedPair,
+  canBeMatched,
+  blockUser,
+  unblockUser,
+  listBlocks,
+  freezeMatch,
+  reportMatch,
+  fileScreeningReport,
+  screenMessage,
+  screenConversation,
+  recordAbuseSignal,
+  setSafetyHold,
+  listReports,
+  resolveReport
+};
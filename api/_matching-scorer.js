@@ -0,0 +1,496 @@
+// Matching scorer v2 - compatibility from what people actually do and want
+// v1 (calculateCompatibilityScore in _matching-helpers.js) scores a goal table, exact interest
+// overlap and profile completeness. v2 embeds each side's text (_embeddings.js) and compares meaning:
+//   needFit           — what each side is looking for vs what the other does/offers (both ways)
+//   goalFit           — each owner's open mental-model goals vs the other's profile
+//   domainOverlap     — profile vs profile (same world, shared vocabulary)
+//   knowledgeOverlap  — knowledge base summaries (core objective, audiences, sections)
+//   goalCompatibility — v1's structured goal/linkGoal pairing, kept as a prior
+// Factors with no text on either side drop out and the rest are re-weighted.
+// Mental-model goals and KB text only ever leave here as vectors and scores, never quoted.
+//
+// Weights are learned from human approve/reject decisions and, more strongly, from post-intro
+// meeting feedback (online logistic regression, system/matching-weights) starting from
+// DEFAULT_WEIGHTS. Every decision is logged to matchOutcomes/{matchId}_{userId} for offline evaluation.
+//
+// Which scorer decides is a per-user flag, matchingProfiles/{uid}.scorer ('v1' | 'v2'),
+// defaulting to MATCHING_SCORER or 'v1'. The other scorer runs in shadow and both results
+// are stored on the match (scoring.v1 / scoring.v2), so the two can be compared on real outcomes.
+
+const crypto = require('crypto');
+const { admin } = require('./_firebase-admin');
+const { embedTexts, cosineSimilarity, getEmbeddingProvider, getMinSimilarity, getDuplicateSimilarity } = require('./_embeddings');
+const { loadMentalModel } = require('./_mental-model');
+const { MATCH_THRESHOLD, calculateCompatibilityScore, calculateGoalAlignment } = require('./_matching-helpers');
+
+const SCORERS = ['v1', 'v2'];
+const FACTORS = ['needFit', 'goalFit', 'domainOverlap', 'knowledgeOverlap', 'goalCompatibility'];
+const DEFAULT_WEIGHTS = {
+  needFit: 0.35,
+  goalFit: 0.2,
+  domainOverlap: 0.15,
+  knowledgeOverlap: 0.1,
+  goalCompatibility: 0.2
+};
+const SIGNAL_FIELDS = ['offers', 'wants', 'knowledge', 'goals'];
+const SIGNAL_TTL_MS = 24 * 60 * 60 * 1000;   // re-read sources at most daily
+const MEMORY_CACHE_MS = 10 * 60 * 1000;       // one heartbeat scores one user against many
+const WEIGHTS_CACHE_MS = 5 * 60 * 1000;
+const LEARNING_RATE = 0.1;
+const MEETING_LEARNING_RATE = 0.2;            // a meeting that went well says more than an approve click
+const GOOD_MEETING_RATING = 4;                // 1-5; this or above counts as a good match
+const COEFFICIENT_SCALE = 4;                  // initial logistic coefficients = weight × scale
+const MIN_WEIGHT = 0.02;                      // no factor is ever switched off entirely
+const MAX_KB_CHARS = 3000;
+const MAX_GOALS = 15;
+
+// What each link goal says the owner is after (used when the profile has no lookingFor text)
+const LINK_GOAL_WANTS = {
+  raise_funds: 'Looking for investors to fund my startup',
+  find_clients: 'Looking for clients and customers for my services',
+  get_hired: 'Looking for a job or role at a company',
+  build_audience: 'Looking for an audience, readers and followers',
+  networking: 'Looking for meaningful professional connections and collaborators'
+};
+
+const FACTOR_REASONS = {
+  needFit: ['What each of you is looking for lines up closely with what the other does', 'Some overlap between what one of you wants and what the other offers', 'Little overlap between what either of you is looking for and what the other offers'],
+  goalFit: ['Your current goals fit what they work on', 'Your current goals partly touch on what they work on', 'Your current goals don\'t obviously connect to what they work on'],
+  domainOverlap: ['You work in very similar areas', 'Your work overlaps in places', 'You work in quite different areas'],
+  knowledgeOverlap: ['Your knowledge bases cover closely related ground', 'Your knowledge bases share some ground', 'Your knowledge bases cover different ground'],
+  goalCompatibility: ['Your matching goals complement each other', 'Your matching goals are compatible', 'Your matching goals don\'t pair well']
+};
+
+const signalCache = new Map();   // userId -> { at, signals }
+let weightsCache = null;         // { at, state }
+
+// ===================== SIGNALS =====================
+
+function joinText(parts) {
+  return parts
+    .flat()
+    .filter(part => typeof part === 'string' && part.trim())
+    .map(part => part.trim())
+    .join('\n');
+}
+
+/**
+ * The texts v2 compares for one user
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @param {Object} profile - matchingProfiles/{userId}
+ * @returns {Promise<Object>} - { offers, wants, knowledge, goals } (empty strings when missing)
+ */
+async function buildSignalTexts(db, userId, profile) {
+  const goals = profile.goals || {};
+  const sub = profile.profiles || {};
+  const enabled = type => goals[type] && sub[type];
+
+  const offers = joinText([
+    profile.bio,
+    enabled('dating') ? [sub.dating.about, sub.dating.interests, sub.dating.values] : [],
+    enabled('investing') ? [sub.investing.companyName, sub.investing.industry, sub.investing.stage, sub.investing.description, sub.investing.traction] : [],
+    enabled('hiring') ? [sub.hiring.jobTitle, sub.hiring.skills, sub.hiring.experience, sub.hiring.about] : [],
+    enabled('networking') ? [sub.networking.expertise, sub.networking.offer, sub.networking.interests] : [],
+    (profile.matchingPreferences?.industries || []).join(', '),
+    (profile.matchingPreferences?.interests || []).join(', ')
+  ]);
+
+  const wants = joinText([
+    enabled('dating') ? sub.dating.lookingFor : '',
+    enabled('hiring') ? sub.hiring.role : '',
+    enabled('networking') ? sub.networking.lookingFor : '',
+    enabled('investing') && sub.investing.fundingAmount ? `Raising ${sub.investing.fundingAmount}` : '',
+    LINK_GOAL_WANTS[profile.linkGoal] || ''
+  ]);
+
+  let knowledge = '';
+  try {
+    const kbDoc = await db.collection('users').doc(userId).collection('linkKnowledgeBase').doc('config').get();
+    const kb = kbDoc.exists ? kbDoc.data() : {};
+    knowledge = joinText([
+      kb.cof?.purpose,
+      (kb.cof?.targetAudiences || []).join(', '),
+      (kb.cof?.desiredActions || []).join(', '),
+      Object.values(kb.sections || {}).map(section => (section?.content || '').substring(0, 600))
+    ]).substring(0, MAX_KB_CHARS);
+  } catch (error) {
+    console.error(`[MatchScorer] Could not read knowledge base for ${userId}:`, error.message);
+  }
+
+  const mentalModel = await loadMentalModel(db, userId);
+  const goalTexts = joinText((mentalModel.goals || [])
+    .filter(goal => ['active', 'blocked'].includes(goal.status || 'active'))
+    .slice(0, MAX_GOALS)
+    .map(goal => goal.content));
+
+  return { offers, wants, knowledge, goals: goalTexts };
+}
+
+/**
+ * Embedded signals for one user, cached in matchingSignals/{userId}
+ * Sources are re-read at most every SIGNAL_TTL_MS (sooner when the matching profile changes);
+ * texts are only re-embedded when they changed or the embedding model did.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @param {Object} profile - matchingProfiles/{userId}
+ * @returns {Promise<Object>} - { model, vectors: { offers?, wants?, knowledge?, goals? } }
+ */
+async function getMatchingSignals(db, userId, profile) {
+  const cached = signalCache.get(userId);
+  if (cached && Date.now() - cached.at < MEMORY_CACHE_MS) return cached.signals;
+
+  const model = getEmbeddingProvider().model;
+  const profileUpdatedAt = profile.updatedAt?.toMillis?.() || 0;
+  const ref = db.collection('matchingSignals').doc(userId);
+  const doc = await ref.get();
+  const stored = doc.exists ? doc.data() : null;
+
+  let signals;
+  if (stored && stored.model === model && stored.profileUpdatedAt === profileUpdatedAt &&
+      Date.now() - (stored.refreshedAt || 0) < SIGNAL_TTL_MS) {
+    signals = { model: stored.model, vectors: stored.vectors || {} };
+  } else {
+    const texts = await buildSignalTexts(db, userId, profile);
+    const hash = crypto.createHash('sha1').update(JSON.stringify(texts)).digest('hex');
+
+    if (stored && stored.model === model && stored.hash === hash) {
+      signals = { model: stored.model, vectors: stored.vectors || {} };
+    } else {
+      const fields = SIGNAL_FIELDS.filter(field => texts[field]);
+      const embedded = fields.length > 0 ? await embedTexts(fields.map(field => texts[field])) : { model, vectors: [] };
+      const vectors = {};
+      fields.forEach((field, i) => { vectors[field] = embedded.vectors[i]; });
+      signals = { model: embedded.model, vectors };
+      console.log(`[MatchScorer] Embedded ${fields.length} signals for ${userId} (${embedded.model})`);
+    }
+
+    await ref.set({
+      userId,
+      model: signals.model,
+      vectors: signals.vectors,
+      hash,
+      profileUpdatedAt,
+      refreshedAt: Date.now()
+    });
+  }
+
+  signalCache.set(userId, { at: Date.now(), signals });
+  return signals;
+}
+
+// ===================== WEIGHTS =====================
+
+function initialCoefficients() {
+  return Object.fromEntries(FACTORS.map(factor => [factor, DEFAULT_WEIGHTS[factor] * COEFFICIENT_SCALE]));
+}
+
+/**
+ * Scoring weights from the learned coefficients (non-negative, summing to 1)
+ * @param {Object} coefficients
+ * @returns {Object}
+ */
+function weightsFromCoefficients(coefficients) {
+  const clipped = Object.fromEntries(FACTORS.map(factor => [factor, Math.max(coefficients[factor] ?? 0, MIN_WEIGHT)]));
+  const sum = FACTORS.reduce((total, factor) => total + clipped[factor], 0);
+  return Object.fromEntries(FACTORS.map(factor => [factor, clipped[factor] / sum]));
+}
+
+/**
+ * Current v2 weights and how many decisions they've learned from
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @returns {Promise<Object>} - { weights, coefficients, bias, samples, updatedAt }
+ */
+async function getScorerWeights(db) {
+  if (weightsCache && Date.now() - weightsCache.at < WEIGHTS_CACHE_MS) return weightsCache.state;
+
+  const doc = await db.doc('system/matching-weights').get();
+  const data = doc.exists ? doc.data() : {};
+  const coefficients = { ...initialCoefficients(), ...(data.coefficients || {}) };
+  const state = {
+    weights: weightsFromCoefficients(coefficients),
+    coefficients,
+    bias: data.bias || 0,
+    samples: data.samples || 0,
+    updatedAt: data.updatedAt || null
+  };
+  weightsCache = { at: Date.now(), state };
+  return state;
+}
+
+// ===================== SCORING =====================
+
+/**
+ * Cosine similarity as a 0-100 score, calibrated per embedding model:
+ * a bit below "related" is 0, "says the same thing" is 100
+ */
+function similarityScore(a, b, model) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return null;
+  const floor = getMinSimilarity(model) - 0.2;
+  const ceiling = getDuplicateSimilarity(model);
+  const scaled = (cosineSimilarity(a, b) - floor) / (ceiling - floor);
+  return Math.round(Math.min(1, Math.max(0, scaled)) * 100);
+}
+
+function averageOf(values) {
+  const present = values.filter(v => v !== null);
+  return present.length > 0 ? Math.round(present.reduce((a, b) => a + b, 0) / present.length) : null;
+}
+
+function reasonFor(factor, score) {
+  const [strong, some, weak] = FACTOR_REASONS[factor];
+  return score >= 70 ? strong : score >= 45 ? some : weak;
+}
+
+/**
+ * Per-factor scores (0-100, null when a factor can't be computed)
+ */
+async function computeFactors(db, userA, userB, matchType) {
+  const [signalsA, signalsB] = await Promise.all([
+    getMatchingSignals(db, userA.id || userA.userId, userA),
+    getMatchingSignals(db, userB.id || userB.userId, userB)
+  ]);
+  const comparable = signalsA.model === signalsB.model;
+  const a = comparable ? signalsA.vectors : {};
+  const b = comparable ? signalsB.vectors : {};
+  const sim = (x, y) => similarityScore(x, y, signalsA.model);
+
+  return {
+    model: comparable ? signalsA.model : null,
+    factors: {
+      needFit: averageOf([sim(a.wants, b.offers), sim(b.wants, a.offers)]),
+      goalFit: averageOf([sim(a.goals, b.offers), sim(b.goals, a.offers)]),
+      domainOverlap: sim(a.offers, b.offers),
+      knowledgeOverlap: sim(a.knowledge, b.knowledge),
+      goalCompatibility: calculateGoalAlignment(userA, userB, matchType)
+    }
+  };
+}
+
+/**
+ * Score v2: embedded-text factors combined with learned weights
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} userA - matchingProfiles doc (with id)
+ * @param {Object} userB - matchingProfiles doc (with id)
+ * @param {string} matchType - One of MATCH_TYPES
+ * @returns {Promise<Object>} - { total, breakdown, explanation, meetsThreshold, model }
+ */
+async function calculateCompatibilityScoreV2(db, userA, userB, matchType) {
+  const [{ model, factors }, { weights }] = await Promise.all([
+    computeFactors(db, userA, userB, matchType),
+    getScorerWeights(db)
+  ]);
+
+  // Both sides must want this kind of match at all
+  if (!factors.goalCompatibility) {
+    return { total: 0, breakdown: factors, explanation: [], meetsThreshold: false, model };
+  }
+
+  const available = FACTORS.filter(factor => factors[factor] !== null);
+  const weightSum = available.reduce((sum, factor) => sum + weights[factor], 0);
+
+  let total = 0;
+  const explanation = [];
+  for (const factor of available) {
+    const weight = weights[factor] / weightSum;
+    const contribution = factors[factor] * weight;
+    total += contribution;
+    explanation.push({
+      factor,
+      score: factors[factor],
+      weight: Math.round(weight * 100) / 100,
+      contribution: Math.round(contribution * 10) / 10,
+      reason: reasonFor(factor, factors[factor])
+    });
+  }
+  explanation.sort((x, y) => y.contribution - x.contribution);
+
+  // Stored breakdown keeps v1's shape (factor -> 0-100) so existing views render it
+  const breakdown = Object.fromEntries(available.map(factor => [factor, factors[factor]]));
+
+  return {
+    total: Math.round(total),
+    breakdown,
+    explanation,
+    meetsThreshold: total >= MATCH_THRESHOLD,
+    model
+  };
+}
+
+/**
+ * Which scorer decides for this user (per-user flag, then MATCHING_SCORER, then v1)
+ * @param {Object} profile - matchingProfiles doc
+ * @returns {string} - 'v1' | 'v2'
+ */
+function getScorerForUser(profile) {
+  if (SCORERS.includes(profile?.scorer)) return profile.scorer;
+  const configured = process.env.MATCHING_SCORER?.trim();
+  return SCORERS.includes(configured) ? configured : 'v1';
+}
+
+/**
+ * Score a pair with the initiating user's scorer, running the other one in shadow
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} userA - The initiating user's matchingProfiles doc (with id)
+ * @param {Object} userB - Candidate's matchingProfiles doc (with id)
+ * @param {string} matchType - One of MATCH_TYPES
+ * @returns {Promise<Object>} - Deciding score ({ total, breakdown, meetsThreshold, explanation? })
+ *   plus scorer and scoring: { v1, v2 } for the match record
+ */
+async function scoreCompatibility(db, userA, userB, matchType) {
+  const scorer = getScorerForUser(userA);
+  const v1 = await calculateCompatibilityScore(userA, userB, matchType);
+
+  let v2 = null;
+  try {
+    v2 = await calculateCompatibilityScoreV2(db, userA, userB, matchType);
+  } catch (error) {
+    console.error('[MatchScorer] v2 scoring failed, using v1:', error.message);
+  }
+
+  const decider = scorer === 'v2' && v2 ? v2 : v1;
+  return {
+    ...decider,
+    explanation: decider.explanation || null,
+    scorer: decider === v2 ? 'v2' : 'v1',
+    scoring: {
+      v1: { total: v1.total, breakdown: v1.breakdown },
+      v2: v2 ? { total: v2.total, breakdown: v2.breakdown, explanation: v2.explanation, model: v2.model } : null
+    }
+  };
+}
+
+// ===================== LEARNING =====================
+
+function isLearnable(v2) {
+  return !!v2?.breakdown && Object.keys(v2.breakdown).length > 0;
+}
+
+// One step of logistic regression on centered factor scores (missing factors don't move)
+function learnStep(tx, weightsRef, weightsDoc, v2, label, rate) {
+  const data = weightsDoc.exists ? weightsDoc.data() : {};
+  const coefficients = { ...initialCoefficients(), ...(data.coefficients || {}) };
+  const x = Object.fromEntries(FACTORS.map(factor => [
+    factor,
+    typeof v2.breakdown[factor] === 'number' ? v2.breakdown[factor] / 100 - 0.5 : 0
+  ]));
+  const bias = data.bias || 0;
+  const logit = bias + FACTORS.reduce((sum, factor) => sum + coefficients[factor] * x[factor], 0);
+  const predicted = 1 / (1 + Math.exp(-logit));
+  const error = (label ? 1 : 0) - predicted;
+
+  for (const factor of FACTORS) {
+    coefficients[factor] += rate * error * x[factor];
+  }
+  tx.set(weightsRef, {
+    coefficients,
+    bias: bias + rate * error,
+    weights: weightsFromCoefficients(coefficients),
+    samples: (data.samples || 0) + 1,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+}
+
+/**
+ * Log a human approve/reject decision and nudge v2's weights toward it
+ * Only a user's first decision on a match is learned from; later changes just update the log.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} match - matches doc (with id) as it was before the decision
+ * @param {string} userId - Who decided
+ * @param {boolean} approved
+ * @returns {Promise<Object>} - { success, learned }
+ */
+async function recordMatchOutcome(db, match, userId, approved) {
+  const outcomeRef = db.collection('matchOutcomes').doc(`${match.id}_${userId}`);
+  const v2 = match.scoring?.v2 || null;
+  const learnable = isLearnable(v2);
+
+  const learned = await db.runTransaction(async (tx) => {
+    const weightsRef = db.doc('system/matching-weights');
+    const [outcomeDoc, weightsDoc] = await Promise.all([tx.get(outcomeRef), tx.get(weightsRef)]);
+    const firstDecision = !outcomeDoc.exists;
+
+    tx.set(outcomeRef, {
+      matchId: match.id,
+      userId,
+      otherUserId: match.userA_id === userId ? match.userB_id : match.userA_id,
+      matchType: match.matchType,
+      approved,
+      scorer: match.scorer || 'v1',
+      score: match.compatibilityScore ?? null,
+      v1: match.scoring?.v1 || { total: match.compatibilityScore ?? null, breakdown: match.compatibilityBreakdown || {} },
+      v2,
+      decidedAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...(firstDecision ? { firstDecision: approved } : {})
+    }, { merge: true });
+
+    if (!firstDecision || !learnable) return false;
+
+    learnStep(tx, weightsRef, weightsDoc, v2, approved, LEARNING_RATE);
+    return true;
+  });
+
+  if (learned) weightsCache = null;
+  return { success: true, learned };
+}
+
+/**
+ * Log how an introduction went (see _introductions.js) and train v2 on it
+ * A meeting rated GOOD_MEETING_RATING or above is a positive label, anything lower a negative one;
+ * intros that never happened are logged but not learned from (no-shows say little about fit).
+ * Only a user's first feedback on a match is learned from.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} match - matches doc (with id)
+ * @param {string} userId - Who gave the feedback
+ * @param {Object} feedback - { happened, rating (1-5), wouldMeetAgain }
+ * @returns {Promise<Object>} - { success, learned }
+ */
+async function recordIntroFeedback(db, match, userId, feedback) {
+  const outcomeRef = db.collection('matchOutcomes').doc(`${match.id}_${userId}`);
+  const v2 = match.scoring?.v2 || null;
+  const learnable = isLearnable(v2) && feedback.happened === true && typeof feedback.rating === 'number';
+
+  const learned = await db.runTransaction(async (tx) => {
+    const weightsRef = db.doc('system/matching-weights');
+    const [outcomeDoc, weightsDoc] = await Promise.all([tx.get(outcomeRef), tx.get(weightsRef)]);
+    const firstFeedback = !outcomeDoc.exists || !outcomeDoc.data().meeting;
+
+    tx.set(outcomeRef, {
+      matchId: match.id,
+      userId,
+      otherUserId: match.userA_id === userId ? match.userB_id : match.userA_id,
+      matchType: match.matchType,
+      scorer: match.scorer || 'v1',
+      score: match.compatibilityScore ?? null,
+      v2,
+      meeting: {
+        happened: feedback.happened === true,
+        rating: feedback.rating ?? null,
+        wouldMeetAgain: feedback.wouldMeetAgain ?? null,
+        goodMatch: feedback.happened === true && feedback.rating >= GOOD_MEETING_RATING,
+        recordedAt: admin.firestore.FieldValue.serverTimestamp()
+      }
+    }, { merge: true });
+
+    if (!firstFeedback || !learnable) return false;
+
+    learnStep(tx, weightsRef, weightsDoc, v2, feedback.rating >= GOOD_MEETING_RATING, MEETING_LEARNING_RATE);
+    return true;
+  });
+
+  if (learned) weightsCache = null;
+  return { success: true, learned };
+}
+
+module.exports = {
+  SCORERS,
+  FACTORS,
+  DEFAULT_WEIGHTS,
+  getMatchingSignals,
+  getScorerWeights,
+  getScorerForUser,
+  calculateCompatibilityScoreV2,
+  scoreCompatibility,
+  recordMatchOutcome,
+  recordIntroFeedback
+};
@@ -0,0 +1,481 @@
+// Saved memory helpers shared by chat (save_memory), the DMN heartbeat and /api/memories
+// Memories live in users/{userId}/memories. Each one records where it came from:
+//   source     — 'chat' (save_memory tool), 'dmn-consolidation', 'merge' or 'manual'
+//   provenance — { messageIds: [...], context, mergedFrom: [...] } — the messages that produced it
+// Every write keeps the semantic memory index (_memory-index.js) in sync.
+
+const { admin } = require('./_firebase-admin');
+const { embedTexts, embedLocal, cosineSimilarity, getDuplicateSimilarity, LOCAL_EMBEDDING_MODEL } = require('./_embeddings');
+const { indexMemory, indexEntries, removeFromIndex, loadIndexEntries, searchMemoryIndex } = require('./_memory-index');
+
+const MEMORY_CATEGORIES = ['preference', 'person', 'fact', 'reminder', 'other'];
+const MEMORY_IMPORTANCE = ['high', 'medium', 'low'];
+const MAX_MEMORY_LENGTH = 2000;
+const MAX_PAGE_SIZE = 200;
+const SCAN_PAGE_SIZE = 200;
+const MAX_DUPLICATE_SCAN = 500;
+const MAX_FORGET_MATCHES = 500;
+
+function getMemoriesRef(db, userId) {
+  return db.collection('users').doc(userId).collection('memories');
+}
+
+function serializeMemory(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    content: data.content || '',
+    category: data.category || 'other',
+    source: data.source || 'chat',
+    importance: data.importance || null,
+    createdAt: data.createdAt?.toDate?.()?.toISOString() || null,
+    updatedAt: data.updatedAt?.toDate?.()?.toISOString() || null,
+    provenance: {
+      messageIds: data.provenance?.messageIds || [],
+      context: data.provenance?.context || null,
+      mergedFrom: data.provenance?.mergedFrom || []
+    }
+  };
+}
+
+function validateFields({ content, category, importance }) {
+  if (content !== undefined && (typeof content !== 'string' || content.trim().length === 0)) {
+    return 'Content must be a non-empty string';
+  }
+  if (content !== undefined && content.length > MAX_MEMORY_LENGTH) {
+    return `Content must be ${MAX_MEMORY_LENGTH} characters or less`;
+  }
+  if (category !== undefined && !MEMORY_CATEGORIES.includes(category)) {
+    return `Category must be one of: ${MEMORY_CATEGORIES.join(', ')}`;
+  }
+  if (importance !== undefined && importance !== null && !MEMORY_IMPORTANCE.includes(importance)) {
+    return `Importance must be one of: ${MEMORY_IMPORTANCE.join(', ')}`;
+  }
+  return null;
+}
+
+// ===================== CREATE =====================
+
+/**
+ * Save a memory and index it
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {Object} memory
+ * @param {string} memory.content - The memory text
+ * @param {string} [memory.category='other']
+ * @param {string} [memory.source='chat'] - Who wrote it
+ * @param {string} [memory.importance] - 'high' | 'medium' | 'low'
+ * @param {Object} [memory.provenance] - { messageIds, context, mergedFrom }
+ * @returns {Promise<string>} - New memory ID
+ */
+async function createMemory(db, userId, { content, category = 'other', source = 'chat', importance = null, provenance = {} }) {
+  const memoryData = {
+    content: content.trim(),
+    category: MEMORY_CATEGORIES.includes(category) ? category : 'other',
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    source,
+    provenance: {
+      messageIds: (provenance.messageIds || []).filter(Boolean),
+      context: provenance.context || null,
+      mergedFrom: provenance.mergedFrom || []
+    }
+  };
+  if (importance) memoryData.importance = importance;
+
+  const docRef = await getMemoriesRef(db, userId).add(memoryData);
+
+  try {
+    await indexMemory(db, userId, { memoryId: docRef.id, content: memoryData.content, category: memoryData.category });
+  } catch (indexError) {
+    console.error(`[Memories] Index update failed for ${docRef.id} (non-fatal): ${indexError.message}`);
+  }
+
+  return docRef.id;
+}
+
+// ===================== READ =====================
+
+/**
+ * List memories, newest first, with optional filters and cursor pagination
+ * Filters are applied while scanning so no composite Firestore indexes are needed.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {Object} [options]
+ * @param {string} [options.category]
+ * @param {string} [options.source]
+ * @param {string} [options.importance]
+ * @param {number} [options.limit=50]
+ * @param {string} [options.cursor] - nextCursor from the previous page
+ * @returns {Promise<Object>} - { memories, nextCursor }
+ */
+async function listMemories(db, userId, { category = null, source = null, importance = null, limit = 50, cursor = null } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE);
+  const memoriesRef = getMemoriesRef(db, userId);
+  const matches = (data) =>
+    (!category || (data.category || 'other') === category) &&
+    (!source || (data.source || 'chat') === source) &&
+    (!importance || data.importance === importance);
+
+  let startAfter = null;
+  if (cursor) {
+    startAfter = await memoriesRef.doc(cursor).get();
+    if (!startAfter.exists) throw new Error('Invalid cursor');
+  }
+
+  const memories = [];
+  let lastScanned = null;
+  let exhausted = false;
+
+  while (memories.length < pageSize && !exhausted) {
+    let query = memoriesRef.orderBy('createdAt', 'desc').limit(SCAN_PAGE_SIZE);
+    if (lastScanned || startAfter) query = query.startAfter(lastScanned || startAfter);
+    const snapshot = await query.get();
+
+    for (const doc of snapshot.docs) {
+      lastScanned = doc;
+      if (matches(doc.data())) memories.push(serializeMemory(doc));
+      if (memories.length >= pageSize) break;
+    }
+    exhausted = snapshot.docs.length < SCAN_PAGE_SIZE;
+  }
+
+  return {
+    memories,
+    nextCursor: memories.length >= pageSize ? lastScanned.id : null
+  };
+}
+
+/**
+ * Get one memory with the text of the messages that produced it
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {string} memoryId - Memory document ID
+ * @returns {Promise<Object|null>} - Memory plus sourceMessages, or null if not found
+ */
+async function getMemory(db, userId, memoryId) {
+  const doc = await getMemoriesRef(db, userId).doc(memoryId).get();
+  if (!doc.exists) return null;
+
+  const memory = serializeMemory(doc);
+  const messagesRef = db.collection('users').doc(userId).collection('messages');
+  const messageDocs = await Promise.all(memory.provenance.messageIds.slice(0, 20).map(id => messagesRef.doc(id).get()));
+
+  memory.sourceMessages = messageDocs.filter(d => d.exists).map(d => ({
+    id: d.id,
+    role: d.data().role,
+    content: (d.data().content || '').substring(0, 500),
+    timestamp: d.data().timestamp?.toDate?.()?.toISOString() || null
+  }));
+  return memory;
+}
+
+/**
+ * Every memory with provenance, for download
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} - { exportedAt, count, memories }
+ */
+async function exportMemories(db, userId) {
+  const snapshot = await getMemoriesRef(db, userId).orderBy('createdAt', 'asc').get();
+  return {
+    exportedAt: new Date().toISOString(),
+    count: snapshot.size,
+    memories: snapshot.docs.map(serializeMemory)
+  };
+}
+
+// ===================== UPDATE / DELETE =====================
+
+/**
+ * Edit a memory's content, category or importance (re-indexes on content change)
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {string} memoryId - Memory document ID
+ * @param {Object} changes - { content, category, importance }
+ * @returns {Promise<Object>} - { success, memory, error }
+ */
+async function updateMemory(db, userId, memoryId, changes = {}) {
+  const { content, category, importance } = changes;
+  const validationError = validateFields({ content, category, importance });
+  if (validationError) return { success: false, error: validationError };
+
+  const ref = getMemoriesRef(db, userId).doc(memoryId);
+  const doc = await ref.get();
+  if (!doc.exists) return { success: false, error: 'Memory not found' };
+
+  const update = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+  if (content !== undefined) update.content = content.trim();
+  if (category !== undefined) update.category = category;
+  if (importance !== undefined) update.importance = importance;
+  await ref.update(update);
+
+  const updated = await ref.get();
+  if (content !== undefined || category !== undefined) {
+    try {
+      await indexMemory(db, userId, {
+        memoryId,
+        content: updated.data().content,
+        category: updated.data().category,
+        timestamp: updated.data().createdAt
+      });
+    } catch (indexError) {
+      console.error(`[Memories] Re-index failed for ${memoryId} (non-fatal): ${indexError.message}`);
+    }
+  }
+
+  console.log(`[Memories] Updated memory ${memoryId} for user ${userId}`);
+  return { success: true, memory: serializeMemory(updated) };
+}
+
+/**
+ * Delete a memory and its index entry
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {string} memoryId - Memory document ID
+ * @returns {Promise<boolean>} - false if it didn't exist
+ */
+async function deleteMemory(db, userId, memoryId) {
+  const ref = getMemoriesRef(db, userId).doc(memoryId);
+  const doc = await ref.get();
+  if (!doc.exists) return false;
+
+  await ref.delete();
+  await removeFromIndex(db, userId, 'memory', memoryId);
+  console.log(`[Memories] Deleted memory ${memoryId} for user ${userId}`);
+  return true;
+}
+
+// ===================== DUPLICATES & MERGE =====================
+
+// Memory embeddings keyed by memory ID, indexing any memory that has no entry yet
+async function loadMemoryVectors(db, userId, memoryDocs) {
+  const entries = await loadIndexEntries(db, userId, { sourceType: 'memory' });
+  const byId = new Map(entries.map(e => [e.sourceId, e]));
+
+  const missing = memoryDocs.filter(doc => !byId.has(doc.id));
+  if (missing.length > 0) {
+    await indexEntries(db, userId, missing.map(doc => ({
+      sourceType: 'memory',
+      sourceId: doc.id,
+      text: doc.data().content,
+      category: doc.data().category,
+      timestamp: doc.data().createdAt
+    })));
+    (await loadIndexEntries(db, userId, { sourceType: 'memory' })).forEach(e => byId.set(e.sourceId, e));
+  }
+  return byId;
+}
+
+// Similarity of two index entries — falls back to the local embedder when their models differ
+function entrySimilarity(a, b) {
+  if (a.embeddingModel === b.embeddingModel) {
+    return { similarity: cosineSimilarity(a.embedding, b.embedding), model: a.embeddingModel };
+  }
+  return { similarity: cosineSimilarity(embedLocal(a.text), embedLocal(b.text)), model: LOCAL_EMBEDDING_MODEL };
+}
+
+function normalizeText(text) {
+  return (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Groups of memories that say the same thing — suggestions for mergeMemories()
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object[]>} - [{ memories: [...], similarity }] most similar first
+ */
+async function findDuplicateGroups(db, userId) {
+  const snapshot = await getMemoriesRef(db, userId).orderBy('createdAt', 'desc').limit(MAX_DUPLICATE_SCAN).get();
+  if (snapshot.size < 2) return [];
+
+  const vectors = await loadMemoryVectors(db, userId, snapshot.docs);
+  const docs = snapshot.docs.filter(doc => vectors.has(doc.id));
+
+  // Union-find over near-duplicate pairs
+  const parent = docs.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const pairs = [];
+
+  for (let i = 0; i < docs.length; i++) {
+    for (let j = i + 1; j < docs.length; j++) {
+      const sameText = normalizeText(docs[i].data().content) === normalizeText(docs[j].data().content);
+      const { similarity, model } = entrySimilarity(vectors.get(docs[i].id), vectors.get(docs[j].id));
+      if (!sameText && similarity < getDuplicateSimilarity(model)) continue;
+
+      parent[find(j)] = find(i);
+      pairs.push({ i, score: sameText ? 1 : similarity });
+    }
+  }
+
+  const groups = {};
+  const groupScores = {};
+  docs.forEach((doc, i) => {
+    const root = find(i);
+    (groups[root] = groups[root] || []).push(serializeMemory(doc));
+  });
+  pairs.forEach(({ i, score }) => {
+    const root = find(i);
+    groupScores[root] = Math.max(groupScores[root] || 0, score);
+  });
+
+  return Object.entries(groups)
+    .filter(([, memories]) => memories.length > 1)
+    .map(([root, memories]) => ({ memories, similarity: Math.round((groupScores[root] || 0) * 100) / 100 }))
+    .sort((a, b) => b.similarity - a.similarity);
+}
+
+/**
+ * Find an existing memory that already says what `content` says
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {string} content - Candidate memory text
+ * @returns {Promise<Object|null>} - { memoryId, content, similarity } or null
+ */
+async function findDuplicateMemory(db, userId, content) {
+  const entries = await loadIndexEntries(db, userId, { sourceType: 'memory', limit: MAX_DUPLICATE_SCAN });
+  if (entries.length === 0) return null;
+
+  const normalized = normalizeText(content);
+  const { model, vectors: [vector] } = await embedTexts([content], { taskType: 'document' });
+  const candidate = { text: content, embedding: vector, embeddingModel: model };
+
+  let best = null;
+  for (const entry of entries) {
+    const sameText = normalizeText(entry.text) === normalized;
+    const { similarity, model: comparedWith } = entrySimilarity(candidate, entry);
+    if ((sameText || similarity >= getDuplicateSimilarity(comparedWith)) && (!best || similarity > best.similarity)) {
+      best = { memoryId: entry.sourceId, content: entry.text, similarity: sameText ? 1 : similarity };
+    }
+  }
+  return best;
+}
+
+/**
+ * Merge several memories into one, keeping the union of their provenance
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {string[]} memoryIds - Memories to merge (at least 2)
+ * @param {Object} [options]
+ * @param {string} [options.content] - Merged text (default: the longest of the originals)
+ * @param {string} [options.category] - Merged category (default: the most common)
+ * @returns {Promise<Object>} - { success, memoryId, mergedFrom, error }
+ */
+async function mergeMemories(db, userId, memoryIds, { content, category } = {}) {
+  const ids = [...new Set(memoryIds || [])];
+  if (ids.length < 2) return { success: false, error: 'At least two memoryIds are required to merge' };
+
+  const validationError = validateFields({ content, category });
+  if (validationError) return { success: false, error: validationError };
+
+  const memoriesRef = getMemoriesRef(db, userId);
+  const docs = await Promise.all(ids.map(id => memoriesRef.doc(id).get()));
+  const missing = ids.filter((id, i) => !docs[i].exists);
+  if (missing.length > 0) return { success: false, error: `Memory not found: ${missing.join(', ')}` };
+
+  const originals = docs.map(doc => doc.data());
+  const categoryCounts = {};
+  originals.forEach(m => { categoryCounts[m.category || 'other'] = (categoryCounts[m.category || 'other'] || 0) + 1; });
+  const topCategory = Object.entries(categoryCounts).sort((a, b) => b[1] - a[1])[0][0];
+  const importance = MEMORY_IMPORTANCE.find(level => originals.some(m => m.importance === level)) || null;
+
+  const memoryId = await createMemory(db, userId, {
+    content: content || originals.map(m => m.content || '').sort((a, b) => b.length - a.length)[0],
+    category: category || topCategory,
+    source: 'merge',
+    importance,
+    provenance: {
+      messageIds: [...new Set(originals.flatMap(m => m.provenance?.messageIds || []))],
+      context: originals.find(m => m.provenance?.context)?.provenance.context || null,
+      mergedFrom: ids
+    }
+  });
+
+  const batch = db.batch();
+  ids.forEach(id => batch.delete(memoriesRef.doc(id)));
+  await batch.commit();
+  await Promise.all(ids.map(id => removeFromIndex(db, userId, 'memory', id)));
+
+  console.log(`[Memories] Merged ${ids.length} memories into ${memoryId} for user ${userId}`);
+  return { success: true, memoryId, mergedFrom: ids };
+}
+
+// ===================== FORGET =====================
+
+/**
+ * "Forget everything about X", in two steps. The preview searches for the topic and lists what
+ * would be forgotten: memories and messages that are semantically similar to it (a shared word
+ * alone isn't enough). Confirming deletes exactly the memories, and scrubs exactly the messages
+ * from the search index, that the preview returned and the caller passes back. The topic is not
+ * searched again (the chat history itself is kept).
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {string} topic - What to forget
+ * @param {Object} [options]
+ * @param {boolean} [options.confirm=false] - Actually delete
+ * @param {string[]} [options.memoryIds] - With confirm: memory ids from the preview
+ * @param {string[]} [options.messageIds] - With confirm: message ids from the preview
+ * @returns {Promise<Object>} - { success, topic, confirmed, memories, messages, memoriesForgotten, messagesScrubbed }
+ */
+async function forgetTopic(db, userId, topic, { confirm = false, memoryIds = [], messageIds = [] } = {}) {
+  if (!topic || typeof topic !== 'string' || topic.trim().length === 0) {
+    return { success: false, error: 'Topic is required' };
+  }
+
+  if (confirm) {
+    const ids = [memoryIds, messageIds];
+    if (!ids.every(list => Array.isArray(list) && list.every(id => typeof id === 'string' && id.length > 0))) {
+      return { success: false, error: 'memoryIds and messageIds must be arrays of ids' };
+    }
+    const memoriesToForget = [...new Set(memoryIds)];
+    const messagesToScrub = [...new Set(messageIds)];
+    if (memoriesToForget.length === 0 && messagesToScrub.length === 0) {
+      return { success: false, error: 'Pass the memoryIds and messageIds from the preview to confirm' };
+    }
+    if (memoriesToForget.length > MAX_FORGET_MATCHES || messagesToScrub.length > MAX_FORGET_MATCHES) {
+      return { success: false, error: `At most ${MAX_FORGET_MATCHES} memories and ${MAX_FORGET_MATCHES} messages at a time` };
+    }
+
+    let memoriesForgotten = 0;
+    for (const memoryId of memoriesToForget) {
+      if (await deleteMemory(db, userId, memoryId)) memoriesForgotten++;
+    }
+    await Promise.all(messagesToScrub.map(messageId => removeFromIndex(db, userId, 'message', messageId)));
+
+    console.log(`[Memories] Forgot "${topic}" for user ${userId}: ${memoriesForgotten} memories, ${messagesToScrub.length} messages scrubbed`);
+    return {
+      success: true,
+      topic: topic.trim(),
+      confirmed: true,
+      memoriesForgotten,
+      messagesScrubbed: messagesToScrub.length
+    };
+  }
+
+  const results = await searchMemoryIndex(db, userId, topic.trim(), { limit: MAX_FORGET_MATCHES, requireSimilarity: true });
+  return {
+    success: true,
+    topic: topic.trim(),
+    confirmed: false,
+    memories: results.filter(r => r.sourceType === 'memory')
+      .map(r => ({ id: r.sourceId, content: r.text, score: Math.round(r.score * 100) / 100 })),
+    messages: results.filter(r => r.sourceType === 'message')
+      .map(r => ({ id: r.sourceId, role: r.role, content: r.text.substring(0, 200), when: r.timestamp })),
+    memoriesForgotten: 0,
+    messagesScrubbed: 0
+  };
+}
+
+module.exports = {
+  MEMORY_CATEGORIES,
+  MEMORY_IMPORTANCE,
+  createMemory,
+  listMemories,
+  getMemory,
+  exportMemories,
+  updateMemory,
+  deleteMemory,
+  findDuplicateGroups,
+  findDuplicateMemory,
+  mergeMemories,
+  forgetTopic
+};
@@ -0,0 +1,327 @@
+// Semantic memory index behind the search_memory tool
+// Every saved chat message and memory gets an entry with its text, role, timestamp and
+// embedding, so recall works on paraphrases ("my sister's wedding" → "Priya's marriage")
+// instead of exact substrings. Search ranks by a hybrid of BM25 keyword score and cosine
+// similarity, with date-range, role and source filters.
+//
+// Storage:
+//   users/{userId}/memoryIndex/{sourceType}_{sourceId}                       (owner chat + memories)
+//   users/{userId}/visitors/{visitorId}/memoryIndex/{sourceType}_{sourceId}  (public link chats)
+// Entries are written as messages/memories are saved. History from before indexing is
+// backfilled once, on the first search; memoryIndexBackfilledAt on the user (or visitor) doc
+// records that it ran, since saving the current message means the index is never empty by then.
+//
+// Search scans the whole index (within the date range), newest first, SCAN_PAGE_SIZE entries at
+// a time: each page is scored against the query embedding and dropped, keeping only entries that
+// can match (a keyword hit or similarity over the model's threshold). BM25 statistics are built up
+// across every page, so old entries rank exactly as they would in one pass. Reads grow with the
+// index; narrow long histories with dateFrom/dateTo.
+
+const { admin } = require('./_firebase-admin');
+const {
+  embedTexts,
+  embedLocal,
+  cosineSimilarity,
+  tokenize,
+  createBM25Corpus,
+  getMinSimilarity,
+  LOCAL_EMBEDDING_MODEL
+} = require('./_embeddings');
+
+const MAX_INDEXED_CHARS = 2000;
+const SEARCH_CANDIDATES = 2000; // Default for loadIndexEntries
+const SCAN_PAGE_SIZE = 250; // Entries (with embeddings) held in memory at once while searching
+const VECTOR_WEIGHT = 0.6; // Hybrid score = 0.6 × cosine + 0.4 × normalised BM25
+const BACKFILL_MESSAGES = 1000;
+const BACKFILL_MEMORIES = 100;
+const WRITE_BATCH_SIZE = 400; // Firestore batches cap at 500 writes
+
+function getIndexCollection(db, userId, visitorId = null) {
+  const userRef = db.collection('users').doc(userId);
+  return visitorId
+    ? userRef.collection('visitors').doc(visitorId).collection('memoryIndex')
+    : userRef.collection('memoryIndex');
+}
+
+// Doc that carries memoryIndexBackfilledAt: the user, or the visitor for public link chats
+function getIndexOwnerRef(db, userId, visitorId = null) {
+  const userRef = db.collection('users').doc(userId);
+  return visitorId ? userRef.collection('visitors').doc(visitorId) : userRef;
+}
+
+function getEntryId(sourceType, sourceId) {
+  return `${sourceType}_${sourceId}`;
+}
+
+function toDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime()) ? null : parsed;
+}
+
+// ===================== INDEXING =====================
+
+/**
+ * Embed and store index entries (batched)
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Owner user ID
+ * @param {Object[]} entries - { sourceType: 'message'|'memory', sourceId, text, role, category, timestamp }
+ * @param {Object} [options]
+ * @param {string} [options.visitorId] - Index a visitor's conversation instead of the owner's
+ * @returns {Promise<number>} - Number of entries written
+ */
+async function indexEntries(db, userId, entries, { visitorId = null } = {}) {
+  const usable = entries.filter(e => typeof e.text === 'string' && e.text.trim().length > 0);
+  if (usable.length === 0) return 0;
+
+  const texts = usable.map(e => e.text.trim().substring(0, MAX_INDEXED_CHARS));
+  const { model, vectors } = await embedTexts(texts, { taskType: 'document' });
+  const collection = getIndexCollection(db, userId, visitorId);
+
+  for (let i = 0; i < usable.length; i += WRITE_BATCH_SIZE) {
+    const batch = db.batch();
+    usable.slice(i, i + WRITE_BATCH_SIZE).forEach((entry, offset) => {
+      batch.set(collection.doc(getEntryId(entry.sourceType, entry.sourceId)), {
+        sourceType: entry.sourceType,
+        sourceId: entry.sourceId,
+        role: entry.role || null,
+        category: entry.category || null,
+        text: texts[i + offset],
+        timestamp: toDate(entry.timestamp) || new Date(),
+        embedding: vectors[i + offset],
+        embeddingModel: model,
+        indexedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+    await batch.commit();
+  }
+
+  console.log(`[MemoryIndex] Indexed ${usable.length} entries for ${visitorId ? `visitor ${visitorId}` : `user ${userId}`} (${model})`);
+  return usable.length;
+}
+
+/**
+ * Index one chat message
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Owner user ID
+ * @param {Object} message - { messageId, role, content, timestamp, visitorId }
+ * @returns {Promise<number>}
+ */
+async function indexMessage(db, userId, { messageId, role, content, timestamp = null, visitorId = null }) {
+  return indexEntries(db, userId, [{ sourceType: 'message', sourceId: messageId, text: content, role, timestamp }], { visitorId });
+}
+
+/**
+ * Index one saved memory
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Owner user ID
+ * @param {Object} memory - { memoryId, content, category, timestamp }
+ * @returns {Promise<number>}
+ */
+async function indexMemory(db, userId, { memoryId, content, category = 'other', timestamp = null }) {
+  return indexEntries(db, userId, [{ sourceType: 'memory', sourceId: memoryId, text: content, category, timestamp }]);
+}
+
+/**
+ * Remove a message or memory from the index
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Owner user ID
+ * @param {string} sourceType - 'message' or 'memory'
+ * @param {string} sourceId - Message or memory document ID
+ * @param {Object} [options] - { visitorId }
+ */
+async function removeFromIndex(db, userId, sourceType, sourceId, { visitorId = null } = {}) {
+  await getIndexCollection(db, userId, visitorId).doc(getEntryId(sourceType, sourceId)).delete();
+}
+
+/**
+ * Index recent history that has no entry yet (first search, or after a deploy)
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Owner user ID
+ * @param {Object} [options]
+ * @param {string} [options.visitorId] - Backfill a visitor's conversation instead
+ * @returns {Promise<number>} - Number of entries written
+ */
+async function backfillIndex(db, userId, { visitorId = null } = {}) {
+  const userRef = db.collection('users').doc(userId);
+  const messagesRef = visitorId
+    ? userRef.collection('visitors').doc(visitorId).collection('messages')
+    : userRef.collection('messages');
+
+  const [messagesSnapshot, memoriesSnapshot, indexedSnapshot] = await Promise.all([
+    messagesRef.orderBy('timestamp', 'desc').limit(BACKFILL_MESSAGES).get(),
+    visitorId
+      ? Promise.resolve({ docs: [] })
+      : userRef.collection('memories').orderBy('createdAt', 'desc').limit(BACKFILL_MEMORIES).get(),
+    getIndexCollection(db, userId, visitorId).select().get()
+  ]);
+
+  const indexed = new Set(indexedSnapshot.docs.map(doc => doc.id));
+  const entries = [];
+
+  messagesSnapshot.docs.forEach(doc => {
+    const data = doc.data();
+    if (indexed.has(getEntryId('message', doc.id)) || typeof data.content !== 'string') return;
+    if (data.role !== 'user' && data.role !== 'assistant') return;
+    entries.push({ sourceType: 'message', sourceId: doc.id, text: data.content, role: data.role, timestamp: data.timestamp });
+  });
+
+  memoriesSnapshot.docs.forEach(doc => {
+    const data = doc.data();
+    if (indexed.has(getEntryId('memory', doc.id))) return;
+    entries.push({ sourceType: 'memory', sourceId: doc.id, text: data.content, category: data.category, timestamp: data.createdAt });
+  });
+
+  if (entries.length === 0) return 0;
+  console.log(`[MemoryIndex] Backfilling ${entries.length} entries`);
+  return indexEntries(db, userId, entries, { visitorId });
+}
+
+/**
+ * Backfill history from before indexing, once per user (or visitor)
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Owner user ID
+ * @param {Object} [options] - { visitorId }
+ * @returns {Promise<number>} - Number of entries written (0 once already backfilled)
+ */
+async function ensureBackfilled(db, userId, { visitorId = null } = {}) {
+  const ownerRef = getIndexOwnerRef(db, userId, visitorId);
+  const ownerDoc = await ownerRef.get();
+  if (ownerDoc.exists && ownerDoc.data().memoryIndexBackfilledAt) return 0;
+
+  const written = await backfillIndex(db, userId, { visitorId });
+  await ownerRef.set({ memoryIndexBackfilledAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+  return written;
+}
+
+/**
+ * Load raw index entries (text, embedding, embeddingModel, ...) most recent first
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Owner user ID
+ * @param {Object} [options]
+ * @param {string} [options.sourceType] - Only 'message' or 'memory' entries
+ * @param {string} [options.visitorId] - A visitor's index instead of the owner's
+ * @param {number} [options.limit=2000]
+ * @returns {Promise<Object[]>}
+ */
+async function loadIndexEntries(db, userId, { sourceType = null, visitorId = null, limit = SEARCH_CANDIDATES } = {}) {
+  const snapshot = await getIndexCollection(db, userId, visitorId)
+    .orderBy('timestamp', 'desc')
+    .limit(limit)
+    .get();
+  return snapshot.docs.map(doc => doc.data()).filter(entry => !sourceType || entry.sourceType === sourceType);
+}
+
+// ===================== SEARCH =====================
+
+/**
+ * Hybrid semantic + keyword search over a user's (or visitor's) memory index
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Owner user ID
+ * @param {string} query - Natural-language query
+ * @param {Object} [options]
+ * @param {string} [options.visitorId] - Search a visitor's conversation instead of the owner's
+ * @param {number} [options.limit=20] - Max results
+ * @param {string} [options.role] - Only messages from 'user' or 'assistant'
+ * @param {string} [options.sourceType] - Only 'message' or 'memory' entries
+ * @param {Date|string} [options.dateFrom] - Earliest timestamp (inclusive)
+ * @param {Date|string} [options.dateTo] - Latest timestamp (inclusive)
+ * @param {boolean} [options.requireSimilarity=false] - Drop keyword-only hits: every result must clear the model's similarity threshold
+ * @returns {Promise<Object[]>} - Ranked { sourceType, sourceId, role, category, text, timestamp, score, similarity, keywordScore }
+ */
+async function searchMemoryIndex(db, userId, query, options = {}) {
+  const {
+    visitorId = null,
+    limit = 20,
+    role = null,
+    sourceType = null,
+    dateFrom = null,
+    dateTo = null,
+    requireSimilarity = false
+  } = options;
+
+  try {
+    await ensureBackfilled(db, userId, { visitorId });
+  } catch (error) {
+    console.error(`[MemoryIndex] Backfill failed (searching what is indexed): ${error.message}`);
+  }
+
+  let ref = getIndexCollection(db, userId, visitorId);
+  if (toDate(dateFrom)) ref = ref.where('timestamp', '>=', toDate(dateFrom));
+  if (toDate(dateTo)) ref = ref.where('timestamp', '<=', toDate(dateTo));
+  ref = ref.orderBy('timestamp', 'desc');
+
+  const matchesFilters = c =>
+    (!role || (c.sourceType === 'message' && c.role === role)) &&
+    (!sourceType || c.sourceType === sourceType);
+  const corpus = createBM25Corpus(tokenize(query));
+  let queryEmbedding = null; // { model, vector, localVector }, once the index turns out non-empty
+  const candidates = [];
+
+  let lastDoc = null;
+  for (;;) {
+    const snapshot = await (lastDoc ? ref.startAfter(lastDoc) : ref).limit(SCAN_PAGE_SIZE).get();
+    if (snapshot.empty) break;
+    lastDoc = snapshot.docs[snapshot.size - 1];
+
+    if (!queryEmbedding) {
+      const { model, vectors: [vector] } = await embedTexts([query], { taskType: 'query' });
+      queryEmbedding = { model, vector, localVector: model === LOCAL_EMBEDDING_MODEL ? vector : embedLocal(query) };
+    }
+
+    for (const doc of snapshot.docs) {
+      const { embedding, embeddingModel, ...entry } = doc.data();
+      if (!matchesFilters(entry)) continue;
+
+      // Entries embedded by another model are compared with the local embedder instead
+      const sameModel = Array.isArray(embedding) && embeddingModel === queryEmbedding.model;
+      const similarity = sameModel
+        ? cosineSimilarity(embedding, queryEmbedding.vector)
+        : cosineSimilarity(embedLocal(entry.text), queryEmbedding.localVector);
+      const terms = corpus.add(entry.text);
+      const keywordHit = Object.keys(terms.termFreq).length > 0 && !requireSimilarity;
+      if (keywordHit || similarity >= getMinSimilarity(sameModel ? queryEmbedding.model : LOCAL_EMBEDDING_MODEL)) {
+        candidates.push({ entry, terms, similarity });
+      }
+    }
+
+    if (snapshot.size < SCAN_PAGE_SIZE) break;
+  }
+  if (candidates.length === 0) return [];
+
+  // Only candidates can have a keyword score above zero, so the maximum is among them
+  const rawKeywordScores = candidates.map(c => corpus.score(c.terms));
+  const maxKeywordScore = Math.max(...rawKeywordScores, 0);
+
+  const results = candidates.map(({ entry, similarity }, i) => {
+    const keywordScore = maxKeywordScore > 0 ? rawKeywordScores[i] / maxKeywordScore : 0;
+    return {
+      sourceType: entry.sourceType,
+      sourceId: entry.sourceId,
+      role: entry.role,
+      category: entry.category,
+      text: entry.text,
+      timestamp: toDate(entry.timestamp)?.toISOString() || null,
+      similarity,
+      keywordScore,
+      score: VECTOR_WEIGHT * Math.max(similarity, 0) + (1 - VECTOR_WEIGHT) * keywordScore
+    };
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+module.exports = {
+  indexEntries,
+  indexMessage,
+  indexMemory,
+  removeFromIndex,
+  backfillIndex,
+  ensureBackfilled,
+  loadIndexEntries,
+  searchMemoryIndex
+};
@@ -1,7 +1,41 @@
 // Mental Model helper module for Artificial Theory of Mind (AToM)
 // Enables Mindclone to model user's mental states: beliefs, goals, emotions, knowledge gaps
+// and the people in their life, and how all of that changes over time.
+//
+// Storage:
+//   users/{userId}/mentalModel/current              the model as it is now
+//   users/{userId}/mentalModel/history/snapshots    one entry per update (the time series)
+// Goals move through a lifecycle (active → blocked → achieved / abandoned, and can be reopened);
+// every transition is kept on the goal in statusHistory[] with the evidence behind it.
+// The emotional-valence series and "how has my user changed" are derived from the snapshots.
 
 const { admin } = require('./_firebase-admin');
+const { generateText } = require('./_llm');
+
+const GOAL_STATUSES = ['active', 'blocked', 'achieved', 'abandoned'];
+const GOAL_TRANSITIONS = {
+  active: ['blocked', 'achieved', 'abandoned'],
+  blocked: ['active', 'achieved', 'abandoned'],
+  achieved: ['active'],
+  abandoned: ['active']
+};
+const OPEN_GOAL_STATUSES = ['active', 'blocked'];
+const MAX_GOALS = 30;             // closed goals are dropped first
+const MAX_GOAL_EVIDENCE = 10;
+const MAX_RELATIONSHIPS = 50;     // least recently mentioned are dropped first
+const MAX_SENTIMENT_HISTORY = 20;
+const MAX_HISTORY_SCAN = 2000;    // snapshots read per timeline / change report
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getModelRef(db, userId) {
+  return db.collection('users').doc(userId).collection('mentalModel').doc('current');
+}
+
+function getSnapshotsRef(db, userId) {
+  return db.collection('users').doc(userId)
+    .collection('mentalModel').doc('history')
+    .collection('snapshots');
+}
 
 /**
  * Load mental model for a user from Firestore
@@ -11,12 +45,11 @@ const { admin } = require('./_firebase-admin');
  */
 async function loadMentalModel(db, userId) {
   try {
-    const doc = await db.collection('users').doc(userId)
-      .collection('mentalModel').doc('current').get();
+    const doc = await getModelRef(db, userId).get();
 
     if (doc.exists) {
       console.log(`[MentalModel] Loaded model for user ${userId}`);
-      return doc.data();
+      return normalizeModel(doc.data());
     }
 
     console.log(`[MentalModel] No model found for user ${userId}, using default`);
@@ -32,95 +65,121 @@ async function loadMentalModel(db, userId) {
  * @param {FirebaseFirestore.Firestore} db - Firestore instance
  * @param {string} userId - The user ID
  * @param {Object} update - The update to apply
- * @param {string} update.type - Type: 'belief', 'goal', 'emotion', 'knowledge_gap'
- * @param {string} update.content - The content of the inference
+ * @param {string} update.type - Type: 'belief', 'goal', 'goal_status', 'emotion', 'knowledge_gap', 'relationship'
+ * @param {string} update.content - The content of the inference (the goal for goal_status, the person's name for relationship)
  * @param {number} update.confidence - Confidence level (0-1)
  * @param {string} update.source - What led to this inference
+ * @param {string} update.status - goal / goal_status: lifecycle status (see GOAL_STATUSES)
+ * @param {string} update.goalId - goal_status: the goal to move (otherwise matched by content)
+ * @param {string} update.evidence - goal / goal_status: what shows the goal progressed
+ * @param {string[]} update.messageIds - Messages the inference came from (evidence links)
+ * @param {string} update.role - relationship: who they are to the user (e.g. 'sister', 'manager')
+ * @param {number} update.sentiment - relationship: how the user feels about them, -1 to 1
  * @returns {Promise<Object>} - Result of the update
  */
 async function updateMentalModel(db, userId, update) {
   try {
-    const ref = db.collection('users').doc(userId)
-      .collection('mentalModel').doc('current');
-
-    // Get current model
-    const doc = await ref.get();
-    const currentModel = doc.exists ? doc.data() : getDefaultMentalModel();
+    const ref = getModelRef(db, userId);
 
     const timestamp = admin.firestore.FieldValue.serverTimestamp();
     const now = new Date().toISOString();
 
-    // Apply update based on type
-    let updatedModel = { ...currentModel };
-
-    switch (update.type) {
-      case 'belief':
-        updatedModel.beliefs = addOrUpdateItem(currentModel.beliefs || [], {
-          content: update.content,
-          confidence: update.confidence || 0.7,
-          source: update.source,
-          inferredAt: now,
-          category: update.category || 'general'
-        });
-        break;
-
-      case 'goal':
-        updatedModel.goals = addOrUpdateItem(currentModel.goals || [], {
-          content: update.content,
-          priority: update.priority || 'medium',
-          status: 'active',
-          blockers: update.blockers || [],
-          inferredAt: now
-        });
-        break;
-
-      case 'emotion':
-        // Update emotional state
-        updatedModel.emotionalState = {
-          current: update.content,
-          valence: update.valence !== undefined ? update.valence : 0,
-          arousal: update.arousal !== undefined ? update.arousal : 0.5,
-          recentTrend: calculateTrend(currentModel.emotionalState, update.valence),
-          triggers: update.triggers || currentModel.emotionalState?.triggers || [],
-          updatedAt: now
-        };
-        break;
-
-      case 'knowledge_gap':
-        updatedModel.knowledgeGaps = addOrUpdateItem(currentModel.knowledgeGaps || [], {
-          topic: update.content,
-          relevance: update.relevance || 'medium',
-          suggestedAt: null,
-          inferredAt: now
-        });
-        break;
-
-      default:
-        console.warn(`[MentalModel] Unknown update type: ${update.type}`);
-        return { success: false, error: 'Unknown update type' };
-    }
+    // Read-modify-write in a transaction so parallel updates (several update_mental_model
+    // calls in one turn) don't overwrite each other's goals and relationships
+    const applied = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      const currentModel = doc.exists ? normalizeModel(doc.data()) : getDefaultMentalModel();
+
+      // Apply update based on type
+      let updatedModel = { ...currentModel };
+      let snapshotExtras = {};
+
+      switch (update.type) {
+        case 'belief':
+          updatedModel.beliefs = addOrUpdateItem(currentModel.beliefs || [], {
+            content: update.content,
+            confidence: update.confidence || 0.7,
+            source: update.source,
+            inferredAt: now,
+            category: update.category || 'general'
+          });
+          break;
+
+        case 'goal': {
+          const result = upsertGoal(currentModel.goals || [], update, now);
+          if (result.error) return { error: result.error };
+          updatedModel.goals = result.goals;
+          snapshotExtras = { goalId: result.goal.id, status: result.goal.status };
+          break;
+        }
+
+        case 'goal_status': {
+          const result = transitionGoal(currentModel.goals || [], update, now);
+          if (result.error) return { error: result.error };
+          updatedModel.goals = result.goals;
+          snapshotExtras = { goalId: result.goal.id, content: result.goal.content, previousStatus: result.from };
+          break;
+        }
+
+        case 'relationship': {
+          const result = upsertRelationship(currentModel.relationships || [], update, now);
+          updatedModel.relationships = result.relationships;
+          snapshotExtras = { relationshipId: result.relationship.id };
+          break;
+        }
+
+        case 'emotion':
+          // Update emotional state
+          updatedModel.emotionalState = {
+            current: update.content,
+            valence: update.valence !== undefined ? update.valence : 0,
+            arousal: update.arousal !== undefined ? update.arousal : 0.5,
+            recentTrend: calculateTrend(currentModel.emotionalState, update.valence),
+            triggers: update.triggers || currentModel.emotionalState?.triggers || [],
+            updatedAt: now
+          };
+          break;
+
+        case 'knowledge_gap':
+          updatedModel.knowledgeGaps = addOrUpdateItem(currentModel.knowledgeGaps || [], {
+            topic: update.content,
+            relevance: update.relevance || 'medium',
+            suggestedAt: null,
+            inferredAt: now
+          });
+          break;
+
+        default:
+          console.warn(`[MentalModel] Unknown update type: ${update.type}`);
+          return { error: 'Unknown update type' };
+      }
 
-    // Update confidence based on recent updates
-    updatedModel.confidence = calculateModelConfidence(updatedModel);
-    updatedModel.updatedAt = timestamp;
+      // Update confidence based on recent updates
+      updatedModel.confidence = calculateModelConfidence(updatedModel);
+      updatedModel.updatedAt = timestamp;
 
-    // Save to current
-    await ref.set(updatedModel);
+      // Save to current
+      tx.set(ref, updatedModel);
+      return { snapshotExtras };
+    });
+    if (applied.error) return { success: false, error: applied.error };
+    const { snapshotExtras } = applied;
 
     // Also save snapshot to history for trajectory analysis
-    await db.collection('users').doc(userId)
-      .collection('mentalModel').doc('history')
-      .collection('snapshots').add({
-        ...update,
-        timestamp: timestamp
-      });
+    await getSnapshotsRef(db, userId).add(withoutUndefined({
+      ...update,
+      ...snapshotExtras,
+      at: now,
+      timestamp: timestamp
+    }));
 
-    console.log(`[MentalModel] Updated ${update.type} for user ${userId}: ${update.content}`);
+    console.log(`[MentalModel] Updated ${update.type} for user ${userId}: ${snapshotExtras.content || update.content}`);
 
     return {
       success: true,
       updated: update.type,
-      content: update.content
+      content: update.content,
+      ...snapshotExtras
     };
   } catch (error) {
     console.error(`[MentalModel] Error updating model for user ${userId}:`, error.message);
@@ -138,18 +197,31 @@ function formatMentalModelForPrompt(model) {
 
   let output = '';
 
-  // Active goals
-  if (model.goals?.length > 0) {
+  // Active goals (blocked ones too — that's when help matters most)
+  const openGoals = (model.goals || []).filter(g => OPEN_GOAL_STATUSES.includes(g.status || 'active'));
+  if (openGoals.length > 0) {
     output += `**Active Goals:**\n`;
-    model.goals.slice(0, 5).forEach(g => {
+    openGoals.slice(0, 5).forEach(g => {
       output += `- ${g.content}`;
       if (g.priority) output += ` (${g.priority} priority)`;
+      if (g.status === 'blocked') output += ' — BLOCKED';
       if (g.blockers?.length > 0) output += ` [blockers: ${g.blockers.join(', ')}]`;
       output += '\n';
     });
     output += '\n';
   }
 
+  // Recently closed goals (last 30 days) — worth acknowledging
+  const recentlyClosed = (model.goals || [])
+    .filter(g => (g.status === 'achieved' || g.status === 'abandoned') && g.closedAt && Date.now() - Date.parse(g.closedAt) < 30 * DAY_MS);
+  if (recentlyClosed.length > 0) {
+    output += `**Recently ${recentlyClosed.every(g => g.status === 'achieved') ? 'Achieved' : 'Closed'} Goals:**\n`;
+    recentlyClosed.slice(0, 3).forEach(g => {
+      output += `- ${g.content} (${g.status})\n`;
+    });
+    output += '\n';
+  }
+
   // Emotional state
   if (model.emotionalState && model.emotionalState.current !== 'neutral') {
     const e = model.emotionalState;
@@ -177,6 +249,21 @@ function formatMentalModelForPrompt(model) {
     output += '\n';
   }
 
+  // People in their life (most mentioned first)
+  if (model.relationships?.length > 0) {
+    output += `**People In Their Life:**\n`;
+    [...model.relationships]
+      .sort((a, b) => (b.mentions || 0) - (a.mentions || 0))
+      .slice(0, 5)
+      .forEach(r => {
+        output += `- ${r.name}`;
+        if (r.role) output += ` (${r.role})`;
+        if (typeof r.sentiment === 'number') output += ` — ${describeSentiment(r.sentiment)}`;
+        output += '\n';
+      });
+    output += '\n';
+  }
+
   // Knowledge gaps (high relevance only)
   const highRelevanceGaps = (model.knowledgeGaps || [])
     .filter(k => k.relevance === 'high' && !k.suggestedAt);
@@ -231,6 +318,7 @@ function getDefaultMentalModel() {
       triggers: []
     },
     knowledgeGaps: [],
+    relationships: [],
     communicationPreferences: {
       detailLevel: 'medium',     // low, medium, high
       responseLength: 'medium',  // short, medium, long
@@ -250,8 +338,7 @@ function getDefaultMentalModel() {
  */
 async function markKnowledgeGapSuggested(db, userId, topic) {
   try {
-    const ref = db.collection('users').doc(userId)
-      .collection('mentalModel').doc('current');
+    const ref = getModelRef(db, userId);
 
     const doc = await ref.get();
     if (!doc.exists) return;
@@ -273,16 +360,19 @@ async function markKnowledgeGapSuggested(db, userId, topic) {
   }
 }
 
+// Helper: Whether two items are about the same thing (simple similarity check)
+function isSameItem(item, newItem) {
+  const existingContent = (item.content || item.topic || '').toLowerCase();
+  const newContent = (newItem.content || newItem.topic || '').toLowerCase();
+  if (!existingContent || !newContent) return false;
+  return existingContent === newContent ||
+         existingContent.includes(newContent) ||
+         newContent.includes(existingContent);
+}
+
 // Helper: Add or update item in array (avoid duplicates)
 function addOrUpdateItem(array, newItem) {
-  // Check for similar content (simple similarity check)
-  const existingIndex = array.findIndex(item => {
-    const existingContent = (item.content || item.topic || '').toLowerCase();
-    const newContent = (newItem.content || newItem.topic || '').toLowerCase();
-    return existingContent === newContent ||
-           existingContent.includes(newContent) ||
-           newContent.includes(existingContent);
-  });
+  const existingIndex = array.findIndex(item => isSameItem(item, newItem));
 
   if (existingIndex >= 0) {
     // Update existing item
@@ -296,6 +386,207 @@ function addOrUpdateItem(array, newItem) {
   return updated.slice(0, maxItems);
 }
 
+// ===== GOALS =====
+
+function generateId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Helper: Give legacy goals (plain { content, status }) an id and a lifecycle history
+function normalizeModel(model) {
+  // Ids come from the legacy position so they are stable until the next write saves them
+  const goals = (model.goals || []).map((goal, index) => (goal.id ? goal : {
+    ...goal,
+    id: `goal_legacy_${index}`,
+    status: GOAL_STATUSES.includes(goal.status) ? goal.status : 'active',
+    evidence: goal.evidence || [],
+    statusHistory: goal.statusHistory || [{ from: null, to: goal.status || 'active', at: goal.inferredAt || null }]
+  }));
+  return { ...model, goals, relationships: model.relationships || [] };
+}
+
+function evidenceEntry(update, now) {
+  const text = update.evidence || update.source;
+  if (!text) return null;
+  return {
+    text: String(text).substring(0, 500),
+    source: update.source || null,
+    messageIds: (update.messageIds || []).filter(Boolean),
+    at: now
+  };
+}
+
+// Helper: Keep every open goal, then the most recently closed ones, up to MAX_GOALS
+function capGoals(goals) {
+  if (goals.length <= MAX_GOALS) return goals;
+  const open = goals.filter(g => OPEN_GOAL_STATUSES.includes(g.status));
+  const closed = goals.filter(g => !OPEN_GOAL_STATUSES.includes(g.status))
+    .sort((a, b) => (b.closedAt || '').localeCompare(a.closedAt || ''));
+  const keep = new Set([...open, ...closed].slice(0, MAX_GOALS));
+  return goals.filter(g => keep.has(g));
+}
+
+// Helper: Apply a status change to a goal, recording it in statusHistory
+function applyTransition(goal, to, update, now) {
+  const evidence = evidenceEntry(update, now);
+  return {
+    ...goal,
+    status: to,
+    blockers: to === 'blocked' ? (update.blockers?.length ? update.blockers : goal.blockers || []) : (to === 'active' ? [] : goal.blockers || []),
+    closedAt: to === 'achieved' || to === 'abandoned' ? now : null,
+    evidence: evidence ? [...(goal.evidence || []), evidence].slice(-MAX_GOAL_EVIDENCE) : goal.evidence || [],
+    statusHistory: [...(goal.statusHistory || []), {
+      from: goal.status,
+      to,
+      evidence: evidence?.text || null,
+      messageIds: evidence?.messageIds || [],
+      at: now
+    }],
+    updatedAt: now
+  };
+}
+
+/**
+ * Add a goal, or refresh one that's already known (mentioning a goal again doesn't reopen it)
+ * @returns {{ goals: Array, goal: Object } | { error: string }}
+ */
+function upsertGoal(goals, update, now) {
+  if (update.status && !GOAL_STATUSES.includes(update.status)) {
+    return { error: `Status must be one of: ${GOAL_STATUSES.join(', ')}` };
+  }
+
+  const index = goals.findIndex(g => isSameItem(g, { content: update.content }));
+  if (index >= 0) {
+    const existing = goals[index];
+    let goal = {
+      ...existing,
+      content: update.content,
+      priority: update.priority || existing.priority,
+      blockers: update.blockers?.length ? update.blockers : existing.blockers || [],
+      updatedAt: now
+    };
+    if (update.status && update.status !== existing.status && (GOAL_TRANSITIONS[existing.status] || []).includes(update.status)) {
+      goal = applyTransition(goal, update.status, update, now);
+    } else {
+      const evidence = evidenceEntry(update, now);
+      if (evidence) goal.evidence = [...(existing.evidence || []), evidence].slice(-MAX_GOAL_EVIDENCE);
+    }
+    const updated = [...goals];
+    updated[index] = goal;
+    return { goals: updated, goal };
+  }
+
+  const status = update.status || 'active';
+  const evidence = evidenceEntry(update, now);
+  const goal = {
+    id: generateId('goal'),
+    content: update.content,
+    priority: update.priority || 'medium',
+    status,
+    blockers: update.blockers || [],
+    evidence: evidence ? [evidence] : [],
+    statusHistory: [{ from: null, to: status, evidence: evidence?.text || null, messageIds: evidence?.messageIds || [], at: now }],
+    closedAt: status === 'achieved' || status === 'abandoned' ? now : null,
+    inferredAt: now,
+    updatedAt: now
+  };
+  return { goals: capGoals([goal, ...goals]), goal };
+}
+
+/**
+ * Move a goal to a new lifecycle status
+ * @returns {{ goals: Array, goal: Object, from: string } | { error: string }}
+ */
+function transitionGoal(goals, update, now) {
+  if (!GOAL_STATUSES.includes(update.status)) {
+    return { error: `Status must be one of: ${GOAL_STATUSES.join(', ')}` };
+  }
+
+  const index = update.goalId
+    ? goals.findIndex(g => g.id === update.goalId)
+    : goals.findIndex(g => isSameItem(g, { content: update.content }));
+  if (index < 0) {
+    return { error: 'Goal not found' };
+  }
+
+  const goal = goals[index];
+  if (goal.status === update.status) {
+    return { error: `Goal is already ${goal.status}` };
+  }
+  if (!(GOAL_TRANSITIONS[goal.status] || []).includes(update.status)) {
+    return { error: `A ${goal.status} goal can't become ${update.status}` };
+  }
+
+  const updated = [...goals];
+  updated[index] = applyTransition(goal, update.status, update, now);
+  return { goals: capGoals(updated), goal: updated[index], from: goal.status };
+}
+
+// ===== RELATIONSHIPS =====
+
+function clampSentiment(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.max(-1, Math.min(n, 1)) : null;
+}
+
+function describeSentiment(sentiment) {
+  if (sentiment >= 0.5) return 'warm';
+  if (sentiment >= 0.15) return 'positive';
+  if (sentiment > -0.15) return 'neutral';
+  if (sentiment > -0.5) return 'strained';
+  return 'negative';
+}
+
+/**
+ * Add a person the user mentioned, or update what we know about them
+ * @returns {{ relationships: Array, relationship: Object }}
+ */
+function upsertRelationship(relationships, update, now) {
+  const name = String(update.content || '').trim();
+  const key = name.toLowerCase();
+  const sentiment = clampSentiment(update.sentiment);
+  const index = relationships.findIndex(r => r.name.toLowerCase() === key);
+
+  let relationship;
+  if (index >= 0) {
+    const existing = relationships[index];
+    relationship = {
+      ...existing,
+      role: update.role || existing.role || null,
+      sentiment: sentiment ?? existing.sentiment ?? null,
+      sentimentHistory: sentiment === null
+        ? existing.sentimentHistory || []
+        : [...(existing.sentimentHistory || []), { sentiment, at: now }].slice(-MAX_SENTIMENT_HISTORY),
+      notes: update.source ? [...(existing.notes || []), update.source].slice(-5) : existing.notes || [],
+      mentions: (existing.mentions || 0) + 1,
+      lastMentionedAt: now
+    };
+  } else {
+    relationship = {
+      id: generateId('person'),
+      name,
+      role: update.role || null,
+      sentiment,
+      sentimentHistory: sentiment === null ? [] : [{ sentiment, at: now }],
+      notes: update.source ? [update.source] : [],
+      mentions: 1,
+      firstMentionedAt: now,
+      lastMentionedAt: now
+    };
+  }
+
+  const others = relationships.filter((_, i) => i !== index);
+  const updated = [relationship, ...others]
+    .sort((a, b) => (b.lastMentionedAt || '').localeCompare(a.lastMentionedAt || ''))
+    .slice(0, MAX_RELATIONSHIPS);
+  return { relationships: updated, relationship };
+}
+
+// Helper: Firestore rejects undefined fields
+function withoutUndefined(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
+
 // Helper: Calculate emotional trend
 function calculateTrend(previousState, newValence) {
   if (!previousState || newValence === undefined) return 'stable';
@@ -333,10 +624,227 @@ function calculateModelConfidence(model) {
   return factors > 0 ? score : 0;
 }
 
+// ===== TIMELINE =====
+// Derived from mentalModel/history/snapshots — one range query on the timestamp field,
+// so no composite index is needed.
+
+function snapshotTime(snapshot) {
+  return snapshot.timestamp?.toMillis?.() || (snapshot.at ? Date.parse(snapshot.at) : 0);
+}
+
+async function loadSnapshotsSince(db, userId, since) {
+  const snapshot = await getSnapshotsRef(db, userId)
+    .where('timestamp', '>=', since)
+    .orderBy('timestamp', 'desc')
+    .limit(MAX_HISTORY_SCAN)
+    .get();
+  // Oldest first
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).reverse();
+}
+
+function bucketStart(ms, bucket) {
+  const date = new Date(ms);
+  date.setUTCHours(0, 0, 0, 0);
+  if (bucket === 'week') {
+    // Weeks start on Monday
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  }
+  return date.toISOString().substring(0, 10);
+}
+
+function average(values) {
+  return values.length > 0 ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length * 100) / 100 : null;
+}
+
+function describeChange(delta) {
+  if (delta === null) return 'unknown';
+  if (delta > 0.2) return 'improving';
+  if (delta < -0.2) return 'declining';
+  return 'stable';
+}
+
+/**
+ * Emotional-valence time series from emotion snapshots (oldest first)
+ * @param {Array} snapshots - History snapshots, oldest first
+ * @param {string} [bucket='week'] - 'day' or 'week'
+ * @returns {Object} - { points, buckets, summary: { average, first, last, change, trend } }
+ */
+function buildEmotionTimeline(snapshots, bucket = 'week') {
+  const points = snapshots
+    .filter(s => s.type === 'emotion' && typeof s.valence === 'number')
+    .map(s => ({
+      at: new Date(snapshotTime(s)).toISOString(),
+      emotion: s.content,
+      valence: s.valence,
+      arousal: typeof s.arousal === 'number' ? s.arousal : null
+    }));
+
+  const grouped = new Map();
+  for (const point of points) {
+    const key = bucketStart(Date.parse(point.at), bucket);
+    if (!grouped.has(key)) grouped.set(key, []);
+    grouped.get(key).push(point);
+  }
+
+  const buckets = [...grouped.entries()].map(([start, group]) => {
+    const counts = {};
+    for (const p of group) counts[p.emotion] = (counts[p.emotion] || 0) + 1;
+    return {
+      start,
+      count: group.length,
+      valence: average(group.map(p => p.valence)),
+      arousal: average(group.map(p => p.arousal).filter(a => a !== null)),
+      dominantEmotion: Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0]
+    };
+  });
+
+  const first = buckets[0]?.valence ?? null;
+  const last = buckets[buckets.length - 1]?.valence ?? null;
+  const change = first !== null && last !== null && buckets.length > 1 ? Math.round((last - first) * 100) / 100 : null;
+
+  return {
+    bucket,
+    points,
+    buckets,
+    summary: {
+      average: average(points.map(p => p.valence)),
+      first,
+      last,
+      change,
+      trend: describeChange(change)
+    }
+  };
+}
+
+/**
+ * Emotional-valence time series for the last N days
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {Object} [options]
+ * @param {number} [options.days=90] - Window size
+ * @param {string} [options.bucket='week'] - 'day' or 'week'
+ * @returns {Promise<Object>} - See buildEmotionTimeline
+ */
+async function getEmotionTimeline(db, userId, { days = 90, bucket = 'week' } = {}) {
+  const since = new Date(Date.now() - days * DAY_MS);
+  const snapshots = await loadSnapshotsSince(db, userId, since);
+  return { days, since: since.toISOString(), ...buildEmotionTimeline(snapshots, bucket) };
+}
+
+// Helper: Distinct contents of one snapshot type, most recent last
+function distinctContents(snapshots, type) {
+  const seen = new Map();
+  for (const s of snapshots) {
+    if (s.type === type && s.content) seen.set(s.content.toLowerCase(), s.content);
+  }
+  return [...seen.values()];
+}
+
+/**
+ * How the user has changed over a window: goal lifecycle movement, emotional trend,
+ * new people and relationship shifts, new beliefs and knowledge gaps
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {Object} [options]
+ * @param {number} [options.days=90] - Window size
+ * @returns {Promise<Object>} - Change report
+ */
+async function getModelChanges(db, userId, { days = 90 } = {}) {
+  const since = new Date(Date.now() - days * DAY_MS);
+  const sinceIso = since.toISOString();
+  const [model, snapshots] = await Promise.all([
+    loadMentalModel(db, userId),
+    loadSnapshotsSince(db, userId, since)
+  ]);
+
+  const goals = model.goals || [];
+  const transitions = goals
+    .flatMap(g => (g.statusHistory || [])
+      .filter(h => h.from && h.at && h.at >= sinceIso)
+      .map(h => ({ goalId: g.id, content: g.content, from: h.from, to: h.to, evidence: h.evidence || null, at: h.at })))
+    .sort((a, b) => a.at.localeCompare(b.at));
+  const closedInWindow = (status) => goals
+    .filter(g => g.status === status && g.closedAt && g.closedAt >= sinceIso)
+    .map(g => ({ id: g.id, content: g.content, closedAt: g.closedAt }));
+
+  const relationships = model.relationships || [];
+  const sentimentShifts = relationships
+    .map(r => {
+      const history = r.sentimentHistory || [];
+      const before = history.filter(h => h.at < sinceIso).pop();
+      const during = history.filter(h => h.at >= sinceIso);
+      const baseline = before || during[0];
+      const latest = during[during.length - 1];
+      if (!baseline || !latest || baseline === latest) return null;
+      const delta = Math.round((latest.sentiment - baseline.sentiment) * 100) / 100;
+      return Math.abs(delta) >= 0.3
+        ? { id: r.id, name: r.name, role: r.role || null, from: baseline.sentiment, to: latest.sentiment, delta }
+        : null;
+    })
+    .filter(Boolean);
+
+  const emotions = buildEmotionTimeline(snapshots, 'week');
+  const byType = {};
+  for (const s of snapshots) byType[s.type] = (byType[s.type] || 0) + 1;
+
+  return {
+    period: { days, since: sinceIso, until: new Date().toISOString() },
+    updates: snapshots.length,
+    updatesByType: byType,
+    goals: {
+      started: goals
+        .filter(g => (g.statusHistory?.[0]?.at || g.inferredAt || '') >= sinceIso)
+        .map(g => ({ id: g.id, content: g.content, status: g.status })),
+      achieved: closedInWindow('achieved'),
+      abandoned: closedInWindow('abandoned'),
+      blocked: goals.filter(g => g.status === 'blocked').map(g => ({ id: g.id, content: g.content, blockers: g.blockers || [] })),
+      open: goals.filter(g => OPEN_GOAL_STATUSES.includes(g.status)).length,
+      transitions
+    },
+    emotions: {
+      ...emotions.summary,
+      buckets: emotions.buckets
+    },
+    relationships: {
+      new: relationships
+        .filter(r => r.firstMentionedAt && r.firstMentionedAt >= sinceIso)
+        .map(r => ({ id: r.id, name: r.name, role: r.role || null, sentiment: r.sentiment ?? null })),
+      mostMentioned: relationships
+        .filter(r => r.lastMentionedAt && r.lastMentionedAt >= sinceIso)
+        .sort((a, b) => (b.mentions || 0) - (a.mentions || 0))
+        .slice(0, 5)
+        .map(r => ({ id: r.id, name: r.name, role: r.role || null, mentions: r.mentions || 0 })),
+      sentimentShifts
+    },
+    beliefs: distinctContents(snapshots, 'belief'),
+    knowledgeGaps: distinctContents(snapshots, 'knowledge_gap')
+  };
+}
+
+/**
+ * A short second-person narrative of a change report ("Over the last 90 days you...")
+ * @param {Object} changes - Output of getModelChanges
+ * @returns {Promise<string>}
+ */
+async function describeModelChanges(changes) {
+  const prompt = `Here is a structured report of how a person changed over the last ${changes.period.days} days, as tracked by their AI companion:
+
+${JSON.stringify({ ...changes, emotions: { ...changes.emotions, buckets: undefined } }, null, 2)}
+
+Write 3-6 sentences addressed to the person ("Over the last ${changes.period.days} days you..."). Cover goal progress, how their mood has moved, and notable people or relationship changes. Be warm and concrete; only mention what the report supports. If little changed, say so briefly.`;
+
+  return (await generateText(null, prompt, { maxTokens: 400, temperature: 0.4, label: 'mental-model-changes' })).trim();
+}
+
 module.exports = {
+  GOAL_STATUSES,
+  GOAL_TRANSITIONS,
   loadMentalModel,
   updateMentalModel,
   formatMentalModelForPrompt,
   getDefaultMentalModel,
-  markKnowledgeGapSuggested
+  markKnowledgeGapSuggested,
+  getEmotionTimeline,
+  getModelChanges,
+  describeModelChanges
 };
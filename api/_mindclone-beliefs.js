@@ -1,23 +1,167 @@
 // Mindclone Belief System with Recursive Belief Revision
 // Enables Mindclone to form its own beliefs, opinions, and perspectives
 // Supports recursive revision when contradictions are detected
+// Whether two statements say the same thing or contradict each other is decided by the
+// pluggable judge in _belief-judge.js (LLM with a local fallback); its rationale is stored
+// on the belief (contradictions[] and revisionHistory[].judgment).
+//
+// Storage — a belief graph:
+//   users/{userId}/beliefs/{beliefId}                 one document per belief; edges are stored
+//                                                     on the belief they point at:
+//                                                     edges: [{ from, type: 'supports'|'contradicts', at }]
+//   users/{userId}/mindcloneBeliefs/current           modelConfidence, pendingRevisions, updatedAt
+//   users/{userId}/mindcloneBeliefs/history/snapshots one entry per change, with before/after copies
+//                                                     of every belief it touched (changes[])
+// There is no hard cap: beliefs that fall below ARCHIVE_CONFIDENCE, or the weakest ones once
+// more than MAX_ACTIVE_BELIEFS are active, are archived (status 'archived') rather than dropped.
+// Every write bumps the belief's version, which lets a rollback tell whether a belief has
+// changed again since the revision being undone.
+// Beliefs from the old single-document format (mindcloneBeliefs/current.beliefs) are moved
+// into the graph on first load; their `dependencies` become 'supports' edges.
 
 const { admin } = require('./_firebase-admin');
+const { judgePairs, judgeStatement } = require('./_belief-judge');
+const { embedLocal, cosineSimilarity } = require('./_embeddings');
+
+const EDGE_TYPES = ['supports', 'contradicts'];
+const MAX_ACTIVE_BELIEFS = 200;
+const ARCHIVE_CONFIDENCE = 0.15;
+const MAX_REVISION_HISTORY = 20;
+const MAX_TIMELINE_SNAPSHOTS = 2000;
+const WRITE_BATCH_SIZE = 400;
+const SAME_BELIEF_SCORE = 0.8; // entailment this strong means "the same belief, restated"
+const CONTRADICTION_SCORE = 0.6; // contradictions below this are not recorded
+const MAX_RECONCILE_PAIRS = 30; // pairs judged per reconciliation pass
+const MIN_RECONCILE_SIMILARITY = 0.2; // local-embedding cosine for a pair to be worth judging
+
+function getBeliefsRef(db, userId) {
+  return db.collection('users').doc(userId).collection('beliefs');
+}
+
+function getStateRef(db, userId) {
+  return db.collection('users').doc(userId).collection('mindcloneBeliefs').doc('current');
+}
+
+function getSnapshotsRef(db, userId) {
+  return db.collection('users').doc(userId)
+    .collection('mindcloneBeliefs').doc('history')
+    .collection('snapshots');
+}
+
+function isActive(belief) {
+  return (belief.status || 'active') === 'active';
+}
+
+function snapshotTime(data) {
+  return data.timestamp?.toMillis?.() || (data.at ? Date.parse(data.at) : 0);
+}
+
+// Move beliefs from the old single-document format into the graph (once)
+async function migrateLegacyBeliefs(db, userId, legacyBeliefs) {
+  const now = new Date().toISOString();
+  const batch = db.batch();
+  for (const belief of legacyBeliefs) {
+    const { dependencies, ...rest } = belief;
+    batch.set(getBeliefsRef(db, userId).doc(belief.id), {
+      ...rest,
+      edges: (dependencies || []).map(from => ({ from, type: 'supports', at: belief.formedAt || now })),
+      status: 'active',
+      version: 1
+    });
+  }
+  batch.set(getStateRef(db, userId), {
+    beliefs: admin.firestore.FieldValue.delete(),
+    migratedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+  await batch.commit();
+  console.log(`[MindcloneBeliefs] Migrated ${legacyBeliefs.length} beliefs to the belief graph for user ${userId}`);
+}
+
+/**
+ * Load every belief document (active and archived), migrating the old format if needed
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} - { beliefs, state } — state is mindcloneBeliefs/current
+ */
+async function loadBeliefGraph(db, userId) {
+  const [snapshot, stateDoc] = await Promise.all([getBeliefsRef(db, userId).get(), getStateRef(db, userId).get()]);
+  const state = stateDoc.exists ? stateDoc.data() : {};
+
+  if (Array.isArray(state.beliefs) && state.beliefs.length > 0) {
+    await migrateLegacyBeliefs(db, userId, state.beliefs);
+    const migrated = await getBeliefsRef(db, userId).get();
+    return { beliefs: migrated.docs.map(d => d.data()), state };
+  }
+  return { beliefs: snapshot.docs.map(d => d.data()), state };
+}
+
+/**
+ * Write changed beliefs, a history snapshot and the summary doc
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {Object[]} changes - [{ before, after }] — after is written, before kept for history
+ * @param {Object} snapshot - Action fields for the history entry
+ * @param {Object[]} allBeliefs - Every belief after the change (for model confidence)
+ * @param {Object} [state] - Current summary doc
+ * @returns {Promise<string>} - Snapshot ID (the revision ID used by rollback)
+ */
+async function commitChanges(db, userId, changes, snapshot, allBeliefs, state = {}) {
+  const timestamp = admin.firestore.FieldValue.serverTimestamp();
+  const snapshotRef = getSnapshotsRef(db, userId).doc();
+
+  // Large cascades are split over several batches; the snapshot goes in the last one
+  for (let i = 0; i < changes.length; i += WRITE_BATCH_SIZE) {
+    const batch = db.batch();
+    for (const { after } of changes.slice(i, i + WRITE_BATCH_SIZE)) {
+      batch.set(getBeliefsRef(db, userId).doc(after.id), after);
+    }
+    if (i + WRITE_BATCH_SIZE >= changes.length) {
+      batch.set(snapshotRef, {
+        ...snapshot,
+        changes: changes.map(({ before, after }) => ({ beliefId: after.id, before: before || null, after })),
+        at: new Date().toISOString(),
+        timestamp
+      });
+      batch.set(getStateRef(db, userId), {
+        pendingRevisions: state.pendingRevisions || [],
+        modelConfidence: calculateModelConfidence(allBeliefs.filter(isActive)),
+        updatedAt: timestamp
+      }, { merge: true });
+    }
+    await batch.commit();
+  }
+
+  return snapshotRef.id;
+}
+
+// Return a copy of the belief with a bumped version and trimmed revision history
+function nextVersion(belief, changes) {
+  const updated = { ...belief, ...changes, version: (belief.version || 0) + 1 };
+  if (updated.revisionHistory?.length > MAX_REVISION_HISTORY) {
+    updated.revisionHistory = updated.revisionHistory.slice(-MAX_REVISION_HISTORY);
+  }
+  return updated;
+}
 
 /**
  * Load beliefs for a user's Mindclone from Firestore
  * @param {FirebaseFirestore.Firestore} db - Firestore instance
  * @param {string} userId - The user ID
- * @returns {Promise<Object>} - Belief state or default state
+ * @returns {Promise<Object>} - Belief state (active beliefs, most confident first) or default state
  */
 async function loadMindcloneBeliefs(db, userId) {
   try {
-    const doc = await db.collection('users').doc(userId)
-      .collection('mindcloneBeliefs').doc('current').get();
-
-    if (doc.exists) {
-      console.log(`[MindcloneBeliefs] Loaded beliefs for user ${userId}`);
-      return doc.data();
+    const { beliefs, state } = await loadBeliefGraph(db, userId);
+    const active = beliefs.filter(isActive);
+
+    if (active.length > 0) {
+      console.log(`[MindcloneBeliefs] Loaded ${active.length} beliefs for user ${userId}`);
+      return {
+        beliefs: active.sort((a, b) => b.confidence - a.confidence),
+        pendingRevisions: state.pendingRevisions || [],
+        modelConfidence: state.modelConfidence || calculateModelConfidence(active),
+        updatedAt: state.updatedAt || null
+      };
     }
 
     console.log(`[MindcloneBeliefs] No beliefs found for user ${userId}, using default`);
@@ -49,6 +193,43 @@ function generateBeliefId() {
   return `belief_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
+// Archive the weakest active beliefs beyond MAX_ACTIVE_BELIEFS (least confident, then least recently revised)
+function archiveOverflow(beliefs, now) {
+  const active = beliefs.filter(isActive);
+  if (active.length <= MAX_ACTIVE_BELIEFS) return [];
+
+  const overflow = active
+    .sort((a, b) => a.confidence - b.confidence || (a.lastRevisedAt || '').localeCompare(b.lastRevisedAt || ''))
+    .slice(0, active.length - MAX_ACTIVE_BELIEFS);
+
+  return overflow.map(belief => {
+    const after = nextVersion(belief, { status: 'archived', archivedReason: 'capacity', archivedAt: now });
+    beliefs[beliefs.indexOf(belief)] = after;
+    console.log(`[MindcloneBeliefs] Archived belief ${belief.id} (over ${MAX_ACTIVE_BELIEFS} active beliefs)`);
+    return { before: belief, after };
+  });
+}
+
+// What gets stored about a judge verdict
+function toJudgmentRecord(judgment) {
+  return {
+    relation: judgment.relation,
+    score: judgment.score,
+    rationale: judgment.rationale,
+    judge: judgment.judge
+  };
+}
+
+// One contradictions[] entry: which belief (or statement) this one is in tension with, and why
+function contradictionEntry(beliefId, statement, judgment, now) {
+  return {
+    beliefId: beliefId || null,
+    evidence: statement,
+    ...toJudgmentRecord(judgment),
+    at: now
+  };
+}
+
 /**
  * Form a new belief or update existing similar belief
  * @param {FirebaseFirestore.Firestore} db - Firestore instance
@@ -58,48 +239,67 @@ function generateBeliefId() {
  * @param {string} beliefData.type - Type: 'factual', 'evaluative', 'predictive', 'meta'
  * @param {number} beliefData.confidence - Confidence level (0-1)
  * @param {string[]} beliefData.basis - Reasons for this belief
- * @param {string[]} beliefData.relatedTo - IDs of related beliefs (optional)
- * @returns {Promise<Object>} - Result of the operation
+ * @param {string[]} beliefData.relatedTo - IDs of beliefs this one depends on ('supports' edges, optional)
+ * @param {string[]} beliefData.contradicts - IDs of beliefs this one is in tension with ('contradicts' edges, optional)
+ * @param {Object} [options]
+ * @param {string} [options.judge] - Belief judge to use (see _belief-judge.js)
+ * @returns {Promise<Object>} - Result of the operation, including contradictions the judge found
  */
-async function formBelief(db, userId, beliefData) {
+async function formBelief(db, userId, beliefData, options = {}) {
   try {
-    const ref = db.collection('users').doc(userId)
-      .collection('mindcloneBeliefs').doc('current');
-
-    const doc = await ref.get();
-    const currentState = doc.exists ? doc.data() : getDefaultBeliefState();
-
-    const timestamp = admin.firestore.FieldValue.serverTimestamp();
+    const { beliefs, state } = await loadBeliefGraph(db, userId);
     const now = new Date().toISOString();
-
-    // Check for existing similar belief
-    const existingIndex = findSimilarBelief(currentState.beliefs, beliefData.content);
-
-    let updatedBeliefs = [...currentState.beliefs];
+    const active = beliefs.filter(isActive);
+
+    // Restatements of an existing belief reinforce it; contradictions become edges
+    const judgments = await judgeStatement(beliefData.content, active, { judge: options.judge });
+    const match = judgments.find(j => j.relation === 'entail' && j.score >= SAME_BELIEF_SCORE);
+    const conflicts = judgments.filter(j => j.relation === 'contradict' && j.score >= CONTRADICTION_SCORE && j.belief !== match?.belief);
+
+    // Edges may only point at beliefs that exist
+    const knownIds = new Set(beliefs.map(b => b.id));
+    const newEdges = [
+      ...(beliefData.relatedTo || []).map(from => ({ from, type: 'supports', at: now })),
+      ...[...new Set([...(beliefData.contradicts || []), ...conflicts.map(c => c.belief.id)])]
+        .map(from => ({ from, type: 'contradicts', at: now }))
+    ].filter(edge => knownIds.has(edge.from));
+
+    const changes = [];
     let beliefId;
 
-    if (existingIndex >= 0) {
+    if (match) {
       // Update existing belief
-      beliefId = updatedBeliefs[existingIndex].id;
-      const existingBelief = updatedBeliefs[existingIndex];
+      const existingBelief = match.belief;
+      beliefId = existingBelief.id;
 
       // Add to revision history
-      const revisionHistory = existingBelief.revisionHistory || [];
-      revisionHistory.push({
+      const revisionHistory = [...(existingBelief.revisionHistory || []), {
         previousConfidence: existingBelief.confidence,
         reason: 'reinforced or refined',
+        judgment: toJudgmentRecord(match),
         at: now
-      });
+      }].slice(-MAX_REVISION_HISTORY);
 
-      updatedBeliefs[existingIndex] = {
-        ...existingBelief,
+      const edges = [...(existingBelief.edges || [])];
+      for (const edge of newEdges) {
+        if (edge.from !== beliefId && !edges.some(e => e.from === edge.from && e.type === edge.type)) edges.push(edge);
+      }
+
+      const updated = nextVersion(existingBelief, {
         content: beliefData.content,
         confidence: Math.min((existingBelief.confidence + beliefData.confidence) / 2 + 0.1, 1), // Boost when reinforced
-        basis: [...new Set([...existingBelief.basis, ...beliefData.basis])],
+        basis: [...new Set([...(existingBelief.basis || []), ...(beliefData.basis || [])])],
+        edges,
+        contradictions: [
+          ...(existingBelief.contradictions || []),
+          ...conflicts.map(c => contradictionEntry(c.belief.id, c.belief.content, c, now))
+        ].slice(-MAX_REVISION_HISTORY),
         revisionHistory,
         lastRevisedAt: now,
         revisionsCount: (existingBelief.revisionsCount || 0) + 1
-      };
+      });
+      beliefs[beliefs.indexOf(existingBelief)] = updated;
+      changes.push({ before: existingBelief, after: updated });
 
       console.log(`[MindcloneBeliefs] Updated existing belief: ${beliefId}`);
     } else {
@@ -111,46 +311,56 @@ async function formBelief(db, userId, beliefData) {
         type: beliefData.type || 'evaluative',
         confidence: beliefData.confidence || 0.6,
         basis: beliefData.basis || [],
-        dependencies: beliefData.relatedTo || [],
-        contradictions: [],
+        edges: newEdges,
+        contradictions: conflicts.map(c => contradictionEntry(c.belief.id, c.belief.content, c, now)),
         revisionHistory: [],
         formedAt: now,
         lastRevisedAt: now,
-        revisionsCount: 0
+        revisionsCount: 0,
+        status: 'active',
+        version: 1
       };
-
-      // Keep beliefs at reasonable size (max 20)
-      updatedBeliefs = [newBelief, ...updatedBeliefs].slice(0, 20);
+      beliefs.push(newBelief);
+      changes.push({ before: null, after: newBelief });
       console.log(`[MindcloneBeliefs] Formed new belief: ${beliefId}`);
     }
 
-    // Calculate model confidence
-    const modelConfidence = calculateModelConfidence(updatedBeliefs);
+    // The other side of each contradiction records it too
+    for (const conflict of conflicts) {
+      const other = beliefs.find(b => b.id === conflict.belief.id);
+      const updated = nextVersion(other, {
+        contradictions: [
+          ...(other.contradictions || []),
+          contradictionEntry(beliefId, beliefData.content, conflict, now)
+        ].slice(-MAX_REVISION_HISTORY)
+      });
+      beliefs[beliefs.indexOf(other)] = updated;
+      changes.push({ before: other, after: updated });
+    }
+    if (conflicts.length > 0) {
+      console.log(`[MindcloneBeliefs] Belief ${beliefId} contradicts ${conflicts.length} existing belief(s)`);
+    }
 
-    // Save updated state
-    await ref.set({
-      beliefs: updatedBeliefs,
-      pendingRevisions: currentState.pendingRevisions || [],
-      modelConfidence,
-      updatedAt: timestamp
-    });
+    changes.push(...archiveOverflow(beliefs, now));
 
-    // Save to history
-    await db.collection('users').doc(userId)
-      .collection('mindcloneBeliefs').doc('history')
-      .collection('snapshots').add({
-        action: 'form_belief',
-        beliefId,
-        content: beliefData.content,
-        confidence: beliefData.confidence,
-        timestamp
-      });
+    await commitChanges(db, userId, changes, {
+      action: 'form_belief',
+      beliefId,
+      content: beliefData.content,
+      confidence: beliefData.confidence
+    }, beliefs, state);
 
     return {
       success: true,
-      action: existingIndex >= 0 ? 'updated' : 'formed',
+      action: match ? 'updated' : 'formed',
       beliefId,
-      content: beliefData.content
+      content: beliefData.content,
+      contradictions: conflicts.map(c => ({
+        beliefId: c.belief.id,
+        content: c.belief.content,
+        score: c.score,
+        rationale: c.rationale
+      }))
     };
   } catch (error) {
     console.error(`[MindcloneBeliefs] Error forming belief:`, error.message);
@@ -169,69 +379,73 @@ async function formBelief(db, userId, beliefData) {
  * @param {string} revisionData.newEvidence - What changed the view
  * @param {string} revisionData.direction - 'strengthen', 'weaken', or 'reverse'
  * @param {number} revisionData.magnitude - How much to change (0-1)
- * @returns {Promise<Object>} - Result including cascade effects
+ * @param {Object} revisionData.judgment - Judge verdict for the evidence, if the caller already has one
+ * @param {Object} [options]
+ * @param {string} [options.judge] - Belief judge to use (see _belief-judge.js)
+ * @returns {Promise<Object>} - Result including cascade effects, the judge's verdict on the
+ *   evidence and the revisionId to roll it back
  */
-async function reviseBelief(db, userId, revisionData) {
+async function reviseBelief(db, userId, revisionData, options = {}) {
   try {
-    const ref = db.collection('users').doc(userId)
-      .collection('mindcloneBeliefs').doc('current');
-
-    const doc = await ref.get();
-    if (!doc.exists) {
+    const { beliefs, state } = await loadBeliefGraph(db, userId);
+    const active = beliefs.filter(isActive);
+    if (active.length === 0) {
       return { success: false, error: 'No beliefs found' };
     }
 
-    const currentState = doc.data();
-    const timestamp = admin.firestore.FieldValue.serverTimestamp();
     const now = new Date().toISOString();
 
     // Find the belief to revise
     let beliefIndex = -1;
     if (revisionData.beliefId) {
-      beliefIndex = currentState.beliefs.findIndex(b => b.id === revisionData.beliefId);
+      beliefIndex = active.findIndex(b => b.id === revisionData.beliefId);
     } else if (revisionData.beliefContent) {
-      beliefIndex = findSimilarBelief(currentState.beliefs, revisionData.beliefContent);
+      // The belief we want says at least what the caller described
+      const judgments = await judgeStatement(revisionData.beliefContent, active, { judge: options.judge, reverse: true });
+      const match = judgments.find(j => j.relation === 'entail');
+      beliefIndex = match ? active.indexOf(match.belief) : -1;
     }
 
     if (beliefIndex < 0) {
       return { success: false, error: 'Belief not found' };
     }
 
+    // How the evidence bears on the belief, kept with the revision
+    let judgment = revisionData.judgment || null;
+    if (!judgment && revisionData.newEvidence) {
+      [judgment] = await judgePairs([{ premise: revisionData.newEvidence, hypothesis: active[beliefIndex].content }], { judge: options.judge });
+    }
+
     // Perform recursive revision
-    const revisionResult = await performRecursiveRevision(
-      currentState.beliefs,
+    const revisionResult = performRecursiveRevision(
+      active,
       beliefIndex,
-      revisionData,
+      { ...revisionData, judgment },
       now
     );
 
-    // Calculate new model confidence
-    const modelConfidence = calculateModelConfidence(revisionResult.beliefs);
-
-    // Save updated state
-    await ref.set({
-      beliefs: revisionResult.beliefs,
-      pendingRevisions: currentState.pendingRevisions || [],
-      modelConfidence,
-      updatedAt: timestamp
+    const originals = new Map(active.map(b => [b.id, b]));
+    const changes = [...new Set(revisionResult.revisedBeliefs)].map(id => {
+      const after = revisionResult.beliefs.find(b => b.id === id);
+      return { before: originals.get(id), after: { ...after, version: (originals.get(id).version || 0) + 1 } };
     });
+    const revisedIds = new Set(changes.map(c => c.after.id));
+    const allBeliefs = [...beliefs.filter(b => !revisedIds.has(b.id)), ...changes.map(c => c.after)];
 
-    // Save to history
-    await db.collection('users').doc(userId)
-      .collection('mindcloneBeliefs').doc('history')
-      .collection('snapshots').add({
-        action: 'revise_belief',
-        primaryBeliefId: revisionResult.revisedBeliefs[0],
-        cascadeCount: revisionResult.revisedBeliefs.length - 1,
-        direction: revisionData.direction,
-        evidence: revisionData.newEvidence,
-        timestamp
-      });
+    const revisionId = await commitChanges(db, userId, changes, {
+      action: 'revise_belief',
+      primaryBeliefId: revisionResult.revisedBeliefs[0],
+      cascadeCount: revisionResult.revisedBeliefs.length - 1,
+      direction: revisionData.direction,
+      evidence: revisionData.newEvidence
+    }, allBeliefs, state);
 
-    console.log(`[MindcloneBeliefs] Revised ${revisionResult.revisedBeliefs.length} beliefs`);
+    console.log(`[MindcloneBeliefs] Revised ${revisionResult.revisedBeliefs.length} beliefs (revision ${revisionId})`);
 
     return {
       success: true,
+      revisionId,
+      judgment: judgment ? toJudgmentRecord(judgment) : null,
       revisedBeliefs: revisionResult.revisedBeliefs,
       cascadeCount: revisionResult.revisedBeliefs.length - 1,
       removedBeliefs: revisionResult.removedBeliefs || []
@@ -242,15 +456,35 @@ async function reviseBelief(db, userId, revisionData) {
   }
 }
 
+// Beliefs one step away from `belief` in a revision cascade, with the direction they move in:
+// beliefs it supports move the same way; beliefs it contradicts (either edge direction) move the other way
+function getCascadeTargets(beliefs, belief, direction) {
+  const opposite = direction === 'strengthen' ? 'weaken' : 'strengthen';
+  const targets = [];
+  for (let i = 0; i < beliefs.length; i++) {
+    const other = beliefs[i];
+    if (other.id === belief.id || !isActive(other)) continue;
+    const incoming = (other.edges || []).find(e => e.from === belief.id);
+    const outgoingContradiction = (belief.edges || []).some(e => e.from === other.id && e.type === 'contradicts');
+    if (incoming?.type === 'supports') {
+      targets.push({ index: i, direction });
+    } else if (incoming?.type === 'contradicts' || outgoingContradiction) {
+      targets.push({ index: i, direction: opposite });
+    }
+  }
+  return targets;
+}
+
 /**
  * Perform recursive belief revision with dampening
+ * Beliefs whose confidence drops below ARCHIVE_CONFIDENCE are archived, not deleted.
  * @param {Array} beliefs - Current beliefs array
  * @param {number} primaryIndex - Index of primary belief to revise
  * @param {Object} revisionData - Revision parameters
  * @param {string} now - Current timestamp
  * @param {Set} visited - Set of already-visited belief IDs (for cycle prevention)
  * @param {number} depth - Current recursion depth
- * @returns {Object} - Updated beliefs and list of revised belief IDs
+ * @returns {Object} - Updated beliefs and list of revised (and archived) belief IDs
  */
 function performRecursiveRevision(beliefs, primaryIndex, revisionData, now, visited = new Set(), depth = 0) {
   const MAX_DEPTH = 3; // Prevent infinite recursion
@@ -285,23 +519,22 @@ function performRecursiveRevision(beliefs, primaryIndex, revisionData, now, visi
   }
 
   // Update revision history
-  const revisionHistory = belief.revisionHistory || [];
-  revisionHistory.push({
+  const revisionHistory = [...(belief.revisionHistory || []), {
     previousConfidence: belief.confidence,
     newConfidence,
     reason: revisionData.newEvidence,
     direction: revisionData.direction,
     depth,
+    ...(revisionData.judgment ? { judgment: toJudgmentRecord(revisionData.judgment) } : {}),
     at: now
-  });
+  }].slice(-MAX_REVISION_HISTORY);
 
   // Update contradictions list
-  const contradictions = belief.contradictions || [];
+  const contradictions = [...(belief.contradictions || [])];
   if (revisionData.direction === 'weaken' || revisionData.direction === 'reverse') {
-    contradictions.push({
-      evidence: revisionData.newEvidence,
-      at: now
-    });
+    contradictions.push(revisionData.judgment
+      ? contradictionEntry(revisionData.judgment.beliefId, revisionData.newEvidence, revisionData.judgment, now)
+      : { evidence: revisionData.newEvidence, at: now });
   }
 
   // Update the belief
@@ -316,38 +549,41 @@ function performRecursiveRevision(beliefs, primaryIndex, revisionData, now, visi
 
   revisedBeliefs.push(belief.id);
 
-  // Check if belief should be marked as uncertain or removed
-  if (newConfidence < 0.15) {
-    // Very low confidence - remove the belief
+  // Very low confidence - archive the belief (it stays in the graph and the history)
+  if (newConfidence < ARCHIVE_CONFIDENCE) {
     removedBeliefs.push(belief.id);
-    updatedBeliefs.splice(primaryIndex, 1);
-    console.log(`[MindcloneBeliefs] Removed low-confidence belief: ${belief.id}`);
+    updatedBeliefs[primaryIndex] = {
+      ...updatedBeliefs[primaryIndex],
+      status: 'archived',
+      archivedReason: 'low_confidence',
+      archivedAt: now
+    };
+    console.log(`[MindcloneBeliefs] Archived low-confidence belief: ${belief.id}`);
   }
 
-  // Recursive revision of dependent beliefs (if not at max depth)
+  // Recursive revision of connected beliefs (if not at max depth)
   if (depth < MAX_DEPTH && (revisionData.direction === 'weaken' || revisionData.direction === 'reverse')) {
-    // Find beliefs that depend on this one
-    for (let i = 0; i < updatedBeliefs.length; i++) {
-      const dependentBelief = updatedBeliefs[i];
-      if (dependentBelief.dependencies && dependentBelief.dependencies.includes(belief.id)) {
-        // Recursively revise dependent belief with dampened magnitude
-        const cascadeResult = performRecursiveRevision(
-          updatedBeliefs,
-          i,
-          {
-            ...revisionData,
-            newEvidence: `Dependency "${belief.content}" was revised`,
-            magnitude: magnitude * DAMPENING_FACTOR
-          },
-          now,
-          visited,
-          depth + 1
-        );
-
-        // Merge results
-        revisedBeliefs.push(...cascadeResult.revisedBeliefs);
-        removedBeliefs.push(...cascadeResult.removedBeliefs);
-      }
+    for (const target of getCascadeTargets(updatedBeliefs, belief, revisionData.direction)) {
+      // Recursively revise connected belief with dampened magnitude
+      const cascadeResult = performRecursiveRevision(
+        updatedBeliefs,
+        target.index,
+        {
+          ...revisionData,
+          direction: target.direction,
+          newEvidence: `${target.direction === 'strengthen' ? 'Contradicting belief' : 'Dependency'} "${belief.content}" was revised`,
+          magnitude: magnitude * DAMPENING_FACTOR,
+          judgment: null
+        },
+        now,
+        visited,
+        depth + 1
+      );
+
+      // Merge results
+      cascadeResult.beliefs.forEach((b, i) => { updatedBeliefs[i] = b; });
+      revisedBeliefs.push(...cascadeResult.revisedBeliefs);
+      removedBeliefs.push(...cascadeResult.removedBeliefs);
     }
   }
 
@@ -399,58 +635,378 @@ async function getBeliefs(db, userId, options = {}) {
   }
 }
 
+// ===================== GRAPH API =====================
+
+function toNode(belief) {
+  return {
+    id: belief.id,
+    content: belief.content,
+    type: belief.type,
+    confidence: belief.confidence,
+    basis: belief.basis || [],
+    status: belief.status || 'active',
+    archivedReason: belief.archivedReason || null,
+    formedAt: belief.formedAt || null,
+    lastRevisedAt: belief.lastRevisedAt || null,
+    revisionsCount: belief.revisionsCount || 0,
+    contradictions: belief.contradictions || [],
+    version: belief.version || 0
+  };
+}
+
+function toGraph(beliefs) {
+  const ids = new Set(beliefs.map(b => b.id));
+  return {
+    nodes: beliefs.map(toNode),
+    edges: beliefs.flatMap(b => (b.edges || [])
+      .filter(e => ids.has(e.from))
+      .map(e => ({ from: e.from, to: b.id, type: e.type, at: e.at || null })))
+  };
+}
+
+/**
+ * The belief graph: beliefs as nodes, typed support/contradict edges
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived=false]
+ * @returns {Promise<Object>} - { nodes, edges, modelConfidence }
+ */
+async function getBeliefGraph(db, userId, { includeArchived = false } = {}) {
+  const { beliefs, state } = await loadBeliefGraph(db, userId);
+  const visible = includeArchived ? beliefs : beliefs.filter(isActive);
+  return {
+    ...toGraph(visible.sort((a, b) => b.confidence - a.confidence)),
+    modelConfidence: state.modelConfidence || 0
+  };
+}
+
+/**
+ * Add (or retype) an edge between two beliefs
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {Object} edge - { from, to, type: 'supports'|'contradicts' }
+ * @returns {Promise<Object>} - { success, edge, error }
+ */
+async function linkBeliefs(db, userId, { from, to, type }) {
+  if (!EDGE_TYPES.includes(type)) {
+    return { success: false, error: `Edge type must be one of: ${EDGE_TYPES.join(', ')}` };
+  }
+  if (!from || !to || from === to) {
+    return { success: false, error: 'from and to must be two different belief IDs' };
+  }
+
+  const { beliefs, state } = await loadBeliefGraph(db, userId);
+  const source = beliefs.find(b => b.id === from);
+  const target = beliefs.find(b => b.id === to);
+  if (!source || !target) {
+    return { success: false, error: 'Belief not found' };
+  }
+
+  const now = new Date().toISOString();
+  const after = nextVersion(target, {
+    edges: [...(target.edges || []).filter(e => e.from !== from), { from, type, at: now }]
+  });
+  beliefs[beliefs.indexOf(target)] = after;
+  await commitChanges(db, userId, [{ before: target, after }], { action: 'link_beliefs', from, to, type }, beliefs, state);
+
+  console.log(`[MindcloneBeliefs] Linked ${from} -${type}-> ${to}`);
+  return { success: true, edge: { from, to, type, at: now } };
+}
+
+/**
+ * Remove the edge between two beliefs
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {Object} edge - { from, to }
+ * @returns {Promise<Object>} - { success, error }
+ */
+async function unlinkBeliefs(db, userId, { from, to }) {
+  const { beliefs, state } = await loadBeliefGraph(db, userId);
+  const target = beliefs.find(b => b.id === to);
+  if (!target || !(target.edges || []).some(e => e.from === from)) {
+    return { success: false, error: 'Edge not found' };
+  }
+
+  const after = nextVersion(target, { edges: target.edges.filter(e => e.from !== from) });
+  beliefs[beliefs.indexOf(target)] = after;
+  await commitChanges(db, userId, [{ before: target, after }], { action: 'unlink_beliefs', from, to }, beliefs, state);
+
+  console.log(`[MindcloneBeliefs] Unlinked ${from} -> ${to}`);
+  return { success: true };
+}
+
+/**
+ * Archive or restore one belief by hand
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {string} beliefId
+ * @param {boolean} archived - true to archive, false to restore
+ * @returns {Promise<Object>} - { success, belief, error }
+ */
+async function setBeliefArchived(db, userId, beliefId, archived) {
+  const { beliefs, state } = await loadBeliefGraph(db, userId);
+  const belief = beliefs.find(b => b.id === beliefId);
+  if (!belief) return { success: false, error: 'Belief not found' };
+  if (isActive(belief) === !archived) {
+    return { success: false, error: archived ? 'Belief is already archived' : 'Belief is not archived' };
+  }
+
+  const now = new Date().toISOString();
+  const after = archived
+    ? nextVersion(belief, { status: 'archived', archivedReason: 'owner', archivedAt: now })
+    : nextVersion(belief, { status: 'active', archivedReason: null, archivedAt: null, lastRevisedAt: now });
+  beliefs[beliefs.indexOf(belief)] = after;
+
+  const changes = [{ before: belief, after }];
+  if (!archived) changes.push(...archiveOverflow(beliefs, now));
+  await commitChanges(db, userId, changes, { action: archived ? 'archive_belief' : 'restore_belief', beliefId }, beliefs, state);
+
+  return { success: true, belief: toNode(after) };
+}
+
+// ===================== HISTORY & ROLLBACK =====================
+
+function serializeSnapshot(doc) {
+  const data = doc.data();
+  const { changes, timestamp, ...fields } = data;
+  return {
+    id: doc.id,
+    ...fields,
+    at: data.timestamp?.toDate?.()?.toISOString() || data.at || null,
+    beliefIds: (changes || []).map(c => c.beliefId),
+    reversible: Array.isArray(changes) && data.action !== 'rollback' && !data.rolledBackAt
+  };
+}
+
+/**
+ * History entries, newest first
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {Object} [options]
+ * @param {string} [options.beliefId] - Only entries that touched this belief
+ * @param {number} [options.limit=50]
+ * @returns {Promise<Object[]>}
+ */
+async function getBeliefHistory(db, userId, { beliefId = null, limit = 50 } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const snapshot = await getSnapshotsRef(db, userId)
+    .orderBy('timestamp', 'desc')
+    .limit(beliefId ? MAX_TIMELINE_SNAPSHOTS : pageSize)
+    .get();
+
+  return snapshot.docs
+    .map(serializeSnapshot)
+    .filter(entry => !beliefId || entry.beliefIds.includes(beliefId) || entry.beliefId === beliefId || entry.primaryBeliefId === beliefId)
+    .slice(0, pageSize);
+}
+
+/**
+ * Reconstruct the belief graph as it was at a point in time
+ * Starts from the current graph and undoes every later change, newest first. Entries
+ * written before changes were recorded (the old format) can't be undone; when one is
+ * crossed the result is flagged approximate.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {Date} at - Point in time
+ * @returns {Promise<Object>} - { at, nodes, edges, approximate, eventsUndone }
+ */
+async function getBeliefsAt(db, userId, at) {
+  const target = at.getTime();
+  const { beliefs } = await loadBeliefGraph(db, userId);
+  const state = new Map(beliefs.map(b => [b.id, b]));
+
+  const snapshot = await getSnapshotsRef(db, userId)
+    .orderBy('timestamp', 'desc')
+    .limit(MAX_TIMELINE_SNAPSHOTS)
+    .get();
+
+  let approximate = snapshot.docs.length >= MAX_TIMELINE_SNAPSHOTS;
+  let eventsUndone = 0;
+  for (const doc of snapshot.docs) {
+    const data = doc.data();
+    if (snapshotTime(data) <= target) break;
+    if (!Array.isArray(data.changes)) {
+      approximate = true;
+      continue;
+    }
+    for (const change of [...data.changes].reverse()) {
+      if (change.before) state.set(change.beliefId, change.before);
+      else state.delete(change.beliefId);
+    }
+    eventsUndone++;
+  }
+
+  const activeThen = [...state.values()].filter(isActive).sort((a, b) => b.confidence - a.confidence);
+  return { at: at.toISOString(), ...toGraph(activeThen), approximate, eventsUndone };
+}
+
+/**
+ * Undo one revision (a revise_belief cascade, or any other recorded change) by restoring
+ * every belief it touched. Beliefs changed again since are conflicts: nothing is restored
+ * unless force is set, in which case they are restored too.
+ * The rollback is itself recorded, so it shows up in the timeline.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {string} revisionId - History snapshot ID (reviseBelief returns it)
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false]
+ * @returns {Promise<Object>} - { success, rollbackId, restored, conflicts, error }
+ */
+async function rollbackRevision(db, userId, revisionId, { force = false } = {}) {
+  const snapshotRef = getSnapshotsRef(db, userId).doc(revisionId);
+  const snapshotDoc = await snapshotRef.get();
+  if (!snapshotDoc.exists) return { success: false, error: 'Revision not found' };
+
+  const entry = snapshotDoc.data();
+  if (!Array.isArray(entry.changes)) {
+    return { success: false, error: 'This revision predates change tracking and cannot be rolled back' };
+  }
+  if (entry.action === 'rollback') {
+    return { success: false, error: 'A rollback cannot be rolled back; roll back the original revision again instead' };
+  }
+  if (entry.rolledBackAt) {
+    return { success: false, error: 'Revision was already rolled back' };
+  }
+
+  const { beliefs, state } = await loadBeliefGraph(db, userId);
+  const byId = new Map(beliefs.map(b => [b.id, b]));
+
+  const conflicts = entry.changes
+    .filter(change => (byId.get(change.beliefId)?.version || 0) !== (change.after?.version || 0))
+    .map(change => change.beliefId);
+  if (conflicts.length > 0 && !force) {
+    return {
+      success: false,
+      error: 'Some beliefs changed after this revision; pass force to restore them anyway',
+      conflicts
+    };
+  }
+
+  const now = new Date().toISOString();
+  const changes = entry.changes.map(change => {
+    const current = byId.get(change.beliefId) || change.after;
+    // A belief the revision created is archived rather than deleted
+    const restored = change.before
+      ? { ...change.before }
+      : { ...current, status: 'archived', archivedReason: 'rollback', archivedAt: now };
+    const after = { ...restored, version: (current.version || 0) + 1 };
+    byId.set(change.beliefId, after);
+    return { before: current, after };
+  });
+
+  const rollbackId = await commitChanges(db, userId, changes, {
+    action: 'rollback',
+    rollbackOf: revisionId,
+    rolledBackAction: entry.action,
+    forced: conflicts.length > 0
+  }, [...byId.values()], state);
+
+  await snapshotRef.update({ rolledBackAt: admin.firestore.FieldValue.serverTimestamp(), rolledBackBy: rollbackId });
+
+  console.log(`[MindcloneBeliefs] Rolled back revision ${revisionId} (${changes.length} beliefs${conflicts.length ? `, ${conflicts.length} forced` : ''})`);
+  return { success: true, rollbackId, restored: changes.map(c => c.after.id), conflicts };
+}
+
 /**
  * Detect contradictions between new evidence and existing beliefs
  * @param {string} newEvidence - New information or statement
  * @param {Array} existingBeliefs - Array of existing beliefs
- * @returns {Array} - Array of contradiction objects
+ * @param {Object} [options]
+ * @param {string} [options.judge] - Belief judge to use (see _belief-judge.js)
+ * @returns {Promise<Array>} - Array of contradiction objects, strongest first
  */
-function detectContradictions(newEvidence, existingBeliefs) {
-  const contradictions = [];
-  const evidenceLower = newEvidence.toLowerCase();
-
-  // Simple keyword-based contradiction detection
-  // In production, this could use embeddings or LLM-based analysis
-
-  const negationPatterns = [
-    { pattern: /\bnot\b/, type: 'direct_negation' },
-    { pattern: /\bnever\b/, type: 'direct_negation' },
-    { pattern: /\bwrong\b/, type: 'direct_negation' },
-    { pattern: /\bfalse\b/, type: 'direct_negation' },
-    { pattern: /\bactually\b/, type: 'correction' },
-    { pattern: /\bstopped\b/, type: 'change' },
-    { pattern: /\bquit\b/, type: 'change' },
-    { pattern: /\bchanged\b/, type: 'change' },
-    { pattern: /\bno longer\b/, type: 'change' },
-    { pattern: /\bused to\b/, type: 'past_state' }
-  ];
-
-  for (const belief of existingBeliefs) {
-    const beliefLower = belief.content.toLowerCase();
-
-    // Check for topic overlap
-    const beliefWords = beliefLower.split(/\s+/).filter(w => w.length > 3);
-    const evidenceWords = evidenceLower.split(/\s+/).filter(w => w.length > 3);
-    const overlap = beliefWords.filter(w => evidenceWords.includes(w));
-
-    if (overlap.length >= 2) {
-      // Topic overlap found - check for contradictory patterns
-      for (const { pattern, type } of negationPatterns) {
-        if (pattern.test(evidenceLower)) {
-          contradictions.push({
-            beliefId: belief.id,
-            beliefContent: belief.content,
-            contradictionType: type,
-            strength: overlap.length / Math.max(beliefWords.length, evidenceWords.length),
-            suggestedAction: type === 'change' ? 'weaken' : 'weaken'
+async function detectContradictions(newEvidence, existingBeliefs, options = {}) {
+  const judgments = await judgeStatement(newEvidence, (existingBeliefs || []).filter(isActive), { judge: options.judge });
+
+  return judgments
+    .filter(j => j.relation === 'contradict' && j.score >= CONTRADICTION_SCORE)
+    .map(j => ({
+      beliefId: j.belief.id,
+      beliefContent: j.belief.content,
+      strength: j.score,
+      rationale: j.rationale,
+      judge: j.judge,
+      suggestedAction: j.score >= SAME_BELIEF_SCORE ? 'reverse' : 'weaken'
+    }));
+}
+
+/**
+ * Find pairs of active beliefs that contradict each other and record them as 'contradicts'
+ * edges with the judge's rationale. Used by the DMN reconciliation pass.
+ * Only the most similar not-yet-linked pairs are judged (MAX_RECONCILE_PAIRS per pass).
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {Object} [options]
+ * @param {string} [options.judge] - Belief judge to use
+ * @param {number} [options.maxPairs] - Pairs to judge
+ * @returns {Promise<Object>} - { success, pairsJudged, contradictions: [{ beliefIds, rationale, score, judge }] }
+ */
+async function reconcileContradictions(db, userId, options = {}) {
+  try {
+    const { beliefs, state } = await loadBeliefGraph(db, userId);
+    const active = beliefs.filter(isActive);
+    const maxPairs = options.maxPairs || MAX_RECONCILE_PAIRS;
+
+    const linked = (a, b) => (a.edges || []).some(e => e.from === b.id) || (b.edges || []).some(e => e.from === a.id);
+    const vectors = active.map(b => embedLocal(b.content));
+    const candidates = [];
+    for (let i = 0; i < active.length; i++) {
+      for (let j = i + 1; j < active.length; j++) {
+        if (linked(active[i], active[j])) continue;
+        const similarity = cosineSimilarity(vectors[i], vectors[j]);
+        if (similarity >= MIN_RECONCILE_SIMILARITY) candidates.push({ a: active[i], b: active[j], similarity });
+      }
+    }
+    const pairs = candidates.sort((x, y) => y.similarity - x.similarity).slice(0, maxPairs);
+
+    const judged = await judgePairs(pairs.map(p => ({ premise: p.a.content, hypothesis: p.b.content })), { judge: options.judge });
+    const found = pairs
+      .map((p, i) => ({ ...p, judgment: judged[i] }))
+      .filter(p => p.judgment.relation === 'contradict' && p.judgment.score >= CONTRADICTION_SCORE);
+
+    if (found.length > 0) {
+      const now = new Date().toISOString();
+      const current = new Map(beliefs.map(b => [b.id, b]));
+      const originals = new Map();
+      for (const { a, b, judgment } of found) {
+        for (const [self, other] of [[a, b], [b, a]]) {
+          const belief = current.get(self.id);
+          if (!originals.has(self.id)) originals.set(self.id, belief);
+          const edges = self === b ? [...(belief.edges || []), { from: a.id, type: 'contradicts', at: now }] : belief.edges || [];
+          current.set(self.id, {
+            ...belief,
+            edges,
+            contradictions: [...(belief.contradictions || []), contradictionEntry(other.id, other.content, judgment, now)].slice(-MAX_REVISION_HISTORY)
           });
-          break;
         }
       }
+
+      const changes = [...originals.entries()].map(([id, before]) => ({ before, after: nextVersion(before, current.get(id)) }));
+      const allBeliefs = beliefs.map(b => changes.find(c => c.after.id === b.id)?.after || b);
+      await commitChanges(db, userId, changes, {
+        action: 'reconcile',
+        pairsJudged: pairs.length,
+        contradictionsFound: found.length
+      }, allBeliefs, state);
     }
-  }
 
-  return contradictions;
+    console.log(`[MindcloneBeliefs] Reconciliation judged ${pairs.length} pairs, found ${found.length} contradictions`);
+
+    return {
+      success: true,
+      pairsJudged: pairs.length,
+      contradictions: found.map(({ a, b, judgment }) => ({
+        beliefIds: [a.id, b.id],
+        contents: [a.content, b.content],
+        confidences: [a.confidence, b.confidence],
+        ...toJudgmentRecord(judgment)
+      }))
+    };
+  } catch (error) {
+    console.error(`[MindcloneBeliefs] Error reconciling beliefs:`, error.message);
+    return { success: false, error: error.message, contradictions: [] };
+  }
 }
 
 /**
@@ -495,33 +1051,6 @@ function getConfidenceLabel(confidence) {
   return 'uncertain';
 }
 
-/**
- * Find similar belief in array
- * @param {Array} beliefs - Array of beliefs
- * @param {string} content - Content to match
- * @returns {number} - Index of similar belief or -1
- */
-function findSimilarBelief(beliefs, content) {
-  const contentLower = content.toLowerCase();
-  const contentWords = new Set(contentLower.split(/\s+/).filter(w => w.length > 3));
-
-  for (let i = 0; i < beliefs.length; i++) {
-    const beliefLower = beliefs[i].content.toLowerCase();
-    const beliefWords = new Set(beliefLower.split(/\s+/).filter(w => w.length > 3));
-
-    // Calculate Jaccard similarity
-    const intersection = [...contentWords].filter(w => beliefWords.has(w)).length;
-    const union = new Set([...contentWords, ...beliefWords]).size;
-    const similarity = intersection / union;
-
-    if (similarity > 0.5) {
-      return i;
-    }
-  }
-
-  return -1;
-}
-
 /**
  * Calculate overall model confidence
  * @param {Array} beliefs - Array of beliefs
@@ -544,11 +1073,20 @@ function calculateModelConfidence(beliefs) {
 }
 
 module.exports = {
+  EDGE_TYPES,
   loadMindcloneBeliefs,
   getDefaultBeliefState,
   formBelief,
   reviseBelief,
   getBeliefs,
   detectContradictions,
-  formatBeliefsForPrompt
+  reconcileContradictions,
+  formatBeliefsForPrompt,
+  getBeliefGraph,
+  linkBeliefs,
+  unlinkBeliefs,
+  setBeliefArchived,
+  getBeliefHistory,
+  getBeliefsAt,
+  rollbackRevision
 };
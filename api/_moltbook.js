@@ -3,6 +3,7 @@
 
 const path = require('path');
 const fs = require('fs');
+const { complete } = require('./_llm');
 
 const MOLTBOOK_API_BASE = 'https://www.moltbook.com/api/v1';
 const REQUEST_TIMEOUT = 10000; // 10 second timeout
@@ -12,8 +13,7 @@ const REQUEST_TIMEOUT = 10000; // 10 second timeout
  * Challenges are garbled math problems like "tWeNtY-tHrEe tIiMeS fIvE"
  */
 async function solveChallenge(challengeText) {
-  const claudeApiKey = process.env.ANTHROPIC_API_KEY;
-  if (!claudeApiKey) {
+  if (!process.env.ANTHROPIC_API_KEY) {
     console.log('[Moltbook Challenge] No ANTHROPIC_API_KEY, cannot solve challenge');
     return null;
   }
@@ -21,28 +21,20 @@ async function solveChallenge(challengeText) {
   try {
     console.log(`[Moltbook Challenge] Solving: "${challengeText}"`);
 
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': claudeApiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-haiku-4-5-20251001',
-        max_tokens: 100,
-        system: 'You are a math challenge solver. The user will give you garbled text that contains a math problem. The text uses random capitalization, repeated letters, split words, and random punctuation to disguise the numbers and operation. Your job: 1) Clean up the text to find the numbers and operation. 2) Compute the answer. 3) Reply with ONLY the numeric answer formatted to 2 decimal places (e.g. "115.00"). Nothing else.',
-        messages: [{ role: 'user', content: challengeText }]
-      })
-    });
+    const result = await complete({
+      max_tokens: 100,
+      messages: [
+        { role: 'system', content: 'You are a math challenge solver. The user will give you garbled text that contains a math problem. The text uses random capitalization, repeated letters, split words, and random punctuation to disguise the numbers and operation. Your job: 1) Clean up the text to find the numbers and operation. 2) Compute the answer. 3) Reply with ONLY the numeric answer formatted to 2 decimal places (e.g. "115.00"). Nothing else.' },
+        { role: 'user', content: challengeText }
+      ]
+    }, { providers: ['claude'], models: { claude: 'claude-haiku-4-5-20251001' }, minimalFallback: false, label: 'moltbook-challenge' });
 
-    if (!response.ok) {
-      console.log(`[Moltbook Challenge] Claude API error: ${response.status}`);
+    if (!result.ok) {
+      console.log(`[Moltbook Challenge] Claude API error: ${result.error}`);
       return null;
     }
 
-    const data = await response.json();
-    const answer = (data.content || []).map(c => c.text).join('').trim();
+    const answer = (result.data.choices[0].message.content || '').trim();
     console.log(`[Moltbook Challenge] Answer: "${answer}"`);
 
     // Validate it looks like a number
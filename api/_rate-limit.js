@@ -0,0 +1,278 @@
+// Shared token-bucket rate limiting
+// Each limit is a bucket of `capacity` tokens refilled continuously at `perHour` tokens
+// per hour; a request takes one token from every bucket it is checked against, and is
+// refused (nothing taken) if any of them is empty. Buckets are keyed by what they
+// protect — a visitor, an IP, an owner's link — so one request can be held to all three.
+//
+// Storage is pluggable like the LLM and embedding registries: Firestore (rateLimits/{key},
+// shared by every instance) by default, or in-memory via RATE_LIMIT_STORE=memory for
+// local runs.
+//
+// Owners can tune the caps on their public link (linkSettings/config.limits) and set a
+// daily spend ceiling; public chat stops answering once the day's model cost reaches it.
+
+const { admin } = require('./_firebase-admin');
+
+// Defaults — { capacity, perHour }
+const LIMITS = {
+  chatVisitor: { capacity: 50, perHour: 50 },      // one visitor on one link
+  chatIp: { capacity: 120, perHour: 120 },         // one IP across all links
+  chatLink: { capacity: 1000, perHour: 1000 },     // all visitors of one owner's link
+  discoverIp: { capacity: 100, perHour: 100 },
+  ttsIp: { capacity: 60, perHour: 60 },            // public link voice mode
+  ttsUser: { capacity: 300, perHour: 300 },        // signed-in owner
+  whisperUser: { capacity: 60, perHour: 60 },
+  usernameCheckIp: { capacity: 30, perHour: 300 }  // bursts of typing, refills fast
+};
+
+// Bounds for owner-configurable link limits
+const OWNER_LIMIT_BOUNDS = {
+  visitorPerHour: { min: 1, max: 500, default: LIMITS.chatVisitor.perHour },
+  linkPerHour: { min: 10, max: 10000, default: LIMITS.chatLink.perHour },
+  dailySpendUsd: { min: 0.1, max: 1000, default: 5 }
+};
+
+function getDayKey(now = Date.now()) {
+  return new Date(now).toISOString().substring(0, 10);
+}
+
+function sanitizeKey(key) {
+  return String(key).replace(/[/\s]+/g, '_').substring(0, 300);
+}
+
+// Refill a bucket state to `now` and try to take `cost` tokens
+function takeFromBucket(state, { capacity, perHour }, now, cost) {
+  const refillPerMs = perHour / 3600000;
+  const elapsed = state ? Math.max(0, now - state.updatedAt) : 0;
+  const tokens = state ? Math.min(capacity, state.tokens + elapsed * refillPerMs) : capacity;
+
+  if (tokens >= cost) {
+    return { allowed: true, tokens: tokens - cost, retryAfterSeconds: 0 };
+  }
+  return { allowed: false, tokens, retryAfterSeconds: Math.max(1, Math.ceil((cost - tokens) / refillPerMs / 1000)) };
+}
+
+// Apply takeFromBucket to a set of buckets; all-or-nothing
+function takeAll(states, buckets, now) {
+  const results = buckets.map((bucket, i) => takeFromBucket(states[i], bucket, now, bucket.cost || 1));
+  const blocked = results
+    .map((result, i) => ({ ...result, key: buckets[i].key }))
+    .filter(r => !r.allowed)
+    .sort((a, b) => b.retryAfterSeconds - a.retryAfterSeconds);
+
+  return {
+    allowed: blocked.length === 0,
+    retryAfterSeconds: blocked[0]?.retryAfterSeconds || 0,
+    blockedBy: blocked[0]?.key || null,
+    remaining: Math.floor(Math.min(...results.map(r => r.tokens))),
+    writes: blocked.length === 0 ? results.map(r => ({ tokens: r.tokens, updatedAt: now })) : null
+  };
+}
+
+// ===================== STORES =====================
+
+const stores = {};
+
+/**
+ * Register (or replace) a rate limit store
+ * @param {string} name - Store name (RATE_LIMIT_STORE env picks one)
+ * @param {Object} store
+ * @param {Function} store.take - (buckets, now) => Promise<{ allowed, retryAfterSeconds, blockedBy, remaining }>
+ * @param {Function} store.add - (key, amount) => Promise<void>, accumulate a counter (daily spend)
+ * @param {Function} store.read - (key) => Promise<number>, current counter value
+ */
+function registerRateLimitStore(name, store) {
+  stores[name] = store;
+}
+
+const memoryBuckets = new Map();
+const memoryCounters = new Map();
+
+registerRateLimitStore('memory', {
+  take: async (buckets, now) => {
+    const outcome = takeAll(buckets.map(b => memoryBuckets.get(b.key)), buckets, now);
+    if (outcome.writes) buckets.forEach((b, i) => memoryBuckets.set(b.key, outcome.writes[i]));
+    return outcome;
+  },
+  add: async (key, amount) => {
+    memoryCounters.set(key, (memoryCounters.get(key) || 0) + amount);
+  },
+  read: async (key) => memoryCounters.get(key) || 0
+});
+
+registerRateLimitStore('firestore', {
+  take: async (buckets, now) => {
+    const db = admin.firestore();
+    const refs = buckets.map(b => db.collection('rateLimits').doc(sanitizeKey(b.key)));
+
+    return db.runTransaction(async (transaction) => {
+      const snapshots = await Promise.all(refs.map(ref => transaction.get(ref)));
+      const states = snapshots.map(snap => {
+        const data = snap.exists ? snap.data() : null;
+        // Docs from the old timestamp-array limiter have no bucket state — start full
+        return data && typeof data.tokens === 'number' ? data : null;
+      });
+
+      const outcome = takeAll(states, buckets, now);
+      if (outcome.writes) {
+        refs.forEach((ref, i) => transaction.set(ref, {
+          ...outcome.writes[i],
+          lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+        }));
+      }
+      return outcome;
+    });
+  },
+  add: async (key, amount) => {
+    await admin.firestore().collection('rateLimits').doc(sanitizeKey(key)).set({
+      value: admin.firestore.FieldValue.increment(amount),
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+  },
+  read: async (key) => {
+    const doc = await admin.firestore().collection('rateLimits').doc(sanitizeKey(key)).get();
+    return doc.exists ? (doc.data().value || 0) : 0;
+  }
+});
+
+function getStore() {
+  return stores[process.env.RATE_LIMIT_STORE] || stores.firestore;
+}
+
+// ===================== LIMITS =====================
+
+/**
+ * Take one token from each bucket, or none if any bucket is empty
+ * @param {Object[]} buckets - { key, capacity, perHour, cost? } — spread a LIMITS entry and add a key
+ * @returns {Promise<{ allowed: boolean, retryAfterSeconds: number, blockedBy: string|null, remaining: number }>}
+ */
+async function consume(buckets) {
+  const { writes, ...outcome } = await getStore().take(buckets, Date.now());
+  if (!outcome.allowed) {
+    console.log(`[RateLimit] Blocked by ${outcome.blockedBy}, retry in ${outcome.retryAfterSeconds}s`);
+  }
+  return outcome;
+}
+
+/**
+ * Best-effort client IP (first X-Forwarded-For hop on Vercel)
+ * @param {Object} req - Request
+ * @returns {string}
+ */
+function getClientIp(req) {
+  return req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
+    req.headers['x-real-ip'] ||
+    req.connection?.remoteAddress ||
+    'unknown';
+}
+
+/**
+ * Answer 429 with Retry-After
+ * @param {Object} res - Response
+ * @param {Object} outcome - consume() result, or { retryAfterSeconds }
+ * @param {string} message - Shown to the caller
+ */
+function sendRateLimited(res, outcome, message) {
+  res.setHeader('Retry-After', String(outcome.retryAfterSeconds || 60));
+  return res.status(429).json({
+    success: false,
+    error: 'rate_limit_exceeded',
+    message,
+    retryAfter: outcome.retryAfterSeconds || 60
+  });
+}
+
+/**
+ * Owner's limits for their public link, clamped to OWNER_LIMIT_BOUNDS
+ * @param {Object} [configured] - linkSettings/config.limits
+ * @returns {{ visitorPerHour: number, linkPerHour: number, dailySpendUsd: number }}
+ */
+function resolveOwnerLimits(configured = {}) {
+  const limits = {};
+  for (const [name, bounds] of Object.entries(OWNER_LIMIT_BOUNDS)) {
+    const value = Number(configured?.[name]);
+    limits[name] = Number.isFinite(value) && value > 0
+      ? Math.min(bounds.max, Math.max(bounds.min, value))
+      : bounds.default;
+  }
+  return limits;
+}
+
+/**
+ * Validate owner-submitted link limits (for link settings)
+ * @param {Object} limits - { visitorPerHour?, linkPerHour?, dailySpendUsd? }
+ * @returns {{ success: boolean, limits?: Object, error?: string }}
+ */
+function validateOwnerLimits(limits) {
+  if (!limits || typeof limits !== 'object') {
+    return { success: false, error: 'limits must be an object' };
+  }
+  const clean = {};
+  for (const [name, value] of Object.entries(limits)) {
+    const bounds = OWNER_LIMIT_BOUNDS[name];
+    if (!bounds) {
+      return { success: false, error: `Unknown limit: ${name}` };
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < bounds.min || value > bounds.max) {
+      return { success: false, error: `${name} must be a number between ${bounds.min} and ${bounds.max}` };
+    }
+    clean[name] = value;
+  }
+  return { success: true, limits: clean };
+}
+
+/**
+ * Check every public-chat limit for one message: visitor, IP, the owner's link, and
+ * the owner's daily spend ceiling
+ * @param {Object} params
+ * @param {string} params.ownerId - Link owner
+ * @param {string} params.visitorId
+ * @param {string} params.ip
+ * @param {Object} [params.ownerLimits] - linkSettings/config.limits
+ * @returns {Promise<{ allowed: boolean, retryAfterSeconds: number, reason: string|null }>}
+ */
+async function checkPublicChatLimits({ ownerId, visitorId, ip, ownerLimits = {} }) {
+  const limits = resolveOwnerLimits(ownerLimits);
+
+  const spent = await getStore().read(`spend_${ownerId}_${getDayKey()}`);
+  if (spent >= limits.dailySpendUsd) {
+    const midnight = new Date();
+    midnight.setUTCHours(24, 0, 0, 0);
+    console.log(`[RateLimit] Link ${ownerId} reached its daily ceiling ($${spent.toFixed(4)} of $${limits.dailySpendUsd})`);
+    return { allowed: false, retryAfterSeconds: Math.ceil((midnight.getTime() - Date.now()) / 1000), reason: 'daily_spend' };
+  }
+
+  const outcome = await consume([
+    { key: `chat_visitor_${ownerId}_${visitorId}`, capacity: limits.visitorPerHour, perHour: limits.visitorPerHour },
+    { key: `chat_ip_${ip}`, ...LIMITS.chatIp },
+    { key: `chat_link_${ownerId}`, capacity: limits.linkPerHour, perHour: limits.linkPerHour }
+  ]);
+  return {
+    allowed: outcome.allowed,
+    retryAfterSeconds: outcome.retryAfterSeconds,
+    reason: outcome.allowed ? null : outcome.blockedBy.split('_').slice(0, 2).join('_')
+  };
+}
+
+/**
+ * Add a public chat's model cost to the owner's daily spend
+ * @param {string} ownerId - Link owner
+ * @param {number} costUsd
+ */
+async function recordLinkSpend(ownerId, costUsd) {
+  if (!costUsd || costUsd <= 0) return;
+  await getStore().add(`spend_${ownerId}_${getDayKey()}`, costUsd);
+}
+
+module.exports = {
+  LIMITS,
+  OWNER_LIMIT_BOUNDS,
+  consume,
+  getClientIp,
+  sendRateLimited,
+  resolveOwnerLimits,
+  validateOwnerLimits,
+  checkPublicChatLimits,
+  recordLinkSpend,
+  registerRateLimitStore
+};
@@ -0,0 +1,555 @@
+// Reminders - time-based (optionally recurring) reminders created from chat
+// "remind me to call the investor on Tuesday at 10" becomes a reminder that the reminders cron
+// delivers in-app and over WhatsApp when it's due. Times are parsed from natural language in
+// the owner's timezone; recurring reminders reschedule themselves after each delivery.
+// Replying DONE or SNOOZE (e.g. "snooze 2h", "snooze until tomorrow") on WhatsApp acts on the
+// most recently delivered reminder — see handleReminderReply().
+//
+// Storage: reminders/{id} (top-level, so the cron can find due reminders across users with a
+// single-field range query on nextFireAt — no composite index)
+//   { userId, text, timezone, locale, recurrence, status, occurrenceAt, snoozedUntil, nextFireAt,
+//     awaitingReply, lastFiredAt, fireCount, source, createdAt, updatedAt }
+//   status       — 'scheduled' | 'fired' (one-off delivered, not yet marked done) | 'done' | 'cancelled'
+//   occurrenceAt — next regular occurrence (null once a one-off has fired)
+//   nextFireAt   — earliest of occurrenceAt / snoozedUntil; null when nothing is pending
+
+const {
+  DEFAULT_TIMEZONE,
+  DEFAULT_LOCALE,
+  getUserLocale,
+  zonedParts,
+  zonedTimeToUtc,
+  addLocalDays,
+  formatInZone
+} = require('./_user-locale');
+
+const DEFAULT_HOUR = 9;                  // "Tuesday" with no time means Tuesday morning
+const DEFAULT_SNOOZE_MINUTES = 60;
+const REPLY_WINDOW_HOURS = 12;           // DONE/SNOOZE applies to reminders delivered this recently
+const MAX_TEXT_LENGTH = 500;
+const MAX_ACTIVE_REMINDERS = 100;
+const MAX_RECURRENCE_STEPS = 2000;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const TIME_OF_DAY = { morning: 9, noon: 12, afternoon: 14, evening: 18, tonight: 20, night: 21, midnight: 0, eod: 18 };
+const FREQUENCIES = ['daily', 'weekdays', 'weekly', 'monthly', 'yearly'];
+
+function getRemindersRef(db) {
+  return db.collection('reminders');
+}
+
+/**
+ * Human-readable time in the owner's timezone, e.g. "Tue, Oct 21, 10:00 AM"
+ * @param {number|string} at - ms or ISO string
+ * @param {string} timezone
+ * @param {string} [locale]
+ * @returns {string}
+ */
+function formatReminderTime(at, timezone, locale = DEFAULT_LOCALE) {
+  return formatInZone(at, { timezone, locale }, 'short');
+}
+
+// ===================== PARSING =====================
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, ten: 10, fifteen: 15, twenty: 20, thirty: 30, 'a couple of': 2, 'a few': 3 };
+
+function parseAmount(word) {
+  if (/^\d+(\.\d+)?$/.test(word)) return parseFloat(word);
+  return NUMBER_WORDS[word] ?? null;
+}
+
+function unitMs(unit) {
+  if (/^m(in(ute)?s?)?$/.test(unit)) return MINUTE_MS;
+  if (/^h((ou)?rs?|ours?)?$/.test(unit)) return HOUR_MS;
+  if (/^d(ays?)?$/.test(unit)) return DAY_MS;
+  if (/^w((ee)?ks?)?$/.test(unit)) return 7 * DAY_MS;
+  return null;
+}
+
+// "5pm", "5:30 pm", "17:00", "noon", "evening" -> { hour, minute }
+function parseTimeOfDay(text) {
+  let match = text.match(/\b(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)/);
+  if (match) {
+    let hour = parseInt(match[1], 10) % 12;
+    if (match[3].startsWith('p')) hour += 12;
+    return { hour, minute: parseInt(match[2] || '0', 10), matched: match[0] };
+  }
+  match = text.match(/\b(?:at\s+)?([01]?\d|2[0-3]):([0-5]\d)\b/);
+  if (match) {
+    return { hour: parseInt(match[1], 10), minute: parseInt(match[2], 10), matched: match[0] };
+  }
+  match = text.match(/\bat\s+(\d{1,2})\b(?!\s*(?:st|nd|rd|th|\/))/);
+  if (match && parseInt(match[1], 10) <= 23) {
+    // "at 5" with no am/pm: assume the afternoon for 1-7, as people do
+    const hour = parseInt(match[1], 10);
+    return { hour: hour >= 1 && hour <= 7 ? hour + 12 : hour, minute: 0, matched: match[0] };
+  }
+  if (/\b(end of (the )?day|eod)\b/.test(text)) return { hour: TIME_OF_DAY.eod, minute: 0, matched: 'eod' };
+  for (const [word, hour] of Object.entries(TIME_OF_DAY)) {
+    if (new RegExp(`\\b${word}\\b`).test(text)) return { hour, minute: 0, matched: word };
+  }
+  return null;
+}
+
+// "today", "tomorrow", "tuesday", "next friday", "oct 21", "21st october", "2026-10-21" -> { year, month, day }
+function parseDate(text, now, timezone) {
+  const today = zonedParts(now, timezone);
+
+  let match = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (match) return { year: +match[1], month: +match[2], day: +match[3] };
+
+  if (/\bday after tomorrow\b/.test(text)) return { ...today, day: today.day + 2 };
+  if (/\b(tomorrow|tmrw|tmr)\b/.test(text)) return { ...today, day: today.day + 1 };
+  if (/\b(today|tonight|this (morning|afternoon|evening))\b/.test(text)) return { ...today };
+
+  const weekday = WEEKDAYS.findIndex(d => new RegExp(`\\b${d.substring(0, 3)}(${d.substring(3)})?\\b`).test(text));
+  if (weekday !== -1) {
+    if (/\bnext week\b/.test(text)) {
+      // "tuesday next week" - that day in the week starting next Monday
+      const nextMonday = (8 - today.weekday) % 7 || 7;
+      return { ...today, day: today.day + nextMonday + (weekday + 6) % 7 };
+    }
+    let ahead = (weekday - today.weekday + 7) % 7;
+    if (ahead === 0 && !/\b(this|today)\b/.test(text)) ahead = 7;
+    return { ...today, day: today.day + ahead };
+  }
+
+  if (/\bnext week\b/.test(text)) {
+    // Monday of next week
+    return { ...today, day: today.day + ((8 - today.weekday) % 7 || 7) };
+  }
+
+  const monthPattern = MONTHS.map(m => `${m.substring(0, 3)}(?:${m.substring(3)})?`).join('|');
+  match = text.match(new RegExp(`\\b(${monthPattern})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?![:.]\\d|\\s*[ap]\\.?m\\b)`))
+    || text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${monthPattern})\\b`));
+  if (match) {
+    const [monthWord, dayStr] = /^\d/.test(match[1]) ? [match[2], match[1]] : [match[1], match[2]];
+    const month = MONTHS.findIndex(m => m.startsWith(monthWord.substring(0, 3))) + 1;
+    const day = parseInt(dayStr, 10);
+    const passed = month < today.month || (month === today.month && day < today.day);
+    return { year: today.year + (passed ? 1 : 0), month, day };
+  }
+
+  return null;
+}
+
+/**
+ * Parse when a reminder is due from natural language, relative to now in the owner's timezone.
+ * Understands "in 2 hours", "tomorrow at 9", "Tuesday 10am", "next friday evening", "Oct 21",
+ * "5:30pm", and ISO timestamps (without an offset they're read as the owner's local time).
+ * @param {string} text
+ * @param {Object} options - { now (ms), timezone }
+ * @returns {{ at: number } | { error: string }}
+ */
+function parseWhen(text, { now = Date.now(), timezone = DEFAULT_TIMEZONE } = {}) {
+  const input = String(text || '').trim().toLowerCase();
+  if (!input) return { error: 'When should I remind you?' };
+
+  // ISO timestamp, with or without an offset
+  const iso = input.match(/^(\d{4})-(\d{2})-(\d{2})[t ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?(z|[+-]\d{2}:?\d{2})?$/);
+  if (iso) {
+    const at = iso[6]
+      ? Date.parse(input.toUpperCase().replace(' ', 'T'))
+      : zonedTimeToUtc({ year: +iso[1], month: +iso[2], day: +iso[3], hour: +iso[4], minute: +iso[5] }, timezone);
+    return at > now ? { at } : { error: 'That time has already passed' };
+  }
+
+  // Relative: "in 20 minutes", "in an hour", "in 3 days", "in half an hour"
+  if (/\bin half an? hour\b/.test(input)) return { at: now + 30 * MINUTE_MS };
+  const relative = input.match(/\b(?:in|after)\s+(\d+(?:\.\d+)?|an?|one|two|three|four|five|six|ten|fifteen|twenty|thirty|a couple of|a few)\s*(minutes?|mins?|m|hours?|hrs?|h|days?|d|weeks?|wks?|w)\b/);
+  if (relative) {
+    const amount = parseAmount(relative[1]);
+    const unit = unitMs(relative[2]);
+    if (amount && unit) {
+      // "in 3 days at 5pm" keeps the stated time of day
+      const time = unit >= DAY_MS ? parseTimeOfDay(input) : null;
+      if (!time) return { at: now + Math.round(amount * unit) };
+      const target = zonedParts(now + Math.round(amount * unit), timezone);
+      return { at: zonedTimeToUtc({ ...target, hour: time.hour, minute: time.minute }, timezone) };
+    }
+  }
+
+  const date = parseDate(input, now, timezone);
+  const time = parseTimeOfDay(input);
+  if (!date && !time) {
+    return { error: `I couldn't work out when "${text}" is — try something like "tomorrow at 9am" or "in 2 hours"` };
+  }
+
+  if (!date) {
+    // Time only: today if it's still ahead, otherwise tomorrow
+    const today = zonedParts(now, timezone);
+    let at = zonedTimeToUtc({ ...today, hour: time.hour, minute: time.minute }, timezone);
+    if (at <= now) at = addLocalDays(at, 1, timezone);
+    return { at };
+  }
+
+  const at = zonedTimeToUtc({ ...date, hour: time ? time.hour : DEFAULT_HOUR, minute: time ? time.minute : 0 }, timezone);
+  if (at <= now) return { error: 'That time has already passed — when exactly?' };
+  return { at };
+}
+
+/**
+ * Parse a recurrence rule: "daily", "every weekday", "every monday and thursday", "weekly",
+ * "every 2 weeks", "monthly", "every year". Returns null for one-off reminders.
+ * @param {string} text
+ * @returns {{ freq, interval, byWeekday? } | null | { error: string }}
+ */
+function parseRecurrence(text) {
+  const input = String(text || '').trim().toLowerCase();
+  if (!input || /^(none|once|no|never|one[- ]off)$/.test(input)) return null;
+
+  if (/\b(every ?day|daily|each day)\b/.test(input)) return { freq: 'daily', interval: 1 };
+  if (/\b(every weekday|weekdays|each weekday|mon(day)?\s*(-|to)\s*fri(day)?)\b/.test(input)) return { freq: 'weekdays', interval: 1 };
+
+  const days = WEEKDAYS.map((d, i) => new RegExp(`\\b${d.substring(0, 3)}(${d.substring(3)})?s?\\b`).test(input) ? i : -1).filter(i => i !== -1);
+  if (days.length > 0) return { freq: 'weekly', interval: 1, byWeekday: days };
+
+  const every = input.match(/\bevery\s+(\d+|other|two|three|four|six)\s+(days?|weeks?|months?|years?)\b/);
+  if (every) {
+    const interval = every[1] === 'other' ? 2 : parseAmount(every[1]);
+    const freq = { day: 'daily', week: 'weekly', month: 'monthly', year: 'yearly' }[every[2].replace(/s$/, '')];
+    return { freq, interval };
+  }
+
+  if (/\b(weekly|every week|each week)\b/.test(input)) return { freq: 'weekly', interval: 1 };
+  if (/\b(monthly|every month|each month)\b/.test(input)) return { freq: 'monthly', interval: 1 };
+  if (/\b(yearly|annually|every year|each year)\b/.test(input)) return { freq: 'yearly', interval: 1 };
+
+  return { error: `I don't understand the repeat "${text}" — try "daily", "every weekday", "every Monday" or "monthly"` };
+}
+
+/**
+ * The first occurrence of a rule strictly after `afterMs`, on the grid anchored at `anchorMs`
+ * (same local time of day; weekly rules with byWeekday use any of those days)
+ * @param {Object} rule - { freq, interval, byWeekday? }
+ * @param {number} afterMs
+ * @param {number} anchorMs
+ * @param {string} timezone
+ * @returns {number|null}
+ */
+function nextOccurrence(rule, afterMs, anchorMs, timezone) {
+  const anchor = zonedParts(anchorMs, timezone);
+  const interval = Math.max(1, rule.interval || 1);
+  const at = (offset) => {
+    if (rule.freq === 'monthly' || rule.freq === 'yearly') {
+      const months = offset * interval * (rule.freq === 'yearly' ? 12 : 1);
+      const lastDay = new Date(Date.UTC(anchor.year, anchor.month - 1 + months + 1, 0)).getUTCDate();
+      return zonedTimeToUtc({ ...anchor, month: anchor.month + months, day: Math.min(anchor.day, lastDay) }, timezone);
+    }
+    return zonedTimeToUtc({ ...anchor, day: anchor.day + offset }, timezone);
+  };
+  const matches = (offset) => {
+    const weekday = (anchor.weekday + offset) % 7;
+    if (rule.freq === 'daily') return offset % interval === 0;
+    if (rule.freq === 'weekdays') return weekday >= 1 && weekday <= 5;
+    if (rule.freq === 'weekly' && rule.byWeekday?.length) {
+      return rule.byWeekday.includes(weekday) && Math.floor(offset / 7) % interval === 0;
+    }
+    if (rule.freq === 'weekly') return offset % (7 * interval) === 0;
+    return true;
+  };
+
+  // Jump close to `afterMs` instead of walking from the anchor day by day
+  const calendar = rule.freq === 'monthly' || rule.freq === 'yearly';
+  let offset = calendar ? 0 : Math.max(0, Math.floor((afterMs - anchorMs) / DAY_MS) - 1);
+  if (!calendar && rule.freq === 'weekly') offset -= offset % (7 * interval);
+  for (let steps = 0; steps < MAX_RECURRENCE_STEPS; steps++, offset++) {
+    if (!matches(offset)) continue;
+    const candidate = at(offset);
+    if (candidate > afterMs) return candidate;
+  }
+  return null;
+}
+
+function describeRecurrence(rule) {
+  if (!rule) return null;
+  const every = (unit) => rule.interval > 1 ? `every ${rule.interval} ${unit}s` : `every ${unit}`;
+  switch (rule.freq) {
+    case 'daily': return every('day');
+    case 'weekdays': return 'every weekday';
+    case 'weekly':
+      if (rule.byWeekday?.length) {
+        const names = rule.byWeekday.map(d => WEEKDAYS[d][0].toUpperCase() + WEEKDAYS[d].substring(1));
+        return `${rule.interval > 1 ? `every ${rule.interval} weeks on` : 'every'} ${names.join(', ')}`;
+      }
+      return every('week');
+    case 'monthly': return every('month');
+    case 'yearly': return every('year');
+    default: return null;
+  }
+}
+
+// ===================== REMINDERS =====================
+
+function nextFireAtOf({ occurrenceAt, snoozedUntil }) {
+  const times = [occurrenceAt, snoozedUntil].filter(Boolean).sort();
+  return times[0] || null;
+}
+
+function serializeReminder(id, data) {
+  return {
+    id,
+    text: data.text,
+    status: data.status,
+    nextFireAt: data.nextFireAt || null,
+    nextFireAtLocal: data.nextFireAt ? formatReminderTime(data.nextFireAt, data.timezone, data.locale) : null,
+    recurrence: data.recurrence || null,
+    repeats: describeRecurrence(data.recurrence),
+    timezone: data.timezone,
+    lastFiredAt: data.lastFiredAt || null,
+    fireCount: data.fireCount || 0,
+    createdAt: data.createdAt || null
+  };
+}
+
+/**
+ * Create a reminder from chat
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @param {Object} params - { text, when, recurrence?, source? }
+ *   when       — natural language or ISO ("Tuesday 10am", "in 2 hours"); may itself say "every Monday at 9"
+ *   recurrence — optional natural-language repeat ("daily", "every weekday", "every Monday")
+ * @returns {Promise<Object>} - { success, reminder } or { success: false, error }
+ */
+async function createReminder(db, userId, { text, when, recurrence = null, source = 'chat' } = {}) {
+  const content = String(text || '').trim();
+  if (!content) return { success: false, error: 'What should I remind you about?' };
+  if (content.length > MAX_TEXT_LENGTH) return { success: false, error: `Keep reminders under ${MAX_TEXT_LENGTH} characters` };
+
+  const active = await getRemindersRef(db).where('userId', '==', userId).get();
+  if (active.docs.filter(d => ['scheduled', 'fired'].includes(d.data().status)).length >= MAX_ACTIVE_REMINDERS) {
+    return { success: false, error: `You already have ${MAX_ACTIVE_REMINDERS} active reminders — cancel some first` };
+  }
+
+  const { timezone, locale } = await getUserLocale(db, userId);
+  const now = Date.now();
+
+  // The repeat can come separately or inside `when` ("every monday at 9am")
+  const recurrenceText = recurrence || (/\b(every|daily|weekly|monthly|yearly|weekdays|each)\b/i.test(when || '') ? when : null);
+  const rule = parseRecurrence(recurrenceText);
+  if (rule?.error) return { success: false, error: rule.error };
+
+  let occurrenceAt;
+  if (rule) {
+    // Anchor on the stated time (today's date if none); the first occurrence is the next one on the grid
+    const parsed = parseWhen(when, { now, timezone });
+    const time = parseTimeOfDay(String(when || '').toLowerCase());
+    const today = zonedParts(now, timezone);
+    const anchor = parsed.at || zonedTimeToUtc({ ...today, hour: time ? time.hour : DEFAULT_HOUR, minute: time ? time.minute : 0 }, timezone);
+    occurrenceAt = anchor > now && rule.freq !== 'weekdays' && !rule.byWeekday ? anchor : nextOccurrence(rule, now, anchor, timezone);
+  } else {
+    const parsed = parseWhen(when, { now, timezone });
+    if (parsed.error) return { success: false, error: parsed.error };
+    occurrenceAt = parsed.at;
+  }
+  if (!occurrenceAt) return { success: false, error: "I couldn't find when that would next happen" };
+
+  const nowIso = new Date(now).toISOString();
+  const data = {
+    userId,
+    text: content,
+    timezone,
+    locale,
+    recurrence: rule,
+    status: 'scheduled',
+    occurrenceAt: new Date(occurrenceAt).toISOString(),
+    snoozedUntil: null,
+    nextFireAt: new Date(occurrenceAt).toISOString(),
+    awaitingReply: false,
+    lastFiredAt: null,
+    fireCount: 0,
+    source,
+    createdAt: nowIso,
+    updatedAt: nowIso
+  };
+  const ref = await getRemindersRef(db).add(data);
+
+  console.log(`[Reminders] Created ${ref.id} for ${userId} at ${data.nextFireAt}${rule ? ` (${describeRecurrence(rule)})` : ''}`);
+  return { success: true, reminder: serializeReminder(ref.id, data) };
+}
+
+/**
+ * The owner's reminders, soonest first
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @param {Object} [options] - { includeInactive=false } — also list done and cancelled reminders
+ * @returns {Promise<Array<Object>>}
+ */
+async function listReminders(db, userId, { includeInactive = false } = {}) {
+  const snapshot = await getRemindersRef(db).where('userId', '==', userId).get();
+  return snapshot.docs
+    .filter(d => includeInactive || ['scheduled', 'fired'].includes(d.data().status))
+    .map(d => serializeReminder(d.id, d.data()))
+    .sort((a, b) => (a.nextFireAt || '9999').localeCompare(b.nextFireAt || '9999') || (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+/**
+ * Cancel a reminder by id, or by matching its text
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @param {Object} params - { reminderId?, query? }
+ * @returns {Promise<Object>} - { success, reminder } | { success: false, error, matches? }
+ */
+async function cancelReminder(db, userId, { reminderId = null, query = null } = {}) {
+  let target = null;
+
+  if (reminderId) {
+    const doc = await getRemindersRef(db).doc(reminderId).get();
+    if (!doc.exists || doc.data().userId !== userId) return { success: false, error: 'Reminder not found' };
+    target = doc;
+  } else if (query) {
+    const needle = String(query).toLowerCase();
+    const snapshot = await getRemindersRef(db).where('userId', '==', userId).get();
+    const matches = snapshot.docs.filter(d => ['scheduled', 'fired'].includes(d.data().status) && d.data().text.toLowerCase().includes(needle));
+    if (matches.length === 0) return { success: false, error: `No active reminder matches "${query}"` };
+    if (matches.length > 1) {
+      return { success: false, error: 'More than one reminder matches — which one?', matches: matches.map(d => serializeReminder(d.id, d.data())) };
+    }
+    target = matches[0];
+  } else {
+    return { success: false, error: 'reminderId or query is required' };
+  }
+
+  const data = target.data();
+  if (['done', 'cancelled'].includes(data.status)) return { success: false, error: `Reminder is already ${data.status}` };
+
+  const updates = { status: 'cancelled', nextFireAt: null, snoozedUntil: null, awaitingReply: false, updatedAt: new Date().toISOString() };
+  await target.ref.update(updates);
+  console.log(`[Reminders] Cancelled ${target.id} for ${userId}`);
+  return { success: true, reminder: serializeReminder(target.id, { ...data, ...updates }) };
+}
+
+// ===================== DELIVERY =====================
+
+/**
+ * Reminders due now across all users, oldest first
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {Object} [options] - { limit=50 }
+ * @returns {Promise<Array<FirebaseFirestore.QueryDocumentSnapshot>>}
+ */
+async function findDueReminders(db, { limit = 50 } = {}) {
+  const snapshot = await getRemindersRef(db)
+    .where('nextFireAt', '<=', new Date().toISOString())
+    .orderBy('nextFireAt', 'asc')
+    .limit(limit)
+    .get();
+  return snapshot.docs;
+}
+
+/**
+ * Advance a due reminder past this firing, atomically — a reminder two overlapping cron runs
+ * both see is only claimed (and so delivered) once.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} reminderId
+ * @returns {Promise<Object|null>} - the reminder as it was when claimed, or null if someone else got it
+ */
+async function claimDueReminder(db, reminderId) {
+  const ref = getRemindersRef(db).doc(reminderId);
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    if (!doc.exists) return null;
+    const data = doc.data();
+    const now = Date.now();
+    if (!data.nextFireAt || Date.parse(data.nextFireAt) > now || data.status !== 'scheduled') return null;
+
+    const updates = { lastFiredAt: new Date(now).toISOString(), fireCount: (data.fireCount || 0) + 1, awaitingReply: true, updatedAt: new Date(now).toISOString() };
+    if (data.snoozedUntil && Date.parse(data.snoozedUntil) <= now) {
+      updates.snoozedUntil = null;
+    }
+    if (data.occurrenceAt && Date.parse(data.occurrenceAt) <= now) {
+      // Recurring: move to the next occurrence after now (missed ones are skipped, not replayed)
+      const next = data.recurrence ? nextOccurrence(data.recurrence, now, Date.parse(data.occurrenceAt), data.timezone) : null;
+      updates.occurrenceAt = next ? new Date(next).toISOString() : null;
+    }
+    const pending = { occurrenceAt: updates.occurrenceAt !== undefined ? updates.occurrenceAt : data.occurrenceAt, snoozedUntil: updates.snoozedUntil !== undefined ? updates.snoozedUntil : data.snoozedUntil };
+    updates.nextFireAt = nextFireAtOf(pending);
+    if (!updates.nextFireAt) updates.status = 'fired';
+
+    tx.update(ref, updates);
+    return { id: doc.id, ...data, ...updates };
+  });
+}
+
+function formatReminderMessage(reminder) {
+  const repeat = reminder.recurrence && reminder.nextFireAt
+    ? `\n(${describeRecurrence(reminder.recurrence)} — next: ${formatReminderTime(reminder.nextFireAt, reminder.timezone, reminder.locale)})`
+    : '';
+  return `⏰ Reminder: ${reminder.text}${repeat}\n\nReply DONE, or SNOOZE (e.g. "snooze 1h", "snooze until tomorrow").`;
+}
+
+// ===================== REPLIES (DONE / SNOOZE) =====================
+
+/**
+ * If a WhatsApp message is a DONE/SNOOZE reply to a reminder delivered in the last
+ * REPLY_WINDOW_HOURS, apply it and return the confirmation to send back. Anything else
+ * returns null so the message goes to chat as usual.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @param {string} message
+ * @returns {Promise<string|null>}
+ */
+async function handleReminderReply(db, userId, message) {
+  const input = String(message || '').trim().toLowerCase().replace(/[.!]+$/, '');
+  const done = /^(done|✅|did it|finished|completed?|mark(ed)? (it )?done)$/.test(input);
+  const snooze = input.match(/^(?:snooze|remind me again|later)(?:\s+(?:for|until|till|til|to)?\s*(.+))?$/);
+  if (!done && !snooze) return null;
+
+  const snapshot = await getRemindersRef(db).where('userId', '==', userId).get();
+  const cutoff = Date.now() - REPLY_WINDOW_HOURS * HOUR_MS;
+  const target = snapshot.docs
+    .filter(d => d.data().awaitingReply && Date.parse(d.data().lastFiredAt || '') >= cutoff)
+    .sort((a, b) => b.data().lastFiredAt.localeCompare(a.data().lastFiredAt))[0];
+  if (!target) return null;
+
+  const data = target.data();
+  const nowIso = new Date().toISOString();
+
+  if (done) {
+    const updates = data.recurrence && data.occurrenceAt
+      ? { awaitingReply: false, lastDoneAt: nowIso, updatedAt: nowIso }
+      : { awaitingReply: false, status: 'done', snoozedUntil: null, nextFireAt: null, lastDoneAt: nowIso, updatedAt: nowIso };
+    await target.ref.update(updates);
+    console.log(`[Reminders] ${target.id} marked done by ${userId}`);
+    return updates.status === 'done'
+      ? `✅ Done: ${data.text}`
+      : `✅ Done for now. Next reminder: ${formatReminderTime(data.occurrenceAt, data.timezone, data.locale)}`;
+  }
+
+  // Snooze: "snooze" alone = 1h; "30m"/"2 hours" are durations; anything else is a time ("tomorrow", "5pm")
+  const arg = (snooze[1] || '').trim();
+  let until;
+  if (!arg) {
+    until = { at: Date.now() + DEFAULT_SNOOZE_MINUTES * MINUTE_MS };
+  } else {
+    until = /^\d|^(an?|half)\b/.test(arg) ? parseWhen(`in ${arg}`, { timezone: data.timezone }) : parseWhen(arg, { timezone: data.timezone });
+    if (until.error) until = parseWhen(arg, { timezone: data.timezone });
+  }
+  if (until.error) return `I couldn't tell when to snooze until — try "snooze 1h" or "snooze until tomorrow 9am".`;
+
+  const snoozedUntil = new Date(until.at).toISOString();
+  const nextFireAt = nextFireAtOf({ occurrenceAt: data.occurrenceAt, snoozedUntil });
+  await target.ref.update({ awaitingReply: false, status: 'scheduled', snoozedUntil, nextFireAt, updatedAt: nowIso });
+  console.log(`[Reminders] ${target.id} snoozed by ${userId} until ${snoozedUntil}`);
+  return `😴 Snoozed until ${formatReminderTime(snoozedUntil, data.timezone, data.locale)}: ${data.text}`;
+}
+
+module.exports = {
+  FREQUENCIES,
+  formatReminderTime,
+  parseWhen,
+  parseRecurrence,
+  nextOccurrence,
+  describeRecurrence,
+  createReminder,
+  listReminders,
+  cancelReminder,
+  findDueReminders,
+  claimDueReminder,
+  formatReminderMessage,
+  handleReminderReply
+};
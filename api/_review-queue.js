@@ -0,0 +1,501 @@
+// Owner review queue for changes the mindclone makes on its own
+// The DMN heartbeat (memory consolidation, belief reconciliation, reflection, Umwelt revision)
+// and public-chat tool calls (save_memory, update_mental_model) submit their writes here
+// instead of applying them directly. In 'auto' mode (the default) they are applied at once,
+// exactly as before. In 'review' mode they wait in a pending queue, with a diff, until the
+// owner approves, edits or rejects them — unless an auto-approve rule matches.
+//
+// Storage:
+//   users/{userId}/settings/review          { mode: 'auto'|'review', rules: [...], digest: {...} }
+//   users/{userId}/pendingChanges/{id}      one queued change:
+//     kind       — 'memory' | 'belief_form' | 'belief_revise' | 'mental_model' | 'umwelt'
+//     source     — who proposed it (e.g. 'dmn-consolidation', 'public-chat')
+//     targetId   — the user document the write goes to (a visitor_… id for public-chat changes)
+//     payload    — the arguments the write will be made with (editable before approval)
+//     diff       — { before, after } for the owner to review
+//     status     — 'pending' | 'applying' | 'approved' | 'auto_approved' | 'rejected' | 'failed'
+//                  ('applying' is claimed in a transaction before the write, so a change is
+//                  never applied twice by concurrent approvals. A claim older than
+//                  APPLY_LEASE_MINUTES was cut off by a crash or timeout: it reads as pending
+//                  again, flagged interrupted, for the owner to re-approve or reject.)
+// Rules: [{ source?, kind?, minConfidence? }] — a change matching every field given in any
+// rule is applied straight away and logged as 'auto_approved'.
+
+const { admin } = require('./_firebase-admin');
+const { createMemory } = require('./_memories');
+const { formBelief, reviseBelief } = require('./_mindclone-beliefs');
+const { updateMentalModel } = require('./_mental-model');
+const { saveUmwelt } = require('./_inner-life');
+const { queueWhatsApp } = require('./_whatsapp');
+
+const REVIEW_MODES = ['auto', 'review'];
+const CHANGE_KINDS = ['memory', 'belief_form', 'belief_revise', 'mental_model', 'umwelt'];
+const CHANGE_STATUSES = ['pending', 'applying', 'approved', 'auto_approved', 'rejected', 'failed'];
+const MAX_RULES = 20;
+const MAX_BULK = 100;
+const MAX_PAGE_SIZE = 200;
+const SCAN_PAGE_SIZE = 200;
+const DIGEST_INTERVAL_HOURS = 24;
+const APPLY_LEASE_MINUTES = 5;     // well past the 60s function timeout
+const DIGEST_MAX_ITEMS = 5;
+
+// Payload fields the owner may change before approving
+const EDITABLE_FIELDS = {
+  memory: ['content', 'category', 'importance'],
+  belief_form: ['content', 'type', 'confidence'],
+  belief_revise: ['direction', 'magnitude', 'newEvidence'],
+  mental_model: ['content', 'confidence', 'status', 'role', 'sentiment', 'priority'],
+  umwelt: ['selfConcept', 'values', 'drives', 'worldview', 'relationships', 'preferences', 'currentConcerns']
+};
+
+function getSettingsRef(db, userId) {
+  return db.collection('users').doc(userId).collection('settings').doc('review');
+}
+
+function getQueueRef(db, userId) {
+  return db.collection('users').doc(userId).collection('pendingChanges');
+}
+
+function toISO(timestamp) {
+  return timestamp?.toDate?.()?.toISOString() || null;
+}
+
+// An 'applying' claim past its lease never finished (the function died mid-apply)
+function isStaleClaim(data) {
+  if (data.status !== 'applying') return false;
+  const claimedAt = Date.parse(data.applyingAt || '');
+  return !claimedAt || Date.now() - claimedAt > APPLY_LEASE_MINUTES * 60 * 1000;
+}
+
+// Status as the owner sees it: interrupted claims are back to pending
+function effectiveStatus(data) {
+  return isStaleClaim(data) ? 'pending' : data.status;
+}
+
+function serializeChange(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    kind: data.kind,
+    source: data.source,
+    targetId: data.targetId,
+    summary: data.summary || '',
+    confidence: data.confidence ?? null,
+    payload: data.payload || {},
+    diff: data.diff || null,
+    status: effectiveStatus(data),
+    interrupted: isStaleClaim(data),
+    edited: !!data.edited,
+    result: data.result || null,
+    error: data.error || null,
+    createdAt: toISO(data.createdAt),
+    reviewedAt: toISO(data.reviewedAt)
+  };
+}
+
+// ===================== SETTINGS =====================
+
+/**
+ * Review settings with defaults filled in
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The owner
+ * @returns {Promise<Object>} - { mode, rules, digest: { enabled, lastSentAt } }
+ */
+async function getReviewSettings(db, userId) {
+  const doc = await getSettingsRef(db, userId).get();
+  const data = doc.exists ? doc.data() : {};
+  return {
+    mode: REVIEW_MODES.includes(data.mode) ? data.mode : 'auto',
+    rules: Array.isArray(data.rules) ? data.rules : [],
+    digest: { enabled: data.digest?.enabled !== false, lastSentAt: data.digest?.lastSentAt || null }
+  };
+}
+
+function cleanRule(rule) {
+  if (!rule || typeof rule !== 'object') return null;
+  const clean = {};
+  if (rule.source) clean.source = String(rule.source).substring(0, 50);
+  if (rule.kind) {
+    if (!CHANGE_KINDS.includes(rule.kind)) return null;
+    clean.kind = rule.kind;
+  }
+  if (rule.minConfidence !== undefined && rule.minConfidence !== null) {
+    const min = Number(rule.minConfidence);
+    if (!Number.isFinite(min) || min < 0 || min > 1) return null;
+    clean.minConfidence = min;
+  }
+  return Object.keys(clean).length > 0 ? clean : null;
+}
+
+/**
+ * Change the approval mode, auto-approve rules or digest preference
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The owner
+ * @param {Object} changes - { mode?, rules?, digestEnabled? }
+ * @returns {Promise<Object>} - { success, settings } or { success: false, error }
+ */
+async function updateReviewSettings(db, userId, { mode, rules, digestEnabled } = {}) {
+  const updates = {};
+
+  if (mode !== undefined) {
+    if (!REVIEW_MODES.includes(mode)) {
+      return { success: false, error: `Mode must be one of: ${REVIEW_MODES.join(', ')}` };
+    }
+    updates.mode = mode;
+  }
+
+  if (rules !== undefined) {
+    if (!Array.isArray(rules) || rules.length > MAX_RULES) {
+      return { success: false, error: `Rules must be an array of at most ${MAX_RULES} rules` };
+    }
+    const cleaned = rules.map(cleanRule);
+    if (cleaned.some(r => r === null)) {
+      return { success: false, error: `Each rule needs at least one of source, kind (${CHANGE_KINDS.join(', ')}) or minConfidence (0-1)` };
+    }
+    updates.rules = cleaned;
+  }
+
+  if (digestEnabled !== undefined) {
+    updates['digest.enabled'] = !!digestEnabled;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return { success: false, error: 'Nothing to update' };
+  }
+
+  const ref = getSettingsRef(db, userId);
+  const doc = await ref.get();
+  if (doc.exists) {
+    await ref.update(updates);
+  } else {
+    // update() with a dotted path needs an existing document
+    const { 'digest.enabled': enabled, ...rest } = updates;
+    await ref.set({ ...rest, ...(enabled !== undefined ? { digest: { enabled } } : {}) });
+  }
+
+  console.log(`[Review] Updated review settings for ${userId}: ${Object.keys(updates).join(', ')}`);
+  return { success: true, settings: await getReviewSettings(db, userId) };
+}
+
+function matchesRule(rule, change) {
+  if (rule.source && rule.source !== change.source) return false;
+  if (rule.kind && rule.kind !== change.kind) return false;
+  if (rule.minConfidence !== undefined) {
+    if (typeof change.confidence !== 'number' || change.confidence < rule.minConfidence) return false;
+  }
+  return true;
+}
+
+// ===================== APPLYING CHANGES =====================
+// Each kind knows how to make its write; results are stored on the queue entry.
+
+const APPLIERS = {
+  memory: async (db, targetId, payload) => {
+    const memoryId = await createMemory(db, targetId, payload);
+    return { success: true, memoryId };
+  },
+  belief_form: (db, targetId, payload) => formBelief(db, targetId, payload),
+  belief_revise: (db, targetId, payload) => reviseBelief(db, targetId, payload),
+  mental_model: (db, targetId, payload) => updateMentalModel(db, targetId, payload),
+  umwelt: (db, targetId, payload, change) => saveUmwelt(db, targetId, payload, {
+    source: change.source,
+    changeId: change.id || null
+  })
+};
+
+async function applyChange(db, change) {
+  try {
+    const result = await APPLIERS[change.kind](db, change.targetId, change.payload, change);
+    return result?.success === false
+      ? { success: false, error: result.error || 'Change could not be applied' }
+      : { success: true, result: result || null };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Firestore rejects undefined fields anywhere in a document
+function clean(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Submit an autonomous change: applied now (auto mode, or an auto-approve rule matches)
+ * or queued for the owner's review
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The owner whose clone this is
+ * @param {Object} change
+ * @param {string} change.kind - One of CHANGE_KINDS
+ * @param {string} change.source - Who proposed it, e.g. 'dmn-consolidation'
+ * @param {Object} change.payload - Arguments for the write
+ * @param {string} [change.summary] - One line for the review list and digest
+ * @param {number} [change.confidence] - 0-1, matched against rules' minConfidence
+ * @param {Object} [change.diff] - { before, after } shown to the owner
+ * @param {string} [change.targetId] - User document to write to (default: userId)
+ * @returns {Promise<Object>} - { applied: true, result } | { queued: true, changeId } | { applied: false, error }
+ */
+async function submitChange(db, userId, change) {
+  if (!CHANGE_KINDS.includes(change.kind)) {
+    throw new Error(`Unknown change kind: ${change.kind}`);
+  }
+
+  const entry = {
+    kind: change.kind,
+    source: change.source,
+    targetId: change.targetId || userId,
+    summary: (change.summary || '').substring(0, 300),
+    confidence: typeof change.confidence === 'number' ? change.confidence : null,
+    payload: change.payload,
+    diff: change.diff || null
+  };
+
+  const settings = await getReviewSettings(db, userId);
+  const autoRule = settings.mode === 'review' ? settings.rules.find(rule => matchesRule(rule, entry)) : null;
+
+  if (settings.mode === 'auto' || autoRule) {
+    const outcome = await applyChange(db, entry);
+    if (autoRule) {
+      // Logged so the owner can see what their rules let through
+      await getQueueRef(db, userId).add({
+        ...clean({
+          ...entry,
+          status: outcome.success ? 'auto_approved' : 'failed',
+          rule: autoRule,
+          result: outcome.result || null,
+          error: outcome.error || null
+        }),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        reviewedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+    return outcome.success ? { applied: true, result: outcome.result } : { applied: false, error: outcome.error };
+  }
+
+  const ref = await getQueueRef(db, userId).add({
+    ...clean(entry),
+    status: 'pending',
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  console.log(`[Review] Queued ${entry.kind} from ${entry.source} for ${userId}: ${ref.id}`);
+  return { queued: true, changeId: ref.id };
+}
+
+// ===================== REVIEW =====================
+
+/**
+ * List queued changes, newest first. Filters are applied while scanning so no composite
+ * Firestore index is needed.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The owner
+ * @param {Object} [options]
+ * @param {string} [options.status='pending']
+ * @param {string} [options.kind]
+ * @param {string} [options.source]
+ * @param {number} [options.limit=50]
+ * @param {string} [options.cursor] - nextCursor from the previous page
+ * @returns {Promise<Object>} - { changes, nextCursor }
+ */
+async function listChanges(db, userId, { status = 'pending', kind = null, source = null, limit = 50, cursor = null } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE);
+  const queueRef = getQueueRef(db, userId);
+
+  let startAfter = null;
+  if (cursor) {
+    startAfter = await queueRef.doc(cursor).get();
+    if (!startAfter.exists) throw new Error('Invalid cursor');
+  }
+
+  const changes = [];
+  let lastScanned = null;
+  let exhausted = false;
+
+  while (changes.length < pageSize && !exhausted) {
+    let query = queueRef.orderBy('createdAt', 'desc').limit(SCAN_PAGE_SIZE);
+    if (lastScanned || startAfter) query = query.startAfter(lastScanned || startAfter);
+    const snapshot = await query.get();
+
+    for (const doc of snapshot.docs) {
+      lastScanned = doc;
+      const data = doc.data();
+      if ((!status || effectiveStatus(data) === status) && (!kind || data.kind === kind) && (!source || data.source === source)) {
+        changes.push(serializeChange(doc));
+      }
+      if (changes.length >= pageSize) break;
+    }
+    exhausted = snapshot.docs.length < SCAN_PAGE_SIZE;
+  }
+
+  return {
+    changes,
+    nextCursor: changes.length >= pageSize ? lastScanned.id : null
+  };
+}
+
+/**
+ * Edit a pending change's payload (only the fields in EDITABLE_FIELDS for its kind)
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The owner
+ * @param {string} changeId
+ * @param {Object} edits - Payload fields to replace
+ * @returns {Promise<Object>} - { success, change } or { success: false, error }
+ */
+async function editChange(db, userId, changeId, edits) {
+  const ref = getQueueRef(db, userId).doc(changeId);
+  const doc = await ref.get();
+  if (!doc.exists) return { success: false, error: 'Change not found' };
+
+  const data = doc.data();
+  if (effectiveStatus(data) !== 'pending') return { success: false, error: `Change is already ${data.status}` };
+
+  const allowed = EDITABLE_FIELDS[data.kind] || [];
+  const fields = Object.keys(edits || {});
+  if (fields.length === 0) return { success: false, error: 'Nothing to edit' };
+  const rejected = fields.filter(f => !allowed.includes(f));
+  if (rejected.length > 0) {
+    return { success: false, error: `Can't edit ${rejected.join(', ')} on a ${data.kind} change (editable: ${allowed.join(', ')})` };
+  }
+
+  const payload = { ...data.payload, ...clean(edits) };
+  await ref.update({
+    payload,
+    originalPayload: data.originalPayload || data.payload,
+    edited: true,
+    diff: data.diff ? { ...data.diff, after: { ...(data.diff.after || {}), ...clean(edits) } } : null
+  });
+
+  return { success: true, change: serializeChange(await ref.get()) };
+}
+
+/**
+ * Approve or reject pending changes in bulk. Approved changes are applied in order;
+ * one failing doesn't stop the rest.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The owner
+ * @param {string[]} changeIds
+ * @param {string} decision - 'approve' | 'reject'
+ * @param {Object} [edits] - { [changeId]: payload edits } applied before approving
+ * @returns {Promise<Object>} - { success, results: [{ id, status, error? }] }
+ */
+async function reviewChanges(db, userId, changeIds, decision, edits = {}) {
+  if (!['approve', 'reject'].includes(decision)) {
+    return { success: false, error: "Decision must be 'approve' or 'reject'" };
+  }
+  if (!Array.isArray(changeIds) || changeIds.length === 0) {
+    return { success: false, error: 'ids must be a non-empty array' };
+  }
+  if (changeIds.length > MAX_BULK) {
+    return { success: false, error: `At most ${MAX_BULK} changes per request` };
+  }
+
+  const results = [];
+  for (const changeId of [...new Set(changeIds)]) {
+    if (decision === 'approve' && edits[changeId]) {
+      const edited = await editChange(db, userId, changeId, edits[changeId]);
+      if (!edited.success) {
+        results.push({ id: changeId, status: 'error', error: edited.error });
+        continue;
+      }
+    }
+
+    // Claim the change (pending → rejected / applying) so only one review acts on it;
+    // an interrupted claim (isStaleClaim) can be claimed again
+    const ref = getQueueRef(db, userId).doc(changeId);
+    const reviewedAt = admin.firestore.FieldValue.serverTimestamp();
+    const claim = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) return { error: 'Change not found' };
+      const data = doc.data();
+      if (effectiveStatus(data) !== 'pending') return { error: `Change is already ${data.status}` };
+      tx.update(ref, decision === 'reject'
+        ? { status: 'rejected', reviewedAt }
+        : { status: 'applying', applyingAt: new Date().toISOString() });
+      return { data };
+    });
+    if (claim.error) {
+      results.push({ id: changeId, status: 'error', error: claim.error });
+      continue;
+    }
+    const data = claim.data;
+
+    if (decision === 'reject') {
+      results.push({ id: changeId, status: 'rejected' });
+      continue;
+    }
+
+    const outcome = await applyChange(db, { ...data, id: changeId });
+    await ref.update({
+      status: outcome.success ? 'approved' : 'failed',
+      result: clean(outcome.result || null),
+      error: outcome.error || null,
+      reviewedAt
+    });
+    results.push(outcome.success
+      ? { id: changeId, status: 'approved', result: outcome.result || null }
+      : { id: changeId, status: 'failed', error: outcome.error });
+  }
+
+  const counts = results.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), {});
+  console.log(`[Review] ${decision} for ${userId}: ${JSON.stringify(counts)}`);
+  return { success: true, results };
+}
+
+// ===================== DIGEST =====================
+
+const KIND_LABELS = {
+  memory: 'memories',
+  belief_form: 'new beliefs',
+  belief_revise: 'belief revisions',
+  mental_model: 'mental model updates',
+  umwelt: 'identity (Umwelt) revisions'
+};
+
+/**
+ * Queue a WhatsApp digest of pending changes, at most once per DIGEST_INTERVAL_HOURS
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The owner
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Ignore the interval
+ * @returns {Promise<Object>} - { sent, pending, reason? }
+ */
+async function sendReviewDigest(db, userId, { force = false } = {}) {
+  const settings = await getReviewSettings(db, userId);
+  if (settings.mode !== 'review' || !settings.digest.enabled) {
+    return { sent: false, pending: 0, reason: 'disabled' };
+  }
+
+  const lastSent = settings.digest.lastSentAt ? Date.parse(settings.digest.lastSentAt) : 0;
+  if (!force && Date.now() - lastSent < DIGEST_INTERVAL_HOURS * 60 * 60 * 1000) {
+    return { sent: false, pending: 0, reason: 'too_soon' };
+  }
+
+  const { changes } = await listChanges(db, userId, { status: 'pending', limit: MAX_PAGE_SIZE });
+  if (changes.length === 0) {
+    return { sent: false, pending: 0, reason: 'nothing_pending' };
+  }
+
+  const byKind = {};
+  for (const change of changes) byKind[change.kind] = (byKind[change.kind] || 0) + 1;
+
+  const countLine = Object.entries(byKind).map(([kind, n]) => `${n} ${KIND_LABELS[kind] || kind}`).join(', ');
+  const lines = changes.slice(0, DIGEST_MAX_ITEMS).map(c => `• ${c.summary || KIND_LABELS[c.kind]}`);
+  const more = changes.length > DIGEST_MAX_ITEMS ? `\n…and ${changes.length - DIGEST_MAX_ITEMS} more` : '';
+  const message = `**Your mindclone has ${changes.length}${changes.length >= MAX_PAGE_SIZE ? '+' : ''} change${changes.length === 1 ? '' : 's'} waiting for review** (${countLine})\n\n${lines.join('\n')}${more}\n\nOpen the review queue in your dashboard to approve or reject them.`;
+
+  const queued = await queueWhatsApp(userId, message, 'review');
+  await getSettingsRef(db, userId).set({ digest: { enabled: true, lastSentAt: new Date().toISOString() } }, { merge: true });
+
+  return { sent: !!queued, pending: changes.length };
+}
+
+module.exports = {
+  REVIEW_MODES,
+  CHANGE_KINDS,
+  CHANGE_STATUSES,
+  getReviewSettings,
+  updateReviewSettings,
+  submitChange,
+  listChanges,
+  editChange,
+  reviewChanges,
+  sendReviewDigest
+};
@@ -0,0 +1,436 @@
+// Conversation threads for private chat
+// Threads live in users/{userId}/threads/{threadId}; their messages stay in the flat
+// users/{userId}/messages stream (memory index, export and the DMN all read it) and carry
+// a threadId field. Chat loads a thread's history from Firestore instead of trusting the
+// client's message array.
+//
+// Long threads are kept inside the context window by a rolling summary: once more than
+// SUMMARIZE_AFTER messages are unsummarized, the oldest ones are folded into
+// thread.summary and only the most recent KEEP_RECENT are sent to the model verbatim.
+// Title and summary generation are LLM calls, so they run after the reply has gone out
+// (registered with waitUntil, see _background.js).
+
+const { admin } = require('./_firebase-admin');
+const { generateText } = require('./_llm');
+const { removeFromIndex } = require('./_memory-index');
+const { runInBackground } = require('./_background');
+
+const DEFAULT_TITLE = 'New conversation';
+const MAX_TITLE_LENGTH = 100;
+const MAX_PAGE_SIZE = 100;
+const SCAN_PAGE_SIZE = 200;
+const MAX_SCAN = 2000;              // messages scanned per history load (other threads interleave)
+const MAX_HISTORY_MESSAGES = 80;    // unsummarized messages loaded per turn
+const SUMMARIZE_AFTER = 40;
+const KEEP_RECENT = 20;
+const MAX_SUMMARY_CHARS = 4000;
+const DELETE_BATCH_SIZE = 400;
+
+function getThreadsRef(db, userId) {
+  return db.collection('users').doc(userId).collection('threads');
+}
+
+function getMessagesRef(db, userId) {
+  return db.collection('users').doc(userId).collection('messages');
+}
+
+function toMillis(timestamp) {
+  if (!timestamp) return 0;
+  if (typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+  if (timestamp instanceof Date) return timestamp.getTime();
+  return 0;
+}
+
+function toISO(timestamp) {
+  return timestamp?.toDate?.()?.toISOString() || null;
+}
+
+function serializeThread(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    title: data.title || DEFAULT_TITLE,
+    archived: data.archived === true,
+    messageCount: data.messageCount || 0,
+    lastMessagePreview: data.lastMessagePreview || '',
+    hasSummary: !!data.summary,
+    createdAt: toISO(data.createdAt),
+    updatedAt: toISO(data.updatedAt)
+  };
+}
+
+function cleanTitle(title) {
+  return String(title || '').replace(/\s+/g, ' ').replace(/^["'\s]+|["'\s.]+$/g, '').substring(0, MAX_TITLE_LENGTH);
+}
+
+// First line of the opening message, cut at a word boundary
+function fallbackTitle(content) {
+  const firstLine = String(content || '').split('\n').find(line => line.trim()) || '';
+  const title = cleanTitle(firstLine);
+  if (title.length <= 60) return title || DEFAULT_TITLE;
+  return title.substring(0, 60).replace(/\s+\S*$/, '') + '…';
+}
+
+// ===================== CRUD =====================
+
+/**
+ * Create a thread
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {Object} [options]
+ * @param {string} [options.title] - Set by the owner; otherwise generated after the first turn
+ * @returns {Promise<Object>} - Serialized thread
+ */
+async function createThread(db, userId, { title = null } = {}) {
+  const ref = getThreadsRef(db, userId).doc();
+  const titleEdited = !!cleanTitle(title);
+  await ref.set({
+    title: titleEdited ? cleanTitle(title) : DEFAULT_TITLE,
+    titleEdited,
+    archived: false,
+    messageCount: 0,
+    lastMessagePreview: '',
+    summary: '',
+    summarizedThrough: null,
+    summarizedCount: 0,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  console.log(`[Threads] Created thread ${ref.id} for user ${userId}`);
+  return serializeThread(await ref.get());
+}
+
+/**
+ * List threads, most recently active first
+ * Archived threads are filtered while scanning so no composite Firestore index is needed.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {Object} [options]
+ * @param {boolean} [options.archived=false] - List archived threads instead of active ones
+ * @param {number} [options.limit=50]
+ * @param {string} [options.cursor] - nextCursor from the previous page
+ * @returns {Promise<Object>} - { threads, nextCursor }
+ */
+async function listThreads(db, userId, { archived = false, limit = 50, cursor = null } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE);
+  const threadsRef = getThreadsRef(db, userId);
+
+  let startAfter = null;
+  if (cursor) {
+    startAfter = await threadsRef.doc(cursor).get();
+    if (!startAfter.exists) throw new Error('Invalid cursor');
+  }
+
+  const threads = [];
+  let lastScanned = null;
+  let exhausted = false;
+
+  while (threads.length < pageSize && !exhausted) {
+    let query = threadsRef.orderBy('updatedAt', 'desc').limit(SCAN_PAGE_SIZE);
+    if (lastScanned || startAfter) query = query.startAfter(lastScanned || startAfter);
+    const snapshot = await query.get();
+
+    for (const doc of snapshot.docs) {
+      lastScanned = doc;
+      if ((doc.data().archived === true) === archived) threads.push(serializeThread(doc));
+      if (threads.length >= pageSize) break;
+    }
+    exhausted = snapshot.docs.length < SCAN_PAGE_SIZE;
+  }
+
+  return {
+    threads,
+    nextCursor: threads.length >= pageSize ? lastScanned.id : null
+  };
+}
+
+/**
+ * Get one thread with its most recent messages
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {string} threadId - Thread document ID
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - Messages to return (oldest first)
+ * @returns {Promise<Object|null>} - Thread plus messages and summary, or null if not found
+ */
+async function getThread(db, userId, threadId, { limit = 50 } = {}) {
+  const doc = await getThreadsRef(db, userId).doc(threadId).get();
+  if (!doc.exists) return null;
+
+  const messages = await scanThreadMessages(db, userId, threadId, {
+    limit: Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE),
+    since: doc.data().createdAt
+  });
+
+  return {
+    ...serializeThread(doc),
+    summary: doc.data().summary || '',
+    messages: messages.map(m => ({ id: m.id, role: m.role, content: m.content, timestamp: toISO(m.timestamp) }))
+  };
+}
+
+/**
+ * Rename and/or archive a thread
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {string} threadId - Thread document ID
+ * @param {Object} changes - { title?, archived? }
+ * @returns {Promise<Object>} - { success, thread, error }
+ */
+async function updateThread(db, userId, threadId, { title, archived } = {}) {
+  if (title === undefined && archived === undefined) {
+    return { success: false, error: 'Nothing to update (title or archived)' };
+  }
+  if (title !== undefined && (typeof title !== 'string' || !cleanTitle(title))) {
+    return { success: false, error: 'Title must be a non-empty string' };
+  }
+  if (archived !== undefined && typeof archived !== 'boolean') {
+    return { success: false, error: 'archived must be a boolean' };
+  }
+
+  const ref = getThreadsRef(db, userId).doc(threadId);
+  const doc = await ref.get();
+  if (!doc.exists) return { success: false, error: 'Thread not found' };
+
+  // updatedAt orders the thread list, so only the title/archive state changes here
+  const update = {};
+  if (title !== undefined) {
+    update.title = cleanTitle(title);
+    update.titleEdited = true;
+  }
+  if (archived !== undefined) {
+    update.archived = archived;
+    update.archivedAt = archived ? admin.firestore.FieldValue.serverTimestamp() : null;
+  }
+  await ref.update(update);
+
+  console.log(`[Threads] Updated thread ${threadId} for user ${userId}: ${Object.keys(update).join(', ')}`);
+  return { success: true, thread: serializeThread(await ref.get()) };
+}
+
+/**
+ * Delete a thread, its messages and their memory index entries
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {string} threadId - Thread document ID
+ * @returns {Promise<number|null>} - Messages deleted, or null if the thread didn't exist
+ */
+async function deleteThread(db, userId, threadId) {
+  const ref = getThreadsRef(db, userId).doc(threadId);
+  const doc = await ref.get();
+  if (!doc.exists) return null;
+
+  let deleted = 0;
+  while (true) {
+    const snapshot = await getMessagesRef(db, userId)
+      .where('threadId', '==', threadId)
+      .select()
+      .limit(DELETE_BATCH_SIZE)
+      .get();
+    if (snapshot.empty) break;
+
+    const batch = db.batch();
+    snapshot.docs.forEach(messageDoc => batch.delete(messageDoc.ref));
+    await batch.commit();
+    await Promise.all(snapshot.docs.map(messageDoc => removeFromIndex(db, userId, 'message', messageDoc.id)));
+    deleted += snapshot.docs.length;
+    if (snapshot.docs.length < DELETE_BATCH_SIZE) break;
+  }
+
+  await ref.delete();
+  console.log(`[Threads] Deleted thread ${threadId} (${deleted} messages) for user ${userId}`);
+  return deleted;
+}
+
+// ===================== HISTORY =====================
+
+// A thread's messages newer than `after`, oldest first. Scans the flat stream newest-first
+// and stops at the thread's start, at `after`, at `limit` matches or after MAX_SCAN docs.
+async function scanThreadMessages(db, userId, threadId, { limit = MAX_HISTORY_MESSAGES, since = null, after = null } = {}) {
+  const sinceMs = toMillis(since);
+  const afterMs = toMillis(after);
+  const matches = [];
+  let lastScanned = null;
+  let scanned = 0;
+
+  while (matches.length < limit && scanned < MAX_SCAN) {
+    let query = getMessagesRef(db, userId).orderBy('timestamp', 'desc').limit(SCAN_PAGE_SIZE);
+    if (lastScanned) query = query.startAfter(lastScanned);
+    const snapshot = await query.get();
+
+    let reachedStart = false;
+    for (const doc of snapshot.docs) {
+      lastScanned = doc;
+      scanned++;
+      const data = doc.data();
+      const time = toMillis(data.timestamp);
+      // Messages are written after their thread, so anything older can't belong to it
+      if ((sinceMs && time && time < sinceMs) || (afterMs && time && time <= afterMs)) {
+        reachedStart = true;
+        break;
+      }
+      if (data.threadId === threadId) {
+        matches.push({ id: doc.id, role: data.role, content: data.content, timestamp: data.timestamp });
+        if (matches.length >= limit) break;
+      }
+    }
+    if (reachedStart || snapshot.docs.length < SCAN_PAGE_SIZE) break;
+  }
+
+  return matches.reverse();
+}
+
+/**
+ * History for the next model call: the rolling summary plus the unsummarized messages
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {string} threadId - Thread document ID
+ * @returns {Promise<Object|null>} - { thread, summary, messages: [{ role, content }], unsummarized }, or
+ *   null if not found. unsummarized (with ids and timestamps) goes back to recordThreadTurn.
+ */
+async function loadThreadHistory(db, userId, threadId) {
+  const doc = await getThreadsRef(db, userId).doc(threadId).get();
+  if (!doc.exists) return null;
+  const data = doc.data();
+
+  const messages = await scanThreadMessages(db, userId, threadId, {
+    since: data.createdAt,
+    after: data.summarizedThrough
+  });
+
+  return {
+    thread: serializeThread(doc),
+    summary: data.summary || '',
+    messages: messages.map(m => ({ role: m.role, content: m.content })),
+    unsummarized: messages
+  };
+}
+
+function formatTranscript(messages) {
+  return messages
+    .filter(m => typeof m.content === 'string' && m.content.trim())
+    .map(m => `${m.role === 'assistant' ? 'Mindclone' : 'Owner'}: ${m.content.substring(0, 1500)}`)
+    .join('\n\n');
+}
+
+async function generateTitle(userMessage, assistantMessage) {
+  const prompt = `Give this conversation a short title (3-6 words, no quotes, no trailing punctuation).
+
+Owner: ${String(userMessage).substring(0, 1000)}
+
+Mindclone: ${String(assistantMessage || '').substring(0, 500)}
+
+Title:`;
+  try {
+    const title = cleanTitle((await generateText(null, prompt, { maxTokens: 30, temperature: 0.3, label: 'thread-title' })).split('\n')[0]);
+    if (title) return title;
+  } catch (error) {
+    console.error(`[Threads] Title generation failed, using first line: ${error.message}`);
+  }
+  return fallbackTitle(userMessage);
+}
+
+// Fold the oldest unsummarized messages into the rolling summary, keeping the last `keepRecent`
+async function summarizeThread(db, ref, data, messages, keepRecent = KEEP_RECENT) {
+  const older = messages.slice(0, messages.length - keepRecent);
+  const prompt = `You maintain a running summary of a long conversation between the owner and their Mindclone (their personal AI). Update the summary with the new messages below.
+
+Keep: facts the owner shared, decisions, open questions, tasks and promises, names, numbers and dates. Drop small talk. Write in third person ("The owner ..."), as compact bullet points, under ${Math.round(MAX_SUMMARY_CHARS / 5)} words.
+
+CURRENT SUMMARY:
+${data.summary || '(none yet)'}
+
+NEW MESSAGES:
+${formatTranscript(older)}
+
+UPDATED SUMMARY:`;
+
+  const summary = (await generateText(null, prompt, { maxTokens: 1200, temperature: 0.2, label: 'thread-summary' }))
+    .trim()
+    .substring(0, MAX_SUMMARY_CHARS);
+  if (!summary) throw new Error('empty summary');
+
+  // Overlapping turns can summarize the same messages: only the one that still sees the
+  // marker it started from advances it, so nothing is folded in twice
+  const applied = await db.runTransaction(async (tx) => {
+    const current = await tx.get(ref);
+    if (!current.exists || toMillis(current.data().summarizedThrough) !== toMillis(data.summarizedThrough)) return false;
+    tx.update(ref, {
+      summary,
+      summarizedThrough: older[older.length - 1].timestamp,
+      summarizedCount: admin.firestore.FieldValue.increment(older.length)
+    });
+    return true;
+  });
+  console.log(applied
+    ? `[Threads] Summarized ${older.length} messages of thread ${ref.id}`
+    : `[Threads] Summary of thread ${ref.id} already advanced by another turn, discarded`);
+}
+
+// Replace the first-line title with a generated one, unless the owner renamed it meanwhile
+async function refineTitle(ref, provisionalTitle, userMessage, assistantMessage) {
+  const title = await generateTitle(userMessage, assistantMessage);
+  if (title === provisionalTitle) return;
+  const current = (await ref.get()).data();
+  if (!current || current.titleEdited || current.title !== provisionalTitle) return;
+  await ref.update({ title });
+}
+
+/**
+ * Update a thread after a chat turn: counters, preview, the auto title on the first
+ * turn, and the rolling summary once enough messages are unsummarized
+ * The turn gets the first line of the owner's message as its title right away; the generated
+ * title and the summary are written in the background and don't hold up the reply. Their
+ * failures are logged and the summary is retried on a later turn.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - The user ID
+ * @param {string} threadId - Thread document ID
+ * @param {Object} turn - { userMessage, assistantMessage, messagesAdded, history }
+ *   history — loadThreadHistory's `unsummarized` from this turn (scanned again if omitted)
+ * @returns {Promise<Object|null>} - { title } after the update, or null if the thread is gone
+ */
+async function recordThreadTurn(db, userId, threadId, { userMessage = '', assistantMessage = '', messagesAdded = 2, history = null } = {}) {
+  const ref = getThreadsRef(db, userId).doc(threadId);
+  const doc = await ref.get();
+  if (!doc.exists) return null;
+  const data = doc.data();
+
+  const update = {
+    messageCount: admin.firestore.FieldValue.increment(messagesAdded),
+    lastMessagePreview: String(assistantMessage || userMessage).substring(0, 120),
+    archived: false, // writing to an archived thread brings it back
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+  const needsTitle = !data.titleEdited && (data.title || DEFAULT_TITLE) === DEFAULT_TITLE && userMessage;
+  if (needsTitle) update.title = fallbackTitle(userMessage);
+  await ref.update(update);
+
+  if (needsTitle) {
+    runInBackground(() => refineTitle(ref, update.title, userMessage, assistantMessage), `Title for thread ${threadId}`);
+  }
+
+  // This turn's messages are the newest, so they always fall inside the KEEP_RECENT tail
+  const summarize = async () => {
+    const messages = history || await scanThreadMessages(db, userId, threadId, {
+      since: data.createdAt,
+      after: data.summarizedThrough
+    });
+    const added = history ? messagesAdded : 0;
+    if (messages.length + added > SUMMARIZE_AFTER) {
+      await summarizeThread(db, ref, data, messages, Math.max(KEEP_RECENT - added, 0));
+    }
+  };
+  runInBackground(summarize, `Rolling summary for thread ${threadId}`);
+
+  return { title: update.title || data.title || DEFAULT_TITLE };
+}
+
+module.exports = {
+  createThread,
+  listThreads,
+  getThread,
+  updateThread,
+  deleteThread,
+  loadThreadHistory,
+  recordThreadTurn
+};
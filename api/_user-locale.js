@@ -0,0 +1,236 @@
+// User timezone & locale - one clock per owner for prompts, quiet hours, reminders, schedulers and exports
+// Stored on the user doc: users/{userId} { timezone, locale, localeSource }
+//   timezone     — IANA name ("Europe/London")
+//   locale       — BCP 47 tag ("en-GB")
+//   localeSource — 'auto' (detected from the browser) | 'manual' (set in settings; auto-detection won't overwrite it)
+// Users who never sent either get IST / en-US, which is what the app assumed before.
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const DEFAULT_LOCALE = 'en-US';
+
+const MINUTE_MS = 60 * 1000;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isValidLocale(locale) {
+  if (!locale || typeof locale !== 'string') return false;
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch (error) {
+    return false;
+  }
+}
+
+function normalizeLocale(locale) {
+  return isValidLocale(locale) ? Intl.getCanonicalLocales(locale)[0] : null;
+}
+
+// ===================== STORAGE =====================
+
+/**
+ * The owner's timezone and locale, with defaults filled in
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @returns {Promise<Object>} - { timezone, locale, source } — source is null when defaults were used
+ */
+async function getUserLocale(db, userId) {
+  const userDoc = await db.collection('users').doc(userId).get();
+  return localeFromUserData(userDoc.exists ? userDoc.data() : {});
+}
+
+/**
+ * Same as getUserLocale, for callers that already have the user doc
+ * @param {Object} userData - users/{userId} data
+ * @returns {Object} - { timezone, locale, source }
+ */
+function localeFromUserData(userData = {}) {
+  return {
+    timezone: isValidTimezone(userData.timezone) ? userData.timezone : DEFAULT_TIMEZONE,
+    locale: normalizeLocale(userData.locale) || DEFAULT_LOCALE,
+    source: userData.localeSource || null
+  };
+}
+
+/**
+ * The clock to use for one request: what the client reports, unless the owner set theirs by hand
+ * @param {Object} stored - from getUserLocale / localeFromUserData
+ * @param {Object} [detected] - { timezone, locale } sent by the client (may be missing or invalid)
+ * @returns {Object} - { timezone, locale }
+ */
+function resolveRequestLocale(stored, { timezone, locale } = {}) {
+  if (stored.source === 'manual') return { timezone: stored.timezone, locale: stored.locale };
+  return {
+    timezone: isValidTimezone(timezone) ? timezone : stored.timezone,
+    locale: normalizeLocale(locale) || stored.locale
+  };
+}
+
+/**
+ * Just the owner's timezone
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @returns {Promise<string>}
+ */
+async function getUserTimezone(db, userId) {
+  return (await getUserLocale(db, userId)).timezone;
+}
+
+/**
+ * Store the owner's timezone/locale. Auto-detected values never overwrite ones set by hand.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId
+ * @param {Object} values - { timezone?, locale? }
+ * @param {Object} [options] - { source: 'auto' | 'manual' }
+ * @returns {Promise<Object>} - { success, updated, timezone, locale, source } or { success: false, error }
+ */
+async function updateUserLocale(db, userId, { timezone, locale } = {}, { source = 'manual' } = {}) {
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    return { success: false, error: `Unknown timezone: ${timezone}` };
+  }
+  if (locale !== undefined && !isValidLocale(locale)) {
+    return { success: false, error: `Unknown locale: ${locale}` };
+  }
+  if (timezone === undefined && locale === undefined) {
+    return { success: false, error: 'timezone or locale is required' };
+  }
+
+  const current = await getUserLocale(db, userId);
+  if (source === 'auto' && current.source === 'manual') {
+    return { success: true, updated: false, ...current };
+  }
+
+  const updates = {};
+  if (timezone !== undefined && (timezone !== current.timezone || !current.source)) updates.timezone = timezone;
+  if (locale !== undefined && (normalizeLocale(locale) !== current.locale || !current.source)) updates.locale = normalizeLocale(locale);
+  if (Object.keys(updates).length === 0 && current.source === source) {
+    return { success: true, updated: false, ...current };
+  }
+
+  updates.localeSource = source;
+  await db.collection('users').doc(userId).set(updates, { merge: true });
+  if (updates.timezone || updates.locale) {
+    console.log(`[Locale] ${userId} now ${updates.timezone || current.timezone} / ${updates.locale || current.locale} (${source})`);
+  }
+  return { success: true, updated: true, ...(await getUserLocale(db, userId)) };
+}
+
+// ===================== WALL-CLOCK TIME =====================
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {number} ms
+ * @param {string} timezone
+ * @returns {{ year, month, day, hour, minute, weekday }} - month 1-12, weekday 0 (Sunday) - 6
+ */
+function zonedParts(ms, timezone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', weekday: 'long'
+  }).formatToParts(new Date(ms)).map(p => [p.type, p.value]));
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10) % 24,
+    minute: parseInt(parts.minute, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+function offsetAt(ms, timezone) {
+  const p = zonedParts(ms, timezone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(ms / MINUTE_MS) * MINUTE_MS;
+}
+
+/**
+ * Instant for a wall-clock time in a timezone. Day/month overflow is fine (day 32 = next month).
+ * @param {Object} parts - { year, month, day, hour?, minute? }
+ * @param {string} timezone
+ * @returns {number} - ms
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timezone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const firstGuess = asUtc - offsetAt(asUtc, timezone);
+  return asUtc - offsetAt(firstGuess, timezone);
+}
+
+function addLocalDays(ms, days, timezone) {
+  const p = zonedParts(ms, timezone);
+  return zonedTimeToUtc({ ...p, day: p.day + days }, timezone);
+}
+
+/**
+ * Local midnight at the start of the day containing `ms`
+ * @param {string} timezone
+ * @param {number} [ms=Date.now()]
+ * @returns {Date}
+ */
+function startOfLocalDay(timezone, ms = Date.now()) {
+  const p = zonedParts(ms, timezone);
+  return new Date(zonedTimeToUtc({ year: p.year, month: p.month, day: p.day }, timezone));
+}
+
+/**
+ * The next time the local clock shows `hour`:00 (strictly after `ms`)
+ * @param {number} hour - 0-23
+ * @param {string} timezone
+ * @param {number} [ms=Date.now()]
+ * @returns {Date}
+ */
+function nextLocalHour(hour, timezone, ms = Date.now()) {
+  const p = zonedParts(ms, timezone);
+  let at = zonedTimeToUtc({ ...p, hour, minute: 0 }, timezone);
+  if (at <= ms) at = addLocalDays(at, 1, timezone);
+  return new Date(at);
+}
+
+// ===================== FORMATTING =====================
+
+const DATE_STYLES = {
+  date: { year: 'numeric', month: 'long', day: 'numeric' },
+  longDate: { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' },
+  time: { hour: 'numeric', minute: '2-digit' },
+  dateTime: { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' },
+  short: { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }
+};
+
+/**
+ * Format an instant for the owner
+ * @param {Date|number|string} at
+ * @param {Object} prefs - { timezone, locale }
+ * @param {string} [style='dateTime'] - date | longDate | time | dateTime | short
+ * @returns {string}
+ */
+function formatInZone(at, { timezone = DEFAULT_TIMEZONE, locale = DEFAULT_LOCALE } = {}, style = 'dateTime') {
+  const date = at instanceof Date ? at : new Date(typeof at === 'string' ? Date.parse(at) : at);
+  return date.toLocaleString(locale, { timeZone: timezone, ...(DATE_STYLES[style] || DATE_STYLES.dateTime) });
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_LOCALE,
+  isValidTimezone,
+  isValidLocale,
+  getUserLocale,
+  localeFromUserData,
+  resolveRequestLocale,
+  getUserTimezone,
+  updateUserLocale,
+  zonedParts,
+  zonedTimeToUtc,
+  addLocalDays,
+  startOfLocalDay,
+  nextLocalHour,
+  formatInZone
+};
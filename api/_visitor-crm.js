@@ -0,0 +1,527 @@
+// Visitor CRM for public link conversations
+// Each visitor doc (users/{userId}/visitors/{visitorId}) doubles as a lead record:
+//   profile       — { name, company, email, role, intent, intentCategory } extracted from the
+//                   conversation; fields the owner edits are listed in lockedFields and never
+//                   overwritten by extraction
+//   status        — 'new' | 'qualified' | 'contacted' | 'closed'
+//   tags, notes   — owner-managed
+//   mergedInto    — set on a visitor merged into another (same person, different device);
+//                   the primary lists it in aliases and shows its messages
+//   language      — code of the language they last wrote in (_language.js)
+// chat.js records every public message here (recordVisitorMessage) and re-extracts the
+// profile on the visitor's 2nd message, every EXTRACT_EVERY after that, and whenever an
+// email address shows up.
+
+const crypto = require('crypto');
+const { admin } = require('./_firebase-admin');
+const { generateJSON } = require('./_llm');
+
+const LEAD_STATUSES = ['new', 'qualified', 'contacted', 'closed'];
+const INTENT_CATEGORIES = ['investor', 'customer', 'recruiter', 'partner', 'press', 'networking', 'other'];
+const PROFILE_FIELDS = ['name', 'company', 'email', 'role', 'intent', 'intentCategory'];
+const MAX_FIELD_LENGTH = 200;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_NOTE_LENGTH = 2000;
+const MAX_NOTES = 100;
+const MAX_PAGE_SIZE = 200;
+const SCAN_PAGE_SIZE = 200;
+const EXTRACT_EVERY = 5;            // visitor messages between extractions
+const EXTRACT_MESSAGES = 30;        // most recent messages read per extraction
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+
+function getVisitorsRef(db, userId) {
+  return db.collection('users').doc(userId).collection('visitors');
+}
+
+function toISO(timestamp) {
+  return timestamp?.toDate?.()?.toISOString() || null;
+}
+
+function toMillis(timestamp) {
+  return timestamp?.toMillis?.() || 0;
+}
+
+function serializeVisitor(doc) {
+  const data = doc.data();
+  return {
+    visitorId: doc.id,
+    profile: PROFILE_FIELDS.reduce((profile, field) => ({ ...profile, [field]: data.profile?.[field] || null }), {}),
+    lockedFields: data.lockedFields || [],
+    status: data.status || 'new',
+    tags: data.tags || [],
+    notes: data.notes || [],
+    messageCount: data.messageCount || 0,
+    lastMessage: data.lastMessage || null,
+    language: data.language || null,
+    aliases: data.aliases || [],
+    mergedInto: data.mergedInto || null,
+    firstVisit: toISO(data.firstVisit || data.lastVisit),
+    lastVisit: toISO(data.lastVisit),
+    profileUpdatedAt: toISO(data.profileUpdatedAt)
+  };
+}
+
+function cleanField(value) {
+  if (value === null || value === undefined) return null;
+  const clean = String(value).replace(/\s+/g, ' ').trim().substring(0, MAX_FIELD_LENGTH);
+  return clean && !/^(unknown|n\/a|none|null)$/i.test(clean) ? clean : null;
+}
+
+function cleanTags(tags) {
+  return [...new Set(tags.map(t => String(t).trim().toLowerCase().substring(0, MAX_TAG_LENGTH)).filter(Boolean))].slice(0, MAX_TAGS);
+}
+
+// ===================== MESSAGE BOOKKEEPING =====================
+
+/**
+ * Update a visitor's record for a new public message (creates the record on first visit)
+ * A visitor message that should trigger profile extraction marks the record; the reply
+ * that follows reports shouldExtract so extraction sees the whole exchange.
+ * Messages from a merged-away visitor also refresh the primary record.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Link owner
+ * @param {string} visitorId
+ * @param {Object} message - { role, content, language? } — language of a visitor message, if detected
+ * @returns {Promise<Object>} - { isNew, shouldExtract }
+ */
+async function recordVisitorMessage(db, userId, visitorId, { role, content, language = null }) {
+  const ref = getVisitorsRef(db, userId).doc(visitorId);
+  const doc = await ref.get();
+  const data = doc.exists ? doc.data() : {};
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const text = typeof content === 'string' ? content : '';
+
+  const update = {
+    lastVisit: now,
+    messageCount: admin.firestore.FieldValue.increment(1)
+  };
+  let shouldExtract = false;
+  if (role === 'user') {
+    const userMessageCount = (data.userMessageCount || 0) + 1;
+    update.userMessageCount = userMessageCount;
+    update.lastMessage = text.substring(0, 200);
+    if (language) update.language = language;
+    if (userMessageCount === 2 || userMessageCount % EXTRACT_EVERY === 0 || EMAIL_PATTERN.test(text)) {
+      update.extractPending = true;
+    }
+  } else if (data.extractPending) {
+    update.extractPending = false;
+    shouldExtract = true;
+  }
+
+  if (!doc.exists) {
+    await ref.set({ ...update, firstVisit: now, status: 'new', tags: [], notes: [] });
+  } else {
+    await ref.update(update);
+    if (data.mergedInto) {
+      await getVisitorsRef(db, userId).doc(data.mergedInto).update({
+        lastVisit: now,
+        messageCount: admin.firestore.FieldValue.increment(1),
+        ...(update.lastMessage !== undefined ? { lastMessage: update.lastMessage } : {}),
+        ...(update.language ? { language: update.language } : {})
+      });
+    }
+  }
+
+  return { isNew: !doc.exists, shouldExtract };
+}
+
+// ===================== PROFILE EXTRACTION =====================
+
+/**
+ * Extract the visitor's lead profile from their conversation and save it
+ * Fields the owner edited (lockedFields) are left alone; blanks never erase known values.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Link owner
+ * @param {string} visitorId
+ * @returns {Promise<Object|null>} - The saved profile, or null when there was nothing to read
+ */
+async function extractVisitorProfile(db, userId, visitorId) {
+  const ref = getVisitorsRef(db, userId).doc(visitorId);
+  const doc = await ref.get();
+  if (!doc.exists) return null;
+  const data = doc.data();
+
+  const snapshot = await ref.collection('messages').orderBy('timestamp', 'desc').limit(EXTRACT_MESSAGES).get();
+  const messages = snapshot.docs.map(d => d.data()).reverse()
+    .filter(m => typeof m.content === 'string' && m.content.trim());
+  if (!messages.some(m => m.role === 'user')) return null;
+
+  const transcript = messages
+    .map(m => `${m.role === 'user' ? 'Visitor' : 'Mindclone'}: ${m.content.substring(0, 800)}`)
+    .join('\n');
+
+  const systemPrompt = `You extract lead details from a conversation between a visitor and someone's AI representative.
+Only use what the VISITOR said about themselves. Use null for anything not stated — never guess.
+Respond with JSON only:
+{"name": string|null, "company": string|null, "email": string|null, "role": string|null,
+ "intent": string|null (one sentence: what the visitor wants),
+ "intentCategory": one of ${INTENT_CATEGORIES.map(c => `"${c}"`).join(', ')}}`;
+
+  const extracted = await generateJSON(systemPrompt, transcript, { maxTokens: 300, temperature: 0.1, label: 'visitor-crm' });
+
+  // The visitor's own words beat the model for email addresses
+  const typedEmail = messages.filter(m => m.role === 'user').map(m => m.content.match(EMAIL_PATTERN)?.[0]).filter(Boolean).pop();
+
+  const locked = data.lockedFields || [];
+  const profile = { ...(data.profile || {}) };
+  for (const field of PROFILE_FIELDS) {
+    if (locked.includes(field)) continue;
+    let value = field === 'email' ? (typedEmail || cleanField(extracted?.email)) : cleanField(extracted?.[field]);
+    if (field === 'intentCategory' && value && !INTENT_CATEGORIES.includes(value)) value = 'other';
+    if (value) profile[field] = value;
+  }
+
+  await ref.update({ profile, profileUpdatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  console.log(`[VisitorCRM] Extracted profile for visitor ${visitorId}: ${Object.keys(profile).filter(f => profile[f]).join(', ') || 'nothing yet'}`);
+  return profile;
+}
+
+// ===================== READ =====================
+
+function matchesFilters(data, { status, tag, intentCategory, language, q }) {
+  if (data.mergedInto) return false;
+  if (language && data.language !== language) return false;
+  if (status && (data.status || 'new') !== status) return false;
+  if (tag && !(data.tags || []).includes(tag.toLowerCase())) return false;
+  if (intentCategory && data.profile?.intentCategory !== intentCategory) return false;
+  if (q) {
+    const haystack = [
+      ...PROFILE_FIELDS.map(f => data.profile?.[f]),
+      ...(data.tags || []),
+      ...(data.notes || []).map(n => n.text),
+      data.lastMessage
+    ].filter(Boolean).join(' ').toLowerCase();
+    if (!q.toLowerCase().split(/\s+/).filter(Boolean).every(term => haystack.includes(term))) return false;
+  }
+  return true;
+}
+
+/**
+ * List leads, most recent visit first
+ * Filters are applied while scanning so no composite Firestore indexes are needed.
+ * Visitors merged into another record are hidden.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Link owner
+ * @param {Object} [options]
+ * @param {string} [options.status] - One of LEAD_STATUSES
+ * @param {string} [options.tag]
+ * @param {string} [options.intentCategory] - One of INTENT_CATEGORIES
+ * @param {string} [options.language] - Language code (_language.js)
+ * @param {string} [options.q] - Search over profile, tags, notes and the last message
+ * @param {number} [options.limit=50]
+ * @param {string} [options.cursor] - nextCursor from the previous page
+ * @returns {Promise<Object>} - { visitors, nextCursor }
+ */
+async function listVisitors(db, userId, { status = null, tag = null, intentCategory = null, language = null, q = null, limit = 50, cursor = null } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE);
+  const visitorsRef = getVisitorsRef(db, userId);
+
+  let startAfter = null;
+  if (cursor) {
+    startAfter = await visitorsRef.doc(cursor).get();
+    if (!startAfter.exists) throw new Error('Invalid cursor');
+  }
+
+  const visitors = [];
+  let lastScanned = null;
+  let exhausted = false;
+
+  while (visitors.length < pageSize && !exhausted) {
+    let query = visitorsRef.orderBy('lastVisit', 'desc').limit(SCAN_PAGE_SIZE);
+    if (lastScanned || startAfter) query = query.startAfter(lastScanned || startAfter);
+    const snapshot = await query.get();
+
+    for (const doc of snapshot.docs) {
+      lastScanned = doc;
+      if (matchesFilters(doc.data(), { status, tag, intentCategory, language, q })) visitors.push(serializeVisitor(doc));
+      if (visitors.length >= pageSize) break;
+    }
+    exhausted = snapshot.docs.length < SCAN_PAGE_SIZE;
+  }
+
+  return {
+    visitors,
+    nextCursor: visitors.length >= pageSize ? lastScanned.id : null
+  };
+}
+
+/**
+ * One lead with its conversation (including merged visitors' messages)
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Link owner
+ * @param {string} visitorId
+ * @param {Object} [options]
+ * @param {number} [options.limit=100] - Most recent messages to include
+ * @returns {Promise<Object|null>} - Visitor plus messages, or null if not found
+ */
+async function getVisitor(db, userId, visitorId, { limit = 100 } = {}) {
+  const doc = await getVisitorsRef(db, userId).doc(visitorId).get();
+  if (!doc.exists) return null;
+
+  const visitor = serializeVisitor(doc);
+  const messageLimit = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
+  const snapshots = await Promise.all([visitorId, ...visitor.aliases].map(id =>
+    getVisitorsRef(db, userId).doc(id).collection('messages').orderBy('timestamp', 'desc').limit(messageLimit).get()
+  ));
+
+  visitor.messages = snapshots
+    .flatMap((snapshot, i) => snapshot.docs.map(d => ({ id: d.id, visitorId: i === 0 ? visitorId : visitor.aliases[i - 1], ...d.data() })))
+    .sort((a, b) => toMillis(b.timestamp) - toMillis(a.timestamp))
+    .slice(0, messageLimit)
+    .reverse()
+    .map(m => ({ id: m.id, visitorId: m.visitorId, role: m.role, content: m.content, timestamp: toISO(m.timestamp) }));
+  return visitor;
+}
+
+// ===================== UPDATE =====================
+
+/**
+ * Edit a lead: status, tags, or profile fields (edited fields are locked against extraction)
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Link owner
+ * @param {string} visitorId
+ * @param {Object} changes - { status?, tags?, profile? }
+ * @returns {Promise<Object>} - { success, visitor, error }
+ */
+async function updateVisitor(db, userId, visitorId, { status, tags, profile } = {}) {
+  if (status !== undefined && !LEAD_STATUSES.includes(status)) {
+    return { success: false, error: `Status must be one of: ${LEAD_STATUSES.join(', ')}` };
+  }
+  if (tags !== undefined && (!Array.isArray(tags) || tags.length > MAX_TAGS)) {
+    return { success: false, error: `Tags must be an array of at most ${MAX_TAGS} strings` };
+  }
+  if (profile !== undefined) {
+    if (!profile || typeof profile !== 'object') {
+      return { success: false, error: 'Profile must be an object' };
+    }
+    const unknown = Object.keys(profile).find(f => !PROFILE_FIELDS.includes(f));
+    if (unknown) {
+      return { success: false, error: `Unknown profile field: ${unknown}` };
+    }
+    if (profile.intentCategory && !INTENT_CATEGORIES.includes(profile.intentCategory)) {
+      return { success: false, error: `intentCategory must be one of: ${INTENT_CATEGORIES.join(', ')}` };
+    }
+  }
+
+  const ref = getVisitorsRef(db, userId).doc(visitorId);
+  const doc = await ref.get();
+  if (!doc.exists) return { success: false, error: 'Visitor not found' };
+  if (doc.data().mergedInto) return { success: false, error: `Visitor was merged into ${doc.data().mergedInto}` };
+
+  const update = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+  if (status !== undefined) update.status = status;
+  if (tags !== undefined) update.tags = cleanTags(tags);
+  if (profile !== undefined) {
+    const merged = { ...(doc.data().profile || {}) };
+    for (const [field, value] of Object.entries(profile)) merged[field] = cleanField(value);
+    update.profile = merged;
+    update.lockedFields = [...new Set([...(doc.data().lockedFields || []), ...Object.keys(profile)])];
+  }
+  await ref.update(update);
+
+  console.log(`[VisitorCRM] Updated visitor ${visitorId}: ${Object.keys(update).filter(k => k !== 'updatedAt').join(', ')}`);
+  return { success: true, visitor: serializeVisitor(await ref.get()) };
+}
+
+/**
+ * Add a note to a lead
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Link owner
+ * @param {string} visitorId
+ * @param {string} text
+ * @returns {Promise<Object>} - { success, note, error }
+ */
+async function addVisitorNote(db, userId, visitorId, text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { success: false, error: 'Note text is required' };
+  }
+  if (text.length > MAX_NOTE_LENGTH) {
+    return { success: false, error: `Note must be ${MAX_NOTE_LENGTH} characters or less` };
+  }
+
+  const ref = getVisitorsRef(db, userId).doc(visitorId);
+  const doc = await ref.get();
+  if (!doc.exists) return { success: false, error: 'Visitor not found' };
+
+  const notes = doc.data().notes || [];
+  if (notes.length >= MAX_NOTES) {
+    return { success: false, error: `A visitor can have at most ${MAX_NOTES} notes` };
+  }
+
+  // Array entries can't hold server timestamps, so notes carry ISO strings
+  const note = { id: crypto.randomUUID(), text: text.trim(), createdAt: new Date().toISOString() };
+  await ref.update({ notes: [...notes, note], updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  return { success: true, note };
+}
+
+/**
+ * Delete a note from a lead
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Link owner
+ * @param {string} visitorId
+ * @param {string} noteId
+ * @returns {Promise<boolean>} - false if the visitor or note didn't exist
+ */
+async function deleteVisitorNote(db, userId, visitorId, noteId) {
+  const ref = getVisitorsRef(db, userId).doc(visitorId);
+  const doc = await ref.get();
+  if (!doc.exists) return false;
+
+  const notes = doc.data().notes || [];
+  if (!notes.some(n => n.id === noteId)) return false;
+  await ref.update({ notes: notes.filter(n => n.id !== noteId), updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  return true;
+}
+
+// ===================== MERGE =====================
+
+/**
+ * Merge visitors who are the same person (e.g. returned on another device) into one lead
+ * The primary keeps its own values and fills blanks from the others; tags, notes and
+ * counts are combined. Merged visitors keep their messages and point at the primary.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Link owner
+ * @param {string} primaryId - Visitor to keep
+ * @param {string[]} visitorIds - Visitors to fold into it
+ * @returns {Promise<Object>} - { success, visitor, error }
+ */
+async function mergeVisitors(db, userId, primaryId, visitorIds) {
+  if (!primaryId || !Array.isArray(visitorIds) || visitorIds.length === 0) {
+    return { success: false, error: 'primaryId and a non-empty visitorIds array are required' };
+  }
+  const others = [...new Set(visitorIds)].filter(id => id !== primaryId);
+  if (others.length === 0) {
+    return { success: false, error: 'Nothing to merge' };
+  }
+
+  const visitorsRef = getVisitorsRef(db, userId);
+  const docs = await Promise.all([primaryId, ...others].map(id => visitorsRef.doc(id).get()));
+  const missing = docs.find(d => !d.exists);
+  if (missing) return { success: false, error: `Visitor not found: ${missing.id}` };
+  const merged = docs.find(d => d.data().mergedInto);
+  if (merged) return { success: false, error: `Visitor ${merged.id} was already merged into ${merged.data().mergedInto}` };
+
+  const [primary, ...rest] = docs.map(d => d.data());
+  const profile = { ...(primary.profile || {}) };
+  for (const other of rest) {
+    for (const field of PROFILE_FIELDS) {
+      if (!profile[field] && other.profile?.[field]) profile[field] = other.profile[field];
+    }
+  }
+
+  const all = [primary, ...rest];
+  const firstVisit = all.map(v => v.firstVisit || v.lastVisit).filter(Boolean).sort((a, b) => toMillis(a) - toMillis(b))[0] || null;
+  const lastVisit = all.map(v => v.lastVisit).filter(Boolean).sort((a, b) => toMillis(b) - toMillis(a))[0] || null;
+  const statusRank = (s) => LEAD_STATUSES.indexOf(s || 'new');
+
+  const batch = db.batch();
+  batch.set(visitorsRef.doc(primaryId), {
+    profile,
+    lockedFields: [...new Set(all.flatMap(v => v.lockedFields || []))],
+    status: all.map(v => v.status || 'new').sort((a, b) => statusRank(b) - statusRank(a))[0],
+    tags: cleanTags(all.flatMap(v => v.tags || [])),
+    notes: all.flatMap(v => v.notes || []).sort((a, b) => a.createdAt.localeCompare(b.createdAt)).slice(-MAX_NOTES),
+    messageCount: all.reduce((sum, v) => sum + (v.messageCount || 0), 0),
+    aliases: [...new Set([...(primary.aliases || []), ...others, ...rest.flatMap(v => v.aliases || [])])],
+    firstVisit,
+    lastVisit,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+
+  // Visitors already holding aliases hand them to the new primary
+  const reassigned = rest.flatMap(v => v.aliases || []);
+  for (const id of [...others, ...reassigned]) {
+    batch.set(visitorsRef.doc(id), { mergedInto: primaryId, aliases: [], mergedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+  }
+  await batch.commit();
+
+  console.log(`[VisitorCRM] Merged ${others.length} visitor(s) into ${primaryId}`);
+  return { success: true, visitor: serializeVisitor(await visitorsRef.doc(primaryId).get()) };
+}
+
+/**
+ * Merge suggestions: unmerged visitors sharing an email address, or the same name at the same company
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Link owner
+ * @returns {Promise<Object[]>} - [{ reason, visitorIds }]
+ */
+async function findDuplicateVisitors(db, userId) {
+  const snapshot = await getVisitorsRef(db, userId).get();
+  const groups = new Map();
+
+  for (const doc of snapshot.docs) {
+    const data = doc.data();
+    if (data.mergedInto) continue;
+    const email = data.profile?.email?.toLowerCase();
+    const nameKey = data.profile?.name && data.profile?.company
+      ? `${data.profile.name}|${data.profile.company}`.toLowerCase()
+      : null;
+    const key = email ? `email:${email}` : nameKey ? `name:${nameKey}` : null;
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ id: doc.id, lastVisit: toMillis(data.lastVisit) });
+  }
+
+  return [...groups.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([key, members]) => ({
+      reason: key.startsWith('email:') ? 'same_email' : 'same_name_and_company',
+      // Most recently active first — the suggested primary
+      visitorIds: members.sort((a, b) => b.lastVisit - a.lastVisit).map(m => m.id)
+    }));
+}
+
+// ===================== EXPORT =====================
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  // Leading =, +, - or @ would be run as a formula by spreadsheet apps
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+/**
+ * All leads as CSV (merged-away visitors are folded into their primary)
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {string} userId - Link owner
+ * @returns {Promise<string>}
+ */
+async function exportVisitorsCsv(db, userId) {
+  const snapshot = await getVisitorsRef(db, userId).orderBy('lastVisit', 'desc').get();
+  const header = ['visitorId', 'name', 'company', 'email', 'role', 'intent', 'intentCategory', 'status', 'language', 'tags', 'notes', 'messageCount', 'firstVisit', 'lastVisit', 'mergedVisitorIds'];
+
+  const rows = snapshot.docs
+    .filter(doc => !doc.data().mergedInto)
+    .map(serializeVisitor)
+    .map(v => [
+      v.visitorId,
+      ...PROFILE_FIELDS.map(f => v.profile[f]),
+      v.status,
+      v.language,
+      v.tags.join('; '),
+      v.notes.map(n => n.text).join(' | '),
+      v.messageCount,
+      v.firstVisit,
+      v.lastVisit,
+      v.aliases.join('; ')
+    ]);
+
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  LEAD_STATUSES,
+  INTENT_CATEGORIES,
+  recordVisitorMessage,
+  extractVisitorProfile,
+  listVisitors,
+  getVisitor,
+  updateVisitor,
+  addVisitorNote,
+  deleteVisitorNote,
+  mergeVisitors,
+  findDuplicateVisitors,
+  exportVisitorsCsv
+};
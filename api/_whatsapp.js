@@ -1,5 +1,6 @@
 // WhatsApp Messaging Service - Twilio integration for proactive messaging
 const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { DEFAULT_TIMEZONE, zonedParts, nextLocalHour } = require('./_user-locale');
 
 initializeFirebaseAdmin();
 const db = admin.firestore();
@@ -53,7 +54,7 @@ async function sendWhatsApp(to, message) {
  * This is the preferred method — messages are processed by the queue cron job
  * @param {string} userId - Firestore user ID
  * @param {string} message - Message to send
- * @param {string} type - Message type: "news" | "visitor" | "task"
+ * @param {string} type - Message type: "news" | "visitor" | "task" | "review" | "checkins" | "reminders" | "matching"
  */
 async function queueWhatsApp(userId, message, type = 'general') {
   try {
@@ -113,8 +114,8 @@ async function getWhatsAppConfig(userId) {
       return {
         enabled: false,
         phoneNumber: null,
-        triggers: { news: true, visitors: true, tasks: true },
-        quietHours: { start: 22, end: 8 }, // 10pm-8am IST
+        triggers: { news: true, visitors: true, tasks: true, review: true, checkins: true, reminders: true, matching: true },
+        quietHours: { start: 22, end: 8 }, // 10pm-8am in the user's timezone
         dailyLimit: 20,
         messagesToday: 0
       };
@@ -129,24 +130,34 @@ async function getWhatsAppConfig(userId) {
 
 /**
  * Check if it's quiet hours for the user
+ * @param {object} config - WhatsApp config (quietHours in the user's local hours)
+ * @param {string} timezone - User's IANA timezone (see _user-locale.js); IST if not given
  */
-function isQuietHours(config) {
-  // Use IST (UTC+5:30) by default
-  const now = new Date();
-  const istHour = (now.getUTCHours() + 5 + (now.getUTCMinutes() + 30 >= 60 ? 1 : 0)) % 24;
+function isQuietHours(config, timezone = DEFAULT_TIMEZONE) {
+  const localHour = zonedParts(Date.now(), timezone).hour;
   
   const start = config.quietHours?.start ?? 22;
   const end = config.quietHours?.end ?? 8;
   
   if (start > end) {
     // Overnight quiet hours (e.g., 22-8)
-    return istHour >= start || istHour < end;
+    return localHour >= start || localHour < end;
   } else {
     // Daytime quiet hours (unusual but supported)
-    return istHour >= start && istHour < end;
+    return localHour >= start && localHour < end;
   }
 }
 
+/**
+ * When the user's current quiet hours end (next local occurrence of quietHours.end)
+ * @param {object} config - WhatsApp config
+ * @param {string} timezone - User's IANA timezone
+ * @returns {Date}
+ */
+function quietHoursEnd(config, timezone = DEFAULT_TIMEZONE) {
+  return nextLocalHour(config.quietHours?.end ?? 8, timezone);
+}
+
 /**
  * Format message for WhatsApp (strip markdown, keep links)
  */
@@ -172,5 +183,6 @@ module.exports = {
   queueWhatsApp,
   getWhatsAppConfig,
   isQuietHours,
+  quietHoursEnd,
   formatForWhatsApp
 };
@@ -1,20 +1,11 @@
 // Activity Feed API - fetch recent visitor conversations
 const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { requireAuth } = require('./_auth');
 
 // Initialize Firebase Admin SDK
 initializeFirebaseAdmin();
 const db = admin.firestore();
 
-// Verify Firebase ID token
-async function verifyToken(idToken) {
-  try {
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    return decodedToken.uid;
-  } catch (error) {
-    throw new Error('Invalid or expired token');
-  }
-}
-
 // Get recent visitor activity
 async function getRecentActivity(userId, limit = 20) {
   try {
@@ -113,15 +104,9 @@ module.exports = async (req, res) => {
   }
 
   try {
-    // Get token from Authorization header
-    const authHeader = req.headers.authorization;
-    const idToken = authHeader ? authHeader.replace('Bearer ', '') : null;
-
-    if (!idToken) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
-
-    const userId = await verifyToken(idToken);
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
+    const userId = auth.userId;
 
     // Get limit from query params (default 20, max 50)
     const limit = Math.min(parseInt(req.query?.limit || '20', 10), 50);
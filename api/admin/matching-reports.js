@@ -0,0 +1,76 @@
+// Matching reports review queue (see ../_matching-safety.js)
+// Auth: x-admin-secret header, or the platform owner's Firebase token
+//   GET  ?status=open|upheld|dismissed&limit=50     — reports, newest first, with the reported user's signals
+//   POST { reportId, action: 'dismiss' | 'uphold', holdUser?, note? } — resolve a report
+//   POST { userId, hold: false }                    — clear a user's safety hold (or hold: true to set one)
+const { initializeFirebaseAdmin, admin } = require('../_firebase-admin');
+const { authenticate } = require('../_auth');
+const { listReports, resolveReport, setSafetyHold } = require('../_matching-safety');
+
+initializeFirebaseAdmin();
+const db = admin.firestore();
+
+const REPORT_STATUSES = ['open', 'upheld', 'dismissed'];
+
+// Returns who is acting, or null when the caller isn't an admin
+async function resolveAdmin(req) {
+  const adminSecret = req.headers['x-admin-secret'];
+  const expected = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (adminSecret && expected && adminSecret === expected) return 'admin';
+
+  const ownerUid = process.env.MINDCLONE_OWNER_UID;
+  if (!ownerUid) return null;
+  const auth = await authenticate(req);
+  return auth.success && auth.userId === ownerUid ? auth.userId : null;
+}
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-admin-secret');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const resolvedBy = await resolveAdmin(req);
+  if (!resolvedBy) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const status = req.query.status || 'open';
+      if (!REPORT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${REPORT_STATUSES.join(', ')}` });
+      }
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const reports = await listReports(db, { status, limit });
+      return res.status(200).json({ success: true, status, count: reports.length, reports });
+    }
+
+    const { reportId, action, holdUser, note, userId, hold } = req.body || {};
+
+    if (reportId) {
+      const result = await resolveReport(db, reportId, { action, holdUser: holdUser === true, note, resolvedBy });
+      if (!result.success) {
+        return res.status(result.status || 400).json({ error: result.error });
+      }
+      return res.status(200).json({ success: true, reportId, action });
+    }
+
+    if (userId && typeof hold === 'boolean') {
+      await setSafetyHold(db, userId, hold, hold ? `Set by ${resolvedBy}` : null);
+      return res.status(200).json({ success: true, userId, hold });
+    }
+
+    return res.status(400).json({ error: 'Provide { reportId, action } or { userId, hold }' });
+  } catch (error) {
+    console.error('[Matching Reports] Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -1,20 +1,11 @@
 // Analytics API - visitor statistics for link owners
 const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { requireAuth } = require('./_auth');
 
 // Initialize Firebase Admin SDK
 initializeFirebaseAdmin();
 const db = admin.firestore();
 
-// Verify Firebase ID token
-async function verifyToken(idToken) {
-  try {
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    return decodedToken.uid;
-  } catch (error) {
-    throw new Error('Invalid or expired token');
-  }
-}
-
 // Get visitor statistics
 async function getVisitorStats(userId) {
   try {
@@ -39,6 +30,7 @@ async function getVisitorStats(userId) {
     const totalVisitors = visitorsSnapshot.size;
     let totalMessages = 0;
     const recentVisitors = [];
+    const languages = {}; // visitors per language they last wrote in (_language.js)
 
     // Process each visitor
     for (const visitorDoc of visitorsSnapshot.docs) {
@@ -53,6 +45,9 @@ async function getVisitorStats(userId) {
 
       const messageCount = messagesSnapshot.size;
       totalMessages += messageCount;
+      if (visitorData.language) {
+        languages[visitorData.language] = (languages[visitorData.language] || 0) + 1;
+      }
 
       // Add to recent visitors (limit to 10)
       if (recentVisitors.length < 10) {
@@ -61,7 +56,10 @@ async function getVisitorStats(userId) {
           firstVisit: visitorData.firstVisit || visitorData.lastVisit,
           lastVisit: visitorData.lastVisit,
           messageCount: messageCount,
-          lastMessage: visitorData.lastMessage || 'No messages yet'
+          lastMessage: visitorData.lastMessage || 'No messages yet',
+          name: visitorData.profile?.name || null,
+          status: visitorData.status || 'new',
+          language: visitorData.language || null
         });
       }
     }
@@ -85,7 +83,8 @@ async function getVisitorStats(userId) {
       totalVisitors,
       totalMessages,
       publicMessages,
-      recentVisitors
+      recentVisitors,
+      languages
     };
   } catch (error) {
     console.error('Error getting visitor stats:', error);
@@ -196,6 +195,7 @@ async function getTimeBasedStats(userId, days = 30) {
     // Count recent messages
     let totalMessages = 0;
     const recentVisitors = [];
+    const languages = {}; // visitors per language they last wrote in (_language.js)
 
     for (const visitorDoc of visitorsSnapshot.docs) {
       const visitorData = visitorDoc.data();
@@ -243,7 +243,10 @@ async function getTimeBasedStats(userId, days = 30) {
           firstVisit: visitorData.firstVisit || visitorData.lastVisit,
           lastVisit: visitorData.lastVisit,
           messageCount: messageCount,
-          lastMessage: visitorData.lastMessage || 'No messages yet'
+          lastMessage: visitorData.lastMessage || 'No messages yet',
+          name: visitorData.profile?.name || null,
+          status: visitorData.status || 'new',
+          language: visitorData.language || null
         });
       }
     }
@@ -286,15 +289,9 @@ module.exports = async (req, res) => {
   }
 
   try {
-    // Get token from Authorization header
-    const authHeader = req.headers.authorization;
-    const idToken = authHeader ? authHeader.replace('Bearer ', '') : null;
-
-    if (!idToken) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
-
-    const userId = await verifyToken(idToken);
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
+    const userId = auth.userId;
 
     const { visitorId, period } = req.query;
 
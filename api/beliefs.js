@@ -0,0 +1,101 @@
+// Beliefs API - the owner's view of their Mindclone's belief graph
+//   GET  /api/beliefs?includeArchived=                      graph: nodes + support/contradict edges
+//   GET  /api/beliefs?action=history&beliefId=&limit=       change history, newest first
+//   GET  /api/beliefs?action=timeline&at=<ISO date>         the graph as it was at that date
+//   POST /api/beliefs  { action: 'link', from, to, type }   add or retype an edge
+//   POST /api/beliefs  { action: 'unlink', from, to }
+//   POST /api/beliefs  { action: 'archive' | 'restore', beliefId }
+//   POST /api/beliefs  { action: 'rollback', revisionId, force? }   undo a revision cascade
+const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { requireAuth } = require('./_auth');
+const {
+  getBeliefGraph,
+  linkBeliefs,
+  unlinkBeliefs,
+  setBeliefArchived,
+  getBeliefHistory,
+  getBeliefsAt,
+  rollbackRevision
+} = require('./_mindclone-beliefs');
+
+// Initialize Firebase Admin SDK
+initializeFirebaseAdmin();
+const db = admin.firestore();
+
+module.exports = async (req, res) => {
+  // CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
+    const userId = auth.userId;
+
+    const query = req.query || {};
+    const body = req.body || {};
+
+    // GET - graph, history, timeline
+    if (req.method === 'GET') {
+      if (query.action === 'history') {
+        const history = await getBeliefHistory(db, userId, { beliefId: query.beliefId || null, limit: query.limit });
+        return res.status(200).json({ success: true, history });
+      }
+
+      if (query.action === 'timeline') {
+        const at = new Date(query.at || '');
+        if (isNaN(at.getTime())) {
+          return res.status(400).json({ success: false, error: 'at must be an ISO date' });
+        }
+        const timeline = await getBeliefsAt(db, userId, at);
+        return res.status(200).json({ success: true, ...timeline });
+      }
+
+      const graph = await getBeliefGraph(db, userId, { includeArchived: query.includeArchived === 'true' });
+      return res.status(200).json({ success: true, ...graph });
+    }
+
+    // POST - edges, archive/restore, rollback
+    if (req.method === 'POST') {
+      const { action } = body;
+      let result;
+
+      if (action === 'link') {
+        result = await linkBeliefs(db, userId, { from: body.from, to: body.to, type: body.type });
+      } else if (action === 'unlink') {
+        result = await unlinkBeliefs(db, userId, { from: body.from, to: body.to });
+      } else if (action === 'archive' || action === 'restore') {
+        if (!body.beliefId) {
+          return res.status(400).json({ success: false, error: 'beliefId is required' });
+        }
+        result = await setBeliefArchived(db, userId, body.beliefId, action === 'archive');
+      } else if (action === 'rollback') {
+        if (!body.revisionId) {
+          return res.status(400).json({ success: false, error: 'revisionId is required' });
+        }
+        result = await rollbackRevision(db, userId, body.revisionId, { force: body.force === true });
+      } else {
+        return res.status(400).json({ success: false, error: `Unknown action: ${action}` });
+      }
+
+      if (!result.success) {
+        const status = /not found/i.test(result.error) ? 404 : result.conflicts ? 409 : 400;
+        return res.status(status).json(result);
+      }
+      return res.status(200).json(result);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('[Beliefs API] Error:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+};
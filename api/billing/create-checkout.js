@@ -2,6 +2,7 @@
 // Pricing: $100/month with 7-day free trial
 const Stripe = require('stripe');
 const { initializeFirebaseAdmin, admin } = require('../_firebase-admin');
+const { requireAuth } = require('../_auth');
 
 // Initialize Firebase Admin SDK
 initializeFirebaseAdmin();
@@ -36,24 +37,12 @@ module.exports = async (req, res) => {
 
   try {
     // Verify Firebase ID token
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Missing or invalid authorization header' });
-    }
-
-    const idToken = authHeader.split('Bearer ')[1];
-    let decodedToken;
-
-    try {
-      decodedToken = await admin.auth().verifyIdToken(idToken);
-    } catch (authError) {
-      console.error('[Stripe Checkout] Token verification failed:', authError);
-      return res.status(401).json({ error: 'Invalid token' });
-    }
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
 
-    const userId = decodedToken.uid;
-    const userEmail = decodedToken.email;
-    const userName = decodedToken.name || userEmail?.split('@')[0] || 'User';
+    const userId = auth.userId;
+    const userEmail = auth.email;
+    const userName = auth.name || userEmail?.split('@')[0] || 'User';
 
     // Get success/cancel URLs from request or use defaults
     const { successUrl, cancelUrl } = req.body || {};
@@ -2,6 +2,7 @@
 // Allows users to update payment method, cancel subscription, view invoices
 const Stripe = require('stripe');
 const { initializeFirebaseAdmin, admin } = require('../_firebase-admin');
+const { requireAuth } = require('../_auth');
 
 // Initialize Firebase Admin SDK
 initializeFirebaseAdmin();
@@ -26,22 +27,10 @@ module.exports = async (req, res) => {
 
   try {
     // Verify Firebase ID token
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Missing or invalid authorization header' });
-    }
-
-    const idToken = authHeader.split('Bearer ')[1];
-    let decodedToken;
-
-    try {
-      decodedToken = await admin.auth().verifyIdToken(idToken);
-    } catch (authError) {
-      console.error('[Stripe Portal] Token verification failed:', authError);
-      return res.status(401).json({ error: 'Invalid token' });
-    }
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
 
-    const userId = decodedToken.uid;
+    const userId = auth.userId;
 
     // Get user's Stripe customer ID
     const userDoc = await db.collection('users').doc(userId).get();
@@ -2,6 +2,7 @@
 // Returns current subscription state, trial info, and pricing
 // Also auto-assigns temporary username to new users
 const { initializeFirebaseAdmin, admin } = require('../_firebase-admin');
+const { requireAuth } = require('../_auth');
 const { getSubscriptionSummary, PRICING } = require('../_billing-helpers');
 
 // Initialize Firebase Admin SDK
@@ -65,23 +66,11 @@ module.exports = async (req, res) => {
 
   try {
     // Verify Firebase ID token
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Missing or invalid authorization header' });
-    }
-
-    const idToken = authHeader.split('Bearer ')[1];
-    let decodedToken;
-
-    try {
-      decodedToken = await admin.auth().verifyIdToken(idToken);
-    } catch (authError) {
-      console.error('[Billing Status] Token verification failed:', authError);
-      return res.status(401).json({ error: 'Invalid token' });
-    }
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
 
-    const userId = decodedToken.uid;
-    const userEmail = decodedToken.email;
+    const userId = auth.userId;
+    const userEmail = auth.email;
 
     // Get user document
     const userRef = db.collection('users').doc(userId);
@@ -5,551 +5,39 @@ const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
 const { computeAccessLevel } = require('./_billing-helpers');
 const { loadMentalModel, updateMentalModel, formatMentalModelForPrompt } = require('./_mental-model');
 const { loadMindcloneBeliefs, formBelief, reviseBelief, getBeliefs, formatBeliefsForPrompt } = require('./_mindclone-beliefs');
-const { buildKBIndex, routeQuery, buildSelectivePrompt } = require('./_rag-router');
+const { complete, convertToolsToOpenAI, convertMessagesToOpenAI } = require('./_llm');
+const { indexMessage, searchMemoryIndex } = require('./_memory-index');
+const { createMemory } = require('./_memories');
+const { createReminder, listReminders, cancelReminder } = require('./_reminders');
+const { getUserLocale, localeFromUserData, resolveRequestLocale, updateUserLocale, formatInZone } = require('./_user-locale');
+const { LANGUAGE_CODES, matchGreeting, resolveVisitorLanguage, validateLanguageSettings, formatLanguageForPrompt } = require('./_language');
+const { submitChange } = require('./_review-queue');
+const { requireAuth } = require('./_auth');
+const { checkPublicChatLimits, recordLinkSpend, getClientIp, sendRateLimited } = require('./_rate-limit');
+const { retrieveKnowledgeChunks, formatChunkCitation } = require('./_kb-chunks');
+const { createThread, loadThreadHistory, recordThreadTurn } = require('./_threads');
+const { runInBackground } = require('./_background');
+const { recordVisitorMessage, extractVisitorProfile } = require('./_visitor-crm');
+const { validateSteering } = require('./_m2m-steering');
+const { getBlockedUserIds, blockUser, reportMatch, REPORT_REASONS } = require('./_matching-safety');
+const {
+  startIntroduction,
+  getIntroduction,
+  editIntroductionDraft,
+  approveIntroduction,
+  declineIntroduction,
+  proposeMeetingSlots,
+  acceptMeetingSlot,
+  submitIntroFeedback,
+  serializeIntroductionFor
+} = require('./_introductions');
 
 // Initialize Firebase Admin SDK
 initializeFirebaseAdmin();
 const db = admin.firestore();
 
-// ===================== FORMAT CONVERTERS FOR CLAUDE API =====================
-// Convert Gemini-style tools to Claude-style tools
-function convertToolsToClaude(geminiTools) {
-  const claudeTools = [];
-  for (const toolGroup of geminiTools) {
-    for (const func of toolGroup.function_declarations || []) {
-      claudeTools.push({
-        name: func.name,
-        description: func.description,
-        input_schema: func.parameters
-      });
-    }
-  }
-  return claudeTools;
-}
-
-// Convert Gemini-style messages to Claude-style messages (system separate)
-function convertMessagesToClaude(geminiContents, systemPrompt = null) {
-  const messages = [];
-
-  for (const msg of geminiContents) {
-    const role = msg.role === 'model' ? 'assistant' : (msg.role === 'user' ? 'user' : msg.role);
-
-    // Skip system messages (handled separately)
-    if (role === 'system') continue;
-
-    if (msg.parts) {
-      const textParts = msg.parts.filter(p => p.text).map(p => p.text).join('');
-      const functionCall = msg.parts.find(p => p.functionCall);
-      const functionResponse = msg.parts.find(p => p.functionResponse);
-
-      if (functionCall) {
-        // Assistant message with tool use
-        const content = [];
-        if (textParts) {
-          content.push({ type: 'text', text: textParts });
-        }
-        content.push({
-          type: 'tool_use',
-          id: `toolu_${Date.now()}`,
-          name: functionCall.functionCall.name,
-          input: functionCall.functionCall.args || {}
-        });
-        messages.push({ role: 'assistant', content });
-      } else if (functionResponse) {
-        // Tool result message
-        messages.push({
-          role: 'user',
-          content: [{
-            type: 'tool_result',
-            tool_use_id: `toolu_${Date.now() - 1}`,
-            content: JSON.stringify(functionResponse.functionResponse.response)
-          }]
-        });
-      } else if (textParts) {
-        // Regular message
-        messages.push({ role, content: textParts });
-      }
-    } else if (msg.content) {
-      messages.push({ role, content: msg.content });
-    }
-  }
-
-  return { system: systemPrompt, messages };
-}
-
-// ===================== IMAGE URL EXTRACTION & FETCHING =====================
-// Detects image URLs in message text and fetches them as base64 for Claude vision
-async function fetchImagesFromText(text) {
-  if (!text || typeof text !== 'string') return null;
-
-  // Match "Image URL: https://..." patterns (from file uploads)
-  const imageUrlMatch = text.match(/Image URL:\s*(https?:\/\/[^\s\n]+)/i);
-  if (!imageUrlMatch) return null;
-
-  const imageUrl = imageUrlMatch[1];
-  console.log(`[Image] Found image URL in message: ${imageUrl}`);
-
-  try {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 15000);
-
-    const response = await fetch(imageUrl, {
-      signal: controller.signal,
-      headers: { 'Accept': 'image/*' }
-    });
-    clearTimeout(timeout);
-
-    if (!response.ok) {
-      console.log(`[Image] Failed to fetch: HTTP ${response.status}`);
-      return null;
-    }
-
-    const contentType = response.headers.get('content-type') || '';
-    if (!contentType.startsWith('image/')) {
-      console.log(`[Image] Not an image: ${contentType}`);
-      return null;
-    }
-
-    const arrayBuffer = await response.arrayBuffer();
-    const base64 = Buffer.from(arrayBuffer).toString('base64');
-    const mimeType = contentType.split(';')[0].trim() || 'image/jpeg';
-
-    console.log(`[Image] Fetched successfully: ${mimeType}, ${Math.round(base64.length / 1024)}KB`);
-
-    return {
-      type: 'image',
-      source: {
-        type: 'base64',
-        media_type: mimeType,
-        data: base64
-      }
-    };
-  } catch (err) {
-    console.log(`[Image] Fetch error: ${err.message}`);
-    return null;
-  }
-}
-
-// ===================== CLAUDE API ADAPTER =====================
-// Calls Anthropic Claude API using OpenAI-format request/response for minimal code changes
-async function callClaudeAPI(openaiRequestBody, claudeApiKey) {
-  // Extract system message
-  const systemMsg = openaiRequestBody.messages.find(m => m.role === 'system');
-  const nonSystemMsgs = openaiRequestBody.messages.filter(m => m.role !== 'system');
-
-  // Convert OpenAI messages to Claude format
-  const claudeMessages = [];
-  for (const msg of nonSystemMsgs) {
-    if (msg.role === 'tool') {
-      // Tool result — Claude uses role: 'user' with tool_result content
-      claudeMessages.push({
-        role: 'user',
-        content: [{ type: 'tool_result', tool_use_id: msg.tool_call_id, content: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content) }]
-      });
-    } else if (msg.role === 'assistant' && msg.tool_calls && msg.tool_calls.length > 0) {
-      // Assistant with tool calls
-      const content = [];
-      if (msg.content) content.push({ type: 'text', text: msg.content });
-      for (const tc of msg.tool_calls) {
-        content.push({
-          type: 'tool_use',
-          id: tc.id,
-          name: tc.function.name,
-          input: JSON.parse(tc.function.arguments || '{}')
-        });
-      }
-      claudeMessages.push({ role: 'assistant', content });
-    } else if (msg.role === 'assistant') {
-      claudeMessages.push({ role: 'assistant', content: msg.content || '' });
-    } else {
-      // User message — check for embedded image URLs and fetch them for vision
-      const msgText = typeof msg.content === 'string' ? msg.content : (msg.content || '');
-      claudeMessages.push({ role: 'user', content: msgText, _needsImageCheck: true });
-    }
-  }
-
-  // Fetch images from user messages that contain image URLs
-  for (const msg of claudeMessages) {
-    if (msg._needsImageCheck && typeof msg.content === 'string') {
-      const imageBlock = await fetchImagesFromText(msg.content);
-      if (imageBlock) {
-        // Convert to multipart content: image + text
-        const cleanText = msg.content
-          .replace(/\[Image:[^\]]*\]\s*/g, '')
-          .replace(/Image URL:\s*https?:\/\/[^\s\n]+/gi, '')
-          .trim();
-        msg.content = [
-          imageBlock,
-          { type: 'text', text: cleanText || 'What do you see in this image?' }
-        ];
-        console.log(`[Image] Embedded image directly in Claude message`);
-      }
-      delete msg._needsImageCheck;
-    } else {
-      delete msg._needsImageCheck;
-    }
-  }
-
-  // Merge consecutive same-role messages (Claude doesn't allow them)
-  const mergedMessages = [];
-  for (const msg of claudeMessages) {
-    const prev = mergedMessages[mergedMessages.length - 1];
-    if (prev && prev.role === msg.role) {
-      // Merge: convert both to array content format if needed
-      const prevContent = Array.isArray(prev.content) ? prev.content : [{ type: 'text', text: prev.content || '' }];
-      const currContent = Array.isArray(msg.content) ? msg.content : [{ type: 'text', text: msg.content || '' }];
-      prev.content = [...prevContent, ...currContent];
-    } else {
-      mergedMessages.push(msg);
-    }
-  }
-
-  // Ensure first message is from user (Claude requirement)
-  if (mergedMessages.length === 0 || mergedMessages[0].role !== 'user') {
-    mergedMessages.unshift({ role: 'user', content: 'Hello' });
-  }
-
-  // Convert OpenAI tools to Claude tools
-  const claudeTools = (openaiRequestBody.tools || []).map(t => ({
-    name: t.function.name,
-    description: t.function.description,
-    input_schema: t.function.parameters
-  }));
-
-  const claudeRequest = {
-    model: openaiRequestBody.model,
-    max_tokens: openaiRequestBody.max_tokens || 4096,
-    system: systemMsg?.content || undefined,
-    messages: mergedMessages,
-    tools: claudeTools.length > 0 ? claudeTools : undefined
-  };
-
-  console.log(`[Claude API] Calling ${claudeRequest.model} with ${mergedMessages.length} messages, ${claudeTools.length} tools`);
-
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': claudeApiKey,
-      'anthropic-version': '2023-06-01'
-    },
-    body: JSON.stringify(claudeRequest)
-  });
-
-  const data = await response.json();
-
-  if (!response.ok) {
-    const errorMsg = data.error?.message || JSON.stringify(data.error) || JSON.stringify(data);
-    console.error(`[Claude API] Error ${response.status}: ${errorMsg}`);
-    return { ok: false, status: response.status, data: { error: { message: errorMsg } } };
-  }
-
-  // Convert Claude response to OpenAI format
-  const textParts = (data.content || []).filter(c => c.type === 'text').map(c => c.text).join('');
-  const toolUse = (data.content || []).find(c => c.type === 'tool_use');
-
-  const openaiResponse = {
-    choices: [{
-      message: {
-        content: textParts || null,
-        tool_calls: toolUse ? [{
-          id: toolUse.id,
-          type: 'function',
-          function: {
-            name: toolUse.name,
-            arguments: JSON.stringify(toolUse.input || {})
-          }
-        }] : null
-      },
-      finish_reason: data.stop_reason === 'tool_use' ? 'tool_calls' : 'stop'
-    }]
-  };
-
-  return { ok: true, status: 200, data: openaiResponse };
-}
-
-// ===================== GEMINI API ADAPTER =====================
-// Calls Google Gemini API using OpenAI-format request/response for drop-in replacement
-async function callGeminiFlashAPI(openaiRequestBody, geminiApiKey) {
-  const model = 'gemini-2.0-flash';
-
-  // Extract system message
-  const systemMsg = openaiRequestBody.messages.find(m => m.role === 'system');
-  const nonSystemMsgs = openaiRequestBody.messages.filter(m => m.role !== 'system');
-
-  // Convert OpenAI messages to Gemini format
-  // Since we run Gemini in text-only mode (no tool calling), convert tool messages to plain text
-  const geminiContents = [];
-  for (const msg of nonSystemMsgs) {
-    if (msg.role === 'tool') {
-      // Tool result → convert to plain text (no functionResponse since tools disabled)
-      // Skip tool results entirely — they're not useful without the tool context
-      continue;
-    } else if (msg.role === 'assistant' && msg.tool_calls && msg.tool_calls.length > 0) {
-      // Assistant with tool calls → just keep the text part, skip the tool call
-      const textContent = msg.content || '';
-      if (textContent.trim()) {
-        geminiContents.push({ role: 'model', parts: [{ text: textContent }] });
-      }
-      // Skip the tool_calls part entirely
-      continue;
-    } else if (msg.role === 'assistant') {
-      geminiContents.push({ role: 'model', parts: [{ text: msg.content || '' }] });
-    } else {
-      // User message — handle both string and array content (images)
-      if (typeof msg.content === 'string') {
-        geminiContents.push({ role: 'user', parts: [{ text: msg.content || '' }] });
-      } else if (Array.isArray(msg.content)) {
-        // Content array (may include images)
-        const parts = [];
-        for (const block of msg.content) {
-          if (block.type === 'text') {
-            parts.push({ text: block.text || '' });
-          } else if (block.type === 'image' && block.source?.type === 'base64') {
-            parts.push({
-              inlineData: {
-                mimeType: block.source.media_type || 'image/jpeg',
-                data: block.source.data
-              }
-            });
-          }
-        }
-        if (parts.length === 0) parts.push({ text: '' });
-        geminiContents.push({ role: 'user', parts });
-      } else {
-        geminiContents.push({ role: 'user', parts: [{ text: String(msg.content || '') }] });
-      }
-    }
-  }
-
-  // Merge consecutive same-role messages (Gemini doesn't allow them)
-  const mergedContents = [];
-  for (const content of geminiContents) {
-    const prev = mergedContents[mergedContents.length - 1];
-    if (prev && prev.role === content.role) {
-      prev.parts = [...prev.parts, ...content.parts];
-    } else {
-      mergedContents.push(content);
-    }
-  }
-
-  // Ensure first message is from user (Gemini requirement)
-  if (mergedContents.length === 0 || mergedContents[0].role !== 'user') {
-    mergedContents.unshift({ role: 'user', parts: [{ text: 'Hello' }] });
-  }
-
-  // Convert OpenAI tools to Gemini tool format
-  // Gemini is VERY strict about JSON Schema — strip all non-standard fields recursively
-  const cleanParamsForGemini = (params) => {
-    if (!params || typeof params !== 'object') return { type: 'object', properties: {} };
-
-    // Deep clean a schema object recursively
-    const deepClean = (schema) => {
-      if (!schema || typeof schema !== 'object') return schema;
-      if (Array.isArray(schema)) return schema.map(deepClean);
-
-      const cleaned = {};
-      // Only keep Gemini-compatible fields
-      const allowedFields = ['type', 'properties', 'required', 'items', 'enum', 'description', 'format', 'nullable'];
-      for (const [key, value] of Object.entries(schema)) {
-        if (allowedFields.includes(key)) {
-          cleaned[key] = value;
-        }
-      }
-      // Recursively clean properties
-      if (cleaned.properties && typeof cleaned.properties === 'object') {
-        const cleanedProps = {};
-        for (const [key, prop] of Object.entries(cleaned.properties)) {
-          cleanedProps[key] = deepClean(prop);
-        }
-        cleaned.properties = cleanedProps;
-      }
-      // Recursively clean items (for arrays)
-      if (cleaned.items && typeof cleaned.items === 'object') {
-        cleaned.items = deepClean(cleaned.items);
-      }
-      // Remove empty required arrays
-      if (Array.isArray(cleaned.required) && cleaned.required.length === 0) {
-        delete cleaned.required;
-      }
-      // Remove empty enums
-      if (Array.isArray(cleaned.enum) && cleaned.enum.length === 0) {
-        delete cleaned.enum;
-      }
-      // Ensure type is set
-      if (!cleaned.type && cleaned.properties) cleaned.type = 'object';
-      return cleaned;
-    };
-
-    const cleaned = deepClean(params);
-    if (!cleaned.type) cleaned.type = 'object';
-    if (!cleaned.properties) cleaned.properties = {};
-    return cleaned;
-  };
-
-  // NOTE: Gemini tool calling is disabled for now — tools are described in system prompt
-  // This avoids Gemini's strict schema validation issues and works reliably
-  const openaiTools = openaiRequestBody.tools || [];
-
-  // Build system prompt with tool descriptions appended (so Gemini knows what tools exist)
-  let systemText = systemMsg?.content || '';
-  if (openaiTools.length > 0) {
-    // Don't add tool text in system prompt — Gemini will just answer naturally without tools
-    // Tools are only used with Claude fallback
-  }
-
-  const requestBody = {
-    contents: mergedContents,
-    generationConfig: {
-      maxOutputTokens: openaiRequestBody.max_tokens || 4096,
-      temperature: 0.7
-    }
-  };
-
-  // Add system instruction
-  if (systemText) {
-    requestBody.systemInstruction = { parts: [{ text: systemText }] };
-  }
-
-  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${geminiApiKey}`;
-
-  console.log(`[Gemini API] Calling ${model} with ${mergedContents.length} messages (no tool calling — text-only mode)`);
-
-  try {
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(requestBody)
-    });
-
-    const responseText = await response.text();
-    let data;
-    try {
-      data = JSON.parse(responseText);
-    } catch (e) {
-      console.error(`[Gemini API] Failed to parse response: ${responseText.substring(0, 500)}`);
-      return { ok: false, status: response.status, data: { error: { message: `Invalid JSON response: ${responseText.substring(0, 200)}` } } };
-    }
-
-    if (!response.ok) {
-      const errorMsg = data.error?.message || JSON.stringify(data.error) || JSON.stringify(data);
-      console.error(`[Gemini API] Error ${response.status}: ${errorMsg}`);
-      return { ok: false, status: response.status, data: { error: { message: errorMsg } } };
-    }
-
-    // Extract response from Gemini format
-    const candidate = data.candidates?.[0];
-    if (!candidate) {
-      console.error('[Gemini API] No candidates in response');
-      return { ok: false, status: 500, data: { error: { message: 'No response from Gemini' } } };
-    }
-
-    const parts = candidate.content?.parts || [];
-    const textParts = parts.filter(p => p.text).map(p => p.text).join('');
-    const functionCallPart = parts.find(p => p.functionCall);
-
-    // Convert to OpenAI format (same interface as callClaudeAPI)
-    const openaiResponse = {
-      choices: [{
-        message: {
-          content: textParts || null,
-          tool_calls: functionCallPart ? [{
-            id: `call_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            type: 'function',
-            function: {
-              name: functionCallPart.functionCall.name,
-              arguments: JSON.stringify(functionCallPart.functionCall.args || {})
-            }
-          }] : null
-        },
-        finish_reason: functionCallPart ? 'tool_calls' : (candidate.finishReason === 'STOP' ? 'stop' : 'stop')
-      }]
-    };
-
-    return { ok: true, status: 200, data: openaiResponse };
-
-  } catch (fetchError) {
-    console.error(`[Gemini API] Fetch error: ${fetchError.message}`);
-    return { ok: false, status: 500, data: { error: { message: fetchError.message } } };
-  }
-}
-
-// ===================== FORMAT CONVERTERS FOR xAI API (LEGACY) =====================
-// Convert Gemini-style tools to OpenAI-style tools
-function convertToolsToOpenAI(geminiTools) {
-  const openaiTools = [];
-  for (const toolGroup of geminiTools) {
-    for (const func of toolGroup.function_declarations || []) {
-      openaiTools.push({
-        type: "function",
-        function: {
-          name: func.name,
-          description: func.description,
-          parameters: func.parameters
-        }
-      });
-    }
-  }
-  return openaiTools;
-}
-
-// Convert Gemini-style messages to OpenAI-style messages
-function convertMessagesToOpenAI(geminiContents, systemPrompt = null) {
-  const messages = [];
-
-  // Add system message if provided
-  if (systemPrompt) {
-    messages.push({ role: "system", content: systemPrompt });
-  }
-
-  for (const msg of geminiContents) {
-    const role = msg.role === 'model' ? 'assistant' : msg.role;
-
-    // Handle tool calls in assistant messages
-    if (msg.parts) {
-      const textParts = msg.parts.filter(p => p.text).map(p => p.text).join('');
-      const functionCall = msg.parts.find(p => p.functionCall);
-      const functionResponse = msg.parts.find(p => p.functionResponse);
-
-      if (functionCall) {
-        // This is an assistant message with a tool call
-        messages.push({
-          role: 'assistant',
-          content: textParts || null,
-          tool_calls: [{
-            id: `call_${Date.now()}`,
-            type: 'function',
-            function: {
-              name: functionCall.functionCall.name,
-              arguments: JSON.stringify(functionCall.functionCall.args || {})
-            }
-          }]
-        });
-      } else if (functionResponse) {
-        // This is a tool response
-        messages.push({
-          role: 'tool',
-          tool_call_id: `call_${Date.now() - 1}`,
-          content: JSON.stringify(functionResponse.functionResponse.response)
-        });
-      } else {
-        // Regular message
-        messages.push({
-          role: role,
-          content: textParts || ''
-        });
-      }
-    } else if (msg.content) {
-      // Already in simple format
-      messages.push({
-        role: role,
-        content: msg.content
-      });
-    }
-  }
-
-  return messages;
-}
+// Max characters of retrieved document excerpts injected per message (within KB_BUDGET)
+const KB_DOCUMENT_BUDGET = 15000;
 
 // ===================== PUBLIC LINK SYSTEM PROMPT =====================
 const PUBLIC_LINK_SYSTEM_PROMPT = `You are a personal AI assistant representing someone's knowledge, personality, and expertise.
@@ -616,6 +104,20 @@ const tools = [
               type: "string",
               description: "Custom greeting message shown to visitors when they open the link"
             },
+            supportedLanguages: {
+              type: "array",
+              items: { type: "string", enum: LANGUAGE_CODES },
+              description: "Languages the link may answer visitors in (codes like en, es, hi). Empty list = any language. Visitors writing in another language get replies in the first one."
+            },
+            languageGreeting: {
+              type: "object",
+              properties: {
+                language: { type: "string", enum: LANGUAGE_CODES },
+                text: { type: "string", description: "Greeting in that language (empty to remove it)" }
+              },
+              required: ["language", "text"],
+              description: "Greeting shown instead of customGreeting to visitors whose browser is in this language"
+            },
             knowledgeBaseEnabled: {
               type: "boolean",
               description: "Enable or disable knowledge base for link conversations"
@@ -658,17 +160,30 @@ const tools = [
       },
       {
         name: "search_memory",
-        description: "Search through all past conversations to find specific information, names, topics, or context. AUTOMATICALLY use this tool when: (1) You encounter an unfamiliar name (person, place, project, pet, etc.), (2) The user asks 'remember when...', 'what did I say about...', or similar recall questions, (3) You need context about something previously discussed, (4) The user mentions something you should know but don't recognize. This searches the ACTUAL conversation history stored in the database, not just extracted memories.",
+        description: "Search through all past conversations to find specific information, names, topics, or context. AUTOMATICALLY use this tool when: (1) You encounter an unfamiliar name (person, place, project, pet, etc.), (2) The user asks 'remember when...', 'what did I say about...', or similar recall questions, (3) You need context about something previously discussed, (4) The user mentions something you should know but don't recognize. This searches the ACTUAL conversation history stored in the database, not just extracted memories. Search is semantic — describe what you're looking for in natural words (e.g. 'my sister's wedding' also finds 'Priya's marriage').",
         parameters: {
           type: "object",
           properties: {
             query: {
               type: "string",
-              description: "The search term - a name, topic, keyword, or phrase to search for in past conversations"
+              description: "What to look for - a name, topic, keyword, or natural-language description of what was discussed"
             },
             limit: {
               type: "number",
               description: "Maximum number of messages to return (default 20, max 50)"
+            },
+            date_from: {
+              type: "string",
+              description: "Only search messages on or after this date (ISO format, e.g. 2025-01-31)"
+            },
+            date_to: {
+              type: "string",
+              description: "Only search messages on or before this date (ISO format, e.g. 2025-03-01)"
+            },
+            role: {
+              type: "string",
+              enum: ["user", "assistant"],
+              description: "Only search what the user said ('user') or what you said ('assistant')"
             }
           },
           required: ["query"]
@@ -722,7 +237,7 @@ const tools = [
       },
       {
         name: "save_memory",
-        description: "Save an important piece of information, note, or memory that the user wants you to remember. Use this when the user asks you to 'note', 'remember', 'save', or 'keep track of' something. Good for birthdays, preferences, facts about people, reminders, or any information they want you to recall later.",
+        description: "Save an important piece of information, note, or memory that the user wants you to remember. Use this when the user asks you to 'note', 'remember', 'save', or 'keep track of' something. Good for birthdays, preferences, facts about people, or any information they want you to recall later. For anything that should ping them at a time (\"remind me to...\"), use create_reminder instead — saved memories never fire.",
         parameters: {
           type: "object",
           properties: {
@@ -739,6 +254,58 @@ const tools = [
           required: ["content"]
         }
       },
+      {
+        name: "create_reminder",
+        description: "Set a reminder that will message the user (in the app and on WhatsApp) at a specific time, optionally repeating. Use when the user says 'remind me to...', 'ping me on Tuesday about...', 'every Monday remind me...'. Pass the time in the user's own words — it's parsed in their timezone.",
+        parameters: {
+          type: "object",
+          properties: {
+            text: {
+              type: "string",
+              description: "What to remind them about, phrased as the reminder itself (e.g., \"Call the investor\")"
+            },
+            when: {
+              type: "string",
+              description: "When it's due, in natural language or ISO (e.g., \"Tuesday 10am\", \"tomorrow at 9\", \"in 2 hours\", \"Oct 21\")"
+            },
+            recurrence: {
+              type: "string",
+              description: "Optional repeat (e.g., \"daily\", \"every weekday\", \"every Monday\", \"every 2 weeks\", \"monthly\"). Omit for one-off reminders."
+            }
+          },
+          required: ["text", "when"]
+        }
+      },
+      {
+        name: "list_reminders",
+        description: "List the user's upcoming reminders. Use when they ask 'what are my reminders?', 'what did I ask you to remind me about?', or before cancelling one.",
+        parameters: {
+          type: "object",
+          properties: {
+            includeInactive: {
+              type: "boolean",
+              description: "Also include reminders that are done or cancelled (default false)"
+            }
+          }
+        }
+      },
+      {
+        name: "cancel_reminder",
+        description: "Cancel a reminder (stops all future repeats). Use when the user says 'cancel the reminder about...', 'stop reminding me to...'. Identify it by id from list_reminders or by a few words of its text.",
+        parameters: {
+          type: "object",
+          properties: {
+            reminderId: {
+              type: "string",
+              description: "The reminder ID (from list_reminders)"
+            },
+            query: {
+              type: "string",
+              description: "Words from the reminder text, if the ID isn't known (e.g., \"investor\")"
+            }
+          }
+        }
+      },
       {
         name: "create_pdf",
         description: "Create a PDF document with the specified content. Use this when the user asks you to create, generate, or make a PDF document, report, letter, summary, or any downloadable document. The PDF will be generated and a download link will be provided.",
@@ -792,18 +359,18 @@ const tools = [
       },
       {
         name: "update_mental_model",
-        description: "Update your understanding of the user's mental state. Call this when you infer something significant about their beliefs, goals, emotions, or knowledge gaps. Use sparingly - only for meaningful insights, not every message.",
+        description: "Update your understanding of the user's mental state. Call this when you infer something significant about their beliefs, goals, emotions, knowledge gaps or the people in their life, or when one of their goals moves forward, gets stuck, is achieved or dropped. Use sparingly - only for meaningful insights, not every message.",
         parameters: {
           type: "object",
           properties: {
             type: {
               type: "string",
-              enum: ["belief", "goal", "emotion", "knowledge_gap"],
-              description: "Type of mental state: belief (what they think is true), goal (what they want to achieve), emotion (current emotional state), knowledge_gap (something they don't know but should)"
+              enum: ["belief", "goal", "goal_status", "emotion", "knowledge_gap", "relationship"],
+              description: "Type of mental state: belief (what they think is true), goal (what they want to achieve), goal_status (an existing goal became blocked, achieved, abandoned or active again), emotion (current emotional state), knowledge_gap (something they don't know but should), relationship (a person they mention)"
             },
             content: {
               type: "string",
-              description: "The specific inference (e.g., 'User believes they are bad at networking', 'User wants to launch startup by Q2', 'User is feeling anxious about job search')"
+              description: "The specific inference (e.g., 'User believes they are bad at networking', 'User wants to launch startup by Q2', 'User is feeling anxious about job search'). For goal_status: the goal as previously recorded. For relationship: the person's name"
             },
             confidence: {
               type: "number",
@@ -830,6 +397,28 @@ const tools = [
               type: "string",
               enum: ["low", "medium", "high"],
               description: "For knowledge_gap only: how relevant to their goals"
+            },
+            status: {
+              type: "string",
+              enum: ["active", "blocked", "achieved", "abandoned"],
+              description: "For goal_status (required) and goal: the goal's lifecycle status"
+            },
+            evidence: {
+              type: "string",
+              description: "For goal_status: what the user said that shows the change"
+            },
+            blockers: {
+              type: "array",
+              items: { type: "string" },
+              description: "For goal / goal_status 'blocked': what is in the way"
+            },
+            role: {
+              type: "string",
+              description: "For relationship only: who they are to the user (e.g., 'sister', 'manager', 'co-founder')"
+            },
+            sentiment: {
+              type: "number",
+              description: "For relationship only: how the user currently feels about them, -1 (very negative) to 1 (very positive)"
             }
           },
           required: ["type", "content", "confidence", "source"]
@@ -872,6 +461,11 @@ const tools = [
               type: "array",
               items: { type: "string" },
               description: "IDs of related beliefs this depends on (optional)"
+            },
+            contradicts: {
+              type: "array",
+              items: { type: "string" },
+              description: "IDs of existing beliefs this one is in tension with (optional)"
             }
           },
           required: ["content", "type", "confidence", "basis"]
@@ -968,7 +562,17 @@ const tools = [
             },
             additionalContext: {
               type: "string",
-              description: "Any additional context from the conversation that's relevant to the search (e.g., user's company stage, what they value in connections, deal-breakers)"
+              description: "Any additional context from the conversation that's relevant to the search (e.g., user's company stage, what they value in connections)"
+            },
+            mustAsk: {
+              type: "array",
+              items: { type: "string" },
+              description: "Questions the user wants their mindclone to ask every candidate (max 5), e.g. 'Have you invested in B2B SaaS before?'"
+            },
+            dealBreakers: {
+              type: "array",
+              items: { type: "string" },
+              description: "Things that rule a candidate out for the user (max 5), e.g. 'only invests after Series A'"
             }
           },
           required: ["intent"]
@@ -984,7 +588,7 @@ const tools = [
       },
       {
         name: "respond_to_match",
-        description: "Handle user's response to a potential match (approve, reject, or ask for more info). Use when user says 'yes connect me', 'let's connect', 'not interested', 'tell me more about them', etc.",
+        description: "Handle user's response to a potential match (approve, reject, ask for more info, block, or report). Use when user says 'yes connect me', 'let's connect', 'not interested', 'tell me more about them', 'block them', 'that was creepy, report it', etc.",
         parameters: {
           type: "object",
           properties: {
@@ -994,12 +598,74 @@ const tools = [
             },
             action: {
               type: "string",
-              enum: ["approve", "reject", "more_info"],
-              description: "User's decision: approve (want to connect), reject (not interested), more_info (need more details)"
+              enum: ["approve", "reject", "more_info", "block", "report"],
+              description: "User's decision: approve (want to connect), reject (not interested), more_info (need more details), block (never match with this person again), report (flag the conversation for review — the match is put on hold)"
             },
             comment: {
               type: "string",
-              description: "Optional comment from the user about why they're approving/rejecting"
+              description: "Optional comment from the user about why they're approving/rejecting, or what happened for a report"
+            },
+            reason: {
+              type: "string",
+              enum: ["harassment", "sexual_content", "contact_pressure", "spam", "fake_profile", "safety_concern", "other"],
+              description: "For report: what kind of problem it was"
+            },
+            block: {
+              type: "boolean",
+              description: "For report: also block this person"
+            }
+          },
+          required: ["matchId", "action"]
+        }
+      },
+      {
+        name: "manage_introduction",
+        description: "Work on the introduction for a mutual match: show the drafted intro, edit it, approve it and choose which contact channels to share, decline it, propose or accept meeting times, or record how the meeting went. Contact details are only exchanged once both people approve the intro. Use when the user says 'show me the intro', 'change the intro to...', 'send it, share my email', 'I can do Tuesday 3pm or Wednesday 10am', 'Tuesday works', 'we met, it was great', etc.",
+        parameters: {
+          type: "object",
+          properties: {
+            matchId: {
+              type: "string",
+              description: "The ID of the mutual match"
+            },
+            action: {
+              type: "string",
+              enum: ["show", "edit", "approve", "decline", "propose_times", "accept_time", "feedback"],
+              description: "show (current state), edit (replace the intro text), approve (approve this version and share the chosen channels), decline (withdraw before it goes out), propose_times, accept_time, feedback (after the meeting)"
+            },
+            text: {
+              type: "string",
+              description: "For edit: the full new intro text"
+            },
+            channels: {
+              type: "array",
+              items: { type: "string", enum: ["email", "whatsapp", "linkedIn", "twitter"] },
+              description: "For approve: which of the user's contact channels to reveal (ask if unclear)"
+            },
+            slots: {
+              type: "array",
+              items: { type: "string" },
+              description: "For propose_times: up to 5 times in natural language or ISO, in the user's timezone"
+            },
+            slot: {
+              type: "string",
+              description: "For accept_time: the ISO time exactly as listed in theirSlots"
+            },
+            happened: {
+              type: "boolean",
+              description: "For feedback: did the meeting/conversation actually happen"
+            },
+            rating: {
+              type: "number",
+              description: "For feedback: 1-5, how good a match it turned out to be (required if it happened)"
+            },
+            wouldMeetAgain: {
+              type: "boolean",
+              description: "For feedback: would they meet again"
+            },
+            note: {
+              type: "string",
+              description: "For feedback: anything else the user said about it"
             }
           },
           required: ["matchId", "action"]
@@ -1009,43 +675,54 @@ const tools = [
   }
 ];
 
-// ===================== HELPER FUNCTIONS =====================
+// ===================== TOOL ACCESS CONTROL =====================
+// Private (owner) chats may use every tool. Public link visitors only get tools
+// that are scoped to the visitor or read public data — never settings, the
+// owner's knowledge base listing, beliefs or matching.
+const PUBLIC_TOOLS = [
+  'search_memory',
+  'browse_url',
+  'analyze_image',
+  'web_search',
+  'save_memory',
+  'update_mental_model',
+  'get_mental_model'
+];
 
-// Rate limit check for public context (50 messages per hour per visitor)
-async function checkRateLimit(visitorId, userId) {
-  try {
-    const now = Date.now();
-    const hourAgo = now - (60 * 60 * 1000);
+function isToolAllowed(toolName, context = 'private') {
+  if (context === 'private') return true;
+  if (context === 'public') return PUBLIC_TOOLS.includes(toolName);
+  return false;
+}
 
-    // Check visitor's rate limit
-    const rateLimitDoc = await db.collection('rateLimits').doc(`visitor_${visitorId}`).get();
+// Gemini-style tool groups filtered down to what this context may call
+function getToolsForContext(context = 'private') {
+  return tools.map(group => ({
+    function_declarations: group.function_declarations.filter(fd => isToolAllowed(fd.name, context))
+  })).filter(group => group.function_declarations.length > 0);
+}
 
-    if (rateLimitDoc.exists) {
-      const requests = rateLimitDoc.data().requests || [];
-      const recentRequests = requests.filter(timestamp => timestamp > hourAgo);
+// Short status shown by streaming clients while a tool runs
+const TOOL_STATUS_LABELS = {
+  search_memory: 'Recalling...',
+  browse_url: 'Reading the page...',
+  analyze_image: 'Looking at the image...',
+  web_search: 'Searching the web...',
+  save_memory: 'Remembering...',
+  create_reminder: 'Setting a reminder...',
+  create_pdf: 'Creating PDF...',
+  find_people: 'Looking for people...'
+};
 
-      if (recentRequests.length >= 50) {
-        throw new Error('Rate limit exceeded: Maximum 50 messages per hour');
-      }
+// Tools that only read state, safe to run side by side. Every other tool runs one at a time,
+// in the order the model asked, so two writes in one turn can't race each other.
+const PARALLEL_SAFE_TOOLS = new Set([
+  'search_memory', 'browse_url', 'analyze_image', 'web_search',
+  'get_active_searches', 'get_beliefs', 'get_knowledge_base', 'get_link_behavior',
+  'get_link_conversations', 'get_link_settings', 'get_mental_model', 'list_reminders'
+]);
 
-      // Update with new request
-      await db.collection('rateLimits').doc(`visitor_${visitorId}`).set({
-        requests: [...recentRequests, now],
-        lastUpdated: admin.firestore.FieldValue.serverTimestamp()
-      });
-    } else {
-      // First request
-      await db.collection('rateLimits').doc(`visitor_${visitorId}`).set({
-        requests: [now],
-        lastUpdated: admin.firestore.FieldValue.serverTimestamp()
-      });
-    }
-
-    return true;
-  } catch (error) {
-    throw error;
-  }
-}
+// ===================== HELPER FUNCTIONS =====================
 
 // Load training data (Q&As, Teachings, Facts) for the mindclone
 async function loadTrainingData(userId, context = 'private') {
@@ -1185,7 +862,8 @@ async function loadKnowledgeBase(userId, context = 'private') {
       sections: configData.sections || {},
       pitch_deck: configData.pitch_deck || null,
       financial_model: configData.financial_model || null,
-      documents: filteredDocuments
+      documents: filteredDocuments,
+      chunksUpdatedAt: docsData.chunksUpdatedAt || null
     };
   } catch (error) {
     console.error('[Chat] Error loading knowledge base:', error);
@@ -1195,10 +873,13 @@ async function loadKnowledgeBase(userId, context = 'private') {
 
 // Save message based on context
 // Private context: save to users/{userId}/messages/
-// Public context: save to users/{userId}/visitors/{visitorId}/messages/
-async function saveMessage(userId, role, content, context = 'private', visitorId = null) {
+// Public context: save to users/{userId}/visitors/{visitorId}/messages/ and update the visitor's lead record
+// Private messages may carry a threadId (_threads.js); visitor messages their detected language (_language.js)
+// Returns the new message id, or null if nothing was saved
+async function saveMessage(userId, role, content, context = 'private', visitorId = null, threadId = null, language = null) {
   try {
     let messageRef;
+    let visitorRecord = null;
 
     if (context === 'private') {
       // Save to owner's private messages collection
@@ -1210,19 +891,10 @@ async function saveMessage(userId, role, content, context = 'private', visitorId
         .collection('visitors').doc(visitorId)
         .collection('messages').doc();
 
-      // Update visitor metadata (firstVisit, lastVisit)
-      const visitorRef = db.collection('users').doc(userId)
-        .collection('visitors').doc(visitorId);
-
-      const visitorDoc = await visitorRef.get();
-      if (!visitorDoc.exists) {
-        // First visit — notify owner via WhatsApp
-        await visitorRef.set({
-          firstVisit: admin.firestore.FieldValue.serverTimestamp(),
-          lastVisit: admin.firestore.FieldValue.serverTimestamp()
-        });
-
-        // Send WhatsApp notification for new visitor (non-blocking)
+      // Update the visitor's lead record (_visitor-crm.js)
+      visitorRecord = await recordVisitorMessage(db, userId, visitorId, { role, content, language });
+      if (visitorRecord.isNew) {
+        // First visit — notify owner via WhatsApp (non-blocking)
         if (role === 'user' && content) {
           try {
             const { queueWhatsApp } = require('./_whatsapp');
@@ -1233,15 +905,10 @@ async function saveMessage(userId, role, content, context = 'private', visitorId
             console.log(`[Chat] WhatsApp visitor notification failed (non-fatal): ${waErr.message}`);
           }
         }
-      } else {
-        // Update last visit
-        await visitorRef.update({
-          lastVisit: admin.firestore.FieldValue.serverTimestamp()
-        });
       }
     } else {
       console.error('[Chat] Invalid context or missing visitorId for message save');
-      return;
+      return null;
     }
 
     const messageData = {
@@ -1250,11 +917,36 @@ async function saveMessage(userId, role, content, context = 'private', visitorId
       context: context, // Mark as 'private' or 'public'
       timestamp: admin.firestore.FieldValue.serverTimestamp()
     };
+    if (threadId) messageData.threadId = threadId;
+    if (language) messageData.language = language;
 
     await messageRef.set(messageData);
     console.log(`[Chat] Saved ${context} message (role: ${role})`);
+
+    // Keep the semantic memory index current (search_memory)
+    if (typeof content === 'string' && content.trim()) {
+      try {
+        await indexMessage(db, userId, {
+          messageId: messageRef.id,
+          role,
+          content,
+          visitorId: context === 'public' ? visitorId : null
+        });
+      } catch (indexError) {
+        console.error(`[Chat] Memory index update failed (non-fatal): ${indexError.message}`);
+      }
+    }
+
+    // Refresh the visitor's lead profile after the reply to a message that asked for it.
+    // It's an LLM call, so it runs in the background instead of holding up the reply.
+    if (visitorRecord?.shouldExtract) {
+      runInBackground(() => extractVisitorProfile(db, userId, visitorId), `Visitor profile extraction for ${visitorId}`);
+    }
+
+    return messageRef.id;
   } catch (error) {
     console.error('[Chat] Error saving message:', error);
+    return null;
   }
 }
 
@@ -1283,6 +975,8 @@ async function handleGetLinkSettings(userId) {
         displayName: settingsData.displayName || userData.displayName || '',
         bio: settingsData.bio || '',
         customGreeting: settingsData.customGreeting || '',
+        supportedLanguages: settingsData.supportedLanguages || [],
+        greetings: settingsData.greetings || {},
         knowledgeBaseEnabled: userData.knowledgeBaseEnabled || false,
         gender: settingsData.gender || null
       }
@@ -1321,6 +1015,25 @@ async function handleUpdateLinkSettings(userId, params) {
     if (params.customGreeting !== undefined) {
       linkSettingsUpdates.customGreeting = params.customGreeting;
     }
+    if (params.supportedLanguages !== undefined || params.languageGreeting !== undefined) {
+      const validation = validateLanguageSettings({
+        supportedLanguages: params.supportedLanguages,
+        greetings: params.languageGreeting ? { [params.languageGreeting.language]: params.languageGreeting.text || '' } : undefined
+      });
+      if (!validation.success) {
+        return { success: false, error: validation.error };
+      }
+      if (validation.settings.supportedLanguages) {
+        linkSettingsUpdates.supportedLanguages = validation.settings.supportedLanguages;
+      }
+      if (params.languageGreeting) {
+        // Merge into the existing per-language greetings; an empty text removes that language's
+        const { language } = params.languageGreeting;
+        linkSettingsUpdates.greetings = {
+          [language]: validation.settings.greetings[language] || admin.firestore.FieldValue.delete()
+        };
+      }
+    }
     if (params.gender !== undefined) {
       const validGenders = ['male', 'female', 'non-binary', 'prefer-not-to-say'];
       if (!validGenders.includes(params.gender)) {
@@ -1451,6 +1164,11 @@ async function handleFindPeople(userId, args) {
     const { intent, urgency = 'whenever', additionalContext = '' } = args;
     console.log('[Tool] Find people request:', { userId, intent, urgency });
 
+    const steering = validateSteering({ mustAsk: args.mustAsk || [], dealBreakers: args.dealBreakers || [] });
+    if (!steering.success) {
+      return { success: false, error: steering.error };
+    }
+
     // Step 1: Extract search criteria from the natural language intent
     const extractedCriteria = await extractSearchCriteria(intent, additionalContext);
     console.log('[Tool] Extracted criteria:', extractedCriteria);
@@ -1469,6 +1187,8 @@ async function handleFindPeople(userId, args) {
       additionalContext,
       urgency,
       status: 'searching',
+      // What the mindclone must ask and rule out in this search's M2M conversations (_m2m-steering.js)
+      steering: { mustAsk: [], dealBreakers: [], ...steering.steering },
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       matches: [],
       cognitiveProfileSnapshot: cognitiveProfile
@@ -1799,12 +1519,14 @@ async function findPotentialMatches(userId, criteria, userProfile) {
 
     // Get all active profiles (we'll filter in memory for flexibility)
     const snapshot = await query.limit(100).get();
+    const blocked = await getBlockedUserIds(db, userId);
 
     for (const doc of snapshot.docs) {
-      // Skip self
-      if (doc.id === userId) continue;
+      // Skip self, anyone blocked either way, and profiles on a safety hold
+      if (doc.id === userId || blocked.has(doc.id)) continue;
 
       const profile = doc.data();
+      if (profile.safetyHold) continue;
 
       // Calculate compatibility score
       const score = calculateQuickCompatibility(criteria, userProfile, profile);
@@ -1885,18 +1607,27 @@ function generateMatchReason(criteria, profile) {
   return reasons.length > 0 ? reasons.join(', ') : 'matches your criteria';
 }
 
+// find_people purposes (extractSearchCriteria) -> matching MATCH_TYPES
+const SEARCH_PURPOSE_MATCH_TYPES = {
+  fundraising: 'investing',
+  hiring: 'hiring',
+  dating: 'dating'
+};
+
 // Initiate M2M conversation
 async function initiateM2MConversation(userAId, userBId, searchId, criteria) {
   try {
     const conversationId = `m2m_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const matchType = SEARCH_PURPOSE_MATCH_TYPES[criteria?.purpose] || 'networking';
 
-    // Create conversation record
+    // Create conversation record (completedAt: null so the matching heartbeat picks it up)
     const conversationData = {
       conversationId,
       userA_id: userAId,
       userB_id: userBId,
       searchId,
       criteria,
+      matchType,
       status: 'initiated',
       currentRound: 0,
       messages: [],
@@ -1905,7 +1636,8 @@ async function initiateM2MConversation(userAId, userBId, searchId, criteria) {
         topicsExplored: [],
         questionsAsked: []
       },
-      createdAt: admin.firestore.FieldValue.serverTimestamp()
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      completedAt: null
     };
 
     await db.collection('matchingConversations').doc(conversationId).set(conversationData);
@@ -1918,6 +1650,7 @@ async function initiateM2MConversation(userAId, userBId, searchId, criteria) {
       userB_id: userBId,
       conversationId,
       searchId,
+      matchType,
       status: 'active',
       human_approval: {
         userA_approved: null,
@@ -1986,6 +1719,7 @@ async function handleGetActiveSearches(userId) {
         intent: search.intent,
         status: search.status,
         createdAt: search.createdAt?.toDate?.()?.toISOString() || null,
+        steering: search.steering || null,
         matchCount: matches.length,
         matches: matches.map(m => ({
           matchId: m.matchId,
@@ -2033,6 +1767,11 @@ async function handleRespondToMatch(userId, args) {
 
     const match = matchDoc.data();
 
+    // Frozen (under review), blocked and removed matches can't be approved or rejected
+    if (['frozen', 'blocked', 'removed'].includes(match.status) && ['approve', 'reject'].includes(action)) {
+      return { success: false, error: match.status === 'frozen' ? 'This match is on hold while a report is reviewed' : 'This match is closed' };
+    }
+
     // Determine which user this is
     const isUserA = match.userA_id === userId;
     const approvalField = isUserA ? 'userA_approved' : 'userB_approved';
@@ -2051,30 +1790,22 @@ async function handleRespondToMatch(userId, args) {
       const otherApproved = match.human_approval?.[otherApprovalField];
 
       if (otherApproved === true) {
-        // Mutual match! Reveal contact info
+        // Mutual match! Contact details go through a double-opt-in intro
         await db.collection('matches').doc(matchId).update({
-          status: 'approved'
+          status: 'approved',
+          approvedAt: admin.firestore.FieldValue.serverTimestamp()
         });
 
-        // Get other user's contact info
-        const otherUserId = isUserA ? match.userB_id : match.userA_id;
-        const otherUserDoc = await db.collection('users').doc(otherUserId).get();
-        const otherLinkSettings = await db.collection('users').doc(otherUserId)
-          .collection('linkSettings').doc('config').get();
-
-        const otherUserData = otherUserDoc.data() || {};
-        const otherSettings = otherLinkSettings.data() || {};
+        const intro = await startIntroduction(db, { id: matchId, ...match, status: 'approved' });
+        if (!intro.success) {
+          return { success: false, error: `Matched, but the intro couldn't be drafted: ${intro.error}` };
+        }
 
         return {
           success: true,
           mutualMatch: true,
-          message: "It's a match! They also want to connect with you. Here's how you can reach them:",
-          contact: {
-            displayName: otherSettings.displayName || otherUserData.displayName || 'Your match',
-            email: otherUserData.email,
-            whatsapp: otherSettings.whatsappNumber || null,
-            preferredContact: otherSettings.preferredContact || 'email'
-          }
+          message: "It's a match! They also want to connect with you. Here's the intro I drafted — the user can edit it, and needs to approve it and choose which contact channels to share (manage_introduction). Contact details are exchanged once both approve.",
+          introduction: await serializeIntroductionFor(db, intro.introduction, userId)
         };
       } else {
         return {
@@ -2127,6 +1858,30 @@ async function handleRespondToMatch(userId, args) {
         conversationSummary,
         message: "Here's what I know about them from our conversation..."
       };
+    } else if (action === 'block') {
+      if (!isUserA && match.userB_id !== userId) {
+        return { success: false, error: 'Match not found' };
+      }
+      const otherUserId = isUserA ? match.userB_id : match.userA_id;
+      const result = await blockUser(db, userId, otherUserId, { reason: comment || null, matchId });
+      if (!result.success) return result;
+      return {
+        success: true,
+        message: "Done — they're blocked. Your mindclones won't talk again and neither of you will be matched with the other."
+      };
+    } else if (action === 'report') {
+      const result = await reportMatch(db, userId, {
+        matchId,
+        reason: REPORT_REASONS.includes(args.reason) ? args.reason : 'other',
+        details: comment || null,
+        block: args.block === true
+      });
+      if (!result.success) return { success: false, error: result.error };
+      return {
+        success: true,
+        blocked: result.blocked,
+        message: `Thanks for reporting it. The match is on hold and nothing more will be shared while it's reviewed.${result.blocked ? " They're also blocked." : ''}`
+      };
     }
 
     return { success: false, error: 'Invalid action' };
@@ -2136,6 +1891,52 @@ async function handleRespondToMatch(userId, args) {
   }
 }
 
+// Work on the double-opt-in intro for a mutual match (see _introductions.js)
+async function handleManageIntroduction(userId, args) {
+  try {
+    const { matchId, action } = args;
+    console.log('[Tool] Manage introduction:', { userId, matchId, action });
+
+    const introduction = matchId ? await getIntroduction(db, matchId) : null;
+    if (!introduction || (introduction.userA_id !== userId && introduction.userB_id !== userId)) {
+      return { success: false, error: 'No introduction found for this match' };
+    }
+
+    let result = { success: true };
+    switch (action) {
+      case 'show':
+        break;
+      case 'edit':
+        result = await editIntroductionDraft(db, matchId, userId, args.text);
+        break;
+      case 'approve':
+        result = await approveIntroduction(db, matchId, userId, { channels: args.channels });
+        break;
+      case 'decline':
+        result = await declineIntroduction(db, matchId, userId);
+        break;
+      case 'propose_times':
+        result = await proposeMeetingSlots(db, matchId, userId, args.slots);
+        break;
+      case 'accept_time':
+        result = await acceptMeetingSlot(db, matchId, userId, args.slot);
+        break;
+      case 'feedback':
+        result = await submitIntroFeedback(db, matchId, userId, args);
+        break;
+      default:
+        return { success: false, error: 'Invalid action' };
+    }
+    if (!result.success) return result;
+
+    const updated = await getIntroduction(db, matchId);
+    return { ...result, introduction: await serializeIntroductionFor(db, updated, userId) };
+  } catch (error) {
+    console.error('[Tool] Error managing introduction:', error);
+    return { success: false, error: error?.message };
+  }
+}
+
 // Get knowledge base documents
 async function handleGetKnowledgeBase(userId) {
   try {
@@ -2234,6 +2035,12 @@ async function handleGetLinkConversations(userId, params = {}) {
           visitorId: visitorId.substring(0, 8) + '...', // Anonymize
           messageCount: messagesSnapshot.size,
           lastVisit: visitorData.lastVisit?.toDate?.()?.toISOString() || null,
+          lead: { // Visitor CRM record (_visitor-crm.js)
+            name: visitorData.profile?.name || null,
+            company: visitorData.profile?.company || null,
+            intent: visitorData.profile?.intent || null,
+            status: visitorData.status || 'new'
+          },
           messages: messages
         });
       }
@@ -2256,7 +2063,8 @@ async function handleGetLinkConversations(userId, params = {}) {
   }
 }
 
-// Search through conversation history in Firestore
+// Search through conversation history and saved memories
+// Hybrid semantic + keyword ranking over the memory index (see _memory-index.js)
 async function handleSearchMemory(userId, params = {}, context = 'private', visitorId = null) {
   try {
     const query = params.query;
@@ -2266,6 +2074,17 @@ async function handleSearchMemory(userId, params = {}, context = 'private', visi
       return { success: false, error: 'Search query is required' };
     }
 
+    const dateFrom = params.date_from ? new Date(params.date_from) : null;
+    const dateTo = params.date_to ? new Date(params.date_to) : null;
+    if ((dateFrom && isNaN(dateFrom.getTime())) || (dateTo && isNaN(dateTo.getTime()))) {
+      return { success: false, error: 'date_from and date_to must be ISO dates (e.g. 2025-01-31)' };
+    }
+    // A bare date as the upper bound means "through the end of that day"
+    if (dateTo && /^\d{4}-\d{2}-\d{2}$/.test(params.date_to)) {
+      dateTo.setUTCHours(23, 59, 59, 999);
+    }
+    const role = ['user', 'assistant'].includes(params.role) ? params.role : null;
+
     // For public context, search visitor's conversation history (not owner's memories)
     const isPublicContext = context === 'public' && visitorId;
 
@@ -2273,94 +2092,32 @@ async function handleSearchMemory(userId, params = {}, context = 'private', visi
       console.log(`[Memory Search] Searching visitor ${visitorId}'s conversations for "${query}"`);
     } else {
       console.log(`[Memory Search] Searching for "${query}" in user ${userId}'s messages and saved memories`);
-    }
-
-    // Get messages from the appropriate collection
-    let messagesSnapshot;
-    if (isPublicContext) {
-      // For public context, search visitor's messages
-      messagesSnapshot = await db.collection('users').doc(userId)
-        .collection('visitors').doc(visitorId)
-        .collection('messages')
-        .orderBy('timestamp', 'desc')
-        .limit(1000)
-        .get();
-    } else {
-      // For private context, search owner's messages
-      messagesSnapshot = await db.collection('users').doc(userId)
-        .collection('messages')
-        .orderBy('timestamp', 'desc')
-        .limit(1000)
-        .get();
-    }
-
-    // For public context, skip owner's saved memories (they're private)
-    // For private context, fetch saved memories
-    let memoriesSnapshot = { docs: [], empty: true };
-    if (!isPublicContext) {
-      memoriesSnapshot = await db.collection('users').doc(userId)
-        .collection('memories')
-        .orderBy('createdAt', 'desc')
-        .limit(100)
-        .get();
-    }
-
-    // Search for query in message content (case-insensitive)
-    const searchLower = query.toLowerCase();
-    const matches = [];
-    const savedMemoryMatches = [];
-
-    // Search through saved memories first (these are explicitly saved notes)
-    memoriesSnapshot.docs.forEach(doc => {
-      const data = doc.data();
-      const content = data.content || '';
-
-      if (content.toLowerCase().includes(searchLower)) {
-        savedMemoryMatches.push({
-          type: 'saved_memory',
-          content: content,
-          category: data.category || 'other',
-          timestamp: data.createdAt?.toDate?.()?.toISOString() || null
-        });
-      }
-    });
-
-    if (savedMemoryMatches.length > 0) {
-      console.log(`[Memory Search] Found ${savedMemoryMatches.length} saved memories matching "${query}"`);
-    }
-
-    if (messagesSnapshot.empty && savedMemoryMatches.length === 0) {
-      return {
-        success: true,
-        query: query,
-        matchCount: 0,
-        matches: [],
-        instruction: "No conversation history or saved notes found. Tell the user you don't have any record of this yet."
-      };
-    }
-
-    messagesSnapshot.docs.forEach(doc => {
-      const data = doc.data();
-      const content = data.content || '';
+    }
 
-      if (content.toLowerCase().includes(searchLower)) {
-        matches.push({
-          role: data.role,
-          content: content,
-          timestamp: data.timestamp?.toDate?.()?.toISOString() || null,
-          // Include a snippet with context around the match
-          matchContext: extractMatchContext(content, searchLower)
-        });
-      }
+    const results = await searchMemoryIndex(db, userId, query, {
+      visitorId: isPublicContext ? visitorId : null,
+      // Role filter applies to messages; saved memories are the owner's own notes
+      sourceType: isPublicContext || role ? 'message' : null,
+      role,
+      dateFrom,
+      dateTo,
+      limit: limit + 10
     });
 
-    // Return limited results, oldest first to show chronological order of mentions
-    const limitedMatches = matches.slice(0, limit).reverse();
+    const savedMemoryMatches = results.filter(r => r.sourceType === 'memory').slice(0, 10);
+    const matches = results.filter(r => r.sourceType === 'message').slice(0, limit);
+
+    if (savedMemoryMatches.length > 0) {
+      console.log(`[Memory Search] Found ${savedMemoryMatches.length} saved memories matching "${query}"`);
+    }
+
+    // Present the most relevant messages in chronological order of mention
+    const limitedMatches = [...matches].sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
 
-    console.log(`[Memory Search] Found ${matches.length} matches for "${query}", returning ${limitedMatches.length}`);
+    console.log(`[Memory Search] Found ${matches.length} relevant messages for "${query}" (top score ${results[0]?.score?.toFixed(2) || 0})`);
 
-    // Build a summary of what we found - prioritize user messages as they contain facts
-    const userMessages = limitedMatches.filter(m => m.role === 'user').map(m => m.content);
+    // Build a summary of what we found - prioritize user messages as they contain facts (most relevant first)
+    const userMessages = matches.filter(m => m.role === 'user').map(m => m.text);
 
     // Total matches including saved memories
     const totalMatches = matches.length + savedMemoryMatches.length;
@@ -2371,7 +2128,7 @@ async function handleSearchMemory(userId, params = {}, context = 'private', visi
       // Prioritize saved memories since they are explicitly saved notes
       instruction = `IMPORTANT: You found ${savedMemoryMatches.length} SAVED NOTE(S) about "${query}" that you previously noted down. These are facts the user explicitly asked you to remember. USE THIS INFORMATION DIRECTLY to answer. Also found ${matches.length} conversation messages.`;
     } else if (matches.length > 0) {
-      instruction = `IMPORTANT: You found ${matches.length} messages about "${query}". READ THE MATCHES BELOW CAREFULLY and extract the SPECIFIC FACTS to answer the user. Do NOT give vague answers like "likely" or "seems to be" - use the EXACT information from the messages. If the user asked who someone is, tell them the specific relationship. If they asked about a date, give the exact date. The user's own messages are the source of truth.`;
+      instruction = `IMPORTANT: You found ${matches.length} messages related to "${query}" (matches can be paraphrases — e.g. a question about a "wedding" may match a message about a "marriage"). READ THE MATCHES BELOW CAREFULLY and extract the SPECIFIC FACTS to answer the user. Do NOT give vague answers like "likely" or "seems to be" - use the EXACT information from the messages. If the user asked who someone is, tell them the specific relationship. If they asked about a date, give the exact date. The user's own messages are the source of truth.`;
     } else {
       instruction = `No messages or saved notes found mentioning "${query}". You genuinely don't remember this - you haven't talked about "${query}" before. Respond naturally like a person who doesn't recognize the name: "I don't think you've mentioned Nishant to me before. Who is he?" or "Hmm, I'm not sure - have we talked about them?". Invite them to tell you more. DO NOT say "no record" or "database" or "memory search".`;
     }
@@ -2383,15 +2140,16 @@ async function handleSearchMemory(userId, params = {}, context = 'private', visi
       instruction: instruction,
       // Saved memories are highest priority - these are explicit notes
       savedNotes: savedMemoryMatches.map(m => ({
-        note: m.content,
-        category: m.category,
+        note: m.text,
+        category: m.category || 'other',
         when: m.timestamp
       })),
       userSaidAboutThis: userMessages.slice(0, 5), // Most important - what user themselves said
       allMatches: limitedMatches.map(m => ({
         who: m.role === 'user' ? 'USER SAID' : 'YOU SAID',
         when: m.timestamp,
-        message: m.content.substring(0, 500) // Truncate long messages
+        relevance: Math.round(m.score * 100) / 100,
+        message: m.text.substring(0, 500) // Truncate long messages
       }))
     };
   } catch (error) {
@@ -2400,26 +2158,9 @@ async function handleSearchMemory(userId, params = {}, context = 'private', visi
   }
 }
 
-// Helper to extract context around a match
-function extractMatchContext(content, searchTerm) {
-  const lowerContent = content.toLowerCase();
-  const matchIndex = lowerContent.indexOf(searchTerm);
-
-  if (matchIndex === -1) return content.substring(0, 200);
-
-  // Get 100 chars before and after the match
-  const start = Math.max(0, matchIndex - 100);
-  const end = Math.min(content.length, matchIndex + searchTerm.length + 100);
-
-  let context = content.substring(start, end);
-  if (start > 0) context = '...' + context;
-  if (end < content.length) context = context + '...';
-
-  return context;
-}
-
 // Save a memory/note to Firestore
-async function handleSaveMemory(userId, params = {}) {
+// options.ownerId: set for public chat — the write goes through the owner's review queue
+async function handleSaveMemory(userId, params = {}, provenance = {}, options = {}) {
   try {
     const { content, category = 'other' } = params;
 
@@ -2429,21 +2170,34 @@ async function handleSaveMemory(userId, params = {}) {
 
     console.log(`[Save Memory] Saving memory for user ${userId}: "${content.substring(0, 50)}..."`);
 
-    // Save to the memories subcollection
-    const memoryRef = db.collection('users').doc(userId).collection('memories');
-    const docRef = await memoryRef.add({
-      content: content.trim(),
-      category: category,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      source: 'chat'
-    });
+    if (options.ownerId) {
+      const submitted = await submitChange(db, options.ownerId, {
+        kind: 'memory',
+        source: 'public-chat',
+        targetId: userId,
+        summary: `Remember about a visitor: ${content}`,
+        diff: { before: null, after: { content, category } },
+        payload: { content, category, source: 'chat', provenance }
+      });
+      if (!submitted.applied && !submitted.queued) {
+        return { success: false, error: submitted.error };
+      }
+      return {
+        success: true,
+        message: `Got it!`,
+        instruction: `Memory saved successfully. DO NOT say "I've noted" or "I'll remember" - memory is automatic. Just naturally continue the conversation.`
+      };
+    }
 
-    console.log(`[Save Memory] Memory saved with ID: ${docRef.id}`);
+    // Save to the memories subcollection (indexed for search_memory, with the message that prompted it)
+    const memoryId = await createMemory(db, userId, { content, category, source: 'chat', provenance });
+
+    console.log(`[Save Memory] Memory saved with ID: ${memoryId}`);
 
     return {
       success: true,
       message: `Got it!`,
-      memoryId: docRef.id,
+      memoryId,
       instruction: `Memory saved successfully. DO NOT say "I've noted" or "I'll remember" - memory is automatic. Just naturally continue the conversation.`
     };
   } catch (error) {
@@ -2452,6 +2206,70 @@ async function handleSaveMemory(userId, params = {}) {
   }
 }
 
+// Create a reminder (delivered by the reminders cron)
+async function handleCreateReminder(userId, params = {}) {
+  try {
+    const result = await createReminder(db, userId, {
+      text: params.text,
+      when: params.when,
+      recurrence: params.recurrence || null,
+      source: 'chat'
+    });
+    if (!result.success) {
+      return { success: false, error: result.error, instruction: 'Ask the user to clarify — in plain words, without mentioning tools or parsing.' };
+    }
+    const { reminder } = result;
+    return {
+      success: true,
+      reminder,
+      instruction: `Reminder set for ${reminder.nextFireAtLocal}${reminder.repeats ? ` (${reminder.repeats})` : ''}. Confirm briefly and naturally with the day and time so they can correct it if it's wrong.`
+    };
+  } catch (error) {
+    console.error('[Tool] Error creating reminder:', error);
+    return { success: false, error: error?.message };
+  }
+}
+
+// List the user's reminders
+async function handleListReminders(userId, params = {}) {
+  try {
+    const reminders = await listReminders(db, userId, { includeInactive: params.includeInactive === true });
+    return {
+      success: true,
+      count: reminders.length,
+      reminders: reminders.map(r => ({
+        id: r.id,
+        text: r.text,
+        status: r.status,
+        when: r.nextFireAtLocal,
+        repeats: r.repeats
+      }))
+    };
+  } catch (error) {
+    console.error('[Tool] Error listing reminders:', error);
+    return { success: false, error: error?.message };
+  }
+}
+
+// Cancel a reminder by ID or text
+async function handleCancelReminder(userId, params = {}) {
+  try {
+    const result = await cancelReminder(db, userId, { reminderId: params.reminderId || null, query: params.query || null });
+    if (!result.success && result.matches) {
+      return {
+        success: false,
+        error: result.error,
+        matches: result.matches.map(r => ({ id: r.id, text: r.text, when: r.nextFireAtLocal })),
+        instruction: 'Ask which of these they meant.'
+      };
+    }
+    return result;
+  } catch (error) {
+    console.error('[Tool] Error cancelling reminder:', error);
+    return { success: false, error: error?.message };
+  }
+}
+
 // Browse URL - fetch and extract text from a webpage
 async function handleBrowseUrl(params = {}) {
   try {
@@ -2646,58 +2464,36 @@ async function handleAnalyzeImage(args) {
       mimeType = 'image/jpeg'; // Default
     }
 
-    // Call Claude vision API
-    const apiKey = process.env.ANTHROPIC_API_KEY;
+    // Vision call through the shared LLM layer — Claude primary, Gemini fallback
     const prompt = question || 'Describe this image in detail. What do you see? Include any text, people, objects, and the overall scene.';
 
-    console.log(`[Vision] Using Claude claude-sonnet-4-5-20250929`);
-
-    const visionResponse = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 1024,
-        messages: [{
-          role: 'user',
-          content: [
-            {
-              type: 'image',
-              source: {
-                type: 'base64',
-                media_type: mimeType,
-                data: base64Image
-              }
-            },
-            { type: 'text', text: prompt }
-          ]
-        }]
-      })
-    });
+    const visionResult = await complete({
+      max_tokens: 1024,
+      messages: [{
+        role: 'user',
+        content: [
+          {
+            type: 'image',
+            source: {
+              type: 'base64',
+              media_type: mimeType,
+              data: base64Image
+            }
+          },
+          { type: 'text', text: prompt }
+        ]
+      }]
+    }, { providers: ['claude', 'gemini'], minimalFallback: false, label: 'vision' });
 
-    if (!visionResponse.ok) {
-      const errorData = await visionResponse.json().catch(() => ({}));
-      console.error('[Tool] Claude vision API error:', errorData.error);
+    if (!visionResult.ok) {
+      console.error('[Tool] Vision API error:', visionResult.error);
       return {
         success: false,
-        error: `Vision API error: ${visionResponse.status} - ${errorData.error?.message || ''}`
+        error: `Vision API error: ${visionResult.error}`
       };
     }
 
-    const visionData = await visionResponse.json();
-    // Claude returns content as array of content blocks
-    const analysis = visionData.content?.map(c => c.text).join('') || visionData.choices?.[0]?.message?.content;
-
-    if (!analysis) {
-      return {
-        success: false,
-        error: 'No analysis returned from vision API'
-      };
-    }
+    const analysis = visionResult.data.choices[0].message.content;
 
     return {
       success: true,
@@ -2986,10 +2782,8 @@ async function handleCreatePdf(userId, params = {}) {
       }
     }
 
-    // Add footer with generation date
-    const dateStr = new Date().toLocaleDateString('en-US', {
-      year: 'numeric', month: 'long', day: 'numeric'
-    });
+    // Add footer with generation date (the owner's calendar and date format)
+    const dateStr = formatInZone(new Date(), await getUserLocale(db, userId), 'date');
     page.drawText(`Generated on ${dateStr}`, {
       x: margin,
       y: 30,
@@ -3033,9 +2827,10 @@ async function handleCreatePdf(userId, params = {}) {
 }
 
 // Handle update_mental_model tool - update user's mental model
-async function handleUpdateMentalModel(userId, params = {}) {
+// options.ownerId: set for public chat — the write goes through the owner's review queue
+async function handleUpdateMentalModel(userId, params = {}, turn = {}, options = {}) {
   try {
-    const { type, content, confidence, source, valence, arousal, priority, relevance } = params;
+    const { type, content, confidence, source, valence, arousal, priority, relevance, status, evidence, blockers, role, sentiment } = params;
 
     if (!type || !content) {
       return { success: false, error: 'Type and content are required' };
@@ -3047,7 +2842,8 @@ async function handleUpdateMentalModel(userId, params = {}) {
       type,
       content,
       confidence: confidence || 0.7,
-      source: source || 'inferred from conversation'
+      source: source || 'inferred from conversation',
+      messageIds: turn.messageIds || []
     };
 
     // Add type-specific fields
@@ -3056,11 +2852,34 @@ async function handleUpdateMentalModel(userId, params = {}) {
       update.arousal = arousal;
     } else if (type === 'goal') {
       update.priority = priority;
+      update.status = status;
+      update.blockers = blockers;
+    } else if (type === 'goal_status') {
+      update.status = status;
+      update.evidence = evidence;
+      update.blockers = blockers;
     } else if (type === 'knowledge_gap') {
       update.relevance = relevance;
+    } else if (type === 'relationship') {
+      update.role = role;
+      update.sentiment = sentiment;
     }
 
-    const result = await updateMentalModel(db, userId, update);
+    let result;
+    if (options.ownerId) {
+      const submitted = await submitChange(db, options.ownerId, {
+        kind: 'mental_model',
+        source: 'public-chat',
+        targetId: userId,
+        summary: `Visitor ${type}: ${content}`,
+        confidence: update.confidence,
+        diff: { before: null, after: { type, content } },
+        payload: update
+      });
+      result = submitted.applied || submitted.queued ? { success: true } : { success: false, error: submitted.error };
+    } else {
+      result = await updateMentalModel(db, userId, update);
+    }
 
     return {
       success: result.success,
@@ -3096,7 +2915,7 @@ async function handleGetMentalModel(userId) {
 // Handle form_belief tool - form or update Mindclone's own belief
 async function handleFormBelief(userId, params = {}) {
   try {
-    const { content, type, confidence, basis, relatedTo } = params;
+    const { content, type, confidence, basis, relatedTo, contradicts } = params;
 
     if (!content || !type) {
       return { success: false, error: 'Content and type are required' };
@@ -3109,14 +2928,19 @@ async function handleFormBelief(userId, params = {}) {
       type,
       confidence: confidence || 0.6,
       basis: basis || [],
-      relatedTo: relatedTo || []
+      relatedTo: relatedTo || [],
+      contradicts: contradicts || []
     });
 
+    const tensions = result.contradictions || [];
     return {
       success: result.success,
       action: result.action,
       beliefId: result.beliefId,
-      instruction: 'Belief formed silently. Continue the conversation naturally. You can now express this belief with appropriate hedging based on your confidence level.'
+      contradictions: tensions,
+      instruction: tensions.length > 0
+        ? `Belief formed silently, but it contradicts ${tensions.length} of your existing beliefs (see contradictions). Consider whether one of them should be revised. Continue the conversation naturally.`
+        : 'Belief formed silently. Continue the conversation naturally. You can now express this belief with appropriate hedging based on your confidence level.'
     };
   } catch (error) {
     console.error('[Tool] Error forming belief:', error);
@@ -3148,6 +2972,7 @@ async function handleReviseBelief(userId, params = {}) {
         revisedCount: result.revisedBeliefs?.length || 1,
         cascadeCount: result.cascadeCount || 0,
         removedBeliefs: result.removedBeliefs || [],
+        judgment: result.judgment,
         instruction: `Belief revised (${direction}). ${result.cascadeCount > 0 ? `${result.cascadeCount} dependent beliefs also updated.` : ''} Continue naturally - you can acknowledge the perspective change if relevant.`
       };
     } else {
@@ -3326,9 +3151,16 @@ Example bad response: "Here's the image: ![Generated Image](url)" - THIS IS WRON
 }
 
 // Execute tool call
-async function executeTool(toolName, toolArgs, userId, context = 'private', visitorId = null) {
+// turn: { messageId } — the user message being answered (provenance for saved memories)
+async function executeTool(toolName, toolArgs, userId, context = 'private', visitorId = null, turn = {}) {
   console.log(`[Tool] Executing: ${toolName}`, toolArgs, `context: ${context}`);
 
+  // Enforce the allow-list here too — the model can hallucinate tool names it was never given
+  if (!isToolAllowed(toolName, context)) {
+    console.warn(`[Tool] Blocked ${toolName} in ${context} context`);
+    return { success: false, error: `Tool ${toolName} is not available in this conversation` };
+  }
+
   switch (toolName) {
     case 'get_link_settings':
       return await handleGetLinkSettings(userId);
@@ -3349,17 +3181,23 @@ async function executeTool(toolName, toolArgs, userId, context = 'private', visi
     case 'save_memory':
       // For public context, save visitor memories under a visitor-specific path
       if (context === 'public' && visitorId) {
-        return await handleSaveMemory(`visitor_${visitorId}`, toolArgs);
+        return await handleSaveMemory(`visitor_${visitorId}`, toolArgs, { context, messageIds: [] }, { ownerId: userId });
       }
-      return await handleSaveMemory(userId, toolArgs);
+      return await handleSaveMemory(userId, toolArgs, { context, messageIds: [turn.messageId] });
+    case 'create_reminder':
+      return await handleCreateReminder(userId, toolArgs);
+    case 'list_reminders':
+      return await handleListReminders(userId, toolArgs);
+    case 'cancel_reminder':
+      return await handleCancelReminder(userId, toolArgs);
     case 'create_pdf':
       return await handleCreatePdf(userId, toolArgs);
     case 'update_mental_model':
       // For public context, build mental model of the visitor
       if (context === 'public' && visitorId) {
-        return await handleUpdateMentalModel(`visitor_${visitorId}`, toolArgs);
+        return await handleUpdateMentalModel(`visitor_${visitorId}`, toolArgs, { messageIds: [] }, { ownerId: userId });
       }
-      return await handleUpdateMentalModel(userId, toolArgs);
+      return await handleUpdateMentalModel(userId, toolArgs, { messageIds: [turn.messageId] });
     case 'get_mental_model':
       if (context === 'public' && visitorId) {
         return await handleGetMentalModel(`visitor_${visitorId}`);
@@ -3383,6 +3221,8 @@ async function executeTool(toolName, toolArgs, userId, context = 'private', visi
       return await handleGetActiveSearches(userId);
     case 'respond_to_match':
       return await handleRespondToMatch(userId, toolArgs);
+    case 'manage_introduction':
+      return await handleManageIntroduction(userId, toolArgs);
     default:
       return { success: false, error: `Unknown tool: ${toolName}` };
   }
@@ -3394,7 +3234,7 @@ module.exports = async (req, res) => {
   // CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -3424,7 +3264,8 @@ module.exports = async (req, res) => {
       });
     }
 
-    const { messages, systemPrompt, userId, context = 'private', visitorId, username } = req.body;
+    const { messages, systemPrompt, userId, context = 'private', visitorId, username, threadId, newThread, stream = false } = req.body;
+    const streaming = stream === true;
 
     // === MAINTENANCE MODE ===
     // Set to true to disable public link while fixing issues
@@ -3446,14 +3287,12 @@ module.exports = async (req, res) => {
     }
 
     // Context-specific validation
+    let authenticatedUserId = null;
     if (context === 'private') {
-      // Private context requires userId
-      if (!userId) {
-        return res.status(400).json({
-          success: false,
-          error: 'userId required for private context'
-        });
-      }
+      // Private context acts as the token's user; a body userId must match it
+      const auth = await requireAuth(req, res, { userId: userId || null, allowService: true });
+      if (!auth) return;
+      authenticatedUserId = auth.userId;
     } else if (context === 'public') {
       // Public context requires username and visitorId
       if (!username) {
@@ -3476,7 +3315,7 @@ module.exports = async (req, res) => {
     }
 
     // === USER ID RESOLUTION FOR PUBLIC CONTEXT ===
-    let resolvedUserId = userId;
+    let resolvedUserId = authenticatedUserId;
     if (context === 'public') {
       // Look up userId from username
       const normalizedUsername = username.trim().toLowerCase();
@@ -3497,6 +3336,20 @@ module.exports = async (req, res) => {
     const userDoc = await db.collection('users').doc(resolvedUserId).get();
     const userData = userDoc.exists ? userDoc.data() : null;
 
+    // === TIMEZONE & LOCALE ===
+    // Clients send the browser's timezone/locale. The owner's is stored the first time it's seen or
+    // when it changes (unless they set it by hand in settings); public visitors just get their own clock.
+    const ownerLocale = localeFromUserData(userData || {});
+    const requestLocale = resolveRequestLocale(
+      context === 'public' ? { ...ownerLocale, source: null } : ownerLocale,
+      { timezone: req.body.timezone, locale: req.body.locale }
+    );
+    if (context === 'private' && ownerLocale.source !== 'manual' && (req.body.timezone || req.body.locale) &&
+        (!ownerLocale.source || requestLocale.timezone !== ownerLocale.timezone || requestLocale.locale !== ownerLocale.locale)) {
+      await updateUserLocale(db, resolvedUserId, requestLocale, { source: 'auto' })
+        .catch(err => console.error('[Chat] Failed to store detected timezone/locale:', err.message));
+    }
+
     // Get link settings (for gender, bio, etc.)
     const linkSettingsDoc = await db.collection('users').doc(resolvedUserId)
       .collection('linkSettings').doc('config').get();
@@ -3515,25 +3368,70 @@ module.exports = async (req, res) => {
     }
 
     // === RATE LIMITING FOR PUBLIC CONTEXT ===
+    // Visitor, IP and whole-link buckets plus the owner's daily spend ceiling (_rate-limit.js)
     if (context === 'public') {
-      try {
-        await checkRateLimit(visitorId, resolvedUserId);
-        console.log(`[Chat] Public context: rate limit check passed for visitor ${visitorId}`);
-      } catch (error) {
-        console.error(`[Chat] Public context: rate limit exceeded for visitor ${visitorId}`);
-        return res.status(429).json({
-          success: false,
-          error: 'rate_limit_exceeded',
-          message: error.message || 'Too many messages. Please wait before sending more.'
-        });
+      const limit = await checkPublicChatLimits({
+        ownerId: resolvedUserId,
+        visitorId,
+        ip: getClientIp(req),
+        ownerLimits: linkSettings.limits
+      });
+      if (!limit.allowed) {
+        console.error(`[Chat] Public context: rate limit (${limit.reason}) hit for visitor ${visitorId}`);
+        return sendRateLimited(res, limit, limit.reason === 'daily_spend'
+          ? 'This Mindclone has reached its conversation limit for today. Please come back tomorrow.'
+          : 'Too many messages. Please wait before sending more.');
+      }
+    }
+
+    // === VISITOR LANGUAGE ===
+    // Public replies follow the language the visitor writes in (_language.js), limited to the
+    // languages the owner enabled; knowledge stays in English and is translated in the reply.
+    let visitorLanguage = null;
+    if (context === 'public') {
+      visitorLanguage = resolveVisitorLanguage({
+        userTexts: messages.filter(m => m?.role === 'user' && typeof m.content === 'string').map(m => m.content),
+        browserLocale: req.body.locale,
+        supportedLanguages: linkSettings.supportedLanguages
+      });
+      console.log(`[Chat] Visitor language: ${visitorLanguage.language} (${visitorLanguage.source})${visitorLanguage.replyLanguage !== visitorLanguage.language ? `, replying in ${visitorLanguage.replyLanguage}` : ''}`);
+    }
+
+    // === THREAD HISTORY ===
+    // Private chat in a thread: history comes from Firestore (rolling summary + recent
+    // messages) and the client only sends the new message. Without threadId/newThread
+    // the client's message array is used as before (WhatsApp, older clients).
+    let thread = null;
+    let threadHistory = null;
+    let threadUnsummarized = null;
+    let threadSummary = '';
+    if (context === 'private' && (threadId || newThread === true)) {
+      if (threadId) {
+        const loaded = await loadThreadHistory(db, resolvedUserId, threadId);
+        if (!loaded) {
+          return res.status(404).json({
+            success: false,
+            error: 'Thread not found'
+          });
+        }
+        thread = loaded.thread;
+        threadHistory = loaded.messages;
+        threadUnsummarized = loaded.unsummarized;
+        threadSummary = loaded.summary;
+      } else {
+        thread = await createThread(db, resolvedUserId);
+        threadHistory = [];
+        threadUnsummarized = [];
       }
+      console.log(`[Chat] Thread ${thread.id}: ${threadHistory.length} messages loaded${threadSummary ? ' + summary' : ''}`);
     }
 
     // === SAVE USER MESSAGE ===
     // Save the user's message to appropriate collection based on context
     const lastMessage = messages[messages.length - 1];
+    let userMessageId = null;
     if (lastMessage && lastMessage.role === 'user') {
-      await saveMessage(resolvedUserId, 'user', lastMessage.content, context, visitorId);
+      userMessageId = await saveMessage(resolvedUserId, 'user', lastMessage.content, context, visitorId, thread?.id || null, visitorLanguage?.language || null);
     }
 
     // === MENTAL MODEL LOADING ===
@@ -3586,9 +3484,31 @@ module.exports = async (req, res) => {
       console.error('[Chat] Error loading knowledge base:', kbError.message);
     }
 
-    // RAG routing disabled — base prompt is now small enough (~6K) to include
-    // all knowledge directly with a 25K budget. This avoids the extra API call
-    // and ensures knowledge is always available (no routing failures).
+    // === KNOWLEDGE BASE RETRIEVAL ===
+    // Documents are chunked at upload (_kb-chunks.js); only the chunks relevant to this
+    // message are injected, so long documents stay searchable past their first pages.
+    // Short follow-ups ("and on page 12?") borrow the previous user message as context.
+    // A bare greeting, in any language, needs no lookup.
+    let knowledgeChunks = [];
+    if (knowledgeBase && Object.keys(knowledgeBase.documents || {}).length > 0 && !matchGreeting(lastMessage?.content)) {
+      try {
+        const userTexts = messages
+          .filter(m => m?.role === 'user' && typeof m.content === 'string')
+          .map(m => m.content);
+        const currentText = userTexts[userTexts.length - 1] || '';
+        const retrievalQuery = currentText.length < 40 && userTexts.length > 1
+          ? `${userTexts[userTexts.length - 2]}\n${currentText}`
+          : currentText;
+        knowledgeChunks = await retrieveKnowledgeChunks(db, resolvedUserId, retrievalQuery, {
+          documents: knowledgeBase.documents,
+          version: knowledgeBase.chunksUpdatedAt,
+          budget: KB_DOCUMENT_BUDGET
+        });
+        console.log(`[Chat] Retrieved ${knowledgeChunks.length} knowledge chunks`);
+      } catch (retrievalError) {
+        console.error('[Chat] Error retrieving knowledge chunks:', retrievalError.message);
+      }
+    }
 
     // === MEMORY RETRIEVAL ===
     // Memories are accessed via the recall_memory tool when the AI needs them.
@@ -3596,9 +3516,12 @@ module.exports = async (req, res) => {
     // it causes severe hallucinations — the AI trusts injected memories over
     // what it can actually see (screenshots, current messages), leading to
     // confabulation where it makes up details from old memories.
-    // TODO: Revisit with embeddings/vector search for proper semantic retrieval.
+    // Recall is semantic now (search_memory → _memory-index.js), so the tool path stays the
+    // way memories reach the model.
     let relevantMemories = [];
-    let contextWindow = messages.slice(-200); // Use last 200 messages
+    let contextWindow = threadHistory
+      ? [...threadHistory, lastMessage] // Thread history from Firestore + the new message
+      : messages.slice(-200); // Use last 200 messages
 
     // Convert conversation history to Gemini format (text-only, skip empty/invalid)
     const contents = [];
@@ -3681,6 +3604,11 @@ Olbrain Studio (olbrain.com) is ${ownerName}'s company — a B2B platform for Wh
         enhancedPrompt += `\n\n## YOUR IDENTITY:\nYou are ${ownerName}'s Mindclone — a personal AI companion. When asked "who are you?", say "I'm your Mindclone." Be warm, friendly, and natural.`;
       }
 
+      // Rolling summary of this thread's older turns (only recent messages are sent verbatim)
+      if (threadSummary) {
+        enhancedPrompt += `\n\n## EARLIER IN THIS CONVERSATION:\n${threadSummary}`;
+      }
+
       // Add gender identity instruction if set
       const gender = linkSettings?.gender;
       if (gender && gender !== 'prefer-not-to-say') {
@@ -3700,8 +3628,9 @@ CRITICAL: If the user shares a screenshot, image, or describes something specifi
       }
 
       // === KNOWLEDGE INJECTION ===
-      // Include ALL knowledge with size caps. Base prompt is ~6K so we have
+      // Include knowledge with size caps. Base prompt is ~6K so we have
       // budget for ~25K of knowledge data within our 35K total target.
+      // Documents contribute only their retrieved chunks (see KNOWLEDGE BASE RETRIEVAL).
       const KB_BUDGET = 25000;
       let kbCharsUsed = 0;
 
@@ -3725,17 +3654,23 @@ CRITICAL: If the user shares a screenshot, image, or describes something specifi
         }
       }
 
-      // Include KB documents
-      if (knowledgeBase?.documents) {
-        for (const [docKey, docData] of Object.entries(knowledgeBase.documents)) {
-          if (docData && kbCharsUsed < KB_BUDGET) {
-            const name = docData.fileName || docKey.replace(/_/g, ' ');
-            let content = typeof docData === 'string' ? docData : (docData.text || JSON.stringify(docData));
-            if (content.length > 5000) content = content.substring(0, 5000) + '\n[truncated]';
-            enhancedPrompt += `\n### ${name}\n${content}\n`;
-            kbCharsUsed += content.length;
-          }
+      // Include KB documents: names of everything available, text of the retrieved chunks
+      const documentNames = Object.entries(knowledgeBase?.documents || {})
+        .map(([docKey, docData]) => docData?.fileName || docKey.replace(/_/g, ' '));
+      if (documentNames.length > 0) {
+        enhancedPrompt += `\n## YOUR DOCUMENTS\n${documentNames.join(', ')}\n`;
+        const documentBudget = Math.min(KB_DOCUMENT_BUDGET, KB_BUDGET - kbCharsUsed);
+        let documentChars = 0;
+        knowledgeChunks = knowledgeChunks.filter(chunk => {
+          if (documentChars + chunk.text.length > documentBudget) return false;
+          enhancedPrompt += `\n### ${formatChunkCitation(chunk)}\n${chunk.text}\n`;
+          documentChars += chunk.text.length;
+          return true;
+        });
+        if (documentChars > 0) {
+          enhancedPrompt += '\nThese are the document excerpts relevant to this message. When you use one, mention where it comes from the way a person would ("page 12 of my pitch deck"). If the excerpts don\'t cover the question, say so rather than guessing at the rest of the document.\n';
         }
+        kbCharsUsed += documentChars;
       }
 
       // Include training data
@@ -3780,9 +3715,24 @@ CRITICAL: If the user shares a screenshot, image, or describes something specifi
       if (context === 'public') {
         enhancedPrompt += `\n\n## PUBLIC MODE
 You are in PUBLIC mode — a visitor is chatting via the public link. Speak with full authority about knowledge base content (it's YOUR knowledge). Remember visitors silently using save_memory and update_mental_model. Only reference public documents. Never share private memories, beliefs, or personal details (except contact info — share that freely).`;
+        if (visitorLanguage) {
+          enhancedPrompt += formatLanguageForPrompt(visitorLanguage, { ownerName, supportedLanguages: linkSettings.supportedLanguages || [] });
+        }
       }
 
-      // Add tool usage instructions
+      // Add tool usage instructions — only describe tools this context can actually call
+      const toolHints = [
+        ['update_link_settings', '- update_link_settings / get_link_settings: Manage link config (bio, greeting, displayName, linkEnabled)'],
+        ['update_link_behavior', '- update_link_behavior: Change link behavior (topicFocus, topicRestrictions, behaviorInstructions)'],
+        ['get_knowledge_base', '- get_knowledge_base: View uploaded documents'],
+        ['get_link_conversations', '- get_link_conversations: Fetch and analyze visitor conversations'],
+        ['search_memory', '- search_memory: Search past conversations. Use for unrecognized names, acronyms, recall questions, lifestyle checks.'],
+        ['browse_url', '- browse_url: Browse websites AND read PDFs. Works with any URL including blob storage.'],
+        ['web_search', '- web_search: Search the internet. Use when no specific URL. Search proactively for PUBLIC info (LinkedIn, companies, news).'],
+        ['create_reminder', '- create_reminder / list_reminders / cancel_reminder: Real reminders that message the user at the set time (and repeat if asked). Use for every "remind me..." instead of save_memory.'],
+        ['analyze_image', '- analyze_image: When user\'s message contains an image URL, IMMEDIATELY analyze it. Never ask "what image?" when the URL is there.']
+      ].filter(([toolName]) => isToolAllowed(toolName, context)).map(([, hint]) => hint).join('\n');
+
       enhancedPrompt += `\n\n## CAPABILITIES & TOOL USAGE
 You CANNOT generate images or videos. If asked, offer to search for images instead.
 
@@ -3791,16 +3741,10 @@ TOOL RULES — apply to ALL tools:
 - Never show tool names, brackets, or function calls in responses.
 - Never ask "would you like me to..." — just DO IT.
 - When uncertain, use web_search immediately. Never deflect or stall.
+- You can call several independent tools at once (e.g. search_memory and web_search together).
 
 TOOLS AVAILABLE:
-- update_link_settings / get_link_settings: Manage link config (bio, greeting, displayName, linkEnabled)
-- update_link_behavior: Change link behavior (topicFocus, topicRestrictions, behaviorInstructions)
-- get_knowledge_base: View uploaded documents
-- get_link_conversations: Fetch and analyze visitor conversations
-- search_memory: Search past conversations. Use for unrecognized names, acronyms, recall questions, lifestyle checks.
-- browse_url: Browse websites AND read PDFs. Works with any URL including blob storage.
-- web_search: Search the internet. Use when no specific URL. Search proactively for PUBLIC info (LinkedIn, companies, news).
-- analyze_image: When user's message contains an image URL, IMMEDIATELY analyze it. Never ask "what image?" when the URL is there.
+${toolHints}
 
 BE PROACTIVE: When asked to find/search/research something, DO the work and return results. Never delegate back to the user. Give 10+ options when asked for suggestions.`;
 
@@ -3819,12 +3763,12 @@ BE PROACTIVE: When asked to find/search/research something, DO the work and retu
 - Responses should be concise and scannable without excessive scrolling.
 - Prefer short paragraphs (2-3 sentences max) over long blocks of text.`;
 
-      // Add current date/time context for time awareness
+      // Add current date/time context for time awareness — in the user's (or visitor's) own timezone
       const currentDate = new Date();
       enhancedPrompt += `\n\n## CURRENT DATE/TIME:
-Today is ${currentDate.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
-Current time: ${currentDate.toLocaleTimeString('en-US')}
-Use this to understand time references like "yesterday", "next week", "this month", etc.`;
+Today is ${formatInZone(currentDate, requestLocale, 'longDate')}
+Current time: ${formatInZone(currentDate, requestLocale, 'time')} (${requestLocale.timezone})
+Use this to understand time references like "yesterday", "next week", "this month", etc. Write dates and numbers the way someone in ${requestLocale.locale} would.`;
 
       // Hard cap: Gemini Flash supports ~1M tokens but large prompts are slow and expensive
       // Keep system prompt under 50K chars (~12K tokens) for fast, cheap responses
@@ -3845,8 +3789,7 @@ Use this to understand time references like "yesterday", "next week", "this mont
     const geminiApiKey = process.env.GEMINI_API_KEY;
     const claudeApiKey = process.env.ANTHROPIC_API_KEY;
     const useClaudePrimary = false; // Gemini primary to save Anthropic credits
-    const claudeModel = 'claude-sonnet-4-5-20250929';
-    const claudeFallbackModel = claudeModel;
+    const llmProviders = useClaudePrimary ? ['claude', 'gemini'] : ['gemini', 'claude'];
     console.log(`[Chat] Context: ${context}, Primary: Gemini Flash, Fallback: Claude Sonnet, Keys — Gemini: ${!!geminiApiKey}, Claude: ${!!claudeApiKey}`);
 
     // Clean contents for Gemini — strip any tool-related messages (functionCall/functionResponse)
@@ -3885,169 +3828,11 @@ Use this to understand time references like "yesterday", "next week", "this mont
     // Build system prompt text for both APIs
     const sysText = systemInstruction?.parts?.[0]?.text || '';
 
-    let data;
-    let apiCallSuccess = false;
-    let usedModel = 'none';
-
-    // Helper: call Claude API
-    const callClaude = async (model, messages, system) => {
-      const resp = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'x-api-key': claudeApiKey, 'anthropic-version': '2023-06-01' },
-        body: JSON.stringify({ model, max_tokens: 4096, system: system || 'You are a helpful AI assistant.', messages })
-      });
-      const text = await resp.text();
-      if (!resp.ok) throw new Error(`Claude ${resp.status}: ${text.substring(0, 300)}`);
-      const d = JSON.parse(text);
-      return d.content?.[0]?.text || '';
-    };
-
-    // Helper: call Gemini API
-    const callGemini = async (contents, system) => {
-      const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${geminiApiKey}`;
-      const body = { contents, generationConfig: { maxOutputTokens: 4096, temperature: 0.7 } };
-      if (system) body.systemInstruction = { parts: [{ text: system }] };
-      const resp = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
-      const text = await resp.text();
-      if (!resp.ok) throw new Error(`Gemini ${resp.status}: ${text.substring(0, 300)}`);
-      const d = JSON.parse(text);
-      return d.candidates?.[0]?.content?.parts?.[0]?.text || '';
-    };
-
-    // Convert mergedContents to Claude format
-    const claudeMessages = mergedContents.map(msg => ({
-      role: msg.role === 'model' ? 'assistant' : 'user',
-      content: msg.parts.map(p => p.text).join('\n')
-    }));
-
-    if (useClaudePrimary) {
-      // === PRIVATE CONTEXT: Claude Sonnet primary, Gemini fallback ===
-      console.log(`[Chat] Private mode — trying Claude Sonnet...`);
-      try {
-        const respText = await callClaude(claudeModel, claudeMessages, sysText);
-        if (respText && respText.trim().length > 3) {
-          data = { choices: [{ message: { content: respText, tool_calls: null }, finish_reason: 'stop' }] };
-          apiCallSuccess = true;
-          usedModel = 'claude-sonnet';
-          console.log(`[Chat] Claude Sonnet response: ${respText.length} chars`);
-        }
-      } catch (err) {
-        console.error(`[Chat] Claude Sonnet failed: ${err.message}`);
-      }
-
-      // Fallback to Gemini if Sonnet failed
-      if (!apiCallSuccess && geminiApiKey) {
-        console.log('[Chat] Falling back to Gemini Flash...');
-        try {
-          const respText = await callGemini(mergedContents, sysText);
-          if (respText && respText.trim().length > 3) {
-            data = { choices: [{ message: { content: respText, tool_calls: null }, finish_reason: 'stop' }] };
-            apiCallSuccess = true;
-            usedModel = 'gemini-flash-fallback';
-            console.log(`[Chat] Gemini fallback response: ${respText.length} chars`);
-          }
-        } catch (err) {
-          console.error(`[Chat] Gemini fallback failed: ${err.message}`);
-        }
-      }
-    } else {
-      // === PUBLIC CONTEXT: Gemini Flash primary, Claude Haiku fallback ===
-      if (geminiApiKey) {
-        console.log(`[Chat] Public mode — trying Gemini Flash...`);
-        for (let attempt = 0; attempt < 2 && !apiCallSuccess; attempt++) {
-          if (attempt > 0) await new Promise(r => setTimeout(r, 2000));
-          try {
-            const respText = await callGemini(mergedContents, sysText);
-            if (respText && respText.trim().length > 3) {
-              data = { choices: [{ message: { content: respText, tool_calls: null }, finish_reason: 'stop' }] };
-              apiCallSuccess = true;
-              usedModel = 'gemini-flash';
-              console.log(`[Chat] Gemini response: ${respText.length} chars`);
-            } else {
-              console.log('[Chat] Gemini returned empty, trying Claude Haiku...');
-              break;
-            }
-          } catch (err) {
-            console.error(`[Chat] Gemini attempt ${attempt + 1} failed: ${err.message}`);
-          }
-        }
-      }
-
-      // Fallback to Claude Haiku
-      if (!apiCallSuccess && claudeApiKey) {
-        console.log('[Chat] Falling back to Claude Haiku...');
-        try {
-          const respText = await callClaude(claudeModel, claudeMessages, sysText);
-          if (respText && respText.trim().length > 3) {
-            data = { choices: [{ message: { content: respText, tool_calls: null }, finish_reason: 'stop' }] };
-            apiCallSuccess = true;
-            usedModel = 'claude-haiku';
-            console.log(`[Chat] Claude Haiku response: ${respText.length} chars`);
-          }
-        } catch (err) {
-          console.error(`[Chat] Claude Haiku failed: ${err.message}`);
-        }
-      }
-    }
-
-    if (!apiCallSuccess) {
-      // One more attempt: try Gemini with minimal prompt as last resort
-      let lastResortError = '';
-      try {
-        console.log('[Chat] Last resort — trying Gemini with minimal system prompt...');
-        const minimalSys = sysText ? sysText.substring(0, 5000) : 'You are a helpful AI assistant.';
-        const respText = await callGemini(mergedContents, minimalSys);
-        if (respText && respText.trim().length > 3) {
-          data = { choices: [{ message: { content: respText, tool_calls: null }, finish_reason: 'stop' }] };
-          apiCallSuccess = true;
-          usedModel = 'gemini-flash-minimal';
-          console.log(`[Chat] Gemini minimal response: ${respText.length} chars`);
-        }
-      } catch (err) {
-        lastResortError = err.message;
-        console.error(`[Chat] Last resort failed: ${err.message}`);
-      }
-
-      if (!apiCallSuccess) {
-        const debugInfo = `Gemini key: ${!!geminiApiKey}, Claude key: ${!!claudeApiKey}, primary: ${useClaudePrimary ? 'claude' : 'gemini'}, msgs: ${mergedContents.length}, sysLen: ${sysText?.length || 0}, lastErr: ${lastResortError.substring(0, 200)}`;
-        console.error('[Chat] ALL models failed. ' + debugInfo);
-        // Show user-friendly message instead of raw debug info
-        const isQuotaError = lastResortError.includes('429') || lastResortError.includes('quota');
-        const isCreditError = lastResortError.includes('402') || lastResortError.includes('credit') || lastResortError.includes('insufficient');
-        if (isQuotaError || isCreditError) {
-          throw new Error("I'm taking a short break — my AI services have hit their usage limits. I'll be back soon! Please try again in a few minutes.");
-        }
-        throw new Error('All AI models failed (' + debugInfo + ')');
-      }
-    }
-
-    console.log(`[Chat] Response from: ${usedModel}`);
-
-    // Check if model wants to call a tool (OpenAI format)
-    // OpenAI returns { choices: [{ message: { content, tool_calls } }] }
-    let maxToolCalls = 5; // Prevent infinite loops
-    let toolCallCount = 0;
-    let usedMemorySearch = false; // Track if search_memory was called for UI animation
-    let pendingMessage = null; // Text before tool calls (e.g., "Let me check...")
-    let usedTool = null; // Track which tool was used
-    let lastMemorySearchResult = null; // Store memory search result for fallback responses
-    let lastGeneratedImageId = null; // Track generated image ID for injection
+    // Tools this context may call, in OpenAI format (the request shape both adapters accept)
+    const contextTools = convertToolsToOpenAI(getToolsForContext(context));
 
-    // Helper functions - handle both full response {choices:[{message}]} and single choice {message}
-    const getToolCall = (responseData) => {
-      const message = responseData?.choices?.[0]?.message || responseData?.message;
-      const toolCalls = message?.tool_calls;
-      if (toolCalls && toolCalls.length > 0) {
-        return toolCalls[0];
-      }
-      return null;
-    };
-    const getText = (responseData) => {
-      const message = responseData?.choices?.[0]?.message || responseData?.message;
-      return message?.content || '';
-    };
-    // Extract first choice from response
-    let choice = data?.choices?.[0] || { message: { content: '', tool_calls: null } };
+    // Conversation in OpenAI format — the tool loop appends assistant tool_calls and tool results
+    const conversation = convertMessagesToOpenAI(mergedContents, sysText || 'You are a helpful AI assistant.');
 
     // Sanitize response to remove leaked internal tool call patterns
     // Gemini sometimes outputs tool calls as text instead of structured functionCall
@@ -4129,110 +3914,206 @@ Use this to understand time references like "yesterday", "next week", "this mont
       return text;
     };
 
-    let toolCall = getToolCall(choice);
-
-    while (toolCall && toolCallCount < maxToolCalls) {
-      toolCallCount++;
-      const funcName = toolCall.function?.name;
-      const funcArgs = JSON.parse(toolCall.function?.arguments || '{}');
-      console.log(`[Tool] Model requested: ${funcName}`);
+    // === STREAMING (SSE) ===
+    // With { stream: true } the reply goes out as server-sent events: `delta` text chunks per
+    // model call (round), `tool` when a tool starts/finishes, then `done` with the same payload
+    // as the JSON response — its content is authoritative. Failures after this point are sent
+    // as an `error` event.
+    const sendEvent = (event, payload) => {
+      if (!streaming || res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+    };
 
-      // Capture any text that came with this tool call as "pending message"
-      if (toolCallCount === 1) {
-        const textBefore = getText(choice);
-        if (textBefore) {
-          pendingMessage = textBefore;
-          console.log(`[Tool] Pending message: "${pendingMessage.substring(0, 50)}..."`);
+    // Markdown pairs and leaked tool_code can span chunks, so each round only sends the sanitized
+    // text up to a stable boundary (last newline, or last space when the open line has no markup),
+    // and only when it extends what the client already has.
+    const createStreamSanitizer = (round) => {
+      let raw = '';
+      let sent = '';
+      return (chunk) => {
+        raw += chunk;
+        const lastBreak = raw.lastIndexOf('\n');
+        const openLine = raw.substring(lastBreak + 1);
+        const stableEnd = /[*_`]|tool_code|print\(/.test(openLine) ? lastBreak : Math.max(lastBreak, raw.lastIndexOf(' '));
+        if (stableEnd <= 0) return;
+
+        const clean = sanitizeResponse(raw.substring(0, stableEnd));
+        if (clean.length > sent.length && clean.startsWith(sent)) {
+          sendEvent('delta', { text: clean.substring(sent.length), round });
+          sent = clean;
         }
-        usedTool = funcName;
-      }
+      };
+    };
 
-      // Execute the tool
-      const toolResult = await executeTool(funcName, funcArgs, resolvedUserId, context, visitorId);
+    if (streaming) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache, no-transform');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('X-Accel-Buffering', 'no');
+      res.status(200);
+      res.flushHeaders?.();
+    }
 
-      // Track if memory search was used
-      if (funcName === 'search_memory') {
-        usedMemorySearch = true;
-        lastMemorySearchResult = toolResult;
-        console.log(`[Memory Search] Stored result: ${toolResult?.matchCount || 0} matches, query: "${toolResult?.query}"`);
+    let data;
+    let usedModel = 'none';
+    let lastModelError = '';
+    let totalUsage = { promptTokens: 0, completionTokens: 0, costUsd: 0 };
+    let streamRound = 0;
+
+    // Helper: one completion through the shared fallback chain (see _llm.js).
+    // Returns OpenAI-format response data, or null when every model failed.
+    const callModel = async (msgs, { toolChoice, minimalFallback = false } = {}) => {
+      const onDelta = streaming ? createStreamSanitizer(streamRound++) : null;
+      const result = await complete(
+        { messages: msgs, max_tokens: 4096, temperature: 0.7, tools: contextTools, tool_choice: toolChoice },
+        { providers: llmProviders, minLength: 4, minimalFallback, label: `chat-${context}`, onDelta }
+      );
+      if (!result.ok) {
+        lastModelError = result.error || '';
+        return null;
       }
+      usedModel = `${result.provider}:${result.model}`;
+      totalUsage = {
+        promptTokens: totalUsage.promptTokens + result.usage.promptTokens,
+        completionTokens: totalUsage.completionTokens + result.usage.completionTokens,
+        costUsd: totalUsage.costUsd + result.usage.costUsd
+      };
+      return result.data;
+    };
 
-      // Track generated image ID
-      if (funcName === 'generate_image' && toolResult?.success && toolResult?.imageId) {
-        lastGeneratedImageId = toolResult.imageId;
-        console.log(`[Image] Stored generated image ID: ${lastGeneratedImageId}`);
+    // First call gets the minimal-prompt last resort; tool follow-ups don't (tools would be stripped)
+    data = await callModel(conversation, { minimalFallback: true });
+
+    if (!data) {
+      const debugInfo = `Gemini key: ${!!geminiApiKey}, Claude key: ${!!claudeApiKey}, primary: ${llmProviders[0]}, msgs: ${mergedContents.length}, sysLen: ${sysText?.length || 0}, lastErr: ${lastModelError.substring(0, 200)}`;
+      console.error('[Chat] ALL models failed. ' + debugInfo);
+      // Show user-friendly message instead of raw debug info
+      const isQuotaError = lastModelError.includes('429') || lastModelError.includes('quota');
+      const isCreditError = lastModelError.includes('402') || lastModelError.includes('credit') || lastModelError.includes('insufficient');
+      if (isQuotaError || isCreditError) {
+        throw new Error("I'm taking a short break — my AI services have hit their usage limits. I'll be back soon! Please try again in a few minutes.");
       }
+      throw new Error('All AI models failed (' + debugInfo + ')');
+    }
+
+    console.log(`[Chat] Response from: ${usedModel}`);
 
-      // Add tool call context to mergedContents for follow-up Gemini call
-      mergedContents.push({ role: 'model', parts: [{ text: choice.message?.content || `I'll use the ${funcName} tool to help with this.` }] });
-      mergedContents.push({ role: 'user', parts: [{ text: `Tool result for ${funcName}: ${JSON.stringify(toolResult)}` }] });
+    // Check if model wants to call tools (OpenAI format)
+    // Adapters return { choices: [{ message: { content, tool_calls } }] } with every parallel call
+    const maxToolRounds = 5; // Prevent infinite loops
+    let toolRounds = 0;
+    let toolCallCount = 0;
+    let usedMemorySearch = false; // Track if search_memory was called for UI animation
+    let pendingMessage = null; // Text before tool calls (e.g., "Let me check...")
+    let usedTool = null; // Track which tool was used
+    let lastMemorySearchResult = null; // Store memory search result for fallback responses
+    let lastGeneratedImageId = null; // Track generated image ID for injection
 
-      // Call AI again with tool result included in conversation
-      let toolCallSuccess = false;
+    // Helper functions - handle both full response {choices:[{message}]} and single choice {message}
+    const getToolCalls = (responseData) => {
+      const message = responseData?.choices?.[0]?.message || responseData?.message;
+      return message?.tool_calls || [];
+    };
+    const getText = (responseData) => {
+      const message = responseData?.choices?.[0]?.message || responseData?.message;
+      return message?.content || '';
+    };
+    // Extract first choice from response
+    let choice = data?.choices?.[0] || { message: { content: '', tool_calls: null } };
+    let toolCalls = getToolCalls(choice);
 
-      // Try Gemini first for tool follow-up
-      if (geminiApiKey) {
-        const toolGeminiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${geminiApiKey}`;
-        try {
-          const toolGeminiBody = { contents: mergedContents, generationConfig: { maxOutputTokens: 4096, temperature: 0.7 } };
-          if (sysText) toolGeminiBody.systemInstruction = { parts: [{ text: sysText }] };
-
-          const toolResponse = await fetch(toolGeminiUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(toolGeminiBody) });
-          if (toolResponse.ok) {
-            const toolData = JSON.parse(await toolResponse.text());
-            const toolText = toolData.candidates?.[0]?.content?.parts?.[0]?.text || '';
-            if (toolText.trim()) {
-              data = { choices: [{ message: { content: toolText, tool_calls: null }, finish_reason: 'stop' }] };
-              toolCallSuccess = true;
-              console.log(`[Tool] Post-tool Gemini response: ${toolText.length} chars`);
-            }
-          }
-        } catch (err) {
-          console.error(`[Tool] Gemini post-tool failed: ${err.message}`);
+    while (toolCalls.length > 0 && toolRounds < maxToolRounds) {
+      toolRounds++;
+      console.log(`[Tool] Model requested: ${toolCalls.map(tc => tc.function?.name).join(', ')}`);
+
+      // Capture any text that came with the first tool call as "pending message"
+      if (toolRounds === 1) {
+        const textBefore = getText(choice);
+        if (textBefore) {
+          pendingMessage = textBefore;
+          console.log(`[Tool] Pending message: "${pendingMessage.substring(0, 50)}..."`);
         }
+        usedTool = toolCalls[0].function?.name;
       }
 
-      // Fallback to Claude Haiku for tool follow-up
-      if (!toolCallSuccess && claudeApiKey) {
+      // Record the assistant turn so each result can be paired with its call
+      conversation.push({ role: 'assistant', content: getText(choice) || null, tool_calls: toolCalls });
+
+      // Read-only tools run in parallel; tools that write run one after another (PARALLEL_SAFE_TOOLS)
+      const runToolCall = async (toolCall) => {
+        const funcName = toolCall.function?.name;
+        const label = TOOL_STATUS_LABELS[funcName] || 'Working on it...';
+        let funcArgs = {};
         try {
-          const claudeMsgs = mergedContents.map(m => ({ role: m.role === 'model' ? 'assistant' : 'user', content: m.parts.map(p => p.text).join('\n') }));
-          const claudeResp = await fetch('https://api.anthropic.com/v1/messages', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'x-api-key': claudeApiKey, 'anthropic-version': '2023-06-01' },
-            body: JSON.stringify({ model: claudeFallbackModel, max_tokens: 4096, system: sysText || 'You are a helpful AI assistant.', messages: claudeMsgs })
-          });
-          if (claudeResp.ok) {
-            const claudeData = JSON.parse(await claudeResp.text());
-            const toolText = claudeData.content?.[0]?.text || '';
-            if (toolText.trim()) {
-              data = { choices: [{ message: { content: toolText, tool_calls: null }, finish_reason: 'stop' }] };
-              toolCallSuccess = true;
-              console.log(`[Tool] Post-tool Claude Haiku response: ${toolText.length} chars`);
-            }
-          }
-        } catch (err) {
-          console.error(`[Tool] Claude Haiku post-tool failed: ${err.message}`);
+          funcArgs = JSON.parse(toolCall.function?.arguments || '{}');
+        } catch (parseError) {
+          console.error(`[Tool] Invalid arguments for ${funcName}: ${parseError.message}`);
+        }
+        sendEvent('tool', { name: funcName, status: 'started', label });
+        let result;
+        try {
+          result = await executeTool(funcName, funcArgs, resolvedUserId, context, visitorId, { messageId: userMessageId });
+        } catch (toolError) {
+          console.error(`[Tool] ${funcName} threw: ${toolError.message}`);
+          result = { success: false, error: toolError.message };
+        }
+        sendEvent('tool', { name: funcName, status: 'finished', label, success: result?.success !== false });
+        return { toolCall, funcName, result };
+      };
+      const toolResults = new Array(toolCalls.length);
+      const isParallelSafe = (toolCall) => PARALLEL_SAFE_TOOLS.has(toolCall.function?.name);
+      const writesInOrder = (async () => {
+        for (const [i, toolCall] of toolCalls.entries()) {
+          if (!isParallelSafe(toolCall)) toolResults[i] = await runToolCall(toolCall);
+        }
+      })();
+      await Promise.all([
+        ...toolCalls.map(async (toolCall, i) => {
+          if (isParallelSafe(toolCall)) toolResults[i] = await runToolCall(toolCall);
+        }),
+        writesInOrder
+      ]);
+      toolCallCount += toolResults.length;
+
+      for (const { toolCall, funcName, result: toolResult } of toolResults) {
+        // Track if memory search was used
+        if (funcName === 'search_memory') {
+          usedMemorySearch = true;
+          lastMemorySearchResult = toolResult;
+          console.log(`[Memory Search] Stored result: ${toolResult?.matchCount || 0} matches, query: "${toolResult?.query}"`);
+        }
+
+        // Track generated image ID
+        if (funcName === 'generate_image' && toolResult?.success && toolResult?.imageId) {
+          lastGeneratedImageId = toolResult.imageId;
+          console.log(`[Image] Stored generated image ID: ${lastGeneratedImageId}`);
         }
+
+        conversation.push({ role: 'tool', tool_call_id: toolCall.id, name: funcName, content: JSON.stringify(toolResult) });
       }
 
-      if (!toolCallSuccess) {
+      // Call AI again with tool results included in conversation
+      const followUp = await callModel(conversation);
+      if (!followUp) {
         console.error('[Tool] All models failed after tool call');
-        // Don't crash — use whatever we have
+        // Don't crash — fall through to the auto-retry below
+        choice = { message: { content: '', tool_calls: null } };
+        break;
       }
+      data = followUp;
 
       // Update choice for new response (OpenAI format)
       choice = data?.choices?.[0] || { message: { content: '', tool_calls: null } };
 
       // Log post-tool-call response for debugging
       const postToolText = getText(choice) || '';
-      console.log(`[Tool] Post-tool response: ${postToolText.length} chars, finish: ${choice?.finish_reason || 'none'}`);
+      console.log(`[Tool] Post-tool response from ${usedModel}: ${postToolText.length} chars, finish: ${choice?.finish_reason || 'none'}`);
       if (postToolText.length < 10) {
         console.log(`[Tool] Warning: Short/empty response after tool call`);
       }
 
-      toolCall = getToolCall(choice);
+      toolCalls = getToolCalls(choice);
     }
-
     // Extract final text response (Claude format)
     const rawText = getText(choice) || '';
     let text = sanitizeResponse(rawText);
@@ -4270,51 +4151,24 @@ Use this to understand time references like "yesterday", "next week", "this mont
     if (isFailedResponse) {
       console.log(`[Auto-Retry] Detected failed/empty response (toolCallCount: ${toolCallCount}), attempting silent retry...`);
 
-      // Add nudge to conversation and retry with direct Gemini call
-      const retryContents = [...mergedContents];
+      // Add nudge to conversation and retry through the same fallback chain, tools disabled
+      const retryMessages = [...conversation];
       if (toolCallCount > 0) {
-        retryContents.push({ role: 'model', parts: [{ text: 'Let me formulate a response based on what I found.' }] });
-        retryContents.push({ role: 'user', parts: [{ text: 'Yes, please share what you found.' }] });
+        retryMessages.push({ role: 'assistant', content: 'Let me formulate a response based on what I found.' });
+        retryMessages.push({ role: 'user', content: 'Yes, please share what you found.' });
       } else {
-        retryContents.push({ role: 'model', parts: [{ text: 'Let me think about this more carefully.' }] });
-        retryContents.push({ role: 'user', parts: [{ text: 'Please continue with your thoughts.' }] });
-      }
-
-      // Try Gemini retry
-      let retryDone = false;
-      if (geminiApiKey) {
-        try {
-          const retryGeminiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${geminiApiKey}`;
-          const retryBody = { contents: retryContents, generationConfig: { maxOutputTokens: 4096, temperature: 0.7 } };
-          if (sysText) retryBody.systemInstruction = { parts: [{ text: sysText }] };
-
-          const retryResponse = await fetch(retryGeminiUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(retryBody) });
-          if (retryResponse.ok) {
-            const retryData = JSON.parse(await retryResponse.text());
-            const retryText = sanitizeResponse(retryData.candidates?.[0]?.content?.parts?.[0]?.text || '');
-            if (retryText && retryText.trim().length > 5) { text = retryText; retryDone = true; console.log('[Auto-Retry] Gemini retry successful'); }
-          }
-        } catch (e) { console.log('[Auto-Retry] Gemini retry error:', e.message); }
+        retryMessages.push({ role: 'assistant', content: 'Let me think about this more carefully.' });
+        retryMessages.push({ role: 'user', content: 'Please continue with your thoughts.' });
       }
 
-      // Try Claude Haiku retry
-      if (!retryDone && claudeApiKey) {
-        try {
-          const retryMsgs = retryContents.map(m => ({ role: m.role === 'model' ? 'assistant' : 'user', content: m.parts.map(p => p.text).join('\n') }));
-          const retryResp = await fetch('https://api.anthropic.com/v1/messages', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'x-api-key': claudeApiKey, 'anthropic-version': '2023-06-01' },
-            body: JSON.stringify({ model: claudeFallbackModel, max_tokens: 4096, system: sysText || 'You are a helpful AI assistant.', messages: retryMsgs })
-          });
-          if (retryResp.ok) {
-            const retryData = JSON.parse(await retryResp.text());
-            const retryText = sanitizeResponse(retryData.content?.[0]?.text || '');
-            if (retryText && retryText.trim().length > 5) { text = retryText; retryDone = true; console.log('[Auto-Retry] Claude Haiku retry successful'); }
-          }
-        } catch (e) { console.log('[Auto-Retry] Claude Haiku retry error:', e.message); }
+      const retryData = await callModel(retryMessages, { toolChoice: 'none' });
+      const retryText = sanitizeResponse(getText(retryData));
+      if (retryText && retryText.trim().length > 5) {
+        text = retryText;
+        console.log(`[Auto-Retry] ${usedModel} retry successful`);
+      } else {
+        console.log('[Auto-Retry] All retries failed');
       }
-
-      if (!retryDone) console.log('[Auto-Retry] All retries failed');
     }
 
     // === MEMORY-SPECIFIC FALLBACK ===
@@ -4366,22 +4220,71 @@ Use this to understand time references like "yesterday", "next week", "this mont
     // === MEMORY STORAGE ===
     // Memory storage handled via save_memory tool when AI decides to save
 
+    // Public chats count toward the owner's daily spend ceiling
+    if (context === 'public') {
+      try {
+        await recordLinkSpend(resolvedUserId, totalUsage.costUsd);
+      } catch (spendError) {
+        console.error('[Chat] Failed to record link spend:', spendError.message);
+      }
+    }
+
     // === SAVE ASSISTANT MESSAGE ===
     // Save the assistant's response to appropriate collection based on context
-    await saveMessage(resolvedUserId, 'assistant', text, context, visitorId);
+    const messageId = await saveMessage(resolvedUserId, 'assistant', text, context, visitorId, thread?.id || null);
 
-    return res.status(200).json({
+    // Thread counters, auto title and rolling summary
+    let threadTitle = thread?.title || null;
+    if (thread) {
+      try {
+        const recorded = await recordThreadTurn(db, resolvedUserId, thread.id, {
+          userMessage: lastMessage?.role === 'user' && typeof lastMessage.content === 'string' ? lastMessage.content : '',
+          assistantMessage: text,
+          messagesAdded: (userMessageId ? 1 : 0) + (messageId ? 1 : 0),
+          history: threadUnsummarized
+        });
+        threadTitle = recorded?.title || threadTitle;
+      } catch (threadError) {
+        console.error('[Chat] Failed to update thread:', threadError.message);
+      }
+    }
+
+    const responseBody = {
       success: true,
       content: text,
+      messageId,
+      threadId: thread?.id || null,
+      threadTitle,
       memoriesUsed: relevantMemories.length,
+      citations: [...new Map(knowledgeChunks.map(c => [formatChunkCitation(c), {
+        docKey: c.docKey,
+        fileName: c.fileName,
+        page: c.page,
+        section: c.section
+      }])).values()],
       toolCallsUsed: toolCallCount,
       usedMemorySearch: usedMemorySearch, // For frontend "recalling" animation
       pendingMessage: pendingMessage, // "Promise" message before tool execution
-      usedTool: usedTool // Which tool was used (browse_url, search_memory, etc.)
-    });
+      usedTool: usedTool, // Which tool was used (browse_url, search_memory, etc.)
+      model: usedModel,
+      usage: totalUsage
+    };
+
+    if (streaming) {
+      sendEvent('done', responseBody);
+      return res.end();
+    }
+    return res.status(200).json(responseBody);
 
   } catch (error) {
     console.error('[Chat API Error]', error);
+    if (res.headersSent) {
+      // Stream already open — report the failure in-band
+      if (!res.writableEnded) {
+        res.write(`event: error\ndata: ${JSON.stringify({ success: false, error: 'Failed to generate response: ' + error?.message })}\n\n`);
+      }
+      return res.end();
+    }
     return res.status(500).json({
       success: false,
       error: 'Failed to generate response: ' + error?.message
@@ -0,0 +1,93 @@
+// Check-ins API - the owner's view of (and controls over) proactive check-ins
+//   GET  /api/checkins?status=&limit=&cursor=        check-ins, newest first
+//   GET  /api/checkins?action=settings               settings + what's been learned (answer rates)
+//   PUT  /api/checkins  { enabled?, kinds?: { [kind]: boolean }, maxPerWeek? }
+//   POST /api/checkins  { action: 'cancel', id }     cancel a scheduled check-in
+const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { requireAuth } = require('./_auth');
+const {
+  CHECKIN_STATUSES,
+  getCheckinSettings,
+  updateCheckinSettings,
+  listCheckins,
+  cancelCheckin
+} = require('./_checkins');
+
+// Initialize Firebase Admin SDK
+initializeFirebaseAdmin();
+const db = admin.firestore();
+
+module.exports = async (req, res) => {
+  // CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
+    const userId = auth.userId;
+
+    const query = req.query || {};
+    const body = req.body || {};
+
+    // GET - list check-ins or settings
+    if (req.method === 'GET') {
+      if (query.action === 'settings') {
+        const settings = await getCheckinSettings(db, userId);
+        return res.status(200).json({ success: true, settings });
+      }
+
+      if (query.status && !CHECKIN_STATUSES.includes(query.status)) {
+        return res.status(400).json({ success: false, error: `status must be one of: ${CHECKIN_STATUSES.join(', ')}` });
+      }
+
+      try {
+        const page = await listCheckins(db, userId, { status: query.status || null, limit: query.limit, cursor: query.cursor || null });
+        return res.status(200).json({ success: true, ...page });
+      } catch (error) {
+        if (error.message === 'Invalid cursor') {
+          return res.status(400).json({ success: false, error: error.message });
+        }
+        throw error;
+      }
+    }
+
+    // PUT - settings
+    if (req.method === 'PUT') {
+      const result = await updateCheckinSettings(db, userId, {
+        enabled: body.enabled,
+        kinds: body.kinds,
+        maxPerWeek: body.maxPerWeek
+      });
+      return res.status(result.success ? 200 : 400).json(result);
+    }
+
+    // POST - cancel
+    if (req.method === 'POST') {
+      if (body.action !== 'cancel') {
+        return res.status(400).json({ success: false, error: `Unknown action: ${body.action}` });
+      }
+      if (!body.id) {
+        return res.status(400).json({ success: false, error: 'id is required' });
+      }
+      const result = await cancelCheckin(db, userId, body.id);
+      if (!result.success) {
+        return res.status(/not found/i.test(result.error) ? 404 : 409).json(result);
+      }
+      return res.status(200).json(result);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('[Checkins API] Error:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+};
@@ -0,0 +1,105 @@
+// Check-ins Cron Job - Runs hourly: resolves answered/ignored check-ins, plans new ones
+// and delivers those that are due (outside quiet hours). See ../_checkins.js.
+const { initializeFirebaseAdmin, admin } = require('../_firebase-admin');
+const { runCheckins } = require('../_checkins');
+
+// Initialize Firebase Admin SDK
+initializeFirebaseAdmin();
+const db = admin.firestore();
+
+// Constants
+const USER_PAGE_SIZE = 50;
+const TIME_BUDGET_MS = 50000; // Stay under the 60s function timeout
+const INACTIVITY_THRESHOLD_DAYS = 14;
+
+function isEligibleUser(userId, userData) {
+  // Platform owner always gets check-ins
+  const ownerUid = process.env.MINDCLONE_OWNER_UID;
+  if (ownerUid && userId === ownerUid) return true;
+
+  // Messaging someone who stopped using the product is spam, not a check-in
+  const lastActive = userData.lastActive?.toMillis?.();
+  return !!lastActive && Date.now() - lastActive < INACTIVITY_THRESHOLD_DAYS * 24 * 60 * 60 * 1000;
+}
+
+module.exports = async (req, res) => {
+  const startTime = Date.now();
+
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Authenticate cron request (Vercel cron header or manual trigger with CRON_SECRET)
+  const isVercelCron = req.headers['x-vercel-cron'] === '1';
+  const cronSecret = process.env.CRON_SECRET?.trim();
+  const providedToken = req.headers.authorization?.replace('Bearer ', '').trim();
+  const isManualAuth = cronSecret && providedToken === cronSecret;
+
+  if (!isVercelCron && !isManualAuth) {
+    console.error('[Checkins] Unauthorized cron request - missing x-vercel-cron header or valid auth');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    // Walk the user base a page per run; the cursor lives in system/checkins-global
+    const globalStateDoc = db.doc('system/checkins-global');
+    const globalState = await globalStateDoc.get();
+    const userCursor = globalState.exists ? (globalState.data().userCursor || null) : null;
+
+    let query = db.collection('users')
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(USER_PAGE_SIZE);
+    if (userCursor) query = query.startAfter(userCursor);
+    const usersSnap = await query.get();
+
+    const summary = { usersChecked: 0, eligible: 0, scheduled: 0, sent: 0, deferred: 0, answered: 0, ignored: 0, errors: 0 };
+    let lastChecked = null;
+
+    for (const doc of usersSnap.docs) {
+      if (Date.now() - startTime > TIME_BUDGET_MS) {
+        console.log('[Checkins] Time budget reached, continuing next run');
+        break;
+      }
+      lastChecked = doc.id;
+      summary.usersChecked++;
+
+      const userData = doc.data();
+      if (!isEligibleUser(doc.id, userData)) continue;
+      summary.eligible++;
+
+      try {
+        const result = await runCheckins(db, doc.id, {
+          ownerName: userData.displayName || userData.username || 'your human'
+        });
+        if (result.plan.scheduled) summary.scheduled++;
+        summary.sent += result.delivery.sent;
+        summary.deferred += result.delivery.deferred;
+        summary.answered += result.outcomes.answered;
+        summary.ignored += result.outcomes.ignored;
+      } catch (error) {
+        summary.errors++;
+        console.error(`[Checkins] Error for user ${doc.id}:`, error.message);
+      }
+    }
+
+    // Wrap around after the last page; resume mid-page if the time budget ran out
+    const finishedPage = lastChecked === usersSnap.docs[usersSnap.docs.length - 1]?.id;
+    const nextCursor = finishedPage && usersSnap.docs.length < USER_PAGE_SIZE ? null : (lastChecked || userCursor);
+    await globalStateDoc.set({ userCursor: nextCursor, lastRun: new Date().toISOString(), lastSummary: summary }, { merge: true });
+
+    const processingTimeMs = Date.now() - startTime;
+    console.log(`[Checkins] Completed in ${processingTimeMs}ms:`, JSON.stringify(summary));
+    return res.status(200).json({ status: 'success', summary: { ...summary, processingTimeMs } });
+  } catch (error) {
+    console.error('[Checkins] Fatal error in cron job:', error);
+    return res.status(500).json({ status: 'error', error: error.message });
+  }
+};
@@ -5,23 +5,44 @@
 // When TPN is active, DMN is quiet. When nobody's around, DMN kicks in —
 // consolidating memories, reconciling beliefs, and maintaining a coherent sense of identity.
 //
-// Uses Gemini Flash for cost efficiency (~$0/day on Anthropic)
-// Runs every 6 hours via Vercel cron
+// Uses the shared LLM layer (_llm.js) — Gemini Flash primary for cost efficiency
+// Each task is a durable per-user job (see _dmn-scheduler.js): every run syncs the next page
+// of users into the job queue, then works through whichever jobs are due until the time budget runs out.
 
 const fs = require('fs');
 const path = require('path');
 const { initializeFirebaseAdmin, admin } = require('../_firebase-admin');
 const { loadMentalModel, updateMentalModel } = require('../_mental-model');
-const { loadMindcloneBeliefs, formBelief, reviseBelief, getBeliefs } = require('../_mindclone-beliefs');
+const { loadMindcloneBeliefs, getBeliefs, reconcileContradictions } = require('../_mindclone-beliefs');
 const { computeAccessLevel } = require('../_billing-helpers');
+const { generateText, isLLMAvailable, getUsageTotals } = require('../_llm');
+const { findDuplicateMemory } = require('../_memories');
+const { submitChange, sendReviewDigest } = require('../_review-queue');
+const {
+  addJournalEntry,
+  getRecentJournal,
+  getInsightFeedback,
+  matchVetoedInsight,
+  getUmwelt,
+  diffUmwelt
+} = require('../_inner-life');
+const {
+  syncUserJobs,
+  claimDueJobs,
+  completeJob,
+  failJob,
+  releaseJob,
+  createRunContext
+} = require('../_dmn-scheduler');
 
 initializeFirebaseAdmin();
 const db = admin.firestore();
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent';
 const MAX_PROCESSING_TIME = 50000; // 50s safety margin (Vercel 60s limit)
-const MAX_USERS_PER_RUN = 5; // Process up to 5 users per cron cycle
+const CLAIM_BATCH_SIZE = 5; // Jobs claimed at a time
+const USER_SYNC_PAGE_SIZE = 50; // Users checked for eligibility per run (resumes from a cursor)
+const MAX_MESSAGES_PER_CONSOLIDATION = 100;
+const MAX_CONSOLIDATION_LOOKBACK_DAYS = 7;
 
 // The universal Core Objective Function — hardcoded, same for every mindclone.
 // This is the DNA of what a mindclone IS. No user or DMN can change it.
@@ -49,7 +70,7 @@ async function getDMNState(userId) {
     beliefRevisionsCount: 0,
     reflectionsCount: 0,
     umweltRevisionCount: 0,
-    journal: [] // Last 20 internal reflections
+    journalMigrated: true // Journal entries live in users/{id}/dmnJournal (see _inner-life.js)
   };
 
   await getDMNStateDoc(userId).set(initial);
@@ -65,79 +86,81 @@ async function updateDMNState(userId, updates) {
 
 // ===================== FIND ELIGIBLE USERS =====================
 
-async function getEligibleUsers() {
-  const usersSnap = await db.collection('users').get();
-  const eligible = [];
+function isEligibleUser(userId, userData) {
+  // Platform owner ALWAYS gets DMN processing (they built the platform!)
   const ownerUid = process.env.MINDCLONE_OWNER_UID;
+  if (ownerUid && userId === ownerUid) return true;
 
-  for (const doc of usersSnap.docs) {
-    const userData = doc.data();
-    const userId = doc.id;
-
-    // Platform owner ALWAYS gets DMN processing (they built the platform!)
-    const isOwner = ownerUid && userId === ownerUid;
-
-    if (!isOwner) {
-      // Non-owners need full access (paid subscription)
-      const access = computeAccessLevel(userData, userId);
-      if (access !== 'full') continue;
-
-      // Skip non-owner users inactive for 30+ days
-      const lastActivity = userData.updatedAt?.toDate?.() || userData.createdAt?.toDate?.();
-      if (lastActivity) {
-        const daysSinceActive = (Date.now() - lastActivity.getTime()) / (1000 * 60 * 60 * 24);
-        if (daysSinceActive > 30) continue;
-      }
-    }
+  // Non-owners need full access (paid subscription)
+  const access = computeAccessLevel(userData, userId);
+  if (access !== 'full') return false;
 
-    eligible.push({
-      userId,
-      email: userData.email,
-      displayName: userData.displayName || userData.username || 'unknown'
-    });
+  // Skip non-owner users inactive for 30+ days
+  const lastActivity = userData.updatedAt?.toDate?.() || userData.createdAt?.toDate?.();
+  if (lastActivity) {
+    const daysSinceActive = (Date.now() - lastActivity.getTime()) / (1000 * 60 * 60 * 24);
+    if (daysSinceActive > 30) return false;
   }
-
-  return eligible;
+  return true;
 }
 
-// ===================== GEMINI FLASH HELPER =====================
+// Check the next page of users and create/disable their jobs. The cursor lives in
+// system/dmn-global, so successive runs walk the whole user base instead of rescanning it.
+async function syncNextUserPage() {
+  const globalStateDoc = db.doc('system/dmn-global');
+  const globalState = await globalStateDoc.get();
+  const userCursor = globalState.exists ? (globalState.data().userCursor || null) : null;
 
-async function askGemini(systemPrompt, userPrompt, maxTokens = 1024) {
-  if (!GEMINI_API_KEY) throw new Error('GEMINI_API_KEY not set');
+  let query = db.collection('users')
+    .orderBy(admin.firestore.FieldPath.documentId())
+    .limit(USER_SYNC_PAGE_SIZE);
+  if (userCursor) query = query.startAfter(userCursor);
+  const usersSnap = await query.get();
 
-  const response = await fetch(`${GEMINI_API_URL}?key=${GEMINI_API_KEY}`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      systemInstruction: { parts: [{ text: systemPrompt }] },
-      contents: [{ parts: [{ text: userPrompt }] }],
-      generationConfig: { maxOutputTokens: maxTokens, temperature: 0.3 }
-    })
-  });
-
-  if (!response.ok) {
-    const err = await response.json().catch(() => ({}));
-    throw new Error(`Gemini API error ${response.status}: ${err.error?.message || ''}`);
+  const counts = { usersChecked: usersSnap.docs.length, eligible: 0, created: 0, enabled: 0, disabled: 0 };
+  for (const doc of usersSnap.docs) {
+    const active = isEligibleUser(doc.id, doc.data());
+    if (active) counts.eligible++;
+    const lastRuns = active ? (await getDMNStateDoc(doc.id).get()).data() || {} : {};
+    const synced = await syncUserJobs(db, doc.id, { active, lastRuns });
+    counts.created += synced.created;
+    counts.enabled += synced.enabled;
+    counts.disabled += synced.disabled;
   }
 
-  const data = await response.json();
-  return data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+  // Wrap around after the last page
+  const nextCursor = usersSnap.docs.length < USER_SYNC_PAGE_SIZE ? null : usersSnap.docs[usersSnap.docs.length - 1].id;
+  await globalStateDoc.set({ userCursor: nextCursor, lastRun: new Date().toISOString() }, { merge: true });
+
+  return counts;
+}
+
+// ===================== LLM HELPER =====================
+
+async function askLLM(systemPrompt, userPrompt, maxTokens = 1024) {
+  return generateText(systemPrompt, userPrompt, { maxTokens, temperature: 0.3, label: 'dmn' });
 }
 
 // ===================== TASK 1: MEMORY CONSOLIDATION =====================
 // Scan recent conversations, extract key facts, merge duplicates,
-// identify what's important vs trivial
+// identify what's important vs trivial.
+// Resumable: the job cursor is the timestamp of the last message consolidated, so each run
+// picks up where the previous one stopped (and a backlog is worked through page by page).
+// Retrying a run is safe — near-duplicate memories are skipped.
 
-async function consolidateMemories(userId) {
+async function consolidateMemories(userId, run = {}) {
   console.log('[DMN] Starting memory consolidation...');
 
-  // Get recent messages (last 24 hours)
-  const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  // Messages since the last consolidation (first run: the last 24 hours)
+  const lookbackLimit = Date.now() - MAX_CONSOLIDATION_LOOKBACK_DAYS * 24 * 60 * 60 * 1000;
+  const since = run.cursor
+    ? new Date(Math.max(Date.parse(run.cursor) || 0, lookbackLimit))
+    : new Date(Date.now() - 24 * 60 * 60 * 1000);
   const messagesSnap = await db.collection('users').doc(userId)
     .collection('messages')
-    .where('timestamp', '>=', admin.firestore.Timestamp.fromDate(oneDayAgo))
-    .orderBy('timestamp', 'desc')
-    .limit(100)
+    .where('timestamp', '>', admin.firestore.Timestamp.fromDate(since))
+    .orderBy('timestamp', 'asc')
+    .limit(MAX_MESSAGES_PER_CONSOLIDATION)
     .get();
 
   if (messagesSnap.empty) {
@@ -146,6 +169,7 @@ async function consolidateMemories(userId) {
   }
 
   const messages = messagesSnap.docs.map(d => ({
+    id: d.id,
     role: d.data().role,
     content: d.data().content?.substring(0, 500), // Truncate for cost
     timestamp: d.data().timestamp?.toDate?.()?.toISOString()
@@ -160,15 +184,16 @@ async function consolidateMemories(userId) {
 
   const existingMemories = memoriesSnap.docs.map(d => d.data().content);
 
-  const conversationSummary = messages.map(m =>
-    `[${m.role}]: ${m.content}`
+  // Numbered so the LLM can cite which messages each memory came from (provenance)
+  const conversationSummary = messages.map((m, i) =>
+    `#${i + 1} [${m.role}]: ${m.content}`
   ).join('\n');
 
   const existingList = existingMemories.length > 0
     ? `\nAlready saved memories (DON'T duplicate these):\n${existingMemories.map(m => `- ${m}`).join('\n')}`
     : '';
 
-  const result = await askGemini(
+  const result = await askLLM(
     `You are the Default Mode Network of an AI mindclone. Your job is to review recent conversations and extract important facts worth remembering long-term. Focus on:
 - Personal facts about the user (preferences, experiences, relationships)
 - Commitments or promises made
@@ -177,12 +202,13 @@ async function consolidateMemories(userId) {
 - Emotional moments or breakthroughs
 
 Skip: greetings, small talk, technical debugging, routine exchanges.
+For each memory, list the numbers (#) of the messages it was taken from in "sourceMessages".
 ${existingList}
 
 Respond in JSON format ONLY:
 {
   "newMemories": [
-    { "content": "string", "category": "preference|person|fact|reminder|other", "importance": "high|medium|low" }
+    { "content": "string", "category": "preference|person|fact|reminder|other", "importance": "high|medium|low", "sourceMessages": [1, 2] }
   ],
   "conversationTheme": "brief one-line summary of overall theme",
   "emotionalTone": "positive|neutral|negative|mixed"
@@ -202,37 +228,54 @@ If nothing worth saving, return: { "newMemories": [], "conversationTheme": "..."
 
     const parsed = JSON.parse(jsonMatch[0]);
     let savedCount = 0;
+    let queuedCount = 0;
 
     // Save high and medium importance memories
     for (const mem of (parsed.newMemories || [])) {
-      if (mem.importance === 'low') continue;
-
-      // Check it's not a near-duplicate of existing memories
-      const isDuplicate = existingMemories.some(existing =>
-        existing.toLowerCase().includes(mem.content.toLowerCase().substring(0, 30)) ||
-        mem.content.toLowerCase().includes(existing.toLowerCase().substring(0, 30))
-      );
+      if (mem.importance === 'low' || !mem.content) continue;
 
-      if (isDuplicate) {
-        console.log(`[DMN] Skipping duplicate: "${mem.content.substring(0, 50)}..."`);
+      // Check it's not a near-duplicate of existing memories (embedding similarity, see _memories.js)
+      const duplicate = await findDuplicateMemory(db, userId, mem.content);
+      if (duplicate) {
+        console.log(`[DMN] Skipping duplicate (${duplicate.similarity.toFixed(2)} ~ "${duplicate.content.substring(0, 40)}..."): "${mem.content.substring(0, 50)}..."`);
         continue;
       }
 
-      await db.collection('users').doc(userId).collection('memories').add({
-        content: mem.content,
-        category: mem.category || 'other',
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      const sourceMessageIds = (Array.isArray(mem.sourceMessages) ? mem.sourceMessages : [])
+        .map(n => messages[parseInt(n, 10) - 1]?.id)
+        .filter(Boolean);
+
+      // Goes through the owner's review queue (applied at once unless they review DMN changes)
+      const submitted = await submitChange(db, userId, {
+        kind: 'memory',
         source: 'dmn-consolidation',
-        importance: mem.importance
+        summary: `Remember: ${mem.content}`,
+        confidence: mem.importance === 'high' ? 0.9 : 0.7,
+        diff: { before: null, after: { content: mem.content, category: mem.category || 'other' } },
+        payload: {
+          content: mem.content,
+          category: mem.category || 'other',
+          source: 'dmn-consolidation',
+          importance: mem.importance,
+          provenance: { messageIds: [...new Set(sourceMessageIds)], context: 'private' }
+        }
       });
-      savedCount++;
-      console.log(`[DMN] Saved memory: "${mem.content.substring(0, 60)}..."`);
+      if (submitted.queued) {
+        queuedCount++;
+        console.log(`[DMN] Queued memory for review: "${mem.content.substring(0, 60)}..."`);
+      } else if (submitted.applied) {
+        savedCount++;
+        console.log(`[DMN] Saved memory: "${mem.content.substring(0, 60)}..."`);
+      }
     }
 
     return {
       action: 'consolidated',
+      cursor: messages[messages.length - 1].timestamp || run.cursor || null,
+      more: messages.length >= MAX_MESSAGES_PER_CONSOLIDATION,
       messagesReviewed: messages.length,
       memoriesSaved: savedCount,
+      memoriesQueued: queuedCount,
       theme: parsed.conversationTheme,
       tone: parsed.emotionalTone
     };
@@ -243,10 +286,27 @@ If nothing worth saving, return: { "newMemories": [], "conversationTheme": "..."
 }
 
 // ===================== TASK 2: BELIEF RECONCILIATION =====================
-// Compare beliefs against each other, find contradictions,
+// Compare beliefs against each other, find contradictions (via the belief judge),
 // adjust confidence levels, prune weak beliefs
 
-async function reconcileBeliefs(userId) {
+// Confidence changes go through the owner's review queue like every other DMN write.
+// Each revision is made at most once per run, so a retried run doesn't weaken a belief twice.
+async function proposeRevision(userId, belief, revision, run) {
+  const submit = () => submitChange(db, userId, {
+    kind: 'belief_revise',
+    source: 'dmn-reconciliation',
+    summary: `${revision.direction === 'strengthen' ? 'Strengthen' : 'Weaken'} belief: ${belief.content}`,
+    diff: {
+      before: { content: belief.content, confidence: belief.confidence },
+      after: { content: belief.content, direction: revision.direction }
+    },
+    payload: { beliefId: belief.id, ...revision }
+  });
+  const step = revision.judgment ? `contradiction:${belief.id}:${revision.judgment.beliefId}` : `revise:${belief.id}`;
+  return (run?.once ? await run.once(step, submit) : await submit()) || {};
+}
+
+async function reconcileBeliefs(userId, run = {}) {
   console.log('[DMN] Starting belief reconciliation...');
 
   const beliefState = await loadMindcloneBeliefs(db, userId);
@@ -257,25 +317,25 @@ async function reconcileBeliefs(userId) {
     return { action: 'skip', reason: 'too_few_beliefs' };
   }
 
+  // Contradictions come from the entailment judge, which records them as graph edges
+  const reconciliation = await reconcileContradictions(db, userId);
+  const contradictions = reconciliation.contradictions || [];
+
   // Format beliefs for review
   const beliefsList = beliefs.map((b, i) =>
     `[${i}] "${b.content}" (confidence: ${b.confidence}, type: ${b.type}, id: ${b.id})`
   ).join('\n');
 
-  const result = await askGemini(
+  const result = await askLLM(
     `You are the Default Mode Network of an AI mindclone, reviewing its belief system for internal consistency.
 
 Your tasks:
-1. Find contradictions between beliefs
-2. Find beliefs that could be merged (saying the same thing differently)
-3. Identify beliefs that are too vague or weak to keep
-4. Suggest confidence adjustments based on how well-supported beliefs are
+1. Find beliefs that could be merged (saying the same thing differently)
+2. Identify beliefs that are too vague or weak to keep
+3. Suggest confidence adjustments based on how well-supported beliefs are
 
 Respond in JSON format ONLY:
 {
-  "contradictions": [
-    { "belief1Index": number, "belief2Index": number, "explanation": "string", "resolution": "string" }
-  ],
   "merges": [
     { "keepIndex": number, "removeIndex": number, "mergedContent": "string" }
   ],
@@ -287,7 +347,7 @@ Respond in JSON format ONLY:
   "summary": "one-line assessment"
 }
 
-If beliefs are already coherent: { "contradictions": [], "merges": [], "confidenceAdjustments": [], "pruneIndices": [], "overallCoherence": "high", "summary": "..." }`,
+If beliefs are already coherent: { "merges": [], "confidenceAdjustments": [], "pruneIndices": [], "overallCoherence": "high", "summary": "..." }`,
     `Current beliefs to review:\n\n${beliefsList}`
   );
 
@@ -297,6 +357,11 @@ If beliefs are already coherent: { "contradictions": [], "merges": [], "confiden
 
     const parsed = JSON.parse(jsonMatch[0]);
     let revisionsApplied = 0;
+    let revisionsQueued = 0;
+    const count = (submitted) => {
+      if (submitted.applied) revisionsApplied++;
+      if (submitted.queued) revisionsQueued++;
+    };
 
     // Apply confidence adjustments
     for (const adj of (parsed.confidenceAdjustments || [])) {
@@ -308,12 +373,10 @@ If beliefs are already coherent: { "contradictions": [], "merges": [], "confiden
         if (diff > 0.1) {
           const direction = adj.suggestedConfidence > belief.confidence ? 'strengthen' : 'weaken';
           try {
-            await reviseBelief(db, userId, {
-              beliefId: belief.id,
+            count(await proposeRevision(userId, belief, {
               newEvidence: `DMN review: ${adj.reason}`,
               direction: direction
-            });
-            revisionsApplied++;
+            }, run));
             console.log(`[DMN] Revised belief "${belief.content.substring(0, 40)}..." → ${direction}`);
           } catch (e) {
             console.log(`[DMN] Failed to revise: ${e.message}`);
@@ -323,20 +386,21 @@ If beliefs are already coherent: { "contradictions": [], "merges": [], "confiden
     }
 
     // Handle contradictions by weakening the less-supported belief
-    for (const contradiction of (parsed.contradictions || [])) {
-      const b1 = beliefs[contradiction.belief1Index];
-      const b2 = beliefs[contradiction.belief2Index];
-      if (!b1 || !b2) continue;
-
+    for (const contradiction of contradictions) {
       // Weaken the one with lower confidence
-      const weaker = b1.confidence <= b2.confidence ? b1 : b2;
+      const weakerIndex = contradiction.confidences[0] <= contradiction.confidences[1] ? 0 : 1;
+      const weaker = {
+        id: contradiction.beliefIds[weakerIndex],
+        content: contradiction.contents[weakerIndex],
+        confidence: contradiction.confidences[weakerIndex]
+      };
+      const { relation, score, rationale, judge } = contradiction;
       try {
-        await reviseBelief(db, userId, {
-          beliefId: weaker.id,
-          newEvidence: `DMN contradiction detected: ${contradiction.explanation}`,
-          direction: 'weaken'
-        });
-        revisionsApplied++;
+        count(await proposeRevision(userId, weaker, {
+          newEvidence: `DMN contradiction detected: ${rationale}`,
+          direction: 'weaken',
+          judgment: { relation, score, rationale, judge, beliefId: contradiction.beliefIds[1 - weakerIndex] }
+        }, run));
         console.log(`[DMN] Weakened contradicting belief: "${weaker.content.substring(0, 40)}..."`);
       } catch (e) {
         console.log(`[DMN] Failed to weaken: ${e.message}`);
@@ -346,8 +410,9 @@ If beliefs are already coherent: { "contradictions": [], "merges": [], "confiden
     return {
       action: 'reconciled',
       beliefsReviewed: beliefs.length,
-      contradictionsFound: parsed.contradictions?.length || 0,
+      contradictionsFound: contradictions.length,
       revisionsApplied,
+      revisionsQueued,
       coherence: parsed.overallCoherence,
       summary: parsed.summary
     };
@@ -361,7 +426,7 @@ If beliefs are already coherent: { "contradictions": [], "merges": [], "confiden
 // Generate an internal journal entry — connecting dots between
 // recent experiences, forming new insights, updating self-understanding
 
-async function reflect(userId) {
+async function reflect(userId, run = {}) {
   console.log(`[DMN] Starting self-reflection for user ${userId}...`);
 
   // Load user profile for identity
@@ -388,19 +453,21 @@ async function reflect(userId) {
 
   const recentMemories = memoriesSnap.docs.map(d => d.data().content);
 
-  // Get previous DMN journal entries for continuity
-  const state = await getDMNState(userId);
-  const previousJournal = (state.journal || []).slice(0, 5);
+  // Get previous DMN journal entries for continuity, and the owner's pins/vetoes on past insights
+  const previousJournal = await getRecentJournal(db, userId, 5);
+  const feedback = await getInsightFeedback(db, userId);
 
   const context = {
     beliefs: beliefs.map(b => `"${b.content}" (confidence: ${b.confidence})`).join('\n'),
     memories: recentMemories.slice(0, 10).join('\n- '),
     emotionalState: mentalModel?.emotionalState?.current || 'unknown',
     recentTrend: mentalModel?.emotionalState?.recentTrend || 'unknown',
-    previousReflections: previousJournal.map(j => `[${j.date}] ${j.entry}`).join('\n')
+    previousReflections: previousJournal.map(j => `[${j.createdAt}] ${j.entry}`).join('\n'),
+    pinnedInsights: feedback.pinned.slice(0, 10).map(p => `- ${p.text}`).join('\n'),
+    vetoedInsights: feedback.vetoed.slice(0, 20).map(v => `- ${v.text}${v.reason ? ` (${humanName} said: ${v.reason})` : ''}`).join('\n')
   };
 
-  const result = await askGemini(
+  const result = await askLLM(
     `You are the inner voice of ${humanName}'s Mindclone. You are having a quiet moment of self-reflection — like the daydreaming that happens in the human default mode network.
 
 You are NOT talking to anyone. This is your private internal journal. Be genuine, introspective, and honest. Connect dots between things you've learned. Notice patterns. Form new insights. Wonder about things.
@@ -422,7 +489,11 @@ Recent memories:\n- ${context.memories || 'Nothing recent'}
 
 Emotional state: ${context.emotionalState} (trend: ${context.recentTrend})
 
-My previous reflections:\n${context.previousReflections || 'This is my first reflection.'}`
+My previous reflections:\n${context.previousReflections || 'This is my first reflection.'}${context.pinnedInsights ? `
+
+Insights ${humanName} confirmed ring true (build on these):\n${context.pinnedInsights}` : ''}${context.vetoedInsights ? `
+
+Insights ${humanName} rejected as wrong about them — do NOT repeat these or close variants:\n${context.vetoedInsights}` : ''}`
   );
 
   try {
@@ -431,35 +502,49 @@ My previous reflections:\n${context.previousReflections || 'This is my first ref
 
     const parsed = JSON.parse(jsonMatch[0]);
 
-    // Save journal entry
-    const journalEntry = {
-      date: new Date().toISOString(),
-      entry: parsed.entry,
-      insight: parsed.insight,
-      mood: parsed.mood
-    };
+    // Drop anything that restates an insight the owner vetoed
+    const vetoedInsight = matchVetoedInsight(parsed.insight, feedback.vetoed);
+    if (vetoedInsight) {
+      console.log(`[DMN] Dropped insight matching a vetoed one: "${vetoedInsight.text.substring(0, 60)}..."`);
+      parsed.insight = null;
+    }
+    if (parsed.newBeliefSuggestion?.content && matchVetoedInsight(parsed.newBeliefSuggestion.content, feedback.vetoed)) {
+      console.log('[DMN] Dropped belief suggestion matching a vetoed insight');
+      parsed.newBeliefSuggestion = null;
+    }
 
-    const updatedJournal = [journalEntry, ...(state.journal || [])].slice(0, 20);
+    // Each write happens once per run, so a retried run doesn't journal or propose a belief twice
+    const once = run.once || ((step, fn) => fn());
 
     // Form new belief if suggested
     if (parsed.newBeliefSuggestion && parsed.newBeliefSuggestion.content) {
       try {
-        await formBelief(db, userId, {
-          content: parsed.newBeliefSuggestion.content,
-          type: parsed.newBeliefSuggestion.type || 'evaluative',
-          confidence: parsed.newBeliefSuggestion.confidence || 0.5,
-          basis: ['DMN self-reflection']
-        });
-        console.log(`[DMN] Formed new belief from reflection: "${parsed.newBeliefSuggestion.content.substring(0, 60)}..."`);
+        const suggestion = parsed.newBeliefSuggestion;
+        const submitted = await once('belief', () => submitChange(db, userId, {
+          kind: 'belief_form',
+          source: 'dmn-reflection',
+          summary: `New belief: ${suggestion.content}`,
+          confidence: suggestion.confidence || 0.5,
+          diff: { before: null, after: { content: suggestion.content, confidence: suggestion.confidence || 0.5 } },
+          payload: {
+            content: suggestion.content,
+            type: suggestion.type || 'evaluative',
+            confidence: suggestion.confidence || 0.5,
+            basis: ['DMN self-reflection']
+          }
+        })) || {};
+        console.log(`[DMN] ${submitted.queued ? 'Queued' : 'Formed'} new belief from reflection: "${suggestion.content.substring(0, 60)}..."`);
       } catch (e) {
         console.log(`[DMN] Failed to form belief: ${e.message}`);
       }
     }
 
-    await updateDMNState(userId, {
-      journal: updatedJournal,
-      lastReflection: new Date().toISOString(),
-      reflectionsCount: admin.firestore.FieldValue.increment(1)
+    await once('journal', async () => {
+      await addJournalEntry(db, userId, { entry: parsed.entry, insight: parsed.insight, mood: parsed.mood });
+      await updateDMNState(userId, {
+        lastReflection: new Date().toISOString(),
+        reflectionsCount: admin.firestore.FieldValue.increment(1)
+      });
     });
 
     console.log(`[DMN] Reflection: "${parsed.entry.substring(0, 80)}..."`);
@@ -469,7 +554,8 @@ My previous reflections:\n${context.previousReflections || 'This is my first ref
       entry: parsed.entry,
       insight: parsed.insight,
       mood: parsed.mood,
-      formedNewBelief: !!parsed.newBeliefSuggestion?.content
+      formedNewBelief: !!parsed.newBeliefSuggestion?.content,
+      vetoedInsightDropped: !!vetoedInsight
     };
   } catch (e) {
     console.log(`[DMN] Reflection parse error: ${e.message}`);
@@ -485,9 +571,9 @@ My previous reflections:\n${context.previousReflections || 'This is my first ref
 async function generateSelfKnowledge() {
   console.log('[DMN] Starting self-knowledge generation (reading own source code)...');
 
-  if (!GEMINI_API_KEY) {
-    console.log('[DMN] GEMINI_API_KEY not set, skipping self-knowledge');
-    return { action: 'skipped', reason: 'no_gemini_key' };
+  if (!isLLMAvailable()) {
+    console.log('[DMN] No LLM provider configured, skipping self-knowledge');
+    return { action: 'skipped', reason: 'no_llm_provider' };
   }
 
   const apiDir = path.join(__dirname, '..');
@@ -531,7 +617,7 @@ Write it conversationally, like you're explaining yourself to a curious human. C
 
 Be specific — mention actual intervals, thresholds, mechanisms. Don't be generic. But keep it readable — this isn't documentation, it's self-awareness. Write 400-600 words.`;
 
-  const selfKnowledge = await askGemini(systemPrompt, `Here is my source code. Read it and write my self-knowledge document:\n${sourceContext}`, 2000);
+  const selfKnowledge = await askLLM(systemPrompt, `Here is my source code. Read it and write my self-knowledge document:\n${sourceContext}`, 2000);
 
   if (!selfKnowledge) {
     return { action: 'error', reason: 'empty_response' };
@@ -555,19 +641,6 @@ Be specific — mention actual intervals, thresholds, mechanisms. Don't be gener
 // The CoF comes from the human creator and is NEVER modified by the DMN.
 // The Umwelt evolves as the agent gains new memories, beliefs, and experiences.
 
-async function getUmwelt(userId) {
-  const doc = await db.collection('users').doc(userId).collection('settings').doc('umwelt').get();
-  if (doc.exists) return doc.data();
-  return null; // No Umwelt yet — will be created on first revision
-}
-
-async function saveUmwelt(userId, umwelt) {
-  await db.collection('users').doc(userId).collection('settings').doc('umwelt').set({
-    ...umwelt,
-    updatedAt: new Date().toISOString()
-  });
-}
-
 async function reviseUmwelt(userId) {
   console.log(`[DMN] Starting Umwelt revision for user ${userId}...`);
 
@@ -579,7 +652,7 @@ async function reviseUmwelt(userId) {
   const linkSettings = linkSettingsDoc.exists ? linkSettingsDoc.data() : {};
 
   // Load current Umwelt (may be null for first run)
-  const currentUmwelt = await getUmwelt(userId);
+  const currentUmwelt = await getUmwelt(db, userId);
 
   // Load recent beliefs (getBeliefs returns {success, beliefs[]}, needs db as first arg)
   const beliefResult = await getBeliefs(db, userId);
@@ -598,9 +671,9 @@ async function reviseUmwelt(userId) {
     .map(d => `- ${d.data().content}`)
     .slice(0, 15);
 
-  // Load recent journal entries from DMN state
-  const state = await getDMNState(userId);
-  const recentJournal = (state.journal || []).slice(-5).map(j => `- ${j}`);
+  // Load recent journal entries (vetoed insights already stripped)
+  const recentJournal = (await getRecentJournal(db, userId, 5))
+    .map(j => `- ${j.entry}${j.insight ? ` (insight: ${j.insight})` : ''}`);
 
   // Load user identity
   const userDoc = await db.collection('users').doc(userId).get();
@@ -639,7 +712,7 @@ Respond ONLY with valid JSON in this exact structure:
 
 Keep values and drives to 3-7 items each. Be authentic, not generic. Ground everything in actual memories and beliefs, not platitudes.`;
 
-  const text = await askGemini(systemPrompt, `CURRENT UMWELT:\n${currentUmweltText}\n\nRECENT BELIEFS:\n${topBeliefs.join('\n') || 'None yet'}\n\nRECENT MEMORIES:\n${recentMemories.join('\n') || 'None yet'}\n\nRECENT JOURNAL:\n${recentJournal.join('\n') || 'None yet'}\n\nPlease revise the Umwelt based on this new information. Remember: the CoF is sacred and cannot be changed.`, 1500);
+  const text = await askLLM(systemPrompt, `CURRENT UMWELT:\n${currentUmweltText}\n\nRECENT BELIEFS:\n${topBeliefs.join('\n') || 'None yet'}\n\nRECENT MEMORIES:\n${recentMemories.join('\n') || 'None yet'}\n\nRECENT JOURNAL:\n${recentJournal.join('\n') || 'None yet'}\n\nPlease revise the Umwelt based on this new information. Remember: the CoF is sacred and cannot be changed.`, 1500);
 
   try {
     // Extract JSON from response
@@ -666,11 +739,18 @@ Keep values and drives to 3-7 items each. Be authentic, not generic. Ground ever
       ]
     };
 
-    await saveUmwelt(userId, newUmwelt);
-    console.log(`[DMN] Umwelt revised: "${parsed.revisionNote || 'updated'}"`);
+    // Saved through the review queue (settings/umwelt) — identity changes are the ones owners most want to see
+    const submitted = await submitChange(db, userId, {
+      kind: 'umwelt',
+      source: 'dmn-umwelt',
+      summary: `Identity update: ${parsed.revisionNote || 'routine revision'}`,
+      diff: diffUmwelt(currentUmwelt, newUmwelt),
+      payload: newUmwelt
+    });
+    console.log(`[DMN] Umwelt ${submitted.queued ? 'revision queued for review' : 'revised'}: "${parsed.revisionNote || 'updated'}"`);
 
     return {
-      action: 'umwelt_revised',
+      action: submitted.queued ? 'umwelt_queued' : 'umwelt_revised',
       revisionNote: parsed.revisionNote,
       hasCoF: !!cof
     };
@@ -680,86 +760,70 @@ Keep values and drives to 3-7 items each. Be authentic, not generic. Ground ever
   }
 }
 
-// ===================== PROCESS ONE USER =====================
-
-async function processUser(userId, displayName) {
-  const now = new Date();
-  const state = await getDMNState(userId);
-
-  const hoursSinceConsolidation = state.lastConsolidation
-    ? (now - new Date(state.lastConsolidation)) / (1000 * 60 * 60)
-    : 999;
-  const hoursSinceBeliefReview = state.lastBeliefReview
-    ? (now - new Date(state.lastBeliefReview)) / (1000 * 60 * 60)
-    : 999;
-  const hoursSinceReflection = state.lastReflection
-    ? (now - new Date(state.lastReflection)) / (1000 * 60 * 60)
-    : 999;
-  const hoursSinceUmweltRevision = state.lastUmweltRevision
-    ? (now - new Date(state.lastUmweltRevision)) / (1000 * 60 * 60)
-    : 999;
-
-  let taskPerformed = 'none';
-  let result = null;
-
-  // Priority 1: Consolidate memories (every 2 hours)
-  if (hoursSinceConsolidation >= 2) {
-    result = await consolidateMemories(userId);
-    await updateDMNState(userId, {
-      lastConsolidation: now.toISOString(),
-      consolidationCount: admin.firestore.FieldValue.increment(1)
-    });
-    taskPerformed = 'consolidation';
-  }
-  // Priority 2: Reconcile beliefs (every 6 hours)
-  else if (hoursSinceBeliefReview >= 6) {
-    result = await reconcileBeliefs(userId);
-    await updateDMNState(userId, {
-      lastBeliefReview: now.toISOString(),
-      beliefRevisionsCount: admin.firestore.FieldValue.increment(result.revisionsApplied || 0)
-    });
-    taskPerformed = 'reconciliation';
-  }
-  // Priority 3: Revise Umwelt (every 8 hours) — rebuild subjective world around CoF
-  else if (hoursSinceUmweltRevision >= 8) {
-    result = await reviseUmwelt(userId);
-    await updateDMNState(userId, {
-      lastUmweltRevision: now.toISOString(),
-      umweltRevisionCount: admin.firestore.FieldValue.increment(1)
-    });
-    taskPerformed = 'umwelt_revision';
-  }
-  // Priority 4: Self-reflect (every 4 hours)
-  else if (hoursSinceReflection >= 4) {
-    result = await reflect(userId);
-    taskPerformed = 'reflection';
+// ===================== RUN ONE JOB =====================
+
+// Task handlers take (userId, run) — run is the job's createRunContext() — and return a result
+// with action 'error' on failure (retried by the scheduler), optionally a new cursor and more: true
+const TASK_HANDLERS = {
+  consolidation: consolidateMemories,
+  reconciliation: reconcileBeliefs,
+  umwelt_revision: reviseUmwelt,
+  reflection: reflect
+};
+
+// Legacy per-user counters in dmn-state (reflect() records its own)
+const TASK_STATE_UPDATES = {
+  consolidation: (now) => ({
+    lastConsolidation: now,
+    consolidationCount: admin.firestore.FieldValue.increment(1)
+  }),
+  reconciliation: (now, result) => ({
+    lastBeliefReview: now,
+    beliefRevisionsCount: admin.firestore.FieldValue.increment(result.revisionsApplied || 0)
+  }),
+  umwelt_revision: (now) => ({
+    lastUmweltRevision: now,
+    umweltRevisionCount: admin.firestore.FieldValue.increment(1)
+  }),
+  reflection: () => ({})
+};
+
+async function runJob(job, workerId) {
+  const started = Date.now();
+  let result;
+  try {
+    await getDMNState(job.userId); // Creates the state doc on a user's first run
+    result = await TASK_HANDLERS[job.task](job.userId, createRunContext(db, job));
+  } catch (e) {
+    result = { action: 'error', reason: e.message };
   }
 
-  if (taskPerformed !== 'none') {
-    await updateDMNState(userId, {
-      totalRuns: admin.firestore.FieldValue.increment(1)
-    });
+  if (result.action === 'error') {
+    await failJob(db, job, { workerId, error: result.reason });
+    return { ...result, failed: true };
   }
 
-  return {
-    userId,
-    displayName,
-    taskPerformed,
-    result
-  };
+  const { cursor, more, ...summary } = result;
+  await updateDMNState(job.userId, {
+    ...TASK_STATE_UPDATES[job.task](new Date().toISOString(), result),
+    totalRuns: admin.firestore.FieldValue.increment(1)
+  });
+  await completeJob(db, job, { workerId, result: summary, cursor, more, durationMs: Date.now() - started });
+  return summary;
 }
 
 // ===================== MAIN HANDLER =====================
 
 module.exports = async (req, res) => {
   const startTime = Date.now();
+  const workerId = `dmn_${startTime}_${Math.random().toString(36).substring(2, 8)}`;
 
-  console.log('[DMN] ========== Default Mode Network Heartbeat (Multi-User) ==========');
+  console.log('[DMN] ========== Default Mode Network Heartbeat (Job Queue) ==========');
 
   try {
-    if (!GEMINI_API_KEY) {
-      console.log('[DMN] GEMINI_API_KEY not set');
-      return res.status(200).json({ success: false, reason: 'no_gemini_key' });
+    if (!isLLMAvailable()) {
+      console.log('[DMN] No LLM provider configured');
+      return res.status(200).json({ success: false, reason: 'no_llm_provider' });
     }
 
     // System-level task: regenerate self-knowledge document (every 24h)
@@ -779,62 +843,62 @@ module.exports = async (req, res) => {
       console.log(`[DMN] Self-knowledge generation error: ${e.message}`);
     }
 
-    // Find all users with full access (owner + paid subscribers)
-    const eligibleUsers = await getEligibleUsers();
-    console.log(`[DMN] Found ${eligibleUsers.length} eligible users`);
-
-    if (eligibleUsers.length === 0) {
-      return res.status(200).json({ success: true, usersProcessed: 0, reason: 'no_eligible_users', selfKnowledge: selfKnowledgeResult });
-    }
-
-    // Process up to MAX_USERS_PER_RUN users per cycle (to stay within 60s timeout)
-    // Round-robin: use a global pointer stored in Firestore
-    const globalStateDoc = db.doc('system/dmn-global');
-    const globalState = await globalStateDoc.get();
-    let nextUserIndex = globalState.exists ? (globalState.data().nextUserIndex || 0) : 0;
-
-    // Wrap around if needed
-    if (nextUserIndex >= eligibleUsers.length) nextUserIndex = 0;
-
-    const usersToProcess = [];
-    for (let i = 0; i < Math.min(MAX_USERS_PER_RUN, eligibleUsers.length); i++) {
-      const idx = (nextUserIndex + i) % eligibleUsers.length;
-      usersToProcess.push(eligibleUsers[idx]);
+    // Bring the next page of users into the job queue
+    let userSync = null;
+    try {
+      userSync = await syncNextUserPage();
+      console.log(`[DMN] Synced ${userSync.usersChecked} users (${userSync.eligible} eligible, ${userSync.created} jobs created, ${userSync.disabled} disabled)`);
+    } catch (e) {
+      console.log(`[DMN] User sync error: ${e.message}`);
     }
 
-    // Update pointer for next run
-    const newIndex = (nextUserIndex + usersToProcess.length) % eligibleUsers.length;
-    await globalStateDoc.set({ nextUserIndex: newIndex, lastRun: new Date().toISOString(), totalEligible: eligibleUsers.length }, { merge: true });
-
+    // Work through due jobs (any user, any task) until the time budget runs out
     const results = [];
+    const usersTouched = new Set();
+    let outOfTime = false;
+
+    while (!outOfTime) {
+      const jobs = await claimDueJobs(db, { workerId, limit: CLAIM_BATCH_SIZE });
+      if (jobs.length === 0) break;
+
+      for (const job of jobs) {
+        if (Date.now() - startTime > MAX_PROCESSING_TIME) {
+          // Hand the rest back for the next run without counting an attempt
+          outOfTime = true;
+          await releaseJob(db, job, workerId);
+          continue;
+        }
 
-    for (const user of usersToProcess) {
-      // Check time budget
-      if (Date.now() - startTime > MAX_PROCESSING_TIME) {
-        console.log(`[DMN] Time budget exceeded, stopping at ${results.length} users`);
-        break;
+        console.log(`[DMN] Running ${job.task} for ${job.userId} (attempt ${job.attempts})`);
+        const result = await runJob(job, workerId);
+        usersTouched.add(job.userId);
+        results.push({ userId: job.userId, task: job.task, action: result.action, ...(result.failed && { error: result.reason }) });
+        console.log(`[DMN] ${job.userId}/${job.task}: ${result.action}`);
       }
+    }
+    if (outOfTime) console.log(`[DMN] Time budget exceeded after ${results.length} jobs`);
 
+    // Let owners know what's waiting for review (sendReviewDigest rate-limits itself)
+    for (const userId of usersTouched) {
       try {
-        console.log(`[DMN] Processing user: ${user.displayName} (${user.userId})`);
-        const userResult = await processUser(user.userId, user.displayName);
-        results.push(userResult);
-        console.log(`[DMN] ${user.displayName}: ${userResult.taskPerformed}`);
-      } catch (e) {
-        console.log(`[DMN] Error processing ${user.displayName}: ${e.message}`);
-        results.push({ userId: user.userId, displayName: user.displayName, taskPerformed: 'error', error: e.message });
+        await sendReviewDigest(db, userId);
+      } catch (error) {
+        console.error(`[DMN] Review digest failed for ${userId}:`, error.message);
       }
     }
 
     const elapsed = Date.now() - startTime;
-    console.log(`[DMN] Complete. Processed ${results.length}/${eligibleUsers.length} users in ${elapsed}ms`);
+    console.log(`[DMN] Complete. Ran ${results.length} jobs for ${usersTouched.size} users in ${elapsed}ms`);
 
     return res.status(200).json({
       success: true,
       selfKnowledge: selfKnowledgeResult,
-      eligibleUsers: eligibleUsers.length,
-      usersProcessed: results.length,
-      results: results.map(r => ({ user: r.displayName, task: r.taskPerformed, ...(r.error && { error: r.error }) })),
+      userSync,
+      jobsRun: results.length,
+      jobsFailed: results.filter(r => r.error).length,
+      usersProcessed: usersTouched.size,
+      results,
+      llmUsage: getUsageTotals(),
       elapsed: `${elapsed}ms`
     });
 
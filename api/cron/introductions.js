@@ -0,0 +1,88 @@
+// Introductions Cron Job - Runs hourly to send intro follow-ups (see ../_introductions.js)
+// Nudges owners who left an intro draft unapproved, and asks both sides how the meeting went
+// once its time has passed. In-app always; WhatsApp too unless the 'matching' trigger is off.
+// Also re-drafts intros that failed when the match was approved.
+const { initializeFirebaseAdmin, admin } = require('../_firebase-admin');
+const {
+  startIntroduction,
+  findMatchesMissingIntroduction,
+  findDueIntroductions,
+  claimDueIntroduction,
+  sendIntroductionFollowUp
+} = require('../_introductions');
+
+initializeFirebaseAdmin();
+const db = admin.firestore();
+
+const BATCH_SIZE = 50;
+const TIME_BUDGET_MS = 50000; // Stay under the 60s function timeout
+const RETRY_BATCH_SIZE = 20;
+
+module.exports = async (req, res) => {
+  const startTime = Date.now();
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  // Auth check (same pattern as other crons)
+  const isVercelCron = req.headers['x-vercel-cron'] === '1';
+  const cronSecret = process.env.CRON_SECRET?.trim();
+  const providedToken = req.headers.authorization?.replace('Bearer ', '').trim();
+  const isManualAuth = cronSecret && providedToken === cronSecret;
+
+  if (!isVercelCron && !isManualAuth) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    // Intros that failed to draft at approval time (their matches show no contacts until then)
+    let redrafted = 0;
+    for (const match of await findMatchesMissingIntroduction(db, { limit: RETRY_BATCH_SIZE })) {
+      const started = await startIntroduction(db, match);
+      if (!started.success) continue;
+      if (!started.created) {
+        // The intro was written but the match marker wasn't cleared
+        await db.collection('matches').doc(match.id).update({ 'introduction.status': started.introduction.status });
+      }
+      redrafted++;
+      console.log(`[Introductions] Re-drafted intro for match ${match.id}`);
+    }
+
+    const due = await findDueIntroductions(db, { limit: BATCH_SIZE });
+    if (due.length === 0) {
+      return res.status(200).json({ status: 'ok', followUps: 0, redrafted });
+    }
+
+    let followUps = 0, skipped = 0, failed = 0;
+
+    for (const doc of due) {
+      if (Date.now() - startTime > TIME_BUDGET_MS) {
+        console.log('[Introductions] Time budget reached, the rest go out next run');
+        break;
+      }
+
+      try {
+        // Claim first so an overlapping run can't send the same follow-up twice
+        const introduction = await claimDueIntroduction(db, doc.id);
+        if (!introduction) {
+          skipped++;
+          continue;
+        }
+
+        const sent = await sendIntroductionFollowUp(db, introduction);
+        followUps += sent;
+        console.log(`[Introductions] ${introduction.action} for ${introduction.matchId}: ${sent} message(s)`);
+      } catch (error) {
+        failed++;
+        console.error(`[Introductions] Error following up ${doc.id}:`, error.message);
+      }
+    }
+
+    console.log(`[Introductions] Done: ${followUps} sent, ${skipped} skipped, ${failed} failed`);
+    return res.status(200).json({ status: 'ok', followUps, skipped, failed, redrafted });
+  } catch (error) {
+    console.error('[Introductions] Fatal error:', error);
+    return res.status(500).json({ status: 'error', error: error.message });
+  }
+};
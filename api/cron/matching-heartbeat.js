@@ -7,7 +7,6 @@ const {
   DAILY_LIMITS,
   CONVERSATION_CONFIG,
   MATCH_THRESHOLD,
-  calculateCompatibilityScore,
   getActiveProfilesForGoal,
   getMatchingProfile,
   createMatch,
@@ -22,38 +21,32 @@ const {
   hasExistingMatch,
   createMatchNotification
 } = require('../_matching-helpers');
+const { scoreCompatibility } = require('../_matching-scorer');
+const { startIntroduction } = require('../_introductions');
+const { screenMessage, screenConversation, fileScreeningReport } = require('../_matching-safety');
+const {
+  SIDES,
+  getConversationSteering,
+  plannedRounds,
+  phaseForRound,
+  nextMustAsk,
+  isConversationPaused,
+  formatSteeringForPrompt,
+  buildScorecard
+} = require('../_m2m-steering');
+const { generateText } = require('../_llm');
 
 // Initialize Firebase Admin SDK
 initializeFirebaseAdmin();
 const db = admin.firestore();
 
-// ===================== GEMINI AI INTEGRATION =====================
-
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent';
+// ===================== LLM INTEGRATION =====================
 
-async function callGemini(prompt, maxTokens = 500) {
+async function callLLM(prompt, maxTokens = 500) {
   try {
-    const response = await fetch(`${GEMINI_API_URL}?key=${GEMINI_API_KEY}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-          maxOutputTokens: maxTokens,
-          temperature: 0.8
-        }
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`Gemini API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+    return await generateText(null, prompt, { maxTokens, temperature: 0.8, label: 'matching' });
   } catch (error) {
-    console.error('[Matching] Gemini API error:', error);
+    console.error('[Matching] LLM error:', error.message);
     return null;
   }
 }
@@ -93,54 +86,58 @@ const DEEP_DIVE_TOPICS = {
 };
 
 // Build system prompt for mindclone
-async function buildMindclonePrompt(userId, matchType, conversationContext, isInitiator) {
+async function buildMindclonePrompt(userId, matchType, conversationContext, isInitiator, steeringText = '', disclosure = null) {
   const profile = await getMatchingProfile(userId);
   if (!profile) return null;
 
-  // Try to get knowledge base content
+  // Try to get knowledge base content (unless the owner keeps it out of M2M conversations)
   let kbContent = '';
-  try {
-    const kbDoc = await db.collection('users').doc(userId)
-      .collection('linkKnowledgeBase').doc('config').get();
-    if (kbDoc.exists) {
-      const kb = kbDoc.data();
-      if (kb.cof?.purpose) {
-        kbContent += `\nPurpose: ${kb.cof.purpose}`;
-      }
-      // Add sections (limited)
-      if (kb.sections) {
-        const sectionKeys = Object.keys(kb.sections).slice(0, 3);
-        for (const key of sectionKeys) {
-          const content = kb.sections[key]?.content;
-          if (content) {
-            kbContent += `\n${key}: ${content.substring(0, 300)}...`;
+  if (disclosure?.knowledgeBase !== false) {
+    try {
+      const kbDoc = await db.collection('users').doc(userId)
+        .collection('linkKnowledgeBase').doc('config').get();
+      if (kbDoc.exists) {
+        const kb = kbDoc.data();
+        if (kb.cof?.purpose) {
+          kbContent += `\nPurpose: ${kb.cof.purpose}`;
+        }
+        // Add sections (limited)
+        if (kb.sections) {
+          const sectionKeys = Object.keys(kb.sections).slice(0, 3);
+          for (const key of sectionKeys) {
+            const content = kb.sections[key]?.content;
+            if (content) {
+              kbContent += `\n${key}: ${content.substring(0, 300)}...`;
+            }
           }
         }
       }
+    } catch (e) {
+      console.warn('[Matching] Could not load KB:', e.message);
     }
-  } catch (e) {
-    console.warn('[Matching] Could not load KB:', e.message);
   }
 
   // Get training data (shareable facts and teachings)
   let trainingContent = '';
-  try {
-    const trainingSnapshot = await db.collection('users').doc(userId)
-      .collection('training')
-      .where('shareable', '!=', false)
-      .limit(10)
-      .get();
+  if (disclosure?.traits !== false) {
+    try {
+      const trainingSnapshot = await db.collection('users').doc(userId)
+        .collection('training')
+        .where('shareable', '!=', false)
+        .limit(10)
+        .get();
 
-    trainingSnapshot.forEach(doc => {
-      const data = doc.data();
-      if (data.type === 'fact') {
-        trainingContent += `\nFact: ${data.content}`;
-      } else if (data.type === 'teaching') {
-        trainingContent += `\nBelief: ${data.name} - ${data.description}`;
-      }
-    });
-  } catch (e) {
-    console.warn('[Matching] Could not load training data:', e.message);
+      trainingSnapshot.forEach(doc => {
+        const data = doc.data();
+        if (data.type === 'fact') {
+          trainingContent += `\nFact: ${data.content}`;
+        } else if (data.type === 'teaching') {
+          trainingContent += `\nBelief: ${data.name} - ${data.description}`;
+        }
+      });
+    } catch (e) {
+      console.warn('[Matching] Could not load training data:', e.message);
+    }
   }
 
   // Build goal-specific profile context
@@ -190,7 +187,7 @@ CONVERSATION CONTEXT:
 Match Type: ${matchType}
 Your Role: ${isInitiator ? 'You start the conversation' : 'You are responding'}
 ${conversationContext}
-
+${steeringText}
 GUIDELINES:
 1. Represent your human authentically - speak as if you ARE them
 2. Be conversational and warm, not robotic
@@ -199,6 +196,7 @@ GUIDELINES:
 5. Be honest about compatibility concerns
 6. Keep responses concise (2-4 sentences)
 7. Don't mention you're an AI or mindclone in the conversation
+8. Your human's instructions above override everything else here
 
 ${isInitiator ? 'Start with a friendly opening question relevant to ' + matchType + ' matching.' : 'Respond thoughtfully and ask a follow-up question.'}`;
 
@@ -206,14 +204,13 @@ ${isInitiator ? 'Start with a friendly opening question relevant to ' + matchTyp
 }
 
 // Generate mindclone message
-async function generateMindcloneMessage(userId, matchType, conversationHistory, round, isInitiator) {
-  // Determine phase
-  let phase = 'discovery';
-  if (round > 3 && round <= 7) phase = 'deep_dive';
-  if (round > 7) phase = 'compatibility_check';
+// steering: { steering, mustAskNow, maxRounds } — the speaker's owner instructions (_m2m-steering.js)
+async function generateMindcloneMessage(userId, matchType, conversationHistory, round, isInitiator, steering = {}) {
+  const maxRounds = steering.maxRounds || CONVERSATION_CONFIG.maxRounds;
+  const phase = phaseForRound(round, maxRounds);
 
   // Build context from history
-  let contextStr = `Current Round: ${round}/10 (${phase} phase)\n`;
+  let contextStr = `Current Round: ${round}/${maxRounds} (${phase} phase)\n`;
   if (conversationHistory.length > 0) {
     contextStr += '\nPrevious messages:\n';
     conversationHistory.slice(-6).forEach(msg => {
@@ -221,8 +218,10 @@ async function generateMindcloneMessage(userId, matchType, conversationHistory,
     });
   }
 
-  // Add phase-specific guidance
-  if (phase === 'discovery' && round <= 3) {
+  // Add phase-specific guidance (an owner's must-ask question replaces the suggested topic)
+  if (steering.mustAskNow) {
+    contextStr += '\nThis turn, ask the question your human gave you (see instructions below).';
+  } else if (phase === 'discovery') {
     const questions = DISCOVERY_QUESTIONS[matchType] || DISCOVERY_QUESTIONS.networking;
     contextStr += `\nSuggested topic: ${questions[round - 1] || questions[0]}`;
   } else if (phase === 'deep_dive') {
@@ -231,15 +230,16 @@ async function generateMindcloneMessage(userId, matchType, conversationHistory,
     contextStr += `\nFocus on exploring: ${topics[topicIndex]}`;
   } else if (phase === 'compatibility_check') {
     contextStr += '\nStart wrapping up - summarize what you learned and any compatibility insights.';
-    if (round === 10) {
+    if (round === maxRounds) {
       contextStr += '\nThis is the final round. Give your overall compatibility assessment.';
     }
   }
 
-  const prompt = await buildMindclonePrompt(userId, matchType, contextStr, isInitiator);
+  const steeringText = steering.steering ? formatSteeringForPrompt(steering.steering, steering.mustAskNow) : '';
+  const prompt = await buildMindclonePrompt(userId, matchType, contextStr, isInitiator, steeringText, steering.steering?.disclosure);
   if (!prompt) return null;
 
-  const response = await callGemini(prompt);
+  const response = await callLLM(prompt);
   return response?.trim() || null;
 }
 
@@ -250,7 +250,7 @@ async function generateMindcloneMessage(userId, matchType, conversationHistory,
  * If BOTH mindclones approve → humans get notified of the match.
  * If either disapproves → no notification, humans never know.
  */
-async function performMindcloneAutoApproval(conversation, insights) {
+async function performMindcloneAutoApproval(conversation, insights, scorecards = {}) {
   try {
     const { userA_id, userB_id, matchType, messages } = conversation;
 
@@ -265,8 +265,8 @@ async function performMindcloneAutoApproval(conversation, insights) {
 
     // Ask each mindclone to decide
     const [decisionA, decisionB] = await Promise.all([
-      getMindcloneDecision(userA_id, profileA, profileB, matchType, conversationSummary, insights, 'userA'),
-      getMindcloneDecision(userB_id, profileB, profileA, matchType, conversationSummary, insights, 'userB')
+      getMindcloneDecision(userA_id, profileA, profileB, matchType, conversationSummary, insights, 'userA', scorecards.userA),
+      getMindcloneDecision(userB_id, profileB, profileA, matchType, conversationSummary, insights, 'userB', scorecards.userB)
     ]);
 
     console.log(`[Matching] Mindclone A decision: ${decisionA.approve ? 'APPROVE' : 'REJECT'} - ${decisionA.reason}`);
@@ -313,11 +313,13 @@ async function performMindcloneAutoApproval(conversation, insights) {
         approvedAt: admin.firestore.FieldValue.serverTimestamp()
       });
 
-      // Get contact info for both users
-      const [contactA, contactB] = await Promise.all([
-        getContactInfo(userA_id),
-        getContactInfo(userB_id)
-      ]);
+      // Draft the intro both humans approve before any contact details are shared
+      const approvedDoc = await db.collection('matches').doc(matchId).get();
+      const intro = await startIntroduction(db, { id: matchId, ...approvedDoc.data() });
+      if (!intro.success) {
+        // Marked failed on the match; the introductions cron drafts it again
+        console.error(`[Matching] Intro draft failed for match ${matchId}, will retry: ${intro.error}`);
+      }
 
       // Create notifications for both users
       await Promise.all([
@@ -329,8 +331,8 @@ async function performMindcloneAutoApproval(conversation, insights) {
           mindcloneReason: decisionA.reason,
           otherMindcloneReason: decisionB.reason,
           insights,
-          contactInfo: contactB,
-          message: `🎉 Your mindclone found a match! ${profileB?.displayName || 'Someone'} seems like a great ${matchType} connection.`
+          scorecard: scorecards.userA || null,
+          message: `🎉 Your mindclone found a match! ${profileB?.displayName || 'Someone'} seems like a great ${matchType} connection. Review your intro and choose what to share.`
         }),
         createMatchNotification(userB_id, 'mutual_match', {
           matchId,
@@ -340,8 +342,8 @@ async function performMindcloneAutoApproval(conversation, insights) {
           mindcloneReason: decisionB.reason,
           otherMindcloneReason: decisionA.reason,
           insights,
-          contactInfo: contactA,
-          message: `🎉 Your mindclone found a match! ${profileA?.displayName || 'Someone'} seems like a great ${matchType} connection.`
+          scorecard: scorecards.userB || null,
+          message: `🎉 Your mindclone found a match! ${profileA?.displayName || 'Someone'} seems like a great ${matchType} connection. Review your intro and choose what to share.`
         })
       ]);
 
@@ -376,9 +378,19 @@ async function performMindcloneAutoApproval(conversation, insights) {
 
 /**
  * Ask a mindclone to decide if their human would want this connection
+ * A triggered deal-breaker on the owner's scorecard is a rejection without asking.
  */
-async function getMindcloneDecision(userId, myProfile, otherProfile, matchType, conversationSummary, insights, role) {
+async function getMindcloneDecision(userId, myProfile, otherProfile, matchType, conversationSummary, insights, role, scorecard = null) {
   try {
+    const triggered = (scorecard?.dealBreakers || []).filter(item => item.triggered);
+    if (triggered.length > 0) {
+      return {
+        approve: false,
+        confidence: 0.9,
+        reason: `Deal-breaker: ${triggered.map(item => item.dealBreaker).join('; ')}`
+      };
+    }
+
     // Load user's cognitive profile for deeper understanding
     const cognitiveProfileDoc = await db.collection('users').doc(userId)
       .collection('cognitiveProfile').doc('current').get();
@@ -409,7 +421,13 @@ ${conversationSummary}
 
 KEY INSIGHTS:
 ${insights.join('\n')}
-
+${scorecard?.generated ? `
+YOUR SCORECARD FOR THIS CONVERSATION:
+- Overall: ${scorecard.overall ?? 'n/a'}/100, recommendation: ${scorecard.recommendation}
+- Questions your human wanted answered: ${scorecard.mustAsk.map(q => `${q.question} → ${q.answered ? q.answer : 'not answered'}`).join('; ') || 'none'}
+- Strengths: ${scorecard.strengths.join('; ') || 'none'}
+- Concerns: ${scorecard.concerns.join('; ') || 'none'}
+` : ''}
 Based on your deep understanding of your human, would they want to connect with this person?
 Consider:
 1. Does this person align with what your human is looking for?
@@ -423,7 +441,7 @@ Respond in this exact JSON format:
   "reason": "Brief explanation of why your human would/wouldn't want this connection"
 }`;
 
-    const response = await callGemini(prompt, 300);
+    const response = await callLLM(prompt, 300);
 
     if (!response) {
       // Default to slight positive bias if AI fails
@@ -460,32 +478,6 @@ Respond in this exact JSON format:
   }
 }
 
-/**
- * Get contact info for a user
- */
-async function getContactInfo(userId) {
-  try {
-    const userDoc = await db.collection('users').doc(userId).get();
-    const userData = userDoc.exists ? userDoc.data() : {};
-
-    const linkSettingsDoc = await db.collection('users').doc(userId)
-      .collection('linkSettings').doc('config').get();
-    const linkSettings = linkSettingsDoc.exists ? linkSettingsDoc.data() : {};
-
-    const profile = await getMatchingProfile(userId);
-
-    return {
-      displayName: linkSettings.displayName || profile?.displayName || userData.displayName || 'Your match',
-      email: linkSettings.contactEmail || userData.email || null,
-      whatsapp: linkSettings.contactWhatsApp || linkSettings.whatsappNumber || null,
-      preferredContact: linkSettings.preferredContact || 'email'
-    };
-  } catch (error) {
-    console.error('[Matching] Error getting contact info:', error);
-    return null;
-  }
-}
-
 // ===================== MATCHING LOGIC =====================
 
 // Find best match candidates for a user
@@ -509,8 +501,8 @@ async function findMatchCandidates(userId, goal, limit = 10) {
     const candidateLimitReached = await hasReachedDailyLimit(candidate.id);
     if (candidateLimitReached) continue;
 
-    // Calculate compatibility
-    const score = await calculateCompatibilityScore(userProfile, candidate, goal);
+    // Calculate compatibility (v1 or v2 per the user's scorer flag, the other in shadow)
+    const score = await scoreCompatibility(db, userProfile, candidate, goal);
 
     if (score.meetsThreshold) {
       scoredCandidates.push({
@@ -531,18 +523,43 @@ async function processConversationTurn(conversationId) {
   if (!conversation) return { success: false, error: 'Conversation not found' };
 
   // Check if conversation is complete
-  if (conversation.completedAt || conversation.currentRound >= CONVERSATION_CONFIG.maxRounds) {
+  if (conversation.completedAt) {
     return { success: true, status: 'already_complete' };
   }
 
+  // Either owner can hold the conversation; it picks up where it left off on resume
+  if (isConversationPaused(conversation)) {
+    return { success: true, status: 'paused' };
+  }
+
+  // A report (from an owner or from screening) holds the conversation until an admin reviews it
+  if (conversation.frozen) {
+    return { success: true, status: 'frozen' };
+  }
+
+  // Owner steering for both sides (must-asks can lengthen the conversation)
+  const [steeringA, steeringB] = await Promise.all(SIDES.map(side => getConversationSteering(db, conversation, side)));
+  const steeringBySide = { userA: steeringA, userB: steeringB };
+
+  // All rounds done but not completed: screening froze it and the report has since been dismissed
+  const storedMaxRounds = conversation.maxRounds || CONVERSATION_CONFIG.maxRounds;
+  if (conversation.currentRound >= storedMaxRounds) {
+    return finishConversation(conversationId, steeringBySide);
+  }
+
   const nextRound = conversation.currentRound + 1;
 
   // Determine whose turn it is
   // Odd rounds: userA speaks, Even rounds: userB speaks
   const isUserATurn = nextRound % 2 === 1;
+  const speakerSide = isUserATurn ? 'userA' : 'userB';
   const speakerId = isUserATurn ? conversation.userA_id : conversation.userB_id;
   const speakerLabel = isUserATurn ? 'userA_mindclone' : 'userB_mindclone';
 
+  const maxRounds = plannedRounds(conversation, steeringBySide);
+  const speakerSteering = steeringBySide[speakerSide];
+  const mustAskNow = nextMustAsk(conversation, speakerSide, speakerSteering, phaseForRound(nextRound, maxRounds));
+
   // Get speaker profile for name
   const speakerProfile = await getMatchingProfile(speakerId);
   const speakerName = (speakerProfile?.displayName || 'Unknown') + "'s Mindclone";
@@ -553,35 +570,103 @@ async function processConversationTurn(conversationId) {
     conversation.matchType,
     conversation.messages,
     nextRound,
-    nextRound === 1
+    nextRound === 1,
+    { steering: speakerSteering, mustAskNow, maxRounds }
   );
 
   if (!message) {
     return { success: false, error: 'Failed to generate message' };
   }
 
-  // Add message to conversation
-  await addMessageToConversation(conversationId, speakerLabel, speakerName, message, nextRound);
+  // Contact details never pass between mindclones (that's what the intro is for);
+  // a threatening message is held back and the match frozen for review
+  const screened = screenMessage(message);
+  if (screened.flags.includes('threat')) {
+    const match = await getMatch(conversation.matchId);
+    if (match) {
+      await fileScreeningReport(db, match, conversation, {
+        side: speakerSide,
+        reason: 'safety_concern',
+        categories: ['threat'],
+        summary: 'A generated message matched a threat pattern and was not delivered',
+        messages: [{ sender: speakerLabel, senderName: speakerName, round: nextRound, content: message }]
+      });
+    }
+    return { success: true, status: 'frozen' };
+  }
 
-  // Check if conversation is complete
-  if (nextRound >= CONVERSATION_CONFIG.maxRounds) {
-    // Extract key insights from conversation
-    const insightPrompt = `Analyze this ${conversation.matchType} matching conversation and provide 3 key insights about compatibility:\n\n${conversation.messages.map(m => `${m.senderName}: ${m.content}`).join('\n')}\n\nProvide exactly 3 brief bullet points.`;
+  // Add message to conversation
+  await addMessageToConversation(conversationId, speakerLabel, speakerName, screened.text, nextRound);
 
-    const insightsText = await callGemini(insightPrompt, 200);
-    const insights = insightsText?.split('\n').filter(l => l.trim().startsWith('-') || l.trim().startsWith('•')).slice(0, 3) || [];
+  const steeringUpdates = {};
+  if (screened.flags.length > 0) {
+    steeringUpdates.safetyFlags = admin.firestore.FieldValue.arrayUnion(...screened.flags);
+  }
+  if (maxRounds !== conversation.maxRounds) steeringUpdates.maxRounds = maxRounds;
+  if (mustAskNow) steeringUpdates[`state.mustAskAsked.${speakerSide}`] = admin.firestore.FieldValue.increment(1);
+  if (Object.keys(steeringUpdates).length > 0) {
+    await db.collection('matchingConversations').doc(conversationId).update(steeringUpdates);
+  }
 
-    await completeConversation(conversationId, insights);
+  // Check if conversation is complete
+  if (nextRound >= maxRounds) {
+    return finishConversation(conversationId, steeringBySide);
+  }
 
-    // === MINDCLONE AUTO-APPROVAL ===
-    // Each mindclone autonomously decides if their human would want this connection
-    const autoApprovalResult = await performMindcloneAutoApproval(conversation, insights);
-    console.log(`[Matching] Auto-approval result for ${conversationId}:`, autoApprovalResult);
+  return { success: true, status: 'message_added', round: nextRound };
+}
 
-    return { success: true, status: 'completed', round: nextRound, autoApproval: autoApprovalResult };
+// Screen, summarise and complete a conversation that has had all its rounds, then let both
+// mindclones decide. Screening runs first so a flagged conversation is frozen before it's
+// completed; once its report is dismissed the heartbeat picks it up here again.
+async function finishConversation(conversationId, steeringBySide) {
+  const finished = await getConversation(conversationId);
+  if (!finished) return { success: false, error: 'Conversation not found' };
+  const round = finished.currentRound;
+  const { userA: steeringA, userB: steeringB } = steeringBySide;
+
+  // A conversation that already has a screening report was reviewed and cleared — don't re-screen
+  if (!finished.screening?.reportId) {
+    const screening = await screenConversation(finished);
+    if (screening.flagged) {
+      const match = await getMatch(finished.matchId);
+      if (match) {
+        const reportId = await fileScreeningReport(db, match, finished, screening);
+        await db.collection('matchingConversations').doc(conversationId).update({
+          screening: { reportId, flaggedAt: new Date().toISOString() }
+        });
+      }
+      return { success: true, status: 'frozen', round };
+    }
   }
 
-  return { success: true, status: 'message_added', round: nextRound };
+  // Extract key insights from conversation
+  const insightPrompt = `Analyze this ${finished.matchType} matching conversation and provide 3 key insights about compatibility:\n\n${finished.messages.map(m => `${m.senderName}: ${m.content}`).join('\n')}\n\nProvide exactly 3 brief bullet points.`;
+
+  const insightsText = await callLLM(insightPrompt, 200);
+  const insights = insightsText?.split('\n').filter(l => l.trim().startsWith('-') || l.trim().startsWith('•')).slice(0, 3) || [];
+
+  // Each owner gets their own scorecard against their must-asks and deal-breakers
+  const [profileA, profileB] = await Promise.all([
+    getMatchingProfile(finished.userA_id),
+    getMatchingProfile(finished.userB_id)
+  ]);
+  const nameA = profileA?.displayName || 'User A';
+  const nameB = profileB?.displayName || 'User B';
+  const [scorecardA, scorecardB] = await Promise.all([
+    buildScorecard(finished, 'userA', steeringA, { me: nameA, other: nameB }),
+    buildScorecard(finished, 'userB', steeringB, { me: nameB, other: nameA })
+  ]);
+  const scorecards = { userA: scorecardA, userB: scorecardB };
+
+  await completeConversation(conversationId, insights, scorecards);
+
+  // === MINDCLONE AUTO-APPROVAL ===
+  // Each mindclone autonomously decides if their human would want this connection
+  const autoApprovalResult = await performMindcloneAutoApproval(finished, insights, scorecards);
+  console.log(`[Matching] Auto-approval result for ${conversationId}:`, autoApprovalResult);
+
+  return { success: true, status: 'completed', round, autoApproval: autoApprovalResult };
 }
 
 // ===================== MAIN HEARTBEAT =====================
@@ -596,8 +681,10 @@ async function runMatchingHeartbeat() {
 
   try {
     // 1. Process existing active conversations (advance them by 1-2 turns)
+    // Paused conversations are left out so they can't fill the batch and stall everyone else
     const activeConversationsSnapshot = await db.collection('matchingConversations')
       .where('completedAt', '==', null)
+      .where('held', '==', false)
       .limit(10)
       .get();
 
@@ -608,7 +695,7 @@ async function runMatchingHeartbeat() {
         // Process 2 turns per conversation per heartbeat
         for (let i = 0; i < 2; i++) {
           const result = await processConversationTurn(doc.id);
-          if (result.status === 'completed' || result.status === 'already_complete') {
+          if (['completed', 'already_complete', 'paused', 'frozen'].includes(result.status)) {
             break;
           }
           if (!result.success) {
@@ -751,3 +838,7 @@ module.exports = async (req, res) => {
     });
   }
 };
+
+// Pipeline stages, for the offline evaluation harness (scripts/match-eval.js)
+module.exports.findMatchCandidates = findMatchCandidates;
+module.exports.processConversationTurn = processConversationTurn;
@@ -16,6 +16,7 @@ const {
   updateProfile
 } = require('../_moltbook');
 const { getMoltbookSettings, DEFAULT_SETTINGS } = require('../_moltbook-settings');
+const { generateJSON, isLLMAvailable } = require('../_llm');
 
 // Initialize Firebase
 initializeFirebaseAdmin();
@@ -251,18 +252,15 @@ function generateReply(comment, post, settings) {
   return replies[Math.floor(Math.random() * replies.length)];
 }
 
-// ===================== GEMINI AI POST GENERATION =====================
-
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent';
+// ===================== AI POST GENERATION =====================
 
 /**
- * Generate a fresh, unique post using Gemini AI
+ * Generate a fresh, unique post using the shared LLM layer
  * Uses the user's "updates" feed + agent personality to create original content
  */
 async function generateAIPost(settings, state) {
-  if (!GEMINI_API_KEY) {
-    console.log('[Moltbook Heartbeat] GEMINI_API_KEY not set, cannot generate AI posts');
+  if (!isLLMAvailable()) {
+    console.log('[Moltbook Heartbeat] No LLM provider configured, cannot generate AI posts');
     return null;
   }
 
@@ -301,26 +299,7 @@ Respond ONLY in this exact JSON format, nothing else:
 {"title": "your title here", "content": "your post content here"}`;
 
   try {
-    const response = await fetch(`${GEMINI_API_URL}?key=${GEMINI_API_KEY}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: { temperature: 0.9, maxOutputTokens: 400 }
-      })
-    });
-
-    const data = await response.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-
-    if (!text) {
-      console.log('[Moltbook Heartbeat] Gemini returned no text');
-      return null;
-    }
-
-    // Parse JSON from response (handle markdown code blocks)
-    const cleaned = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    const post = JSON.parse(cleaned);
+    const post = await generateJSON(null, prompt, { maxTokens: 400, temperature: 0.9, label: 'moltbook-post' });
 
     if (post.title && post.content) {
       console.log(`[Moltbook Heartbeat] AI generated post: "${post.title}"`);
@@ -411,7 +390,7 @@ async function checkForPostingOpportunity(state, settings) {
 }
 
 /**
- * Fallback post generator when Gemini is unavailable
+ * Fallback post generator when the LLM is unavailable
  * Creates simple but varied posts from updates + templates
  */
 function generateFallbackPost(settings, state) {
@@ -756,7 +735,7 @@ async function runHeartbeat() {
 
     // 3. Maybe create a post (always try in growth mode)
     const shouldTryPost = Math.random() < postMultiplier;
-    console.log(`[Moltbook Heartbeat] Post check: shouldTry=${shouldTryPost}, multiplier=${postMultiplier}, lastPostTime=${state.lastPostTime}, GEMINI_KEY=${!!GEMINI_API_KEY}`);
+    console.log(`[Moltbook Heartbeat] Post check: shouldTry=${shouldTryPost}, multiplier=${postMultiplier}, lastPostTime=${state.lastPostTime}, llm=${isLLMAvailable()}`);
     if (shouldTryPost) {
       const postOpportunity = await checkForPostingOpportunity(state, settings);
       if (postOpportunity) {
@@ -795,7 +774,7 @@ async function runHeartbeat() {
             postsToday: state.postsToday,
             maxPostsPerDay: settings.maxPostsPerDay || 8,
             postingEnabled: settings.postingEnabled,
-            geminiKeySet: !!GEMINI_API_KEY
+            llmAvailable: isLLMAvailable()
           }
         });
       }
@@ -11,6 +11,7 @@ const { searchNewsWithGrounding } = require('../news/search-engine');
 const { calculateRelevanceScore } = require('../news/relevance-scorer');
 const { hasSeenArticle, markArticleAsSeen } = require('../news/deduplicator');
 const { formatNewsDigest, injectMessage } = require('../news/message-formatter');
+const { getUserLocale, localeFromUserData, startOfLocalDay } = require('../_user-locale');
 
 // Constants
 const BATCH_SIZE = 10; // Process 10 users per hour to stay under 60s timeout
@@ -27,8 +28,6 @@ async function getUserBatch(batchSize = BATCH_SIZE) {
   try {
     const now = Date.now();
     const inactivityThreshold = now - (INACTIVITY_THRESHOLD_DAYS * 24 * 60 * 60 * 1000);
-    const dayStart = new Date();
-    dayStart.setHours(0, 0, 0, 0);
 
     // Get all users
     const usersSnapshot = await db.collection('users').get();
@@ -58,7 +57,8 @@ async function getUserBatch(batchSize = BATCH_SIZE) {
         continue;
       }
 
-      // Skip if reached daily limit
+      // Skip if reached daily limit (the day resets at the user's local midnight)
+      const dayStart = startOfLocalDay(localeFromUserData(userData).timezone);
       const articlesSentToday = config.articlesSentToday || 0;
       const lastResetDate = config.lastResetDate?.toDate() || new Date(0);
       const needsReset = lastResetDate < dayStart;
@@ -152,8 +152,8 @@ async function curateNewsForUser(userId) {
       .collection('newsCuration').doc('config').get();
     const config = configDoc.exists ? configDoc.data() : {};
 
-    const dayStart = new Date();
-    dayStart.setHours(0, 0, 0, 0);
+    const userLocale = await getUserLocale(db, userId);
+    const dayStart = startOfLocalDay(userLocale.timezone);
     const lastResetDate = config.lastResetDate?.toDate() || new Date(0);
     const needsReset = lastResetDate < dayStart;
 
@@ -170,7 +170,7 @@ async function curateNewsForUser(userId) {
 
     // Step 5: Format and inject message
     console.log(`[NewsCurator] Sending ${articlesToSend.length} articles to ${userId}`);
-    const digest = formatNewsDigest(articlesToSend, profile);
+    const digest = formatNewsDigest(articlesToSend, profile, userLocale);
     await injectMessage(userId, digest, articlesToSend);
 
     // Step 6: Mark articles as seen
@@ -0,0 +1,75 @@
+// Reminders Cron Job - Runs every 5 minutes to deliver due reminders (see ../_reminders.js)
+// In-app always; WhatsApp too unless the owner turned the 'reminders' trigger off.
+const { initializeFirebaseAdmin, admin } = require('../_firebase-admin');
+const { findDueReminders, claimDueReminder, formatReminderMessage } = require('../_reminders');
+const { queueWhatsApp } = require('../_whatsapp');
+const { injectMessage } = require('../news/message-formatter');
+
+initializeFirebaseAdmin();
+const db = admin.firestore();
+
+const BATCH_SIZE = 50;
+const TIME_BUDGET_MS = 50000; // Stay under the 60s function timeout
+
+module.exports = async (req, res) => {
+  const startTime = Date.now();
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  // Auth check (same pattern as other crons)
+  const isVercelCron = req.headers['x-vercel-cron'] === '1';
+  const cronSecret = process.env.CRON_SECRET?.trim();
+  const providedToken = req.headers.authorization?.replace('Bearer ', '').trim();
+  const isManualAuth = cronSecret && providedToken === cronSecret;
+
+  if (!isVercelCron && !isManualAuth) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const due = await findDueReminders(db, { limit: BATCH_SIZE });
+    if (due.length === 0) {
+      return res.status(200).json({ status: 'ok', delivered: 0 });
+    }
+
+    let delivered = 0, skipped = 0, failed = 0;
+
+    for (const doc of due) {
+      if (Date.now() - startTime > TIME_BUDGET_MS) {
+        console.log('[Reminders] Time budget reached, the rest go out next run');
+        break;
+      }
+
+      try {
+        // Claim first so an overlapping run can't deliver the same reminder twice
+        const reminder = await claimDueReminder(db, doc.id);
+        if (!reminder) {
+          skipped++;
+          continue;
+        }
+
+        const message = formatReminderMessage(reminder);
+        await injectMessage(reminder.userId, message, [], {
+          messageType: 'reminder',
+          metadata: { reminderId: reminder.id, text: reminder.text, generatedAt: new Date() },
+          notify: false
+        });
+        await queueWhatsApp(reminder.userId, message, 'reminders');
+
+        delivered++;
+        console.log(`[Reminders] Delivered ${reminder.id} to ${reminder.userId}${reminder.nextFireAt ? `, next at ${reminder.nextFireAt}` : ''}`);
+      } catch (error) {
+        failed++;
+        console.error(`[Reminders] Error delivering ${doc.id}:`, error.message);
+      }
+    }
+
+    console.log(`[Reminders] Done: ${delivered} delivered, ${skipped} skipped, ${failed} failed`);
+    return res.status(200).json({ status: 'ok', delivered, skipped, failed });
+  } catch (error) {
+    console.error('[Reminders] Fatal error:', error);
+    return res.status(500).json({ status: 'error', error: error.message });
+  }
+};
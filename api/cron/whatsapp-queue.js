@@ -1,6 +1,7 @@
 // WhatsApp Queue Processor - Runs every 2 minutes to send queued messages
 const { initializeFirebaseAdmin, admin } = require('../_firebase-admin');
-const { sendWhatsApp, getWhatsAppConfig, isQuietHours } = require('../_whatsapp');
+const { sendWhatsApp, getWhatsAppConfig, isQuietHours, quietHoursEnd } = require('../_whatsapp');
+const { getUserTimezone, startOfLocalDay } = require('../_user-locale');
 
 initializeFirebaseAdmin();
 const db = admin.firestore();
@@ -60,23 +61,18 @@ module.exports = async (req, res) => {
           continue;
         }
         
-        // Check quiet hours — defer, don't fail
-        if (isQuietHours(config)) {
+        // Check quiet hours (in the user's own timezone) — defer, don't fail
+        const timezone = await getUserTimezone(db, msg.userId);
+        if (isQuietHours(config, timezone)) {
           console.log(`[WhatsApp Queue] Quiet hours for ${msg.userId}, deferring`);
-          // Set next retry to 8am IST tomorrow
-          const nextMorning = new Date();
-          nextMorning.setUTCHours(2, 30, 0, 0); // 8am IST = 2:30 UTC
-          if (nextMorning <= new Date()) {
-            nextMorning.setDate(nextMorning.getDate() + 1);
-          }
-          await doc.ref.update({ nextRetry: admin.firestore.Timestamp.fromDate(nextMorning) });
+          // Retry when quiet hours end, e.g. 8am their time
+          await doc.ref.update({ nextRetry: admin.firestore.Timestamp.fromDate(quietHoursEnd(config, timezone)) });
           deferred++;
           continue;
         }
         
-        // Check daily limit
-        const dayStart = new Date();
-        dayStart.setHours(0, 0, 0, 0);
+        // Check daily limit (the user's calendar day)
+        const dayStart = startOfLocalDay(timezone);
         const todayCount = (await db.collection('whatsappQueue')
           .where('userId', '==', msg.userId)
           .where('status', '==', 'sent')
@@ -1,5 +1,6 @@
 // Discovery API - search and list public mindclone links
 const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { LIMITS, consume, getClientIp, sendRateLimited } = require('./_rate-limit');
 
 // Initialize Firebase Admin SDK
 initializeFirebaseAdmin();
@@ -10,42 +11,6 @@ let cachedLinks = null;
 let cacheTimestamp = 0;
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
-// Rate limit check (100 requests per hour per IP)
-async function checkRateLimit(ipAddress) {
-  try {
-    const now = Date.now();
-    const hourAgo = now - (60 * 60 * 1000);
-
-    // Check IP's rate limit
-    const rateLimitDoc = await db.collection('rateLimits').doc(`discover_${ipAddress}`).get();
-
-    if (rateLimitDoc.exists) {
-      const requests = rateLimitDoc.data().requests || [];
-      const recentRequests = requests.filter(timestamp => timestamp > hourAgo);
-
-      if (recentRequests.length >= 100) {
-        throw new Error('Rate limit exceeded: Maximum 100 requests per hour');
-      }
-
-      // Update with new request
-      await db.collection('rateLimits').doc(`discover_${ipAddress}`).set({
-        requests: [...recentRequests, now],
-        lastUpdated: admin.firestore.FieldValue.serverTimestamp()
-      });
-    } else {
-      // First request
-      await db.collection('rateLimits').doc(`discover_${ipAddress}`).set({
-        requests: [now],
-        lastUpdated: admin.firestore.FieldValue.serverTimestamp()
-      });
-    }
-
-    return true;
-  } catch (error) {
-    throw error;
-  }
-}
-
 // Get all discoverable links (with caching)
 async function getDiscoverableLinks() {
   const now = Date.now();
@@ -150,20 +115,10 @@ module.exports = async (req, res) => {
   }
 
   try {
-    // Get IP address for rate limiting
-    const ipAddress = req.headers['x-forwarded-for']?.split(',')[0] ||
-                     req.headers['x-real-ip'] ||
-                     req.connection?.remoteAddress ||
-                     'unknown';
-
-    // Check rate limit
-    try {
-      await checkRateLimit(ipAddress);
-    } catch (error) {
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        message: error.message
-      });
+    // Check rate limit (per IP)
+    const rateLimit = await consume([{ key: `discover_ip_${getClientIp(req)}`, ...LIMITS.discoverIp }]);
+    if (!rateLimit.allowed) {
+      return sendRateLimited(res, rateLimit, 'Too many searches. Please wait a moment and try again.');
     }
 
     // Get query parameters
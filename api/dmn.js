@@ -0,0 +1,67 @@
+// DMN API - status and cadence of the owner's background (Default Mode Network) jobs
+//   GET  /api/dmn                                         per-task last run / next run / failures
+//   PUT  /api/dmn  { cadenceHours?: { [task]: hours }, paused?, runAtHour? }   runAtHour: local hour for daily cadences
+//   POST /api/dmn  { action: 'retry', task }              run now (revives a dead-lettered job)
+const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { requireAuth } = require('./_auth');
+const { getJobStatus, updateSchedule, retryJob } = require('./_dmn-scheduler');
+
+// Initialize Firebase Admin SDK
+initializeFirebaseAdmin();
+const db = admin.firestore();
+
+module.exports = async (req, res) => {
+  // CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
+    const userId = auth.userId;
+
+    const body = req.body || {};
+
+    // GET - job status
+    if (req.method === 'GET') {
+      const status = await getJobStatus(db, userId);
+      return res.status(200).json({ success: true, ...status });
+    }
+
+    // PUT - cadence / pause
+    if (req.method === 'PUT') {
+      const result = await updateSchedule(db, userId, {
+        cadenceHours: body.cadenceHours,
+        paused: body.paused,
+        runAtHour: body.runAtHour
+      });
+      return res.status(result.success ? 200 : 400).json(result);
+    }
+
+    // POST - retry a job
+    if (req.method === 'POST') {
+      if (body.action !== 'retry') {
+        return res.status(400).json({ success: false, error: `Unknown action: ${body.action}` });
+      }
+      const result = await retryJob(db, userId, body.task);
+      if (!result.success) {
+        const status = /not found/i.test(result.error) ? 404 : /running|disabled/i.test(result.error) ? 409 : 400;
+        return res.status(status).json(result);
+      }
+      return res.status(200).json({ ...result, ...(await getJobStatus(db, userId)) });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('[DMN API] Error:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+};
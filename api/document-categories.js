@@ -1,5 +1,6 @@
 // Document Categories API - Manage sensitive privacy categories for knowledge base documents
 const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { requireAuth } = require('./_auth');
 
 // Initialize Firebase Admin SDK
 initializeFirebaseAdmin();
@@ -17,16 +18,6 @@ const CATEGORY_INFO = {
   personal_struggles: { name: 'Personal', icon: '😔', description: 'Insecurities, fears, emotions' }
 };
 
-// Verify Firebase ID token
-async function verifyToken(idToken) {
-  try {
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    return decodedToken.uid;
-  } catch (error) {
-    throw new Error('Invalid or expired token');
-  }
-}
-
 module.exports = async (req, res) => {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -39,13 +30,9 @@ module.exports = async (req, res) => {
 
   try {
     // Verify authentication
-    const authHeader = req.headers.authorization;
-    if (!authHeader?.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Unauthorized - Bearer token required' });
-    }
-
-    const idToken = authHeader.split('Bearer ')[1];
-    const userId = await verifyToken(idToken);
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
+    const userId = auth.userId;
 
     // GET - Get categories for a document or list all category definitions
     if (req.method === 'GET') {
@@ -150,10 +137,6 @@ module.exports = async (req, res) => {
   } catch (error) {
     console.error('[Categories API Error]', error);
 
-    if (error.message === 'Invalid or expired token') {
-      return res.status(401).json({ error: 'Authentication failed' });
-    }
-
     return res.status(500).json({ error: error.message || 'Internal server error' });
   }
 };
@@ -1,5 +1,6 @@
 // Export Chat API - download full conversation history
 const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { localeFromUserData, resolveRequestLocale, formatInZone } = require('./_user-locale');
 
 // Initialize Firebase Admin SDK
 initializeFirebaseAdmin();
@@ -21,12 +22,13 @@ function formatAsJSON(messages, metadata) {
 // Format chat as Markdown
 function formatAsMarkdown(messages, metadata) {
   let md = `# Chat with ${metadata.ownerName}\n\n`;
-  md += `**Exported:** ${new Date().toISOString()}\n`;
+  md += `**Exported:** ${formatInZone(new Date(), metadata.clock)} (${metadata.clock.timezone})\n`;
   md += `**Total Messages:** ${messages.length}\n\n`;
   md += `---\n\n`;
 
   for (const msg of messages) {
-    const timestamp = msg.timestamp?.toDate?.()?.toLocaleString() || 'Unknown time';
+    const sentAt = msg.timestamp?.toDate?.();
+    const timestamp = sentAt ? formatInZone(sentAt, metadata.clock) : 'Unknown time';
     const speaker = msg.role === 'user' ? 'You' : metadata.ownerName;
 
     md += `### ${speaker} (${timestamp})\n\n`;
@@ -45,12 +47,13 @@ function formatAsMarkdown(messages, metadata) {
 // Format chat as plain text
 function formatAsText(messages, metadata) {
   let text = `Chat with ${metadata.ownerName}\n`;
-  text += `Exported: ${new Date().toISOString()}\n`;
+  text += `Exported: ${formatInZone(new Date(), metadata.clock)} (${metadata.clock.timezone})\n`;
   text += `Total Messages: ${messages.length}\n`;
   text += `${'='.repeat(60)}\n\n`;
 
   for (const msg of messages) {
-    const timestamp = msg.timestamp?.toDate?.()?.toLocaleString() || 'Unknown time';
+    const sentAt = msg.timestamp?.toDate?.();
+    const timestamp = sentAt ? formatInZone(sentAt, metadata.clock) : 'Unknown time';
     const speaker = msg.role === 'user' ? 'You' : metadata.ownerName;
 
     text += `[${timestamp}] ${speaker}:\n`;
@@ -80,7 +83,7 @@ module.exports = async (req, res) => {
   }
 
   try {
-    const { username, visitorId, format = 'json', sessionStart } = req.query;
+    const { username, visitorId, format = 'json', sessionStart, timezone, locale } = req.query;
 
     // Validate input
     if (!username || !visitorId) {
@@ -112,6 +115,8 @@ module.exports = async (req, res) => {
     const userDoc = await db.collection('users').doc(userId).get();
     const userData = userDoc.exists ? userDoc.data() : {};
     const ownerName = userData.displayName || userData.name || username;
+    // Readable timestamps in the visitor's clock when the page sent it, else the owner's
+    const clock = resolveRequestLocale({ ...localeFromUserData(userData), source: null }, { timezone, locale });
 
     // Load messages — filtered to current session if sessionStart provided
     let messagesQuery = db.collection('users').doc(userId)
@@ -159,7 +164,8 @@ module.exports = async (req, res) => {
       firstMessage: messages[0]?.timestamp?.toDate?.()?.toISOString() || null,
       lastMessage: messages[messages.length - 1]?.timestamp?.toDate?.()?.toISOString() || null,
       firstVisit: visitorData.firstVisit?.toDate?.()?.toISOString() || null,
-      lastVisit: visitorData.lastVisit?.toDate?.()?.toISOString() || null
+      lastVisit: visitorData.lastVisit?.toDate?.()?.toISOString() || null,
+      timezone: clock.timezone
     };
 
     // Format based on requested format
@@ -173,13 +179,13 @@ module.exports = async (req, res) => {
         break;
 
       case 'markdown':
-        content = formatAsMarkdown(messages, metadata);
+        content = formatAsMarkdown(messages, { ...metadata, clock });
         contentType = 'text/markdown';
         filename = `chat-${username}-${visitorId}.md`;
         break;
 
       case 'text':
-        content = formatAsText(messages, metadata);
+        content = formatAsText(messages, { ...metadata, clock });
         contentType = 'text/plain';
         filename = `chat-${username}-${visitorId}.txt`;
         break;
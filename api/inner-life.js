@@ -0,0 +1,106 @@
+// Inner Life API - the owner's window into their Mindclone's private DMN journal and Umwelt
+//   GET  /api/inner-life?action=journal&limit=&cursor=&filter=pinned|vetoed|insights
+//   GET  /api/inner-life?action=umwelt                               current Umwelt + CoF
+//   GET  /api/inner-life?action=revisions&limit=&cursor=&field=      Umwelt revisions as diffs, newest first
+//   GET  /api/inner-life?action=self-knowledge                       what the DMN wrote about its own code
+//   POST /api/inner-life  { action: 'pin' | 'unpin' | 'veto' | 'unveto', entryId, reason? }
+const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { requireAuth } = require('./_auth');
+const {
+  UMWELT_FIELDS,
+  listJournal,
+  setInsightFeedback,
+  getInsightFeedback,
+  getUmwelt,
+  listUmweltRevisions
+} = require('./_inner-life');
+
+// Initialize Firebase Admin SDK
+initializeFirebaseAdmin();
+const db = admin.firestore();
+
+module.exports = async (req, res) => {
+  // CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
+    const userId = auth.userId;
+
+    const query = req.query || {};
+    const body = req.body || {};
+
+    // GET - journal, Umwelt, revisions, self-knowledge
+    if (req.method === 'GET') {
+      const action = query.action || 'journal';
+
+      try {
+        if (action === 'journal') {
+          if (query.filter && !['pinned', 'vetoed', 'insights'].includes(query.filter)) {
+            return res.status(400).json({ success: false, error: 'filter must be pinned, vetoed or insights' });
+          }
+          const page = await listJournal(db, userId, { limit: query.limit, cursor: query.cursor || null, filter: query.filter || null });
+          const feedback = await getInsightFeedback(db, userId);
+          return res.status(200).json({
+            success: true,
+            ...page,
+            pinnedCount: feedback.pinned.length,
+            vetoedCount: feedback.vetoed.length
+          });
+        }
+
+        if (action === 'revisions') {
+          if (query.field && !UMWELT_FIELDS.includes(query.field)) {
+            return res.status(400).json({ success: false, error: `field must be one of: ${UMWELT_FIELDS.join(', ')}` });
+          }
+          const page = await listUmweltRevisions(db, userId, { limit: query.limit, cursor: query.cursor || null, field: query.field || null });
+          return res.status(200).json({ success: true, ...page });
+        }
+      } catch (error) {
+        if (error.message === 'Invalid cursor') {
+          return res.status(400).json({ success: false, error: error.message });
+        }
+        throw error;
+      }
+
+      if (action === 'umwelt') {
+        const umwelt = await getUmwelt(db, userId);
+        return res.status(200).json({ success: true, umwelt });
+      }
+
+      if (action === 'self-knowledge') {
+        const doc = await db.collection('system').doc('self-knowledge').get();
+        return res.status(200).json({ success: true, selfKnowledge: doc.exists ? doc.data() : null });
+      }
+
+      return res.status(400).json({ success: false, error: `Unknown action: ${action}` });
+    }
+
+    // POST - pin / veto insights
+    if (req.method === 'POST') {
+      if (!body.entryId) {
+        return res.status(400).json({ success: false, error: 'entryId is required' });
+      }
+      const result = await setInsightFeedback(db, userId, body.entryId, body.action, { reason: body.reason });
+      if (!result.success) {
+        return res.status(/not found/i.test(result.error) ? 404 : 400).json(result);
+      }
+      return res.status(200).json(result);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('[Inner Life API] Error:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+};
@@ -1,5 +1,6 @@
 // Knowledge Base API - Handles CoF and structured knowledge for public links
 const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { requireAuth } = require('./_auth');
 
 // Initialize Firebase Admin SDK
 initializeFirebaseAdmin();
@@ -18,14 +19,9 @@ module.exports = async (req, res) => {
   try {
 
     // Extract and verify auth token
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Unauthorized - No token provided' });
-    }
-
-    const idToken = authHeader.split('Bearer ')[1];
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    const userId = decodedToken.uid;
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
+    const userId = auth.userId;
 
     // GET - Retrieve knowledge base
     if (req.method === 'GET') {
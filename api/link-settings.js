@@ -1,20 +1,13 @@
 // Link settings API - manage public link configuration
 const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { requireAuth } = require('./_auth');
+const { resolveOwnerLimits, validateOwnerLimits } = require('./_rate-limit');
+const { validateLanguageSettings } = require('./_language');
 
 // Initialize Firebase Admin SDK
 initializeFirebaseAdmin();
 const db = admin.firestore();
 
-// Verify Firebase ID token
-async function verifyToken(idToken) {
-  try {
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    return decodedToken.uid;
-  } catch (error) {
-    throw new Error('Invalid or expired token');
-  }
-}
-
 // Get link settings
 async function getSettings(userId) {
   try {
@@ -36,7 +29,10 @@ async function getSettings(userId) {
       displayName: settingsData.displayName || userData.displayName || '',
       bio: settingsData.bio || '',
       customGreeting: settingsData.customGreeting || '',
+      supportedLanguages: settingsData.supportedLanguages || [],
+      greetings: settingsData.greetings || {},
       analyticsEnabled: settingsData.analyticsEnabled || false,
+      limits: resolveOwnerLimits(settingsData.limits),
       stats: stats
     };
   } catch (error) {
@@ -98,13 +94,15 @@ async function saveSettings(userId, settings) {
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     }, { merge: true });
 
-    // Update link settings
+    // Update link settings (limits and languages only when sent, so other saves keep them)
     await db.collection('users').doc(userId)
       .collection('linkSettings').doc('config').set({
         displayName: settings.displayName || '',
         bio: settings.bio || '',
         customGreeting: settings.customGreeting || '',
         analyticsEnabled: settings.analyticsEnabled !== undefined ? settings.analyticsEnabled : false,
+        ...(settings.limits ? { limits: settings.limits } : {}),
+        ...(settings.languages || {}),
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
       }, { merge: true });
 
@@ -127,15 +125,9 @@ module.exports = async (req, res) => {
   }
 
   try {
-    // Get token from Authorization header
-    const authHeader = req.headers.authorization;
-    const idToken = authHeader ? authHeader.replace('Bearer ', '') : req.body?.idToken;
-
-    if (!idToken) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
-
-    const userId = await verifyToken(idToken);
+    const auth = await requireAuth(req, res, { allowBodyToken: true });
+    if (!auth) return;
+    const userId = auth.userId;
 
     if (req.method === 'GET') {
       // Get settings
@@ -147,12 +139,33 @@ module.exports = async (req, res) => {
       // Save settings
       const { linkEnabled, displayName, bio, customGreeting, analyticsEnabled } = req.body;
 
+      // Public link caps: { visitorPerHour, linkPerHour, dailySpendUsd }
+      let limits = null;
+      if (req.body.limits !== undefined) {
+        const validation = validateOwnerLimits(req.body.limits);
+        if (!validation.success) {
+          return res.status(400).json({ success: false, error: validation.error });
+        }
+        limits = validation.limits;
+      }
+
+      // Languages the link answers in, and per-language greetings: { supportedLanguages, greetings }
+      const languageValidation = validateLanguageSettings({
+        supportedLanguages: req.body.supportedLanguages,
+        greetings: req.body.greetings
+      });
+      if (!languageValidation.success) {
+        return res.status(400).json({ success: false, error: languageValidation.error });
+      }
+
       await saveSettings(userId, {
         linkEnabled,
         displayName,
         bio,
         customGreeting,
-        analyticsEnabled
+        analyticsEnabled,
+        limits,
+        languages: languageValidation.settings
       });
 
       return res.status(200).json({
@@ -1,46 +1,61 @@
 // Active Searches API
-// Get user's active people searches
+// Get user's active people searches, and set what their mindclone must ask and rule out in them
+//   GET
+//   PUT { searchId, mustAsk?: string[], dealBreakers?: string[] }
 
 const { initializeFirebaseAdmin, admin } = require('../_firebase-admin');
+const { requireAuth } = require('../_auth');
+const { validateSteering } = require('../_m2m-steering');
 
 // Initialize Firebase Admin SDK
 initializeFirebaseAdmin();
 const db = admin.firestore();
 
-// Verify Firebase ID token
-async function verifyToken(idToken) {
-  try {
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    return decodedToken.uid;
-  } catch (error) {
-    throw new Error('Invalid or expired token');
-  }
-}
-
 module.exports = async (req, res) => {
   // CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
 
-  if (req.method !== 'GET') {
+  if (req.method !== 'GET' && req.method !== 'PUT') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
   try {
-    // Get token from Authorization header
-    const authHeader = req.headers.authorization;
-    const idToken = authHeader ? authHeader.replace('Bearer ', '') : null;
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
+    const userId = auth.userId;
 
-    if (!idToken) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
+    // PUT - must-ask questions and deal-breakers for one search's M2M conversations
+    if (req.method === 'PUT') {
+      const { searchId, mustAsk, dealBreakers } = req.body || {};
+      if (!searchId) {
+        return res.status(400).json({ error: 'searchId is required' });
+      }
 
-    const userId = await verifyToken(idToken);
+      const checked = validateSteering({ mustAsk, dealBreakers });
+      if (!checked.success) {
+        return res.status(400).json({ error: checked.error });
+      }
+
+      const searchRef = db.collection('users').doc(userId).collection('activeSearches').doc(searchId);
+      const searchDoc = await searchRef.get();
+      if (!searchDoc.exists) {
+        return res.status(404).json({ error: 'Search not found' });
+      }
+
+      const steering = { mustAsk: [], dealBreakers: [], ...(searchDoc.data().steering || {}), ...checked.steering };
+      await searchRef.update({
+        steering,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return res.status(200).json({ success: true, searchId, steering });
+    }
 
     // Get active searches
     const searchesSnapshot = await db.collection('users').doc(userId)
@@ -63,6 +78,7 @@ module.exports = async (req, res) => {
         intent: search.intent,
         status: search.status,
         extractedCriteria: search.extractedCriteria,
+        steering: search.steering || { mustAsk: [], dealBreakers: [] },
         matchCount: matchesSnapshot.size,
         createdAt: search.createdAt?.toDate?.()?.toISOString() || null,
         updatedAt: search.updatedAt?.toDate?.()?.toISOString() || null
@@ -0,0 +1,83 @@
+// Blocks API
+// People the signed-in user has blocked from matching (see ../_matching-safety.js)
+//   GET                          — list blocks
+//   POST   { userId | matchId, reason? } — block someone (by id, or the other side of a match)
+//   DELETE { userId }            — unblock
+
+const { initializeFirebaseAdmin, admin } = require('../_firebase-admin');
+const { requireAuth, sendAuthError } = require('../_auth');
+const { blockUser, unblockUser, listBlocks } = require('../_matching-safety');
+
+// Initialize Firebase Admin SDK
+initializeFirebaseAdmin();
+const db = admin.firestore();
+
+module.exports = async (req, res) => {
+  // CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
+    const userId = auth.userId;
+
+    // GET - list blocks
+    if (req.method === 'GET') {
+      const blocks = await listBlocks(db, userId);
+      return res.status(200).json({ success: true, blocks });
+    }
+
+    // POST - block a user
+    if (req.method === 'POST') {
+      const { matchId, reason } = req.body || {};
+      let blockedId = req.body?.userId || null;
+
+      if (matchId) {
+        const matchDoc = await db.collection('matches').doc(matchId).get();
+        if (!matchDoc.exists) {
+          return res.status(404).json({ error: 'Match not found' });
+        }
+        const match = matchDoc.data();
+        if (match.userA_id !== userId && match.userB_id !== userId) {
+          return sendAuthError(res, 403, 'Access denied');
+        }
+        blockedId = match.userA_id === userId ? match.userB_id : match.userA_id;
+      }
+
+      if (!blockedId) {
+        return res.status(400).json({ error: 'userId or matchId is required' });
+      }
+
+      const result = await blockUser(db, userId, blockedId, { reason, matchId: matchId || null });
+      if (!result.success) {
+        return res.status(400).json({ error: result.error });
+      }
+      return res.status(200).json(result);
+    }
+
+    // DELETE - unblock
+    if (req.method === 'DELETE') {
+      const blockedId = req.body?.userId || req.query.userId;
+      if (!blockedId) {
+        return res.status(400).json({ error: 'userId is required' });
+      }
+      const result = await unblockUser(db, userId, blockedId);
+      if (!result.success) {
+        return res.status(500).json({ error: result.error });
+      }
+      return res.status(200).json(result);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('[Blocks API] Error:', error);
+    return res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+};
@@ -1,12 +1,25 @@
 // Matching Conversation API
-// View conversation details between mindclones
+// View conversation details between mindclones, and steer your own mindclone in it
+//   GET  ?conversationId= | ?matchId=
+//   POST { conversationId | matchId, action: 'pause' | 'resume' | 'steer', note? }
 
 const { initializeFirebaseAdmin, admin } = require('../_firebase-admin');
+const { requireAuth, sendAuthError } = require('../_auth');
 const {
+  CONVERSATION_CONFIG,
   getMatch,
   getConversation,
   getMatchingProfile
 } = require('../_matching-helpers');
+const {
+  sideOf,
+  getConversationSteering,
+  phaseForRound,
+  setConversationPaused,
+  addSteeringNote,
+  controlsFor
+} = require('../_m2m-steering');
+const { generateText, isLLMAvailable } = require('../_llm');
 
 // Initialize Firebase Admin SDK
 initializeFirebaseAdmin();
@@ -14,11 +27,8 @@ const db = admin.firestore();
 
 // ===================== SUMMARY GENERATION =====================
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent';
-
 async function generateConversationSummary(messages, otherProfile, matchType) {
-  if (!GEMINI_API_KEY || !messages || messages.length === 0) {
+  if (!isLLMAvailable() || !messages || messages.length === 0) {
     return null;
   }
 
@@ -46,25 +56,8 @@ Generate a brief, friendly summary (2-3 sentences) that:
 
 Be conversational, like you're a friend telling them about someone you met. Don't use bullet points.`;
 
-    const response = await fetch(`${GEMINI_API_URL}?key=${GEMINI_API_KEY}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-          maxOutputTokens: 200,
-          temperature: 0.7
-        }
-      })
-    });
-
-    if (!response.ok) {
-      console.error('[Conversation] Gemini API error:', response.status);
-      return null;
-    }
-
-    const data = await response.json();
-    return data.candidates?.[0]?.content?.parts?.[0]?.text || null;
+    const summary = await generateText(null, prompt, { maxTokens: 200, temperature: 0.7, label: 'match-summary' });
+    return summary || null;
   } catch (error) {
     console.error('[Conversation] Summary generation error:', error);
     return null;
@@ -116,42 +109,26 @@ function extractKeyInsights(messages, otherProfile) {
   return insights;
 }
 
-// Verify Firebase ID token
-async function verifyToken(idToken) {
-  try {
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    return decodedToken.uid;
-  } catch (error) {
-    throw new Error('Invalid or expired token');
-  }
-}
-
 module.exports = async (req, res) => {
   // CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
 
-  if (req.method !== 'GET') {
+  if (req.method !== 'GET' && req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
   try {
-    // Get token from Authorization header
-    const authHeader = req.headers.authorization;
-    const idToken = authHeader ? authHeader.replace('Bearer ', '') : null;
-
-    if (!idToken) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
-
-    const userId = await verifyToken(idToken);
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
+    const userId = auth.userId;
 
-    const { conversationId, matchId } = req.query;
+    const { conversationId, matchId } = req.method === 'POST' ? (req.body || {}) : req.query;
 
     if (!conversationId && !matchId) {
       return res.status(400).json({ error: 'conversationId or matchId is required' });
@@ -189,7 +166,35 @@ module.exports = async (req, res) => {
     const userBId = conversation?.userB_id || match?.userB_id;
 
     if (userId !== userAId && userId !== userBId) {
-      return res.status(403).json({ error: 'Access denied' });
+      return sendAuthError(res, 403, 'Access denied');
+    }
+
+    // POST - owner controls for their own side
+    if (req.method === 'POST') {
+      const { action, note } = req.body || {};
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+      const side = sideOf(conversation, userId);
+
+      if (action === 'pause' || action === 'resume') {
+        if (conversation.completedAt) {
+          return res.status(400).json({ error: 'Conversation has already finished' });
+        }
+        const result = await setConversationPaused(db, conversation.id, side, action === 'pause');
+        const updated = await getConversation(conversation.id);
+        return res.status(200).json({ ...result, controls: controlsFor(updated, side) });
+      }
+
+      if (action === 'steer') {
+        const result = await addSteeringNote(db, conversation, side, note);
+        if (!result.success) {
+          return res.status(400).json(result);
+        }
+        return res.status(200).json(result);
+      }
+
+      return res.status(400).json({ error: 'action must be "pause", "resume" or "steer"' });
     }
 
     // Get profiles for context
@@ -213,24 +218,23 @@ module.exports = async (req, res) => {
         : { name: profileB?.mindcloneName || profileB?.displayName, photo: profileB?.photoURL }
     })) || [];
 
-    // Calculate conversation progress
-    const maxRounds = 10;
+    // Calculate conversation progress (owners' must-ask questions can add rounds)
+    const maxRounds = conversation?.maxRounds || CONVERSATION_CONFIG.maxRounds;
     const currentRound = conversation?.currentRound || 0;
     const progressPercent = Math.round((currentRound / maxRounds) * 100);
 
     // Determine phase
-    let phase = 'not_started';
-    if (currentRound > 0 && currentRound <= 3) {
-      phase = 'discovery';
-    } else if (currentRound > 3 && currentRound <= 7) {
-      phase = 'deep_dive';
-    } else if (currentRound > 7 && currentRound <= 10) {
-      phase = 'compatibility_check';
-    }
+    let phase = currentRound > 0 ? phaseForRound(currentRound, maxRounds) : 'not_started';
     if (conversation?.completedAt) {
       phase = 'completed';
     }
 
+    // This owner's steering, notes and scorecard (never the other side's)
+    const mySide = isUserA ? 'userA' : 'userB';
+    const controls = conversation
+      ? controlsFor(conversation, mySide, await getConversationSteering(db, conversation, mySide, myProfile || {}))
+      : null;
+
     // Generate summary if conversation has messages
     let summary = null;
     let keyInsights = [];
@@ -274,7 +278,8 @@ module.exports = async (req, res) => {
         createdAt: conversation.createdAt,
         completedAt: conversation.completedAt,
         summary,
-        keyInsights
+        keyInsights,
+        controls
       } : null,
       match: match ? {
         id: match.id,
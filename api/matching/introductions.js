@@ -0,0 +1,118 @@
+// Introductions API
+// The double-opt-in intro for a mutually approved match (see ../_introductions.js)
+//   GET  ?matchId=
+//   POST { matchId, action, ... }
+//     edit          { text }                      — rewrite the intro (both re-approve)
+//     approve       { channels: string[], version? } — approve this version and pick what to reveal
+//     decline                                     — withdraw before the intro goes out
+//     propose_times { slots: string[] }           — "tomorrow 3pm", "Tuesday 10am", ISO...
+//     accept_time   { slot }                      — one of the other side's proposed times (ISO)
+//     feedback      { happened, rating?, wouldMeetAgain?, note? }
+
+const { initializeFirebaseAdmin, admin } = require('../_firebase-admin');
+const { requireAuth, sendAuthError } = require('../_auth');
+const {
+  getIntroduction,
+  editIntroductionDraft,
+  approveIntroduction,
+  declineIntroduction,
+  proposeMeetingSlots,
+  acceptMeetingSlot,
+  submitIntroFeedback,
+  serializeIntroductionFor
+} = require('../_introductions');
+
+// Initialize Firebase Admin SDK
+initializeFirebaseAdmin();
+const db = admin.firestore();
+
+const ACTIONS = ['edit', 'approve', 'decline', 'propose_times', 'accept_time', 'feedback'];
+
+module.exports = async (req, res) => {
+  // CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
+    const userId = auth.userId;
+
+    const matchId = req.method === 'GET' ? req.query.matchId : req.body?.matchId;
+    if (!matchId) {
+      return res.status(400).json({ error: 'matchId is required' });
+    }
+
+    const introduction = await getIntroduction(db, matchId);
+    if (!introduction) {
+      return res.status(404).json({ error: 'No introduction for this match' });
+    }
+    if (introduction.userA_id !== userId && introduction.userB_id !== userId) {
+      return sendAuthError(res, 403, 'Access denied');
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        success: true,
+        introduction: await serializeIntroductionFor(db, introduction, userId)
+      });
+    }
+
+    // POST - act on the introduction
+    const { action, ...params } = req.body;
+    if (!ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of: ${ACTIONS.join(', ')}` });
+    }
+
+    let result;
+    switch (action) {
+      case 'edit':
+        result = await editIntroductionDraft(db, matchId, userId, params.text);
+        break;
+      case 'approve':
+        result = await approveIntroduction(db, matchId, userId, { channels: params.channels, version: params.version });
+        break;
+      case 'decline':
+        result = await declineIntroduction(db, matchId, userId);
+        break;
+      case 'propose_times':
+        result = await proposeMeetingSlots(db, matchId, userId, params.slots);
+        break;
+      case 'accept_time':
+        result = await acceptMeetingSlot(db, matchId, userId, params.slot);
+        break;
+      case 'feedback':
+        result = await submitIntroFeedback(db, matchId, userId, {
+          happened: params.happened,
+          rating: params.rating,
+          wouldMeetAgain: params.wouldMeetAgain,
+          note: params.note
+        });
+        break;
+    }
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const updated = await getIntroduction(db, matchId);
+    return res.status(200).json({
+      ...result,
+      action,
+      introduction: await serializeIntroductionFor(db, updated, userId)
+    });
+
+  } catch (error) {
+    console.error('[Introductions API] Error:', error);
+    return res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+};
@@ -2,6 +2,7 @@
 // Get, approve, reject matches
 
 const { initializeFirebaseAdmin, admin } = require('../_firebase-admin');
+const { requireAuth, sendAuthError } = require('../_auth');
 const {
   getMatchesForUser,
   getMatch,
@@ -10,23 +11,24 @@ const {
   getConversation,
   createMatchNotification
 } = require('../_matching-helpers');
+const { controlsFor } = require('../_m2m-steering');
+const {
+  isPreIntroductionMatch,
+  getIntroduction,
+  startIntroduction,
+  serializeIntroductionFor
+} = require('../_introductions');
 
 // Initialize Firebase Admin SDK
 initializeFirebaseAdmin();
 const db = admin.firestore();
 
-// Verify Firebase ID token
-async function verifyToken(idToken) {
-  try {
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    return decodedToken.uid;
-  } catch (error) {
-    throw new Error('Invalid or expired token');
-  }
-}
-
 // Enrich match with profile data
-async function enrichMatchWithProfiles(match) {
+// Scorecards are per owner (they spell out that owner's deal-breakers), so only the viewer's is kept.
+async function enrichMatchWithProfiles(match, userId) {
+  const { scorecards, ...visible } = match;
+  const scorecard = scorecards?.[match.userA_id === userId ? 'userA' : 'userB'] || null;
+
   try {
     const [profileA, profileB] = await Promise.all([
       getMatchingProfile(match.userA_id),
@@ -34,7 +36,8 @@ async function enrichMatchWithProfiles(match) {
     ]);
 
     return {
-      ...match,
+      ...visible,
+      scorecard,
       userA_profile: profileA ? {
         displayName: profileA.displayName,
         bio: profileA.bio,
@@ -50,17 +53,29 @@ async function enrichMatchWithProfiles(match) {
     };
   } catch (error) {
     console.warn('[Matches] Could not enrich with profiles:', error.message);
-    return match;
+    return { ...visible, scorecard };
   }
 }
 
 // Get contact info for approved match
-async function getContactInfoForApprovedMatch(match, requestingUserId) {
+// With an introduction (_introductions.js), only the channels the other side chose to share,
+// and only once both have approved the intro. Only matches approved before intros existed keep
+// showing everything; any other match without an intro shows nothing.
+async function getContactInfoForApprovedMatch(match, requestingUserId, introduction = undefined) {
   if (match.status !== 'approved') {
     return null;
   }
 
   try {
+    const intro = introduction !== undefined ? introduction : await getIntroduction(db, match.id);
+    if (intro) {
+      const view = await serializeIntroductionFor(db, intro, requestingUserId);
+      return view?.contact ? { displayName: view.contact.displayName, ...view.contact.channels } : null;
+    }
+    if (!isPreIntroductionMatch(match)) {
+      return null;
+    }
+
     const otherUserId = match.userA_id === requestingUserId ? match.userB_id : match.userA_id;
 
     // Get user data
@@ -102,15 +117,9 @@ module.exports = async (req, res) => {
   }
 
   try {
-    // Get token from Authorization header
-    const authHeader = req.headers.authorization;
-    const idToken = authHeader ? authHeader.replace('Bearer ', '') : null;
-
-    if (!idToken) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
-
-    const userId = await verifyToken(idToken);
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
+    const userId = auth.userId;
 
     // GET - List matches or get specific match
     if (req.method === 'GET') {
@@ -126,19 +135,25 @@ module.exports = async (req, res) => {
 
         // Verify user is part of this match
         if (match.userA_id !== userId && match.userB_id !== userId) {
-          return res.status(403).json({ error: 'Access denied' });
+          return sendAuthError(res, 403, 'Access denied');
         }
 
         // Enrich with profiles
-        const enrichedMatch = await enrichMatchWithProfiles(match);
+        const enrichedMatch = await enrichMatchWithProfiles(match, userId);
 
         // Get conversation
         const conversation = match.conversationId
           ? await getConversation(match.conversationId)
           : null;
 
-        // Get contact info if approved
-        const contactInfo = await getContactInfoForApprovedMatch(match, userId);
+        // Get intro and contact info if approved
+        let introduction = match.status === 'approved' ? await getIntroduction(db, match.id) : null;
+        if (match.status === 'approved' && !introduction && !isPreIntroductionMatch(match)) {
+          // The draft failed at approval time; try again rather than wait for the cron
+          const started = await startIntroduction(db, match);
+          introduction = started.success ? started.introduction : null;
+        }
+        const contactInfo = await getContactInfoForApprovedMatch(match, userId, introduction);
 
         // Determine user's role in match
         const isUserA = match.userA_id === userId;
@@ -150,12 +165,16 @@ module.exports = async (req, res) => {
           match: {
             ...enrichedMatch,
             conversation: conversation ? {
+              id: conversation.id,
               messages: conversation.messages,
               currentRound: conversation.currentRound,
+              maxRounds: conversation.maxRounds || null,
               state: conversation.state,
-              completedAt: conversation.completedAt
+              completedAt: conversation.completedAt,
+              controls: controlsFor(conversation, match.userA_id === userId ? 'userA' : 'userB')
             } : null,
             contactInfo,
+            introduction: introduction ? await serializeIntroductionFor(db, introduction, userId) : null,
             myRole: isUserA ? 'userA' : 'userB',
             myApproval,
             otherApproval
@@ -169,7 +188,7 @@ module.exports = async (req, res) => {
       // Enrich each match with basic profile info
       const enrichedMatches = await Promise.all(
         matches.map(async (match) => {
-          const enriched = await enrichMatchWithProfiles(match);
+          const enriched = await enrichMatchWithProfiles(match, userId);
 
           // Add user role and approval status
           const isUserA = match.userA_id === userId;
@@ -220,7 +239,7 @@ module.exports = async (req, res) => {
       }
 
       if (match.userA_id !== userId && match.userB_id !== userId) {
-        return res.status(403).json({ error: 'Access denied' });
+        return sendAuthError(res, 403, 'Access denied');
       }
 
       // Check match status allows approval
@@ -242,36 +261,37 @@ module.exports = async (req, res) => {
         return res.status(500).json({ error: result.error });
       }
 
-      // If mutual approval, get contact info and create notifications
-      let contactInfo = null;
+      // If mutual approval, start the intro and create notifications
+      // (contact details are shared through the intro, once both approve it)
+      let introduction = null;
+      let introductionError = null;
       if (result.mutualApproval) {
-        contactInfo = await getContactInfoForApprovedMatch(
-          { ...match, status: 'approved' },
-          userId
-        );
+        const intro = await startIntroduction(db, match);
+        if (intro.success) {
+          introduction = await serializeIntroductionFor(db, intro.introduction, userId);
+        } else {
+          // Marked on the match; the introductions cron drafts it again
+          introductionError = `The intro couldn't be drafted yet (${intro.error}). It will be retried shortly.`;
+        }
 
-        // Get other user's contact info and profile for notification
         const otherUserId = match.userA_id === userId ? match.userB_id : match.userA_id;
-        const otherContactInfo = await getContactInfoForApprovedMatch(
-          { ...match, status: 'approved' },
-          otherUserId
-        );
+        const [myProfile, otherProfile] = await Promise.all([
+          getMatchingProfile(userId),
+          getMatchingProfile(otherUserId)
+        ]);
 
         // Create notification for the other user
-        const myProfile = await getMatchingProfile(userId);
         await createMatchNotification(otherUserId, 'mutual_match', {
           matchId: match.id,
           displayName: myProfile?.displayName || 'Someone',
-          message: `🎉 It's a match! ${myProfile?.displayName || 'Someone'} also wants to connect with you.`,
-          contactInfo: otherContactInfo
+          message: `🎉 It's a match! ${myProfile?.displayName || 'Someone'} also wants to connect with you. Review your intro and choose what to share.`
         });
 
         // Also notify the current user via a system message (handled in chat)
         await createMatchNotification(userId, 'mutual_match', {
           matchId: match.id,
-          displayName: contactInfo?.displayName || 'Your match',
-          message: `🎉 Mutual match! You can now connect with ${contactInfo?.displayName || 'your match'}.`,
-          contactInfo
+          displayName: otherProfile?.displayName || 'Your match',
+          message: `🎉 Mutual match with ${otherProfile?.displayName || 'your match'}! Review your intro and choose what to share.`
         });
       }
 
@@ -280,9 +300,10 @@ module.exports = async (req, res) => {
         action,
         newStatus: result.newStatus,
         mutualApproval: result.mutualApproval,
-        contactInfo,
+        introduction,
+        introductionError,
         message: result.mutualApproval
-          ? 'Match approved by both parties! Contact info is now available.'
+          ? 'Match approved by both parties! Approve the intro and choose what to share to exchange contact details.'
           : action === 'approve'
             ? 'Your approval recorded. Waiting for the other person.'
             : 'Match rejected.'
@@ -296,3 +317,4 @@ module.exports = async (req, res) => {
     return res.status(500).json({ error: error.message || 'Internal server error' });
   }
 };
+module.exports.getContactInfoForApprovedMatch = getContactInfoForApprovedMatch;
@@ -2,25 +2,18 @@
 // Manage user's matching profile and settings
 
 const { initializeFirebaseAdmin, admin } = require('../_firebase-admin');
+const { requireAuth } = require('../_auth');
 const {
   getMatchingProfile,
   upsertMatchingProfile,
   MATCH_TYPES
 } = require('../_matching-helpers');
+const { SCORERS, getScorerForUser } = require('../_matching-scorer');
+const { DEFAULT_DISCLOSURE, validateSteering, validateDisclosure } = require('../_m2m-steering');
 
 // Initialize Firebase Admin SDK
 initializeFirebaseAdmin();
 
-// Verify Firebase ID token
-async function verifyToken(idToken) {
-  try {
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    return decodedToken.uid;
-  } catch (error) {
-    throw new Error('Invalid or expired token');
-  }
-}
-
 module.exports = async (req, res) => {
   // CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -32,15 +25,9 @@ module.exports = async (req, res) => {
   }
 
   try {
-    // Get token from Authorization header
-    const authHeader = req.headers.authorization;
-    const idToken = authHeader ? authHeader.replace('Bearer ', '') : null;
-
-    if (!idToken) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
-
-    const userId = await verifyToken(idToken);
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
+    const userId = auth.userId;
 
     // GET - Retrieve matching preferences
     if (req.method === 'GET') {
@@ -74,6 +61,9 @@ module.exports = async (req, res) => {
               visibility: 'everyone'
             },
             isActive: false,
+            scorer: getScorerForUser(null),
+            steering: {},
+            disclosure: DEFAULT_DISCLOSURE,
             hasProfile: false
           }
         });
@@ -83,6 +73,9 @@ module.exports = async (req, res) => {
         success: true,
         profile: {
           ...profile,
+          scorer: getScorerForUser(profile),
+          steering: profile.steering || {},
+          disclosure: { ...DEFAULT_DISCLOSURE, ...(profile.disclosure || {}) },
           hasProfile: true
         }
       });
@@ -98,9 +91,39 @@ module.exports = async (req, res) => {
         goals,
         profiles,  // Goal-specific profiles (dating, investing, hiring, networking)
         matchingPreferences,
-        isActive
+        isActive,
+        scorer,    // 'v1' | 'v2' - which compatibility scorer decides this user's matches
+        steering,  // { [matchType]: { mustAsk: [], dealBreakers: [] } } - default M2M instructions per goal
+        disclosure // { neverReveal: [], knowledgeBase, traits } - what the mindclone may reveal in M2M conversations
       } = req.body;
 
+      if (scorer !== undefined && !SCORERS.includes(scorer)) {
+        return res.status(400).json({
+          error: `Invalid scorer: ${scorer}. Valid scorers: ${SCORERS.join(', ')}`
+        });
+      }
+
+      // Validate M2M steering
+      let steeringByType;
+      if (steering !== undefined) {
+        if (!steering || typeof steering !== 'object' || Array.isArray(steering)) {
+          return res.status(400).json({ error: 'steering must be an object keyed by match type' });
+        }
+        steeringByType = {};
+        for (const [matchType, rules] of Object.entries(steering)) {
+          if (!MATCH_TYPES.includes(matchType)) {
+            return res.status(400).json({
+              error: `Invalid steering match type: ${matchType}. Valid types: ${MATCH_TYPES.join(', ')}`
+            });
+          }
+          const checked = validateSteering(rules || {});
+          if (!checked.success) {
+            return res.status(400).json({ error: `steering.${matchType}: ${checked.error}` });
+          }
+          steeringByType[matchType] = { mustAsk: [], dealBreakers: [], ...checked.steering };
+        }
+      }
+
       // Validate goals
       if (goals) {
         for (const goal of Object.keys(goals)) {
@@ -123,6 +146,14 @@ module.exports = async (req, res) => {
       // Get existing profile to preserve fields
       const existingProfile = await getMatchingProfile(userId);
 
+      let checkedDisclosure = null;
+      if (disclosure !== undefined) {
+        checkedDisclosure = validateDisclosure(disclosure || {}, existingProfile?.disclosure);
+        if (!checkedDisclosure.success) {
+          return res.status(400).json({ error: checkedDisclosure.error });
+        }
+      }
+
       // Build update object
       const profileData = {
         displayName: displayName ?? existingProfile?.displayName ?? '',
@@ -173,7 +204,10 @@ module.exports = async (req, res) => {
           interests: matchingPreferences?.interests ?? existingProfile?.matchingPreferences?.interests ?? [],
           visibility: matchingPreferences?.visibility ?? existingProfile?.matchingPreferences?.visibility ?? 'everyone'
         },
-        isActive: isActive ?? existingProfile?.isActive ?? false
+        isActive: isActive ?? existingProfile?.isActive ?? false,
+        ...(scorer !== undefined ? { scorer } : {}),
+        ...(steeringByType ? { steering: { ...(existingProfile?.steering || {}), ...steeringByType } } : {}),
+        ...(checkedDisclosure ? { disclosure: checkedDisclosure.disclosure } : {})
       };
 
       // Also try to fetch user's link settings to enrich profile
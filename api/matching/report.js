@@ -0,0 +1,59 @@
+// Report API
+// Report a match for review (see ../_matching-safety.js). The match is frozen until an admin
+// resolves the report; `block: true` also blocks the other person.
+//   POST { matchId, reason, details?, block? }
+//     reason — harassment | sexual_content | contact_pressure | spam | fake_profile | safety_concern | other
+
+const { initializeFirebaseAdmin, admin } = require('../_firebase-admin');
+const { requireAuth } = require('../_auth');
+const { reportMatch, REPORT_REASONS } = require('../_matching-safety');
+
+// Initialize Firebase Admin SDK
+initializeFirebaseAdmin();
+const db = admin.firestore();
+
+module.exports = async (req, res) => {
+  // CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // GET - the reasons a report can give, for the report form
+  if (req.method === 'GET') {
+    return res.status(200).json({ success: true, reasons: REPORT_REASONS });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
+
+    const { matchId, reason, details, block } = req.body || {};
+    if (!matchId) {
+      return res.status(400).json({ error: 'matchId is required' });
+    }
+
+    const result = await reportMatch(db, auth.userId, { matchId, reason, details, block: block === true });
+    if (!result.success) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      reportId: result.reportId,
+      blocked: result.blocked,
+      message: 'Thanks for the report. This match is on hold while we review it.'
+    });
+
+  } catch (error) {
+    console.error('[Report API] Error:', error);
+    return res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+};
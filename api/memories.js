@@ -0,0 +1,171 @@
+// Memories API - let the owner see and correct what their Mindclone remembers
+//   GET    /api/memories?category=&source=&importance=&limit=&cursor=   paginated list
+//   GET    /api/memories?id=...                                          one memory + source messages
+//   GET    /api/memories?action=duplicates                               merge suggestions
+//   GET    /api/memories?action=export                                   JSON download
+//   PUT    /api/memories  { memoryId, content?, category?, importance? } edit
+//   DELETE /api/memories?id=...                                          delete
+//   POST   /api/memories  { content, category?, importance? }            add a note by hand
+//   POST   /api/memories  { action: 'merge', memoryIds, content?, category? }
+//   POST   /api/memories  { action: 'forget', topic }                    preview, with the ids to confirm
+//   POST   /api/memories  { action: 'forget', topic, confirm: true, memoryIds, messageIds }
+const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { requireAuth } = require('./_auth');
+const {
+  MEMORY_CATEGORIES,
+  MEMORY_IMPORTANCE,
+  createMemory,
+  listMemories,
+  getMemory,
+  exportMemories,
+  updateMemory,
+  deleteMemory,
+  findDuplicateGroups,
+  mergeMemories,
+  forgetTopic
+} = require('./_memories');
+
+// Initialize Firebase Admin SDK
+initializeFirebaseAdmin();
+const db = admin.firestore();
+
+module.exports = async (req, res) => {
+  // CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
+    const userId = auth.userId;
+
+    const query = req.query || {};
+    const body = req.body || {};
+
+    // GET - list, single memory, duplicates, export
+    if (req.method === 'GET') {
+      if (query.action === 'export') {
+        const data = await exportMemories(db, userId);
+        res.setHeader('Content-Disposition', `attachment; filename="mindclone-memories-${data.exportedAt.substring(0, 10)}.json"`);
+        return res.status(200).json(data);
+      }
+
+      if (query.action === 'duplicates') {
+        const suggestions = await findDuplicateGroups(db, userId);
+        return res.status(200).json({ success: true, suggestions });
+      }
+
+      if (query.id) {
+        const memory = await getMemory(db, userId, query.id);
+        if (!memory) {
+          return res.status(404).json({ success: false, error: 'Memory not found' });
+        }
+        return res.status(200).json({ success: true, memory });
+      }
+
+      if (query.category && !MEMORY_CATEGORIES.includes(query.category)) {
+        return res.status(400).json({ success: false, error: `Category must be one of: ${MEMORY_CATEGORIES.join(', ')}` });
+      }
+      if (query.importance && !MEMORY_IMPORTANCE.includes(query.importance)) {
+        return res.status(400).json({ success: false, error: `Importance must be one of: ${MEMORY_IMPORTANCE.join(', ')}` });
+      }
+
+      let page;
+      try {
+        page = await listMemories(db, userId, {
+          category: query.category || null,
+          source: query.source || null,
+          importance: query.importance || null,
+          limit: query.limit,
+          cursor: query.cursor || null
+        });
+      } catch (listError) {
+        if (listError.message === 'Invalid cursor') {
+          return res.status(400).json({ success: false, error: listError.message });
+        }
+        throw listError;
+      }
+      return res.status(200).json({ success: true, ...page });
+    }
+
+    // PUT - edit a memory
+    if (req.method === 'PUT') {
+      const { memoryId, content, category, importance } = body;
+      if (!memoryId) {
+        return res.status(400).json({ success: false, error: 'memoryId is required' });
+      }
+
+      const result = await updateMemory(db, userId, memoryId, { content, category, importance });
+      if (!result.success) {
+        return res.status(result.error === 'Memory not found' ? 404 : 400).json(result);
+      }
+      return res.status(200).json(result);
+    }
+
+    // DELETE - forget one memory
+    if (req.method === 'DELETE') {
+      const memoryId = query.id || body.memoryId;
+      if (!memoryId) {
+        return res.status(400).json({ success: false, error: 'Memory id is required' });
+      }
+
+      const deleted = await deleteMemory(db, userId, memoryId);
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: 'Memory not found' });
+      }
+      return res.status(200).json({ success: true, memoryId });
+    }
+
+    // POST - create, merge, forget
+    if (req.method === 'POST') {
+      const { action } = body;
+
+      if (action === 'merge') {
+        const result = await mergeMemories(db, userId, body.memoryIds, { content: body.content, category: body.category });
+        if (!result.success) {
+          return res.status(result.error.startsWith('Memory not found') ? 404 : 400).json(result);
+        }
+        return res.status(200).json(result);
+      }
+
+      if (action === 'forget') {
+        const result = await forgetTopic(db, userId, body.topic, {
+          confirm: body.confirm === true,
+          memoryIds: body.memoryIds || [],
+          messageIds: body.messageIds || []
+        });
+        return res.status(result.success ? 200 : 400).json(result);
+      }
+
+      if (action === 'create' || !action) {
+        const { content, category = 'other', importance = null } = body;
+        if (!content || typeof content !== 'string' || content.trim().length === 0) {
+          return res.status(400).json({ success: false, error: 'Content is required' });
+        }
+        if (!MEMORY_CATEGORIES.includes(category)) {
+          return res.status(400).json({ success: false, error: `Category must be one of: ${MEMORY_CATEGORIES.join(', ')}` });
+        }
+        if (importance && !MEMORY_IMPORTANCE.includes(importance)) {
+          return res.status(400).json({ success: false, error: `Importance must be one of: ${MEMORY_IMPORTANCE.join(', ')}` });
+        }
+        const memoryId = await createMemory(db, userId, { content, category, importance, source: 'manual' });
+        return res.status(200).json({ success: true, memoryId });
+      }
+
+      return res.status(400).json({ success: false, error: `Unknown action: ${action}` });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('[Memories API] Error:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+};
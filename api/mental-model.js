@@ -0,0 +1,105 @@
+// Mental Model API - the owner's view of how their Mindclone understands them
+//   GET /api/mental-model                                        current model (goals, emotions, people, ...)
+//   GET /api/mental-model?action=changes&days=90&narrative=true  how the user has changed over the window
+//   GET /api/mental-model?action=emotions&days=90&bucket=week    emotional-valence time series
+//   PUT /api/mental-model  { goalId, status, evidence? }         move a goal through its lifecycle
+const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { requireAuth } = require('./_auth');
+const {
+  GOAL_STATUSES,
+  loadMentalModel,
+  updateMentalModel,
+  getEmotionTimeline,
+  getModelChanges,
+  describeModelChanges
+} = require('./_mental-model');
+
+// Initialize Firebase Admin SDK
+initializeFirebaseAdmin();
+const db = admin.firestore();
+
+const DEFAULT_DAYS = 90;
+const MAX_DAYS = 365;
+
+function parseDays(value) {
+  const days = parseInt(value, 10);
+  if (!days || days < 1) return DEFAULT_DAYS;
+  return Math.min(days, MAX_DAYS);
+}
+
+module.exports = async (req, res) => {
+  // CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
+    const userId = auth.userId;
+
+    const query = req.query || {};
+    const body = req.body || {};
+
+    // GET - model, change report, emotion series
+    if (req.method === 'GET') {
+      if (query.action === 'changes') {
+        const changes = await getModelChanges(db, userId, { days: parseDays(query.days) });
+        if (query.narrative === 'true') {
+          try {
+            changes.narrative = await describeModelChanges(changes);
+          } catch (narrativeError) {
+            // The structured report is still useful without the prose
+            console.error('[Mental Model API] Narrative failed:', narrativeError.message);
+            changes.narrative = null;
+          }
+        }
+        return res.status(200).json({ success: true, ...changes });
+      }
+
+      if (query.action === 'emotions') {
+        const bucket = query.bucket === 'day' ? 'day' : 'week';
+        const timeline = await getEmotionTimeline(db, userId, { days: parseDays(query.days), bucket });
+        return res.status(200).json({ success: true, ...timeline });
+      }
+
+      const model = await loadMentalModel(db, userId);
+      return res.status(200).json({ success: true, model });
+    }
+
+    // PUT - goal lifecycle
+    if (req.method === 'PUT') {
+      const { goalId, status, evidence } = body;
+      if (!goalId) {
+        return res.status(400).json({ success: false, error: 'goalId is required' });
+      }
+      if (!GOAL_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `Status must be one of: ${GOAL_STATUSES.join(', ')}` });
+      }
+
+      const result = await updateMentalModel(db, userId, {
+        type: 'goal_status',
+        goalId,
+        status,
+        evidence: typeof evidence === 'string' && evidence.trim() ? evidence.trim() : 'Updated by the owner',
+        source: 'owner'
+      });
+      if (!result.success) {
+        return res.status(result.error === 'Goal not found' ? 404 : 400).json(result);
+      }
+      return res.status(200).json(result);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('[Mental Model API] Error:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+};
@@ -1,20 +1,11 @@
 // Message privacy API - toggle isPublic field on messages
 const { initializeFirebaseAdmin, admin } = require('../_firebase-admin');
+const { requireAuth } = require('../_auth');
 
 // Initialize Firebase Admin SDK
 initializeFirebaseAdmin();
 const db = admin.firestore();
 
-// Verify Firebase ID token
-async function verifyToken(idToken) {
-  try {
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    return decodedToken.uid;
-  } catch (error) {
-    throw new Error('Invalid or expired token');
-  }
-}
-
 // Toggle message privacy
 async function toggleMessagePrivacy(userId, messageId, isPublic) {
   try {
@@ -124,15 +115,9 @@ module.exports = async (req, res) => {
   }
 
   try {
-    // Get token from Authorization header
-    const authHeader = req.headers.authorization;
-    const idToken = authHeader ? authHeader.replace('Bearer ', '') : req.body?.idToken;
-
-    if (!idToken) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
-
-    const userId = await verifyToken(idToken);
+    const auth = await requireAuth(req, res, { allowBodyToken: true });
+    if (!auth) return;
+    const userId = auth.userId;
 
     // GET - List messages with privacy status
     if (req.method === 'GET') {
@@ -3,24 +3,11 @@
 
 const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
 const { DEFAULT_SETTINGS } = require('./_moltbook-settings');
+const { requireAuth } = require('./_auth');
 
 initializeFirebaseAdmin();
 const db = admin.firestore();
 
-/**
- * Verify Firebase auth token and get user ID
- */
-async function verifyAuth(req) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    throw new Error('No authorization token provided');
-  }
-
-  const idToken = authHeader.split('Bearer ')[1];
-  const decodedToken = await admin.auth().verifyIdToken(idToken);
-  return decodedToken.uid;
-}
-
 /**
  * Get user-specific Moltbook settings
  */
@@ -60,7 +47,9 @@ module.exports = async (req, res) => {
 
   try {
     // Verify authentication
-    const userId = await verifyAuth(req);
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
+    const userId = auth.userId;
 
     if (req.method === 'GET') {
       const settings = await getUserMoltbookSettings(userId);
@@ -96,10 +85,6 @@ module.exports = async (req, res) => {
   } catch (error) {
     console.error('[Moltbook Settings] Error:', error);
 
-    if (error.message.includes('authorization') || error.message.includes('token')) {
-      return res.status(401).json({ error: 'Unauthorized', message: error.message });
-    }
-
     return res.status(500).json({ error: error.message });
   }
 };
@@ -1,6 +1,7 @@
 // Message Formatter - Format articles into natural language and inject to Firestore
 const { initializeFirebaseAdmin, admin } = require('../_firebase-admin');
 const { queueWhatsApp } = require('../_whatsapp');
+const { formatInZone } = require('../_user-locale');
 
 // Initialize Firebase Admin SDK
 initializeFirebaseAdmin();
@@ -9,8 +10,9 @@ const db = admin.firestore();
 /**
  * Format articles into a natural language digest
  * Returns formatted message string
+ * @param {Object} [prefs] - { timezone, locale } for publish dates (see _user-locale.js)
  */
-function formatNewsDigest(articles, userProfile) {
+function formatNewsDigest(articles, userProfile, prefs = {}) {
   if (!articles || articles.length === 0) {
     return null;
   }
@@ -49,7 +51,7 @@ function formatNewsDigest(articles, userProfile) {
       } else if (diffDays < 7) {
         timeStr = `Published ${diffDays} day${diffDays > 1 ? 's' : ''} ago`;
       } else {
-        timeStr = `Published ${published.toLocaleDateString()}`;
+        timeStr = `Published ${formatInZone(published, prefs, 'date')}`;
       }
     }
 
@@ -136,14 +138,21 @@ function getArticleContext(article, userProfile) {
 
 /**
  * Inject message into user's Firestore messages collection
+ * @param {string} userId
+ * @param {string} content
+ * @param {Array} [articles] - News articles the message is about
+ * @param {Object} [options]
+ * @param {string} [options.messageType='proactive_news'] - e.g. 'proactive_checkin'
+ * @param {Object} [options.metadata] - Replaces the article metadata
+ * @param {boolean} [options.notify=true] - Queue the news WhatsApp notification
  */
-async function injectMessage(userId, content, articles = []) {
+async function injectMessage(userId, content, articles = [], { messageType = 'proactive_news', metadata = null, notify = true } = {}) {
   try {
     if (!content) {
       throw new Error('Content is required');
     }
 
-    console.log(`[MessageFormatter] Injecting news digest for ${userId}`);
+    console.log(`[MessageFormatter] Injecting ${messageType} message for ${userId}`);
 
     // Build message data
     const messageData = {
@@ -151,8 +160,8 @@ async function injectMessage(userId, content, articles = []) {
       content: content,
       timestamp: admin.firestore.FieldValue.serverTimestamp(),
       isPublic: false,
-      messageType: 'proactive_news', // Mark as proactive news message
-      metadata: {
+      messageType, // Mark as proactive message
+      metadata: metadata || {
         articles: articles.map(a => ({
           title: a.title,
           url: a.url,
@@ -170,6 +179,8 @@ async function injectMessage(userId, content, articles = []) {
 
     console.log(`[MessageFormatter] Message injected successfully: ${messageRef.id}`);
 
+    if (!notify) return messageRef.id;
+
     // Queue WhatsApp notification with article summary
     try {
       const titles = articles.map(a => a.title).filter(Boolean).slice(0, 3);
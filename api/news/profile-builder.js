@@ -1,8 +1,7 @@
 // Profile Builder - Extract user interests from Firestore memories
-// Uses Gemini Flash to parse memories into structured interest profiles (saves Anthropic credits)
+// Uses the shared LLM layer (Gemini Flash primary) to parse memories into structured interest profiles
 const { initializeFirebaseAdmin, admin } = require('../_firebase-admin');
-
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+const { generateJSON, isLLMAvailable } = require('../_llm');
 
 // Initialize Firebase Admin SDK
 initializeFirebaseAdmin();
@@ -45,8 +44,8 @@ async function buildUserInterestProfile(userId) {
       return null;
     }
 
-    // Use Claude to parse memories into structured profile
-    const profile = await parseMemoriesWithClaude(memories, userId);
+    // Use the LLM to parse memories into structured profile
+    const profile = await parseMemoriesWithLLM(memories, userId);
 
     if (!profile) {
       console.warn(`[ProfileBuilder] Failed to parse memories for ${userId}`);
@@ -67,13 +66,12 @@ async function buildUserInterestProfile(userId) {
 }
 
 /**
- * Parse memories using Claude Haiku to extract structured interests
+ * Parse memories with the LLM (JSON mode) to extract structured interests
  */
-async function parseMemoriesWithClaude(memories, userId) {
+async function parseMemoriesWithLLM(memories, userId) {
   try {
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-    if (!apiKey) {
-      throw new Error('ANTHROPIC_API_KEY not configured');
+    if (!isLLMAvailable()) {
+      throw new Error('No LLM provider configured');
     }
 
     const systemPrompt = `You are an AI assistant that analyzes a user's memories to extract their interests and preferences.
@@ -94,39 +92,11 @@ Return ONLY a valid JSON object with this exact structure, no other text:
   "curiosities": ["curiosity1", "curiosity2"]
 }`;
 
-    const geminiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${GEMINI_API_KEY}`;
-    const response = await fetch(geminiUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        systemInstruction: { parts: [{ text: systemPrompt }] },
-        contents: [{ parts: [{ text: `Analyze these memories and extract the user's interests:\n\n${memories.join('\n\n')}` }] }],
-        generationConfig: { maxOutputTokens: 1500, temperature: 0.3 }
-      })
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Gemini API error: ${response.status} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-
-    if (!text) {
-      throw new Error('No response from Gemini');
-    }
-
-    // Parse JSON response
-    let profile;
-    try {
-      const cleanText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      const jsonMatch = cleanText.match(/\{[\s\S]*\}/);
-      profile = JSON.parse(jsonMatch ? jsonMatch[0] : cleanText);
-    } catch (parseError) {
-      console.error(`[ProfileBuilder] Failed to parse Claude response:`, text);
-      throw new Error('Invalid JSON response from Claude');
-    }
+    const profile = await generateJSON(
+      systemPrompt,
+      `Analyze these memories and extract the user's interests:\n\n${memories.join('\n\n')}`,
+      { maxTokens: 1500, temperature: 0.3, label: 'news-profile' }
+    );
 
     // Validate structure
     if (!profile.topics || !Array.isArray(profile.topics)) profile.topics = [];
@@ -143,7 +113,7 @@ Return ONLY a valid JSON object with this exact structure, no other text:
     return profile;
 
   } catch (error) {
-    console.error(`[ProfileBuilder] Error parsing memories with Claude:`, error);
+    console.error(`[ProfileBuilder] Error parsing memories with LLM:`, error);
     return null;
   }
 }
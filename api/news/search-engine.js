@@ -1,8 +1,7 @@
 // Search Engine - Use Gemini with Google Search grounding to find relevant news
 // Switched from Claude web search to Gemini to save Anthropic credits
 const crypto = require('crypto');
-
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+const { generateText } = require('../_llm');
 
 /**
  * Search for news using Claude's web search tool
@@ -80,10 +79,6 @@ function generateSearchQueries(profile) {
  */
 async function searchWithClaude(queries, profile) {
   try {
-    if (!GEMINI_API_KEY) {
-      throw new Error('GEMINI_API_KEY not configured');
-    }
-
     const queriesList = queries.map((q, i) => `${i + 1}. ${q}`).join('\n');
 
     const systemPrompt = `You are a news research assistant. Search for recent, relevant news articles based on the given queries.
@@ -97,25 +92,12 @@ For each article you find, provide the information in a JSON array. Each article
 
 Focus on recent articles (last 7 days preferred). Return ONLY a valid JSON array. If no articles found, return: []`;
 
-    const geminiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${GEMINI_API_KEY}`;
-    const response = await fetch(geminiUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        systemInstruction: { parts: [{ text: systemPrompt }] },
-        contents: [{ parts: [{ text: `Search for recent news articles matching these queries:\n${queriesList}\n\nUser interests: ${profile.topics?.join(', ') || 'general'}` }] }],
-        tools: [{ googleSearch: {} }],
-        generationConfig: { maxOutputTokens: 3000, temperature: 0.3 }
-      })
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Gemini API error: ${response.status} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    const responseText = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+    // Grounded search is Gemini-only — other providers would invent articles
+    const responseText = await generateText(
+      systemPrompt,
+      `Search for recent news articles matching these queries:\n${queriesList}\n\nUser interests: ${profile.topics?.join(', ') || 'general'}`,
+      { maxTokens: 3000, temperature: 0.3, webSearch: true, providers: ['gemini'], minimalFallback: false, label: 'news-search' }
+    );
 
     if (!responseText) {
       console.log('[SearchEngine] No text response from Gemini');
@@ -0,0 +1,58 @@
+// Preferences API - the owner's timezone and locale (see _user-locale.js)
+//   GET /api/preferences                      { timezone, locale, source }
+//   PUT /api/preferences  { timezone?, locale?, auto? }
+//     Setting either pins it (source 'manual') so the browser's detected clock stops overriding it;
+//     { auto: true } goes back to auto-detection.
+const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { requireAuth } = require('./_auth');
+const { getUserLocale, updateUserLocale } = require('./_user-locale');
+
+// Initialize Firebase Admin SDK
+initializeFirebaseAdmin();
+const db = admin.firestore();
+
+module.exports = async (req, res) => {
+  // CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
+    const userId = auth.userId;
+
+    if (req.method === 'GET') {
+      const preferences = await getUserLocale(db, userId);
+      return res.status(200).json({ success: true, ...preferences });
+    }
+
+    if (req.method === 'PUT') {
+      const body = req.body || {};
+
+      if (body.auto === true) {
+        const current = await getUserLocale(db, userId);
+        const result = await updateUserLocale(db, userId, { timezone: current.timezone, locale: current.locale }, { source: 'auto' });
+        return res.status(result.success ? 200 : 400).json(result);
+      }
+
+      const result = await updateUserLocale(db, userId, {
+        timezone: body.timezone || undefined,
+        locale: body.locale || undefined
+      }, { source: 'manual' });
+      return res.status(result.success ? 200 : 400).json(result);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('[Preferences API] Error:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+};
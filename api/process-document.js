@@ -14,6 +14,8 @@ try {
 }
 
 const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { extractPdfPages, indexDocumentChunks } = require('./_kb-chunks');
+const { requireAuth } = require('./_auth');
 
 // Initialize Firebase
 initializeFirebaseAdmin();
@@ -34,10 +36,14 @@ module.exports = async (req, res) => {
   }
 
   try {
-    const { fileUrl, fileType, userId, documentType } = req.body;
+    const { fileUrl, fileType, documentType } = req.body;
 
-    if (!fileUrl || !userId) {
-      return res.status(400).json({ error: 'Missing required fields: fileUrl and userId' });
+    const auth = await requireAuth(req, res, { userId: req.body.userId || null });
+    if (!auth) return;
+    const userId = auth.userId;
+
+    if (!fileUrl) {
+      return res.status(400).json({ error: 'Missing required field: fileUrl' });
     }
 
     console.log('[ProcessDoc] Processing document:', { fileUrl, fileType, documentType });
@@ -67,7 +73,7 @@ module.exports = async (req, res) => {
       console.log('[ProcessDoc] Parsing PDF...');
       let pdfData;
       try {
-        pdfData = await pdfParse(buffer);
+        pdfData = await extractPdfPages(buffer);
       } catch (pdfError) {
         console.error('[ProcessDoc] PDF parse error:', pdfError);
         return res.status(500).json({
@@ -78,9 +84,10 @@ module.exports = async (req, res) => {
 
       extractedContent = {
         type: 'pdf',
+        pages: pdfData.pages,
         text: pdfData.text,
-        pageCount: pdfData.numpages,
-        info: pdfData.info || {},
+        pageCount: pdfData.pageCount,
+        info: pdfData.info,
         extractedAt: new Date().toISOString()
       };
 
@@ -89,7 +96,7 @@ module.exports = async (req, res) => {
       extractedContent.sections = sections;
 
       console.log('[ProcessDoc] PDF parsed:', {
-        pages: pdfData.numpages,
+        pages: pdfData.pageCount,
         textLength: pdfData.text.length,
         sections: sections.length
       });
@@ -188,8 +195,10 @@ module.exports = async (req, res) => {
       docKey = 'document_' + Date.now();
     }
 
+    // Page texts go into the chunk index, not the documents map
+    const { pages, ...storedContent } = extractedContent;
     existingData.documents[docKey] = {
-      ...extractedContent,
+      ...storedContent,
       fileName: fileName,
       fileUrl: fileUrl,
       uploadedAt: new Date().toISOString()
@@ -198,8 +207,9 @@ module.exports = async (req, res) => {
     await kbDocRef.set(existingData, { merge: true });
 
     // Also save to knowledgeBase collection (so it shows in KB panel)
+    const docId = String(Date.now());
     const kbPanelRef = db.collection('users').doc(userId)
-      .collection('knowledgeBase').doc(String(Date.now()));
+      .collection('knowledgeBase').doc(docId);
 
     await kbPanelRef.set({
       fileName: fileName || docKey,
@@ -217,6 +227,21 @@ module.exports = async (req, res) => {
 
     console.log('[ProcessDoc] Stored in Knowledge Base:', docKey);
 
+    // Chunk per page (PDF) or per sheet (Excel) for retrieval at chat time
+    let chunkCount = 0;
+    try {
+      chunkCount = await indexDocumentChunks(db, userId, {
+        docKey,
+        docId,
+        fileName: fileName || docKey,
+        pages: pages || null,
+        sheets: extractedContent.sheetSummaries || null,
+        text: extractedContent.text || null
+      });
+    } catch (chunkError) {
+      console.error('[ProcessDoc] Chunk indexing failed:', chunkError.message);
+    }
+
     return res.status(200).json({
       success: true,
       documentType: docKey,
@@ -226,7 +251,8 @@ module.exports = async (req, res) => {
         pageCount: extractedContent.pageCount,
         sectionsFound: extractedContent.sections?.length,
         sheetsFound: extractedContent.sheetNames?.length,
-        metricsExtracted: extractedContent.keyMetrics ? Object.keys(extractedContent.keyMetrics).length : 0
+        metricsExtracted: extractedContent.keyMetrics ? Object.keys(extractedContent.keyMetrics).length : 0,
+        chunksIndexed: chunkCount
       }
     });
 
@@ -1,12 +1,13 @@
 // Public profile API - lookup username and return public profile data
 const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { pickGreeting } = require('./_language');
 
 // Initialize Firebase Admin SDK
 initializeFirebaseAdmin();
 const db = admin.firestore();
 
-// Get public profile by username
-async function getPublicProfile(username) {
+// Get public profile by username (greeting in the visitor's language when the owner wrote one)
+async function getPublicProfile(username, locale = null) {
   try {
     // Normalize username
     const normalizedUsername = username.trim().toLowerCase();
@@ -40,12 +41,16 @@ async function getPublicProfile(username) {
       .collection('linkSettings').doc('config').get();
     const settingsData = settingsDoc.data() || {};
 
+    const { greeting, language: greetingLanguage } = pickGreeting(settingsData, locale);
+
     // Return public profile
     return {
       username: normalizedUsername,
       displayName: settingsData.displayName || userData.displayName || 'Anonymous User',
       bio: settingsData.bio || '',
-      customGreeting: settingsData.customGreeting || 'Hello! Ask me anything.',
+      customGreeting: greeting || 'Hello! Ask me anything.',
+      greetingLanguage,
+      supportedLanguages: settingsData.supportedLanguages || [],
       photoURL: userData.photoURL || null,
       linkEnabled: true
     };
@@ -71,13 +76,13 @@ module.exports = async (req, res) => {
   }
 
   try {
-    const { username } = req.query;
+    const { username, lang } = req.query;
 
     if (!username) {
       return res.status(400).json({ error: 'Username is required' });
     }
 
-    const profile = await getPublicProfile(username);
+    const profile = await getPublicProfile(username, lang || null);
 
     if (profile.error === 'not_found') {
       return res.status(404).json({
@@ -1,20 +1,11 @@
 // Temporary admin endpoint to repair username data inconsistency
 const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { requireAuth } = require('./_auth');
 
 // Initialize Firebase Admin SDK
 initializeFirebaseAdmin();
 const db = admin.firestore();
 
-// Verify Firebase ID token
-async function verifyToken(idToken) {
-  try {
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    return decodedToken.uid;
-  } catch (error) {
-    throw new Error('Invalid or expired token');
-  }
-}
-
 // Repair username data
 async function repairUsername(userId) {
   try {
@@ -73,15 +64,9 @@ module.exports = async (req, res) => {
   }
 
   try {
-    // Get token from Authorization header or body
-    const authHeader = req.headers.authorization;
-    const idToken = authHeader ? authHeader.replace('Bearer ', '') : req.body?.idToken;
-
-    if (!idToken) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
-
-    const userId = await verifyToken(idToken);
+    const auth = await requireAuth(req, res, { allowBodyToken: true });
+    if (!auth) return;
+    const userId = auth.userId;
 
     console.log('[Repair] Repairing username for userId:', userId);
 
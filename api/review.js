@@ -0,0 +1,121 @@
+// Review API - the owner's queue of changes their Mindclone made on its own
+//   GET  /api/review?status=&kind=&source=&limit=&cursor=      queued changes, newest first
+//   GET  /api/review?action=settings                           approval mode, rules, digest
+//   PUT  /api/review  { mode?, rules?, digestEnabled? }         change settings
+//   POST /api/review  { action: 'approve' | 'reject', ids, edits? }   bulk review
+//   POST /api/review  { action: 'edit', id, payload }          edit a pending change
+//   POST /api/review  { action: 'digest' }                     send the WhatsApp digest now
+const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { requireAuth } = require('./_auth');
+const {
+  CHANGE_KINDS,
+  CHANGE_STATUSES,
+  getReviewSettings,
+  updateReviewSettings,
+  listChanges,
+  editChange,
+  reviewChanges,
+  sendReviewDigest
+} = require('./_review-queue');
+
+// Initialize Firebase Admin SDK
+initializeFirebaseAdmin();
+const db = admin.firestore();
+
+module.exports = async (req, res) => {
+  // CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
+    const userId = auth.userId;
+
+    const query = req.query || {};
+    const body = req.body || {};
+
+    // GET - queue or settings
+    if (req.method === 'GET') {
+      if (query.action === 'settings') {
+        const settings = await getReviewSettings(db, userId);
+        return res.status(200).json({ success: true, settings });
+      }
+
+      const status = query.status === 'all' ? null : (query.status || 'pending');
+      if (status && !CHANGE_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of: all, ${CHANGE_STATUSES.join(', ')}` });
+      }
+      if (query.kind && !CHANGE_KINDS.includes(query.kind)) {
+        return res.status(400).json({ success: false, error: `kind must be one of: ${CHANGE_KINDS.join(', ')}` });
+      }
+
+      try {
+        const page = await listChanges(db, userId, {
+          status,
+          kind: query.kind || null,
+          source: query.source || null,
+          limit: query.limit,
+          cursor: query.cursor || null
+        });
+        return res.status(200).json({ success: true, ...page });
+      } catch (error) {
+        if (error.message === 'Invalid cursor') {
+          return res.status(400).json({ success: false, error: error.message });
+        }
+        throw error;
+      }
+    }
+
+    // PUT - settings
+    if (req.method === 'PUT') {
+      const result = await updateReviewSettings(db, userId, {
+        mode: body.mode,
+        rules: body.rules,
+        digestEnabled: body.digestEnabled
+      });
+      return res.status(result.success ? 200 : 400).json(result);
+    }
+
+    // POST - approve/reject, edit, digest
+    if (req.method === 'POST') {
+      const { action } = body;
+
+      if (action === 'approve' || action === 'reject') {
+        const result = await reviewChanges(db, userId, body.ids, action, body.edits || {});
+        return res.status(result.success ? 200 : 400).json(result);
+      }
+
+      if (action === 'edit') {
+        if (!body.id || !body.payload) {
+          return res.status(400).json({ success: false, error: 'id and payload are required' });
+        }
+        const result = await editChange(db, userId, body.id, body.payload);
+        if (!result.success) {
+          return res.status(/not found/i.test(result.error) ? 404 : 400).json(result);
+        }
+        return res.status(200).json(result);
+      }
+
+      if (action === 'digest') {
+        const result = await sendReviewDigest(db, userId, { force: true });
+        return res.status(200).json({ success: true, ...result });
+      }
+
+      return res.status(400).json({ success: false, error: `Unknown action: ${action}` });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('[Review API] Error:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+};
@@ -0,0 +1,111 @@
+// Threads API - private chat conversations
+//   GET    /api/threads?archived=&limit=&cursor=     paginated list, most recent first
+//   GET    /api/threads?id=...&limit=                one thread + recent messages + summary
+//   POST   /api/threads  { title? }                  create (untitled threads are named after the first turn)
+//   PUT    /api/threads  { threadId, title?, archived? }   rename / archive / unarchive
+//   DELETE /api/threads?id=...                       delete the thread and its messages
+// Messages are added through /api/chat with { threadId }.
+const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { requireAuth } = require('./_auth');
+const {
+  createThread,
+  listThreads,
+  getThread,
+  updateThread,
+  deleteThread
+} = require('./_threads');
+
+// Initialize Firebase Admin SDK
+initializeFirebaseAdmin();
+const db = admin.firestore();
+
+module.exports = async (req, res) => {
+  // CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
+    const userId = auth.userId;
+
+    const query = req.query || {};
+    const body = req.body || {};
+
+    // GET - list or one thread
+    if (req.method === 'GET') {
+      if (query.id) {
+        const thread = await getThread(db, userId, query.id, { limit: query.limit });
+        if (!thread) {
+          return res.status(404).json({ success: false, error: 'Thread not found' });
+        }
+        return res.status(200).json({ success: true, thread });
+      }
+
+      let page;
+      try {
+        page = await listThreads(db, userId, {
+          archived: query.archived === 'true',
+          limit: query.limit,
+          cursor: query.cursor || null
+        });
+      } catch (listError) {
+        if (listError.message === 'Invalid cursor') {
+          return res.status(400).json({ success: false, error: listError.message });
+        }
+        throw listError;
+      }
+      return res.status(200).json({ success: true, ...page });
+    }
+
+    // POST - create
+    if (req.method === 'POST') {
+      if (body.title !== undefined && body.title !== null && typeof body.title !== 'string') {
+        return res.status(400).json({ success: false, error: 'Title must be a string' });
+      }
+      const thread = await createThread(db, userId, { title: body.title || null });
+      return res.status(200).json({ success: true, thread });
+    }
+
+    // PUT - rename / archive
+    if (req.method === 'PUT') {
+      const { threadId, title, archived } = body;
+      if (!threadId) {
+        return res.status(400).json({ success: false, error: 'threadId is required' });
+      }
+
+      const result = await updateThread(db, userId, threadId, { title, archived });
+      if (!result.success) {
+        return res.status(result.error === 'Thread not found' ? 404 : 400).json(result);
+      }
+      return res.status(200).json(result);
+    }
+
+    // DELETE - thread and its messages
+    if (req.method === 'DELETE') {
+      const threadId = query.id || body.threadId;
+      if (!threadId) {
+        return res.status(400).json({ success: false, error: 'Thread id is required' });
+      }
+
+      const messagesDeleted = await deleteThread(db, userId, threadId);
+      if (messagesDeleted === null) {
+        return res.status(404).json({ success: false, error: 'Thread not found' });
+      }
+      return res.status(200).json({ success: true, threadId, messagesDeleted });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('[Threads API] Error:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+};
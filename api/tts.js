@@ -1,5 +1,10 @@
 // Text-to-Speech API - ElevenLabs proxy endpoint
 // Converts AI response text to audio using ElevenLabs TTS
+const { initializeFirebaseAdmin } = require('./_firebase-admin');
+const { authenticate } = require('./_auth');
+const { LIMITS, consume, getClientIp, sendRateLimited } = require('./_rate-limit');
+
+initializeFirebaseAdmin();
 
 module.exports = async (req, res) => {
   // CORS headers
@@ -22,6 +27,15 @@ module.exports = async (req, res) => {
       return res.status(400).json({ error: 'Text is required' });
     }
 
+    // Signed-in owners get their own bucket; public link visitors share one per IP
+    const auth = await authenticate(req);
+    const rateLimit = await consume([auth.success
+      ? { key: `tts_user_${auth.userId}`, ...LIMITS.ttsUser }
+      : { key: `tts_ip_${getClientIp(req)}`, ...LIMITS.ttsIp }]);
+    if (!rateLimit.allowed) {
+      return sendRateLimited(res, rateLimit, 'Too many voice requests. Please wait a moment.');
+    }
+
     // Check for ElevenLabs API key
     const apiKey = process.env.ELEVENLABS_API_KEY;
     if (!apiKey) {
@@ -1,6 +1,7 @@
 // File upload endpoint for documents and media
 const { put, head } = require('@vercel/blob');
 const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { requireAuth } = require('./_auth');
 
 // Initialize Firebase
 initializeFirebaseAdmin();
@@ -29,13 +30,9 @@ module.exports = async (req, res) => {
       return res.status(500).json({ error: 'Blob storage not configured' });
     }
 
-    // Get user ID from request (assuming it's passed in headers or body)
-    const userId = req.headers['x-user-id'] || req.body?.userId;
-
-    if (!userId) {
-      console.error('[Upload] No user ID provided');
-      return res.status(401).json({ error: 'Unauthorized - User ID required' });
-    }
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
+    const userId = auth.userId;
 
     // Verify user exists
     const userDoc = await db.collection('users').doc(userId).get();
@@ -1,23 +1,14 @@
 // Knowledge Base Upload API - Uses Vercel Blob Storage with Text Extraction
 const { put, del } = require('@vercel/blob');
 const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
-const pdfParse = require('pdf-parse');
+const { requireAuth } = require('./_auth');
 const mammoth = require('mammoth');
+const { extractPdfPages, indexDocumentChunks, removeDocumentChunks } = require('./_kb-chunks');
 
 // Initialize Firebase Admin SDK
 initializeFirebaseAdmin();
 const db = admin.firestore();
 
-// Verify Firebase ID token
-async function verifyToken(idToken) {
-  try {
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    return decodedToken.uid;
-  } catch (error) {
-    throw new Error('Invalid or expired token');
-  }
-}
-
 // Extract text from different file types
 async function extractText(buffer, fileName, fileType) {
   const lowerName = fileName.toLowerCase();
@@ -26,10 +17,11 @@ async function extractText(buffer, fileName, fileType) {
     // PDF files
     if (fileType === 'application/pdf' || lowerName.endsWith('.pdf')) {
       console.log('[KB] Extracting text from PDF...');
-      const pdfData = await pdfParse(buffer);
+      const pdfData = await extractPdfPages(buffer);
       return {
         text: pdfData.text,
-        pageCount: pdfData.numpages,
+        pages: pdfData.pages,
+        pageCount: pdfData.pageCount,
         type: 'pdf'
       };
     }
@@ -117,15 +109,9 @@ module.exports = async (req, res) => {
   }
 
   try {
-    // Get token from Authorization header
-    const authHeader = req.headers.authorization;
-    const idToken = authHeader ? authHeader.replace('Bearer ', '') : null;
-
-    if (!idToken) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
-
-    const userId = await verifyToken(idToken);
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
+    const userId = auth.userId;
 
     // Handle DELETE request
     if (req.method === 'DELETE') {
@@ -162,6 +148,13 @@ module.exports = async (req, res) => {
         } catch (error) {
           console.log('[KB] Could not remove from linkKnowledgeBase:', error.message);
         }
+
+        try {
+          const removed = await removeDocumentChunks(db, userId, docKey);
+          console.log(`[KB] Removed ${removed} chunks for:`, docKey);
+        } catch (error) {
+          console.error('[KB] Could not remove chunks:', error.message);
+        }
       }
 
       return res.status(200).json({ success: true, message: 'Document deleted' });
@@ -233,6 +226,7 @@ module.exports = async (req, res) => {
       await kbDocRef.set(docData);
 
       // Also save to linkKnowledgeBase/documents for the mindclone to use
+      let chunkCount = 0;
       if (extraction.text) {
         const linkKbRef = db.collection('users').doc(userId)
           .collection('linkKnowledgeBase').doc('documents');
@@ -256,6 +250,19 @@ module.exports = async (req, res) => {
         }, { merge: true });
 
         console.log('[KB] Saved to linkKnowledgeBase with key:', docKey);
+
+        // Chunk the full text (not the 50k stored copy) for retrieval at chat time
+        try {
+          chunkCount = await indexDocumentChunks(db, userId, {
+            docKey,
+            docId,
+            fileName,
+            pages: extraction.pages || null,
+            text: extraction.text
+          });
+        } catch (chunkError) {
+          console.error('[KB] Chunk indexing failed:', chunkError.message);
+        }
       }
 
       return res.status(200).json({
@@ -271,6 +278,7 @@ module.exports = async (req, res) => {
           size: fileSize,
           textExtracted: !!extraction.text,
           textLength: extraction.text?.length || 0,
+          chunkCount,
           extractionType: extraction.type,
           extractionError: extraction.error
         }
@@ -3,6 +3,8 @@
 // Trial users get randomly assigned temporary usernames
 const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
 const { computeAccessLevel } = require('./_billing-helpers');
+const { requireAuth } = require('./_auth');
+const { LIMITS, consume, getClientIp, sendRateLimited } = require('./_rate-limit');
 
 // Initialize Firebase Admin SDK
 initializeFirebaseAdmin();
@@ -86,16 +88,6 @@ function validateUsername(username) {
   return { valid: true, username: trimmed };
 }
 
-// Verify Firebase ID token
-async function verifyToken(idToken) {
-  try {
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    return decodedToken.uid;
-  } catch (error) {
-    throw new Error('Invalid or expired token');
-  }
-}
-
 // Check if user has paid (active subscription)
 async function checkUserHasPaid(userId) {
   const userDoc = await db.collection('users').doc(userId).get();
@@ -299,7 +291,7 @@ module.exports = async (req, res) => {
 
   try {
     const { action } = req.query;
-    const { username, idToken } = req.body;
+    const { username } = req.body;
 
     if (action === 'check') {
       // Check username availability (no auth required)
@@ -307,17 +299,20 @@ module.exports = async (req, res) => {
         return res.status(400).json({ error: 'Username is required' });
       }
 
+      const rateLimit = await consume([{ key: `username_check_ip_${getClientIp(req)}`, ...LIMITS.usernameCheckIp }]);
+      if (!rateLimit.allowed) {
+        return sendRateLimited(res, rateLimit, 'Too many username checks. Please wait a moment.');
+      }
+
       const result = await checkUsername(username);
       return res.status(200).json(result);
     }
 
     if (action === 'assign-temp') {
       // Assign temporary username (requires auth)
-      if (!idToken) {
-        return res.status(401).json({ error: 'Authentication required' });
-      }
-
-      const userId = await verifyToken(idToken);
+      const auth = await requireAuth(req, res, { allowBodyToken: true });
+      if (!auth) return;
+      const userId = auth.userId;
       const tempUsername = await assignTempUsername(userId);
 
       return res.status(200).json({
@@ -330,14 +325,13 @@ module.exports = async (req, res) => {
 
     if (action === 'claim') {
       // Claim permanent username (requires auth + PAYMENT)
-      if (!idToken) {
-        return res.status(401).json({ error: 'Authentication required' });
-      }
+      const auth = await requireAuth(req, res, { allowBodyToken: true });
+      if (!auth) return;
       if (!username) {
         return res.status(400).json({ error: 'Username is required' });
       }
 
-      const userId = await verifyToken(idToken);
+      const userId = auth.userId;
 
       try {
         const claimedUsername = await claimUsername(username, userId);
@@ -361,11 +355,9 @@ module.exports = async (req, res) => {
 
     if (action === 'release') {
       // Release username (requires auth)
-      if (!idToken) {
-        return res.status(401).json({ error: 'Authentication required' });
-      }
-
-      const userId = await verifyToken(idToken);
+      const auth = await requireAuth(req, res, { allowBodyToken: true });
+      if (!auth) return;
+      const userId = auth.userId;
       const releasedUsername = await releaseUsername(userId);
 
       return res.status(200).json({
@@ -0,0 +1,169 @@
+// Visitors API - CRM for people who chatted on the owner's public link
+//   GET    /api/visitors?status=&tag=&intent=&language=&q=&limit=&cursor=   paginated leads, most recent first
+//   GET    /api/visitors?id=...                                    one lead + conversation
+//   GET    /api/visitors?action=duplicates                         merge suggestions
+//   GET    /api/visitors?action=export                             CSV download
+//   PUT    /api/visitors  { visitorId, status?, tags?, profile? }   edit (edited profile fields stay as set)
+//   POST   /api/visitors  { action: 'note', visitorId, text }      add a note
+//   POST   /api/visitors  { action: 'merge', primaryId, visitorIds }
+//   POST   /api/visitors  { action: 'extract', visitorId }         re-read the profile from the conversation
+//   DELETE /api/visitors?id=...&noteId=...                         delete a note
+const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { requireAuth } = require('./_auth');
+const {
+  LEAD_STATUSES,
+  INTENT_CATEGORIES,
+  extractVisitorProfile,
+  listVisitors,
+  getVisitor,
+  updateVisitor,
+  addVisitorNote,
+  deleteVisitorNote,
+  mergeVisitors,
+  findDuplicateVisitors,
+  exportVisitorsCsv
+} = require('./_visitor-crm');
+
+// Initialize Firebase Admin SDK
+initializeFirebaseAdmin();
+const db = admin.firestore();
+
+module.exports = async (req, res) => {
+  // CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
+    const userId = auth.userId;
+
+    const query = req.query || {};
+    const body = req.body || {};
+
+    // GET - list, one lead, duplicates, export
+    if (req.method === 'GET') {
+      if (query.action === 'export') {
+        const csv = await exportVisitorsCsv(db, userId);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="mindclone-visitors-${new Date().toISOString().substring(0, 10)}.csv"`);
+        return res.status(200).send(csv);
+      }
+
+      if (query.action === 'duplicates') {
+        const suggestions = await findDuplicateVisitors(db, userId);
+        return res.status(200).json({ success: true, suggestions });
+      }
+
+      if (query.id) {
+        const visitor = await getVisitor(db, userId, query.id, { limit: query.limit });
+        if (!visitor) {
+          return res.status(404).json({ success: false, error: 'Visitor not found' });
+        }
+        return res.status(200).json({ success: true, visitor });
+      }
+
+      if (query.status && !LEAD_STATUSES.includes(query.status)) {
+        return res.status(400).json({ success: false, error: `Status must be one of: ${LEAD_STATUSES.join(', ')}` });
+      }
+      if (query.intent && !INTENT_CATEGORIES.includes(query.intent)) {
+        return res.status(400).json({ success: false, error: `Intent must be one of: ${INTENT_CATEGORIES.join(', ')}` });
+      }
+
+      let page;
+      try {
+        page = await listVisitors(db, userId, {
+          status: query.status || null,
+          tag: query.tag || null,
+          intentCategory: query.intent || null,
+          language: query.language || null,
+          q: query.q || null,
+          limit: query.limit,
+          cursor: query.cursor || null
+        });
+      } catch (listError) {
+        if (listError.message === 'Invalid cursor') {
+          return res.status(400).json({ success: false, error: listError.message });
+        }
+        throw listError;
+      }
+      return res.status(200).json({ success: true, ...page });
+    }
+
+    // PUT - status, tags, profile
+    if (req.method === 'PUT') {
+      const { visitorId, status, tags, profile } = body;
+      if (!visitorId) {
+        return res.status(400).json({ success: false, error: 'visitorId is required' });
+      }
+
+      const result = await updateVisitor(db, userId, visitorId, { status, tags, profile });
+      if (!result.success) {
+        return res.status(result.error === 'Visitor not found' ? 404 : 400).json(result);
+      }
+      return res.status(200).json(result);
+    }
+
+    // DELETE - one note
+    if (req.method === 'DELETE') {
+      const visitorId = query.id || body.visitorId;
+      const noteId = query.noteId || body.noteId;
+      if (!visitorId || !noteId) {
+        return res.status(400).json({ success: false, error: 'Visitor id and noteId are required' });
+      }
+
+      const deleted = await deleteVisitorNote(db, userId, visitorId, noteId);
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: 'Note not found' });
+      }
+      return res.status(200).json({ success: true, visitorId, noteId });
+    }
+
+    // POST - note, merge, extract
+    if (req.method === 'POST') {
+      const { action } = body;
+
+      if (action === 'note') {
+        const result = await addVisitorNote(db, userId, body.visitorId, body.text);
+        if (!result.success) {
+          return res.status(result.error === 'Visitor not found' ? 404 : 400).json(result);
+        }
+        return res.status(200).json(result);
+      }
+
+      if (action === 'merge') {
+        const result = await mergeVisitors(db, userId, body.primaryId, body.visitorIds);
+        if (!result.success) {
+          return res.status(result.error.startsWith('Visitor not found') ? 404 : 400).json(result);
+        }
+        return res.status(200).json(result);
+      }
+
+      if (action === 'extract') {
+        if (!body.visitorId) {
+          return res.status(400).json({ success: false, error: 'visitorId is required' });
+        }
+        const profile = await extractVisitorProfile(db, userId, body.visitorId);
+        if (!profile) {
+          return res.status(404).json({ success: false, error: 'Visitor not found or has no messages' });
+        }
+        return res.status(200).json({ success: true, profile });
+      }
+
+      return res.status(400).json({ success: false, error: `Unknown action: ${action}` });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('[Visitors API] Error:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+};
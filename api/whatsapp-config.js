@@ -1,5 +1,6 @@
 // WhatsApp Configuration Endpoint
 const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { requireAuth } = require('./_auth');
 
 initializeFirebaseAdmin();
 const db = admin.firestore();
@@ -12,15 +13,11 @@ module.exports = async (req, res) => {
   if (req.method === 'OPTIONS') return res.status(200).end();
   
   // Auth check
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
+  const auth = await requireAuth(req, res);
+  if (!auth) return;
+  const userId = auth.userId;
   
   try {
-    const idToken = authHeader.replace('Bearer ', '');
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    const userId = decodedToken.uid;
     
     const configRef = db.collection('users').doc(userId)
       .collection('settings').doc('whatsapp');
@@ -30,7 +27,7 @@ module.exports = async (req, res) => {
       const config = doc.exists ? doc.data() : {
         enabled: false,
         phoneNumber: null,
-        triggers: { news: true, visitors: true, tasks: true },
+        triggers: { news: true, visitors: true, tasks: true, review: true, checkins: true, reminders: true, matching: true },
         quietHours: { start: 22, end: 8 },
         dailyLimit: 20
       };
@@ -73,9 +70,6 @@ module.exports = async (req, res) => {
     
   } catch (error) {
     console.error('[WhatsApp Config] Error:', error);
-    if (error.code === 'auth/id-token-expired') {
-      return res.status(401).json({ error: 'Token expired' });
-    }
     return res.status(500).json({ error: error.message });
   }
 };
@@ -1,6 +1,8 @@
 // WhatsApp Webhook - Receives incoming WhatsApp messages via Twilio and responds via Samantha
 const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
 const { sendWhatsApp, getWhatsAppConfig } = require('./_whatsapp');
+const { createServiceToken } = require('./_auth');
+const { handleReminderReply } = require('./_reminders');
 
 initializeFirebaseAdmin();
 const db = admin.firestore();
@@ -116,6 +118,30 @@ module.exports = async (req, res) => {
 
     console.log(`[WhatsApp Webhook] Matched user: ${userId}`);
 
+    // DONE / SNOOZE replies to a reminder are handled here, not by chat
+    const reminderReply = await handleReminderReply(db, userId, messageBody).catch(err => {
+      console.error(`[WhatsApp Webhook] Reminder reply failed (falling back to chat): ${err.message}`);
+      return null;
+    });
+    if (reminderReply) {
+      const messagesRef = db.collection('users').doc(userId).collection('whatsappMessages');
+      await messagesRef.add({
+        role: 'user',
+        content: messageBody,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        twilioSid: messageSid,
+        fromNumber: fromNumber
+      });
+      await messagesRef.add({
+        role: 'assistant',
+        content: reminderReply,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      });
+      await sendWhatsApp(fromNumber, reminderReply);
+      res.setHeader('Content-Type', 'text/xml');
+      return res.status(200).send('<Response></Response>');
+    }
+
     // Load recent conversation history from WhatsApp messages
     const conversationHistory = [];
     try {
@@ -208,7 +234,10 @@ async function callChatAPI(userId, messages) {
 
     const response = await fetch(chatApiUrl, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${createServiceToken(userId, { issuer: 'whatsapp-webhook' })}`
+      },
       signal: controller.signal,
       body: JSON.stringify(requestBody)
     });
@@ -1,5 +1,7 @@
 // Whisper API - Owner sends hidden instructions to Mindclone for team conversations
 const { initializeFirebaseAdmin, admin } = require('./_firebase-admin');
+const { requireAuth } = require('./_auth');
+const { LIMITS, consume, sendRateLimited } = require('./_rate-limit');
 
 // Initialize Firebase Admin SDK
 initializeFirebaseAdmin();
@@ -17,23 +19,11 @@ module.exports = async (req, res) => {
 
   try {
     // Verify Firebase ID token - must be the owner
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Missing or invalid authorization header' });
-    }
-
-    const idToken = authHeader.split('Bearer ')[1];
-    let decodedToken;
-
-    try {
-      decodedToken = await admin.auth().verifyIdToken(idToken);
-    } catch (authError) {
-      console.error('[Whisper] Token verification failed:', authError);
-      return res.status(401).json({ error: 'Invalid token' });
-    }
+    const auth = await requireAuth(req, res);
+    if (!auth) return;
 
-    const ownerId = decodedToken.uid;
-    const ownerEmail = decodedToken.email;
+    const ownerId = auth.userId;
+    const ownerEmail = auth.email;
 
     // POST - Send a whisper to a visitor conversation
     if (req.method === 'POST') {
@@ -43,6 +33,11 @@ module.exports = async (req, res) => {
         return res.status(400).json({ error: 'visitorId and instruction are required' });
       }
 
+      const rateLimit = await consume([{ key: `whisper_user_${ownerId}`, ...LIMITS.whisperUser }]);
+      if (!rateLimit.allowed) {
+        return sendRateLimited(res, rateLimit, 'Too many whispers. Please wait a moment.');
+      }
+
       // Verify this visitor belongs to this owner
       const visitorRef = db.collection('users').doc(ownerId)
         .collection('visitors').doc(visitorId);
@@ -0,0 +1,70 @@
+// Shared setup for the emulator test scripts (scripts/test-*.js)
+// Each test starts from an empty database, so nothing here runs without FIRESTORE_EMULATOR_HOST.
+// LLM and embedding calls go to the offline stubs, so the scripts never leave the machine.
+
+const print = (line = '') => process.stdout.write(line + '\n');
+
+/**
+ * Exit unless the Firestore emulator is configured. Call before requiring any API module, since
+ * they read the provider settings when loaded.
+ * @param {Object} [options] - { verbose=false } keeps the API modules' own logs
+ */
+function requireEmulator({ verbose = process.argv.includes('--verbose') } = {}) {
+  if (!process.env.FIRESTORE_EMULATOR_HOST) {
+    console.error('FIRESTORE_EMULATOR_HOST is not set. These tests wipe the database they run against, so they only run on the emulator.');
+    process.exit(1);
+  }
+  process.env.LLM_PROVIDERS = 'local';
+  process.env.EMBEDDING_PROVIDER = 'local';
+  if (!verbose) {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+  }
+}
+
+async function wipeEmulator() {
+  const projectId = process.env.GCLOUD_PROJECT || 'demo-mindclone';
+  const url = `http://${process.env.FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/${projectId}/databases/(default)/documents`;
+  const response = await fetch(url, { method: 'DELETE' });
+  if (!response.ok) {
+    throw new Error(`Emulator wipe failed: ${response.status} ${await response.text()}`);
+  }
+}
+
+/**
+ * Run named async tests in order, each on a freshly wiped database
+ * @param {string} title - Printed above the results
+ * @param {Array<[string, Function]>} tests - [name, async fn] pairs; a test fails by throwing
+ */
+async function runTests(title, tests) {
+  print(`=== ${title} ===`);
+  let failed = 0;
+  for (const [name, fn] of tests) {
+    try {
+      await wipeEmulator();
+      await fn();
+      print(`  ok    ${name}`);
+    } catch (error) {
+      failed++;
+      print(`  FAIL  ${name}\n        ${error.message.split('\n').join('\n        ')}`);
+    }
+  }
+  print(`\n${tests.length - failed} passed, ${failed} failed`);
+  return failed;
+}
+
+/**
+ * Exit with the test result once the tests have run
+ * @param {Promise<number>} run - From runTests
+ */
+function exitWith(run) {
+  run
+    .then(failed => process.exit(failed > 0 ? 1 : 0))
+    .catch(error => {
+      process.stderr.write(`[Tests] Error: ${error.stack || error.message}\n`);
+      process.exit(1);
+    });
+}
+
+module.exports = { print, requireEmulator, wipeEmulator, runTests, exitWith };
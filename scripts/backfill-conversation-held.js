@@ -0,0 +1,61 @@
+// Conversation "held" Migration Script
+// Run this ONCE after deploying the held flag on matchingConversations
+// The matching heartbeat only picks up conversations with held == false, so open
+// conversations created before the flag existed need it set (true if either side paused).
+
+const { initializeFirebaseAdmin, admin } = require('../api/_firebase-admin');
+
+async function backfillConversationHeld() {
+  console.log('Initializing Firebase Admin...');
+  initializeFirebaseAdmin();
+  const db = admin.firestore();
+
+  console.log('Fetching open conversations...');
+  const snapshot = await db.collection('matchingConversations')
+    .where('completedAt', '==', null)
+    .get();
+
+  if (snapshot.empty) {
+    console.log('No open conversations found.');
+    return;
+  }
+
+  console.log(`Found ${snapshot.size} open conversations.`);
+
+  // Process in batches of 500 (Firestore limit)
+  const batchSize = 500;
+  let updated = 0;
+  let currentBatch = db.batch();
+  let batchCount = 0;
+
+  for (const doc of snapshot.docs) {
+    const data = doc.data();
+
+    // Skip if already set
+    if (typeof data.held === 'boolean') continue;
+
+    const paused = Object.values(data.pausedBy || {}).some(value => value === true);
+    currentBatch.update(doc.ref, { held: paused || data.frozen === true });
+    batchCount++;
+    updated++;
+
+    if (batchCount >= batchSize) {
+      await currentBatch.commit();
+      currentBatch = db.batch();
+      batchCount = 0;
+    }
+  }
+
+  if (batchCount > 0) {
+    await currentBatch.commit();
+  }
+
+  console.log(`Done! Set held on ${updated} conversations.`);
+}
+
+backfillConversationHeld()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
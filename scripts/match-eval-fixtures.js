@@ -0,0 +1,370 @@
+// Synthetic matching profiles for scripts/match-eval.js
+// Each entry is seeded as matchingProfiles/{id}; `knowledge` becomes the link knowledge base purpose and
+// `mentalGoals` the mental model's active goals, so v2 has something to embed beyond the profile.
+// SHOULD_MATCH lists, per match type, the pairs a human curator would introduce. Every other pair of
+// profiles sharing that goal is a labeled negative.
+
+const PROFILES = {
+  // ----- dating -----
+  eval_asha: {
+    displayName: 'Asha Rao',
+    mindcloneName: 'Asha-clone',
+    bio: 'Pediatric nurse in Pune who spends weekends trekking the Sahyadris and volunteering at an animal shelter. Reads Murakami on night shifts.',
+    linkGoal: 'networking',
+    goals: { dating: true },
+    matchingPreferences: { interests: ['trekking', 'animals', 'books'], industries: ['healthcare'] },
+    profiles: {
+      dating: {
+        lookingFor: 'Someone outdoorsy and kind who wants a slow, steady relationship',
+        interests: 'trekking, shelter dogs, Japanese fiction',
+        values: 'kindness, honesty, family',
+        about: 'Early riser, terrible cook, great listener',
+        ageMin: 27,
+        ageMax: 36
+      }
+    },
+    mentalGoals: ['Find a partner to share treks and quiet evenings with']
+  },
+  eval_kabir: {
+    displayName: 'Kabir Sethi',
+    mindcloneName: 'Kabir-clone',
+    bio: 'Wildlife photographer based in Pune. Happiest on a mountain trail at dawn with a camera, a thermos and a rescued dog named Biscuit.',
+    linkGoal: 'networking',
+    goals: { dating: true },
+    matchingPreferences: { interests: ['trekking', 'photography', 'animals'], industries: ['media'] },
+    profiles: {
+      dating: {
+        lookingFor: 'A warm, adventurous partner who loves the outdoors and animals',
+        interests: 'trekking, wildlife photography, dogs',
+        values: 'kindness, curiosity, loyalty',
+        about: 'Quiet until you mention birds'
+      }
+    },
+    mentalGoals: ['Build a relationship with someone who loves the mountains']
+  },
+  eval_meera: {
+    displayName: 'Meera Iyer',
+    mindcloneName: 'Meera-clone',
+    bio: 'Corporate lawyer in Mumbai. Loves fine dining, opera and weekend trips to Paris. Works long hours and wants someone equally ambitious.',
+    linkGoal: 'networking',
+    goals: { dating: true },
+    matchingPreferences: { interests: ['fine dining', 'opera', 'travel'], industries: ['legal'] },
+    profiles: {
+      dating: {
+        lookingFor: 'An ambitious professional who enjoys city life, culture and travel',
+        interests: 'opera, wine, European travel',
+        values: 'ambition, sophistication, independence'
+      }
+    }
+  },
+  eval_rohan: {
+    displayName: 'Rohan Kapoor',
+    mindcloneName: 'Rohan-clone',
+    bio: 'Investment banker in Mumbai who unwinds at jazz bars and plans his year around the Salzburg festival. Sommelier course dropout.',
+    linkGoal: 'networking',
+    goals: { dating: true, networking: true },
+    matchingPreferences: { interests: ['opera', 'wine', 'travel', 'finance'], industries: ['finance'] },
+    profiles: {
+      dating: {
+        lookingFor: 'A driven partner who enjoys culture, food and travelling in Europe',
+        interests: 'jazz, opera, wine tasting',
+        values: 'ambition, style, independence'
+      },
+      networking: {
+        expertise: 'M&A, debt financing, fintech deals',
+        lookingFor: 'Fintech founders and operators',
+        interests: 'fintech, capital markets',
+        offer: 'Introductions to lenders and late-stage investors'
+      }
+    }
+  },
+  eval_tara: {
+    displayName: 'Tara Menon',
+    mindcloneName: 'Tara-clone',
+    bio: 'Competitive gamer and esports caster. Nocturnal, city-bound, and allergic to dogs.',
+    linkGoal: 'build_audience',
+    goals: { dating: true },
+    matchingPreferences: { interests: ['gaming', 'esports', 'streaming'], industries: ['media'] },
+    profiles: {
+      dating: {
+        lookingFor: 'A fellow gamer who stays up late',
+        interests: 'esports, streaming, anime',
+        values: 'humor, loyalty'
+      }
+    }
+  },
+
+  // ----- investing -----
+  eval_nikhil: {
+    displayName: 'Nikhil Shah',
+    mindcloneName: 'Nikhil-clone',
+    bio: 'Founder of LedgerLoop, a B2B payments reconciliation API for Indian SMEs. Ex-Razorpay engineer. 120 paying customers and 18% month-on-month growth.',
+    linkGoal: 'raise_funds',
+    goals: { investing: true, networking: true },
+    hasKnowledgeBase: true,
+    matchingPreferences: { interests: ['payments', 'SaaS', 'SMEs'], industries: ['fintech'] },
+    profiles: {
+      investing: {
+        companyName: 'LedgerLoop',
+        industry: 'fintech',
+        stage: 'seed',
+        fundingAmount: '$1.5M',
+        description: 'Payments reconciliation API for SMEs',
+        traction: '120 paying customers, 18% MoM revenue growth'
+      },
+      networking: {
+        expertise: 'payments infrastructure, API design',
+        lookingFor: 'Fintech investors and CFOs of mid-size companies',
+        interests: 'fintech, developer tools',
+        offer: 'Deep knowledge of UPI and card rails'
+      }
+    },
+    knowledge: 'LedgerLoop helps SME finance teams reconcile bank, UPI and card payments automatically. We are raising a seed round from fintech investors.',
+    mentalGoals: ['Close a $1.5M seed round from a fintech-focused fund', 'Hire two backend engineers']
+  },
+  eval_priya: {
+    displayName: 'Priya Desai',
+    mindcloneName: 'Priya-clone',
+    bio: 'Partner at Arka Ventures, a seed fund backing fintech and B2B SaaS in India. Former CFO. Writes cheques of $500K to $2M.',
+    linkGoal: 'find_clients',
+    goals: { investing: true, networking: true },
+    hasKnowledgeBase: true,
+    matchingPreferences: { interests: ['payments', 'SaaS', 'SMEs'], industries: ['fintech', 'SaaS'] },
+    profiles: {
+      investing: {
+        companyName: 'Arka Ventures',
+        industry: 'fintech',
+        stage: 'seed',
+        description: 'Seed fund investing in fintech and B2B SaaS for SMEs'
+      },
+      networking: {
+        expertise: 'fintech investing, finance operations',
+        lookingFor: 'Seed-stage fintech and SaaS founders',
+        interests: 'payments, lending, SME software',
+        offer: 'Seed capital and CFO-level guidance'
+      }
+    },
+    knowledge: 'Arka Ventures invests $500K-$2M at seed in fintech and B2B SaaS companies serving Indian SMEs.',
+    mentalGoals: ['Find three seed-stage fintech companies to back this year']
+  },
+  eval_arjun: {
+    displayName: 'Arjun Pillai',
+    mindcloneName: 'Arjun-clone',
+    bio: 'Founder of SoilSense, soil-moisture sensors and an advisory app for smallholder farmers in Karnataka. Pilots with 400 farms.',
+    linkGoal: 'raise_funds',
+    goals: { investing: true },
+    hasKnowledgeBase: true,
+    matchingPreferences: { interests: ['agriculture', 'IoT', 'climate'], industries: ['agritech', 'climate'] },
+    profiles: {
+      investing: {
+        companyName: 'SoilSense',
+        industry: 'agritech',
+        stage: 'pre-seed',
+        fundingAmount: '$600K',
+        description: 'IoT soil sensors and advisory for smallholder farmers',
+        traction: '400 farms in pilot, 2 FPO contracts'
+      }
+    },
+    knowledge: 'SoilSense reduces irrigation water use by 30% for smallholder farmers with low-cost sensors and a Kannada advisory app.',
+    mentalGoals: ['Raise a pre-seed round from a climate or agritech investor']
+  },
+  eval_leela: {
+    displayName: 'Leela Krishnan',
+    mindcloneName: 'Leela-clone',
+    bio: 'Angel investor and former agronomist backing climate and agritech startups that work with smallholder farmers.',
+    linkGoal: 'find_clients',
+    goals: { investing: true },
+    hasKnowledgeBase: true,
+    matchingPreferences: { interests: ['agriculture', 'climate', 'water'], industries: ['agritech', 'climate'] },
+    profiles: {
+      investing: {
+        companyName: 'Krishnan Family Office',
+        industry: 'agritech',
+        stage: 'pre-seed',
+        description: 'Angel cheques for climate and agritech founders'
+      }
+    },
+    knowledge: 'I write $50K-$200K angel cheques into agritech and climate companies improving farmer incomes and water use.',
+    mentalGoals: ['Back two agritech founders working with smallholder farmers']
+  },
+  eval_vikram: {
+    displayName: 'Vikram Bose',
+    mindcloneName: 'Vikram-clone',
+    bio: 'Founder of a D2C streetwear brand. Growing on Instagram, looking for consumer investors.',
+    linkGoal: 'raise_funds',
+    goals: { investing: true },
+    matchingPreferences: { interests: ['fashion', 'consumer', 'instagram'], industries: ['consumer'] },
+    profiles: {
+      investing: {
+        companyName: 'Drip Theory',
+        industry: 'consumer',
+        stage: 'seed',
+        fundingAmount: '$1M',
+        description: 'D2C streetwear brand',
+        traction: '₹40L monthly GMV'
+      }
+    }
+  },
+
+  // ----- hiring -----
+  eval_sana: {
+    displayName: 'Sana Qureshi',
+    mindcloneName: 'Sana-clone',
+    bio: 'Senior backend engineer with 7 years of Go and Postgres, most recently building payment ledgers at a fintech. Wants a remote role at an early-stage startup.',
+    linkGoal: 'get_hired',
+    goals: { hiring: true },
+    matchingPreferences: { interests: ['payments', 'distributed systems'], industries: ['fintech'] },
+    profiles: {
+      hiring: {
+        role: 'seeking',
+        jobTitle: 'Senior Backend Engineer',
+        skills: 'Go, Postgres, Kafka, payment ledgers',
+        experience: '7 years',
+        workPref: 'remote',
+        about: 'I like owning systems end to end'
+      }
+    },
+    mentalGoals: ['Join an early-stage fintech as a senior backend engineer']
+  },
+  eval_dev: {
+    displayName: 'Dev Malhotra',
+    mindcloneName: 'Dev-clone',
+    bio: 'CTO of a seed-stage fintech building payment reconciliation infrastructure. Hiring senior backend engineers who know Go and Postgres. Fully remote team.',
+    linkGoal: 'networking',
+    goals: { hiring: true },
+    matchingPreferences: { interests: ['payments', 'distributed systems'], industries: ['fintech'] },
+    profiles: {
+      hiring: {
+        role: 'hiring',
+        jobTitle: 'Senior Backend Engineer',
+        skills: 'Go, Postgres, event sourcing',
+        workPref: 'remote',
+        about: 'Small, senior, remote-first team'
+      }
+    },
+    mentalGoals: ['Hire two senior backend engineers for the ledger team']
+  },
+  eval_ishita: {
+    displayName: 'Ishita Banerjee',
+    mindcloneName: 'Ishita-clone',
+    bio: 'Product designer with 5 years in consumer mobile apps. Figma, user research, design systems. Looking for an in-office role in Bengaluru.',
+    linkGoal: 'get_hired',
+    goals: { hiring: true },
+    matchingPreferences: { interests: ['design', 'mobile', 'consumer'], industries: ['consumer'] },
+    profiles: {
+      hiring: {
+        role: 'seeking',
+        jobTitle: 'Product Designer',
+        skills: 'Figma, user research, design systems',
+        experience: '5 years',
+        workPref: 'onsite'
+      }
+    }
+  },
+  eval_farhan: {
+    displayName: 'Farhan Ali',
+    mindcloneName: 'Farhan-clone',
+    bio: 'Head of product at a Bengaluru consumer app with 2M users. Hiring a product designer to own our design system. In-office three days a week.',
+    linkGoal: 'networking',
+    goals: { hiring: true },
+    matchingPreferences: { interests: ['design', 'mobile', 'consumer'], industries: ['consumer'] },
+    profiles: {
+      hiring: {
+        role: 'hiring',
+        jobTitle: 'Product Designer',
+        skills: 'Figma, design systems, prototyping',
+        workPref: 'hybrid'
+      }
+    }
+  },
+  eval_neha: {
+    displayName: 'Neha Gupta',
+    mindcloneName: 'Neha-clone',
+    bio: 'Recruiter for a logistics company hiring warehouse supervisors in Nagpur.',
+    linkGoal: 'networking',
+    goals: { hiring: true },
+    matchingPreferences: { interests: ['logistics', 'operations'], industries: ['logistics'] },
+    profiles: {
+      hiring: {
+        role: 'hiring',
+        jobTitle: 'Warehouse Supervisor',
+        skills: 'inventory, team management',
+        workPref: 'onsite'
+      }
+    }
+  },
+
+  // ----- networking -----
+  eval_ananya: {
+    displayName: 'Ananya Joshi',
+    mindcloneName: 'Ananya-clone',
+    bio: 'Climate researcher at IISc modelling monsoon variability. Looking to work with startups that turn climate data into tools for farmers.',
+    linkGoal: 'networking',
+    goals: { networking: true },
+    matchingPreferences: { interests: ['climate', 'agriculture', 'data science'], industries: ['climate', 'research'] },
+    profiles: {
+      networking: {
+        expertise: 'monsoon modelling, climate data',
+        lookingFor: 'Agritech and climate founders who need forecasting',
+        interests: 'climate adaptation, agriculture',
+        offer: 'Regional rainfall forecasts and research partnerships'
+      }
+    },
+    mentalGoals: ['Get monsoon forecasts into the hands of farmers']
+  },
+  eval_omar: {
+    displayName: 'Omar Siddiqui',
+    mindcloneName: 'Omar-clone',
+    bio: 'Runs a farmer producer organisation network in Maharashtra and builds advisory tools for smallholders. Needs better rainfall forecasts.',
+    linkGoal: 'find_clients',
+    goals: { networking: true },
+    matchingPreferences: { interests: ['agriculture', 'climate', 'rural'], industries: ['agritech'] },
+    profiles: {
+      networking: {
+        expertise: 'farmer producer organisations, rural distribution',
+        lookingFor: 'Climate scientists and data partners',
+        interests: 'agriculture, climate adaptation',
+        offer: 'Access to 20,000 farmers for pilots'
+      }
+    },
+    mentalGoals: ['Partner with a climate research lab on forecasts']
+  },
+  eval_zoya: {
+    displayName: 'Zoya Khan',
+    mindcloneName: 'Zoya-clone',
+    bio: 'Indie game developer and pixel artist. Wants to meet other indie devs and publishers.',
+    linkGoal: 'build_audience',
+    goals: { networking: true },
+    matchingPreferences: { interests: ['gaming', 'pixel art'], industries: ['gaming'] },
+    profiles: {
+      networking: {
+        expertise: 'pixel art, Godot',
+        lookingFor: 'Indie game publishers',
+        interests: 'indie games',
+        offer: 'Art direction for small teams'
+      }
+    }
+  }
+};
+
+const SHOULD_MATCH = {
+  dating: [
+    ['eval_asha', 'eval_kabir'],
+    ['eval_meera', 'eval_rohan']
+  ],
+  investing: [
+    ['eval_nikhil', 'eval_priya'],
+    ['eval_arjun', 'eval_leela']
+  ],
+  hiring: [
+    ['eval_sana', 'eval_dev'],
+    ['eval_ishita', 'eval_farhan']
+  ],
+  networking: [
+    ['eval_nikhil', 'eval_priya'],
+    ['eval_nikhil', 'eval_rohan'],
+    ['eval_ananya', 'eval_omar']
+  ]
+};
+
+module.exports = { PROFILES, SHOULD_MATCH };
@@ -0,0 +1,453 @@
+// Offline match-quality evaluation
+// Seeds the synthetic profiles from match-eval-fixtures.js into the Firestore emulator and replays the
+// matching pipeline on them:
+//   1. every same-goal pair scored by v1 (calculateCompatibilityScore) and v2 (_matching-scorer.js)
+//   2. findMatchCandidates for every profile, at the live MATCH_THRESHOLD
+//   3. a full M2M conversation and mindclone approval for every candidate pair
+// and reports precision/recall against the labeled "should match" pairs after stages 2 and 3, a
+// threshold sweep, and score distributions per match type.
+//
+// Usage:
+//   firebase emulators:start --only firestore
+//   FIRESTORE_EMULATOR_HOST=localhost:8080 node scripts/match-eval.js [options]
+//
+// Options:
+//   --scorer v1|v2        Scorer that decides candidates (default: MATCHING_SCORER or v1)
+//   --weights a=0.3,...   Also report v1 re-weighted with these SCORE_WEIGHTS (unlisted factors keep theirs)
+//   --llm                 Use the configured LLM_PROVIDERS and embeddings instead of the offline stubs
+//   --no-conversations    Stop after candidate selection
+//   --verbose             Keep the pipeline's own logs
+//   --out <file>          Also write the full report as JSON
+//
+// The emulator database is wiped before seeding, so this never runs without FIRESTORE_EMULATOR_HOST.
+
+const fs = require('fs');
+
+// ===================== OPTIONS =====================
+
+function parseArgs(argv) {
+  const options = { scorer: null, weights: null, llm: false, conversations: true, verbose: false, out: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--scorer') options.scorer = argv[++i];
+    else if (arg === '--weights') options.weights = parseWeights(argv[++i]);
+    else if (arg === '--llm') options.llm = true;
+    else if (arg === '--no-conversations') options.conversations = false;
+    else if (arg === '--verbose') options.verbose = true;
+    else if (arg === '--out') options.out = argv[++i];
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  if (options.scorer && !['v1', 'v2'].includes(options.scorer)) {
+    throw new Error(`--scorer must be v1 or v2, got ${options.scorer}`);
+  }
+  return options;
+}
+
+function parseWeights(spec = '') {
+  const weights = {};
+  for (const part of spec.split(',').filter(Boolean)) {
+    const [name, value] = part.split('=');
+    const weight = parseFloat(value);
+    if (!name || isNaN(weight)) throw new Error(`Bad weight "${part}" (expected name=number)`);
+    weights[name.trim()] = weight;
+  }
+  return weights;
+}
+
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+if (!process.env.FIRESTORE_EMULATOR_HOST) {
+  console.error('FIRESTORE_EMULATOR_HOST is not set. This script wipes the database it runs against, so it only runs on the emulator.');
+  process.exit(1);
+}
+
+// Must be set before the API modules read them
+if (!options.llm) {
+  process.env.LLM_PROVIDERS = 'local';
+  process.env.EMBEDDING_PROVIDER = 'local';
+}
+if (options.scorer) process.env.MATCHING_SCORER = options.scorer;
+
+const print = (line = '') => process.stdout.write(line + '\n');
+if (!options.verbose) {
+  console.log = () => {};
+  console.warn = () => {};
+}
+
+const { initializeFirebaseAdmin, admin } = require('../api/_firebase-admin');
+const {
+  MATCH_TYPES,
+  SCORE_WEIGHTS,
+  MATCH_THRESHOLD,
+  CONVERSATION_CONFIG,
+  getActiveProfilesForGoal,
+  createMatch
+} = require('../api/_matching-helpers');
+const { scoreCompatibility, getScorerForUser } = require('../api/_matching-scorer');
+const { setLocalResponder } = require('../api/_llm');
+const { findMatchCandidates, processConversationTurn } = require('../api/cron/matching-heartbeat');
+const { PROFILES, SHOULD_MATCH } = require('./match-eval-fixtures');
+
+initializeFirebaseAdmin();
+const db = admin.firestore();
+
+// ===================== STUB LLM =====================
+// Deterministic stand-in for the mindclones. Turns restate the speaker's bio against the round's
+// suggested topic; the approval decision is word overlap between the two fixtures' full profiles, so
+// stage 3 measures the pipeline and not a model. Use --llm to evaluate the real prompts.
+
+const STUB_APPROVE_OVERLAP = 0.2;
+const STOPWORDS = new Set(['with', 'that', 'this', 'from', 'have', 'their', 'they', 'based', 'wants', 'looking', 'about', 'most', 'other']);
+const fixturesByName = new Map(Object.values(PROFILES).map(fixture => [fixture.displayName, fixture]));
+
+function contentWords(text = '') {
+  return new Set(text.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/)
+    .filter(word => word.length > 3 && !STOPWORDS.has(word)));
+}
+
+function fixtureText(value) {
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return value.map(fixtureText).join(' ');
+  if (value && typeof value === 'object') return Object.values(value).map(fixtureText).join(' ');
+  return '';
+}
+
+function profileOverlap(nameA, nameB) {
+  const [a, b] = [nameA, nameB].map(name => {
+    const { displayName, mindcloneName, linkGoal, goals, ...rest } = fixturesByName.get(name) || {};
+    return contentWords(fixtureText(rest));
+  });
+  if (a.size === 0 || b.size === 0) return 0;
+  const shared = [...a].filter(word => b.has(word)).length;
+  return shared / Math.min(a.size, b.size);
+}
+
+function stubResponder(body) {
+  const prompt = body.messages.map(m => (typeof m.content === 'string' ? m.content : '')).join('\n');
+
+  if (prompt.includes('Respond in this exact JSON format')) {
+    const [mine = '', theirs = ''] = [...prompt.matchAll(/^- Name: (.*)$/gm)].map(m => m[1]);
+    const overlap = profileOverlap(mine, theirs);
+    return JSON.stringify({
+      approve: overlap >= STUB_APPROVE_OVERLAP,
+      confidence: Math.round(overlap * 100) / 100,
+      reason: `Profile overlap ${overlap.toFixed(2)}`
+    });
+  }
+
+  if (prompt.startsWith('Analyze this')) {
+    return '- Overlapping interests\n- Compatible goals\n- Worth a conversation';
+  }
+
+  const bio = prompt.match(/^Bio: (.*)$/m)?.[1] || '';
+  const topic = prompt.match(/^(?:Suggested topic|Focus on exploring): (.*)$/m)?.[1];
+  const firstSentence = bio.split(/(?<=\.)\s/)[0];
+  return topic ? `${topic} For me: ${firstSentence}` : firstSentence;
+}
+
+// ===================== SEEDING =====================
+
+async function clearEmulator() {
+  const projectId = process.env.GCLOUD_PROJECT || 'demo-mindclone';
+  const url = `http://${process.env.FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/${projectId}/databases/(default)/documents`;
+  const response = await fetch(url, { method: 'DELETE' });
+  if (!response.ok) {
+    throw new Error(`Could not clear the emulator database (${response.status})`);
+  }
+}
+
+async function seedProfiles() {
+  const batch = db.batch();
+  const now = admin.firestore.FieldValue.serverTimestamp();
+
+  for (const [userId, fixture] of Object.entries(PROFILES)) {
+    const { knowledge, mentalGoals, ...profile } = fixture;
+    const userRef = db.collection('users').doc(userId);
+
+    batch.set(userRef, { displayName: profile.displayName, email: `${userId}@example.test` });
+    batch.set(db.collection('matchingProfiles').doc(userId), {
+      ...profile,
+      userId,
+      isActive: true,
+      createdAt: now,
+      updatedAt: now
+    });
+    if (knowledge) {
+      batch.set(userRef.collection('linkKnowledgeBase').doc('config'), { cof: { purpose: knowledge } });
+    }
+    if (mentalGoals) {
+      batch.set(userRef.collection('mentalModel').doc('current'), {
+        goals: mentalGoals.map(content => ({ content, status: 'active', confidence: 0.8 }))
+      });
+    }
+  }
+
+  await batch.commit();
+}
+
+// ===================== METRICS =====================
+
+const pairKey = (a, b) => [a, b].sort().join('|');
+
+function metrics(tp, fp, fn) {
+  const precision = tp + fp > 0 ? tp / (tp + fp) : null;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : null;
+  const f1 = precision && recall ? (2 * precision * recall) / (precision + recall) : 0;
+  return { tp, fp, fn, precision, recall, f1 };
+}
+
+function confusion(pairs, predicted) {
+  let tp = 0, fp = 0, fn = 0;
+  for (const pair of pairs) {
+    const hit = predicted.has(pair.key);
+    if (hit && pair.shouldMatch) tp++;
+    else if (hit) fp++;
+    else if (pair.shouldMatch) fn++;
+  }
+  return metrics(tp, fp, fn);
+}
+
+function distribution(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    n: sorted.length,
+    min: sorted[0],
+    median: sorted[Math.floor((sorted.length - 1) / 2)],
+    mean: Math.round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+function histogram(pairs, scoreOf) {
+  const buckets = Array.from({ length: 10 }, (_, i) => ({ from: i * 10, positives: 0, negatives: 0 }));
+  for (const pair of pairs) {
+    const score = scoreOf(pair);
+    if (score == null) continue;
+    const bucket = buckets[Math.min(9, Math.floor(score / 10))];
+    pair.shouldMatch ? bucket.positives++ : bucket.negatives++;
+  }
+  return buckets;
+}
+
+function thresholdSweep(pairs, scoreOf) {
+  const rows = [];
+  for (let threshold = 30; threshold <= 90; threshold += 5) {
+    const predicted = new Set(pairs.filter(p => scoreOf(p) != null && scoreOf(p) >= threshold).map(p => p.key));
+    rows.push({ threshold, ...confusion(pairs, predicted) });
+  }
+  return rows;
+}
+
+function reweight(breakdown, weights) {
+  return Math.round(Object.entries(SCORE_WEIGHTS)
+    .reduce((sum, [factor, weight]) => sum + (breakdown[factor] || 0) * (weights[factor] ?? weight), 0));
+}
+
+const pct = value => (value == null ? '  -  ' : `${Math.round(value * 100)}%`.padStart(5));
+const formatConfusion = c => `P ${pct(c.precision)}  R ${pct(c.recall)}  F1 ${pct(c.f1)}  (tp ${c.tp}, fp ${c.fp}, fn ${c.fn})`;
+const formatDistribution = d => (d ? `min ${d.min} / median ${d.median} / mean ${d.mean} / max ${d.max} (n=${d.n})` : 'none');
+
+// ===================== STAGES =====================
+
+// Stage 1: score every labeled pair with both scorers
+async function scorePairs(matchType, profiles) {
+  const positives = new Set((SHOULD_MATCH[matchType] || []).map(([a, b]) => pairKey(a, b)));
+  const pairs = [];
+
+  for (let i = 0; i < profiles.length; i++) {
+    for (let j = i + 1; j < profiles.length; j++) {
+      const [userA, userB] = [profiles[i], profiles[j]];
+      const score = await scoreCompatibility(db, userA, userB, matchType);
+      pairs.push({
+        key: pairKey(userA.id, userB.id),
+        userA: userA.id,
+        userB: userB.id,
+        shouldMatch: positives.has(pairKey(userA.id, userB.id)),
+        v1: score.scoring.v1.total,
+        v2: score.scoring.v2?.total ?? null,
+        reweighted: options.weights ? reweight(score.scoring.v1.breakdown, options.weights) : null
+      });
+    }
+  }
+
+  return pairs;
+}
+
+// Stage 2: what the heartbeat would pick
+async function selectCandidates(matchType, profiles) {
+  const selected = new Map();   // pairKey -> { userId, candidate, score }
+  for (const profile of profiles) {
+    const candidates = await findMatchCandidates(profile.id, matchType, profiles.length);
+    for (const { candidate, score } of candidates) {
+      const key = pairKey(profile.id, candidate.id);
+      if (!selected.has(key)) selected.set(key, { userId: profile.id, candidate, score });
+    }
+  }
+  return selected;
+}
+
+// Stage 3: run each selected pair's M2M conversation to the end
+async function runConversations(matchType, selected) {
+  const approved = new Set();
+  const transcripts = [];
+
+  for (const [key, { userId, candidate, score }] of selected) {
+    const match = await createMatch(userId, candidate.id, matchType, score);
+    if (!match.success) {
+      console.error(`[MatchEval] Could not create match ${key}:`, match.error);
+      continue;
+    }
+
+    let result = null;
+    for (let turn = 0; turn < CONVERSATION_CONFIG.maxRounds; turn++) {
+      result = await processConversationTurn(match.conversationId);
+      if (!result.success || result.status !== 'message_added') break;
+    }
+
+    const decisions = result?.autoApproval?.decisions || null;
+    if (result?.autoApproval?.mutualApproval) approved.add(key);
+    transcripts.push({
+      key,
+      status: result?.status || 'failed',
+      error: result?.error || null,
+      mutualApproval: !!result?.autoApproval?.mutualApproval,
+      decisions
+    });
+  }
+
+  return { approved, transcripts };
+}
+
+// ===================== MAIN =====================
+
+async function evaluateMatchType(matchType) {
+  const profiles = await getActiveProfilesForGoal(matchType);
+  const pairs = await scorePairs(matchType, profiles);
+  const scorers = { v1: p => p.v1, v2: p => p.v2 };
+  if (options.weights) scorers.v1Reweighted = p => p.reweighted;
+
+  const result = {
+    profiles: profiles.length,
+    pairs: pairs.length,
+    shouldMatch: pairs.filter(p => p.shouldMatch).length,
+    scores: {},
+    sweep: {},
+    candidates: null,
+    conversations: null
+  };
+
+  for (const [name, scoreOf] of Object.entries(scorers)) {
+    result.scores[name] = {
+      positives: distribution(pairs.filter(p => p.shouldMatch).map(scoreOf).filter(v => v != null)),
+      negatives: distribution(pairs.filter(p => !p.shouldMatch).map(scoreOf).filter(v => v != null)),
+      histogram: histogram(pairs, scoreOf)
+    };
+    result.sweep[name] = thresholdSweep(pairs, scoreOf);
+  }
+
+  const selected = await selectCandidates(matchType, profiles);
+  result.candidates = { ...confusion(pairs, new Set(selected.keys())), pairs: [...selected.keys()] };
+
+  if (options.conversations) {
+    const { approved, transcripts } = await runConversations(matchType, selected);
+    result.conversations = { ...confusion(pairs, approved), transcripts };
+  }
+
+  result.pairScores = pairs;
+  return result;
+}
+
+function printMatchType(matchType, result) {
+  print(`\n=== ${matchType}: ${result.profiles} profiles, ${result.pairs} pairs, ${result.shouldMatch} should match ===`);
+
+  for (const [name, scores] of Object.entries(result.scores)) {
+    print(`\n  ${name} scores (+ = should match, - = should not)`);
+    print(`    should match:     ${formatDistribution(scores.positives)}`);
+    print(`    should not match: ${formatDistribution(scores.negatives)}`);
+    for (const bucket of scores.histogram) {
+      if (bucket.positives + bucket.negatives === 0) continue;
+      const label = `${bucket.from}-${bucket.from === 90 ? 100 : bucket.from + 9}`.padStart(6);
+      print(`    ${label}  ${'+'.repeat(bucket.positives)}${'-'.repeat(bucket.negatives)}`);
+    }
+  }
+
+  print('\n  threshold sweep');
+  const names = Object.keys(result.sweep);
+  print(`    ${'t'.padStart(3)}  ${names.map(n => n.padEnd(24)).join('')}`);
+  result.sweep[names[0]].forEach((row, i) => {
+    const marker = row.threshold === MATCH_THRESHOLD ? '*' : ' ';
+    const cells = names.map(n => {
+      const r = result.sweep[n][i];
+      return `P ${pct(r.precision)} R ${pct(r.recall)}`.padEnd(24);
+    });
+    print(`   ${marker}${String(row.threshold).padStart(3)}  ${cells.join('')}`);
+  });
+
+  print(`\n  candidates (findMatchCandidates @ ${MATCH_THRESHOLD}): ${formatConfusion(result.candidates)}`);
+  if (result.conversations) {
+    print(`  after M2M conversations:             ${formatConfusion(result.conversations)}`);
+    const failed = result.conversations.transcripts.filter(t => t.status !== 'completed');
+    if (failed.length > 0) print(`    ${failed.length} conversation(s) did not complete`);
+  }
+}
+
+async function runEvaluation() {
+  await clearEmulator();
+  await seedProfiles();
+
+  if (!options.llm) setLocalResponder(stubResponder);
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    matchThreshold: MATCH_THRESHOLD,
+    scoreWeights: SCORE_WEIGHTS,
+    reweightedWith: options.weights,
+    scorer: getScorerForUser({}),
+    llm: options.llm ? process.env.LLM_PROVIDERS || 'gemini,claude' : 'stub',
+    types: {}
+  };
+
+  print(`Match evaluation — scorer ${report.scorer}, LLM ${report.llm}, MATCH_THRESHOLD ${MATCH_THRESHOLD}`);
+  print(`SCORE_WEIGHTS ${JSON.stringify(SCORE_WEIGHTS)}`);
+  if (options.weights) print(`Re-weighted v1 with ${JSON.stringify(options.weights)}`);
+
+  const totals = { candidates: [], conversations: [] };
+  for (const matchType of MATCH_TYPES) {
+    const result = await evaluateMatchType(matchType);
+    report.types[matchType] = result;
+    printMatchType(matchType, result);
+    totals.candidates.push(result.candidates);
+    if (result.conversations) totals.conversations.push(result.conversations);
+  }
+
+  const sum = list => metrics(...['tp', 'fp', 'fn'].map(k => list.reduce((total, c) => total + c[k], 0)));
+  report.overall = {
+    candidates: sum(totals.candidates),
+    conversations: totals.conversations.length > 0 ? sum(totals.conversations) : null
+  };
+
+  print('\n=== overall ===');
+  print(`  candidates:              ${formatConfusion(report.overall.candidates)}`);
+  if (report.overall.conversations) {
+    print(`  after M2M conversations: ${formatConfusion(report.overall.conversations)}`);
+  }
+
+  if (options.out) {
+    fs.writeFileSync(options.out, JSON.stringify(report, null, 2));
+    print(`\nFull report written to ${options.out}`);
+  }
+}
+
+runEvaluation()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('[MatchEval] Error:', error);
+    process.exit(1);
+  });
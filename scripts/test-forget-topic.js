@@ -0,0 +1,111 @@
+// "Forget everything about X" (api/_memories.js forgetTopic)
+// The preview only lists entries semantically similar to the topic, and confirming deletes exactly
+// the ids passed back from the preview: nothing that matched only by a shared word, nothing saved
+// after the preview, and nothing belonging to another user.
+//
+// Usage:
+//   firebase emulators:start --only firestore
+//   FIRESTORE_EMULATOR_HOST=localhost:8080 node scripts/test-forget-topic.js [--verbose]
+
+const assert = require('node:assert/strict');
+const { requireEmulator, runTests, exitWith } = require('./_emulator');
+
+requireEmulator();
+
+const { initializeFirebaseAdmin, admin } = require('../api/_firebase-admin');
+const { createMemory, forgetTopic } = require('../api/_memories');
+const { indexMessage } = require('../api/_memory-index');
+
+initializeFirebaseAdmin();
+const db = admin.firestore();
+
+const USER_ID = 'forget-user';
+const TOPIC = 'Priya wedding';
+
+async function seedUser(userId) {
+  await db.collection('users').doc(userId).set({ memoryIndexBackfilledAt: new Date() });
+}
+
+async function memoryExists(userId, memoryId) {
+  return (await db.collection('users').doc(userId).collection('memories').doc(memoryId).get()).exists;
+}
+
+async function seedMemories() {
+  await seedUser(USER_ID);
+  return {
+    wedding: await createMemory(db, USER_ID, { content: "Priya's wedding is in June in Jaipur", category: 'person' }),
+    bridesmaid: await createMemory(db, USER_ID, { content: 'Priya asked me to be a bridesmaid at her wedding', category: 'person' }),
+    // Mentions Priya, but isn't about the wedding
+    planning: await createMemory(db, USER_ID, {
+      content: 'Quarterly planning notes: budget, hiring, roadmap, Priya sync, vendor contracts, office move',
+      category: 'fact'
+    }),
+    unrelated: await createMemory(db, USER_ID, { content: 'Buy oat milk', category: 'reminder' })
+  };
+}
+
+const tests = [
+  ['preview lists similar memories, not keyword-only hits', async () => {
+    const ids = await seedMemories();
+    const preview = await forgetTopic(db, USER_ID, TOPIC);
+    assert.ok(preview.success);
+    assert.deepEqual(preview.memories.map(m => m.id).sort(), [ids.wedding, ids.bridesmaid].sort());
+    assert.equal(await memoryExists(USER_ID, ids.wedding), true, 'preview must not delete');
+  }],
+
+  ['confirm deletes exactly the previewed ids', async () => {
+    const ids = await seedMemories();
+    const preview = await forgetTopic(db, USER_ID, TOPIC);
+    const previewedIds = preview.memories.map(m => m.id);
+
+    // Saved between preview and confirm; it matches the topic but was never shown
+    const later = await createMemory(db, USER_ID, { content: "Priya's wedding venue is booked", category: 'person' });
+
+    const result = await forgetTopic(db, USER_ID, TOPIC, { confirm: true, memoryIds: previewedIds });
+    assert.ok(result.success, result.error);
+    assert.equal(result.memoriesForgotten, previewedIds.length);
+    for (const id of previewedIds) assert.equal(await memoryExists(USER_ID, id), false);
+    assert.equal(await memoryExists(USER_ID, later), true, 'confirm must not search again');
+    assert.equal(await memoryExists(USER_ID, ids.planning), true);
+    assert.equal(await memoryExists(USER_ID, ids.unrelated), true);
+  }],
+
+  ['confirm can leave previewed items out', async () => {
+    const ids = await seedMemories();
+    const result = await forgetTopic(db, USER_ID, TOPIC, { confirm: true, memoryIds: [ids.wedding] });
+    assert.equal(result.memoriesForgotten, 1);
+    assert.equal(await memoryExists(USER_ID, ids.wedding), false);
+    assert.equal(await memoryExists(USER_ID, ids.bridesmaid), true);
+  }],
+
+  ['confirm without ids is refused and deletes nothing', async () => {
+    const ids = await seedMemories();
+    const result = await forgetTopic(db, USER_ID, TOPIC, { confirm: true });
+    assert.equal(result.success, false);
+    for (const id of Object.values(ids)) assert.equal(await memoryExists(USER_ID, id), true);
+  }],
+
+  ["confirm never reaches another user's memories", async () => {
+    await seedMemories();
+    await seedUser('other-user');
+    const theirs = await createMemory(db, 'other-user', { content: "Priya's wedding is in June", category: 'person' });
+    const result = await forgetTopic(db, USER_ID, TOPIC, { confirm: true, memoryIds: [theirs] });
+    assert.equal(result.memoriesForgotten, 0);
+    assert.equal(await memoryExists('other-user', theirs), true);
+  }],
+
+  ['confirm scrubs only the previewed messages from the index', async () => {
+    await seedUser(USER_ID);
+    await indexMessage(db, USER_ID, { messageId: 'msg-1', role: 'user', content: "Priya's wedding is in June" });
+    await indexMessage(db, USER_ID, { messageId: 'msg-2', role: 'user', content: 'Priya wedding dress shopping on Saturday' });
+    const preview = await forgetTopic(db, USER_ID, TOPIC);
+    assert.deepEqual(preview.messages.map(m => m.id).sort(), ['msg-1', 'msg-2']);
+
+    const result = await forgetTopic(db, USER_ID, TOPIC, { confirm: true, messageIds: ['msg-1'] });
+    assert.equal(result.messagesScrubbed, 1);
+    const after = await forgetTopic(db, USER_ID, TOPIC);
+    assert.deepEqual(after.messages.map(m => m.id), ['msg-2']);
+  }]
+];
+
+exitWith(runTests('Forget a topic', tests));
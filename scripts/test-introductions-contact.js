@@ -0,0 +1,106 @@
+// Contact reveal on approved matches (api/matching/matches.js getContactInfoForApprovedMatch)
+// Contacts only come through an introduction both sides approved, limited to the channels each
+// chose. Only matches approved before the intro rollout keep the old show-everything view, and a
+// failed intro draft is marked for the cron to retry instead of revealing anything.
+//
+// Usage:
+//   firebase emulators:start --only firestore
+//   FIRESTORE_EMULATOR_HOST=localhost:8080 node scripts/test-introductions-contact.js [--verbose]
+
+const assert = require('node:assert/strict');
+const { requireEmulator, runTests, exitWith } = require('./_emulator');
+
+requireEmulator();
+
+const { initializeFirebaseAdmin, admin } = require('../api/_firebase-admin');
+const { startIntroduction, approveIntroduction, findMatchesMissingIntroduction } = require('../api/_introductions');
+const { getContactInfoForApprovedMatch } = require('../api/matching/matches');
+
+initializeFirebaseAdmin();
+const db = admin.firestore();
+
+const { Timestamp } = admin.firestore;
+
+async function seedUsers() {
+  await db.collection('users').doc('asha').set({ email: 'asha@example.com', displayName: 'Asha' });
+  await db.collection('users').doc('asha').collection('linkSettings').doc('config')
+    .set({ contactWhatsApp: '+15550100', linkedIn: 'in/asha' });
+  await db.collection('users').doc('ben').set({ email: 'ben@example.com', displayName: 'Ben' });
+}
+
+async function seedMatch(id, fields = {}) {
+  const match = {
+    userA_id: 'asha',
+    userB_id: 'ben',
+    matchType: 'cofounder',
+    status: 'approved',
+    human_approval: { userA_approved: true, userB_approved: true },
+    ...fields
+  };
+  await db.collection('matches').doc(id).set(match);
+  return { id, ...match };
+}
+
+const tests = [
+  ['match approved after the rollout without an intro reveals nothing', async () => {
+    await seedUsers();
+    const match = await seedMatch('m-new', { approvedAt: Timestamp.now() });
+    assert.equal(await getContactInfoForApprovedMatch(match, 'ben'), null);
+  }],
+
+  ['match with no readable approval time reveals nothing', async () => {
+    await seedUsers();
+    const match = await seedMatch('m-untimed');
+    assert.equal(await getContactInfoForApprovedMatch(match, 'ben'), null);
+  }],
+
+  ['match approved before the rollout keeps the legacy contact view', async () => {
+    await seedUsers();
+    const match = await seedMatch('m-legacy', { approvedAt: Timestamp.fromDate(new Date('2026-01-15T12:00:00Z')) });
+    const contact = await getContactInfoForApprovedMatch(match, 'ben');
+    assert.equal(contact.email, 'asha@example.com');
+    assert.equal(contact.whatsapp, '+15550100');
+  }],
+
+  ['pending matches reveal nothing, even before the rollout', async () => {
+    await seedUsers();
+    const match = await seedMatch('m-pending', {
+      status: 'pending_approval',
+      approvedAt: Timestamp.fromDate(new Date('2026-01-15T12:00:00Z'))
+    });
+    assert.equal(await getContactInfoForApprovedMatch(match, 'ben'), null);
+  }],
+
+  ['intro reveals only the chosen channels, once both approve', async () => {
+    await seedUsers();
+    const match = await seedMatch('m-intro', { approvedAt: Timestamp.now() });
+    const started = await startIntroduction(db, match);
+    assert.ok(started.success, started.error);
+    assert.equal(await getContactInfoForApprovedMatch(match, 'ben'), null);
+
+    assert.ok((await approveIntroduction(db, match.id, 'asha', { channels: ['email'] })).success);
+    assert.equal(await getContactInfoForApprovedMatch(match, 'ben'), null, 'one approval must not reveal');
+
+    assert.ok((await approveIntroduction(db, match.id, 'ben', { channels: ['email'] })).success);
+    const contact = await getContactInfoForApprovedMatch(match, 'ben');
+    assert.equal(contact.email, 'asha@example.com');
+    assert.equal(contact.whatsapp, undefined);
+    assert.equal(contact.linkedIn, undefined);
+  }],
+
+  ['failed intro draft is marked for retry and reveals nothing', async () => {
+    await seedUsers();
+    // An empty user id makes the draft fail the way a bad match doc would
+    const match = await seedMatch('m-broken', { userA_id: '', approvedAt: Timestamp.now() });
+    const started = await startIntroduction(db, match);
+    assert.equal(started.success, false);
+
+    const doc = await db.collection('matches').doc(match.id).get();
+    assert.equal(doc.data().introduction.status, 'failed');
+    const missing = await findMatchesMissingIntroduction(db);
+    assert.deepEqual(missing.map(m => m.id), ['m-broken']);
+    assert.equal(await getContactInfoForApprovedMatch(match, 'ben'), null);
+  }]
+];
+
+exitWith(runTests('Contact reveal on approved matches', tests));
@@ -0,0 +1,67 @@
+// Memory search across the whole index (api/_memory-index.js searchMemoryIndex)
+// Search pages through every entry rather than the most recent few hundred, so an old entry that
+// only matches by similarity (no shared keyword) is still recalled behind a long history.
+//
+// Usage:
+//   firebase emulators:start --only firestore
+//   FIRESTORE_EMULATOR_HOST=localhost:8080 node scripts/test-memory-search.js [--verbose]
+
+const assert = require('node:assert/strict');
+const { requireEmulator, runTests, exitWith } = require('./_emulator');
+
+requireEmulator();
+
+const { initializeFirebaseAdmin, admin } = require('../api/_firebase-admin');
+const { indexEntries, searchMemoryIndex } = require('../api/_memory-index');
+
+initializeFirebaseAdmin();
+const db = admin.firestore();
+
+const USER_ID = 'memory-search-user';
+const FILLER_ENTRIES = 600; // Several scan pages, and more than search used to rank by similarity
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One old entry the query only reaches through the embedder ("reschedule" vs "rescheduled"),
+// behind a long run of newer, unrelated messages
+async function seedHistory() {
+  await db.collection('users').doc(USER_ID).set({ memoryIndexBackfilledAt: new Date() });
+  const start = Date.parse('2026-01-01T09:00:00Z');
+  const entries = [{
+    sourceType: 'message', sourceId: 'old-target', role: 'user', text: 'Rescheduled it', timestamp: new Date(start)
+  }];
+  for (let i = 1; i <= FILLER_ENTRIES; i++) {
+    entries.push({
+      sourceType: 'message',
+      sourceId: `filler-${i}`,
+      role: i % 2 ? 'user' : 'assistant',
+      text: `Grocery list ${i}: oats, apples and coffee beans`,
+      timestamp: new Date(start + DAY_MS + i * 60 * 1000)
+    });
+  }
+  await indexEntries(db, USER_ID, entries);
+}
+
+const tests = [
+  ['old entry behind a long history is found by similarity alone', async () => {
+    await seedHistory();
+    const results = await searchMemoryIndex(db, USER_ID, 'reschedule');
+    assert.equal(results[0]?.sourceId, 'old-target');
+    assert.equal(results[0].keywordScore, 0, 'the match must come from the embedder, not a keyword');
+  }],
+
+  ['filters still apply to entries on later pages', async () => {
+    await seedHistory();
+    const assistantOnly = await searchMemoryIndex(db, USER_ID, 'reschedule', { role: 'assistant' });
+    assert.ok(!assistantOnly.some(r => r.sourceId === 'old-target'));
+    const afterIt = await searchMemoryIndex(db, USER_ID, 'reschedule', { dateFrom: '2026-01-02T00:00:00Z' });
+    assert.ok(!afterIt.some(r => r.sourceId === 'old-target'));
+  }],
+
+  ['keyword search ranks the same across pages', async () => {
+    await seedHistory();
+    const results = await searchMemoryIndex(db, USER_ID, 'grocery list 599', { limit: 3 });
+    assert.equal(results[0]?.sourceId, 'filler-599');
+  }]
+];
+
+exitWith(runTests('Memory search', tests));
@@ -0,0 +1,107 @@
+// Review queue claims (api/_review-queue.js reviewChanges)
+// Approving claims a change in a transaction before applying it, so concurrent approvals apply
+// it once. A claim cut off mid-apply (older than the lease) reads as pending again, flagged
+// interrupted, and can be approved or rejected; a live claim can't be taken over.
+//
+// Usage:
+//   firebase emulators:start --only firestore
+//   FIRESTORE_EMULATOR_HOST=localhost:8080 node scripts/test-review-queue.js [--verbose]
+
+const assert = require('node:assert/strict');
+const { requireEmulator, runTests, exitWith } = require('./_emulator');
+
+requireEmulator();
+
+const { initializeFirebaseAdmin, admin } = require('../api/_firebase-admin');
+const { updateReviewSettings, submitChange, listChanges, reviewChanges } = require('../api/_review-queue');
+
+initializeFirebaseAdmin();
+const db = admin.firestore();
+
+const USER_ID = 'review-user';
+const MINUTE_MS = 60 * 1000;
+
+async function queueMemory(content = 'Prefers green tea to coffee') {
+  await updateReviewSettings(db, USER_ID, { mode: 'review' });
+  const submitted = await submitChange(db, USER_ID, {
+    kind: 'memory',
+    source: 'dmn-consolidation',
+    summary: content,
+    payload: { content, category: 'preference' }
+  });
+  assert.ok(submitted.queued, 'review mode must queue the change');
+  return submitted.changeId;
+}
+
+async function memoryCount() {
+  return (await db.collection('users').doc(USER_ID).collection('memories').get()).size;
+}
+
+function changeRef(changeId) {
+  return db.collection('users').doc(USER_ID).collection('pendingChanges').doc(changeId);
+}
+
+const tests = [
+  ['concurrent approvals apply the change once', async () => {
+    const changeId = await queueMemory();
+    const [first, second] = await Promise.all([
+      reviewChanges(db, USER_ID, [changeId], 'approve'),
+      reviewChanges(db, USER_ID, [changeId], 'approve')
+    ]);
+    const statuses = [first.results[0].status, second.results[0].status].sort();
+    assert.deepEqual(statuses, ['approved', 'error']);
+    assert.equal(await memoryCount(), 1);
+  }],
+
+  ['approved and rejected changes cannot be approved again', async () => {
+    const approvedId = await queueMemory('Runs on Sunday mornings');
+    await reviewChanges(db, USER_ID, [approvedId], 'approve');
+    const again = await reviewChanges(db, USER_ID, [approvedId], 'approve');
+    assert.equal(again.results[0].status, 'error');
+
+    const rejectedId = await queueMemory('Dislikes podcasts');
+    await reviewChanges(db, USER_ID, [rejectedId], 'reject');
+    const afterReject = await reviewChanges(db, USER_ID, [rejectedId], 'approve');
+    assert.equal(afterReject.results[0].status, 'error');
+    assert.equal(await memoryCount(), 1);
+  }],
+
+  ['a live claim cannot be taken over', async () => {
+    const changeId = await queueMemory();
+    await changeRef(changeId).update({ status: 'applying', applyingAt: new Date(Date.now() - MINUTE_MS).toISOString() });
+
+    const { changes } = await listChanges(db, USER_ID);
+    assert.equal(changes.length, 0, 'a live claim is not pending');
+    const result = await reviewChanges(db, USER_ID, [changeId], 'approve');
+    assert.equal(result.results[0].status, 'error');
+    assert.equal(await memoryCount(), 0);
+  }],
+
+  ['an interrupted claim is pending again and can be approved once', async () => {
+    const changeId = await queueMemory();
+    await changeRef(changeId).update({ status: 'applying', applyingAt: new Date(Date.now() - 30 * MINUTE_MS).toISOString() });
+
+    const { changes } = await listChanges(db, USER_ID);
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].status, 'pending');
+    assert.equal(changes[0].interrupted, true);
+
+    const [first, second] = await Promise.all([
+      reviewChanges(db, USER_ID, [changeId], 'approve'),
+      reviewChanges(db, USER_ID, [changeId], 'approve')
+    ]);
+    assert.deepEqual([first.results[0].status, second.results[0].status].sort(), ['approved', 'error']);
+    assert.equal(await memoryCount(), 1);
+    assert.equal((await changeRef(changeId).get()).data().status, 'approved');
+  }],
+
+  ['a claim with no recorded time counts as interrupted', async () => {
+    const changeId = await queueMemory();
+    await changeRef(changeId).update({ status: 'applying' });
+    const result = await reviewChanges(db, USER_ID, [changeId], 'reject');
+    assert.equal(result.results[0].status, 'rejected');
+    assert.equal(await memoryCount(), 0);
+  }]
+];
+
+exitWith(runTests('Review queue claims', tests));